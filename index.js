@@ -27,6 +27,16 @@ import actividadesRoutes from './src/routes/actividades.routes.js';
 import productosRoutes from './src/routes/productos.routes.js';
 import dashboardRoutes from './src/routes/dashboard.routes.js';
 import reportsRoutes from './src/routes/reports.routes.js';
+import partesRoutes from './src/routes/partes.routes.js';
+import adendasRoutes from './src/routes/adendas.routes.js';
+import savedSearchesRoutes from './src/routes/saved-searches.routes.js';
+import aportesRoutes from './src/routes/aportes.routes.js';
+import obligacionesRoutes from './src/routes/obligaciones.routes.js';
+import firmantesRoutes from './src/routes/firmantes.routes.js';
+import etiquetasRoutes from './src/routes/etiquetas.routes.js';
+import unidadesRoutes from './src/routes/unidades.routes.js';
+import convenioMiembrosRoutes from './src/routes/convenio-miembros.routes.js';
+import usersRoutes from './src/routes/users.routes.js';
 
 // Importar middlewares
 import { 
@@ -85,7 +95,7 @@ app.use(requestLogger);
 app.use(cors({
   origin: env.ALLOWED_ORIGINS,
   credentials: env.CORS_CREDENTIALS,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
   exposedHeaders: ['Authorization'],
   maxAge: env.CORS_MAX_AGE
@@ -98,7 +108,6 @@ app.get('/', (req, res) => {
 });
 
 // 3. Rutas de la API
-app.use('/api/convenios', conveniosRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/tokens', tokenRoutes);
 app.use('/api', documentsRoutes);
@@ -107,6 +116,19 @@ app.use('/api', actividadesRoutes);
 app.use('/api', productosRoutes);
 app.use('/api', dashboardRoutes);
 app.use('/api', reportsRoutes);
+app.use('/api', partesRoutes);
+app.use('/api', adendasRoutes);
+app.use('/api', savedSearchesRoutes);
+app.use('/api', aportesRoutes);
+app.use('/api', obligacionesRoutes);
+app.use('/api', firmantesRoutes);
+app.use('/api', etiquetasRoutes);
+app.use('/api', unidadesRoutes);
+app.use('/api', convenioMiembrosRoutes);
+app.use('/api', usersRoutes);
+// Montado después de los routers de /api: su manejador 404 capturaría las rutas
+// anidadas /api/convenios/:id/... (documentos, actividades, etc.)
+app.use('/api/convenios', conveniosRoutes);
 
 // Endpoint de prueba para diagnóstico
 app.post('/api/test/register', (req, res) => {
@@ -0,0 +1,26 @@
+-- Búsqueda de texto completo para convenios
+-- Crea la configuración es_unaccent (español + unaccent) y los índices GIN que usa
+-- ConvenioSearchService. Es idempotente; ejecutar después de `prisma db push` / migrate:
+--   npm run db:fulltext
+
+CREATE EXTENSION IF NOT EXISTS unaccent;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_ts_config WHERE cfgname = 'es_unaccent') THEN
+    CREATE TEXT SEARCH CONFIGURATION es_unaccent (COPY = spanish);
+    ALTER TEXT SEARCH CONFIGURATION es_unaccent
+      ALTER MAPPING FOR hword, hword_part, word WITH unaccent, spanish_stem;
+  END IF;
+END
+$$;
+
+-- Las expresiones deben coincidir exactamente con las de convenio-search.service.js
+CREATE INDEX IF NOT EXISTS "Convenio_fts_idx" ON "Convenio"
+  USING GIN (to_tsvector('es_unaccent', nombre || ' ' || descripcion));
+
+CREATE INDEX IF NOT EXISTS "Parte_fts_idx" ON "Parte"
+  USING GIN (to_tsvector('es_unaccent', nombre));
+
+CREATE INDEX IF NOT EXISTS "documents_fts_idx" ON documents
+  USING GIN (to_tsvector('es_unaccent', coalesce(description, '')));
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Script de importación de convenios desde CSV/XLSX
+ * @description Carga datos reales (registro histórico en hojas de cálculo) con las mismas
+ * validaciones que POST /api/convenios/import. Sin --confirmar solo muestra la vista previa.
+ *
+ * Uso:
+ *   npm run db:import -- ruta/al/archivo.xlsx              # vista previa
+ *   npm run db:import -- ruta/al/archivo.xlsx --confirmar  # importar
+ *   npm run db:import -- ruta/al/archivo.xlsx --unidad=3 --confirmar  # convenios de la unidad 3
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { disconnectDB } from '../src/lib/prisma.js';
+import { detectFormat } from '../src/lib/spreadsheet.js';
+import ConvenioImportService from '../src/services/convenio-import.service.js';
+
+const importService = new ConvenioImportService();
+
+/**
+ * Muestra las filas con errores de la vista previa
+ */
+const imprimirErrores = (filas) => {
+  for (const fila of filas.filter(f => !f.valida)) {
+    for (const error of fila.errores) {
+      console.log(`  Fila ${fila.fila} - ${error.campo}: ${error.mensaje}`);
+    }
+  }
+};
+
+async function main() {
+  const [archivo, ...opciones] = process.argv.slice(2);
+  const confirmar = opciones.includes('--confirmar');
+  const opcionUnidad = opciones.find(opcion => opcion.startsWith('--unidad='));
+  const unidadId = opcionUnidad ? Number(opcionUnidad.split('=')[1]) : undefined;
+
+  if (!archivo) {
+    console.error('Uso: node scripts/importar-convenios.js <archivo.csv|archivo.xlsx> [--unidad=<id>] [--confirmar]');
+    process.exit(1);
+  }
+
+  const formato = detectFormat(archivo);
+  if (!formato) {
+    console.error(`❌ Formato no soportado: ${path.extname(archivo) || archivo} (use .csv o .xlsx)`);
+    process.exit(1);
+  }
+
+  const buffer = fs.readFileSync(archivo);
+  console.log(`📄 Leyendo ${archivo}...`);
+
+  const result = confirmar
+    ? await importService.importConvenios(buffer, formato, unidadId)
+    : await importService.previewImport(buffer, formato, unidadId);
+
+  if (!result.success) {
+    console.error(`❌ ${result.message}`);
+    if (result.data) imprimirErrores(result.data.filas);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (confirmar) {
+    const { resumen } = result.data;
+    console.log(`✅ ${result.message}`);
+    console.log(`🏢 Partes creadas: ${resumen.partesCreadas} | reutilizadas: ${resumen.partesExistentes}`);
+    return;
+  }
+
+  const { resumen, partes, columnasIgnoradas } = result.data;
+  console.log('\n📊 VISTA PREVIA:');
+  console.log(`📋 Filas: ${resumen.totalFilas} | válidas: ${resumen.filasValidas} | con errores: ${resumen.filasConErrores}`);
+  console.log(`🏢 Partes nuevas: ${partes.nuevas.length} | existentes: ${partes.existentes.length}`);
+  if (columnasIgnoradas.length > 0) {
+    console.log(`⚠️ Columnas ignoradas: ${columnasIgnoradas.join(', ')}`);
+  }
+  imprimirErrores(result.data.filas);
+
+  console.log(resumen.filasConErrores > 0
+    ? '\n❌ Corrija los errores antes de importar'
+    : '\n✅ Archivo válido. Ejecute de nuevo con --confirmar para importar');
+}
+
+main()
+  .catch((error) => {
+    console.error('❌ Error en la importación:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(disconnectDB);
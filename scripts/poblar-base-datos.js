@@ -1,6 +1,7 @@
 /**
  * @fileoverview Script para poblar la base de datos con datos de prueba
- * @description Crea usuarios, convenios y actividades de prueba para testing
+ * @description Crea usuarios, convenios y actividades de prueba para testing.
+ * Para cargar datos reales usar scripts/importar-convenios.js (npm run db:import).
  * @author Sistema de Gestión de Convenios
  * @version 1.0.0
  */
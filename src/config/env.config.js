@@ -10,6 +10,12 @@ import { z } from 'zod';
 // Cargar variables de entorno desde .env
 dotenv.config();
 
+/**
+ * Memoria máxima de un hash scrypt (128 · 2^SCRYPT_COST · SCRYPT_BLOCK_SIZE bytes).
+ * Debe coincidir con ScryptStrategy.MAX_MEMORY.
+ */
+const SCRYPT_MAX_MEMORY = 256 * 1024 * 1024;
+
 /**
  * Esquema de validación para variables de entorno
  * Proporciona valores por defecto seguros y validación de tipos
@@ -42,6 +48,37 @@ const envSchema = z.object({
 
   // Configuración de Bcrypt
   BCRYPT_SALT_ROUNDS: z.coerce.number().int().min(10).default(12),
+
+  // Algoritmo de hash de contraseñas (los hashes existentes se regeneran al iniciar sesión)
+  PASSWORD_HASH_ALGORITHM: z.enum(['bcrypt', 'scrypt']).default('bcrypt'),
+  SCRYPT_COST: z.coerce.number().int().min(14).max(22).default(17), // log2(N)
+  SCRYPT_BLOCK_SIZE: z.coerce.number().int().min(8).max(32).default(8),
+  SCRYPT_PARALLELIZATION: z.coerce.number().int().min(1).max(16).default(1),
+
+  // Bloqueo de cuentas por intentos fallidos (duraciones en minutos)
+  LOGIN_LOCKOUT_MAX_ATTEMPTS: z.coerce.number().int().min(1).default(5),
+  LOGIN_LOCKOUT_BASE_MINUTES: z.coerce.number().int().min(1).default(15),
+  LOGIN_LOCKOUT_MAX_MINUTES: z.coerce.number().int().min(1).default(1440),
+
+  // Clave de cifrado de los secretos TOTP, independiente de JWT_SECRET
+  MFA_ENCRYPTION_KEY: z.string({
+    required_error: 'MFA_ENCRYPTION_KEY es requerida para cifrar el segundo factor'
+  }).min(32, 'MFA_ENCRYPTION_KEY debe tener al menos 32 caracteres'),
+
+  // Correo (recuperación de contraseña, verificación de email y avisos de bloqueo)
+  MAIL_TRANSPORT: z.enum(['smtp', 'file', 'console']).optional(),
+  SMTP_HOST: z.string().trim().min(1).optional(),
+}).refine(env => 128 * 2 ** env.SCRYPT_COST * env.SCRYPT_BLOCK_SIZE <= SCRYPT_MAX_MEMORY, {
+  // Cada rango por separado admite combinaciones de hasta 16 GiB por hash
+  message: 'SCRYPT_COST y SCRYPT_BLOCK_SIZE requieren más de 256 MiB por hash (128 · 2^SCRYPT_COST · SCRYPT_BLOCK_SIZE)',
+  path: ['SCRYPT_COST']
+}).refine(env => env.NODE_ENV !== 'production' || (env.MAIL_TRANSPORT === 'smtp' && env.SMTP_HOST), {
+  // file y console escriben los enlaces de recuperación y verificación donde otros los leen
+  message: 'En producción MAIL_TRANSPORT debe ser smtp y SMTP_HOST es requerida',
+  path: ['MAIL_TRANSPORT']
+}).refine(env => env.LOGIN_LOCKOUT_BASE_MINUTES <= env.LOGIN_LOCKOUT_MAX_MINUTES, {
+  message: 'LOGIN_LOCKOUT_BASE_MINUTES no puede superar LOGIN_LOCKOUT_MAX_MINUTES',
+  path: ['LOGIN_LOCKOUT_BASE_MINUTES']
 });
 
 /**
@@ -53,8 +90,10 @@ function validateEnv() {
     return envSchema.parse(process.env);
   } catch (error) {
     console.error('❌ Error en la validación de variables de entorno:');
-    if (error.errors) {
-      error.errors.forEach(err => {
+    // zod 4 expone los errores en issues
+    const errores = error.issues || error.errors;
+    if (errores) {
+      errores.forEach(err => {
         console.error(`- ${err.path.join('.')}: ${err.message}`);
       });
     }
@@ -65,4 +104,5 @@ function validateEnv() {
 // Exportar variables de entorno validadas
 const env = validateEnv();
 
+export { envSchema };
 export default env;
\ No newline at end of file
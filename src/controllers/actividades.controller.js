@@ -6,9 +6,15 @@
  */
 
 import { PrismaClient } from '@prisma/client';
+import { isCursorMode, buildCursorQuery, buildCursorPage } from '../lib/cursor-pagination.js';
 
 const prisma = new PrismaClient();
 
+/**
+ * Ordenamiento del listado de actividades (paginación por cursor)
+ */
+const ACTIVIDADES_SORT = [{ field: 'fechaInicio', order: 'asc' }];
+
 /**
  * Crear nueva actividad
  * Complejidad: O(1) - Inserción directa
@@ -151,12 +157,13 @@ const createActividad = async (req, res) => {
 
 /**
  * Obtener actividades de un convenio
- * Complejidad: O(n) donde n es el número de actividades del convenio
+ * Paginación por página (page) o por cursor (pagination=cursor, after, before)
+ * Complejidad: O(n) donde n es el número de actividades del convenio; O(log n + k) por cursor
  */
 const getActividadesByConvenio = async (req, res) => {
   try {
     const { convenioId } = req.params;
-    const { page = 1, limit = 10, estado, responsableId } = req.query;
+    const { page = 1, limit = 10, estado, responsableId, after, before } = req.query;
 
     // Verificar que el convenio existe
     const convenio = await prisma.convenio.findUnique({
@@ -189,27 +196,60 @@ const getActividadesByConvenio = async (req, res) => {
     const limitNum = Math.min(50, Math.max(1, parseInt(limit)));
     const skip = (pageNum - 1) * limitNum;
 
-    // Obtener actividades con paginación
-    const [actividades, totalCount] = await Promise.all([
-      prisma.actividad.findMany({
-        where,
-        include: {
-          responsable: {
-            select: {
-              id: true,
-              email: true,
-              rol: true
-            }
-          }
-        },
-        orderBy: { fechaInicio: 'asc' },
-        skip,
-        take: limitNum
-      }),
-      prisma.actividad.count({ where })
-    ]);
+    const include = {
+      responsable: {
+        select: {
+          id: true,
+          email: true,
+          rol: true
+        }
+      }
+    };
 
-    const totalPages = Math.ceil(totalCount / limitNum);
+    let actividades;
+    let pagination;
+
+    if (isCursorMode(req.query)) {
+      const cursorParams = { after, before, limit: limitNum };
+      const cursorQuery = buildCursorQuery(ACTIVIDADES_SORT, cursorParams, where);
+
+      if (!cursorQuery) {
+        return res.status(400).json({
+          success: false,
+          error: 'Cursor de paginación inválido'
+        });
+      }
+
+      const cursorPage = buildCursorPage(
+        await prisma.actividad.findMany({ ...cursorQuery, include }),
+        ACTIVIDADES_SORT,
+        cursorParams
+      );
+      actividades = cursorPage.items;
+      pagination = cursorPage.pagination;
+    } else {
+      // Obtener actividades con paginación
+      let totalCount;
+      [actividades, totalCount] = await Promise.all([
+        prisma.actividad.findMany({
+          where,
+          include,
+          orderBy: { fechaInicio: 'asc' },
+          skip,
+          take: limitNum
+        }),
+        prisma.actividad.count({ where })
+      ]);
+
+      const totalPages = Math.ceil(totalCount / limitNum);
+      pagination = {
+        currentPage: pageNum,
+        totalPages,
+        totalCount,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      };
+    }
 
     res.json({
       success: true,
@@ -226,13 +266,7 @@ const getActividadesByConvenio = async (req, res) => {
         })),
         convenio,
         filtros: { estado, responsableId },
-        pagination: {
-          currentPage: pageNum,
-          totalPages,
-          totalCount,
-          hasNextPage: pageNum < totalPages,
-          hasPrevPage: pageNum > 1
-        }
+        pagination
       }
     });
 
@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Controlador de Adendas (otrosíes)
+ * @description Endpoints para registrar, consultar y aprobar adendas de convenios.
+ * La lógica de datos se delega en AdendaService.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ */
+
+import AdendaService from '../services/adendas.service.js';
+
+const adendaService = new AdendaService();
+
+/**
+ * Código HTTP para resultados fallidos del servicio
+ */
+const ADENDA_ERROR_STATUS = {
+  CONVENIO_NOT_FOUND: 404,
+  ADENDA_NOT_FOUND: 404,
+  DOCUMENT_NOT_FOUND: 400,
+  INVALID_DATE_RANGE: 400,
+  CONVENIO_NO_ACTIVO: 409,
+  ADENDA_NO_PENDIENTE: 409,
+  ADENDA_CONFLICTO: 409
+};
+
+/**
+ * Envía el resultado del servicio con el código HTTP correspondiente
+ */
+const sendResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(ADENDA_ERROR_STATUS[result.error] || 400).json(result);
+  }
+  return res.status(successStatus).json(result);
+};
+
+/**
+ * Respuesta estándar para errores inesperados
+ */
+const sendError = (res, message, error) => res.status(500).json({
+  success: false,
+  message,
+  error: error.message,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Listar adendas de un convenio con su fecha de fin efectiva
+ * Ruta esperada: GET /api/convenios/:convenioId/adendas
+ * Complejidad: O(log n + a)
+ */
+export const getAdendas = async (req, res) => {
+  try {
+    const result = await adendaService.listAdendas(req.validatedParams.convenioId);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener adendas', error);
+  }
+};
+
+/**
+ * Obtener una adenda
+ * Ruta esperada: GET /api/convenios/:convenioId/adendas/:adendaId
+ * Complejidad: O(log n)
+ */
+export const getAdendaById = async (req, res) => {
+  try {
+    const { convenioId, adendaId } = req.validatedParams;
+    const result = await adendaService.getAdenda(convenioId, adendaId);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener adenda', error);
+  }
+};
+
+/**
+ * Registrar una adenda (queda pendiente de aprobación)
+ * Ruta esperada: POST /api/convenios/:convenioId/adendas
+ * Complejidad: O(log n)
+ */
+export const createAdenda = async (req, res) => {
+  try {
+    const { convenioId } = req.validatedParams;
+    const result = await adendaService.createAdenda(convenioId, req.validatedBody, req.user.id);
+
+    if (result.success) {
+      console.log(`✅ [ADENDA_CREATE] ConvenioID: ${convenioId} - AdendaID: ${result.data.id} - CreatedBy: ${req.user.id}`);
+    }
+
+    sendResult(res, result, 201);
+  } catch (error) {
+    sendError(res, 'Error al registrar adenda', error);
+  }
+};
+
+/**
+ * Actualizar una adenda pendiente
+ * Ruta esperada: PATCH /api/convenios/:convenioId/adendas/:adendaId
+ * Complejidad: O(log n)
+ */
+export const updateAdenda = async (req, res) => {
+  try {
+    const { convenioId, adendaId } = req.validatedParams;
+    const result = await adendaService.updateAdenda(convenioId, adendaId, req.validatedBody);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al actualizar adenda', error);
+  }
+};
+
+/**
+ * Eliminar una adenda pendiente
+ * Ruta esperada: DELETE /api/convenios/:convenioId/adendas/:adendaId
+ * Complejidad: O(log n)
+ */
+export const deleteAdenda = async (req, res) => {
+  try {
+    const { convenioId, adendaId } = req.validatedParams;
+    const result = await adendaService.deleteAdenda(convenioId, adendaId);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al eliminar adenda', error);
+  }
+};
+
+/**
+ * Aprobar una adenda; si define nueva fecha de fin, pasa a ser la fecha efectiva
+ * Ruta esperada: POST /api/convenios/:convenioId/adendas/:adendaId/aprobar
+ * Complejidad: O(log n)
+ */
+export const aprobarAdenda = async (req, res) => {
+  try {
+    const { convenioId, adendaId } = req.validatedParams;
+    const result = await adendaService.resolveAdenda(convenioId, adendaId, 'Aprobada', req.user.id);
+
+    if (result.success) {
+      console.log(`✅ [ADENDA_APPROVE] ConvenioID: ${convenioId} - AdendaID: ${adendaId} - User: ${req.user.id}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al aprobar adenda', error);
+  }
+};
+
+/**
+ * Rechazar una adenda
+ * Ruta esperada: POST /api/convenios/:convenioId/adendas/:adendaId/rechazar
+ * Complejidad: O(log n)
+ */
+export const rechazarAdenda = async (req, res) => {
+  try {
+    const { convenioId, adendaId } = req.validatedParams;
+    const result = await adendaService.resolveAdenda(convenioId, adendaId, 'Rechazada', req.user.id);
+
+    if (result.success) {
+      console.log(`❌ [ADENDA_REJECT] ConvenioID: ${convenioId} - AdendaID: ${adendaId} - User: ${req.user.id}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al rechazar adenda', error);
+  }
+};
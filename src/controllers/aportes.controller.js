@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Controlador de Aportes (contribuciones financieras) de Convenios
+ * @description Endpoints para registrar aportes de las partes, su plan de cuotas,
+ * los pagos recibidos y el resumen financiero del convenio.
+ * La lógica de datos se delega en AporteService.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ */
+
+import AporteService from '../services/aportes.service.js';
+
+const aporteService = new AporteService();
+
+/**
+ * Código HTTP para resultados fallidos del servicio
+ */
+const APORTE_ERROR_STATUS = {
+  CONVENIO_NOT_FOUND: 404,
+  APORTE_NOT_FOUND: 404,
+  CUOTA_NOT_FOUND: 404,
+  PARTE_NO_ASOCIADA: 400,
+  CONVENIO_ARCHIVADO: 409,
+  APORTE_CON_PAGOS: 409,
+  CUOTA_YA_RECIBIDA: 409,
+  CUOTA_NO_RECIBIDA: 409
+};
+
+/**
+ * Envía el resultado del servicio con el código HTTP correspondiente
+ */
+const sendResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(APORTE_ERROR_STATUS[result.error] || 400).json(result);
+  }
+  return res.status(successStatus).json(result);
+};
+
+/**
+ * Respuesta estándar para errores inesperados
+ */
+const sendError = (res, message, error) => res.status(500).json({
+  success: false,
+  message,
+  error: error.message,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Listar aportes de un convenio con sus cuotas
+ * Ruta esperada: GET /api/convenios/:convenioId/aportes
+ * Complejidad: O(log n + a * c)
+ */
+export const getAportes = async (req, res) => {
+  try {
+    const result = await aporteService.listAportes(req.validatedParams.convenioId);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener aportes', error);
+  }
+};
+
+/**
+ * Obtener un aporte
+ * Ruta esperada: GET /api/convenios/:convenioId/aportes/:aporteId
+ * Complejidad: O(log n + c)
+ */
+export const getAporteById = async (req, res) => {
+  try {
+    const { convenioId, aporteId } = req.validatedParams;
+    const result = await aporteService.getAporte(convenioId, aporteId);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener aporte', error);
+  }
+};
+
+/**
+ * Registrar el aporte de una parte con su plan de cuotas
+ * Ruta esperada: POST /api/convenios/:convenioId/aportes
+ * Complejidad: O(c)
+ */
+export const createAporte = async (req, res) => {
+  try {
+    const { convenioId } = req.validatedParams;
+    const result = await aporteService.createAporte(convenioId, req.validatedBody, req.user.id);
+
+    if (result.success) {
+      console.log(`✅ [APORTE_CREATE] ConvenioID: ${convenioId} - AporteID: ${result.data.id} - CreatedBy: ${req.user.id}`);
+    }
+
+    sendResult(res, result, 201);
+  } catch (error) {
+    sendError(res, 'Error al registrar aporte', error);
+  }
+};
+
+/**
+ * Actualizar un aporte (el plan de cuotas solo si no tiene pagos)
+ * Ruta esperada: PATCH /api/convenios/:convenioId/aportes/:aporteId
+ * Complejidad: O(c)
+ */
+export const updateAporte = async (req, res) => {
+  try {
+    const { convenioId, aporteId } = req.validatedParams;
+    const result = await aporteService.updateAporte(convenioId, aporteId, req.validatedBody);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al actualizar aporte', error);
+  }
+};
+
+/**
+ * Eliminar un aporte sin pagos registrados
+ * Ruta esperada: DELETE /api/convenios/:convenioId/aportes/:aporteId
+ * Complejidad: O(c)
+ */
+export const deleteAporte = async (req, res) => {
+  try {
+    const { convenioId, aporteId } = req.validatedParams;
+    const result = await aporteService.deleteAporte(convenioId, aporteId);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al eliminar aporte', error);
+  }
+};
+
+/**
+ * Registrar el pago recibido de una cuota
+ * Ruta esperada: POST /api/convenios/:convenioId/aportes/:aporteId/cuotas/:cuotaId/pago
+ * Complejidad: O(log n + c)
+ */
+export const registrarPago = async (req, res) => {
+  try {
+    const { convenioId, aporteId, cuotaId } = req.validatedParams;
+    const result = await aporteService.registrarPago(convenioId, aporteId, cuotaId, req.validatedBody, req.user.id);
+
+    if (result.success) {
+      console.log(`💰 [APORTE_PAGO] ConvenioID: ${convenioId} - AporteID: ${aporteId} - CuotaID: ${cuotaId} - User: ${req.user.id}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al registrar pago', error);
+  }
+};
+
+/**
+ * Anular el pago registrado de una cuota
+ * Ruta esperada: DELETE /api/convenios/:convenioId/aportes/:aporteId/cuotas/:cuotaId/pago
+ * Complejidad: O(log n + c)
+ */
+export const anularPago = async (req, res) => {
+  try {
+    const { convenioId, aporteId, cuotaId } = req.validatedParams;
+    const result = await aporteService.anularPago(convenioId, aporteId, cuotaId);
+
+    if (result.success) {
+      console.log(`↩️ [APORTE_PAGO_ANULADO] ConvenioID: ${convenioId} - AporteID: ${aporteId} - CuotaID: ${cuotaId} - User: ${req.user.id}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al anular pago', error);
+  }
+};
+
+/**
+ * Resumen financiero del convenio (comprometido, recibido, pendiente y vencido)
+ * Ruta esperada: GET /api/convenios/:convenioId/finanzas
+ * Complejidad: O(log n + a * c)
+ */
+export const getResumenFinanciero = async (req, res) => {
+  try {
+    const result = await aporteService.getResumenFinanciero(req.validatedParams.convenioId);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener resumen financiero', error);
+  }
+};
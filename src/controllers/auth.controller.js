@@ -7,6 +7,10 @@
 
 import { z } from 'zod';
 import AuthService from '../services/auth.service.js';
+import PasswordResetService from '../services/password-reset.service.js';
+import EmailVerificationService, { isEmailAddress } from '../services/email-verification.service.js';
+import MfaService from '../services/mfa.service.js';
+import { passwordSchema } from '../lib/password-policy.js';
 
 /**
  * Esquema de validación para login usando Zod
@@ -71,16 +75,7 @@ const registerSchema = z.object({
     .toLowerCase()
     .trim(),
   
-  password: z
-    .string({
-      required_error: 'La contraseña es requerida',
-      invalid_type_error: 'La contraseña debe ser un string'
-    })
-    .min(8, 'La contraseña debe tener al menos 8 caracteres')
-    .max(128, 'La contraseña es demasiado larga (máximo 128 caracteres)')
-    .regex(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/, {
-      message: 'La contraseña debe contener al menos: 1 minúscula, 1 mayúscula y 1 número'
-    }),
+  password: passwordSchema,
   
   confirmPassword: z
     .string({
@@ -100,6 +95,199 @@ const registerSchema = z.object({
   path: ["confirmPassword"]
 });
 
+/**
+ * Esquema de validación para cambio de contraseña
+ * Complejidad de validación: O(1) para cada campo
+ */
+const changePasswordSchema = z.object({
+  currentPassword: z
+    .string({
+      required_error: 'La contraseña actual es requerida',
+      invalid_type_error: 'La contraseña actual debe ser un string'
+    })
+    .min(1, 'La contraseña actual no puede estar vacía')
+    .max(200, 'La contraseña es demasiado larga'),
+
+  newPassword: passwordSchema,
+
+  confirmPassword: z
+    .string({
+      required_error: 'La confirmación de contraseña es requerida',
+      invalid_type_error: 'La confirmación debe ser un string'
+    })
+    .min(1, 'La confirmación de contraseña no puede estar vacía')
+}).refine((data) => data.newPassword === data.confirmPassword, {
+  message: "Las contraseñas no coinciden",
+  path: ["confirmPassword"]
+});
+
+/**
+ * Esquema de validación para las solicitudes que solo reciben el email
+ * (recuperación de contraseña y reenvío de verificación)
+ */
+const emailRequestSchema = z.object({
+  email: z
+    .string({
+      required_error: 'El email es requerido',
+      invalid_type_error: 'El email debe ser un string'
+    })
+    .min(1, 'El email no puede estar vacío')
+    .max(255, 'El email es demasiado largo (máximo 255 caracteres)')
+    .toLowerCase()
+    .trim()
+});
+
+/**
+ * Esquema de validación para verificar un email con el token del enlace
+ */
+const verifyEmailSchema = z.object({
+  token: z
+    .string({
+      required_error: 'El token de verificación es requerido',
+      invalid_type_error: 'El token debe ser un string'
+    })
+    .min(1, 'El token de verificación no puede estar vacío')
+    .max(200, 'El token de verificación es inválido')
+});
+
+/**
+ * Esquema de validación para restablecer la contraseña con un token de recuperación
+ */
+const resetPasswordSchema = z.object({
+  token: z
+    .string({
+      required_error: 'El token de recuperación es requerido',
+      invalid_type_error: 'El token debe ser un string'
+    })
+    .min(1, 'El token de recuperación no puede estar vacío')
+    .max(200, 'El token de recuperación es inválido'),
+
+  newPassword: passwordSchema,
+
+  confirmPassword: z
+    .string({
+      required_error: 'La confirmación de contraseña es requerida',
+      invalid_type_error: 'La confirmación debe ser un string'
+    })
+    .min(1, 'La confirmación de contraseña no puede estar vacía')
+}).refine((data) => data.newPassword === data.confirmPassword, {
+  message: "Las contraseñas no coinciden",
+  path: ["confirmPassword"]
+});
+
+/**
+ * Código TOTP de la aplicación de autenticación
+ */
+const totpCodeSchema = z
+  .string({
+    required_error: 'El código de verificación es requerido',
+    invalid_type_error: 'El código debe ser un string'
+  })
+  .trim()
+  .regex(/^\d{6}$/, 'El código debe tener 6 dígitos');
+
+/**
+ * Esquema de validación para las operaciones confirmadas con un código TOTP
+ */
+const mfaCodeSchema = z.object({
+  code: totpCodeSchema
+});
+
+/**
+ * Código TOTP o de recuperación (exactamente uno de los dos)
+ */
+const mfaCredentialsFields = {
+  code: totpCodeSchema.optional(),
+  recoveryCode: z
+    .string({ invalid_type_error: 'El código de recuperación debe ser un string' })
+    .trim()
+    .min(1, 'El código de recuperación no puede estar vacío')
+    .max(32, 'El código de recuperación es inválido')
+    .optional()
+};
+
+const exactlyOneMfaCredential = [
+  (data) => Boolean(data.code) !== Boolean(data.recoveryCode),
+  {
+    message: 'Envía el código de la aplicación o un código de recuperación',
+    path: ['code']
+  }
+];
+
+/**
+ * Esquema de validación para desactivar el segundo factor
+ */
+const mfaCredentialsSchema = z.object(mfaCredentialsFields).refine(...exactlyOneMfaCredential);
+
+/**
+ * Esquema de validación para el segundo paso del login
+ */
+const mfaVerifySchema = z.object({
+  challengeToken: z
+    .string({
+      required_error: 'El token de desafío es requerido',
+      invalid_type_error: 'El token de desafío debe ser un string'
+    })
+    .min(1, 'El token de desafío no puede estar vacío')
+    .max(2000, 'El token de desafío es inválido'),
+  ...mfaCredentialsFields
+}).refine(...exactlyOneMfaCredential);
+
+/**
+ * Código HTTP para los rechazos del login que no son credenciales inválidas (401)
+ */
+const LOGIN_ERROR_STATUS = {
+  // Credenciales correctas con email sin verificar: 403 para que el cliente ofrezca el reenvío
+  EMAIL_NOT_VERIFIED: 403,
+  ACCOUNT_LOCKED: 423
+};
+
+/**
+ * Código HTTP para los rechazos del segundo paso del login
+ */
+const MFA_LOGIN_ERROR_STATUS = {
+  INVALID_MFA_CHALLENGE: 401,
+  INVALID_MFA_CODE: 401,
+  ACCOUNT_DISABLED: 401,
+  ACCOUNT_LOCKED: 423
+};
+
+/**
+ * Código HTTP para los rechazos de la gestión del segundo factor
+ */
+const MFA_ERROR_STATUS = {
+  USER_NOT_FOUND: 404,
+  MFA_ALREADY_ENABLED: 409,
+  MFA_NOT_ENABLED: 409,
+  MFA_SETUP_NOT_STARTED: 409,
+  MFA_REQUIRED_BY_POLICY: 403,
+  INVALID_MFA_CODE: 400
+};
+
+/**
+ * Código HTTP para los rechazos del cambio de contraseña
+ */
+const CHANGE_PASSWORD_ERROR_STATUS = {
+  ACCOUNT_DISABLED: 401,
+  INVALID_CURRENT_PASSWORD: 400,
+  PASSWORD_REUSED: 400
+};
+
+/**
+ * Mensaje del registro según cómo se verificará la cuenta
+ * @param {string} email - Email o código estudiantil registrado
+ * @param {boolean} verificationEmailSent - Si se envió el enlace de verificación
+ * @returns {string}
+ */
+const registrationMessage = (email, verificationEmailSent) => {
+  if (verificationEmailSent) {
+    return 'Usuario registrado. Revisa tu correo para verificar tu email';
+  }
+  return isEmailAddress(email)
+    ? 'Usuario registrado. No se pudo enviar el enlace de verificación: solicita uno nuevo'
+    : 'Usuario registrado. Un administrador debe verificar la cuenta antes de que puedas iniciar sesión';
+};
+
 /**
  * Builder Pattern para respuestas HTTP consistentes
  * Complejidad: O(1) para construcción
@@ -175,12 +363,39 @@ class ValidationErrorHandler {
   }
 }
 
+/**
+ * Respuesta de un login rechazado; las cuentas bloqueadas indican cuándo reintentar
+ * @param {Object} res - Response de Express
+ * @param {Object} authResult - Resultado fallido de AuthService
+ * @param {number} status - Código HTTP
+ * @param {string} [requestId]
+ * @returns {Object}
+ */
+const sendLoginFailure = (res, authResult, status, requestId = null) => {
+  if (authResult.data?.retryAfter) {
+    res.set('Retry-After', String(authResult.data.retryAfter));
+  }
+
+  const response = new HttpResponseBuilder()
+    .setSuccess(false)
+    .setMessage(authResult.message)
+    .setErrors(authResult.errors)
+    .setData(authResult.data || null)
+    .setRequestId(requestId)
+    .build();
+
+  return res.status(status).json(response);
+};
+
 /**
  * Controlador principal de autenticación
  */
 class AuthController {
   constructor() {
     this.authService = new AuthService();
+    this.passwordResetService = new PasswordResetService();
+    this.emailVerificationService = new EmailVerificationService();
+    this.mfaService = new MfaService();
   }
 
   /**
@@ -231,14 +446,22 @@ class AuthController {
         console.log(`❌ [LOGIN_FAILED] Email: ${email} - Reason: ${authResult.errors?.[0]} - Time: ${executionTime}ms`);
         
         // Respuesta consistente para credenciales inválidas (no revelar detalles específicos)
+        const status = LOGIN_ERROR_STATUS[authResult.errors?.[0]] || 401;
+        return sendLoginFailure(res, authResult, status, requestId);
+      }
+
+      // Contraseña correcta con segundo factor activo: falta el código (POST /api/auth/mfa/verify)
+      if (authResult.data.mfaRequired) {
+        console.log(`🔐 [LOGIN_MFA_CHALLENGE] Email: ${email} - UserID: ${authResult.data.user.id} - Time: ${executionTime}ms`);
+
         const response = new HttpResponseBuilder()
-          .setSuccess(false)
+          .setSuccess(true)
           .setMessage(authResult.message)
-          .setErrors(authResult.errors)
+          .setData(authResult.data)
           .setRequestId(requestId)
           .build();
 
-        return res.status(401).json(response);
+        return res.status(200).json(response);
       }
 
       // Login exitoso
@@ -314,7 +537,9 @@ class AuthController {
           user: {
             id: req.user.id,
             email: req.user.email,
-            rol: req.user.rol
+            rol: req.user.rol,
+            mustChangePassword: req.user.mustChangePassword,
+            mfaSetupRequired: req.user.mfaSetupRequired
           },
           token: {
             issuedAt: new Date(req.user.tokenIat * 1000).toISOString(),
@@ -413,11 +638,9 @@ class AuthController {
       // Registro exitoso
       console.log(`✅ [REGISTER_SUCCESS] Email: ${email} - UserID: ${registrationResult.user.id} - Time: ${executionTime}ms`);
 
-      // Generar tokens automáticamente después del registro
-      const loginResult = await this.authService.login(
-        { email, password },
-        'email_password'
-      );
+      // Sin inicio de sesión automático: la cuenta debe verificar su email primero
+      const verificationEmailSent = await this.emailVerificationService
+        .sendVerification(registrationResult.user);
 
       // Preparar respuesta exitosa
       const responseData = {
@@ -425,13 +648,16 @@ class AuthController {
           id: registrationResult.user.id,
           email: registrationResult.user.email,
           rol: registrationResult.user.rol,
+          emailVerified: registrationResult.user.emailVerified,
           createdAt: registrationResult.user.createdAt
         },
-        tokens: loginResult.success ? loginResult.data.tokens : null,
+        tokens: null,
         registration: {
           registrationTime: new Date().toISOString(),
-          autoLogin: loginResult.success,
-          message: 'Usuario registrado exitosamente'
+          autoLogin: false,
+          verificationRequired: true,
+          verificationEmailSent,
+          message: registrationMessage(email, verificationEmailSent)
         },
         performance: {
           registrationTime: `${executionTime}ms`,
@@ -442,7 +668,7 @@ class AuthController {
 
       const response = new HttpResponseBuilder()
         .setSuccess(true)
-        .setMessage('Usuario registrado exitosamente')
+        .setMessage(responseData.registration.message)
         .setData(responseData)
         .setRequestId(requestId)
         .build();
@@ -471,6 +697,413 @@ class AuthController {
     }
   }
 
+  /**
+   * POST /api/auth/change-password - Cambiar la contraseña del usuario autenticado
+   * Obligatorio tras un restablecimiento por un ADMIN (mustChangePassword)
+   * Complejidad: O(2^saltRounds) por la verificación y el hash
+   */
+  async changePassword(req, res) {
+    try {
+      const validationResult = changePasswordSchema.safeParse(req.body);
+
+      if (!validationResult.success) {
+        const validationErrors = ValidationErrorHandler.formatZodErrors(validationResult.error);
+        return res.status(400).json(ValidationErrorHandler.createValidationResponse(validationErrors));
+      }
+
+      const { currentPassword, newPassword } = validationResult.data;
+      const result = await this.authService.changePassword(req.user.id, currentPassword, newPassword);
+
+      if (!result.success) {
+        console.log(`❌ [PASSWORD_CHANGE_FAILED] UserID: ${req.user.id} - Reason: ${result.error}`);
+
+        const response = new HttpResponseBuilder()
+          .setSuccess(false)
+          .setMessage(result.message)
+          .setErrors([result.error])
+          .build();
+
+        return res.status(CHANGE_PASSWORD_ERROR_STATUS[result.error] || 500).json(response);
+      }
+
+      console.log(`🔑 [PASSWORD_CHANGED] UserID: ${req.user.id}`);
+
+      const response = new HttpResponseBuilder()
+        .setSuccess(true)
+        .setMessage(result.message)
+        .setData({ tokens: result.tokens })
+        .build();
+
+      return res.status(200).json(response);
+    } catch (error) {
+      console.error('❌ Error en changePassword:', error);
+
+      const response = new HttpResponseBuilder()
+        .setSuccess(false)
+        .setMessage('Error cambiando la contraseña')
+        .setErrors(['INTERNAL_ERROR'])
+        .build();
+
+      return res.status(500).json(response);
+    }
+  }
+
+  /**
+   * POST /api/auth/forgot-password - Solicitar un enlace de recuperación de contraseña
+   * La respuesta es la misma exista o no la cuenta
+   * Complejidad: O(log n) + envío del correo
+   */
+  async forgotPassword(req, res) {
+    try {
+      const validationResult = emailRequestSchema.safeParse(req.body);
+
+      if (!validationResult.success) {
+        const validationErrors = ValidationErrorHandler.formatZodErrors(validationResult.error);
+        return res.status(400).json(ValidationErrorHandler.createValidationResponse(validationErrors));
+      }
+
+      const { email } = validationResult.data;
+      const result = await this.passwordResetService.requestReset(email);
+
+      console.log(`📨 [PASSWORD_RESET_REQUEST] Email: ${email} - IP: ${req.ip}`);
+
+      const response = new HttpResponseBuilder()
+        .setSuccess(true)
+        .setMessage(result.message)
+        .build();
+
+      return res.status(200).json(response);
+    } catch (error) {
+      console.error('❌ Error en forgotPassword:', error);
+
+      const response = new HttpResponseBuilder()
+        .setSuccess(false)
+        .setMessage('Error procesando la solicitud de recuperación')
+        .setErrors(['INTERNAL_ERROR'])
+        .build();
+
+      return res.status(500).json(response);
+    }
+  }
+
+  /**
+   * POST /api/auth/reset-password - Restablecer la contraseña con un token de recuperación
+   * Complejidad: O(log n + s) + O(2^saltRounds) por el hash
+   */
+  async resetPassword(req, res) {
+    try {
+      const validationResult = resetPasswordSchema.safeParse(req.body);
+
+      if (!validationResult.success) {
+        const validationErrors = ValidationErrorHandler.formatZodErrors(validationResult.error);
+        return res.status(400).json(ValidationErrorHandler.createValidationResponse(validationErrors));
+      }
+
+      const { token, newPassword } = validationResult.data;
+      const result = await this.passwordResetService.resetPassword(token, newPassword);
+
+      if (!result.success) {
+        console.log(`❌ [PASSWORD_RESET_FAILED] Reason: ${result.error} - IP: ${req.ip}`);
+
+        const response = new HttpResponseBuilder()
+          .setSuccess(false)
+          .setMessage(result.message)
+          .setErrors([result.error])
+          .build();
+
+        return res.status(result.error === 'INVALID_RESET_TOKEN' ? 400 : 500).json(response);
+      }
+
+      console.log(`🔑 [PASSWORD_RESET] UserID: ${result.data.userId} - RevokedSessions: ${result.data.sesionesRevocadas}`);
+
+      const response = new HttpResponseBuilder()
+        .setSuccess(true)
+        .setMessage(result.message)
+        .build();
+
+      return res.status(200).json(response);
+    } catch (error) {
+      console.error('❌ Error en resetPassword:', error);
+
+      const response = new HttpResponseBuilder()
+        .setSuccess(false)
+        .setMessage('Error restableciendo la contraseña')
+        .setErrors(['INTERNAL_ERROR'])
+        .build();
+
+      return res.status(500).json(response);
+    }
+  }
+
+  /**
+   * POST /api/auth/verify-email - Verificar el email con el token del enlace
+   * Complejidad: O(log n) - búsqueda por hash indexado
+   */
+  async verifyEmail(req, res) {
+    try {
+      const validationResult = verifyEmailSchema.safeParse(req.body);
+
+      if (!validationResult.success) {
+        const validationErrors = ValidationErrorHandler.formatZodErrors(validationResult.error);
+        return res.status(400).json(ValidationErrorHandler.createValidationResponse(validationErrors));
+      }
+
+      const result = await this.emailVerificationService.verifyEmail(validationResult.data.token);
+
+      if (!result.success) {
+        console.log(`❌ [EMAIL_VERIFICATION_FAILED] Reason: ${result.error} - IP: ${req.ip}`);
+
+        const response = new HttpResponseBuilder()
+          .setSuccess(false)
+          .setMessage(result.message)
+          .setErrors([result.error])
+          .build();
+
+        return res.status(400).json(response);
+      }
+
+      console.log(`✅ [EMAIL_VERIFIED] UserID: ${result.data.id} - Email: ${result.data.email}`);
+
+      const response = new HttpResponseBuilder()
+        .setSuccess(true)
+        .setMessage(result.message)
+        .setData({ user: result.data })
+        .build();
+
+      return res.status(200).json(response);
+    } catch (error) {
+      console.error('❌ Error en verifyEmail:', error);
+
+      const response = new HttpResponseBuilder()
+        .setSuccess(false)
+        .setMessage('Error verificando el email')
+        .setErrors(['INTERNAL_ERROR'])
+        .build();
+
+      return res.status(500).json(response);
+    }
+  }
+
+  /**
+   * POST /api/auth/resend-verification - Reenviar el enlace de verificación
+   * La respuesta es la misma exista o no la cuenta
+   * Complejidad: O(log n) + envío del correo
+   */
+  async resendVerification(req, res) {
+    try {
+      const validationResult = emailRequestSchema.safeParse(req.body);
+
+      if (!validationResult.success) {
+        const validationErrors = ValidationErrorHandler.formatZodErrors(validationResult.error);
+        return res.status(400).json(ValidationErrorHandler.createValidationResponse(validationErrors));
+      }
+
+      const { email } = validationResult.data;
+      const result = await this.emailVerificationService.resendVerification(email);
+
+      console.log(`📨 [EMAIL_VERIFICATION_RESEND] Email: ${email} - IP: ${req.ip}`);
+
+      const response = new HttpResponseBuilder()
+        .setSuccess(true)
+        .setMessage(result.message)
+        .build();
+
+      return res.status(200).json(response);
+    } catch (error) {
+      console.error('❌ Error en resendVerification:', error);
+
+      const response = new HttpResponseBuilder()
+        .setSuccess(false)
+        .setMessage('Error reenviando el enlace de verificación')
+        .setErrors(['INTERNAL_ERROR'])
+        .build();
+
+      return res.status(500).json(response);
+    }
+  }
+
+  /**
+   * POST /api/auth/mfa/verify - Segundo paso del login con el código TOTP o de recuperación
+   * Complejidad: O(log n) - verificación del desafío y del código
+   */
+  async verifyMfa(req, res) {
+    try {
+      const validationResult = mfaVerifySchema.safeParse(req.body);
+
+      if (!validationResult.success) {
+        const validationErrors = ValidationErrorHandler.formatZodErrors(validationResult.error);
+        return res.status(400).json(ValidationErrorHandler.createValidationResponse(validationErrors));
+      }
+
+      const { challengeToken, code, recoveryCode } = validationResult.data;
+      const authResult = await this.authService.completeMfaLogin(challengeToken, { code, recoveryCode });
+
+      if (!authResult.success) {
+        console.log(`❌ [LOGIN_MFA_FAILED] Reason: ${authResult.errors?.[0]} - IP: ${req.ip}`);
+
+        return sendLoginFailure(res, authResult, MFA_LOGIN_ERROR_STATUS[authResult.errors?.[0]] || 500);
+      }
+
+      console.log(`✅ [LOGIN_SUCCESS] Email: ${authResult.data.user.email} - UserID: ${authResult.data.user.id} - MFA: ${authResult.data.mfa.method}`);
+
+      const response = new HttpResponseBuilder()
+        .setSuccess(true)
+        .setMessage(authResult.message)
+        .setData(authResult.data)
+        .build();
+
+      return res.status(200).json(response);
+    } catch (error) {
+      console.error('❌ Error en verifyMfa:', error);
+
+      const response = new HttpResponseBuilder()
+        .setSuccess(false)
+        .setMessage('Error verificando el segundo factor')
+        .setErrors(['INTERNAL_ERROR'])
+        .build();
+
+      return res.status(500).json(response);
+    }
+  }
+
+  /**
+   * Responde el resultado de una operación de gestión del segundo factor
+   * Las respuestas pueden incluir secretos o códigos de recuperación: nunca se cachean
+   * Complejidad: O(1)
+   */
+  sendMfaResult(res, result) {
+    res.set('Cache-Control', 'no-store');
+
+    const response = new HttpResponseBuilder()
+      .setSuccess(result.success)
+      .setMessage(result.message)
+      .setData(result.data || null);
+
+    if (!result.success) {
+      response.setErrors([result.error]);
+      return res.status(MFA_ERROR_STATUS[result.error] || 500).json(response.build());
+    }
+
+    return res.status(200).json(response.build());
+  }
+
+  /**
+   * Respuesta estándar para errores inesperados de la gestión del segundo factor
+   * Complejidad: O(1)
+   */
+  sendMfaError(res, context, message, error) {
+    console.error(`❌ Error en ${context}:`, error);
+
+    const response = new HttpResponseBuilder()
+      .setSuccess(false)
+      .setMessage(message)
+      .setErrors(['INTERNAL_ERROR'])
+      .build();
+
+    return res.status(500).json(response);
+  }
+
+  /**
+   * GET /api/auth/mfa/status - Estado del segundo factor del usuario autenticado
+   * Complejidad: O(log n)
+   */
+  async getMfaStatus(req, res) {
+    try {
+      const result = await this.mfaService.getStatus(req.user.id);
+      return this.sendMfaResult(res, result);
+    } catch (error) {
+      return this.sendMfaError(res, 'getMfaStatus', 'Error obteniendo el estado del segundo factor', error);
+    }
+  }
+
+  /**
+   * POST /api/auth/mfa/setup - Iniciar el registro del segundo factor
+   * Complejidad: O(log n)
+   */
+  async setupMfa(req, res) {
+    try {
+      const result = await this.mfaService.startEnrollment(req.user.id);
+      return this.sendMfaResult(res, result);
+    } catch (error) {
+      return this.sendMfaError(res, 'setupMfa', 'Error iniciando el registro del segundo factor', error);
+    }
+  }
+
+  /**
+   * POST /api/auth/mfa/confirm - Confirmar el registro con un código de la aplicación
+   * Complejidad: O(log n + c + s)
+   */
+  async confirmMfa(req, res) {
+    try {
+      const validationResult = mfaCodeSchema.safeParse(req.body);
+
+      if (!validationResult.success) {
+        const validationErrors = ValidationErrorHandler.formatZodErrors(validationResult.error);
+        return res.status(400).json(ValidationErrorHandler.createValidationResponse(validationErrors));
+      }
+
+      const result = await this.mfaService.confirmEnrollment(req.user.id, validationResult.data.code);
+
+      if (result.success) {
+        console.log(`🔐 [MFA_ENABLED] UserID: ${req.user.id}`);
+      }
+
+      return this.sendMfaResult(res, result);
+    } catch (error) {
+      return this.sendMfaError(res, 'confirmMfa', 'Error confirmando el segundo factor', error);
+    }
+  }
+
+  /**
+   * POST /api/auth/mfa/disable - Desactivar el segundo factor
+   * Complejidad: O(log n + c)
+   */
+  async disableMfa(req, res) {
+    try {
+      const validationResult = mfaCredentialsSchema.safeParse(req.body);
+
+      if (!validationResult.success) {
+        const validationErrors = ValidationErrorHandler.formatZodErrors(validationResult.error);
+        return res.status(400).json(ValidationErrorHandler.createValidationResponse(validationErrors));
+      }
+
+      const result = await this.mfaService.disable(req.user.id, validationResult.data);
+
+      if (result.success) {
+        console.log(`🔓 [MFA_DISABLED] UserID: ${req.user.id}`);
+      }
+
+      return this.sendMfaResult(res, result);
+    } catch (error) {
+      return this.sendMfaError(res, 'disableMfa', 'Error desactivando el segundo factor', error);
+    }
+  }
+
+  /**
+   * POST /api/auth/mfa/recovery-codes - Regenerar los códigos de recuperación
+   * Complejidad: O(log n + c)
+   */
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const validationResult = mfaCodeSchema.safeParse(req.body);
+
+      if (!validationResult.success) {
+        const validationErrors = ValidationErrorHandler.formatZodErrors(validationResult.error);
+        return res.status(400).json(ValidationErrorHandler.createValidationResponse(validationErrors));
+      }
+
+      const result = await this.mfaService.regenerateRecoveryCodes(req.user.id, validationResult.data.code);
+
+      if (result.success) {
+        console.log(`🔐 [MFA_RECOVERY_CODES_REGENERATED] UserID: ${req.user.id}`);
+      }
+
+      return this.sendMfaResult(res, result);
+    } catch (error) {
+      return this.sendMfaError(res, 'regenerateRecoveryCodes', 'Error regenerando los códigos de recuperación', error);
+    }
+  }
+
   /**
    * POST /api/auth/logout - Cerrar sesión
    * Complejidad: O(1) - solo confirma el logout
@@ -508,6 +1141,13 @@ class AuthController {
       login: 'O(log n) - Validación O(1) + Autenticación O(log n)',
       getCurrentUser: 'O(1) - Información desde token',
       logout: 'O(1) - Solo respuesta de confirmación',
+      changePassword: 'O(2^saltRounds) - Verificación y hash de contraseña',
+      forgotPassword: 'O(log n) - Búsqueda por email indexado + envío de correo',
+      resetPassword: 'O(log n) - Búsqueda por hash indexado + O(2^saltRounds) del hash',
+      verifyEmail: 'O(log n) - Búsqueda por hash indexado',
+      resendVerification: 'O(log n) - Búsqueda por email indexado + envío de correo',
+      verifyMfa: 'O(log n) - Verificación del desafío y del código TOTP o de recuperación',
+      mfaManagement: 'O(log n + c) donde c = códigos de recuperación',
       validation: 'O(k) donde k = número de campos a validar',
       responseBuilding: 'O(1) - Construcción de objeto respuesta'
     };
@@ -522,5 +1162,16 @@ export const login = authController.login.bind(authController);
 export const register = authController.register.bind(authController);
 export const getCurrentUser = authController.getCurrentUser.bind(authController);
 export const logout = authController.logout.bind(authController);
+export const changePassword = authController.changePassword.bind(authController);
+export const forgotPassword = authController.forgotPassword.bind(authController);
+export const resetPassword = authController.resetPassword.bind(authController);
+export const verifyEmail = authController.verifyEmail.bind(authController);
+export const resendVerification = authController.resendVerification.bind(authController);
+export const verifyMfa = authController.verifyMfa.bind(authController);
+export const getMfaStatus = authController.getMfaStatus.bind(authController);
+export const setupMfa = authController.setupMfa.bind(authController);
+export const confirmMfa = authController.confirmMfa.bind(authController);
+export const disableMfa = authController.disableMfa.bind(authController);
+export const regenerateRecoveryCodes = authController.regenerateRecoveryCodes.bind(authController);
 
-export default AuthController;
\ No newline at end of file
+export default AuthController;
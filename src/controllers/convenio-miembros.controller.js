@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Controlador de miembros de convenios
+ * @description Endpoints para consultar el permiso propio sobre un convenio y administrar
+ * sus miembros (Propietario / Editor / Lector). La lógica de datos se delega en
+ * ConvenioMiembroService; el permiso requerido lo verifica requireConvenioAcceso.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ */
+
+import ConvenioMiembroService from '../services/convenio-miembros.service.js';
+
+const miembroService = new ConvenioMiembroService();
+
+/**
+ * Código HTTP para resultados fallidos del servicio
+ */
+const MIEMBRO_ERROR_STATUS = {
+  CONVENIO_NOT_FOUND: 404,
+  USUARIO_NOT_FOUND: 404,
+  MIEMBRO_NOT_FOUND: 404
+};
+
+/**
+ * Envía el resultado del servicio con el código HTTP correspondiente
+ */
+const sendResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(MIEMBRO_ERROR_STATUS[result.error] || 400).json(result);
+  }
+  return res.status(successStatus).json(result);
+};
+
+/**
+ * Respuesta estándar para errores inesperados
+ */
+const sendError = (res, message, error) => res.status(500).json({
+  success: false,
+  message,
+  error: error.message,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Permiso efectivo del usuario autenticado sobre el convenio
+ * Ruta esperada: GET /api/convenios/:convenioId/acceso
+ * Complejidad: O(1) (calculado por requireConvenioAcceso)
+ */
+export const getMiAcceso = (req, res) => {
+  res.json({
+    success: true,
+    data: req.accesoConvenio
+  });
+};
+
+/**
+ * Listar los miembros de un convenio
+ * Ruta esperada: GET /api/convenios/:convenioId/miembros
+ * Complejidad: O(m log m)
+ */
+export const getMiembros = async (req, res) => {
+  try {
+    const result = await miembroService.listMiembros(req.validatedParams.convenioId);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener miembros del convenio', error);
+  }
+};
+
+/**
+ * Agregar un miembro o cambiar su rol en el convenio
+ * Ruta esperada: PUT /api/convenios/:convenioId/miembros/:userId
+ * Complejidad: O(log n)
+ */
+export const setMiembro = async (req, res) => {
+  try {
+    const { convenioId, userId } = req.validatedParams;
+    const { rol } = req.validatedBody;
+    const result = await miembroService.setMiembro(convenioId, userId, rol, req.user.id);
+
+    if (result.success) {
+      console.log(`👥 [CONVENIO_MIEMBRO] ConvenioID: ${convenioId} - UserID: ${userId} - Rol: ${rol} - AssignedBy: ${req.user.id}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al asignar miembro del convenio', error);
+  }
+};
+
+/**
+ * Quitar un miembro del convenio
+ * Ruta esperada: DELETE /api/convenios/:convenioId/miembros/:userId
+ * Complejidad: O(log n)
+ */
+export const removeMiembro = async (req, res) => {
+  try {
+    const { convenioId, userId } = req.validatedParams;
+    const result = await miembroService.removeMiembro(convenioId, userId);
+
+    if (result.success) {
+      console.log(`👥 [CONVENIO_MIEMBRO_REMOVE] ConvenioID: ${convenioId} - UserID: ${userId} - RemovedBy: ${req.user.id}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al eliminar miembro del convenio', error);
+  }
+};
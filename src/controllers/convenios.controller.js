@@ -1,7 +1,9 @@
 /**
  * @fileoverview Controlador de Convenios - Lógica de Consulta Optimizada
  * @description Implementa la lógica de consulta a la base de datos con filtros eficientes
- * y patrones de diseño para optimizar el rendimiento y mantenibilidad
+ * y patrones de diseño para optimizar el rendimiento y mantenibilidad.
+ * Las operaciones de escritura se delegan en ConvenioCommandService y los
+ * cambios de estado en ConvenioWorkflowService.
  * @module controllers/convenios
  * @version 1.0.0
  * 
@@ -10,14 +12,27 @@
  * @property {string[]} [estados] - Lista de estados para filtrar
  * @property {string} [fechaInicio] - Fecha de inicio mínima (formato YYYY-MM-DD)
  * @property {string} [fechaFin] - Fecha de fin máxima (formato YYYY-MM-DD)
- * @property {string} [busqueda] - Texto para búsqueda en nombre y descripción
+ * @property {string} [busqueda] - Texto para búsqueda de texto completo (nombre, descripción, partes y documentos)
+ * @property {number[]} [parteIds] - Convenios con alguna de estas partes
+ * @property {string} [parte] - Convenios con una parte cuyo nombre (o alias) contiene el texto
+ * @property {string} [parteTipo] - Convenios con una parte de este tipo
+ * @property {number[]} [etiquetaIds] - Convenios con alguna de estas etiquetas o áreas
+ * @property {string} [fechaFinDesde] - Fecha de fin mínima (formato YYYY-MM-DD)
+ * @property {string} [fechaFinHasta] - Fecha de fin máxima (formato YYYY-MM-DD)
+ * @property {boolean} [conActividades] - true: con actividades; false: sin actividades
+ * @property {string} [operador='AND'] - Cómo se combinan los filtros (AND, OR); la búsqueda de texto siempre restringe
+ * @property {number[]|null} [alcance] - Unidades organizacionales visibles para el usuario (siempre restringe);
+ * null o ausente no restringe (ADMIN)
  * 
  * @typedef {Object} QueryOptions
  * @property {boolean} [includePartes=false] - Incluir relaciones con partes
- * @property {string} [sortBy='createdAt'] - Campo para ordenamiento
+ * @property {string} [sortBy='createdAt'] - Campo para ordenamiento; con búsqueda de texto, por defecto 'relevancia'
  * @property {string} [sortOrder='desc'] - Dirección de ordenamiento (asc, desc)
  * @property {number} [page=1] - Número de página para paginación
  * @property {number} [limit=10] - Límite de registros por página
+ * @property {string} [pagination] - 'cursor' para paginación por cursor en lugar de page
+ * @property {string} [after] - Cursor: página siguiente a la que lo generó
+ * @property {string} [before] - Cursor: página anterior a la que lo generó
  * 
  * Patrones implementados:
  * - Repository Pattern: Separación de lógica de acceso a datos
@@ -28,8 +43,8 @@
  * Complejidad Big O optimizada:
  * - Consultas básicas: O(log n) usando índices de BD
  * - Filtros múltiples: O(log n * m) donde m = número de filtros
- * - Búsqueda de texto: O(log n) usando índices de texto completo
- * - Paginación: O(1) usando OFFSET/LIMIT
+ * - Búsqueda de texto: O(log n + m) usando índices GIN de texto completo (ConvenioSearchService)
+ * - Paginación: O(1) usando OFFSET/LIMIT, O(log n + k) por cursor (keyset) en páginas profundas
  * 
  * Seguridad implementada:
  * - Validación de parámetros de entrada
@@ -38,9 +53,63 @@
  */
 
 import { PrismaClient } from '@prisma/client';
+import ConvenioCommandService from '../services/convenios.service.js';
+import ConvenioWorkflowService from '../services/convenio-workflow.service.js';
+import ConvenioHistoryService from '../services/convenio-history.service.js';
+import ConvenioRenewalService from '../services/convenio-renewal.service.js';
+import ConvenioImportService from '../services/convenio-import.service.js';
+import ParteService from '../services/partes.service.js';
+import { getFechaFinEfectiva, ULTIMA_PRORROGA_SELECT } from '../services/adendas.service.js';
+import { OBLIGACIONES_DETALLE, serializeObligacion } from '../services/obligaciones.service.js';
+import { ETIQUETAS_CONVENIO_INCLUDE, serializeEtiquetas } from '../services/etiquetas.service.js';
+import { UNIDAD_RESUMEN_SELECT, buildAlcanceWhere } from '../services/unidades.service.js';
+import ConvenioSearchService from '../services/convenio-search.service.js';
+import { detectFormat, EXPORT_CONTENT_TYPES } from '../lib/spreadsheet.js';
+import ConvenioExportService, {
+  EXPORT_INCLUDE,
+  buildExportFilename
+} from '../services/convenio-export.service.js';
+import {
+  isCursorMode,
+  encodeCursor,
+  buildCursorQuery,
+  sliceByCursor,
+  buildCursorPage
+} from '../lib/cursor-pagination.js';
 
 const prisma = new PrismaClient();
 
+// Reutiliza la búsqueda de partes por nombre/alias y tipo en los filtros de convenios
+const parteService = new ParteService();
+
+/**
+ * Convenios por lote al recorrer listados completos (exportaciones)
+ */
+const STREAM_BATCH_SIZE = 500;
+
+/**
+ * Máximo de IDs (los más recientes) que se guardan como coincidencias conocidas de una
+ * búsqueda guardada
+ */
+const MAX_COINCIDENCIAS_GUARDADAS = 1000;
+
+/**
+ * Ordenamiento por relevancia de texto completo; el mismo de ConvenioSearchService:
+ * rank DESC, id DESC
+ */
+const ORDEN_RELEVANCIA = { field: 'rank', order: 'desc' };
+
+/**
+ * Ordenamiento por campo de una query construida, en el formato de cursor-pagination
+ * @param {Object} query - Query construida (orderBy)
+ * @returns {Array<Object>} [{ field, order }]
+ * @complexity O(1)
+ */
+const getFieldSort = (query) => {
+  const [[field, order] = ['createdAt', 'desc']] = Object.entries(query.orderBy);
+  return [{ field, order }];
+};
+
 /**
  * @class ConvenioQueryBuilder
  * @description Builder pattern para construir queries Prisma de forma dinámica
@@ -55,6 +124,14 @@ const prisma = new PrismaClient();
  *   .includePartes(true)
  *   .paginate(1, 10)
  *   .build();
+ *
+ * @example
+ * // Convenios con una parte de tipo empresa O que terminan en 2025
+ * const query = new ConvenioQueryBuilder()
+ *   .filterByParteTipo('Empresa')
+ *   .filterByFechaFinRange('2025-01-01', '2025-12-31')
+ *   .combineWith('OR')
+ *   .build();
  */
 class ConvenioQueryBuilder {
   constructor() {
@@ -69,6 +146,19 @@ class ConvenioQueryBuilder {
       skip: undefined,
       take: undefined
     };
+    this.operador = 'AND';
+    return this;
+  }
+
+  /**
+   * Agrega una condición que no ocupa una clave propia del where (p. ej. varias sobre partes)
+   * @param {Object} condicion - Condición Prisma
+   * @returns {ConvenioQueryBuilder} - Instancia actual para encadenamiento
+   * @complexity O(1)
+   * @private
+   */
+  addCondition(condicion) {
+    this.query.where.AND = [...(this.query.where.AND || []), condicion];
     return this;
   }
 
@@ -112,8 +202,9 @@ class ConvenioQueryBuilder {
    * Aplica filtro de búsqueda de texto en nombre y descripción
    * @param {string} searchText - Texto a buscar
    * @returns {ConvenioQueryBuilder} - Instancia actual para encadenamiento
-   * @complexity O(1) construcción, O(log n) con índice de texto completo
+   * @complexity O(1) construcción, O(n) ejecución (ILIKE sin índice)
    * @security Sanitiza el texto de búsqueda para prevenir inyecciones
+   * @deprecated ConvenioQueryService usa ConvenioSearchService (texto completo)
    */
   filterBySearchText(searchText) {
     if (searchText && searchText.trim()) {
@@ -136,6 +227,139 @@ class ConvenioQueryBuilder {
     return this;
   }
 
+  /**
+   * Restringe la consulta a un conjunto de IDs (p. ej. coincidencias de texto completo)
+   * @param {number[]|null} ids - IDs permitidos; null no aplica filtro
+   * @returns {ConvenioQueryBuilder} - Instancia actual para encadenamiento
+   * @complexity O(1) construcción, O(k log n) ejecución con índice de clave primaria
+   */
+  filterByIds(ids) {
+    if (Array.isArray(ids)) {
+      this.query.where.id = { in: ids };
+    }
+    return this;
+  }
+
+  /**
+   * Restringe la consulta a los convenios de las unidades organizacionales del usuario.
+   * Como filterByIds, se aplica siempre con AND aunque los filtros se combinen con OR.
+   * @param {number[]|null} unidadIds - Alcance del usuario; null no aplica filtro (ADMIN)
+   * @returns {ConvenioQueryBuilder} - Instancia actual para encadenamiento
+   * @complexity O(1) construcción, O(log n) ejecución con índice en Convenio.unidadId
+   */
+  filterByAlcance(unidadIds) {
+    if (Array.isArray(unidadIds)) {
+      this.query.where.unidadId = { in: unidadIds };
+    }
+    return this;
+  }
+
+  /**
+   * Aplica filtro por rango de fecha de fin del convenio (fecha pactada, sin prórrogas)
+   * @param {string} desde - Fecha de fin mínima (formato YYYY-MM-DD)
+   * @param {string} hasta - Fecha de fin máxima (formato YYYY-MM-DD)
+   * @returns {ConvenioQueryBuilder} - Instancia actual para encadenamiento
+   * @complexity O(1) construcción, O(log n) ejecución con índice
+   */
+  filterByFechaFinRange(desde, hasta) {
+    if (desde || hasta) {
+      this.query.where.fechaFin = {};
+
+      if (desde) {
+        this.query.where.fechaFin.gte = new Date(desde);
+      }
+
+      if (hasta) {
+        this.query.where.fechaFin.lte = new Date(hasta);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Aplica filtro por partes asociadas (convenios con al menos una de ellas)
+   * @param {number[]} parteIds - IDs de partes
+   * @returns {ConvenioQueryBuilder} - Instancia actual para encadenamiento
+   * @complexity O(1) construcción, O(log n) ejecución con índice en ConvenioParte.parteId
+   */
+  filterByPartes(parteIds) {
+    if (Array.isArray(parteIds) && parteIds.length > 0) {
+      this.addCondition({ partes: { some: { parteId: { in: parteIds } } } });
+    }
+    return this;
+  }
+
+  /**
+   * Aplica filtro por nombre de parte; incluye alias de partes fusionadas
+   * @param {string} nombre - Texto contenido en el nombre de la parte
+   * @returns {ConvenioQueryBuilder} - Instancia actual para encadenamiento
+   * @complexity O(1) construcción, O(p) ejecución donde p = partes
+   */
+  filterByParteNombre(nombre) {
+    if (nombre && nombre.trim()) {
+      this.addCondition({
+        partes: { some: { parte: parteService.buildWhere({ nombre: nombre.trim() }) } }
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Aplica filtro por tipo de parte (sin distinguir mayúsculas)
+   * @param {string} tipo - Tipo de parte (p. ej. Empresa, Universidad)
+   * @returns {ConvenioQueryBuilder} - Instancia actual para encadenamiento
+   * @complexity O(1) construcción, O(p) ejecución donde p = partes
+   */
+  filterByParteTipo(tipo) {
+    if (tipo && tipo.trim()) {
+      this.addCondition({
+        partes: { some: { parte: parteService.buildWhere({ tipo: tipo.trim() }) } }
+      });
+    }
+    return this;
+  }
+
+  /**
+   * Aplica filtro por etiquetas o áreas temáticas (convenios con al menos una de ellas)
+   * @param {number[]} etiquetaIds - IDs de etiquetas
+   * @returns {ConvenioQueryBuilder} - Instancia actual para encadenamiento
+   * @complexity O(1) construcción, O(log n) ejecución con índice en ConvenioEtiqueta.etiquetaId
+   */
+  filterByEtiquetas(etiquetaIds) {
+    if (Array.isArray(etiquetaIds) && etiquetaIds.length > 0) {
+      this.addCondition({ etiquetas: { some: { etiquetaId: { in: etiquetaIds } } } });
+    }
+    return this;
+  }
+
+  /**
+   * Aplica filtro por presencia de actividades
+   * @param {boolean} [conActividades] - true: con actividades; false: sin actividades
+   * @returns {ConvenioQueryBuilder} - Instancia actual para encadenamiento
+   * @complexity O(1) construcción, O(log n) ejecución con índice en Actividad.convenioId
+   */
+  filterByActividades(conActividades) {
+    if (typeof conActividades === 'boolean') {
+      this.query.where.actividades = conActividades ? { some: {} } : { none: {} };
+    }
+    return this;
+  }
+
+  /**
+   * Define cómo se combinan los filtros al construir la query
+   * La restricción por IDs (búsqueda de texto completo) y el alcance por unidades se
+   * aplican siempre con AND.
+   * @param {string} [operador='AND'] - 'AND' o 'OR'
+   * @returns {ConvenioQueryBuilder} - Instancia actual para encadenamiento
+   * @complexity O(1)
+   */
+  combineWith(operador = 'AND') {
+    if (['AND', 'OR'].includes(operador)) {
+      this.operador = operador;
+    }
+    return this;
+  }
+
   /**
    * Aplica filtro por múltiples estados del convenio
    * @param {string[]} estados - Lista de estados válidos
@@ -218,7 +442,25 @@ class ConvenioQueryBuilder {
    * @complexity O(1)
    */
   build() {
-    return { ...this.query };
+    if (this.operador !== 'OR') {
+      return { ...this.query };
+    }
+
+    // OR: cada filtro pasa a ser una alternativa; los IDs y el alcance siguen restringiendo
+    const { id, unidadId, AND: condicionesExtra = [], ...campos } = this.query.where;
+    const condiciones = [
+      ...Object.entries(campos).map(([campo, valor]) => ({ [campo]: valor })),
+      ...condicionesExtra
+    ];
+
+    return {
+      ...this.query,
+      where: {
+        ...(id && { id }),
+        ...(unidadId && { unidadId }),
+        ...(condiciones.length > 0 && { OR: condiciones })
+      }
+    };
   }
 }
 
@@ -238,6 +480,30 @@ class ConvenioQueryBuilder {
 class ConvenioQueryService {
   constructor() {
     this.queryBuilder = new ConvenioQueryBuilder();
+    this.searchService = new ConvenioSearchService();
+  }
+
+  /**
+   * Reinicia el builder y aplica todos los filtros de convenio
+   * @param {ConvenioFilter} filters - Filtros de búsqueda
+   * @returns {ConvenioQueryBuilder} Builder con los filtros aplicados
+   * @complexity O(m) donde m = número de filtros
+   * @private
+   */
+  applyFilters(filters) {
+    return this.queryBuilder
+      .reset()
+      .filterByEstado(filters.estado)
+      .filterByEstados(filters.estados)
+      .filterByDateRange(filters.fechaInicio, filters.fechaFin)
+      .filterByFechaFinRange(filters.fechaFinDesde, filters.fechaFinHasta)
+      .filterByPartes(filters.parteIds)
+      .filterByParteNombre(filters.parte)
+      .filterByParteTipo(filters.parteTipo)
+      .filterByEtiquetas(filters.etiquetaIds)
+      .filterByActividades(filters.conActividades)
+      .filterByAlcance(filters.alcance)
+      .combineWith(filters.operador);
   }
 
   /**
@@ -274,17 +540,18 @@ class ConvenioQueryService {
    */
   async findConveniosWithFilters(filters = {}, options = {}, debugMode = false) {
     try {
+      // Búsqueda de texto completo: la coincidencia se evalúa en SQL sobre los convenios filtrados
+      const busqueda = filters.busqueda?.trim();
+      const porRelevancia = Boolean(busqueda) &&
+        (!options.sortBy || options.sortBy === 'relevancia');
+
       // Resetear y construir query usando Builder Pattern
-      const query = this.queryBuilder
-        .reset()
-        .filterByEstado(filters.estado)
-        .filterByEstados(filters.estados)
-        .filterByDateRange(filters.fechaInicio, filters.fechaFin)
-        .filterBySearchText(filters.busqueda)
+      const query = this.applyFilters(filters)
         .includePartes(options.includePartes)
-        .sortBy(options.sortBy, options.sortOrder)
+        .sortBy(options.sortBy === 'relevancia' ? undefined : options.sortBy, options.sortOrder)
         .paginate(options.page, options.limit)
         .build();
+      const sort = porRelevancia ? [ORDEN_RELEVANCIA] : getFieldSort(query);
 
       // 🔍 DEBUG: Mostrar query generada
       if (debugMode) {
@@ -294,20 +561,52 @@ class ConvenioQueryService {
           estados: filters.estados ? `✅ (${filters.estados.length})` : '❌',
           fechaInicio: filters.fechaInicio ? '✅' : '❌',
           fechaFin: filters.fechaFin ? '✅' : '❌',
-          busqueda: filters.busqueda ? `✅ ("${filters.busqueda}")` : '❌',
+          fechaFinRango: filters.fechaFinDesde || filters.fechaFinHasta ? '✅' : '❌',
+          partes: filters.parteIds?.length || filters.parte || filters.parteTipo ? '✅' : '❌',
+          etiquetas: filters.etiquetaIds?.length ? `✅ (${filters.etiquetaIds.length})` : '❌',
+          conActividades: typeof filters.conActividades === 'boolean' ? `✅ (${filters.conActividades})` : '❌',
+          operador: filters.operador || 'AND',
+          alcance: Array.isArray(filters.alcance) ? `✅ (${filters.alcance.length} unidades)` : '❌ (sin restricción)',
+          busqueda: busqueda ? `✅ ("${busqueda}")` : '❌',
           includePartes: options.includePartes ? '✅' : '❌',
-          sortBy: options.sortBy || 'createdAt',
+          sortBy: porRelevancia ? 'relevancia' : (options.sortBy || 'createdAt'),
           sortOrder: options.sortOrder || 'desc'
         });
       }
 
       const startTime = Date.now();
 
+      const cursorMode = isCursorMode(options);
+      let convenios;
+      let total = null;
+      let cursorPage = null;
+
       // Ejecutar consulta principal - O(log n * m)
-      const [convenios, total] = await Promise.all([
-        prisma.convenio.findMany(query),
-        this.countConveniosWithFilters(filters, debugMode) // Contar total para paginación
-      ]);
+      if (cursorMode) {
+        cursorPage = busqueda
+          ? await this.findSearchCursorPage(query, busqueda, sort, options)
+          : await this.findCursorPage(query, sort, options);
+
+        if (!cursorPage) {
+          return {
+            success: false,
+            error: 'INVALID_CURSOR',
+            message: 'Cursor de paginación inválido o generado con otro ordenamiento'
+          };
+        }
+        convenios = cursorPage.items;
+      } else {
+        [convenios, total] = busqueda
+          ? await this.findSearchPage(query, busqueda, sort)
+          : await Promise.all([
+            prisma.convenio.findMany(query),
+            this.countConveniosWithFilters(filters) // Contar total para paginación
+          ]);
+      }
+
+      if (busqueda) {
+        await this.attachSearchResults(convenios, busqueda);
+      }
 
       const queryTime = Date.now() - startTime;
 
@@ -332,20 +631,37 @@ class ConvenioQueryService {
       const limit = parseInt(options.limit) || 10;
       const totalPages = Math.ceil(total / limit);
 
-      return {
-        success: true,
-        data: convenios,
-        metadata: {
+      const paginationMetadata = cursorMode
+        ? cursorPage.pagination
+        : {
           total,
           page,
           limit,
           totalPages,
           hasNextPage: page < totalPages,
           hasPrevPage: page > 1
+        };
+
+      return {
+        success: true,
+        data: convenios,
+        metadata: {
+          ...paginationMetadata,
+          ...(busqueda && {
+            busqueda: {
+              texto: busqueda,
+              ordenadoPorRelevancia: porRelevancia
+            }
+          })
         },
         performance: {
           queryComplexity: 'O(log n * m)',
-          optimizations: ['database_indexes', 'query_optimization', 'pagination'],
+          optimizations: [
+            'database_indexes',
+            'query_optimization',
+            cursorMode ? 'keyset_pagination' : 'pagination',
+            ...(busqueda ? ['full_text_search_gin'] : [])
+          ],
           queryTime: `${queryTime}ms`
         },
         ...(debugMode && {
@@ -364,23 +680,153 @@ class ConvenioQueryService {
     }
   }
 
+  /**
+   * Obtiene, en el orden del listado, los convenios que cumplen los filtros y coinciden
+   * con el texto. Los filtros los resuelve Prisma y sus IDs se envían a la búsqueda de
+   * texto completo como un único arreglo; sin filtros se busca en todos los convenios.
+   * @param {Object} where - Filtros construidos
+   * @param {string} busqueda - Texto buscado
+   * @param {Array<Object>} sort - [ORDEN_RELEVANCIA] o [{ field, order }]
+   * @param {number|null} [limite=null] - Máximo de coincidencias; null sin límite
+   * @returns {Promise<Array<Object>>} { id, rank } o { id, [field] } en orden
+   * @complexity O(log n * m + k log k) donde k = coincidencias filtradas
+   * @private
+   * @async
+   */
+  async findFilteredMatches(where, busqueda, sort, limite = null) {
+    const candidatos = Object.keys(where).length > 0
+      ? (await prisma.convenio.findMany({ where, select: { id: true } })).map(c => c.id)
+      : null;
+    const [orden] = sort;
+
+    return this.searchService.findMatches(
+      busqueda,
+      candidatos,
+      orden === ORDEN_RELEVANCIA ? null : orden,
+      limite
+    );
+  }
+
+  /**
+   * Carga convenios por ID respetando el orden recibido
+   * @param {number[]} ids - IDs en el orden deseado
+   * @param {Object} include - Relaciones a incluir
+   * @returns {Promise<Array<Object>>}
+   * @complexity O(k log n)
+   * @private
+   * @async
+   */
+  async findConveniosInOrder(ids, include) {
+    const registros = await prisma.convenio.findMany({
+      where: { id: { in: ids } },
+      include
+    });
+    const porId = new Map(registros.map(c => [c.id, c]));
+
+    return ids.map(id => porId.get(id)).filter(Boolean);
+  }
+
+  /**
+   * Obtiene una página de resultados de una búsqueda de texto completo, por relevancia o
+   * por campo. Pagina en memoria sobre las coincidencias filtradas, ya ordenadas en SQL.
+   * @param {Object} query - Query construida (where, skip, take, include)
+   * @param {string} busqueda - Texto buscado
+   * @param {Array<Object>} sort - Ordenamiento del listado
+   * @returns {Promise<[Array<Object>, number]>} [convenios de la página, total filtrado]
+   * @complexity O(m log m + k log n) donde m = coincidencias filtradas, k = tamaño de página
+   * @private
+   * @async
+   */
+  async findSearchPage(query, busqueda, sort) {
+    const ordenadas = await this.findFilteredMatches(query.where, busqueda, sort);
+    const pageIds = ordenadas
+      .slice(query.skip, query.skip + query.take)
+      .map(c => c.id);
+
+    return [await this.findConveniosInOrder(pageIds, query.include), ordenadas.length];
+  }
+
+  /**
+   * Obtiene una página por cursor con el ordenamiento por campo solicitado
+   * @param {Object} query - Query construida (where, take, include)
+   * @param {Array<Object>} sort - Ordenamiento por campo (getFieldSort)
+   * @param {QueryOptions} options - Opciones con after/before
+   * @returns {Promise<Object|null>} { items, pagination } o null si el cursor es inválido
+   * @complexity O(log n + k)
+   * @private
+   * @async
+   */
+  async findCursorPage(query, sort, options) {
+    const params = { after: options.after, before: options.before, limit: query.take };
+
+    const cursorQuery = buildCursorQuery(sort, params, query.where);
+    if (!cursorQuery) return null;
+
+    const convenios = await prisma.convenio.findMany({
+      ...cursorQuery,
+      include: query.include
+    });
+
+    return buildCursorPage(convenios, sort, params);
+  }
+
+  /**
+   * Obtiene una página por cursor de una búsqueda de texto completo, por relevancia o por campo
+   * @param {Object} query - Query construida (where, take, include)
+   * @param {string} busqueda - Texto buscado
+   * @param {Array<Object>} sort - Ordenamiento del listado
+   * @param {QueryOptions} options - Opciones con after/before
+   * @returns {Promise<Object|null>} { items, pagination } o null si el cursor es inválido
+   * @complexity O(m log m + k log n)
+   * @private
+   * @async
+   */
+  async findSearchCursorPage(query, busqueda, sort, options) {
+    const params = { after: options.after, before: options.before, limit: query.take };
+
+    const ordenadas = await this.findFilteredMatches(query.where, busqueda, sort);
+    const ventana = sliceByCursor(ordenadas, sort, params);
+    if (!ventana) return null;
+
+    const { items, pagination } = buildCursorPage(ventana, sort, params);
+    const convenios = await this.findConveniosInOrder(items.map(c => c.id), query.include);
+
+    return { items: convenios, pagination };
+  }
+
+  /**
+   * Añade a cada convenio su relevancia y los fragmentos resaltados de la búsqueda
+   * @param {Array<Object>} convenios - Convenios de la página (se modifican)
+   * @param {string} busqueda - Texto buscado
+   * @returns {Promise<void>}
+   * @complexity O(k log k)
+   * @private
+   * @async
+   */
+  async attachSearchResults(convenios, busqueda) {
+    const ids = convenios.map(c => c.id);
+    const [coincidencias, resaltados] = await Promise.all([
+      this.searchService.rankMatches(busqueda, ids),
+      this.searchService.getHighlights(busqueda, ids)
+    ]);
+    const ranking = new Map(coincidencias.map(c => [c.id, c.rank]));
+
+    convenios.forEach((convenio) => {
+      convenio.relevancia = ranking.get(convenio.id) ?? 0;
+      convenio.resaltado = resaltados.get(convenio.id) || null;
+    });
+  }
+
   /**
    * Cuenta el total de registros que coinciden con los filtros aplicados
    * @param {ConvenioFilter} filters - Filtros de búsqueda
-   * @param {boolean} [debugMode=false] - Modo debug para mostrar query generada
    * @returns {Promise<number>} Total de registros que coinciden con los filtros
    * @complexity O(log n) con índices optimizados
    * @private
    * @async
    */
   async countConveniosWithFilters(filters = {}) {
-    const countQuery = this.queryBuilder
-      .reset()
-      .filterByEstado(filters.estado)
-      .filterByEstados(filters.estados)
-      .filterByDateRange(filters.fechaInicio, filters.fechaFin)
-      .filterBySearchText(filters.busqueda)
-      .build();
+    const countQuery = this.applyFilters(filters).build();
 
     // Remover campos innecesarios para el count
     delete countQuery.include;
@@ -391,6 +837,50 @@ class ConvenioQueryService {
     return await prisma.convenio.count({ where: countQuery.where });
   }
 
+  /**
+   * Recorre todos los convenios que cumplen los filtros, por lotes y en el mismo orden
+   * que el listado. Cada lote se obtiene por cursor (keyset), de modo que su costo no
+   * crece con el avance de la exportación.
+   * @param {ConvenioFilter} filters - Filtros de búsqueda
+   * @param {QueryOptions} options - Ordenamiento (sortBy, sortOrder)
+   * @param {Object} [include] - Relaciones de cada convenio
+   * @param {number} [batchSize=STREAM_BATCH_SIZE] - Convenios por lote
+   * @yields {Array<Object>} Lote de convenios
+   * @complexity O(n/b * (log n + b)) donde b = tamaño de lote
+   * @async
+   */
+  async *streamConvenios(filters = {}, options = {}, include = undefined, batchSize = STREAM_BATCH_SIZE) {
+    const busqueda = filters.busqueda?.trim();
+    const porRelevancia = Boolean(busqueda) &&
+      (!options.sortBy || options.sortBy === 'relevancia');
+
+    const query = this.applyFilters(filters)
+      .sortBy(options.sortBy === 'relevancia' ? undefined : options.sortBy, options.sortOrder)
+      .build();
+    const sort = porRelevancia ? [ORDEN_RELEVANCIA] : getFieldSort(query);
+
+    // Con búsqueda: las coincidencias filtradas se ordenan en la base de datos de una vez
+    if (busqueda) {
+      const ordenadas = await this.findFilteredMatches(query.where, busqueda, sort);
+      for (let i = 0; i < ordenadas.length; i += batchSize) {
+        yield await this.findConveniosInOrder(ordenadas.slice(i, i + batchSize).map(c => c.id), include);
+      }
+      return;
+    }
+
+    let after;
+
+    while (true) {
+      const { where, orderBy } = buildCursorQuery(sort, { after, limit: batchSize }, query.where);
+      const lote = await prisma.convenio.findMany({ where, orderBy, take: batchSize, include });
+
+      if (lote.length > 0) yield lote;
+      if (lote.length < batchSize) return;
+
+      after = encodeCursor(sort, lote[lote.length - 1]);
+    }
+  }
+
   /**
    * Busca un convenio específico por su ID
    * @param {number|string} id - ID del convenio a buscar
@@ -415,15 +905,20 @@ class ConvenioQueryService {
       }
 
       const query = {
-        where: { id: convenioId }
+        where: { id: convenioId },
+        include: {
+          // Última prórroga aprobada para calcular la fecha de fin efectiva
+          adendas: ULTIMA_PRORROGA_SELECT,
+          obligaciones: OBLIGACIONES_DETALLE,
+          etiquetas: ETIQUETAS_CONVENIO_INCLUDE,
+          unidad: { select: UNIDAD_RESUMEN_SELECT }
+        }
       };
 
       if (includePartes) {
-        query.include = {
-          partes: {
-            include: {
-              parte: true
-            }
+        query.include.partes = {
+          include: {
+            parte: true
           }
         };
       }
@@ -438,9 +933,17 @@ class ConvenioQueryService {
         };
       }
 
+      const { adendas, obligaciones, etiquetas, ...datosConvenio } = convenio;
+
       return {
         success: true,
-        data: convenio,
+        data: {
+          ...datosConvenio,
+          fechaFinEfectiva: getFechaFinEfectiva(convenio),
+          adendaVigente: adendas[0] || null,
+          obligaciones: obligaciones.map(o => serializeObligacion(o)),
+          etiquetas: serializeEtiquetas(etiquetas)
+        },
         performance: {
           queryComplexity: 'O(1)',
           optimizations: ['primary_key_index']
@@ -455,15 +958,27 @@ class ConvenioQueryService {
   /**
    * Realiza una búsqueda avanzada con múltiples criterios combinados
    * @param {Object} searchCriteria - Criterios de búsqueda avanzada
-   * @param {string} [searchCriteria.textSearch] - Texto para búsqueda
+   * @param {string} [searchCriteria.textSearch] - Texto para búsqueda de texto completo
    * @param {string[]} [searchCriteria.estados] - Estados para filtrar
    * @param {string} [searchCriteria.fechaDesde] - Fecha inicial (YYYY-MM-DD)
    * @param {string} [searchCriteria.fechaHasta] - Fecha final (YYYY-MM-DD)
+   * @param {number[]} [searchCriteria.parteIds] - Convenios con alguna de estas partes
+   * @param {string} [searchCriteria.parte] - Convenios con una parte cuyo nombre (o alias) contiene el texto
+   * @param {string} [searchCriteria.parteTipo] - Convenios con una parte de este tipo
+   * @param {number[]} [searchCriteria.etiquetaIds] - Convenios con alguna de estas etiquetas o áreas
+   * @param {string} [searchCriteria.fechaFinDesde] - Fecha de fin mínima (YYYY-MM-DD)
+   * @param {string} [searchCriteria.fechaFinHasta] - Fecha de fin máxima (YYYY-MM-DD)
+   * @param {boolean} [searchCriteria.conActividades] - true: con actividades; false: sin actividades
+   * @param {string} [searchCriteria.operador='AND'] - Combinación de los filtros (AND, OR); textSearch siempre restringe
    * @param {boolean} [searchCriteria.incluirPartes=false] - Incluir partes relacionadas
-   * @param {string} [searchCriteria.ordenarPor='createdAt'] - Campo para ordenamiento
+   * @param {string} [searchCriteria.ordenarPor] - Campo para ordenamiento ('relevancia' por defecto con textSearch, si no 'createdAt')
    * @param {string} [searchCriteria.orden='desc'] - Dirección de ordenamiento
    * @param {number} [searchCriteria.pagina=1] - Número de página
    * @param {number} [searchCriteria.limite=20] - Registros por página
+   * @param {string} [searchCriteria.pagination] - 'cursor' para paginación por cursor
+   * @param {string} [searchCriteria.after] - Cursor de la página siguiente
+   * @param {string} [searchCriteria.before] - Cursor de la página anterior
+   * @param {number[]|null} [alcance=null] - Unidades visibles para el usuario; null sin restricción
    * @returns {Promise<Object>} Resultado con datos y metadatos
    * @throws {Error} Si ocurre un error durante la búsqueda
    * @complexity O(log n * m) donde n=registros, m=criterios
@@ -478,44 +993,124 @@ class ConvenioQueryService {
    *   pagina: 1,
    *   limite: 20
    * });
+   *
+   * @example
+   * // Convenios con una parte de tipo empresa, o que terminan desde 2025, o sin actividades
+   * const result = await service.advancedSearch({
+   *   parteTipo: 'Empresa',
+   *   fechaFinDesde: '2025-01-01',
+   *   conActividades: false,
+   *   operador: 'OR'
+   * });
    */
-  async advancedSearch(searchCriteria) {
+  async advancedSearch(searchCriteria, alcance = null) {
     try {
-      const {
-        textSearch,
-        estados,
-        fechaDesde,
-        fechaHasta,
-        incluirPartes = false,
-        ordenarPor = 'createdAt',
-        orden = 'desc',
-        pagina = 1,
-        limite = 20
-      } = searchCriteria;
-
-      return await this.findConveniosWithFilters(
-        {
-          busqueda: textSearch,
-          estados: estados,
-          fechaInicio: fechaDesde,
-          fechaFin: fechaHasta
-        },
-        {
-          includePartes: incluirPartes,
-          sortBy: ordenarPor,
-          sortOrder: orden,
-          page: pagina,
-          limit: limite
-        }
-      );
+      const { filters, options } = this.mapSearchCriteria(searchCriteria);
+      return await this.findConveniosWithFilters({ ...filters, alcance }, options);
 
     } catch (error) {
       throw new Error(`Error en búsqueda avanzada: ${error.message}`);
     }
   }
 
+  /**
+   * Traduce los criterios de búsqueda avanzada a filtros y opciones de consulta
+   * @param {Object} searchCriteria - Criterios validados por advancedSearchSchema
+   * @returns {{filters: ConvenioFilter, options: QueryOptions}}
+   * @complexity O(1)
+   * @private
+   */
+  mapSearchCriteria(searchCriteria) {
+    const {
+      textSearch,
+      estados,
+      fechaDesde,
+      fechaHasta,
+      parteIds,
+      parte,
+      parteTipo,
+      etiquetaIds,
+      fechaFinDesde,
+      fechaFinHasta,
+      conActividades,
+      operador = 'AND',
+      incluirPartes = false,
+      ordenarPor,
+      orden = 'desc',
+      pagina = 1,
+      limite = 20,
+      pagination,
+      after,
+      before
+    } = searchCriteria;
+
+    return {
+      filters: {
+        busqueda: textSearch,
+        estados: estados,
+        fechaInicio: fechaDesde,
+        fechaFin: fechaHasta,
+        parteIds,
+        parte,
+        parteTipo,
+        etiquetaIds,
+        fechaFinDesde,
+        fechaFinHasta,
+        conActividades,
+        operador
+      },
+      options: {
+        includePartes: incluirPartes,
+        sortBy: ordenarPor,
+        sortOrder: orden,
+        page: pagina,
+        limit: limite,
+        pagination,
+        after,
+        before
+      }
+    };
+  }
+
+  /**
+   * Obtiene los IDs de todos los convenios que cumplen unos criterios de búsqueda
+   * avanzada (p. ej. para detectar coincidencias nuevas de una búsqueda guardada)
+   * @param {Object} searchCriteria - Criterios validados por advancedSearchSchema
+   * @param {number[]|null} [alcance=null] - Unidades visibles para el usuario; null sin restricción
+   * @param {number} [maxResultados=MAX_COINCIDENCIAS_GUARDADAS] - Máximo de IDs (los más recientes)
+   * @returns {Promise<number[]>} IDs en orden descendente
+   * @complexity O(log n * m + k)
+   * @async
+   */
+  async findMatchingIds(searchCriteria, alcance = null, maxResultados = MAX_COINCIDENCIAS_GUARDADAS) {
+    try {
+      const filters = { ...this.mapSearchCriteria(searchCriteria).filters, alcance };
+      const busqueda = filters.busqueda?.trim();
+      const { where } = this.applyFilters(filters).build();
+
+      if (busqueda) {
+        const coincidencias = await this.findFilteredMatches(
+          where, busqueda, [{ field: 'id', order: 'desc' }], maxResultados
+        );
+        return coincidencias.map(c => c.id);
+      }
+
+      const convenios = await prisma.convenio.findMany({
+        where,
+        select: { id: true },
+        orderBy: { id: 'desc' },
+        take: maxResultados
+      });
+
+      return convenios.map(c => c.id);
+    } catch (error) {
+      throw new Error(`Error al obtener coincidencias: ${error.message}`);
+    }
+  }
+
   /**
    * Obtiene estadísticas y agregaciones sobre los convenios
+   * @param {number[]|null} [alcance=null] - Unidades visibles para el usuario; null sin restricción
    * @returns {Promise<Object>} Estadísticas de convenios
    * @throws {Error} Si ocurre un error durante la consulta
    * @complexity O(n) en el peor caso, optimizable con índices
@@ -526,19 +1121,22 @@ class ConvenioQueryService {
    * console.log(`Total de convenios: ${stats.total}`);
    * console.log(`Convenios activos: ${stats.porEstado.Activo || 0}`);
    */
-  async getConveniosStats() {
+  async getConveniosStats(alcance = null) {
     try {
+      const where = buildAlcanceWhere(alcance);
+
       const [
         totalConvenios,
         conveniosPorEstado,
         conveniosRecientes
       ] = await Promise.all([
         // Contar total - O(1) con optimización de BD
-        prisma.convenio.count(),
+        prisma.convenio.count({ where }),
         
         // Agrupar por estado - O(n) pero optimizable con índices
         prisma.convenio.groupBy({
           by: ['estado'],
+          where,
           _count: {
             estado: true
           }
@@ -547,6 +1145,7 @@ class ConvenioQueryService {
         // Convenios recientes - O(log n) con índice en createdAt
         prisma.convenio.count({
           where: {
+            ...where,
             createdAt: {
               gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) // Últimos 30 días
             }
@@ -576,17 +1175,52 @@ class ConvenioQueryService {
   }
 }
 
-// Instancia singleton del servicio
+// Instancias singleton de los servicios
 const convenioQueryService = new ConvenioQueryService();
+const convenioCommandService = new ConvenioCommandService();
+const convenioWorkflowService = new ConvenioWorkflowService();
+const convenioHistoryService = new ConvenioHistoryService();
+const convenioRenewalService = new ConvenioRenewalService();
+const convenioImportService = new ConvenioImportService();
+const convenioExportService = new ConvenioExportService();
 
 /**
  * @namespace ConvenioControllers
  * @description Controladores para endpoints de consulta de convenios
  */
 
+/**
+ * Traduce los parámetros de GET /api/convenios a filtros de ConvenioQueryService.
+ * Acepta tanto req.query como el resultado de conveniosQuerySchema.
+ * @param {Object} query - Parámetros de consulta
+ * @returns {ConvenioFilter}
+ * @complexity O(e + p + t) donde e = estados, p = IDs de partes, t = IDs de etiquetas
+ */
+const buildListFilters = (query) => {
+  const { estados, parteId, etiquetaId, conActividades } = query;
+
+  return {
+    estado: query.estado,
+    estados: estados ? (Array.isArray(estados) ? estados : estados.split(',')) : null,
+    fechaInicio: query.fechaInicio,
+    fechaFin: query.fechaFin,
+    busqueda: query.search || query.busqueda,
+    // parteId=1,2 o parteId=1&parteId=2
+    parteIds: parteId ? (Array.isArray(parteId) ? parteId : parteId.split(',')).map(Number) : null,
+    parte: query.parte,
+    parteTipo: query.parteTipo,
+    // etiquetaId=1,2 o etiquetaId=1&etiquetaId=2
+    etiquetaIds: etiquetaId ? (Array.isArray(etiquetaId) ? etiquetaId : etiquetaId.split(',')).map(Number) : null,
+    fechaFinDesde: query.fechaFinDesde,
+    fechaFinHasta: query.fechaFinHasta,
+    conActividades: conActividades === undefined ? undefined : conActividades === 'true'
+  };
+};
+
 /**
  * Obtener convenios con filtros - Endpoint principal de consulta
  * Ruta esperada: GET /api/convenios
+ * El texto de búsqueda se acepta como `search` o `busqueda` (alias histórico)
  * Complejidad: O(log n * m)
  */
 export const getConvenios = async (req, res) => {
@@ -596,12 +1230,23 @@ export const getConvenios = async (req, res) => {
       estados,
       fechaInicio,
       fechaFin,
+      search,
       busqueda,
+      parteId,
+      parte,
+      parteTipo,
+      etiquetaId,
+      fechaFinDesde,
+      fechaFinHasta,
+      conActividades,
       includePartes,
       sortBy,
       sortOrder,
       page,
       limit,
+      pagination,
+      after,
+      before,
       debug // Parámetro para debugging
     } = req.query;
 
@@ -611,7 +1256,15 @@ export const getConvenios = async (req, res) => {
       estados,
       fechaInicio,
       fechaFin,
+      search,
       busqueda,
+      parteId,
+      parte,
+      parteTipo,
+      etiquetaId,
+      fechaFinDesde,
+      fechaFinHasta,
+      conActividades,
       includePartes,
       sortBy,
       sortOrder,
@@ -621,28 +1274,18 @@ export const getConvenios = async (req, res) => {
       timestamp: new Date().toISOString()
     });
 
-    // Procesar parámetros de estados múltiples
-    let estadosArray = null;
-    if (estados) {
-      estadosArray = Array.isArray(estados) ? estados : estados.split(',');
-      console.log('🔄 ESTADOS PROCESADOS:', estadosArray);
-    }
-
-    // Preparar filtros con logging
-    const filters = {
-      estado,
-      estados: estadosArray,
-      fechaInicio,
-      fechaFin,
-      busqueda
-    };
+    // Preparar filtros con logging; el alcance (unidades del usuario) siempre restringe
+    const filters = { ...buildListFilters(req.query), alcance: req.alcance };
 
     const options = {
       includePartes: includePartes === 'true',
       sortBy,
       sortOrder,
       page: parseInt(page) || 1,
-      limit: parseInt(limit) || 10
+      limit: parseInt(limit) || 10,
+      pagination,
+      after,
+      before
     };
 
     console.log('🎛️ FILTROS APLICADOS:', filters);
@@ -654,6 +1297,10 @@ export const getConvenios = async (req, res) => {
       debug === 'true' // Pasar modo debug al servicio
     );
 
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
     // Log del resultado
     console.log('📊 RESULTADO OBTENIDO:', {
       totalRegistros: result.data?.length || 0,
@@ -721,7 +1368,11 @@ export const searchConvenios = async (req, res) => {
   try {
     const searchCriteria = req.body;
 
-    const result = await convenioQueryService.advancedSearch(searchCriteria);
+    const result = await convenioQueryService.advancedSearch(searchCriteria, req.alcance);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
 
     res.status(200).json(result);
 
@@ -742,7 +1393,7 @@ export const searchConvenios = async (req, res) => {
  */
 export const getConveniosStats = async (req, res) => {
   try {
-    const result = await convenioQueryService.getConveniosStats();
+    const result = await convenioQueryService.getConveniosStats(req.alcance);
 
     res.status(200).json(result);
 
@@ -756,5 +1407,379 @@ export const getConveniosStats = async (req, res) => {
   }
 };
 
+/**
+ * Exportar el listado de convenios con los filtros y el orden de GET /api/convenios
+ * Ruta esperada: GET /api/convenios/export?format=csv|xlsx|json
+ * Las filas se escriben por lotes a medida que se consultan
+ * Complejidad: O(n * p) donde n = convenios exportados, p = partes por convenio
+ */
+export const exportConvenios = async (req, res) => {
+  const { format } = req.validatedExport;
+
+  try {
+    const { sortBy, sortOrder } = req.validatedQuery;
+    const lotes = convenioQueryService.streamConvenios(
+      { ...buildListFilters(req.validatedQuery), alcance: req.alcance },
+      { sortBy, sortOrder },
+      EXPORT_INCLUDE
+    );
+
+    res.setHeader('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${buildExportFilename(format)}"`);
+
+    const total = await convenioExportService.writeExport(lotes, format, res);
+
+    console.log(`📤 [CONVENIO_EXPORT] Formato: ${format} - Convenios: ${total} - User: ${req.user?.id}`);
+
+  } catch (error) {
+    console.error('❌ ERROR EN exportConvenios:', error.message);
+
+    // Si ya se enviaron filas no se puede responder con JSON: se corta la descarga
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.removeHeader('Content-Disposition');
+    res.status(500).json({
+      success: false,
+      message: 'Error al exportar convenios',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Código HTTP para resultados fallidos del servicio de escritura
+ */
+const COMMAND_ERROR_STATUS = {
+  CONVENIO_NOT_FOUND: 404,
+  PARTE_NOT_FOUND: 400,
+  PARTE_CON_APORTES: 409,
+  PARTE_CON_OBLIGACIONES: 409,
+  PARTE_CON_FIRMANTES: 409,
+  CONVENIO_ARCHIVADO: 409,
+  CONVENIO_NO_ELIMINABLE: 409,
+  MINIMO_PARTES: 409,
+  PARTES_CONVENIO_ACTIVO: 409,
+  INVALID_DATE_RANGE: 400,
+  INVALID_ACTION: 400,
+  INVALID_TRANSITION: 409,
+  GUARD_FAILED: 422,
+  CONCURRENT_MODIFICATION: 409,
+  REVISION_NOT_FOUND: 404,
+  CONVENIO_NO_RENOVABLE: 409,
+  CONVENIO_YA_RENOVADO: 409,
+  ARCHIVO_INVALIDO: 400,
+  COLUMNAS_FALTANTES: 400,
+  ARCHIVO_VACIO: 400,
+  DEMASIADAS_FILAS: 400,
+  IMPORTACION_CON_ERRORES: 422,
+  UNIDAD_NOT_FOUND: 400,
+  UNIDAD_REQUERIDA: 400,
+  UNIDAD_FUERA_DE_ALCANCE: 403
+};
+
+/**
+ * Crear convenio con partes opcionales
+ * Ruta esperada: POST /api/convenios
+ * Complejidad: O(p) donde p = partes adjuntas
+ */
+export const createConvenio = async (req, res) => {
+  try {
+    const result = await convenioCommandService.createConvenio(req.validatedBody, req.alcance, req.user?.id);
+
+    if (!result.success) {
+      return res.status(COMMAND_ERROR_STATUS[result.error] || 400).json(result);
+    }
+
+    console.log(`✅ [CONVENIO_CREATE] ConvenioID: ${result.data.id} - CreatedBy: ${req.user?.id}`);
+
+    res.status(201).json(result);
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error al crear convenio',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Actualizar convenio (PUT reemplaza, PATCH actualiza parcialmente)
+ * Ruta esperada: PUT|PATCH /api/convenios/:id
+ * Complejidad: O(p) si se reemplazan partes, O(1) en otro caso
+ */
+export const updateConvenio = async (req, res) => {
+  try {
+    const { id } = req.validatedParams;
+
+    const result = await convenioCommandService.updateConvenio(id, req.validatedBody, req.user.id, req.alcance);
+
+    if (!result.success) {
+      return res.status(COMMAND_ERROR_STATUS[result.error] || 400).json(result);
+    }
+
+    console.log(`📝 [CONVENIO_UPDATE] ConvenioID: ${id} - UpdatedBy: ${req.user?.id}`);
+
+    res.status(200).json(result);
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error al actualizar convenio',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Eliminar convenio
+ * Ruta esperada: DELETE /api/convenios/:id
+ * Complejidad: O(1)
+ */
+export const deleteConvenio = async (req, res) => {
+  try {
+    const { id } = req.validatedParams;
+
+    const result = await convenioCommandService.deleteConvenio(id);
+
+    if (!result.success) {
+      return res.status(COMMAND_ERROR_STATUS[result.error] || 400).json(result);
+    }
+
+    console.log(`🗑️ [CONVENIO_DELETE] ConvenioID: ${id} - DeletedBy: ${req.user?.id}`);
+
+    res.status(200).json(result);
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error al eliminar convenio',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Ejecutar una transición de estado sobre un convenio
+ * Ruta esperada: POST /api/convenios/:id/transitions/:accion
+ * Complejidad: O(log n)
+ */
+export const transitionConvenio = async (req, res) => {
+  try {
+    const { id } = req.validatedParams;
+    const { accion } = req.params;
+
+    const result = await convenioWorkflowService.transition(
+      id,
+      accion,
+      req.user.id,
+      req.validatedBody.comentario
+    );
+
+    if (!result.success) {
+      return res.status(COMMAND_ERROR_STATUS[result.error] || 400).json(result);
+    }
+
+    console.log(`🔄 [CONVENIO_TRANSITION] ConvenioID: ${id} - Accion: ${accion} - User: ${req.user.id}`);
+
+    res.status(200).json(result);
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error al cambiar estado del convenio',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Obtener historial de transiciones de estado de un convenio
+ * Ruta esperada: GET /api/convenios/:id/transitions
+ * Complejidad: O(log n + k)
+ */
+export const getConvenioTransitions = async (req, res) => {
+  try {
+    const { id } = req.validatedParams;
+
+    const result = await convenioWorkflowService.getHistorial(id);
+
+    if (!result.success) {
+      return res.status(COMMAND_ERROR_STATUS[result.error] || 400).json(result);
+    }
+
+    res.status(200).json(result);
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener transiciones del convenio',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Obtener historial de revisiones de un convenio
+ * Ruta esperada: GET /api/convenios/:id/history
+ * Complejidad: O(log n + h)
+ */
+export const getConvenioHistory = async (req, res) => {
+  try {
+    const { id } = req.validatedParams;
+
+    const result = await convenioHistoryService.getHistory(id);
+
+    if (!result.success) {
+      return res.status(COMMAND_ERROR_STATUS[result.error] || 400).json(result);
+    }
+
+    res.status(200).json(result);
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener historial del convenio',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Comparar el convenio entre dos revisiones
+ * Ruta esperada: GET /api/convenios/:id/history/diff?from=&to=
+ * Complejidad: O(h)
+ */
+export const getConvenioHistoryDiff = async (req, res) => {
+  try {
+    const { id } = req.validatedParams;
+    const { from, to } = req.validatedQuery;
+
+    const result = await convenioHistoryService.diffRevisions(id, from, to);
+
+    if (!result.success) {
+      return res.status(COMMAND_ERROR_STATUS[result.error] || 400).json(result);
+    }
+
+    res.status(200).json(result);
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error al comparar revisiones del convenio',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Renovar convenio: crea uno nuevo en Borrador enlazado al original
+ * Ruta esperada: POST /api/convenios/:id/renew
+ * Complejidad: O(p + a)
+ */
+export const renewConvenio = async (req, res) => {
+  try {
+    const { id } = req.validatedParams;
+
+    const result = await convenioRenewalService.renewConvenio(id, req.validatedBody, req.user?.id);
+
+    if (!result.success) {
+      return res.status(COMMAND_ERROR_STATUS[result.error] || 400).json(result);
+    }
+
+    console.log(`♻️ [CONVENIO_RENEW] ConvenioID: ${id} -> ${result.data.convenio.id} - User: ${req.user.id}`);
+
+    res.status(201).json(result);
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error al renovar convenio',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Obtener la cadena de renovaciones de un convenio
+ * Ruta esperada: GET /api/convenios/:id/renewals
+ * Complejidad: O(k log n)
+ */
+export const getConvenioRenewals = async (req, res) => {
+  try {
+    const { id } = req.validatedParams;
+
+    const result = await convenioRenewalService.getRenewalChain(id);
+
+    if (!result.success) {
+      return res.status(COMMAND_ERROR_STATUS[result.error] || 400).json(result);
+    }
+
+    res.status(200).json(result);
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener renovaciones del convenio',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Importar convenios y partes desde una hoja CSV o XLSX
+ * Ruta esperada: POST /api/convenios/import (multipart, campo `archivo`)
+ * Con dryRun (por defecto) devuelve la vista previa fila por fila; con dryRun=false
+ * importa todas las filas en una transacción si ninguna tiene errores
+ * Complejidad: O(f * p) donde f = filas, p = partes por fila
+ */
+export const importConvenios = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Debe adjuntar un archivo CSV o XLSX en el campo archivo'
+      });
+    }
+
+    const formato = detectFormat(req.file.originalname);
+    const { dryRun, unidadId } = req.validatedBody;
+
+    const result = dryRun
+      ? await convenioImportService.previewImport(req.file.buffer, formato, unidadId, req.alcance)
+      : await convenioImportService.importConvenios(req.file.buffer, formato, unidadId, req.alcance, req.user?.id);
+
+    if (!result.success) {
+      return res.status(COMMAND_ERROR_STATUS[result.error] || 400).json(result);
+    }
+
+    if (!dryRun) {
+      console.log(`📥 [CONVENIO_IMPORT] Archivo: ${req.file.originalname} - Convenios: ${result.data.resumen.conveniosCreados} - ImportedBy: ${req.user?.id}`);
+    }
+
+    res.status(dryRun ? 200 : 201).json(result);
+
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error al importar convenios',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
 // Exportar el servicio para uso en tests
 export { ConvenioQueryService, ConvenioQueryBuilder };
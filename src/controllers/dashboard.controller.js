@@ -2,6 +2,8 @@ import {
   getConveniosActivos,
   getConveniosProximosVencer,
   getDetalleConveniosProximosVencer,
+  getFirmasPendientes,
+  getConveniosPorArea,
   getConveniosPorEstado,
   getActividadesPorEstado,
   getTotalProductos,
@@ -40,7 +42,7 @@ export const getDashboardMetricas = async (req, res) => {
     }
 
     // Obtener todas las métricas
-    const metricas = await getMetricasCompletas();
+    const metricas = await getMetricasCompletas(req.alcance);
 
     res.json({
       success: true,
@@ -85,8 +87,8 @@ export const getMetricasClave = async (req, res) => {
 
     // Obtener métricas principales en paralelo
     const [conveniosActivos, conveniosProximosVencer] = await Promise.all([
-      getConveniosActivos(),
-      getConveniosProximosVencer(diasVencimiento)
+      getConveniosActivos(req.alcance),
+      getConveniosProximosVencer(diasVencimiento, req.alcance)
     ]);
 
     res.json({
@@ -128,7 +130,7 @@ export const getConveniosVencimiento = async (req, res) => {
     const dias = parseInt(req.query.dias) || 90;
     const limit = parseInt(req.query.limit) || 10;
 
-    const conveniosDetalle = await getDetalleConveniosProximosVencer(dias, limit);
+    const conveniosDetalle = await getDetalleConveniosProximosVencer(dias, limit, req.alcance);
 
     res.json({
       success: true,
@@ -154,6 +156,47 @@ export const getConveniosVencimiento = async (req, res) => {
   }
 };
 
+/**
+ * Obtener convenios en Borrador con firmas pendientes
+ * Lista para seguimiento de la recolección de firmas
+ */
+export const getConveniosPendientesFirma = async (req, res) => {
+  try {
+    // Verificar permisos
+    if (!verificarPermisosDecano(req.user.rol)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Acceso denegado',
+        error: 'INSUFFICIENT_PERMISSIONS'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+    const { total, convenios } = await getFirmasPendientes(limit, req.alcance);
+
+    res.json({
+      success: true,
+      message: 'Convenios con firmas pendientes obtenidos exitosamente',
+      data: {
+        convenios,
+        total,
+        parametros: {
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener firmas pendientes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error al obtener convenios con firmas pendientes',
+      error: 'INTERNAL_SERVER_ERROR'
+    });
+  }
+};
+
 /**
  * Obtener estadísticas de convenios por estado
  */
@@ -168,7 +211,7 @@ export const getEstadisticasConvenios = async (req, res) => {
       });
     }
 
-    const estadisticas = await getConveniosPorEstado();
+    const estadisticas = await getConveniosPorEstado(req.alcance);
 
     res.json({
       success: true,
@@ -221,13 +264,15 @@ export const getResumenEjecutivo = async (req, res) => {
       conveniosProximosVencer,
       conveniosPorEstado,
       actividadesPorEstado,
-      totalProductos
+      totalProductos,
+      conveniosPorArea
     ] = await Promise.all([
-      getConveniosActivos(),
-      getConveniosProximosVencer(90),
-      getConveniosPorEstado(),
-      getActividadesPorEstado(),
-      getTotalProductos()
+      getConveniosActivos(req.alcance),
+      getConveniosProximosVencer(90, req.alcance),
+      getConveniosPorEstado(req.alcance),
+      getActividadesPorEstado(req.alcance),
+      getTotalProductos(req.alcance),
+      getConveniosPorArea(req.alcance)
     ]);
 
     // Calcular métricas derivadas
@@ -275,6 +320,14 @@ export const getResumenEjecutivo = async (req, res) => {
           totalConvenios,
           actividadesCompletadas: actividadesPorEstado.Completada || 0
         },
+        // Distribución por área temática (un convenio puede estar en varias áreas)
+        areas: conveniosPorArea.areas.map(area => ({
+          ...area,
+          porcentaje: totalConvenios > 0
+            ? parseFloat(((area.total / totalConvenios) * 100).toFixed(2))
+            : 0
+        })),
+        conveniosSinArea: conveniosPorArea.sinArea,
         alertas: {
           conveniosVencen: conveniosProximosVencer > 0,
           cantidadAlertas: conveniosProximosVencer,
@@ -310,7 +363,7 @@ export const getTendencias = async (req, res) => {
       });
     }
 
-    const tendencias = await getTendenciasConvenios();
+    const tendencias = await getTendenciasConvenios(req.alcance);
 
     res.json({
       success: true,
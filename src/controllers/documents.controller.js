@@ -9,8 +9,17 @@ import { PrismaClient } from '@prisma/client';
 import path from 'path';
 import fs from 'fs';
 import { cleanupFile } from '../middleware/file-upload.middleware.js';
+import { tienePermiso } from '../services/convenio-miembros.service.js';
+import ConvenioHistoryService from '../services/convenio-history.service.js';
+import { isCursorMode, buildCursorQuery, buildCursorPage } from '../lib/cursor-pagination.js';
 
 const prisma = new PrismaClient();
+const historyService = new ConvenioHistoryService();
+
+/**
+ * Ordenamiento del listado de documentos (paginación por cursor)
+ */
+const DOCUMENTS_SORT = [{ field: 'createdAt', order: 'desc' }];
 
 /**
  * Subir documento a un convenio
@@ -23,7 +32,7 @@ const uploadDocument = async (req, res) => {
     console.log(`📎 [UPLOAD_START] RequestID: ${requestId} - ConvenioID: ${req.convenioId}`);
     
     const { convenioId } = req;
-    const { description } = req.body;
+    const { description, firmado } = req.body;
     const { fileMetadata } = req;
     const userId = req.user?.id; // Asumiendo que viene del middleware de auth
 
@@ -82,7 +91,9 @@ const uploadDocument = async (req, res) => {
         fileSize: fileMetadata.fileSize,
         mimeType: fileMetadata.mimeType,
         uploadedBy: userId,
-        description: description || null
+        description: description || null,
+        // multipart/form-data envía los booleanos como texto
+        firmado: firmado === true || firmado === 'true'
       },
       include: {
         uploader: {
@@ -112,6 +123,7 @@ const uploadDocument = async (req, res) => {
           fileSize: document.fileSize,
           mimeType: document.mimeType,
           description: document.description,
+          firmado: document.firmado,
           uploadedAt: document.createdAt,
           uploader: document.uploader,
           convenio: document.convenio
@@ -137,12 +149,13 @@ const uploadDocument = async (req, res) => {
 
 /**
  * Listar documentos de un convenio
- * Complejidad: O(n) donde n es el número de documentos del convenio
+ * Paginación por página (page) o por cursor (pagination=cursor, after, before)
+ * Complejidad: O(n) donde n es el número de documentos del convenio; O(log n + k) por cursor
  */
 const getDocumentsByConvenio = async (req, res) => {
   try {
     const { convenioId } = req;
-    const { page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10, after, before } = req.query;
 
     // Verificar que el convenio existe
     const convenio = await prisma.convenio.findUnique({
@@ -162,28 +175,61 @@ const getDocumentsByConvenio = async (req, res) => {
     const limitNum = Math.min(50, Math.max(1, parseInt(limit))); // Máximo 50 documentos por página
     const skip = (pageNum - 1) * limitNum;
 
-    // Obtener documentos con paginación
-    const [documents, totalCount] = await Promise.all([
-      prisma.document.findMany({
-        where: { convenioId },
-        include: {
-          uploader: {
-            select: {
-              id: true,
-              email: true
-            }
-          }
-        },
-        orderBy: { createdAt: 'desc' },
-        skip,
-        take: limitNum
-      }),
-      prisma.document.count({
-        where: { convenioId }
-      })
-    ]);
+    const include = {
+      uploader: {
+        select: {
+          id: true,
+          email: true
+        }
+      }
+    };
+
+    let documents;
+    let pagination;
+
+    if (isCursorMode(req.query)) {
+      const cursorParams = { after, before, limit: limitNum };
+      const cursorQuery = buildCursorQuery(DOCUMENTS_SORT, cursorParams, { convenioId });
 
-    const totalPages = Math.ceil(totalCount / limitNum);
+      if (!cursorQuery) {
+        return res.status(400).json({
+          success: false,
+          error: 'Cursor de paginación inválido'
+        });
+      }
+
+      const cursorPage = buildCursorPage(
+        await prisma.document.findMany({ ...cursorQuery, include }),
+        DOCUMENTS_SORT,
+        cursorParams
+      );
+      documents = cursorPage.items;
+      pagination = cursorPage.pagination;
+    } else {
+      // Obtener documentos con paginación
+      let totalCount;
+      [documents, totalCount] = await Promise.all([
+        prisma.document.findMany({
+          where: { convenioId },
+          include,
+          orderBy: { createdAt: 'desc' },
+          skip,
+          take: limitNum
+        }),
+        prisma.document.count({
+          where: { convenioId }
+        })
+      ]);
+
+      const totalPages = Math.ceil(totalCount / limitNum);
+      pagination = {
+        currentPage: pageNum,
+        totalPages,
+        totalCount,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      };
+    }
 
     res.json({
       success: true,
@@ -194,17 +240,12 @@ const getDocumentsByConvenio = async (req, res) => {
           fileSize: doc.fileSize,
           mimeType: doc.mimeType,
           description: doc.description,
+          firmado: doc.firmado,
           uploadedAt: doc.createdAt,
           uploader: doc.uploader
         })),
         convenio,
-        pagination: {
-          currentPage: pageNum,
-          totalPages,
-          totalCount,
-          hasNextPage: pageNum < totalPages,
-          hasPrevPage: pageNum > 1
-        }
+        pagination
       }
     });
 
@@ -323,22 +364,22 @@ const deleteDocument = async (req, res) => {
       });
     }
 
-    // Verificar permisos: solo el usuario que subió el archivo o un admin puede eliminarlo
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
-      select: { rol: true }
-    });
-
-    if (document.uploadedBy !== userId && user?.rol !== 'ADMIN') {
+    // Verificar permisos: solo el usuario que subió el archivo o un propietario del
+    // convenio (ADMIN lo es siempre) puede eliminarlo
+    if (document.uploadedBy !== userId && !tienePermiso(req.accesoConvenio.rol, 'Propietario')) {
       return res.status(403).json({
         success: false,
         error: 'No tienes permisos para eliminar este documento'
       });
     }
 
-    // Eliminar registro de la base de datos
-    await prisma.document.delete({
-      where: { id: document.id }
+    // Eliminar registro con la fila del convenio bloqueada: la activación cuenta
+    // los documentos firmados bajo el mismo bloqueo
+    await prisma.$transaction(async (tx) => {
+      await historyService.lockConvenio(tx, parseInt(convenioId));
+      await tx.document.delete({
+        where: { id: document.id }
+      });
     });
 
     // Eliminar archivo del sistema de archivos
@@ -405,6 +446,7 @@ const getDocumentInfo = async (req, res) => {
           fileSize: document.fileSize,
           mimeType: document.mimeType,
           description: document.description,
+          firmado: document.firmado,
           uploadedAt: document.createdAt,
           updatedAt: document.updatedAt,
           uploader: document.uploader,
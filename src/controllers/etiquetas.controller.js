@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Controlador de Etiquetas y áreas temáticas de convenios
+ * @description Endpoints para administrar la taxonomía de clasificación y asignarla
+ * a convenios. La lógica de datos se delega en EtiquetaService.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ */
+
+import EtiquetaService from '../services/etiquetas.service.js';
+
+const etiquetaService = new EtiquetaService();
+
+/**
+ * Código HTTP para resultados fallidos del servicio
+ */
+const ETIQUETA_ERROR_STATUS = {
+  ETIQUETA_NOT_FOUND: 404,
+  CONVENIO_NOT_FOUND: 404,
+  ETIQUETA_DUPLICADA: 409,
+  ETIQUETA_EN_USO: 409,
+  CONVENIO_ARCHIVADO: 409
+};
+
+/**
+ * Envía el resultado del servicio con el código HTTP correspondiente
+ */
+const sendResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(ETIQUETA_ERROR_STATUS[result.error] || 400).json(result);
+  }
+  return res.status(successStatus).json(result);
+};
+
+/**
+ * Respuesta estándar para errores inesperados
+ */
+const sendError = (res, message, error) => res.status(500).json({
+  success: false,
+  message,
+  error: error.message,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Listar etiquetas y áreas temáticas
+ * Ruta esperada: GET /api/etiquetas
+ * Complejidad: O(e)
+ */
+export const getEtiquetas = async (req, res) => {
+  try {
+    const result = await etiquetaService.listEtiquetas(req.validatedQuery);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener etiquetas', error);
+  }
+};
+
+/**
+ * Obtener etiqueta por ID
+ * Ruta esperada: GET /api/etiquetas/:id
+ * Complejidad: O(log n)
+ */
+export const getEtiquetaById = async (req, res) => {
+  try {
+    const result = await etiquetaService.getEtiqueta(req.validatedParams.id);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener etiqueta', error);
+  }
+};
+
+/**
+ * Crear etiqueta o área temática
+ * Ruta esperada: POST /api/etiquetas
+ * Complejidad: O(log n)
+ */
+export const createEtiqueta = async (req, res) => {
+  try {
+    const result = await etiquetaService.createEtiqueta(req.validatedBody);
+
+    if (result.success) {
+      console.log(`✅ [ETIQUETA_CREATE] EtiquetaID: ${result.data.id} - Tipo: ${result.data.tipo} - CreatedBy: ${req.user.id}`);
+    }
+
+    sendResult(res, result, 201);
+  } catch (error) {
+    sendError(res, 'Error al crear etiqueta', error);
+  }
+};
+
+/**
+ * Actualizar etiqueta
+ * Ruta esperada: PATCH /api/etiquetas/:id
+ * Complejidad: O(log n)
+ */
+export const updateEtiqueta = async (req, res) => {
+  try {
+    const result = await etiquetaService.updateEtiqueta(req.validatedParams.id, req.validatedBody);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al actualizar etiqueta', error);
+  }
+};
+
+/**
+ * Eliminar etiqueta sin convenios asignados
+ * Ruta esperada: DELETE /api/etiquetas/:id
+ * Complejidad: O(log n)
+ */
+export const deleteEtiqueta = async (req, res) => {
+  try {
+    const { id } = req.validatedParams;
+    const result = await etiquetaService.deleteEtiqueta(id);
+
+    if (result.success) {
+      console.log(`🗑️ [ETIQUETA_DELETE] EtiquetaID: ${id} - DeletedBy: ${req.user.id}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al eliminar etiqueta', error);
+  }
+};
+
+/**
+ * Obtener etiquetas de un convenio
+ * Ruta esperada: GET /api/convenios/:convenioId/etiquetas
+ * Complejidad: O(log n + e)
+ */
+export const getEtiquetasConvenio = async (req, res) => {
+  try {
+    const result = await etiquetaService.getEtiquetasConvenio(req.validatedParams.convenioId);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener etiquetas del convenio', error);
+  }
+};
+
+/**
+ * Reemplazar las etiquetas de un convenio
+ * Ruta esperada: PUT /api/convenios/:convenioId/etiquetas
+ * Complejidad: O(log n + e)
+ */
+export const asignarEtiquetas = async (req, res) => {
+  try {
+    const { convenioId } = req.validatedParams;
+    const { etiquetaIds } = req.validatedBody;
+    const result = await etiquetaService.asignarEtiquetas(convenioId, etiquetaIds, req.user.id);
+
+    if (result.success) {
+      console.log(`🏷️ [CONVENIO_ETIQUETAS] ConvenioID: ${convenioId} - Etiquetas: [${etiquetaIds.join(', ')}] - User: ${req.user.id}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al asignar etiquetas', error);
+  }
+};
@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Controlador de Firmantes de un Convenio
+ * @description Endpoints para registrar los representantes legales de cada parte y
+ * el estado de su firma. La lógica de datos se delega en FirmanteService.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ */
+
+import FirmanteService from '../services/firmantes.service.js';
+
+const firmanteService = new FirmanteService();
+
+/**
+ * Código HTTP para resultados fallidos del servicio
+ */
+const FIRMANTE_ERROR_STATUS = {
+  CONVENIO_NOT_FOUND: 404,
+  FIRMANTE_NOT_FOUND: 404,
+  PARTE_NO_ASOCIADA: 400,
+  DOCUMENT_NOT_FOUND: 400,
+  CONVENIO_NO_BORRADOR: 409,
+  FIRMA_REGISTRADA: 409,
+  FIRMA_NO_REGISTRADA: 409
+};
+
+/**
+ * Envía el resultado del servicio con el código HTTP correspondiente
+ */
+const sendResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(FIRMANTE_ERROR_STATUS[result.error] || 400).json(result);
+  }
+  return res.status(successStatus).json(result);
+};
+
+/**
+ * Respuesta estándar para errores inesperados
+ */
+const sendError = (res, message, error) => res.status(500).json({
+  success: false,
+  message,
+  error: error.message,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Listar firmantes del convenio agrupados por parte
+ * Ruta esperada: GET /api/convenios/:convenioId/firmantes
+ * Complejidad: O(log n + p + f)
+ */
+export const getFirmantes = async (req, res) => {
+  try {
+    const result = await firmanteService.listFirmantes(req.validatedParams.convenioId);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener firmantes', error);
+  }
+};
+
+/**
+ * Obtener un firmante
+ * Ruta esperada: GET /api/convenios/:convenioId/firmantes/:firmanteId
+ * Complejidad: O(log n)
+ */
+export const getFirmanteById = async (req, res) => {
+  try {
+    const { convenioId, firmanteId } = req.validatedParams;
+    const result = await firmanteService.getFirmante(convenioId, firmanteId);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener firmante', error);
+  }
+};
+
+/**
+ * Registrar un firmante de una parte
+ * Ruta esperada: POST /api/convenios/:convenioId/firmantes
+ * Complejidad: O(log n)
+ */
+export const createFirmante = async (req, res) => {
+  try {
+    const { convenioId } = req.validatedParams;
+    const result = await firmanteService.createFirmante(convenioId, req.validatedBody, req.user.id);
+
+    if (result.success) {
+      console.log(`✅ [FIRMANTE_CREATE] ConvenioID: ${convenioId} - FirmanteID: ${result.data.id} - CreatedBy: ${req.user.id}`);
+    }
+
+    sendResult(res, result, 201);
+  } catch (error) {
+    sendError(res, 'Error al registrar firmante', error);
+  }
+};
+
+/**
+ * Actualizar un firmante que aún no ha respondido
+ * Ruta esperada: PATCH /api/convenios/:convenioId/firmantes/:firmanteId
+ * Complejidad: O(log n)
+ */
+export const updateFirmante = async (req, res) => {
+  try {
+    const { convenioId, firmanteId } = req.validatedParams;
+    const result = await firmanteService.updateFirmante(convenioId, firmanteId, req.validatedBody);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al actualizar firmante', error);
+  }
+};
+
+/**
+ * Eliminar un firmante que aún no ha respondido
+ * Ruta esperada: DELETE /api/convenios/:convenioId/firmantes/:firmanteId
+ * Complejidad: O(log n)
+ */
+export const deleteFirmante = async (req, res) => {
+  try {
+    const { convenioId, firmanteId } = req.validatedParams;
+    const result = await firmanteService.deleteFirmante(convenioId, firmanteId);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al eliminar firmante', error);
+  }
+};
+
+/**
+ * Registrar la firma (o el rechazo) de un firmante
+ * Ruta esperada: POST /api/convenios/:convenioId/firmantes/:firmanteId/firma
+ * Complejidad: O(log n)
+ */
+export const registrarFirma = async (req, res) => {
+  try {
+    const { convenioId, firmanteId } = req.validatedParams;
+    const result = await firmanteService.registrarFirma(convenioId, firmanteId, req.validatedBody);
+
+    if (result.success) {
+      console.log(`✍️ [FIRMA_${req.validatedBody.estado.toUpperCase()}] ConvenioID: ${convenioId} - FirmanteID: ${firmanteId} - User: ${req.user.id}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al registrar firma', error);
+  }
+};
+
+/**
+ * Anular la firma registrada de un firmante
+ * Ruta esperada: DELETE /api/convenios/:convenioId/firmantes/:firmanteId/firma
+ * Complejidad: O(log n)
+ */
+export const anularFirma = async (req, res) => {
+  try {
+    const { convenioId, firmanteId } = req.validatedParams;
+    const result = await firmanteService.anularFirma(convenioId, firmanteId);
+
+    if (result.success) {
+      console.log(`↩️ [FIRMA_ANULADA] ConvenioID: ${convenioId} - FirmanteID: ${firmanteId} - User: ${req.user.id}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al anular firma', error);
+  }
+};
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Controlador de Obligaciones de las partes de un Convenio
+ * @description Endpoints para registrar y seguir los compromisos de cada parte y
+ * para consultar las obligaciones vencidas de los convenios activos.
+ * La lógica de datos se delega en ObligacionService.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ */
+
+import ObligacionService from '../services/obligaciones.service.js';
+
+const obligacionService = new ObligacionService();
+
+/**
+ * Código HTTP para resultados fallidos del servicio
+ */
+const OBLIGACION_ERROR_STATUS = {
+  CONVENIO_NOT_FOUND: 404,
+  OBLIGACION_NOT_FOUND: 404,
+  DOCUMENT_NOT_FOUND: 400,
+  PARTE_NO_ASOCIADA: 400,
+  INVALID_CURSOR: 400,
+  CONVENIO_ARCHIVADO: 409
+};
+
+/**
+ * Envía el resultado del servicio con el código HTTP correspondiente
+ */
+const sendResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(OBLIGACION_ERROR_STATUS[result.error] || 400).json(result);
+  }
+  return res.status(successStatus).json(result);
+};
+
+/**
+ * Respuesta estándar para errores inesperados
+ */
+const sendError = (res, message, error) => res.status(500).json({
+  success: false,
+  message,
+  error: error.message,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Listar obligaciones de un convenio
+ * Ruta esperada: GET /api/convenios/:convenioId/obligaciones
+ * Complejidad: O(log n + o)
+ */
+export const getObligaciones = async (req, res) => {
+  try {
+    const result = await obligacionService.listObligaciones(
+      req.validatedParams.convenioId,
+      req.validatedQuery
+    );
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener obligaciones', error);
+  }
+};
+
+/**
+ * Obtener una obligación
+ * Ruta esperada: GET /api/convenios/:convenioId/obligaciones/:obligacionId
+ * Complejidad: O(log n)
+ */
+export const getObligacionById = async (req, res) => {
+  try {
+    const { convenioId, obligacionId } = req.validatedParams;
+    const result = await obligacionService.getObligacion(convenioId, obligacionId);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener obligación', error);
+  }
+};
+
+/**
+ * Registrar una obligación de una parte
+ * Ruta esperada: POST /api/convenios/:convenioId/obligaciones
+ * Complejidad: O(log n)
+ */
+export const createObligacion = async (req, res) => {
+  try {
+    const { convenioId } = req.validatedParams;
+    const result = await obligacionService.createObligacion(convenioId, req.validatedBody, req.user.id);
+
+    if (result.success) {
+      console.log(`✅ [OBLIGACION_CREATE] ConvenioID: ${convenioId} - ObligacionID: ${result.data.id} - CreatedBy: ${req.user.id}`);
+    }
+
+    sendResult(res, result, 201);
+  } catch (error) {
+    sendError(res, 'Error al registrar obligación', error);
+  }
+};
+
+/**
+ * Actualizar una obligación (incluido su estado)
+ * Ruta esperada: PATCH /api/convenios/:convenioId/obligaciones/:obligacionId
+ * Complejidad: O(log n)
+ */
+export const updateObligacion = async (req, res) => {
+  try {
+    const { convenioId, obligacionId } = req.validatedParams;
+    const result = await obligacionService.updateObligacion(convenioId, obligacionId, req.validatedBody);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al actualizar obligación', error);
+  }
+};
+
+/**
+ * Eliminar una obligación
+ * Ruta esperada: DELETE /api/convenios/:convenioId/obligaciones/:obligacionId
+ * Complejidad: O(log n)
+ */
+export const deleteObligacion = async (req, res) => {
+  try {
+    const { convenioId, obligacionId } = req.validatedParams;
+    const result = await obligacionService.deleteObligacion(convenioId, obligacionId);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al eliminar obligación', error);
+  }
+};
+
+/**
+ * Obligaciones vencidas de los convenios activos de las unidades del usuario
+ * Ruta esperada: GET /api/obligaciones/vencidas
+ * Complejidad: O(log n + k)
+ */
+export const getObligacionesVencidas = async (req, res) => {
+  try {
+    const result = await obligacionService.listVencidas(req.validatedQuery, req.alcance);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener obligaciones vencidas', error);
+  }
+};
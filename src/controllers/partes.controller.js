@@ -0,0 +1,244 @@
+/**
+ * @fileoverview Controlador de Partes
+ * @description Endpoints para gestionar partes (instituciones contraparte) y su
+ * asociación con convenios. La lógica de datos se delega en ParteService.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ */
+
+import ParteService from '../services/partes.service.js';
+
+const parteService = new ParteService();
+
+/**
+ * Código HTTP para resultados fallidos del servicio
+ */
+const PARTE_ERROR_STATUS = {
+  PARTE_NOT_FOUND: 404,
+  CONVENIO_NOT_FOUND: 404,
+  PARTE_NO_ASOCIADA: 404,
+  PARTE_DUPLICADA: 409,
+  PARTE_EN_USO: 409,
+  CONVENIO_ARCHIVADO: 409,
+  MINIMO_PARTES: 409,
+  PARTES_CONVENIO_ACTIVO: 409,
+  PARTE_CON_APORTES: 409,
+  PARTE_CON_OBLIGACIONES: 409,
+  PARTE_CON_FIRMANTES: 409,
+  MERGE_MISMA_PARTE: 400,
+  INVALID_CURSOR: 400
+};
+
+/**
+ * Envía el resultado del servicio con el código HTTP correspondiente
+ * @param {Object} res - Respuesta de Express
+ * @param {Object} result - Resultado del servicio
+ * @param {number} [successStatus=200] - Código para resultados exitosos
+ */
+const sendResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(PARTE_ERROR_STATUS[result.error] || 400).json(result);
+  }
+  return res.status(successStatus).json(result);
+};
+
+/**
+ * Respuesta estándar para errores inesperados
+ */
+const sendError = (res, message, error) => res.status(500).json({
+  success: false,
+  message,
+  error: error.message,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Listar partes con búsqueda por nombre/tipo
+ * Ruta esperada: GET /api/partes
+ * Complejidad: O(log n + k)
+ */
+export const getPartes = async (req, res) => {
+  try {
+    const result = await parteService.listPartes(req.validatedQuery);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener partes', error);
+  }
+};
+
+/**
+ * Obtener parte por ID
+ * Ruta esperada: GET /api/partes/:id
+ * Complejidad: O(log n)
+ */
+export const getParteById = async (req, res) => {
+  try {
+    const result = await parteService.getParteById(req.validatedParams.id);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener parte', error);
+  }
+};
+
+/**
+ * Crear parte
+ * Ruta esperada: POST /api/partes
+ * Complejidad: O(log n)
+ */
+export const createParte = async (req, res) => {
+  try {
+    const result = await parteService.createParte(req.validatedBody);
+
+    if (result.success) {
+      console.log(`✅ [PARTE_CREATE] ParteID: ${result.data.id} - CreatedBy: ${req.user?.id}`);
+    }
+
+    sendResult(res, result, 201);
+  } catch (error) {
+    sendError(res, 'Error al crear parte', error);
+  }
+};
+
+/**
+ * Actualizar parte
+ * Ruta esperada: PUT|PATCH /api/partes/:id
+ * Complejidad: O(log n)
+ */
+export const updateParte = async (req, res) => {
+  try {
+    const { id } = req.validatedParams;
+    const result = await parteService.updateParte(id, req.validatedBody);
+
+    if (result.success) {
+      console.log(`📝 [PARTE_UPDATE] ParteID: ${id} - UpdatedBy: ${req.user?.id}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al actualizar parte', error);
+  }
+};
+
+/**
+ * Eliminar parte sin convenios asociados
+ * Ruta esperada: DELETE /api/partes/:id
+ * Complejidad: O(log n)
+ */
+export const deleteParte = async (req, res) => {
+  try {
+    const { id } = req.validatedParams;
+    const result = await parteService.deleteParte(id);
+
+    if (result.success) {
+      console.log(`🗑️ [PARTE_DELETE] ParteID: ${id} - DeletedBy: ${req.user?.id}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al eliminar parte', error);
+  }
+};
+
+/**
+ * Listar convenios de una parte con sus estados, dentro del alcance del usuario
+ * Ruta esperada: GET /api/partes/:id/convenios
+ * Complejidad: O(log n + c)
+ */
+export const getConveniosByParte = async (req, res) => {
+  try {
+    const result = await parteService.getConveniosByParte(req.validatedParams.id, req.alcance);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener convenios de la parte', error);
+  }
+};
+
+/**
+ * Listar partes de un convenio
+ * Ruta esperada: GET /api/convenios/:convenioId/partes
+ * Complejidad: O(log n + p)
+ */
+export const getPartesByConvenio = async (req, res) => {
+  try {
+    const result = await parteService.getPartesByConvenio(req.validatedParams.convenioId);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener partes del convenio', error);
+  }
+};
+
+/**
+ * Asociar partes a un convenio
+ * Ruta esperada: POST /api/convenios/:convenioId/partes
+ * Complejidad: O(p)
+ */
+export const attachPartes = async (req, res) => {
+  try {
+    const { convenioId } = req.validatedParams;
+    const result = await parteService.attachPartes(convenioId, req.validatedBody.partes);
+
+    if (result.success) {
+      console.log(`🔗 [PARTE_ATTACH] ConvenioID: ${convenioId} - User: ${req.user?.id}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al asociar partes al convenio', error);
+  }
+};
+
+/**
+ * Desasociar una parte de un convenio
+ * Ruta esperada: DELETE /api/convenios/:convenioId/partes/:parteId
+ * Complejidad: O(log n)
+ */
+export const detachParte = async (req, res) => {
+  try {
+    const { convenioId, parteId } = req.validatedParams;
+    const result = await parteService.detachParte(convenioId, parteId);
+
+    if (result.success) {
+      console.log(`✂️ [PARTE_DETACH] ConvenioID: ${convenioId} - ParteID: ${parteId} - User: ${req.user?.id}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al desasociar parte del convenio', error);
+  }
+};
+
+/**
+ * Listar grupos de partes con nombres equivalentes (mayúsculas, tildes, espacios)
+ * Ruta esperada: GET /api/partes/duplicados
+ * Complejidad: O(n)
+ */
+export const getDuplicatePartes = async (req, res) => {
+  try {
+    const result = await parteService.findDuplicateCandidates();
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al buscar partes duplicadas', error);
+  }
+};
+
+/**
+ * Fusionar una parte en otra (simulación por defecto)
+ * Ruta esperada: POST /api/partes/:id/merge
+ * Complejidad: O(c)
+ */
+export const mergeParte = async (req, res) => {
+  try {
+    const { id } = req.validatedParams;
+    const { intoId, dryRun } = req.validatedBody;
+
+    const result = await parteService.mergePartes(id, intoId, { dryRun });
+
+    if (result.success && !dryRun) {
+      console.log(`🔀 [PARTE_MERGE] ParteID: ${id} -> ${intoId} - User: ${req.user?.id}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al fusionar partes', error);
+  }
+};
@@ -6,6 +6,7 @@
  */
 
 import { PrismaClient } from '@prisma/client';
+import { isCursorMode, buildCursorQuery, buildCursorPage } from '../lib/cursor-pagination.js';
 
 const prisma = new PrismaClient();
 
@@ -22,6 +23,14 @@ const ROLES_PERMITIDOS = [
   'Colaborador'
 ];
 
+/**
+ * Ordenamiento del listado de participantes (paginación por cursor)
+ */
+const PARTICIPANTES_SORT = [
+  { field: 'rol', order: 'asc' },
+  { field: 'nombreCompleto', order: 'asc' }
+];
+
 /**
  * Agregar participante a una actividad
  * Complejidad: O(1) - Inserción directa
@@ -151,12 +160,13 @@ const addParticipante = async (req, res) => {
 
 /**
  * Listar participantes de una actividad
- * Complejidad: O(n) donde n es el número de participantes de la actividad
+ * Paginación por página (page) o por cursor (pagination=cursor, after, before)
+ * Complejidad: O(n) donde n es el número de participantes de la actividad; O(log n + k) por cursor
  */
 const getParticipantesByActividad = async (req, res) => {
   try {
     const { actividadId } = req.params;
-    const { page = 1, limit = 20, rol } = req.query;
+    const { page = 1, limit = 20, rol, after, before } = req.query;
 
     // Verificar que la actividad existe
     const actividad = await prisma.actividad.findUnique({
@@ -194,23 +204,42 @@ const getParticipantesByActividad = async (req, res) => {
     const pageNum = Math.max(1, parseInt(page));
     const limitNum = Math.min(50, Math.max(1, parseInt(limit))); // Máximo 50 participantes por página
     const skip = (pageNum - 1) * limitNum;
+    const cursorMode = isCursorMode(req.query);
+    const cursorParams = { after, before, limit: limitNum };
+    const cursorQuery = cursorMode
+      ? buildCursorQuery(PARTICIPANTES_SORT, cursorParams, whereClause)
+      : null;
+
+    if (cursorMode && !cursorQuery) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cursor de paginación inválido'
+      });
+    }
 
     // Obtener participantes con paginación
-    const [participantes, totalCount] = await Promise.all([
-      prisma.participante.findMany({
-        where: whereClause,
-        orderBy: [
-          { rol: 'asc' },
-          { nombreCompleto: 'asc' }
-        ],
-        skip,
-        take: limitNum
-      }),
+    const [registros, totalCount] = await Promise.all([
+      prisma.participante.findMany(cursorMode
+        ? cursorQuery
+        : {
+          where: whereClause,
+          orderBy: [
+            { rol: 'asc' },
+            { nombreCompleto: 'asc' }
+          ],
+          skip,
+          take: limitNum
+        }),
       prisma.participante.count({
         where: whereClause
       })
     ]);
 
+    const cursorPage = cursorMode
+      ? buildCursorPage(registros, PARTICIPANTES_SORT, cursorParams)
+      : null;
+    const participantes = cursorMode ? cursorPage.items : registros;
+
     // Agrupar por rol para estadísticas
     const participantesPorRol = await prisma.participante.groupBy({
       by: ['rol'],
@@ -242,13 +271,15 @@ const getParticipantesByActividad = async (req, res) => {
           }, {}),
           rolesDisponibles: ROLES_PERMITIDOS
         },
-        pagination: {
-          currentPage: pageNum,
-          totalPages,
-          totalCount,
-          hasNextPage: pageNum < totalPages,
-          hasPrevPage: pageNum > 1
-        }
+        pagination: cursorMode
+          ? { ...cursorPage.pagination, totalCount }
+          : {
+            currentPage: pageNum,
+            totalPages,
+            totalCount,
+            hasNextPage: pageNum < totalPages,
+            hasPrevPage: pageNum > 1
+          }
       }
     });
 
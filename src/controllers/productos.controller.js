@@ -1,4 +1,5 @@
 import { prisma } from '../lib/prisma.js';
+import { tienePermiso } from '../services/convenio-miembros.service.js';
 
 /**
  * Tipos de producto válidos según el modelo de datos
@@ -59,16 +60,16 @@ export const addProducto = async (req, res) => {
     }
 
     // Verificar que el usuario tiene permisos para agregar productos
-    // Solo el responsable de la actividad o usuarios ADMIN/GESTOR pueden agregar productos
+    // Solo el responsable de la actividad o los editores del convenio pueden agregar productos
     const isResponsable = actividad.responsableId === req.user.id;
-    const hasPermission = req.user.rol === 'ADMIN' || req.user.rol === 'GESTOR' || isResponsable;
+    const hasPermission = tienePermiso(req.accesoConvenio.rol, 'Editor') || isResponsable;
 
     if (!hasPermission) {
       return res.status(403).json({
         success: false,
         message: 'No tienes permisos para agregar productos a esta actividad',
         error: 'INSUFFICIENT_PERMISSIONS',
-        details: 'Solo el responsable de la actividad o usuarios con rol ADMIN/GESTOR pueden agregar productos'
+        details: 'Solo el responsable de la actividad o los editores del convenio pueden agregar productos'
       });
     }
 
@@ -257,7 +258,7 @@ export const updateProducto = async (req, res) => {
 
     // Verificar permisos
     const isResponsable = productoExistente.actividad.responsableId === req.user.id;
-    const hasPermission = req.user.rol === 'ADMIN' || req.user.rol === 'GESTOR' || isResponsable;
+    const hasPermission = tienePermiso(req.accesoConvenio.rol, 'Editor') || isResponsable;
 
     if (!hasPermission) {
       return res.status(403).json({
@@ -350,7 +351,7 @@ export const deleteProducto = async (req, res) => {
 
     // Verificar permisos
     const isResponsable = productoExistente.actividad.responsableId === req.user.id;
-    const hasPermission = req.user.rol === 'ADMIN' || req.user.rol === 'GESTOR' || isResponsable;
+    const hasPermission = tienePermiso(req.accesoConvenio.rol, 'Editor') || isResponsable;
 
     if (!hasPermission) {
       return res.status(403).json({
@@ -74,7 +74,8 @@ export const getActivitiesReport = async (req, res) => {
     // Generar reporte
     const reportData = await generateReportData(
       fechasValidadas.fechaInicio,
-      fechasValidadas.fechaFin
+      fechasValidadas.fechaFin,
+      req.alcance
     );
 
     // Si se solicita formato CSV, retornar CSV
@@ -163,7 +164,8 @@ export const getActivitiesReportPreview = async (req, res) => {
     // Obtener solo el resumen (más rápido)
     const resumen = await getResumenActividadesByDateRange(
       fechasValidadas.fechaInicio,
-      fechasValidadas.fechaFin
+      fechasValidadas.fechaFin,
+      req.alcance
     );
 
     res.json({
@@ -238,7 +240,8 @@ export const getActivitiesList = async (req, res) => {
     
     const actividades = await getActividadesByDateRange(
       fechasValidadas.fechaInicio,
-      fechasValidadas.fechaFin
+      fechasValidadas.fechaFin,
+      req.alcance
     );
 
     // Aplicar paginación en memoria (para simplificar)
@@ -316,7 +319,8 @@ export const exportActivitiesCSV = async (req, res) => {
     // Obtener actividades
     const actividades = await getActividadesByDateRange(
       fechasValidadas.fechaInicio,
-      fechasValidadas.fechaFin
+      fechasValidadas.fechaFin,
+      req.alcance
     );
 
     // Formatear para CSV
@@ -372,8 +376,8 @@ export const getReportsStats = async (req, res) => {
     const fechaInicioMes = new Date(fechaActual.getFullYear(), fechaActual.getMonth(), 1);
 
     const [statsAno, statsMes] = await Promise.all([
-      getResumenActividadesByDateRange(fechaInicioAno, fechaActual),
-      getResumenActividadesByDateRange(fechaInicioMes, fechaActual)
+      getResumenActividadesByDateRange(fechaInicioAno, fechaActual, req.alcance),
+      getResumenActividadesByDateRange(fechaInicioMes, fechaActual, req.alcance)
     ]);
 
     res.json({
@@ -449,7 +453,7 @@ export const exportActivitiesPDF = async (req, res) => {
     const reportData = await generateReportData(
       fechasValidadas.fechaInicio,
       fechasValidadas.fechaFin,
-      req.user?.correoElectronico || 'Sistema'
+      req.alcance
     );
 
     // Generar PDF
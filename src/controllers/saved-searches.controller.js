@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Controlador de Búsquedas Guardadas
+ * @description Endpoints para guardar, compartir y ejecutar presets de búsqueda avanzada
+ * de convenios y para suscribirse a sus coincidencias nuevas. La lógica de datos se
+ * delega en BusquedaGuardadaService.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ */
+
+import BusquedaGuardadaService from '../services/saved-searches.service.js';
+
+const busquedaGuardadaService = new BusquedaGuardadaService();
+
+/**
+ * Código HTTP para resultados fallidos del servicio
+ */
+const SAVED_SEARCH_ERROR_STATUS = {
+  SAVED_SEARCH_NOT_FOUND: 404,
+  SUSCRIPCION_NOT_FOUND: 404,
+  FORBIDDEN: 403,
+  NOMBRE_DUPLICADO: 409,
+  INVALID_CURSOR: 400
+};
+
+/**
+ * Envía el resultado del servicio con el código HTTP correspondiente
+ * @param {Object} res - Respuesta de Express
+ * @param {Object} result - Resultado del servicio
+ * @param {number} [successStatus=200] - Código para resultados exitosos
+ */
+const sendResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(SAVED_SEARCH_ERROR_STATUS[result.error] || 400).json(result);
+  }
+  return res.status(successStatus).json(result);
+};
+
+/**
+ * Respuesta estándar para errores inesperados
+ */
+const sendError = (res, message, error) => res.status(500).json({
+  success: false,
+  message,
+  error: error.message,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Listar búsquedas propias y compartidas con el rol del usuario
+ * Ruta esperada: GET /api/saved-searches
+ * Complejidad: O(log n + k)
+ */
+export const getSavedSearches = async (req, res) => {
+  try {
+    const result = await busquedaGuardadaService.listBusquedas(req.user);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener búsquedas guardadas', error);
+  }
+};
+
+/**
+ * Obtener una búsqueda guardada
+ * Ruta esperada: GET /api/saved-searches/:id
+ * Complejidad: O(log n)
+ */
+export const getSavedSearchById = async (req, res) => {
+  try {
+    const result = await busquedaGuardadaService.getBusqueda(req.validatedParams.id, req.user);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener búsqueda guardada', error);
+  }
+};
+
+/**
+ * Guardar una búsqueda
+ * Ruta esperada: POST /api/saved-searches
+ * Complejidad: O(log n)
+ */
+export const createSavedSearch = async (req, res) => {
+  try {
+    const result = await busquedaGuardadaService.createBusqueda(req.validatedBody, req.user);
+
+    if (result.success) {
+      console.log(`✅ [SAVED_SEARCH_CREATE] BusquedaID: ${result.data.id} - CreatedBy: ${req.user.id}`);
+    }
+
+    sendResult(res, result, 201);
+  } catch (error) {
+    sendError(res, 'Error al guardar búsqueda', error);
+  }
+};
+
+/**
+ * Actualizar una búsqueda guardada
+ * Ruta esperada: PATCH /api/saved-searches/:id
+ * Complejidad: O(log n)
+ */
+export const updateSavedSearch = async (req, res) => {
+  try {
+    const { id } = req.validatedParams;
+    const result = await busquedaGuardadaService.updateBusqueda(id, req.validatedBody, req.user);
+
+    if (result.success) {
+      console.log(`📝 [SAVED_SEARCH_UPDATE] BusquedaID: ${id} - UpdatedBy: ${req.user.id}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al actualizar búsqueda guardada', error);
+  }
+};
+
+/**
+ * Eliminar una búsqueda guardada
+ * Ruta esperada: DELETE /api/saved-searches/:id
+ * Complejidad: O(log n + s)
+ */
+export const deleteSavedSearch = async (req, res) => {
+  try {
+    const { id } = req.validatedParams;
+    const result = await busquedaGuardadaService.deleteBusqueda(id, req.user);
+
+    if (result.success) {
+      console.log(`🗑️ [SAVED_SEARCH_DELETE] BusquedaID: ${id} - DeletedBy: ${req.user.id}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al eliminar búsqueda guardada', error);
+  }
+};
+
+/**
+ * Ejecutar una búsqueda guardada
+ * Ruta esperada: GET /api/saved-searches/:id/results
+ * Complejidad: la de la búsqueda avanzada
+ */
+export const getSavedSearchResults = async (req, res) => {
+  try {
+    const { page, limit, ...cursor } = req.validatedQuery;
+    const result = await busquedaGuardadaService.runBusqueda(req.validatedParams.id, req.user, {
+      pagina: page,
+      limite: limit,
+      ...cursor
+    });
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al ejecutar búsqueda guardada', error);
+  }
+};
+
+/**
+ * Suscribirse a las coincidencias nuevas de una búsqueda
+ * Ruta esperada: POST /api/saved-searches/:id/subscription
+ * Complejidad: O(log n + m)
+ */
+export const subscribeSavedSearch = async (req, res) => {
+  try {
+    const result = await busquedaGuardadaService.subscribe(req.validatedParams.id, req.user);
+    sendResult(res, result, 201);
+  } catch (error) {
+    sendError(res, 'Error al suscribirse a búsqueda guardada', error);
+  }
+};
+
+/**
+ * Cancelar la suscripción a una búsqueda
+ * Ruta esperada: DELETE /api/saved-searches/:id/subscription
+ * Complejidad: O(log n)
+ */
+export const unsubscribeSavedSearch = async (req, res) => {
+  try {
+    const result = await busquedaGuardadaService.unsubscribe(req.validatedParams.id, req.user);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al cancelar suscripción', error);
+  }
+};
+
+/**
+ * Marcar como vistas las coincidencias actuales de una búsqueda suscrita
+ * Ruta esperada: POST /api/saved-searches/:id/subscription/seen
+ * Complejidad: O(log n + m)
+ */
+export const markSavedSearchSeen = async (req, res) => {
+  try {
+    const result = await busquedaGuardadaService.markSeen(req.validatedParams.id, req.user);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al marcar novedades como vistas', error);
+  }
+};
+
+/**
+ * Convenios nuevos de las búsquedas suscritas
+ * Ruta esperada: GET /api/saved-searches/notifications
+ * Complejidad: O(s * (log n + m))
+ */
+export const getSavedSearchNotifications = async (req, res) => {
+  try {
+    const result = await busquedaGuardadaService.getNovedades(req.user);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener novedades de búsquedas', error);
+  }
+};
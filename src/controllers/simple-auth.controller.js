@@ -47,6 +47,7 @@ export const simpleRegister = async (req, res) => {
       id: Date.now(),
       email,
       rol,
+      emailVerified: false, // Como en el registro real, la cuenta quedaría pendiente de verificación
       createdAt: new Date().toISOString()
     };
 
@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Controlador de Unidades organizacionales
+ * @description Endpoints para administrar la jerarquía Sede > Facultad > Programa y
+ * las unidades de cada usuario. La lógica de datos se delega en UnidadService.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ */
+
+import UnidadService from '../services/unidades.service.js';
+
+const unidadService = new UnidadService();
+
+/**
+ * Código HTTP para resultados fallidos del servicio
+ */
+const UNIDAD_ERROR_STATUS = {
+  UNIDAD_NOT_FOUND: 404,
+  USUARIO_NOT_FOUND: 404,
+  CONVENIO_NOT_FOUND: 404,
+  UNIDAD_PADRE_NOT_FOUND: 400,
+  JERARQUIA_INVALIDA: 400,
+  UNIDAD_DUPLICADA: 409,
+  UNIDAD_EN_USO: 409
+};
+
+/**
+ * Envía el resultado del servicio con el código HTTP correspondiente
+ */
+const sendResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(UNIDAD_ERROR_STATUS[result.error] || 400).json(result);
+  }
+  return res.status(successStatus).json(result);
+};
+
+/**
+ * Respuesta estándar para errores inesperados
+ */
+const sendError = (res, message, error) => res.status(500).json({
+  success: false,
+  message,
+  error: error.message,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Listar unidades organizacionales
+ * Ruta esperada: GET /api/unidades
+ * Complejidad: O(u)
+ */
+export const getUnidades = async (req, res) => {
+  try {
+    const result = await unidadService.listUnidades(req.validatedQuery);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener unidades', error);
+  }
+};
+
+/**
+ * Obtener la jerarquía completa de unidades
+ * Ruta esperada: GET /api/unidades/arbol
+ * Complejidad: O(u)
+ */
+export const getArbolUnidades = async (req, res) => {
+  try {
+    const result = await unidadService.getArbol();
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener jerarquía de unidades', error);
+  }
+};
+
+/**
+ * Obtener las unidades del usuario autenticado y su alcance
+ * Ruta esperada: GET /api/unidades/mias
+ * Complejidad: O(u)
+ */
+export const getMisUnidades = async (req, res) => {
+  try {
+    const result = await unidadService.getUnidadesUsuario(req.user.id);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener unidades del usuario', error);
+  }
+};
+
+/**
+ * Obtener unidad por ID
+ * Ruta esperada: GET /api/unidades/:id
+ * Complejidad: O(log n + h)
+ */
+export const getUnidadById = async (req, res) => {
+  try {
+    const result = await unidadService.getUnidad(req.validatedParams.id);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener unidad', error);
+  }
+};
+
+/**
+ * Crear unidad organizacional
+ * Ruta esperada: POST /api/unidades
+ * Complejidad: O(log n)
+ */
+export const createUnidad = async (req, res) => {
+  try {
+    const result = await unidadService.createUnidad(req.validatedBody);
+
+    if (result.success) {
+      console.log(`✅ [UNIDAD_CREATE] UnidadID: ${result.data.id} - Tipo: ${result.data.tipo} - CreatedBy: ${req.user.id}`);
+    }
+
+    sendResult(res, result, 201);
+  } catch (error) {
+    sendError(res, 'Error al crear unidad', error);
+  }
+};
+
+/**
+ * Actualizar unidad organizacional
+ * Ruta esperada: PATCH /api/unidades/:id
+ * Complejidad: O(log n)
+ */
+export const updateUnidad = async (req, res) => {
+  try {
+    const { id } = req.validatedParams;
+    const result = await unidadService.updateUnidad(id, req.validatedBody);
+
+    if (result.success) {
+      console.log(`📝 [UNIDAD_UPDATE] UnidadID: ${id} - UpdatedBy: ${req.user.id}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al actualizar unidad', error);
+  }
+};
+
+/**
+ * Eliminar unidad sin dependientes ni convenios
+ * Ruta esperada: DELETE /api/unidades/:id
+ * Complejidad: O(log n)
+ */
+export const deleteUnidad = async (req, res) => {
+  try {
+    const { id } = req.validatedParams;
+    const result = await unidadService.deleteUnidad(id);
+
+    if (result.success) {
+      console.log(`🗑️ [UNIDAD_DELETE] UnidadID: ${id} - DeletedBy: ${req.user.id}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al eliminar unidad', error);
+  }
+};
+
+/**
+ * Asignar a una unidad convenios sin unidad
+ * Ruta esperada: POST /api/unidades/:id/convenios
+ * Complejidad: O(c)
+ */
+export const asignarConveniosUnidad = async (req, res) => {
+  try {
+    const { id } = req.validatedParams;
+    const result = await unidadService.asignarConvenios(id, req.validatedBody, req.user.id);
+
+    if (result.success) {
+      console.log(`🏛️ [UNIDAD_CONVENIOS] UnidadID: ${id} - Convenios: [${result.data.asignados.join(', ')}] - AssignedBy: ${req.user.id}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al asignar convenios a la unidad', error);
+  }
+};
+
+/**
+ * Obtener las unidades de un usuario
+ * Ruta esperada: GET /api/admin/users/:userId/unidades
+ * Complejidad: O(u)
+ */
+export const getUnidadesUsuario = async (req, res) => {
+  try {
+    const result = await unidadService.getUnidadesUsuario(req.validatedParams.userId);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener unidades del usuario', error);
+  }
+};
+
+/**
+ * Reemplazar las unidades de un usuario
+ * Ruta esperada: PUT /api/admin/users/:userId/unidades
+ * Complejidad: O(u)
+ */
+export const asignarUnidadesUsuario = async (req, res) => {
+  try {
+    const { userId } = req.validatedParams;
+    const { unidadIds } = req.validatedBody;
+    const result = await unidadService.asignarUnidades(userId, unidadIds);
+
+    if (result.success) {
+      console.log(`🏛️ [USUARIO_UNIDADES] UserID: ${userId} - Unidades: [${unidadIds.join(', ')}] - AssignedBy: ${req.user.id}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al asignar unidades', error);
+  }
+};
@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Controlador de administración de usuarios
+ * @description Endpoints para que un ADMIN busque usuarios, cambie su rol, los active o
+ * desactive, los desbloquee, verifique su email y restablezca su contraseña o su segundo
+ * factor. La lógica de datos se delega en UserAdminService.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ */
+
+import UserAdminService from '../services/users.service.js';
+
+const userService = new UserAdminService();
+
+/**
+ * Código HTTP para resultados fallidos del servicio
+ */
+const USER_ERROR_STATUS = {
+  USER_NOT_FOUND: 404,
+  SELF_MODIFICATION: 409,
+  LAST_ADMIN: 409,
+  PASSWORD_HASH_ERROR: 500
+};
+
+/**
+ * Envía el resultado del servicio con el código HTTP correspondiente
+ */
+const sendResult = (res, result, successStatus = 200) => {
+  if (!result.success) {
+    return res.status(USER_ERROR_STATUS[result.error] || 400).json(result);
+  }
+  return res.status(successStatus).json(result);
+};
+
+/**
+ * Respuesta estándar para errores inesperados
+ */
+const sendError = (res, message, error) => res.status(500).json({
+  success: false,
+  message,
+  error: error.message,
+  timestamp: new Date().toISOString()
+});
+
+/**
+ * Listar usuarios
+ * Ruta esperada: GET /api/admin/users
+ * Complejidad: O(log n + k)
+ */
+export const getUsers = async (req, res) => {
+  try {
+    const result = await userService.listUsers(req.validatedQuery);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener usuarios', error);
+  }
+};
+
+/**
+ * Detalle de un usuario
+ * Ruta esperada: GET /api/admin/users/:userId
+ * Complejidad: O(log n + u)
+ */
+export const getUserById = async (req, res) => {
+  try {
+    const result = await userService.getUserById(req.validatedParams.userId);
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al obtener usuario', error);
+  }
+};
+
+/**
+ * Cambiar el rol global de un usuario
+ * Ruta esperada: PATCH /api/admin/users/:userId/rol
+ * Complejidad: O(log n)
+ */
+export const changeUserRol = async (req, res) => {
+  try {
+    const { userId } = req.validatedParams;
+    const { rol } = req.validatedBody;
+    const result = await userService.changeRol(userId, rol, req.user.id);
+
+    if (result.success && result.previousRol) {
+      console.log(`👤 [USER_ROL] UserID: ${userId} - ${result.previousRol} → ${rol} - By: ${req.user.id}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al cambiar rol de usuario', error);
+  }
+};
+
+/**
+ * Construye el handler de activación/desactivación
+ * @param {boolean} isActive - Estado que aplica el endpoint
+ */
+const setUserActive = (isActive) => async (req, res) => {
+  try {
+    const { userId } = req.validatedParams;
+    const result = await userService.setActive(userId, isActive, req.user.id);
+
+    if (result.success) {
+      const tag = isActive ? 'USER_ACTIVATE' : 'USER_DEACTIVATE';
+      console.log(`👤 [${tag}] UserID: ${userId} - RevokedSessions: ${result.data.sesionesRevocadas} - By: ${req.user.id}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al cambiar estado de usuario', error);
+  }
+};
+
+/**
+ * Activar una cuenta
+ * Ruta esperada: POST /api/admin/users/:userId/activate
+ * Complejidad: O(log n)
+ */
+export const activateUser = setUserActive(true);
+
+/**
+ * Desactivar una cuenta y revocar sus sesiones
+ * Ruta esperada: POST /api/admin/users/:userId/deactivate
+ * Complejidad: O(log n + s)
+ */
+export const deactivateUser = setUserActive(false);
+
+/**
+ * Desbloquear una cuenta bloqueada por intentos fallidos
+ * Ruta esperada: POST /api/admin/users/:userId/unlock
+ * Complejidad: O(log n)
+ */
+export const unlockUser = async (req, res) => {
+  try {
+    const { userId } = req.validatedParams;
+    const result = await userService.unlock(userId);
+
+    if (result.success && result.data.wasLocked) {
+      console.log(`🔓 [USER_UNLOCK] UserID: ${userId} - By: ${req.user.id}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al desbloquear usuario', error);
+  }
+};
+
+/**
+ * Marcar el email de un usuario como verificado
+ * Ruta esperada: POST /api/admin/users/:userId/verify-email
+ * Complejidad: O(log n)
+ */
+export const verifyUserEmail = async (req, res) => {
+  try {
+    const { userId } = req.validatedParams;
+    const result = await userService.verifyEmail(userId);
+
+    if (result.success) {
+      console.log(`✅ [USER_EMAIL_VERIFIED] UserID: ${userId} - By: ${req.user.id}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al verificar email de usuario', error);
+  }
+};
+
+/**
+ * Restablecer la autenticación en dos pasos de un usuario
+ * Ruta esperada: POST /api/admin/users/:userId/mfa/reset
+ * Complejidad: O(log n + c + s)
+ */
+export const resetUserMfa = async (req, res) => {
+  try {
+    const { userId } = req.validatedParams;
+    const result = await userService.resetMfa(userId, req.user.id);
+
+    if (result.success) {
+      console.log(`🔓 [USER_MFA_RESET] UserID: ${userId} - RevokedSessions: ${result.data.sesionesRevocadas} - By: ${req.user.id}`);
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al restablecer segundo factor', error);
+  }
+};
+
+/**
+ * Restablecer la contraseña de un usuario con una contraseña temporal
+ * Ruta esperada: POST /api/admin/users/:userId/reset-password
+ * Complejidad: O(2^saltRounds + s)
+ */
+export const resetUserPassword = async (req, res) => {
+  try {
+    const { userId } = req.validatedParams;
+    const result = await userService.resetPassword(userId, req.user.id);
+
+    if (result.success) {
+      // Nunca registrar la contraseña temporal
+      console.log(`🔑 [USER_PASSWORD_RESET] UserID: ${userId} - RevokedSessions: ${result.data.sesionesRevocadas} - By: ${req.user.id}`);
+      res.set('Cache-Control', 'no-store');
+    }
+
+    sendResult(res, result);
+  } catch (error) {
+    sendError(res, 'Error al restablecer contraseña', error);
+  }
+};
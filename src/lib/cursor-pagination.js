@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Paginación por cursor (keyset) para listados
+ * @description Alternativa a skip/take: los tokens `after`/`before` codifican los valores de
+ * las claves de ordenamiento más el id del último/primer registro de la página, de modo
+ * que las páginas profundas cuestan lo mismo que la primera y los registros no se
+ * desplazan cuando se insertan otros mientras el usuario recorre el listado.
+ * @module lib/cursor-pagination
+ *
+ * Un ordenamiento se describe como [{ field, order, nullable? }]; el id se añade siempre
+ * como desempate con la dirección de la última clave. Los campos nullable se ordenan con
+ * los nulos al final.
+ *
+ * Complejidad Big O:
+ * - Construcción de la consulta: O(c²) donde c = claves de ordenamiento (c ≤ 3)
+ * - Ejecución: O(log n + k) con índice sobre las claves, k = tamaño de página
+ */
+
+/**
+ * Longitud máxima aceptada para un token de cursor
+ */
+const CURSOR_MAX_LENGTH = 512;
+
+/**
+ * Indica si la petición usa paginación por cursor
+ * @param {Object} params - Query o body con pagination/after/before
+ * @returns {boolean}
+ * @complexity O(1)
+ */
+const isCursorMode = (params = {}) => Boolean(
+  params.pagination === 'cursor' || params.after || params.before
+);
+
+/**
+ * Claves completas del ordenamiento, con el id como desempate
+ * @param {Array<Object>} sort - [{ field, order, nullable? }]
+ * @returns {Array<Object>}
+ * @complexity O(c)
+ */
+const withTieBreaker = (sort) => [
+  ...sort,
+  { field: 'id', order: sort[sort.length - 1]?.order || 'asc' }
+];
+
+/**
+ * Firma del ordenamiento; un cursor solo es válido para el ordenamiento que lo generó
+ * @param {Array<Object>} keys - Claves completas
+ * @returns {string}
+ */
+const sortSignature = (keys) => keys.map(k => `${k.field}:${k.order}`).join(',');
+
+const serializeValue = (valor) => (valor instanceof Date ? valor.toISOString() : valor ?? null);
+
+/**
+ * Genera el token opaco de cursor para un registro
+ * @param {Array<Object>} sort - Ordenamiento del listado
+ * @param {Object} registro - Registro límite de la página
+ * @returns {string} Token base64url
+ * @complexity O(c)
+ */
+const encodeCursor = (sort, registro) => {
+  const keys = withTieBreaker(sort);
+  const payload = {
+    s: sortSignature(keys),
+    v: keys.map(k => serializeValue(registro[k.field]))
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decodifica un token de cursor
+ * @param {string} token - Token recibido en after/before
+ * @param {Array<Object>} sort - Ordenamiento de la petición actual
+ * @returns {Array|null} Valores de las claves (id incluido) o null si el token es inválido
+ * o fue generado con otro ordenamiento
+ * @complexity O(c)
+ */
+const decodeCursor = (token, sort) => {
+  if (typeof token !== 'string' || token.length > CURSOR_MAX_LENGTH) return null;
+
+  const keys = withTieBreaker(sort);
+  try {
+    const payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (payload?.s !== sortSignature(keys)) return null;
+    if (!Array.isArray(payload.v) || payload.v.length !== keys.length) return null;
+    if (!Number.isInteger(payload.v[payload.v.length - 1])) return null;
+    return payload.v;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Condición "posterior al cursor" para una clave, en el sentido de recorrido
+ * @returns {Object|null} Filtro Prisma o null si ningún valor puede ser posterior
+ */
+const buildAfterCondition = (key, valor, forward) => {
+  const ascending = (key.order === 'asc') === forward;
+  const operador = ascending ? 'gt' : 'lt';
+
+  if (!key.nullable) return { [key.field]: { [operador]: valor } };
+
+  // Nulos al final en sentido de avance, al principio en retroceso
+  if (forward) {
+    return valor === null
+      ? null
+      : { OR: [{ [key.field]: { [operador]: valor } }, { [key.field]: null }] };
+  }
+  return valor === null
+    ? { [key.field]: { not: null } }
+    : { [key.field]: { [operador]: valor } };
+};
+
+/**
+ * Construye el filtro keyset: (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ...
+ * @param {Array<Object>} keys - Claves completas
+ * @param {Array} valores - Valores decodificados del cursor
+ * @param {boolean} forward - true para after, false para before
+ * @returns {Object} Filtro Prisma
+ * @complexity O(c²)
+ */
+const buildKeysetWhere = (keys, valores, forward) => {
+  const ramas = keys
+    .map((key, i) => {
+      const condicion = buildAfterCondition(key, valores[i], forward);
+      if (!condicion) return null;
+      const iguales = keys.slice(0, i).map((previa, j) => ({ [previa.field]: valores[j] }));
+      return { AND: [...iguales, condicion] };
+    })
+    .filter(Boolean);
+
+  return { OR: ramas };
+};
+
+/**
+ * Ordenamiento Prisma para el sentido de recorrido
+ * @param {Array<Object>} keys - Claves completas
+ * @param {boolean} forward - false invierte el orden (paginación hacia atrás)
+ * @returns {Array<Object>}
+ */
+const buildOrderBy = (keys, forward) => keys.map((key) => {
+  const sortOrder = forward ? key.order : (key.order === 'asc' ? 'desc' : 'asc');
+  if (!key.nullable) return { [key.field]: sortOrder };
+  return { [key.field]: { sort: sortOrder, nulls: forward ? 'last' : 'first' } };
+});
+
+/**
+ * Construye where/orderBy/take para una página por cursor
+ * @param {Array<Object>} sort - Ordenamiento del listado
+ * @param {Object} params
+ * @param {string} [params.after] - Cursor: registros posteriores
+ * @param {string} [params.before] - Cursor: registros anteriores
+ * @param {number} params.limit - Tamaño de página
+ * @param {Object} [baseWhere={}] - Filtros del listado
+ * @returns {Object|null} { where, orderBy, take } o null si el cursor es inválido
+ * (o se envían after y before a la vez)
+ * @complexity O(c²)
+ */
+const buildCursorQuery = (sort, { after, before, limit }, baseWhere = {}) => {
+  if (after && before) return null;
+
+  const keys = withTieBreaker(sort);
+  const forward = !before;
+  const token = before || after;
+
+  let where = baseWhere;
+  if (token) {
+    const valores = decodeCursor(token, sort);
+    if (!valores) return null;
+    where = { AND: [baseWhere, buildKeysetWhere(keys, valores, forward)] };
+  }
+
+  return {
+    where,
+    orderBy: buildOrderBy(keys, forward),
+    // Un registro extra indica si hay más páginas en el sentido de recorrido
+    take: limit + 1
+  };
+};
+
+/**
+ * Compara dos registros según el ordenamiento (en memoria)
+ * @returns {number} Negativo si a va antes que b
+ * @complexity O(c)
+ */
+const compareByKeys = (keys, a, b) => {
+  for (let i = 0; i < keys.length; i++) {
+    const { order, nullable } = keys[i];
+    const va = a[i];
+    const vb = b[i];
+    if (va === vb) continue;
+    if (nullable && (va === null || vb === null)) return va === null ? 1 : -1;
+    const resultado = va < vb ? -1 : 1;
+    return order === 'asc' ? resultado : -resultado;
+  }
+  return 0;
+};
+
+/**
+ * Aplica un cursor a una lista ya ordenada en memoria (p. ej. ranking de relevancia)
+ * @param {Array<Object>} registros - Registros en el orden del listado
+ * @param {Array<Object>} sort - Ordenamiento del listado
+ * @param {Object} params - { after, before, limit }
+ * @returns {Array<Object>|null} Hasta limit + 1 registros en el sentido de recorrido, o null
+ * si el cursor es inválido
+ * @complexity O(m) donde m = registros
+ */
+const sliceByCursor = (registros, sort, { after, before, limit }) => {
+  if (after && before) return null;
+
+  const keys = withTieBreaker(sort);
+  const token = before || after;
+  if (!token) return registros.slice(0, limit + 1);
+
+  const valores = decodeCursor(token, sort);
+  if (!valores) return null;
+
+  const valoresDe = registro => keys.map(k => serializeValue(registro[k.field]));
+
+  if (after) {
+    return registros
+      .filter(registro => compareByKeys(keys, valoresDe(registro), valores) > 0)
+      .slice(0, limit + 1);
+  }
+  return registros
+    .filter(registro => compareByKeys(keys, valoresDe(registro), valores) < 0)
+    .reverse()
+    .slice(0, limit + 1);
+};
+
+/**
+ * Arma la página final y sus metadatos a partir de los registros obtenidos
+ * con buildCursorQuery o sliceByCursor
+ * @param {Array<Object>} registros - Hasta limit + 1 registros en el sentido de recorrido
+ * @param {Array<Object>} sort - Ordenamiento del listado
+ * @param {Object} params - { after, before, limit }
+ * @returns {Object} { items, pagination }
+ * @complexity O(k)
+ */
+const buildCursorPage = (registros, sort, { after, before, limit }) => {
+  const hayMas = registros.length > limit;
+  const pagina = registros.slice(0, limit);
+  const items = before ? pagina.reverse() : pagina;
+
+  const hasNextPage = before ? true : hayMas;
+  const hasPrevPage = before ? hayMas : Boolean(after);
+
+  return {
+    items,
+    pagination: {
+      mode: 'cursor',
+      limit,
+      hasNextPage: hasNextPage && items.length > 0,
+      hasPrevPage: hasPrevPage && items.length > 0,
+      nextCursor: hasNextPage && items.length > 0 ? encodeCursor(sort, items[items.length - 1]) : null,
+      prevCursor: hasPrevPage && items.length > 0 ? encodeCursor(sort, items[0]) : null
+    }
+  };
+};
+
+export {
+  CURSOR_MAX_LENGTH,
+  isCursorMode,
+  encodeCursor,
+  decodeCursor,
+  buildCursorQuery,
+  sliceByCursor,
+  buildCursorPage
+};
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview Envío de correos con transportes intercambiables
+ * @description El resto de la aplicación solo conoce Mailer.send(); el transporte se elige
+ * con MAIL_TRANSPORT:
+ * - smtp: envío real mediante nodemailer (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+ * - file: escribe cada mensaje como JSON en MAIL_FILE_DIR (pruebas locales)
+ * - console: muestra cada mensaje en la consola (valor por defecto fuera de producción)
+ * En producción solo se admite smtp: los demás exponen los enlaces de un solo uso.
+ * @module lib/mailer
+ *
+ * Complejidad Big O:
+ * - Envío: O(m) donde m = tamaño del mensaje, más la latencia del transporte
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Remitente por defecto
+ */
+const DEFAULT_FROM = 'Gestión de Convenios <no-reply@localhost>';
+
+/**
+ * Strategy Pattern: base de los transportes de correo
+ */
+class MailTransport {
+  /**
+   * @param {Object} message - { from, to, subject, text, html }
+   * @returns {Promise<{ messageId: string }>}
+   */
+  async send(message) {
+    throw new Error('send() debe ser implementado por la clase hija');
+  }
+}
+
+/**
+ * Transporte SMTP. nodemailer se carga en el primer envío para que los entornos que usan
+ * otro transporte no lo necesiten.
+ */
+class SmtpTransport extends MailTransport {
+  constructor(options = {}) {
+    super();
+    this.options = {
+      host: options.host,
+      port: options.port || 587,
+      secure: options.secure || false,
+      ...(options.user && { auth: { user: options.user, pass: options.pass } })
+    };
+    this.transporter = null;
+  }
+
+  async getTransporter() {
+    if (!this.transporter) {
+      if (!this.options.host) {
+        throw new Error('SMTP_HOST es requerido para el transporte smtp');
+      }
+      const { default: nodemailer } = await import('nodemailer');
+      this.transporter = nodemailer.createTransport(this.options);
+    }
+    return this.transporter;
+  }
+
+  async send(message) {
+    const transporter = await this.getTransporter();
+    const info = await transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+/**
+ * Transporte a archivos: un JSON por mensaje, para inspeccionarlos en desarrollo y pruebas
+ */
+class FileTransport extends MailTransport {
+  constructor(options = {}) {
+    super();
+    this.directory = path.resolve(options.directory || 'tmp/mail');
+  }
+
+  async send(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+    const filePath = path.join(this.directory, `${messageId}.json`);
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify({
+      messageId,
+      date: new Date().toISOString(),
+      ...message
+    }, null, 2));
+
+    return { messageId, filePath };
+  }
+}
+
+/**
+ * Transporte a consola
+ */
+class ConsoleTransport extends MailTransport {
+  async send(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+    console.log(`📧 [MAIL] To: ${message.to} - Subject: ${message.subject}\n${message.text}`);
+    return { messageId };
+  }
+}
+
+/**
+ * Factory Pattern: crea el transporte configurado
+ */
+class MailTransportFactory {
+  static transports = new Map([
+    ['smtp', SmtpTransport],
+    ['file', FileTransport],
+    ['console', ConsoleTransport]
+  ]);
+
+  /**
+   * @param {string} type - smtp, file o console
+   * @param {Object} options - Opciones del transporte
+   * @returns {MailTransport}
+   * @complexity O(1)
+   */
+  static create(type, options = {}) {
+    const Transport = this.transports.get(type);
+    if (!Transport) {
+      throw new Error(`Transporte de correo no soportado: ${type}`);
+    }
+    return new Transport(options);
+  }
+}
+
+/**
+ * Envía correos a través del transporte configurado
+ */
+class Mailer {
+  /**
+   * @param {MailTransport} transport
+   * @param {Object} [options] - { from }
+   */
+  constructor(transport, options = {}) {
+    this.transport = transport;
+    this.from = options.from || DEFAULT_FROM;
+  }
+
+  /**
+   * Enviar un correo
+   * @param {Object} message - { to, subject, text, html? }
+   * @returns {Promise<{ messageId: string }>}
+   * @complexity O(m)
+   */
+  async send({ to, subject, text, html }) {
+    if (!to || !subject || !text) {
+      throw new Error('El correo requiere destinatario, asunto y texto');
+    }
+
+    return this.transport.send({
+      from: this.from,
+      to,
+      subject,
+      text,
+      ...(html && { html })
+    });
+  }
+}
+
+/**
+ * Crea el mailer a partir de las variables de entorno
+ * @param {Object} [env=process.env]
+ * @returns {Mailer}
+ * @throws {Error} En producción, si el transporte no es smtp o falta SMTP_HOST
+ * @complexity O(1)
+ */
+const createMailer = (env = process.env) => {
+  const tipo = env.MAIL_TRANSPORT || (env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+  if (env.NODE_ENV === 'production' && (tipo !== 'smtp' || !env.SMTP_HOST)) {
+    throw new Error('En producción el correo requiere MAIL_TRANSPORT=smtp y SMTP_HOST');
+  }
+
+  const transport = MailTransportFactory.create(tipo, {
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT) || undefined,
+    secure: env.SMTP_SECURE === 'true',
+    user: env.SMTP_USER,
+    pass: env.SMTP_PASS,
+    directory: env.MAIL_FILE_DIR
+  });
+
+  return new Mailer(transport, { from: env.MAIL_FROM });
+};
+
+export {
+  Mailer,
+  MailTransport,
+  SmtpTransport,
+  FileTransport,
+  ConsoleTransport,
+  MailTransportFactory,
+  createMailer
+};
+
+export default createMailer;
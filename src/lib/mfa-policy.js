@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Política de autenticación en dos pasos
+ * @description Define qué roles deben tener activado el segundo factor (TOTP). Se configura
+ * con MFA_REQUIRED_ROLES, una lista separada por comas (por ejemplo "ADMIN,GESTOR"); vacía
+ * o sin definir, el segundo factor es opcional para todos. Un usuario de un rol obligado
+ * que aún no lo activó recibe una sesión restringida al registro del segundo factor.
+ * @module lib/mfa-policy
+ *
+ * Complejidad Big O:
+ * - Consulta de la política: O(r) donde r = roles configurados
+ */
+
+/**
+ * Roles que pueden aparecer en MFA_REQUIRED_ROLES
+ */
+const MFA_POLICY_ROLES = ['ADMIN', 'GESTOR', 'CONSULTOR'];
+
+/**
+ * Roles con segundo factor obligatorio según la configuración. Los valores desconocidos
+ * se ignoran.
+ * @param {string} [value] - Valor de MFA_REQUIRED_ROLES
+ * @returns {string[]}
+ * @complexity O(r)
+ */
+const parseMfaRequiredRoles = (value) => {
+  if (!value) return [];
+
+  return [...new Set(
+    value
+      .split(',')
+      .map(rol => rol.trim().toUpperCase())
+      .filter(rol => MFA_POLICY_ROLES.includes(rol))
+  )];
+};
+
+/**
+ * Indica si el rol debe usar segundo factor
+ * @param {string} rol - Rol global del usuario
+ * @param {Object} [env=process.env]
+ * @returns {boolean}
+ * @complexity O(r)
+ */
+const isMfaRequiredForRole = (rol, env = process.env) =>
+  parseMfaRequiredRoles(env.MFA_REQUIRED_ROLES).includes(rol);
+
+/**
+ * Indica si el usuario debe registrar el segundo factor antes de usar la API
+ * @param {Object} user - { rol, mfaEnabled }
+ * @param {Object} [env=process.env]
+ * @returns {boolean}
+ * @complexity O(r)
+ */
+const requiresMfaSetup = (user, env = process.env) =>
+  !user.mfaEnabled && isMfaRequiredForRole(user.rol, env);
+
+export {
+  MFA_POLICY_ROLES,
+  parseMfaRequiredRoles,
+  isMfaRequiredForRole,
+  requiresMfaSetup
+};
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Tokens de un solo uso enviados por correo
+ * @description Genera los tokens de los enlaces de recuperación de contraseña y de
+ * verificación de email. El token solo viaja en el correo; en la base de datos se guarda
+ * su hash SHA-256, de modo que una copia de la tabla no permite usar los enlaces.
+ * @module lib/one-time-token
+ *
+ * Complejidad Big O:
+ * - Generación y hash: O(1)
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Bytes aleatorios de cada token
+ */
+const ONE_TIME_TOKEN_BYTES = 32;
+
+/**
+ * Genera un token aleatorio apto para URLs
+ * @returns {string} Token base64url
+ * @complexity O(1)
+ */
+const generateOneTimeToken = () => crypto.randomBytes(ONE_TIME_TOKEN_BYTES).toString('base64url');
+
+/**
+ * Hash con el que se guarda y se busca un token
+ * @param {string} token - Token en claro
+ * @returns {string} Hash SHA-256 en hexadecimal
+ * @complexity O(1)
+ */
+const hashOneTimeToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Enlace del frontend con el token como parámetro de consulta
+ * @param {string} baseUrl - Página que recibe el token
+ * @param {string} token - Token en claro
+ * @returns {string}
+ * @complexity O(1)
+ */
+const buildTokenLink = (baseUrl, token) => {
+  const url = new URL(baseUrl);
+  url.searchParams.set('token', token);
+  return url.toString();
+};
+
+export {
+  ONE_TIME_TOKEN_BYTES,
+  generateOneTimeToken,
+  hashOneTimeToken,
+  buildTokenLink
+};
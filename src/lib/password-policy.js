@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Política de contraseñas
+ * @description Reglas que debe cumplir toda contraseña elegida por un usuario (registro y
+ * cambio de contraseña) y generador de contraseñas temporales que las cumplen, usado
+ * cuando un ADMIN restablece la contraseña de un usuario.
+ * @module lib/password-policy
+ *
+ * Complejidad Big O:
+ * - Validación y generación: O(L) donde L = longitud de la contraseña
+ */
+
+import crypto from 'crypto';
+import { z } from 'zod';
+
+/**
+ * Longitud de las contraseñas temporales
+ */
+const TEMPORARY_PASSWORD_LENGTH = 16;
+
+/**
+ * Alfabetos de la contraseña temporal. Se excluyen los caracteres ambiguos (0/O, 1/l/I)
+ * porque el ADMIN la comunica al usuario fuera del sistema.
+ */
+const LOWERCASE = 'abcdefghijkmnopqrstuvwxyz';
+const UPPERCASE = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const DIGITS = '23456789';
+const SYMBOLS = '!@#$%*-_+=?';
+const ALL_CHARACTERS = LOWERCASE + UPPERCASE + DIGITS + SYMBOLS;
+
+/**
+ * Contraseña elegida por el usuario: 8 a 128 caracteres con minúscula, mayúscula y número
+ */
+const passwordSchema = z
+  .string({
+    required_error: 'La contraseña es requerida',
+    invalid_type_error: 'La contraseña debe ser un string'
+  })
+  .min(8, 'La contraseña debe tener al menos 8 caracteres')
+  .max(128, 'La contraseña es demasiado larga (máximo 128 caracteres)')
+  .regex(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/, {
+    message: 'La contraseña debe contener al menos: 1 minúscula, 1 mayúscula y 1 número'
+  });
+
+/**
+ * Carácter aleatorio de un alfabeto (sin sesgo de módulo)
+ * @param {string} alfabeto
+ * @returns {string}
+ * @complexity O(1)
+ */
+const randomCharacter = (alfabeto) => alfabeto[crypto.randomInt(alfabeto.length)];
+
+/**
+ * Genera una contraseña temporal aleatoria que cumple la política
+ * @param {number} [length=16] - Longitud (mínimo 8)
+ * @returns {string}
+ * @complexity O(L)
+ */
+const generateTemporaryPassword = (length = TEMPORARY_PASSWORD_LENGTH) => {
+  const caracteres = [
+    randomCharacter(LOWERCASE),
+    randomCharacter(UPPERCASE),
+    randomCharacter(DIGITS),
+    randomCharacter(SYMBOLS)
+  ];
+
+  while (caracteres.length < Math.max(length, 8)) {
+    caracteres.push(randomCharacter(ALL_CHARACTERS));
+  }
+
+  // Fisher-Yates para que los caracteres obligatorios no queden siempre al inicio
+  for (let i = caracteres.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [caracteres[i], caracteres[j]] = [caracteres[j], caracteres[i]];
+  }
+
+  return caracteres.join('');
+};
+
+export {
+  TEMPORARY_PASSWORD_LENGTH,
+  passwordSchema,
+  generateTemporaryPassword
+};
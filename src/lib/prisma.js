@@ -5,6 +5,11 @@ export const prisma = new PrismaClient({
   log: ['query', 'info', 'warn', 'error'], // Logs para desarrollo
 });
 
+/**
+ * Código de error de Prisma para violación de restricción única
+ */
+export const PRISMA_UNIQUE_VIOLATION = 'P2002';
+
 // Manejo de conexión y desconexión
 export const connectDB = async () => {
   try {
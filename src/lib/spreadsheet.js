@@ -0,0 +1,256 @@
+/**
+ * @fileoverview Lectura y escritura de hojas de cálculo (CSV, XLSX y JSON)
+ * @description Convierte un archivo CSV o XLSX en encabezados y filas de celdas de texto,
+ * conservando el número de fila de la hoja para poder reportar errores por fila, y
+ * escribe exportaciones fila a fila sobre un stream sin cargarlas en memoria.
+ * @module lib/spreadsheet
+ *
+ * - CSV: UTF-8 (con o sin BOM), separado por comas o por punto y coma (se detecta
+ *   a partir de la línea de encabezados)
+ * - XLSX: se lee la primera hoja; las celdas de fecha se devuelven como YYYY-MM-DD
+ *
+ * Complejidad Big O:
+ * - Lectura: O(f * c) donde f = filas, c = columnas
+ * - Escritura: O(f * c) con memoria O(c) por fila
+ */
+
+import { once } from 'events';
+import { parse } from 'csv-parse/sync';
+import ExcelJS from 'exceljs';
+
+/**
+ * Formatos de hoja soportados (extensión del archivo)
+ */
+const FORMATOS_HOJA = ['csv', 'xlsx'];
+
+/**
+ * Determina el formato de una hoja a partir del nombre del archivo
+ * @param {string} nombreArchivo - Nombre original del archivo
+ * @returns {string|null} 'csv', 'xlsx' o null si no es soportado
+ * @complexity O(l) donde l = longitud del nombre
+ */
+const detectFormat = (nombreArchivo = '') => {
+  const extension = nombreArchivo.split('.').pop().toLowerCase();
+  return FORMATOS_HOJA.includes(extension) ? extension : null;
+};
+
+/**
+ * Separador de un CSV: el más frecuente entre ',' y ';' en la línea de encabezados
+ * @param {string} texto - Contenido del CSV
+ * @returns {string}
+ * @complexity O(l) donde l = longitud de la primera línea
+ */
+const detectCsvDelimiter = (texto) => {
+  const encabezados = texto.split(/\r?\n/, 1)[0];
+  const contar = caracter => encabezados.split(caracter).length - 1;
+  return contar(';') > contar(',') ? ';' : ',';
+};
+
+/**
+ * Convierte el valor de una celda de ExcelJS a texto
+ * @param {*} valor - Valor de la celda (texto, número, fecha, texto enriquecido, fórmula...)
+ * @returns {string}
+ * @complexity O(1)
+ */
+const cellToString = (valor) => {
+  if (valor === null || valor === undefined) return '';
+  if (valor instanceof Date) return valor.toISOString().slice(0, 10);
+  if (typeof valor !== 'object') return String(valor).trim();
+  if (Array.isArray(valor.richText)) return valor.richText.map(parte => parte.text).join('').trim();
+  if ('result' in valor) return cellToString(valor.result);
+  if ('text' in valor) return cellToString(valor.text);
+  return '';
+};
+
+const isEmptyRow = celdas => celdas.every(celda => celda === '');
+
+/**
+ * Lee un CSV
+ * @param {Buffer} buffer - Contenido del archivo
+ * @returns {{encabezados: string[], filas: Array<{numero: number, celdas: string[]}>}}
+ * @complexity O(f * c)
+ */
+const readCsv = (buffer) => {
+  const texto = buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+  const registros = parse(texto, {
+    delimiter: detectCsvDelimiter(texto),
+    info: true,
+    trim: true,
+    skip_empty_lines: true,
+    relax_column_count: true
+  });
+
+  const [encabezado, ...resto] = registros;
+  return {
+    encabezados: encabezado ? encabezado.record : [],
+    filas: resto
+      .map(({ record, info }) => ({ numero: info.lines, celdas: record }))
+      .filter(fila => !isEmptyRow(fila.celdas))
+  };
+};
+
+/**
+ * Lee la primera hoja de un libro XLSX
+ * @param {Buffer} buffer - Contenido del archivo
+ * @returns {Promise<{encabezados: string[], filas: Array<{numero: number, celdas: string[]}>}>}
+ * @complexity O(f * c)
+ */
+const readXlsx = async (buffer) => {
+  const libro = new ExcelJS.Workbook();
+  await libro.xlsx.load(buffer);
+
+  const hoja = libro.worksheets[0];
+  if (!hoja) return { encabezados: [], filas: [] };
+
+  const filas = [];
+  hoja.eachRow({ includeEmpty: false }, (row, numero) => {
+    // Las columnas de ExcelJS empiezan en 1
+    const celdas = Array.from({ length: row.cellCount }, (_, i) => cellToString(row.getCell(i + 1).value));
+    if (!isEmptyRow(celdas)) filas.push({ numero, celdas });
+  });
+
+  const [encabezado, ...resto] = filas;
+  return {
+    encabezados: encabezado ? encabezado.celdas : [],
+    filas: resto
+  };
+};
+
+/**
+ * Lee una hoja de cálculo CSV o XLSX
+ * @param {Buffer} buffer - Contenido del archivo
+ * @param {string} formato - 'csv' o 'xlsx'
+ * @returns {Promise<{encabezados: string[], filas: Array<{numero: number, celdas: string[]}>}>}
+ * Filas sin la de encabezados y sin filas vacías; numero es la fila en la hoja (1 = encabezados)
+ * @throws {Error} Si el formato no es soportado o el archivo no puede leerse
+ * @complexity O(f * c)
+ */
+const readSpreadsheet = async (buffer, formato) => {
+  if (formato === 'csv') return readCsv(buffer);
+  if (formato === 'xlsx') return readXlsx(buffer);
+  throw new Error(`Formato de hoja no soportado: ${formato}`);
+};
+
+/**
+ * Tipos de contenido de los formatos de exportación
+ */
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8'
+};
+
+/**
+ * Formato de celda según el tipo de columna
+ * @param {*} valor - Valor de la fila
+ * @param {string} [tipo] - 'fecha' (YYYY-MM-DD) o 'fechaHora' (ISO 8601)
+ * @returns {*}
+ */
+const formatDateValue = (valor, tipo) => {
+  if (!(valor instanceof Date)) return valor;
+  return tipo === 'fecha' ? valor.toISOString().slice(0, 10) : valor.toISOString();
+};
+
+/**
+ * Caracteres con los que una hoja de cálculo interpreta la celda como fórmula
+ */
+const INICIO_FORMULA = /^[=+\-@\t\r]/;
+
+/**
+ * Escapa un valor para CSV (RFC 4180). Los textos que empiezan como una fórmula se
+ * anteponen con ' para que Excel los muestre como texto (inyección de CSV); los números
+ * se escriben tal cual
+ * @param {*} valor - Valor de la celda
+ * @returns {string}
+ * @complexity O(l)
+ */
+const escapeCsvValue = (valor) => {
+  if (valor === null || valor === undefined) return '';
+  const texto = typeof valor === 'string' && INICIO_FORMULA.test(valor) ? `'${valor}` : String(valor);
+  return /[",;\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+};
+
+const toCsvLine = valores => `${valores.map(escapeCsvValue).join(',')}\r\n`;
+
+/**
+ * Escribe en el stream respetando la contrapresión (espera a 'drain' si el buffer está lleno)
+ * @param {Writable} stream - Destino
+ * @param {string} chunk - Datos
+ * @returns {Promise<void>}
+ */
+const writeChunk = async (stream, chunk) => {
+  if (!stream.write(chunk)) await once(stream, 'drain');
+};
+
+/**
+ * Crea un escritor de exportación fila a fila
+ * @param {string} formato - 'csv', 'xlsx' o 'json'
+ * @param {Writable} stream - Destino (p. ej. la respuesta HTTP)
+ * @param {Array<Object>} columnas - [{ key, header, tipo?, width? }] (CSV y XLSX)
+ * @param {Object} [opciones]
+ * @param {string} [opciones.hoja='Datos'] - Nombre de la hoja XLSX
+ * @returns {{write: function(Object): Promise<void>, end: function(): Promise<void>}}
+ * En JSON se escribe cada registro tal cual, como elementos de un arreglo
+ * @complexity O(c) por fila
+ */
+const createExportWriter = (formato, stream, columnas, { hoja = 'Datos' } = {}) => {
+  if (formato === 'xlsx') {
+    const libro = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true, useSharedStrings: false });
+    const worksheet = libro.addWorksheet(hoja);
+    worksheet.columns = columnas.map(({ key, header, tipo, width }) => ({
+      key,
+      header,
+      width: width || 18,
+      ...(tipo && { style: { numFmt: tipo === 'fecha' ? 'yyyy-mm-dd' : 'yyyy-mm-dd hh:mm' } })
+    }));
+
+    return {
+      write: async (registro) => worksheet.addRow(registro).commit(),
+      end: async () => {
+        worksheet.commit();
+        await libro.commit();
+      }
+    };
+  }
+
+  if (formato === 'json') {
+    let primero = true;
+    stream.write('[');
+
+    return {
+      write: (registro) => {
+        const chunk = `${primero ? '' : ','}${JSON.stringify(registro)}`;
+        primero = false;
+        return writeChunk(stream, chunk);
+      },
+      end: async () => {
+        stream.end(']');
+      }
+    };
+  }
+
+  // BOM para que Excel reconozca UTF-8
+  stream.write(`\uFEFF${toCsvLine(columnas.map(c => c.header))}`);
+
+  return {
+    write: registro => writeChunk(
+      stream,
+      toCsvLine(columnas.map(c => formatDateValue(registro[c.key], c.tipo)))
+    ),
+    end: async () => {
+      stream.end();
+    }
+  };
+};
+
+export {
+  FORMATOS_HOJA,
+  EXPORT_CONTENT_TYPES,
+  detectFormat,
+  detectCsvDelimiter,
+  cellToString,
+  readSpreadsheet,
+  escapeCsvValue,
+  createExportWriter
+};
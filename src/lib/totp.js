@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Contraseñas de un solo uso basadas en tiempo (TOTP, RFC 6238)
+ * @description Genera y verifica los códigos de 6 dígitos de las aplicaciones de
+ * autenticación (Google Authenticator, Microsoft Authenticator, Authy...) y construye la
+ * URI otpauth:// que el frontend muestra como código QR durante el registro del segundo
+ * factor. Usa HMAC-SHA1, pasos de 30 segundos y secretos en Base32, los valores que
+ * aceptan todas esas aplicaciones.
+ * @module lib/totp
+ *
+ * Complejidad Big O:
+ * - Generación de un código: O(1)
+ * - Verificación: O(w) donde w = pasos de tolerancia (por defecto 3)
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Parámetros del algoritmo
+ */
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_ALGORITHM = 'SHA1';
+
+/**
+ * Bytes del secreto compartido (160 bits, lo recomendado por el RFC 4226 para HMAC-SHA1)
+ */
+const TOTP_SECRET_BYTES = 20;
+
+/**
+ * Pasos aceptados antes y después del actual, para tolerar el desfase del reloj del teléfono
+ */
+const TOTP_DEFAULT_WINDOW = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Codifica bytes en Base32 (RFC 4648) sin relleno
+ * @param {Buffer} buffer
+ * @returns {string}
+ * @complexity O(n)
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let valor = 0;
+  let salida = '';
+
+  for (const byte of buffer) {
+    valor = (valor << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      salida += BASE32_ALPHABET[(valor >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    salida += BASE32_ALPHABET[(valor << (5 - bits)) & 31];
+  }
+
+  return salida;
+};
+
+/**
+ * Decodifica Base32 ignorando mayúsculas, espacios y relleno
+ * @param {string} texto
+ * @returns {Buffer}
+ * @throws {Error} Si contiene caracteres fuera del alfabeto
+ * @complexity O(n)
+ */
+const base32Decode = (texto) => {
+  const limpio = texto.toUpperCase().replace(/[\s=]/g, '');
+  const bytes = [];
+  let bits = 0;
+  let valor = 0;
+
+  for (const caracter of limpio) {
+    const indice = BASE32_ALPHABET.indexOf(caracter);
+    if (indice === -1) {
+      throw new Error(`Carácter Base32 inválido: ${caracter}`);
+    }
+
+    valor = (valor << 5) | indice;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((valor >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Genera un secreto aleatorio para un nuevo registro
+ * @returns {string} Secreto en Base32
+ * @complexity O(1)
+ */
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(TOTP_SECRET_BYTES));
+
+/**
+ * Paso de tiempo (contador) correspondiente a un instante
+ * @param {number} [timeMs=Date.now()] - Instante en milisegundos
+ * @returns {number}
+ * @complexity O(1)
+ */
+const getTotpStep = (timeMs = Date.now()) => Math.floor(timeMs / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * Código HOTP (RFC 4226) para un contador
+ * @param {string} secret - Secreto en Base32
+ * @param {number} counter - Contador (paso de tiempo en TOTP)
+ * @param {number} [digits=6]
+ * @returns {string} Código con ceros a la izquierda
+ * @complexity O(1)
+ */
+const generateHotp = (secret, counter, digits = TOTP_DIGITS) => {
+  const mensaje = Buffer.alloc(8);
+  mensaje.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(TOTP_ALGORITHM.toLowerCase(), base32Decode(secret)).update(mensaje).digest();
+
+  // Truncamiento dinámico: 31 bits a partir del desplazamiento indicado por el último nibble
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binario = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binario % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Código TOTP vigente en un instante
+ * @param {string} secret - Secreto en Base32
+ * @param {Object} [options]
+ * @param {number} [options.time=Date.now()] - Instante en milisegundos
+ * @param {number} [options.digits=6]
+ * @returns {string}
+ * @complexity O(1)
+ */
+const generateTotp = (secret, { time = Date.now(), digits = TOTP_DIGITS } = {}) =>
+  generateHotp(secret, getTotpStep(time), digits);
+
+/**
+ * Verifica un código TOTP dentro de la ventana de tolerancia
+ * @param {string} secret - Secreto en Base32
+ * @param {string} code - Código introducido por el usuario
+ * @param {Object} [options]
+ * @param {number} [options.time=Date.now()] - Instante en milisegundos
+ * @param {number} [options.window=1] - Pasos aceptados antes y después del actual
+ * @returns {number|null} Paso en el que coincidió (para rechazar su reutilización) o null
+ * @complexity O(w)
+ */
+const verifyTotp = (secret, code, { time = Date.now(), window = TOTP_DEFAULT_WINDOW } = {}) => {
+  const normalizado = String(code).replace(/\s/g, '');
+  if (!/^\d+$/.test(normalizado) || normalizado.length !== TOTP_DIGITS) return null;
+
+  const actual = getTotpStep(time);
+  const esperado = Buffer.from(normalizado);
+
+  for (let desfase = -window; desfase <= window; desfase++) {
+    const paso = actual + desfase;
+    if (crypto.timingSafeEqual(Buffer.from(generateHotp(secret, paso)), esperado)) {
+      return paso;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * URI otpauth:// para registrar el secreto en una aplicación de autenticación (como QR)
+ * @param {Object} params
+ * @param {string} params.secret - Secreto en Base32
+ * @param {string} params.account - Cuenta mostrada en la aplicación (email del usuario)
+ * @param {string} params.issuer - Nombre del sistema mostrado en la aplicación
+ * @returns {string}
+ * @complexity O(1)
+ */
+const buildOtpauthUri = ({ secret, account, issuer }) => {
+  // encodeURIComponent y no URLSearchParams: algunas aplicaciones muestran el '+' como tal
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  const params = [
+    ['secret', secret],
+    ['issuer', issuer],
+    ['algorithm', TOTP_ALGORITHM],
+    ['digits', TOTP_DIGITS],
+    ['period', TOTP_STEP_SECONDS]
+  ].map(([clave, valor]) => `${clave}=${encodeURIComponent(valor)}`).join('&');
+
+  return `otpauth://totp/${label}?${params}`;
+};
+
+export {
+  TOTP_STEP_SECONDS,
+  TOTP_DIGITS,
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  getTotpStep,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+};
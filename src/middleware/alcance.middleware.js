@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Middleware de alcance por unidades organizacionales
+ * @description Calcula las unidades visibles para el usuario autenticado y restringe
+ * el acceso a convenios de otras unidades. Se usa después de authMiddleware.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Complejidad Big O:
+ * - Cálculo del alcance: O(u) donde u = unidades
+ * - Verificación de un convenio: O(log n)
+ */
+
+import UnidadService from '../services/unidades.service.js';
+import logger from '../lib/logger.js';
+
+const unidadService = new UnidadService();
+
+/**
+ * Guarda en req.alcance las unidades visibles para el usuario
+ * (null para ADMIN, que ve todos los convenios)
+ * Complejidad: O(u)
+ */
+const loadAlcance = async (req, res, next) => {
+  try {
+    req.alcance = await unidadService.resolveAlcance(req.user);
+    next();
+  } catch (error) {
+    logger.error('Error calculando alcance del usuario:', { error });
+    return res.status(500).json({
+      success: false,
+      message: 'Error verificando las unidades del usuario',
+      error: 'ALCANCE_ERROR'
+    });
+  }
+};
+
+/**
+ * Crea un middleware que responde 404 si el convenio de la ruta no pertenece al
+ * alcance del usuario (no se revela que exista). Calcula el alcance si loadAlcance
+ * no se aplicó antes.
+ * @param {string} [param='id'] - Parámetro de ruta con el ID del convenio
+ * @returns {Function} Middleware de Express
+ * Complejidad: O(u + log n)
+ */
+const requireConvenioEnAlcance = (param = 'id') => async (req, res, next) => {
+  try {
+    if (req.alcance === undefined) {
+      req.alcance = await unidadService.resolveAlcance(req.user);
+    }
+
+    const convenioId = Number(req.validatedParams?.[param] ?? req.params[param]);
+
+    if (!(await unidadService.isConvenioEnAlcance(convenioId, req.alcance))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Convenio no encontrado',
+        error: 'CONVENIO_NOT_FOUND'
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Error verificando alcance del convenio:', { error });
+    return res.status(500).json({
+      success: false,
+      message: 'Error verificando las unidades del usuario',
+      error: 'ALCANCE_ERROR'
+    });
+  }
+};
+
+export { loadAlcance, requireConvenioEnAlcance };
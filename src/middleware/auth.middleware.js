@@ -110,6 +110,34 @@ class SecurityLogDecorator extends MiddlewareDecorator {
  */
 const tokenService = new TokenService();
 
+/**
+ * Rutas disponibles mientras la sesión está restringida: contraseña temporal pendiente de
+ * cambio o segundo factor obligatorio sin registrar. Se comparan completas, sin prefijos,
+ * para que la sesión no alcance otras rutas de /api/auth o /api/tokens (registro de
+ * usuarios, invalidación de sesiones ajenas, limpieza de tokens).
+ */
+const RESTRICTED_SESSION_ALLOWED_PATHS = new Set([
+  '/api/auth/me',
+  '/api/auth/logout',
+  '/api/auth/change-password',
+  '/api/auth/mfa/status',
+  '/api/auth/mfa/setup',
+  '/api/auth/mfa/confirm',
+  '/api/tokens/refresh',
+  '/api/tokens/logout'
+]);
+
+/**
+ * Indica si la ruta está disponible para una sesión restringida
+ * @param {string} originalUrl - URL de la petición, con query string opcional
+ * @returns {boolean}
+ * @complexity O(1)
+ */
+const isRestrictedSessionPathAllowed = (originalUrl = '') => {
+  const path = originalUrl.split('?')[0].replace(/\/+$/, '');
+  return RESTRICTED_SESSION_ALLOWED_PATHS.has(path);
+};
+
 const baseAuthMiddleware = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
@@ -158,9 +186,31 @@ const baseAuthMiddleware = async (req, res, next) => {
       rol: tokenValidation.payload.rol,
       tokenIat: tokenValidation.payload.iat,
       tokenExp: tokenValidation.payload.exp,
-      tokenJti: tokenValidation.payload.jti // Añadir el ID único del token
+      tokenJti: tokenValidation.payload.jti, // Añadir el ID único del token
+      mustChangePassword: tokenValidation.payload.mustChangePassword === true,
+      mfaSetupRequired: tokenValidation.payload.mfaSetupRequired === true
     };
 
+    const restrictedPath = !isRestrictedSessionPathAllowed(req.originalUrl);
+
+    // Contraseña temporal asignada por un ADMIN: solo puede cambiarla o cerrar sesión
+    if (req.user.mustChangePassword && restrictedPath) {
+      return res.status(403).json({
+        success: false,
+        message: 'Debes cambiar tu contraseña temporal antes de continuar',
+        error: 'PASSWORD_CHANGE_REQUIRED'
+      });
+    }
+
+    // Rol con segundo factor obligatorio: solo puede registrarlo o cerrar sesión
+    if (req.user.mfaSetupRequired && restrictedPath) {
+      return res.status(403).json({
+        success: false,
+        message: 'Debes activar la autenticación en dos pasos antes de continuar',
+        error: 'MFA_SETUP_REQUIRED'
+      });
+    }
+
     next();
   } catch (error) {
     logger.error('Error en authMiddleware:', { error });
@@ -275,6 +325,116 @@ const loginRateLimit = rateLimit({
   // Usar keyGenerator por defecto para evitar problemas IPv6
 });
 
+/**
+ * Rate limiter para el reenvío de enlaces de verificación de email
+ * Cada solicitud puede enviar un correo, por eso su ventana es más larga que la del login
+ * Complejidad: O(1) usando tabla hash en memoria
+ */
+const verificationRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hora
+  max: 3, // máximo 3 reenvíos por IP en una hora
+  message: {
+    success: false,
+    message: 'Demasiadas solicitudes de verificación desde esta IP. Intenta nuevamente en una hora.',
+    error: 'TOO_MANY_VERIFICATION_REQUESTS',
+    retryAfter: 3600 // 1 hora en segundos
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * Rate limiter para el cambio de contraseña del usuario autenticado
+ * Va después de authMiddleware y cuenta por usuario, no por IP
+ * Complejidad: O(1) usando tabla hash en memoria
+ */
+const changePasswordRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 5, // máximo 5 intentos por usuario en 15 minutos
+  keyGenerator: (req) => `user:${req.user.id}`,
+  message: {
+    success: false,
+    message: 'Demasiados intentos de cambio de contraseña. Intenta nuevamente en 15 minutos.',
+    error: 'TOO_MANY_PASSWORD_CHANGE_ATTEMPTS',
+    retryAfter: 900 // 15 minutos en segundos
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * Rate limiter para la verificación de email con el token del enlace
+ * Separado del reenvío (que envía correos) y del login
+ * Complejidad: O(1) usando tabla hash en memoria
+ */
+const verifyEmailRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 10, // máximo 10 intentos por IP en 15 minutos
+  message: {
+    success: false,
+    message: 'Demasiados intentos de verificación de email desde esta IP. Intenta nuevamente en 15 minutos.',
+    error: 'TOO_MANY_EMAIL_VERIFICATION_ATTEMPTS',
+    retryAfter: 900 // 15 minutos en segundos
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * Rate limiter para la recuperación de contraseña (forgot-password y reset-password)
+ * Comparte el conteo entre las dos rutas del flujo, pero no con el login
+ * Complejidad: O(1) usando tabla hash en memoria
+ */
+const passwordResetRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hora
+  max: 10, // máximo 10 solicitudes por IP en una hora
+  message: {
+    success: false,
+    message: 'Demasiadas solicitudes de recuperación de contraseña desde esta IP. Intenta nuevamente en una hora.',
+    error: 'TOO_MANY_PASSWORD_RESET_REQUESTS',
+    retryAfter: 3600 // 1 hora en segundos
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * Rate limiter para el segundo paso del login (POST /mfa/verify)
+ * Tiene su propio conteo para que el código no consuma los intentos del login
+ * Complejidad: O(1) usando tabla hash en memoria
+ */
+const mfaVerifyRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 10, // máximo 10 códigos por IP en 15 minutos
+  message: {
+    success: false,
+    message: 'Demasiados intentos de verificación del segundo factor desde esta IP. Intenta nuevamente en 15 minutos.',
+    error: 'TOO_MANY_MFA_ATTEMPTS',
+    retryAfter: 900 // 15 minutos en segundos
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * Rate limiter para la gestión del segundo factor (confirmar, desactivar y regenerar
+ * códigos). Va después de authMiddleware y cuenta por usuario, no por IP
+ * Complejidad: O(1) usando tabla hash en memoria
+ */
+const mfaManagementRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 10, // máximo 10 códigos por usuario en 15 minutos
+  keyGenerator: (req) => `user:${req.user.id}`,
+  message: {
+    success: false,
+    message: 'Demasiados intentos con el segundo factor. Intenta nuevamente en 15 minutos.',
+    error: 'TOO_MANY_MFA_ATTEMPTS',
+    retryAfter: 900 // 15 minutos en segundos
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 /**
  * Middleware para validar que el usuario esté activo
  * Complejidad: O(log n) para consulta en BD
@@ -328,9 +488,16 @@ const validateActiveUser = async (req, res, next) => {
 export {
   AuthMiddlewareFactory,
   loginRateLimit,
+  verificationRateLimit,
+  changePasswordRateLimit,
+  verifyEmailRateLimit,
+  passwordResetRateLimit,
+  mfaVerifyRateLimit,
+  mfaManagementRateLimit,
   validateActiveUser,
   baseAuthMiddleware,
-  baseAuthMiddleware as authMiddleware
+  baseAuthMiddleware as authMiddleware,
+  isRestrictedSessionPathAllowed
 };
 
 export default AuthMiddlewareFactory;
\ No newline at end of file
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Middleware de permisos por convenio
+ * @description Verifica el permiso efectivo (Propietario, Editor o Lector) del usuario
+ * sobre el convenio de la ruta, ya sea indicado por `:convenioId` o a través de la
+ * actividad `:actividadId`. Responde 404 si el convenio está fuera de las unidades del
+ * usuario y 403 si su permiso no alcanza. Se usa después de authMiddleware.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Complejidad Big O:
+ * - Verificación: O(u + log n) donde u = unidades (cálculo del alcance)
+ */
+
+import ConvenioMiembroService, { tienePermiso } from '../services/convenio-miembros.service.js';
+import UnidadService from '../services/unidades.service.js';
+import logger from '../lib/logger.js';
+
+const miembroService = new ConvenioMiembroService();
+const unidadService = new UnidadService();
+
+/**
+ * Crea un middleware de permisos por convenio
+ * @param {string} rolMinimo - Rol de convenio requerido
+ * @param {string} param - Parámetro de ruta con el ID
+ * @param {Function} resolver - (id, user, alcance) => resultado de ConvenioMiembroService
+ * @returns {Function} Middleware de Express
+ */
+const createAccesoMiddleware = (rolMinimo, param, resolver) => async (req, res, next) => {
+  try {
+    const id = Number(req.params[param]);
+
+    if (!Number.isInteger(id) || id <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Parámetro ${param} inválido`,
+        error: 'INVALID_ID'
+      });
+    }
+
+    if (req.alcance === undefined) {
+      req.alcance = await unidadService.resolveAlcance(req.user);
+    }
+
+    const result = await resolver(id, req.user, req.alcance);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    if (!tienePermiso(result.data.rol, rolMinimo)) {
+      return res.status(403).json({
+        success: false,
+        message: `Acceso denegado - Se requiere permiso ${rolMinimo} en el convenio`,
+        error: 'FORBIDDEN',
+        rolConvenio: result.data.rol,
+        rolRequerido: rolMinimo
+      });
+    }
+
+    req.accesoConvenio = result.data;
+    next();
+  } catch (error) {
+    logger.error('Error verificando permisos del convenio:', { error });
+    return res.status(500).json({
+      success: false,
+      message: 'Error verificando permisos del convenio',
+      error: 'ACCESO_ERROR'
+    });
+  }
+};
+
+/**
+ * Exige un permiso mínimo sobre el convenio `:convenioId` y deja en
+ * req.accesoConvenio el permiso efectivo ({ convenioId, rol, origen })
+ * @param {string} [rolMinimo='Lector'] - Lector, Editor o Propietario
+ * @param {string} [param='convenioId'] - Parámetro de ruta con el ID del convenio
+ * @returns {Function} Middleware de Express
+ * Complejidad: O(u + log n)
+ */
+const requireConvenioAcceso = (rolMinimo = 'Lector', param = 'convenioId') => createAccesoMiddleware(
+  rolMinimo, param, (id, user, alcance) => miembroService.getAcceso(id, user, alcance)
+);
+
+/**
+ * Exige un permiso mínimo sobre el convenio de la actividad `:actividadId`
+ * @param {string} [rolMinimo='Lector'] - Lector, Editor o Propietario
+ * @param {string} [param='actividadId'] - Parámetro de ruta con el ID de la actividad
+ * @returns {Function} Middleware de Express
+ * Complejidad: O(u + log n)
+ */
+const requireActividadAcceso = (rolMinimo = 'Lector', param = 'actividadId') => createAccesoMiddleware(
+  rolMinimo, param, (id, user, alcance) => miembroService.getAccesoActividad(id, user, alcance)
+);
+
+export { requireConvenioAcceso, requireActividadAcceso };
@@ -91,6 +91,38 @@ const upload = multer({
   }
 });
 
+/**
+ * Extensiones aceptadas para importación masiva de convenios
+ */
+const IMPORT_EXTENSIONS = ['.csv', '.xlsx'];
+
+/**
+ * Filtro para hojas de importación. Solo se valida la extensión: los navegadores
+ * envían los CSV con tipos MIME muy distintos (text/csv, application/vnd.ms-excel...)
+ */
+const importFileFilter = (req, file, cb) => {
+  const fileExtension = path.extname(file.originalname).toLowerCase();
+
+  if (!IMPORT_EXTENSIONS.includes(fileExtension)) {
+    return cb(new Error(`Tipo de archivo no permitido. Extensiones permitidas: ${IMPORT_EXTENSIONS.join(', ')}`), false);
+  }
+
+  cb(null, true);
+};
+
+/**
+ * Configuración de multer para importaciones: el archivo se procesa en memoria
+ * y no se conserva en disco
+ */
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: importFileFilter,
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // Mismo límite que los documentos
+    files: 1
+  }
+});
+
 /**
  * Middleware para validar que el convenio existe
  */
@@ -206,6 +238,7 @@ const validateFileMetadata = (req, res, next) => {
 
 export {
   upload,
+  importUpload,
   validateConvenioExists,
   handleMulterErrors,
   validateFileMetadata,
@@ -15,7 +15,7 @@ import {
   getEstadisticasActividades
 } from '../controllers/actividades.controller.js';
 import { authMiddleware } from '../middleware/auth.middleware.js';
-import { requireRole } from '../middleware/role.middleware.js';
+import { requireConvenioAcceso } from '../middleware/convenio-acceso.middleware.js';
 
 const router = Router();
 
@@ -140,7 +140,7 @@ const router = Router();
  */
 router.post('/convenios/:convenioId/actividades',
   authMiddleware,
-  requireRole(['ADMIN', 'GESTOR']),
+  requireConvenioAcceso('Editor'),
   createActividad
 );
 
@@ -173,6 +173,22 @@ router.post('/convenios/:convenioId/actividades',
  *           maximum: 50
  *         description: Elementos por página
  *       - in: query
+ *         name: pagination
+ *         schema:
+ *           type: string
+ *           enum: [page, cursor]
+ *         description: Modo de paginación; cursor devuelve nextCursor/prevCursor en lugar de páginas
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Cursor opaco (nextCursor) para obtener la página siguiente
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Cursor opaco (prevCursor) para obtener la página anterior
+ *       - in: query
  *         name: estado
  *         schema:
  *           type: string
@@ -214,6 +230,7 @@ router.post('/convenios/:convenioId/actividades',
  */
 router.get('/convenios/:convenioId/actividades',
   authMiddleware,
+  requireConvenioAcceso(),
   getActividadesByConvenio
 );
 
@@ -266,6 +283,7 @@ router.get('/convenios/:convenioId/actividades',
  */
 router.get('/convenios/:convenioId/actividades/estadisticas',
   authMiddleware,
+  requireConvenioAcceso(),
   getEstadisticasActividades
 );
 
@@ -308,6 +326,7 @@ router.get('/convenios/:convenioId/actividades/estadisticas',
  */
 router.get('/convenios/:convenioId/actividades/:actividadId',
   authMiddleware,
+  requireConvenioAcceso(),
   getActividad
 );
 
@@ -380,7 +399,7 @@ router.get('/convenios/:convenioId/actividades/:actividadId',
  */
 router.put('/convenios/:convenioId/actividades/:actividadId',
   authMiddleware,
-  requireRole(['ADMIN', 'GESTOR']),
+  requireConvenioAcceso('Editor'),
   updateActividad
 );
 
@@ -424,7 +443,7 @@ router.put('/convenios/:convenioId/actividades/:actividadId',
  */
 router.delete('/convenios/:convenioId/actividades/:actividadId',
   authMiddleware,
-  requireRole(['ADMIN', 'GESTOR']),
+  requireConvenioAcceso('Editor'),
   deleteActividad
 );
 
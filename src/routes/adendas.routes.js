@@ -0,0 +1,247 @@
+/**
+ * @fileoverview Rutas para Adendas (otrosíes) de Convenios
+ * @description Define las rutas REST para registrar, consultar y aprobar adendas
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ */
+
+import { Router } from 'express';
+import {
+  getAdendas,
+  getAdendaById,
+  createAdenda,
+  updateAdenda,
+  deleteAdenda,
+  aprobarAdenda,
+  rechazarAdenda
+} from '../controllers/adendas.controller.js';
+import {
+  validateAdendaParams,
+  validateCreateAdenda,
+  validatePatchAdenda
+} from '../validators/adendas.validator.js';
+import { authMiddleware } from '../middleware/auth.middleware.js';
+import { requireRole } from '../middleware/role.middleware.js';
+import { requireConvenioAcceso } from '../middleware/convenio-acceso.middleware.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Adenda:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         numero:
+ *           type: integer
+ *           description: Consecutivo de la adenda dentro del convenio
+ *         fecha:
+ *           type: string
+ *           format: date-time
+ *           description: Fecha de suscripción
+ *         descripcion:
+ *           type: string
+ *         nuevaFechaFin:
+ *           type: string
+ *           format: date-time
+ *           description: Nueva fecha de fin del convenio (si la adenda modifica la vigencia)
+ *         estado:
+ *           type: string
+ *           enum: [Pendiente, Aprobada, Rechazada]
+ *         documento:
+ *           type: object
+ *           description: Documento adjunto (opcional)
+ */
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/adendas:
+ *   get:
+ *     summary: Listar adendas de un convenio
+ *     description: Incluye la fecha de fin efectiva, derivada de la última adenda aprobada con nueva fecha de fin
+ *     tags: [Adendas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: convenioId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Convenio con fechaFinEfectiva y sus adendas
+ *       404:
+ *         description: Convenio no encontrado
+ */
+router.get('/convenios/:convenioId/adendas',
+  authMiddleware,
+  requireConvenioAcceso(),
+  validateAdendaParams,
+  getAdendas
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/adendas:
+ *   post:
+ *     summary: Registrar una adenda (queda pendiente de aprobación)
+ *     tags: [Adendas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: convenioId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [fecha, descripcion]
+ *             properties:
+ *               fecha:
+ *                 type: string
+ *                 format: date
+ *               descripcion:
+ *                 type: string
+ *               nuevaFechaFin:
+ *                 type: string
+ *                 format: date
+ *               documentId:
+ *                 type: integer
+ *                 description: Documento del mismo convenio que soporta la adenda
+ *     responses:
+ *       201:
+ *         description: Adenda registrada
+ *       404:
+ *         description: Convenio no encontrado
+ *       409:
+ *         description: El convenio no está activo
+ */
+router.post('/convenios/:convenioId/adendas',
+  authMiddleware,
+  requireConvenioAcceso('Editor'),
+  validateAdendaParams,
+  validateCreateAdenda,
+  createAdenda
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/adendas/{adendaId}:
+ *   get:
+ *     summary: Obtener una adenda
+ *     tags: [Adendas]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Información de la adenda
+ *       404:
+ *         description: Adenda no encontrada
+ */
+router.get('/convenios/:convenioId/adendas/:adendaId',
+  authMiddleware,
+  requireConvenioAcceso(),
+  validateAdendaParams,
+  getAdendaById
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/adendas/{adendaId}:
+ *   patch:
+ *     summary: Actualizar una adenda pendiente
+ *     tags: [Adendas]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Adenda actualizada
+ *       409:
+ *         description: La adenda ya fue aprobada o rechazada
+ */
+router.patch('/convenios/:convenioId/adendas/:adendaId',
+  authMiddleware,
+  requireConvenioAcceso('Editor'),
+  validateAdendaParams,
+  validatePatchAdenda,
+  updateAdenda
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/adendas/{adendaId}:
+ *   delete:
+ *     summary: Eliminar una adenda pendiente
+ *     tags: [Adendas]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Adenda eliminada
+ *       409:
+ *         description: La adenda ya fue aprobada o rechazada
+ */
+router.delete('/convenios/:convenioId/adendas/:adendaId',
+  authMiddleware,
+  requireConvenioAcceso('Editor'),
+  validateAdendaParams,
+  deleteAdenda
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/adendas/{adendaId}/aprobar:
+ *   post:
+ *     summary: Aprobar una adenda
+ *     description: Si la adenda define nuevaFechaFin, pasa a ser la fecha de fin efectiva del convenio
+ *     tags: [Adendas]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Adenda aprobada y fecha de fin efectiva resultante
+ *       403:
+ *         description: Requiere rol ADMIN
+ *       409:
+ *         description: Adenda ya resuelta o convenio no activo
+ */
+router.post('/convenios/:convenioId/adendas/:adendaId/aprobar',
+  authMiddleware,
+  requireRole(['ADMIN']),
+  validateAdendaParams,
+  aprobarAdenda
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/adendas/{adendaId}/rechazar:
+ *   post:
+ *     summary: Rechazar una adenda
+ *     tags: [Adendas]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Adenda rechazada
+ *       403:
+ *         description: Requiere rol ADMIN
+ *       409:
+ *         description: Adenda ya resuelta
+ */
+router.post('/convenios/:convenioId/adendas/:adendaId/rechazar',
+  authMiddleware,
+  requireRole(['ADMIN']),
+  validateAdendaParams,
+  rechazarAdenda
+);
+
+export default router;
@@ -0,0 +1,331 @@
+/**
+ * @fileoverview Rutas para Aportes (contribuciones financieras) de Convenios
+ * @description Define las rutas REST para los aportes de las partes, sus cuotas,
+ * el registro de pagos y el resumen financiero del convenio
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ */
+
+import { Router } from 'express';
+import {
+  getAportes,
+  getAporteById,
+  createAporte,
+  updateAporte,
+  deleteAporte,
+  registrarPago,
+  anularPago,
+  getResumenFinanciero
+} from '../controllers/aportes.controller.js';
+import {
+  validateAporteParams,
+  validateCreateAporte,
+  validatePatchAporte,
+  validateRegistrarPago
+} from '../validators/aportes.validator.js';
+import { authMiddleware } from '../middleware/auth.middleware.js';
+import { requireConvenioAcceso } from '../middleware/convenio-acceso.middleware.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CuotaAporte:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         numero:
+ *           type: integer
+ *           description: Consecutivo dentro del aporte, en orden de vencimiento
+ *         fechaVencimiento:
+ *           type: string
+ *           format: date-time
+ *         monto:
+ *           type: number
+ *         montoRecibido:
+ *           type: number
+ *           nullable: true
+ *         recibidaEn:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         estado:
+ *           type: string
+ *           enum: [Pendiente, Vencida, Recibida]
+ *     Aporte:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         parte:
+ *           type: object
+ *           description: Parte que realiza el aporte
+ *         tipo:
+ *           type: string
+ *           enum: [Efectivo, Especie]
+ *         monto:
+ *           type: number
+ *           description: Monto comprometido (suma de las cuotas)
+ *         moneda:
+ *           type: string
+ *           example: COP
+ *         descripcion:
+ *           type: string
+ *           description: Detalle del aporte en especie
+ *         recibido:
+ *           type: number
+ *         pendiente:
+ *           type: number
+ *         cuotas:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CuotaAporte'
+ */
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/finanzas:
+ *   get:
+ *     summary: Resumen financiero del convenio
+ *     description: Comprometido, recibido, pendiente y vencido por moneda y por parte, con las próximas cuotas a cobrar
+ *     tags: [Aportes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: convenioId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Resumen financiero
+ *       404:
+ *         description: Convenio no encontrado
+ */
+router.get('/convenios/:convenioId/finanzas',
+  authMiddleware,
+  requireConvenioAcceso(),
+  validateAporteParams,
+  getResumenFinanciero
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/aportes:
+ *   get:
+ *     summary: Listar aportes de un convenio
+ *     tags: [Aportes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: convenioId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Aportes con sus cuotas
+ *       404:
+ *         description: Convenio no encontrado
+ */
+router.get('/convenios/:convenioId/aportes',
+  authMiddleware,
+  requireConvenioAcceso(),
+  validateAporteParams,
+  getAportes
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/aportes:
+ *   post:
+ *     summary: Registrar el aporte de una parte con su plan de cuotas
+ *     tags: [Aportes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: convenioId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [parteId, tipo, monto, cuotas]
+ *             properties:
+ *               parteId:
+ *                 type: integer
+ *                 description: Parte asociada al convenio
+ *               tipo:
+ *                 type: string
+ *                 enum: [Efectivo, Especie]
+ *               monto:
+ *                 type: number
+ *               moneda:
+ *                 type: string
+ *                 default: COP
+ *               descripcion:
+ *                 type: string
+ *               cuotas:
+ *                 type: array
+ *                 description: Plan de pagos; la suma debe ser igual al monto
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     fechaVencimiento:
+ *                       type: string
+ *                       format: date
+ *                     monto:
+ *                       type: number
+ *     responses:
+ *       201:
+ *         description: Aporte registrado
+ *       400:
+ *         description: Datos inválidos o parte no asociada al convenio
+ *       409:
+ *         description: Convenio archivado
+ */
+router.post('/convenios/:convenioId/aportes',
+  authMiddleware,
+  requireConvenioAcceso('Editor'),
+  validateAporteParams,
+  validateCreateAporte,
+  createAporte
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/aportes/{aporteId}:
+ *   get:
+ *     summary: Obtener un aporte
+ *     tags: [Aportes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Aporte con sus cuotas
+ *       404:
+ *         description: Aporte no encontrado
+ */
+router.get('/convenios/:convenioId/aportes/:aporteId',
+  authMiddleware,
+  requireConvenioAcceso(),
+  validateAporteParams,
+  getAporteById
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/aportes/{aporteId}:
+ *   patch:
+ *     summary: Actualizar un aporte
+ *     description: monto y cuotas se envían juntos y reemplazan el plan de pagos (solo sin pagos registrados)
+ *     tags: [Aportes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Aporte actualizado
+ *       409:
+ *         description: El aporte tiene pagos registrados o el convenio está archivado
+ */
+router.patch('/convenios/:convenioId/aportes/:aporteId',
+  authMiddleware,
+  requireConvenioAcceso('Editor'),
+  validateAporteParams,
+  validatePatchAporte,
+  updateAporte
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/aportes/{aporteId}:
+ *   delete:
+ *     summary: Eliminar un aporte sin pagos registrados
+ *     tags: [Aportes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Aporte eliminado
+ *       409:
+ *         description: El aporte tiene pagos registrados o el convenio está archivado
+ */
+router.delete('/convenios/:convenioId/aportes/:aporteId',
+  authMiddleware,
+  requireConvenioAcceso('Editor'),
+  validateAporteParams,
+  deleteAporte
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/aportes/{aporteId}/cuotas/{cuotaId}/pago:
+ *   post:
+ *     summary: Registrar el pago recibido de una cuota
+ *     tags: [Aportes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [fechaRecepcion]
+ *             properties:
+ *               fechaRecepcion:
+ *                 type: string
+ *                 format: date
+ *               montoRecibido:
+ *                 type: number
+ *                 description: Por defecto, el monto de la cuota
+ *               observaciones:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Pago registrado; devuelve el aporte actualizado
+ *       404:
+ *         description: Aporte o cuota no encontrados
+ *       409:
+ *         description: La cuota ya tiene un pago registrado
+ */
+router.post('/convenios/:convenioId/aportes/:aporteId/cuotas/:cuotaId/pago',
+  authMiddleware,
+  requireConvenioAcceso('Editor'),
+  validateAporteParams,
+  validateRegistrarPago,
+  registrarPago
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/aportes/{aporteId}/cuotas/{cuotaId}/pago:
+ *   delete:
+ *     summary: Anular el pago registrado de una cuota
+ *     tags: [Aportes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pago anulado; la cuota vuelve a quedar pendiente
+ *       409:
+ *         description: La cuota no tiene un pago registrado
+ */
+router.delete('/convenios/:convenioId/aportes/:aporteId/cuotas/:cuotaId/pago',
+  authMiddleware,
+  requireConvenioAcceso('Editor'),
+  validateAporteParams,
+  anularPago
+);
+
+export default router;
@@ -6,8 +6,33 @@
  */
 
 import { Router } from 'express';
-import { login, register, getCurrentUser, logout } from '../controllers/auth.controller.js';
-import { loginRateLimit, AuthMiddlewareFactory } from '../middleware/auth.middleware.js';
+import {
+  login,
+  register,
+  getCurrentUser,
+  logout,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  verifyMfa,
+  getMfaStatus,
+  setupMfa,
+  confirmMfa,
+  disableMfa,
+  regenerateRecoveryCodes
+} from '../controllers/auth.controller.js';
+import {
+  loginRateLimit,
+  verificationRateLimit,
+  changePasswordRateLimit,
+  verifyEmailRateLimit,
+  passwordResetRateLimit,
+  mfaVerifyRateLimit,
+  mfaManagementRateLimit,
+  AuthMiddlewareFactory
+} from '../middleware/auth.middleware.js';
 
 const router = Router();
 
@@ -23,6 +48,8 @@ const authWithLogging = AuthMiddlewareFactory.createWithLogging();
  * 
  * Features:
  * - Rate limiting: 5 intentos por IP cada 15 minutos
+ * - Bloqueo temporal de la cuenta tras LOGIN_LOCKOUT_MAX_ATTEMPTS intentos fallidos,
+ *   aunque vengan de distintas IPs; cada bloqueo consecutivo dura el doble
  * - Validación Zod de entrada
  * - Respuestas seguras sin revelar información sensible
  * - Logging de seguridad
@@ -34,9 +61,12 @@ const authWithLogging = AuthMiddlewareFactory.createWithLogging();
  * @body {boolean} [rememberMe] - Mantener sesión activa (opcional)
  * @body {object} [deviceInfo] - Información del dispositivo (opcional)
  * 
- * @returns {Object} 200 - Login exitoso con tokens
+ * @returns {Object} 200 - Login exitoso con tokens, o desafío del segundo factor
+ *   (mfaRequired + challengeToken) si el usuario lo tiene activo
  * @returns {Object} 400 - Errores de validación
  * @returns {Object} 401 - Credenciales inválidas
+ * @returns {Object} 403 - Email sin verificar (EMAIL_NOT_VERIFIED)
+ * @returns {Object} 423 - Cuenta bloqueada (ACCOUNT_LOCKED, con lockedUntil y Retry-After)
  * @returns {Object} 429 - Demasiados intentos
  * @returns {Object} 500 - Error interno
  */
@@ -45,6 +75,140 @@ router.post('/login',
   login           // Controlador de login
 );
 
+/**
+ * POST /api/auth/mfa/verify
+ * Segundo paso del login para usuarios con autenticación en dos pasos
+ * 
+ * Features:
+ * - Recibe el challengeToken devuelto por /login (vence en 5 minutos y es de un solo uso)
+ * - Acepta el código de la aplicación o un código de recuperación de un solo uso
+ * - Un mismo código TOTP no se acepta dos veces
+ * 
+ * Complejidad: O(log n)
+ * 
+ * @body {string} challengeToken - Token de desafío devuelto por /login (requerido)
+ * @body {string} [code] - Código de 6 dígitos de la aplicación de autenticación
+ * @body {string} [recoveryCode] - Código de recuperación (en lugar de code)
+ * 
+ * @returns {Object} 200 - Login exitoso con tokens
+ * @returns {Object} 400 - Errores de validación
+ * @returns {Object} 401 - Desafío expirado o código inválido
+ * @returns {Object} 423 - Cuenta bloqueada (los códigos incorrectos cuentan como intentos fallidos)
+ * @returns {Object} 429 - Demasiados intentos
+ */
+router.post('/mfa/verify',
+  mfaVerifyRateLimit,  // Limita los intentos sobre el código, aparte de los del login
+  verifyMfa
+);
+
+/**
+ * GET /api/auth/mfa/status
+ * Estado de la autenticación en dos pasos del usuario autenticado
+ * 
+ * Complejidad: O(log n)
+ * 
+ * @header {string} Authorization - Bearer token (requerido)
+ * 
+ * @returns {Object} 200 - mfaEnabled, requiredByPolicy y códigos de recuperación restantes
+ * @returns {Object} 401 - Token inválido
+ */
+router.get('/mfa/status',
+  authMiddleware,
+  getMfaStatus
+);
+
+/**
+ * POST /api/auth/mfa/setup
+ * Iniciar el registro de la autenticación en dos pasos
+ * 
+ * Features:
+ * - Genera un secreto TOTP pendiente de confirmación
+ * - Devuelve la URI otpauth:// para mostrarla como código QR y el secreto para
+ *   ingresarlo a mano
+ * - Disponible con sesión restringida (MFA_SETUP_REQUIRED)
+ * 
+ * Complejidad: O(log n)
+ * 
+ * @header {string} Authorization - Bearer token (requerido)
+ * 
+ * @returns {Object} 200 - secret y otpauthUri
+ * @returns {Object} 401 - Token inválido
+ * @returns {Object} 409 - El segundo factor ya está activo
+ */
+router.post('/mfa/setup',
+  authMiddleware,
+  setupMfa
+);
+
+/**
+ * POST /api/auth/mfa/confirm
+ * Confirmar el registro con un código de la aplicación
+ * 
+ * Features:
+ * - Activa el segundo factor y devuelve 10 códigos de recuperación (solo esta vez)
+ * - Revoca las demás sesiones y devuelve un nuevo par de tokens sin restricción
+ * 
+ * Complejidad: O(log n + c)
+ * 
+ * @header {string} Authorization - Bearer token (requerido)
+ * @body {string} code - Código de 6 dígitos (requerido)
+ * 
+ * @returns {Object} 200 - recoveryCodes y tokens
+ * @returns {Object} 400 - Código inválido
+ * @returns {Object} 409 - Registro no iniciado o segundo factor ya activo
+ * @returns {Object} 429 - Demasiados intentos
+ */
+router.post('/mfa/confirm',
+  authMiddleware,
+  mfaManagementRateLimit,  // Por usuario
+  confirmMfa
+);
+
+/**
+ * POST /api/auth/mfa/disable
+ * Desactivar la autenticación en dos pasos
+ * 
+ * Features:
+ * - Requiere un código de la aplicación o de recuperación
+ * - No disponible para roles con segundo factor obligatorio (MFA_REQUIRED_ROLES)
+ * 
+ * Complejidad: O(log n + c)
+ * 
+ * @header {string} Authorization - Bearer token (requerido)
+ * @body {string} [code] - Código de 6 dígitos
+ * @body {string} [recoveryCode] - Código de recuperación (en lugar de code)
+ * 
+ * @returns {Object} 200 - Segundo factor desactivado
+ * @returns {Object} 400 - Código inválido
+ * @returns {Object} 403 - Obligatorio para el rol del usuario
+ * @returns {Object} 409 - El segundo factor no está activo
+ * @returns {Object} 429 - Demasiados intentos
+ */
+router.post('/mfa/disable',
+  authMiddleware,
+  mfaManagementRateLimit,  // Por usuario
+  disableMfa
+);
+
+/**
+ * POST /api/auth/mfa/recovery-codes
+ * Regenerar los códigos de recuperación; los anteriores dejan de ser válidos
+ * 
+ * Complejidad: O(log n + c)
+ * 
+ * @header {string} Authorization - Bearer token (requerido)
+ * @body {string} code - Código de 6 dígitos (requerido)
+ * 
+ * @returns {Object} 200 - Nuevos recoveryCodes
+ * @returns {Object} 400 - Código inválido
+ * @returns {Object} 429 - Demasiados intentos
+ */
+router.post('/mfa/recovery-codes',
+  authMiddleware,
+  mfaManagementRateLimit,  // Por usuario
+  regenerateRecoveryCodes
+);
+
 /**
  * POST /api/auth/register
  * Endpoint de registro de usuarios
@@ -54,7 +218,8 @@ router.post('/login',
  * - Validación Zod robusta (email/código UNAC, contraseña segura)
  * - Verificación de duplicados
  * - Hash automático de contraseña
- * - Auto-login después del registro
+ * - Envío del enlace de verificación de email (sin auto-login: la cuenta no puede
+ *   iniciar sesión hasta verificarse; las registradas con código las verifica un ADMIN)
  * 
  * Complejidad: O(log n) para verificación de duplicados e inserción
  * 
@@ -63,7 +228,7 @@ router.post('/login',
  * @body {string} confirmPassword - Confirmación de contraseña (requerido)
  * @body {string} [rol] - Rol del usuario (ADMIN, GESTOR) (opcional, default: GESTOR)
  * 
- * @returns {Object} 201 - Registro exitoso con tokens
+ * @returns {Object} 201 - Registro exitoso, pendiente de verificación
  * @returns {Object} 400 - Errores de validación
  * @returns {Object} 409 - Usuario ya existe
  * @returns {Object} 429 - Demasiados intentos de registro
@@ -96,6 +261,122 @@ router.get('/me',
   getCurrentUser    // Controlador para obtener usuario actual
 );
 
+/**
+ * POST /api/auth/change-password
+ * Cambiar la contraseña del usuario autenticado
+ * 
+ * Features:
+ * - Requiere token JWT válido (también con contraseña temporal pendiente)
+ * - Verifica la contraseña actual y aplica la política de contraseñas
+ * - Revoca las demás sesiones y devuelve un nuevo par de tokens
+ * 
+ * Complejidad: O(2^saltRounds) - verificación y hash
+ * 
+ * @header {string} Authorization - Bearer token (requerido)
+ * @body {string} currentPassword - Contraseña actual o temporal (requerido)
+ * @body {string} newPassword - Nueva contraseña (requerido)
+ * @body {string} confirmPassword - Confirmación de la nueva contraseña (requerido)
+ * 
+ * @returns {Object} 200 - Contraseña actualizada con nuevos tokens
+ * @returns {Object} 400 - Datos inválidos o contraseña actual incorrecta
+ * @returns {Object} 401 - Token inválido o cuenta deshabilitada
+ * @returns {Object} 429 - Demasiados intentos
+ */
+router.post('/change-password',
+  authMiddleware,
+  changePasswordRateLimit,  // Limita los intentos sobre la contraseña actual, por usuario
+  changePassword
+);
+
+/**
+ * POST /api/auth/verify-email
+ * Verificar el email de una cuenta registrada
+ * 
+ * Features:
+ * - El token es de un solo uso y vence según EMAIL_VERIFICATION_TTL_HOURS
+ * - Habilita el inicio de sesión de la cuenta
+ * 
+ * Complejidad: O(log n) - búsqueda por hash indexado
+ * 
+ * @body {string} token - Token del enlace de verificación (requerido)
+ * 
+ * @returns {Object} 200 - Email verificado
+ * @returns {Object} 400 - Datos inválidos o token inválido, usado o expirado
+ * @returns {Object} 429 - Demasiados intentos
+ */
+router.post('/verify-email',
+  verifyEmailRateLimit,
+  verifyEmail
+);
+
+/**
+ * POST /api/auth/resend-verification
+ * Reenviar el enlace de verificación de email
+ * 
+ * Features:
+ * - Solo envía a cuentas activas sin verificar; la respuesta es la misma para cualquier email
+ * - Un nuevo enlace anula los anteriores
+ * - Rate limiting propio (3 solicitudes por hora)
+ * 
+ * Complejidad: O(log n) + envío del correo
+ * 
+ * @body {string} email - Email de la cuenta (requerido)
+ * 
+ * @returns {Object} 200 - Solicitud recibida
+ * @returns {Object} 400 - Datos inválidos
+ * @returns {Object} 429 - Demasiadas solicitudes
+ */
+router.post('/resend-verification',
+  verificationRateLimit,  // Limita el envío de correos
+  resendVerification
+);
+
+/**
+ * POST /api/auth/forgot-password
+ * Solicitar un enlace de recuperación de contraseña
+ * 
+ * Features:
+ * - Envía por correo un enlace de un solo uso con vencimiento
+ * - Misma respuesta exista o no la cuenta (no revela emails registrados)
+ * - Un nuevo enlace anula los anteriores
+ * 
+ * Complejidad: O(log n) + envío del correo
+ * 
+ * @body {string} email - Email de la cuenta (requerido)
+ * 
+ * @returns {Object} 200 - Solicitud recibida
+ * @returns {Object} 400 - Datos inválidos
+ * @returns {Object} 429 - Demasiados intentos
+ */
+router.post('/forgot-password',
+  passwordResetRateLimit,  // Evita el envío masivo de correos
+  forgotPassword
+);
+
+/**
+ * POST /api/auth/reset-password
+ * Restablecer la contraseña con el token recibido por correo
+ * 
+ * Features:
+ * - El token es de un solo uso y vence según PASSWORD_RESET_TTL_MINUTES
+ * - Aplica la política de contraseñas
+ * - Revoca todas las sesiones del usuario
+ * 
+ * Complejidad: O(log n) + O(2^saltRounds) del hash
+ * 
+ * @body {string} token - Token del enlace de recuperación (requerido)
+ * @body {string} newPassword - Nueva contraseña (requerido)
+ * @body {string} confirmPassword - Confirmación de la nueva contraseña (requerido)
+ * 
+ * @returns {Object} 200 - Contraseña restablecida
+ * @returns {Object} 400 - Datos inválidos o token inválido, usado o expirado
+ * @returns {Object} 429 - Demasiados intentos
+ */
+router.post('/reset-password',
+  passwordResetRateLimit,
+  resetPassword
+);
+
 /**
  * POST /api/auth/logout
  * Cerrar sesión del usuario
@@ -148,13 +429,26 @@ router.get('/status', (req, res) => {
           tokenValidation: 'available',
           rateLimit: 'active',
           securityLogging: 'active',
-          autoLoginAfterRegister: 'active'
+          emailVerification: 'active',
+          twoFactorAuth: 'available',
+          accountLockout: 'active'
         },
         endpoints: {
-          'POST /api/auth/register': 'Registro de usuarios con auto-login',
+          'POST /api/auth/register': 'Registro de usuarios con verificación de email',
           'POST /api/auth/login': 'Login con email/password',
+          'POST /api/auth/mfa/verify': 'Segundo paso del login con código TOTP o de recuperación',
+          'GET /api/auth/mfa/status': 'Estado de la autenticación en dos pasos',
+          'POST /api/auth/mfa/setup': 'Iniciar el registro de la autenticación en dos pasos',
+          'POST /api/auth/mfa/confirm': 'Confirmar el registro con un código',
+          'POST /api/auth/mfa/disable': 'Desactivar la autenticación en dos pasos',
+          'POST /api/auth/mfa/recovery-codes': 'Regenerar los códigos de recuperación',
           'GET /api/auth/me': 'Información del usuario actual',
           'POST /api/auth/logout': 'Cerrar sesión',
+          'POST /api/auth/change-password': 'Cambiar la contraseña del usuario actual',
+          'POST /api/auth/verify-email': 'Verificar email con el enlace enviado al registrarse',
+          'POST /api/auth/resend-verification': 'Reenviar enlace de verificación de email',
+          'POST /api/auth/forgot-password': 'Solicitar enlace de recuperación de contraseña',
+          'POST /api/auth/reset-password': 'Restablecer contraseña con el enlace de recuperación',
           'GET /api/auth/status': 'Estado del sistema'
         },
         performance: {
@@ -188,8 +482,19 @@ router.use('*', (req, res) => {
     error: 'AUTH_ROUTE_NOT_FOUND',
     availableRoutes: [
       'POST /api/auth/login',
+      'POST /api/auth/mfa/verify',
+      'GET /api/auth/mfa/status',
+      'POST /api/auth/mfa/setup',
+      'POST /api/auth/mfa/confirm',
+      'POST /api/auth/mfa/disable',
+      'POST /api/auth/mfa/recovery-codes',
       'GET /api/auth/me',
       'POST /api/auth/logout',
+      'POST /api/auth/change-password',
+      'POST /api/auth/verify-email',
+      'POST /api/auth/resend-verification',
+      'POST /api/auth/forgot-password',
+      'POST /api/auth/reset-password',
       'GET /api/auth/status'
     ]
   });
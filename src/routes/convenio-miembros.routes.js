@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Rutas para los miembros de convenios
+ * @description Define las rutas REST para consultar el permiso propio sobre un convenio y
+ * administrar sus miembros. Los propietarios (y ADMIN) administran los miembros.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ */
+
+import { Router } from 'express';
+import {
+  getMiAcceso,
+  getMiembros,
+  setMiembro,
+  removeMiembro
+} from '../controllers/convenio-miembros.controller.js';
+import {
+  validateConvenioMiembrosParams,
+  validateConvenioMiembroParams,
+  validateSetMiembro
+} from '../validators/convenio-miembros.validator.js';
+import { authMiddleware } from '../middleware/auth.middleware.js';
+import { requireConvenioAcceso } from '../middleware/convenio-acceso.middleware.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     MiembroConvenio:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         email:
+ *           type: string
+ *         rol:
+ *           type: string
+ *           enum: [ADMIN, GESTOR, CONSULTOR]
+ *           description: Rol global del usuario
+ *         rolConvenio:
+ *           type: string
+ *           enum: [Propietario, Editor, Lector]
+ *         asignadoPor:
+ *           type: object
+ *           nullable: true
+ */
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/acceso:
+ *   get:
+ *     summary: Permiso del usuario autenticado sobre el convenio
+ *     description: >
+ *       rol es Propietario, Editor o Lector; origen indica si proviene de ser ADMIN, de una
+ *       membresía del convenio (Miembro) o del rol global del usuario (RolGlobal)
+ *     tags: [Miembros de convenio]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permiso efectivo ({ convenioId, rol, origen })
+ *       404:
+ *         description: Convenio no encontrado
+ */
+router.get('/convenios/:convenioId/acceso',
+  authMiddleware,
+  requireConvenioAcceso(),
+  getMiAcceso
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/miembros:
+ *   get:
+ *     summary: Miembros del convenio
+ *     tags: [Miembros de convenio]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Miembros del convenio, propietarios primero
+ *       404:
+ *         description: Convenio no encontrado
+ */
+router.get('/convenios/:convenioId/miembros',
+  authMiddleware,
+  requireConvenioAcceso(),
+  validateConvenioMiembrosParams,
+  getMiembros
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/miembros/{userId}:
+ *   put:
+ *     summary: Agregar un miembro o cambiar su rol
+ *     description: >
+ *       La membresía reemplaza, en este convenio, el permiso por defecto del rol global
+ *       (GESTOR = Editor, CONSULTOR = Lector). Requiere ser Propietario del convenio.
+ *     tags: [Miembros de convenio]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rol]
+ *             properties:
+ *               rol:
+ *                 type: string
+ *                 enum: [Propietario, Editor, Lector]
+ *     responses:
+ *       200:
+ *         description: Miembro actualizado
+ *       403:
+ *         description: Se requiere ser Propietario del convenio
+ *       404:
+ *         description: Convenio o usuario no encontrados
+ */
+router.put('/convenios/:convenioId/miembros/:userId',
+  authMiddleware,
+  requireConvenioAcceso('Propietario'),
+  validateConvenioMiembroParams,
+  validateSetMiembro,
+  setMiembro
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/miembros/{userId}:
+ *   delete:
+ *     summary: Quitar un miembro del convenio
+ *     description: El usuario vuelve a tener el permiso por defecto de su rol global
+ *     tags: [Miembros de convenio]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Miembro eliminado
+ *       403:
+ *         description: Se requiere ser Propietario del convenio
+ *       404:
+ *         description: El usuario no es miembro del convenio
+ */
+router.delete('/convenios/:convenioId/miembros/:userId',
+  authMiddleware,
+  requireConvenioAcceso('Propietario'),
+  validateConvenioMiembroParams,
+  removeMiembro
+);
+
+export default router;
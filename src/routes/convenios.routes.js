@@ -1,17 +1,29 @@
 /**
- * @fileoverview Rutas de Consulta para Convenios - Solo GET endpoints
- * @description Implementa únicamente las rutas de consulta/lectura para tu tarea específica
+ * @fileoverview Rutas de Convenios - Consulta y escritura
+ * @description Implementa las rutas de consulta/lectura y las de creación, actualización y eliminación
  * @author Tu Nombre
- * @version 1.0.0
- * 
- * NOTA IMPORTANTE: Este archivo solo contiene rutas GET para consultar datos.
- * Tu compañero implementará las rutas POST/PUT/DELETE por separado.
+ * @version 1.5.0
  * 
+ * Todas las rutas requieren autenticación y se limitan al alcance del usuario: los
+ * convenios de sus unidades organizacionales y de las que dependen de ellas (ADMIN ve
+ * todos). Un convenio fuera del alcance responde 404.
+ *
  * Rutas implementadas:
- * - GET /api/convenios - Consulta con filtros
+ * - GET /api/convenios - Consulta con filtros y búsqueda de texto completo
  * - GET /api/convenios/:id - Consulta por ID
  * - POST /api/convenios/search - Búsqueda avanzada
  * - GET /api/convenios/stats - Estadísticas
+ * - GET /api/convenios/export - Exportación CSV/XLSX/JSON con los filtros del listado
+ * - POST /api/convenios - Crear convenio (ADMIN, GESTOR)
+ * - PUT/PATCH /api/convenios/:id - Actualizar convenio (permiso Editor)
+ * - DELETE /api/convenios/:id - Eliminar convenio en Borrador (ADMIN, GESTOR, con permiso Editor)
+ * - POST /api/convenios/:id/transitions/:accion - Cambiar estado (permiso Editor)
+ * - GET /api/convenios/:id/transitions - Historial de cambios de estado
+ * - GET /api/convenios/:id/history - Historial de revisiones de campos
+ * - GET /api/convenios/:id/history/diff - Comparación entre dos revisiones
+ * - POST /api/convenios/:id/renew - Renovar convenio (ADMIN, GESTOR, con permiso Editor)
+ * - GET /api/convenios/:id/renewals - Cadena de renovaciones
+ * - POST /api/convenios/import - Importación masiva desde CSV/XLSX (ADMIN, GESTOR)
  * 
  * Complejidad de rutas:
  * - Consultas básicas: O(log n)
@@ -24,20 +36,43 @@ import {
   getConvenios,
   getConvenioById,
   searchConvenios,
-  getConveniosStats
+  getConveniosStats,
+  createConvenio,
+  updateConvenio,
+  deleteConvenio,
+  transitionConvenio,
+  getConvenioTransitions,
+  getConvenioHistory,
+  getConvenioHistoryDiff,
+  renewConvenio,
+  getConvenioRenewals,
+  importConvenios,
+  exportConvenios
 } from '../controllers/convenios.controller.js';
 import {
   validateConveniosQuery,
   validateConvenioId,
-  validateAdvancedSearch
+  validateAdvancedSearch,
+  validateCreateConvenio,
+  validatePatchConvenio,
+  validateConvenioTransition,
+  validateHistoryDiff,
+  validateRenewConvenio,
+  validateExportFormat
 } from '../validators/convenios.validator.js';
+import { validateImportConvenios } from '../validators/convenio-import.validator.js';
+import { importUpload, handleMulterErrors } from '../middleware/file-upload.middleware.js';
+import { authMiddleware } from '../middleware/auth.middleware.js';
+import { requireRole } from '../middleware/role.middleware.js';
+import { loadAlcance, requireConvenioEnAlcance } from '../middleware/alcance.middleware.js';
+import { requireConvenioAcceso } from '../middleware/convenio-acceso.middleware.js';
 
 const router = Router();
 
 /**
  * @route GET /api/convenios
  * @description Obtener convenios con filtros opcionales
- * @access Public (ajustar según necesidades)
+ * @access Private (usuarios autenticados; convenios de sus unidades)
  * @complexity O(log n * m) donde n=registros, m=filtros
  * 
  * Query Parameters:
@@ -45,19 +80,38 @@ const router = Router();
  * - estados: string[] - Filtrar por múltiples estados
  * - fechaInicio: string (YYYY-MM-DD) - Filtrar desde fecha
  * - fechaFin: string (YYYY-MM-DD) - Filtrar hasta fecha
- * - busqueda: string - Búsqueda de texto en nombre/descripción
+ * - search: string - Búsqueda de texto completo en nombre, descripción, partes y documentos
+ *   (español, sin acentos, con stemming); cada resultado incluye relevancia y resaltado
+ * - busqueda: string - Alias de search
+ * - parteId: number[] - Convenios con alguna de estas partes (parteId=1,2)
+ * - parte: string - Convenios con una parte cuyo nombre (o alias) contiene el texto
+ * - parteTipo: string - Convenios con una parte de este tipo (p. ej. Empresa)
+ * - etiquetaId: number[] - Convenios con alguna de estas etiquetas o áreas (etiquetaId=1,2)
+ * - fechaFinDesde / fechaFinHasta: string (YYYY-MM-DD) - Rango de fecha de fin
+ * - conActividades: boolean - true: con actividades; false: sin actividades
  * - includePartes: boolean - Incluir partes relacionadas
- * - sortBy: string - Campo para ordenar
+ * - sortBy: string - Campo para ordenar; con search, por defecto 'relevancia'
  * - sortOrder: string - Orden (asc/desc)
  * - page: number - Número de página
  * - limit: number - Registros por página
+ * - pagination: string - 'cursor' para paginación por cursor (metadata.nextCursor/prevCursor)
+ * - after / before: string - Cursor opaco de la página siguiente / anterior
  * 
  * @example
  * GET /api/convenios?estado=Activo&page=1&limit=10
  * GET /api/convenios?estados=Activo,Borrador&busqueda=academico
+ * GET /api/convenios?search=investigacion
+ * GET /api/convenios?estado=Activo&parteId=12
+ * GET /api/convenios?parteTipo=Empresa&fechaFinDesde=2025-01-01&fechaFinHasta=2025-06-30
+ * GET /api/convenios?conActividades=false
+ * GET /api/convenios?etiquetaId=3,7
+ * GET /api/convenios?pagination=cursor&limit=20
+ * GET /api/convenios?limit=20&after=eyJzIjoiY3JlYXRlZEF0OmRlc2MsaWQ6ZGVzYyIsInYiOlsuLi5dfQ
  * GET /api/convenios?fechaInicio=2025-01-01&fechaFin=2025-12-31
  */
 router.get('/', 
+  authMiddleware,
+  loadAlcance,             // Unidades visibles para el usuario - O(u)
   validateConveniosQuery,  // Middleware de validación - O(k)
   getConvenios            // Controlador principal - O(log n * m)
 );
@@ -65,7 +119,7 @@ router.get('/',
 /**
  * @route GET /api/convenios/stats
  * @description Obtener estadísticas agregadas de convenios
- * @access Public
+ * @access Private (usuarios autenticados; convenios de sus unidades)
  * @complexity O(log n) con índices optimizados
  * 
  * @returns {Object} Estadísticas de convenios:
@@ -77,13 +131,41 @@ router.get('/',
  * GET /api/convenios/stats
  */
 router.get('/stats', 
+  authMiddleware,
+  loadAlcance,
   getConveniosStats       // Controlador de estadísticas - O(log n)
 );
 
+/**
+ * @route GET /api/convenios/export
+ * @description Exportar los convenios que cumplen los filtros del listado
+ * @access Private (usuarios autenticados; convenios de sus unidades)
+ * @complexity O(n * p) donde n = convenios exportados, p = partes por convenio
+ * 
+ * Query Parameters:
+ * - format: 'csv' | 'xlsx' | 'json' (por defecto csv)
+ * - Los mismos filtros y orden que GET /api/convenios; la paginación se ignora
+ *   y se exportan todos los convenios que cumplen los filtros
+ * 
+ * @returns {File} Archivo convenios_YYYY-MM-DD.<format> con partes, número de
+ * actividades y número de documentos. Las filas se envían por lotes a medida que
+ * se consultan (transferencia por partes).
+ * 
+ * @example
+ * GET /api/convenios/export?format=xlsx&estados=Activo,Borrador&sortBy=fechaFin&sortOrder=asc
+ */
+router.get('/export',
+  authMiddleware,
+  loadAlcance,
+  validateConveniosQuery,
+  validateExportFormat,
+  exportConvenios
+);
+
 /**
  * @route GET /api/convenios/:id
- * @description Obtener convenio específico por ID
- * @access Public
+ * @description Obtener convenio específico por ID, con su unidad organizacional
+ * @access Private (usuarios autenticados; convenios de sus unidades)
  * @complexity O(1) usando clave primaria
  * 
  * Path Parameters:
@@ -97,26 +179,34 @@ router.get('/stats',
  * GET /api/convenios/123?includePartes=true
  */
 router.get('/:id',
+  authMiddleware,
   validateConvenioId,     // Validación de ID - O(1)
+  requireConvenioEnAlcance(),
   getConvenioById         // Controlador por ID - O(1)
 );
 
 /**
  * @route POST /api/convenios/search
  * @description Búsqueda avanzada con criterios complejos
- * @access Public
+ * @access Private (usuarios autenticados; convenios de sus unidades)
  * @complexity O(log n * k) donde k=criterios de búsqueda
  * 
  * @body {Object} Criterios de búsqueda:
- * - textSearch: string - Texto a buscar
+ * - textSearch: string - Texto a buscar (texto completo, igual que search en GET)
  * - estados: string[] - Estados a incluir
  * - fechaDesde: string - Fecha desde
  * - fechaHasta: string - Fecha hasta
+ * - parteIds: number[] / parte: string / parteTipo: string - Filtros por partes
+ * - etiquetaIds: number[] - Convenios con alguna de estas etiquetas o áreas
+ * - fechaFinDesde / fechaFinHasta: string - Rango de fecha de fin
+ * - conActividades: boolean - Con o sin actividades
+ * - operador: string - Combinación de los filtros: AND (por defecto) u OR; textSearch siempre restringe
  * - incluirPartes: boolean - Incluir relaciones
- * - ordenarPor: string - Campo de ordenamiento
+ * - ordenarPor: string - Campo de ordenamiento ('relevancia' por defecto con textSearch)
  * - orden: string - Dirección del orden
  * - pagina: number - Página de resultados
  * - limite: number - Registros por página
+ * - pagination / after / before: paginación por cursor, igual que en GET
  * 
  * @example
  * POST /api/convenios/search
@@ -133,10 +223,244 @@ router.get('/:id',
  * }
  */
 router.post('/search',
+  authMiddleware,
+  loadAlcance,
   validateAdvancedSearch, // Validación de criterios - O(k)
   searchConvenios         // Controlador de búsqueda - O(log n * k)
 );
 
+/**
+ * @route POST /api/convenios/import
+ * @description Importación masiva de convenios y sus partes desde una hoja CSV o XLSX.
+ * Cada fila se valida con las mismas reglas que POST /api/convenios. Por defecto solo
+ * devuelve la vista previa fila por fila; con dryRun=false importa todas las filas en
+ * una única transacción, y solo si ninguna tiene errores. Los convenios se crean en
+ * Borrador y las partes se crean o actualizan por nombre.
+ * @access Private (ADMIN, GESTOR)
+ * @complexity O(f * p) donde f = filas, p = partes por fila
+ * 
+ * @body multipart/form-data:
+ * - archivo: CSV (separado por comas o punto y coma) o XLSX (primera hoja), máximo 1000 filas
+ * - dryRun: 'true' (por defecto) o 'false'
+ * - unidadId: unidad organizacional de todos los convenios (por defecto, la única unidad
+ *   del usuario; obligatoria si tiene varias y para ADMIN)
+ * 
+ * Columnas: nombre, descripcion, fechaInicio, fechaFin (YYYY-MM-DD o DD/MM/YYYY) y
+ * partes ("Nombre | Tipo | Contacto" separadas por ";")
+ * 
+ * @example
+ * nombre,descripcion,fechaInicio,fechaFin,partes
+ * Convenio Marco,Cooperación académica,01/02/2025,31/12/2026,"Universidad X | Universidad; Empresa Y"
+ */
+router.post('/import',
+  authMiddleware,
+  requireRole(['ADMIN', 'GESTOR']),
+  loadAlcance,
+  importUpload.single('archivo'),
+  handleMulterErrors,
+  validateImportConvenios,
+  importConvenios
+);
+
+/**
+ * @route POST /api/convenios
+ * @description Crear un convenio, adjuntando opcionalmente sus partes
+ * @access Private (ADMIN, GESTOR)
+ * @complexity O(p) donde p = número de partes adjuntas
+ * 
+ * @body {Object} Datos del convenio:
+ * - nombre: string - Nombre del convenio (requerido)
+ * - descripcion: string - Descripción (requerido)
+ * - fechaInicio: string (YYYY-MM-DD) - Fecha de inicio (requerido)
+ * - fechaFin: string (YYYY-MM-DD) - Fecha de fin (requerido)
+ * - partes: Array - Partes existentes ({ parteId }) o por nombre ({ nombre, contacto, tipo })
+ * - unidadId: number - Unidad organizacional responsable, dentro del alcance del usuario.
+ *   Por defecto, la única unidad del usuario; obligatoria si tiene varias (y para ADMIN).
+ * 
+ * @example
+ * POST /api/convenios
+ * {
+ *   "nombre": "Convenio de Prácticas 2025",
+ *   "descripcion": "Prácticas profesionales para estudiantes de ingeniería",
+ *   "fechaInicio": "2025-02-01",
+ *   "fechaFin": "2025-12-15",
+ *   "partes": [{ "parteId": 3 }, { "nombre": "Empresa XYZ", "tipo": "Empresa" }]
+ * }
+ */
+router.post('/',
+  authMiddleware,
+  requireRole(['ADMIN', 'GESTOR']),
+  loadAlcance,
+  validateCreateConvenio, // Validación del cuerpo - O(p)
+  createConvenio          // Controlador de creación - O(p)
+);
+
+/**
+ * @route PUT /api/convenios/:id
+ * @description Reemplazar todos los campos de un convenio.
+ * Si se envía `partes`, reemplaza el conjunto completo de partes.
+ * Si se envía `unidadId`, traslada el convenio a esa unidad (dentro del alcance del usuario).
+ * @access Private (permiso Editor en el convenio)
+ * @complexity O(p)
+ */
+router.put('/:id',
+  authMiddleware,
+  validateConvenioId,
+  requireConvenioAcceso('Editor', 'id'),
+  validateCreateConvenio,
+  updateConvenio
+);
+
+/**
+ * @route PATCH /api/convenios/:id
+ * @description Actualizar parcialmente un convenio (solo los campos enviados)
+ * @access Private (permiso Editor en el convenio)
+ * @complexity O(1), O(p) si se envía `partes`
+ * 
+ * @example
+ * PATCH /api/convenios/123
+ * { "fechaFin": "2026-06-30" }
+ */
+router.patch('/:id',
+  authMiddleware,
+  validateConvenioId,
+  requireConvenioAcceso('Editor', 'id'),
+  validatePatchConvenio,
+  updateConvenio
+);
+
+/**
+ * @route DELETE /api/convenios/:id
+ * @description Eliminar un convenio en Borrador con sus partes, documentos y actividades.
+ * En cualquier otro estado responde 409: el convenio se retira con la transición archivar
+ * y conserva su historial.
+ * @access Private (ADMIN, GESTOR, con permiso Editor en el convenio)
+ * @complexity O(1)
+ */
+router.delete('/:id',
+  authMiddleware,
+  validateConvenioId,
+  requireRole(['ADMIN', 'GESTOR']),
+  requireConvenioAcceso('Editor', 'id'),
+  deleteConvenio
+);
+
+/**
+ * @route POST /api/convenios/:id/transitions/:accion
+ * @description Cambiar el estado de un convenio según su ciclo de vida.
+ * El estado no puede modificarse por POST/PUT/PATCH; solo mediante estas acciones.
+ * @access Private (permiso Editor en el convenio)
+ * @complexity O(log n)
+ * 
+ * Acciones disponibles:
+ * - activar: Borrador -> Activo (requiere 2+ partes, un documento firmado, fechaFin vigente
+ *   y las firmas de todos los firmantes requeridos, con al menos uno por parte)
+ * - finalizar: Activo -> Finalizado
+ * - archivar: Borrador | Finalizado -> Archivado (estado terminal)
+ * 
+ * @body {Object} Opcional:
+ * - comentario: string - Motivo del cambio de estado
+ * 
+ * @example
+ * POST /api/convenios/123/transitions/activar
+ * { "comentario": "Firmado por ambas partes" }
+ */
+router.post('/:id/transitions/:accion',
+  authMiddleware,
+  validateConvenioId,
+  requireConvenioAcceso('Editor', 'id'),
+  validateConvenioTransition,
+  transitionConvenio
+);
+
+/**
+ * @route GET /api/convenios/:id/transitions
+ * @description Historial de transiciones (quién y cuándo) y acciones disponibles
+ * @access Private
+ * @complexity O(log n + k) donde k = transiciones del convenio
+ */
+router.get('/:id/transitions',
+  authMiddleware,
+  validateConvenioId,
+  requireConvenioEnAlcance(),
+  getConvenioTransitions
+);
+
+/**
+ * @route GET /api/convenios/:id/history
+ * @description Historial de revisiones: por cada actualización, los campos modificados
+ * con su valor anterior y nuevo, el usuario y la fecha
+ * @access Private
+ * @complexity O(log n + h) donde h = cambios registrados del convenio
+ */
+router.get('/:id/history',
+  authMiddleware,
+  validateConvenioId,
+  requireConvenioEnAlcance(),
+  getConvenioHistory
+);
+
+/**
+ * @route GET /api/convenios/:id/history/diff
+ * @description Reconstruye el convenio en dos revisiones y lista los campos que difieren.
+ * La revisión 0 es el estado anterior al primer cambio registrado.
+ * @access Private
+ * @complexity O(h)
+ * 
+ * Query Parameters:
+ * - from: number - Revisión inicial (requerido)
+ * - to: number - Revisión final (opcional, por defecto la actual)
+ * 
+ * @example
+ * GET /api/convenios/123/history/diff?from=0&to=3
+ */
+router.get('/:id/history/diff',
+  authMiddleware,
+  validateConvenioId,
+  requireConvenioEnAlcance(),
+  validateHistoryDiff,
+  getConvenioHistoryDiff
+);
+
+/**
+ * @route POST /api/convenios/:id/renew
+ * @description Renovar un convenio Activo o Finalizado. Crea un convenio en Borrador con
+ * el mismo nombre, descripción y partes, enlazado al original (convenioAnteriorId).
+ * @access Private (ADMIN, GESTOR, con permiso Editor en el convenio)
+ * @complexity O(p + a) donde p = partes, a = actividades copiadas
+ * 
+ * @body {Object} Datos de la renovación:
+ * - fechaInicio: string (YYYY-MM-DD) - Inicio del nuevo periodo (requerido)
+ * - fechaFin: string (YYYY-MM-DD) - Fin del nuevo periodo (opcional, misma duración por defecto)
+ * - nombre, descripcion: string - Sobrescriben los del original (opcional)
+ * - copiarActividades: boolean - Copiar actividades desplazadas al nuevo periodo, en estado Planeada
+ * 
+ * @example
+ * POST /api/convenios/123/renew
+ * { "fechaInicio": "2026-01-01", "copiarActividades": true }
+ */
+router.post('/:id/renew',
+  authMiddleware,
+  validateConvenioId,
+  requireRole(['ADMIN', 'GESTOR']),
+  requireConvenioAcceso('Editor', 'id'),
+  validateRenewConvenio,
+  renewConvenio
+);
+
+/**
+ * @route GET /api/convenios/:id/renewals
+ * @description Cadena de renovaciones del convenio, del más antiguo al más reciente
+ * @access Private
+ * @complexity O(k log n) donde k = convenios en la cadena
+ */
+router.get('/:id/renewals',
+  authMiddleware,
+  validateConvenioId,
+  requireConvenioEnAlcance(),
+  getConvenioRenewals
+);
+
 /**
  * Middleware de manejo de errores para rutas de convenios
  * Complejidad: O(1)
@@ -161,12 +485,24 @@ router.use((error, req, res, next) => {
 router.use('*', (req, res) => {
   res.status(404).json({
     success: false,
-    message: `Ruta de consulta no encontrada: ${req.method} ${req.originalUrl}`,
+    message: `Ruta de convenios no encontrada: ${req.method} ${req.originalUrl}`,
     availableRoutes: [
       'GET /api/convenios - Consultar convenios con filtros',
       'GET /api/convenios/:id - Obtener convenio por ID',
       'POST /api/convenios/search - Búsqueda avanzada',
-      'GET /api/convenios/stats - Estadísticas de convenios'
+      'GET /api/convenios/stats - Estadísticas de convenios',
+      'GET /api/convenios/export?format=csv|xlsx|json - Exportar convenios',
+      'POST /api/convenios - Crear convenio',
+      'PUT /api/convenios/:id - Reemplazar convenio',
+      'PATCH /api/convenios/:id - Actualizar convenio parcialmente',
+      'DELETE /api/convenios/:id - Eliminar convenio',
+      'POST /api/convenios/:id/transitions/:accion - Cambiar estado (activar, finalizar, archivar)',
+      'GET /api/convenios/:id/transitions - Historial de estados',
+      'GET /api/convenios/:id/history - Historial de revisiones',
+      'GET /api/convenios/:id/history/diff?from=&to= - Comparar revisiones',
+      'POST /api/convenios/:id/renew - Renovar convenio',
+      'GET /api/convenios/:id/renewals - Cadena de renovaciones',
+      'POST /api/convenios/import - Importar convenios desde CSV/XLSX'
     ],
     timestamp: new Date().toISOString()
   });
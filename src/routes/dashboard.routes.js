@@ -3,12 +3,14 @@ import {
   getDashboardMetricas,
   getMetricasClave,
   getConveniosVencimiento,
+  getConveniosPendientesFirma,
   getEstadisticasConvenios,
   getResumenEjecutivo,
   getTendencias
 } from '../controllers/dashboard.controller.js';
 import { authMiddleware } from '../middleware/auth.middleware.js';
 import { requireRole } from '../middleware/role.middleware.js';
+import { loadAlcance } from '../middleware/alcance.middleware.js';
 
 const router = Router();
 
@@ -30,6 +32,21 @@ const router = Router();
  *               type: integer
  *               description: Número de convenios próximos a vencer
  *               example: 3
+ *             pendientesFirma:
+ *               type: integer
+ *               description: Convenios en Borrador con firmas pendientes
+ *               example: 2
+ *             porArea:
+ *               type: object
+ *               description: Convenios por área temática (un convenio puede estar en varias)
+ *               properties:
+ *                 areas:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ConveniosPorArea'
+ *                 sinArea:
+ *                   type: integer
+ *                   example: 4
  *             porEstado:
  *               type: object
  *               properties:
@@ -73,6 +90,30 @@ const router = Router();
  *               type: object
  *               additionalProperties:
  *                 type: integer
+ *         finanzas:
+ *           type: object
+ *           description: Aportes comprometidos vs. recibidos de convenios suscritos
+ *           properties:
+ *             porMoneda:
+ *               type: object
+ *               additionalProperties:
+ *                 type: object
+ *                 properties:
+ *                   comprometido:
+ *                     type: number
+ *                     example: 150000000
+ *                   recibido:
+ *                     type: number
+ *                     example: 90000000
+ *                   pendiente:
+ *                     type: number
+ *                     example: 60000000
+ *                   vencido:
+ *                     type: number
+ *                     example: 10000000
+ *                   porcentajeRecibido:
+ *                     type: number
+ *                     example: 60
  *         resumen:
  *           type: object
  *           properties:
@@ -130,6 +171,21 @@ const router = Router();
  *                     type: string
  *                     example: "Universidad"
  * 
+ *     ConveniosPorArea:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         nombre:
+ *           type: string
+ *           example: "Investigación"
+ *         total:
+ *           type: integer
+ *           example: 12
+ *         activos:
+ *           type: integer
+ *           example: 9
+ * 
  *   securitySchemes:
  *     bearerAuth:
  *       type: http
@@ -185,6 +241,7 @@ const router = Router();
 router.get('/dashboard/metricas',
   authMiddleware,
   requireRole(['ADMIN', 'GESTOR']), // GESTOR actúa como Decano
+  loadAlcance,
   getDashboardMetricas
 );
 
@@ -239,6 +296,7 @@ router.get('/dashboard/metricas',
 router.get('/dashboard/metricas-clave',
   authMiddleware,
   requireRole(['ADMIN', 'GESTOR']),
+  loadAlcance,
   getMetricasClave
 );
 
@@ -297,9 +355,74 @@ router.get('/dashboard/metricas-clave',
 router.get('/dashboard/convenios-vencimiento',
   authMiddleware,
   requireRole(['ADMIN', 'GESTOR']),
+  loadAlcance,
   getConveniosVencimiento
 );
 
+/**
+ * @swagger
+ * /api/dashboard/firmas-pendientes:
+ *   get:
+ *     summary: Obtener convenios con firmas pendientes
+ *     description: Convenios en Borrador con firmantes requeridos que aún no han firmado o partes sin firmante, de los más antiguos a los más recientes
+ *     tags: [Dashboard]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Límite de convenios a retornar
+ *     responses:
+ *       200:
+ *         description: Convenios con firmas pendientes obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     convenios:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: integer
+ *                           nombre:
+ *                             type: string
+ *                           firmadas:
+ *                             type: integer
+ *                           requeridas:
+ *                             type: integer
+ *                           partesSinFirmante:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                           pendientes:
+ *                             type: array
+ *                             items:
+ *                               $ref: '#/components/schemas/Firmante'
+ *                     total:
+ *                       type: integer
+ *                       example: 2
+ *       403:
+ *         description: Acceso denegado
+ */
+router.get('/dashboard/firmas-pendientes',
+  authMiddleware,
+  requireRole(['ADMIN', 'GESTOR']),
+  loadAlcance,
+  getConveniosPendientesFirma
+);
+
 /**
  * @swagger
  * /api/dashboard/estadisticas-convenios:
@@ -359,6 +482,7 @@ router.get('/dashboard/convenios-vencimiento',
 router.get('/dashboard/estadisticas-convenios',
   authMiddleware,
   requireRole(['ADMIN', 'GESTOR']),
+  loadAlcance,
   getEstadisticasConvenios
 );
 
@@ -431,6 +555,19 @@ router.get('/dashboard/estadisticas-convenios',
  *                           type: string
  *                           enum: [excelente, bueno, requiere_atencion]
  *                           example: "bueno"
+ *                     areas:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/ConveniosPorArea'
+ *                           - type: object
+ *                             properties:
+ *                               porcentaje:
+ *                                 type: number
+ *                                 example: 26.09
+ *                     conveniosSinArea:
+ *                       type: integer
+ *                       example: 4
  *                     alertas:
  *                       type: object
  *                       properties:
@@ -449,6 +586,7 @@ router.get('/dashboard/estadisticas-convenios',
 router.get('/dashboard/resumen-ejecutivo',
   authMiddleware,
   requireRole(['ADMIN', 'GESTOR']),
+  loadAlcance,
   getResumenEjecutivo
 );
 
@@ -504,6 +642,7 @@ router.get('/dashboard/resumen-ejecutivo',
 router.get('/dashboard/tendencias',
   authMiddleware,
   requireRole(['ADMIN', 'GESTOR']),
+  loadAlcance,
   getTendencias
 );
 
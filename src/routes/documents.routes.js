@@ -20,7 +20,7 @@ import {
   validateFileMetadata
 } from '../middleware/file-upload.middleware.js';
 import { authMiddleware } from '../middleware/auth.middleware.js';
-import { requireRole } from '../middleware/role.middleware.js';
+import { requireConvenioAcceso } from '../middleware/convenio-acceso.middleware.js';
 
 const router = Router();
 
@@ -46,6 +46,9 @@ const router = Router();
  *         description:
  *           type: string
  *           description: Descripción opcional del documento
+ *         firmado:
+ *           type: boolean
+ *           description: Indica si es la versión firmada del convenio
  *         uploadedAt:
  *           type: string
  *           format: date-time
@@ -88,6 +91,10 @@ const router = Router();
  *               description:
  *                 type: string
  *                 description: Descripción opcional del documento
+ *               firmado:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Marca el documento como versión firmada (requerido para activar el convenio)
  *     responses:
  *       201:
  *         description: Documento subido exitosamente
@@ -116,7 +123,7 @@ const router = Router();
  */
 router.post('/convenios/:convenioId/documents',
   authMiddleware,
-  requireRole(['ADMIN', 'GESTOR']),
+  requireConvenioAcceso('Editor'),
   validateConvenioExists,
   upload.single('file'),
   handleMulterErrors,
@@ -152,6 +159,22 @@ router.post('/convenios/:convenioId/documents',
  *           default: 10
  *           maximum: 50
  *         description: Elementos por página
+ *       - in: query
+ *         name: pagination
+ *         schema:
+ *           type: string
+ *           enum: [page, cursor]
+ *         description: Modo de paginación; cursor devuelve nextCursor/prevCursor en lugar de páginas
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Cursor opaco (nextCursor) para obtener la página siguiente
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Cursor opaco (prevCursor) para obtener la página anterior
  *     responses:
  *       200:
  *         description: Lista de documentos del convenio
@@ -192,6 +215,7 @@ router.post('/convenios/:convenioId/documents',
  */
 router.get('/convenios/:convenioId/documents',
   authMiddleware,
+  requireConvenioAcceso(),
   validateConvenioExists,
   getDocumentsByConvenio
 );
@@ -235,6 +259,7 @@ router.get('/convenios/:convenioId/documents',
  */
 router.get('/convenios/:convenioId/documents/:documentId',
   authMiddleware,
+  requireConvenioAcceso(),
   validateConvenioExists,
   getDocumentInfo
 );
@@ -273,6 +298,7 @@ router.get('/convenios/:convenioId/documents/:documentId',
  */
 router.get('/convenios/:convenioId/documents/:documentId/download',
   authMiddleware,
+  requireConvenioAcceso(),
   downloadDocument
 );
 
@@ -316,7 +342,7 @@ router.get('/convenios/:convenioId/documents/:documentId/download',
  */
 router.delete('/convenios/:convenioId/documents/:documentId',
   authMiddleware,
-  requireRole(['ADMIN', 'GESTOR']),
+  requireConvenioAcceso('Editor'),
   deleteDocument
 );
 
@@ -0,0 +1,242 @@
+/**
+ * @fileoverview Rutas para Etiquetas y áreas temáticas de convenios
+ * @description Define las rutas REST para administrar la taxonomía de clasificación
+ * (solo ADMIN) y asignarla a convenios
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ */
+
+import { Router } from 'express';
+import {
+  getEtiquetas,
+  getEtiquetaById,
+  createEtiqueta,
+  updateEtiqueta,
+  deleteEtiqueta,
+  getEtiquetasConvenio,
+  asignarEtiquetas
+} from '../controllers/etiquetas.controller.js';
+import {
+  validateEtiquetasQuery,
+  validateEtiquetaId,
+  validateConvenioEtiquetasParams,
+  validateCreateEtiqueta,
+  validatePatchEtiqueta,
+  validateAsignarEtiquetas
+} from '../validators/etiquetas.validator.js';
+import { authMiddleware } from '../middleware/auth.middleware.js';
+import { requireRole } from '../middleware/role.middleware.js';
+import { requireConvenioAcceso } from '../middleware/convenio-acceso.middleware.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Etiqueta:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         nombre:
+ *           type: string
+ *           example: Movilidad
+ *         tipo:
+ *           type: string
+ *           enum: [Area, Etiqueta]
+ *           description: Area = área temática; Etiqueta = etiqueta libre
+ *         descripcion:
+ *           type: string
+ *           nullable: true
+ *         totalConvenios:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /api/etiquetas:
+ *   get:
+ *     summary: Listar etiquetas y áreas temáticas
+ *     tags: [Etiquetas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tipo
+ *         schema:
+ *           type: string
+ *           enum: [Area, Etiqueta]
+ *       - in: query
+ *         name: nombre
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Etiquetas con el número de convenios que las usan
+ */
+router.get('/etiquetas',
+  authMiddleware,
+  validateEtiquetasQuery,
+  getEtiquetas
+);
+
+/**
+ * @swagger
+ * /api/etiquetas:
+ *   post:
+ *     summary: Crear etiqueta o área temática
+ *     tags: [Etiquetas]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [nombre]
+ *             properties:
+ *               nombre:
+ *                 type: string
+ *               tipo:
+ *                 type: string
+ *                 enum: [Area, Etiqueta]
+ *                 default: Etiqueta
+ *               descripcion:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Etiqueta creada
+ *       409:
+ *         description: Ya existe una etiqueta de ese tipo con el mismo nombre
+ */
+router.post('/etiquetas',
+  authMiddleware,
+  requireRole(['ADMIN']),
+  validateCreateEtiqueta,
+  createEtiqueta
+);
+
+/**
+ * @swagger
+ * /api/etiquetas/{id}:
+ *   get:
+ *     summary: Obtener etiqueta por ID
+ *     tags: [Etiquetas]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Etiqueta
+ *       404:
+ *         description: Etiqueta no encontrada
+ */
+router.get('/etiquetas/:id',
+  authMiddleware,
+  validateEtiquetaId,
+  getEtiquetaById
+);
+
+/**
+ * @swagger
+ * /api/etiquetas/{id}:
+ *   patch:
+ *     summary: Actualizar etiqueta
+ *     tags: [Etiquetas]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Etiqueta actualizada
+ *       409:
+ *         description: Nombre duplicado
+ */
+router.patch('/etiquetas/:id',
+  authMiddleware,
+  requireRole(['ADMIN']),
+  validateEtiquetaId,
+  validatePatchEtiqueta,
+  updateEtiqueta
+);
+
+/**
+ * @swagger
+ * /api/etiquetas/{id}:
+ *   delete:
+ *     summary: Eliminar etiqueta sin convenios asignados
+ *     tags: [Etiquetas]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Etiqueta eliminada
+ *       409:
+ *         description: La etiqueta está asignada a convenios
+ */
+router.delete('/etiquetas/:id',
+  authMiddleware,
+  requireRole(['ADMIN']),
+  validateEtiquetaId,
+  deleteEtiqueta
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/etiquetas:
+ *   get:
+ *     summary: Etiquetas y áreas de un convenio
+ *     tags: [Etiquetas]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Etiquetas del convenio (áreas primero)
+ *       404:
+ *         description: Convenio no encontrado
+ */
+router.get('/convenios/:convenioId/etiquetas',
+  authMiddleware,
+  requireConvenioAcceso(),
+  validateConvenioEtiquetasParams,
+  getEtiquetasConvenio
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/etiquetas:
+ *   put:
+ *     summary: Reemplazar las etiquetas de un convenio
+ *     description: Envía la lista final de etiquetas; una lista vacía las quita todas
+ *     tags: [Etiquetas]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [etiquetaIds]
+ *             properties:
+ *               etiquetaIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Etiquetas actualizadas
+ *       404:
+ *         description: Convenio o etiqueta no encontrados
+ *       409:
+ *         description: Convenio archivado
+ */
+router.put('/convenios/:convenioId/etiquetas',
+  authMiddleware,
+  requireConvenioAcceso('Editor'),
+  validateConvenioEtiquetasParams,
+  validateAsignarEtiquetas,
+  asignarEtiquetas
+);
+
+export default router;
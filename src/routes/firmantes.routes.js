@@ -0,0 +1,273 @@
+/**
+ * @fileoverview Rutas para Firmantes de un Convenio
+ * @description Define las rutas REST para los representantes legales de cada parte y
+ * el registro de sus firmas
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ */
+
+import { Router } from 'express';
+import {
+  getFirmantes,
+  getFirmanteById,
+  createFirmante,
+  updateFirmante,
+  deleteFirmante,
+  registrarFirma,
+  anularFirma
+} from '../controllers/firmantes.controller.js';
+import {
+  validateFirmanteParams,
+  validateCreateFirmante,
+  validatePatchFirmante,
+  validateRegistrarFirma
+} from '../validators/firmantes.validator.js';
+import { authMiddleware } from '../middleware/auth.middleware.js';
+import { requireConvenioAcceso } from '../middleware/convenio-acceso.middleware.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Firmante:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         parte:
+ *           type: object
+ *           description: Parte a la que representa
+ *         nombre:
+ *           type: string
+ *         cargo:
+ *           type: string
+ *           example: Rector
+ *         email:
+ *           type: string
+ *         requerido:
+ *           type: boolean
+ *           description: Su firma es necesaria para activar el convenio
+ *         estado:
+ *           type: string
+ *           enum: [Pendiente, Firmada, Rechazada]
+ *         firmadoEn:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         documento:
+ *           type: object
+ *           nullable: true
+ *           description: Copia escaneada del convenio firmado
+ */
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/firmantes:
+ *   get:
+ *     summary: Listar firmantes del convenio por parte
+ *     description: Incluye el resumen de firmas (faltantes, partes sin firmante y si están completas para activar)
+ *     tags: [Firmantes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: convenioId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Partes con sus firmantes y resumen de firmas
+ *       404:
+ *         description: Convenio no encontrado
+ */
+router.get('/convenios/:convenioId/firmantes',
+  authMiddleware,
+  requireConvenioAcceso(),
+  validateFirmanteParams,
+  getFirmantes
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/firmantes:
+ *   post:
+ *     summary: Registrar un firmante de una parte
+ *     tags: [Firmantes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: convenioId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [parteId, nombre, cargo, email]
+ *             properties:
+ *               parteId:
+ *                 type: integer
+ *                 description: Parte asociada al convenio
+ *               nombre:
+ *                 type: string
+ *               cargo:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               requerido:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Firmante registrado
+ *       400:
+ *         description: Datos inválidos o parte no asociada al convenio
+ *       409:
+ *         description: El convenio no está en Borrador
+ */
+router.post('/convenios/:convenioId/firmantes',
+  authMiddleware,
+  requireConvenioAcceso('Editor'),
+  validateFirmanteParams,
+  validateCreateFirmante,
+  createFirmante
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/firmantes/{firmanteId}:
+ *   get:
+ *     summary: Obtener un firmante
+ *     tags: [Firmantes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Firmante
+ *       404:
+ *         description: Firmante no encontrado
+ */
+router.get('/convenios/:convenioId/firmantes/:firmanteId',
+  authMiddleware,
+  requireConvenioAcceso(),
+  validateFirmanteParams,
+  getFirmanteById
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/firmantes/{firmanteId}:
+ *   patch:
+ *     summary: Actualizar un firmante que aún no ha respondido
+ *     tags: [Firmantes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Firmante actualizado
+ *       409:
+ *         description: El firmante ya respondió o el convenio no está en Borrador
+ */
+router.patch('/convenios/:convenioId/firmantes/:firmanteId',
+  authMiddleware,
+  requireConvenioAcceso('Editor'),
+  validateFirmanteParams,
+  validatePatchFirmante,
+  updateFirmante
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/firmantes/{firmanteId}:
+ *   delete:
+ *     summary: Eliminar un firmante que aún no ha respondido
+ *     tags: [Firmantes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Firmante eliminado
+ *       409:
+ *         description: El firmante ya respondió o el convenio no está en Borrador
+ */
+router.delete('/convenios/:convenioId/firmantes/:firmanteId',
+  authMiddleware,
+  requireConvenioAcceso('Editor'),
+  validateFirmanteParams,
+  deleteFirmante
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/firmantes/{firmanteId}/firma:
+ *   post:
+ *     summary: Registrar la firma o el rechazo de un firmante
+ *     tags: [Firmantes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [fecha]
+ *             properties:
+ *               estado:
+ *                 type: string
+ *                 enum: [Firmada, Rechazada]
+ *                 default: Firmada
+ *               fecha:
+ *                 type: string
+ *                 format: date
+ *               documentId:
+ *                 type: integer
+ *                 description: Copia escaneada del convenio firmado (documento del mismo convenio)
+ *               observaciones:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Firma registrada; devuelve el firmante actualizado
+ *       404:
+ *         description: Firmante no encontrado
+ *       409:
+ *         description: El firmante ya respondió o el convenio no está en Borrador
+ */
+router.post('/convenios/:convenioId/firmantes/:firmanteId/firma',
+  authMiddleware,
+  requireConvenioAcceso('Editor'),
+  validateFirmanteParams,
+  validateRegistrarFirma,
+  registrarFirma
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/firmantes/{firmanteId}/firma:
+ *   delete:
+ *     summary: Anular la firma registrada de un firmante
+ *     tags: [Firmantes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Firma anulada; el firmante vuelve a quedar pendiente
+ *       409:
+ *         description: El firmante no tiene una firma registrada
+ */
+router.delete('/convenios/:convenioId/firmantes/:firmanteId/firma',
+  authMiddleware,
+  requireConvenioAcceso('Editor'),
+  validateFirmanteParams,
+  anularFirma
+);
+
+export default router;
@@ -0,0 +1,271 @@
+/**
+ * @fileoverview Rutas para Obligaciones de las partes de un Convenio
+ * @description Define las rutas REST para los compromisos de cada parte y el
+ * listado de obligaciones vencidas de los convenios activos
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ */
+
+import { Router } from 'express';
+import {
+  getObligaciones,
+  getObligacionById,
+  createObligacion,
+  updateObligacion,
+  deleteObligacion,
+  getObligacionesVencidas
+} from '../controllers/obligaciones.controller.js';
+import {
+  validateObligacionParams,
+  validateCreateObligacion,
+  validatePatchObligacion,
+  validateObligacionesQuery,
+  validateObligacionesVencidasQuery
+} from '../validators/obligaciones.validator.js';
+import { authMiddleware } from '../middleware/auth.middleware.js';
+import { requireConvenioAcceso } from '../middleware/convenio-acceso.middleware.js';
+import { loadAlcance } from '../middleware/alcance.middleware.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Obligacion:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         parte:
+ *           type: object
+ *           description: Parte responsable de la obligación
+ *         clausula:
+ *           type: string
+ *           nullable: true
+ *           example: "Cláusula 5.2"
+ *         descripcion:
+ *           type: string
+ *         fechaLimite:
+ *           type: string
+ *           format: date-time
+ *         estado:
+ *           type: string
+ *           enum: [Pendiente, EnProgreso, Cumplida, Cancelada]
+ *         cumplidaEn:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         evidencia:
+ *           type: object
+ *           nullable: true
+ *           description: Documento del convenio que soporta el cumplimiento
+ *         vencida:
+ *           type: boolean
+ *           description: Abierta (Pendiente o EnProgreso) con fecha límite anterior a hoy
+ *         diasVencida:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /api/obligaciones/vencidas:
+ *   get:
+ *     summary: Obligaciones vencidas de los convenios activos
+ *     description: Solo de los convenios de las unidades del usuario (ADMIN ve todos). Ordenadas de la más antigua a la más reciente. Admite paginación por página o por cursor.
+ *     tags: [Obligaciones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: parteId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Obligaciones vencidas con el convenio al que pertenecen
+ *       400:
+ *         description: Parámetros o cursor inválidos
+ */
+router.get('/obligaciones/vencidas',
+  authMiddleware,
+  loadAlcance,
+  validateObligacionesVencidasQuery,
+  getObligacionesVencidas
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/obligaciones:
+ *   get:
+ *     summary: Listar obligaciones de un convenio
+ *     tags: [Obligaciones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: convenioId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: estado
+ *         schema:
+ *           type: string
+ *           enum: [Pendiente, EnProgreso, Cumplida, Cancelada]
+ *       - in: query
+ *         name: parteId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: vencidas
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *     responses:
+ *       200:
+ *         description: Obligaciones ordenadas por fecha límite
+ *       404:
+ *         description: Convenio no encontrado
+ */
+router.get('/convenios/:convenioId/obligaciones',
+  authMiddleware,
+  requireConvenioAcceso(),
+  validateObligacionParams,
+  validateObligacionesQuery,
+  getObligaciones
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/obligaciones:
+ *   post:
+ *     summary: Registrar una obligación de una parte
+ *     tags: [Obligaciones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: convenioId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [parteId, descripcion, fechaLimite]
+ *             properties:
+ *               parteId:
+ *                 type: integer
+ *                 description: Parte asociada al convenio
+ *               clausula:
+ *                 type: string
+ *               descripcion:
+ *                 type: string
+ *               fechaLimite:
+ *                 type: string
+ *                 format: date
+ *               estado:
+ *                 type: string
+ *                 enum: [Pendiente, EnProgreso, Cumplida, Cancelada]
+ *                 default: Pendiente
+ *               documentId:
+ *                 type: integer
+ *                 description: Documento del convenio usado como evidencia
+ *     responses:
+ *       201:
+ *         description: Obligación registrada
+ *       400:
+ *         description: Datos inválidos, parte no asociada o documento de otro convenio
+ *       409:
+ *         description: Convenio archivado
+ */
+router.post('/convenios/:convenioId/obligaciones',
+  authMiddleware,
+  requireConvenioAcceso('Editor'),
+  validateObligacionParams,
+  validateCreateObligacion,
+  createObligacion
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/obligaciones/{obligacionId}:
+ *   get:
+ *     summary: Obtener una obligación
+ *     tags: [Obligaciones]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Obligación
+ *       404:
+ *         description: Obligación no encontrada
+ */
+router.get('/convenios/:convenioId/obligaciones/:obligacionId',
+  authMiddleware,
+  requireConvenioAcceso(),
+  validateObligacionParams,
+  getObligacionById
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/obligaciones/{obligacionId}:
+ *   patch:
+ *     summary: Actualizar una obligación
+ *     description: Al pasar a Cumplida se registra la fecha de cumplimiento
+ *     tags: [Obligaciones]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Obligación actualizada
+ *       409:
+ *         description: Convenio archivado
+ */
+router.patch('/convenios/:convenioId/obligaciones/:obligacionId',
+  authMiddleware,
+  requireConvenioAcceso('Editor'),
+  validateObligacionParams,
+  validatePatchObligacion,
+  updateObligacion
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/obligaciones/{obligacionId}:
+ *   delete:
+ *     summary: Eliminar una obligación
+ *     tags: [Obligaciones]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Obligación eliminada
+ *       404:
+ *         description: Obligación no encontrada
+ */
+router.delete('/convenios/:convenioId/obligaciones/:obligacionId',
+  authMiddleware,
+  requireConvenioAcceso('Editor'),
+  validateObligacionParams,
+  deleteObligacion
+);
+
+export default router;
@@ -0,0 +1,469 @@
+/**
+ * @fileoverview Rutas para Gestión de Partes
+ * @description Define las rutas REST para partes (instituciones contraparte) y su
+ * asociación con convenios
+ * @author Sistema de Gestión de Convenios
+ * @version 1.1.0
+ */
+
+import { Router } from 'express';
+import {
+  getPartes,
+  getParteById,
+  createParte,
+  updateParte,
+  deleteParte,
+  getConveniosByParte,
+  getPartesByConvenio,
+  attachPartes,
+  detachParte,
+  getDuplicatePartes,
+  mergeParte
+} from '../controllers/partes.controller.js';
+import {
+  validatePartesQuery,
+  validateParteId,
+  validateConvenioParteParams,
+  validateCreateParte,
+  validatePatchParte,
+  validateAttachPartes,
+  validateMergePartes
+} from '../validators/partes.validator.js';
+import { authMiddleware } from '../middleware/auth.middleware.js';
+import { requireRole } from '../middleware/role.middleware.js';
+import { requireConvenioAcceso } from '../middleware/convenio-acceso.middleware.js';
+import { loadAlcance } from '../middleware/alcance.middleware.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Parte:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: ID único de la parte
+ *         nombre:
+ *           type: string
+ *           description: Nombre de la institución (único)
+ *         contacto:
+ *           type: string
+ *           description: Datos de contacto
+ *         tipo:
+ *           type: string
+ *           description: Tipo de institución (Empresa, Universidad, Entidad pública...)
+ *         totalConvenios:
+ *           type: integer
+ *           description: Número de convenios en los que participa
+ */
+
+/**
+ * @swagger
+ * /api/partes:
+ *   get:
+ *     summary: Listar partes con búsqueda por nombre y tipo
+ *     tags: [Partes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: nombre
+ *         schema:
+ *           type: string
+ *         description: Texto contenido en el nombre (sin distinguir mayúsculas)
+ *       - in: query
+ *         name: tipo
+ *         schema:
+ *           type: string
+ *         description: Tipo exacto de parte
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [nombre, tipo, createdAt]
+ *           default: nombre
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *       - in: query
+ *         name: pagination
+ *         schema:
+ *           type: string
+ *           enum: [page, cursor]
+ *         description: Modo de paginación; cursor devuelve nextCursor/prevCursor en lugar de páginas
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Cursor opaco (nextCursor) para obtener la página siguiente
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Cursor opaco (prevCursor) para obtener la página anterior
+ *     responses:
+ *       200:
+ *         description: Lista paginada de partes
+ *       400:
+ *         description: Parámetros inválidos
+ */
+router.get('/partes',
+  authMiddleware,
+  validatePartesQuery,
+  getPartes
+);
+
+/**
+ * @swagger
+ * /api/partes:
+ *   post:
+ *     summary: Crear una parte
+ *     tags: [Partes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [nombre]
+ *             properties:
+ *               nombre:
+ *                 type: string
+ *               contacto:
+ *                 type: string
+ *               tipo:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Parte creada
+ *       409:
+ *         description: Ya existe una parte con ese nombre
+ */
+router.post('/partes',
+  authMiddleware,
+  requireRole(['ADMIN', 'GESTOR']),
+  validateCreateParte,
+  createParte
+);
+
+/**
+ * @swagger
+ * /api/partes/duplicados:
+ *   get:
+ *     summary: Listar posibles partes duplicadas
+ *     description: Agrupa partes cuyo nombre coincide sin distinguir mayúsculas, tildes ni espacios repetidos
+ *     tags: [Partes]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Grupos de partes con nombre equivalente
+ *       403:
+ *         description: Requiere rol ADMIN
+ */
+router.get('/partes/duplicados',
+  authMiddleware,
+  requireRole(['ADMIN']),
+  getDuplicatePartes
+);
+
+/**
+ * @swagger
+ * /api/partes/{id}:
+ *   get:
+ *     summary: Obtener una parte por ID
+ *     tags: [Partes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Información de la parte
+ *       404:
+ *         description: Parte no encontrada
+ */
+router.get('/partes/:id',
+  authMiddleware,
+  validateParteId,
+  getParteById
+);
+
+/**
+ * @swagger
+ * /api/partes/{id}/convenios:
+ *   get:
+ *     summary: Listar los convenios de una parte con su estado (solo los de las unidades del usuario)
+ *     tags: [Partes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Parte, sus convenios y resumen por estado
+ *       404:
+ *         description: Parte no encontrada
+ */
+router.get('/partes/:id/convenios',
+  authMiddleware,
+  validateParteId,
+  loadAlcance,
+  getConveniosByParte
+);
+
+/**
+ * @swagger
+ * /api/partes/{id}:
+ *   patch:
+ *     summary: Actualizar una parte (solo los campos enviados)
+ *     tags: [Partes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Parte actualizada
+ *       404:
+ *         description: Parte no encontrada
+ *       409:
+ *         description: Ya existe una parte con ese nombre
+ */
+router.patch('/partes/:id',
+  authMiddleware,
+  requireRole(['ADMIN', 'GESTOR']),
+  validateParteId,
+  validatePatchParte,
+  updateParte
+);
+
+/**
+ * PUT /api/partes/:id - Reemplazo completo (mismo cuerpo que POST /api/partes)
+ */
+router.put('/partes/:id',
+  authMiddleware,
+  requireRole(['ADMIN', 'GESTOR']),
+  validateParteId,
+  validateCreateParte,
+  updateParte
+);
+
+/**
+ * @swagger
+ * /api/partes/{id}:
+ *   delete:
+ *     summary: Eliminar una parte sin convenios asociados
+ *     tags: [Partes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Parte eliminada
+ *       404:
+ *         description: Parte no encontrada
+ *       409:
+ *         description: La parte está asociada a convenios
+ */
+router.delete('/partes/:id',
+  authMiddleware,
+  requireRole(['ADMIN', 'GESTOR']),
+  validateParteId,
+  deleteParte
+);
+
+/**
+ * @swagger
+ * /api/partes/{id}/merge:
+ *   post:
+ *     summary: Fusionar una parte en otra
+ *     description: |
+ *       Reasigna los convenios de la parte {id} a la parte intoId (omitiendo los que ya
+ *       comparten), registra su nombre como alias de intoId y la elimina.
+ *       Por defecto es una simulación (dryRun=true) que solo devuelve el informe.
+ *     tags: [Partes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Parte que se absorbe
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [intoId]
+ *             properties:
+ *               intoId:
+ *                 type: integer
+ *                 description: Parte que sobrevive
+ *               dryRun:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Informe de la fusión (simulada o ejecutada)
+ *       400:
+ *         description: Parte origen y destino iguales
+ *       403:
+ *         description: Requiere rol ADMIN
+ *       404:
+ *         description: Parte no encontrada
+ */
+router.post('/partes/:id/merge',
+  authMiddleware,
+  requireRole(['ADMIN']),
+  validateParteId,
+  validateMergePartes,
+  mergeParte
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/partes:
+ *   get:
+ *     summary: Listar las partes de un convenio
+ *     tags: [Partes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: convenioId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Partes del convenio
+ *       404:
+ *         description: Convenio no encontrado
+ */
+router.get('/convenios/:convenioId/partes',
+  authMiddleware,
+  requireConvenioAcceso(),
+  validateConvenioParteParams,
+  getPartesByConvenio
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/partes:
+ *   post:
+ *     summary: Asociar partes a un convenio
+ *     description: Las partes por ID deben existir; las partes por nombre se reutilizan o se crean. Las ya asociadas se ignoran.
+ *     tags: [Partes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: convenioId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               partes:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     parteId:
+ *                       type: integer
+ *                     nombre:
+ *                       type: string
+ *                     contacto:
+ *                       type: string
+ *                     tipo:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Partes asociadas
+ *       404:
+ *         description: Convenio no encontrado
+ *       409:
+ *         description: Convenio archivado
+ */
+router.post('/convenios/:convenioId/partes',
+  authMiddleware,
+  requireConvenioAcceso('Editor'),
+  validateConvenioParteParams,
+  validateAttachPartes,
+  attachPartes
+);
+
+/**
+ * @swagger
+ * /api/convenios/{convenioId}/partes/{parteId}:
+ *   delete:
+ *     summary: Desasociar una parte de un convenio
+ *     tags: [Partes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: convenioId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: parteId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Parte desasociada
+ *       404:
+ *         description: Convenio no encontrado o parte no asociada
+ *       409:
+ *         description: Convenio archivado o activo con el mínimo de partes
+ */
+router.delete('/convenios/:convenioId/partes/:parteId',
+  authMiddleware,
+  requireConvenioAcceso('Editor'),
+  validateConvenioParteParams,
+  detachParte
+);
+
+export default router;
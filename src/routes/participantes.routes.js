@@ -15,7 +15,7 @@ import {
   getRolesDisponibles
 } from '../controllers/participantes.controller.js';
 import { authMiddleware } from '../middleware/auth.middleware.js';
-import { requireRole } from '../middleware/role.middleware.js';
+import { requireActividadAcceso } from '../middleware/convenio-acceso.middleware.js';
 
 const router = Router();
 
@@ -149,7 +149,7 @@ router.get('/roles-participantes',
  */
 router.post('/actividades/:actividadId/participantes',
   authMiddleware,
-  requireRole(['ADMIN', 'GESTOR']),
+  requireActividadAcceso('Editor'),
   addParticipante
 );
 
@@ -182,6 +182,22 @@ router.post('/actividades/:actividadId/participantes',
  *           maximum: 50
  *         description: Elementos por página
  *       - in: query
+ *         name: pagination
+ *         schema:
+ *           type: string
+ *           enum: [page, cursor]
+ *         description: Modo de paginación; cursor devuelve nextCursor/prevCursor en lugar de páginas
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Cursor opaco (nextCursor) para obtener la página siguiente
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Cursor opaco (prevCursor) para obtener la página anterior
+ *       - in: query
  *         name: rol
  *         schema:
  *           type: string
@@ -240,6 +256,7 @@ router.post('/actividades/:actividadId/participantes',
  */
 router.get('/actividades/:actividadId/participantes',
   authMiddleware,
+  requireActividadAcceso(),
   getParticipantesByActividad
 );
 
@@ -282,6 +299,7 @@ router.get('/actividades/:actividadId/participantes',
  */
 router.get('/actividades/:actividadId/participantes/:participanteId',
   authMiddleware,
+  requireActividadAcceso(),
   getParticipanteById
 );
 
@@ -350,7 +368,7 @@ router.get('/actividades/:actividadId/participantes/:participanteId',
  */
 router.put('/actividades/:actividadId/participantes/:participanteId',
   authMiddleware,
-  requireRole(['ADMIN', 'GESTOR']),
+  requireActividadAcceso('Editor'),
   updateParticipante
 );
 
@@ -406,7 +424,7 @@ router.put('/actividades/:actividadId/participantes/:participanteId',
  */
 router.delete('/actividades/:actividadId/participantes/:participanteId',
   authMiddleware,
-  requireRole(['ADMIN', 'GESTOR']),
+  requireActividadAcceso('Editor'),
   deleteParticipante
 );
 
@@ -8,7 +8,7 @@ import {
   getTiposProducto
 } from '../controllers/productos.controller.js';
 import { authMiddleware } from '../middleware/auth.middleware.js';
-import { requireRole } from '../middleware/role.middleware.js';
+import { requireActividadAcceso } from '../middleware/convenio-acceso.middleware.js';
 
 const router = Router();
 
@@ -151,7 +151,7 @@ const router = Router();
  */
 router.post('/actividades/:actividadId/productos',
   authMiddleware,
-  requireRole(['ADMIN', 'GESTOR', 'CONSULTOR']), // CONSULTOR puede agregar si es responsable
+  requireActividadAcceso(), // Editor del convenio o responsable de la actividad
   addProducto
 );
 
@@ -203,6 +203,7 @@ router.post('/actividades/:actividadId/productos',
  */
 router.get('/actividades/:actividadId/productos',
   authMiddleware,
+  requireActividadAcceso(),
   getProductosByActividad
 );
 
@@ -249,6 +250,7 @@ router.get('/actividades/:actividadId/productos',
  */
 router.get('/actividades/:actividadId/productos/:productoId',
   authMiddleware,
+  requireActividadAcceso(),
   getProductoById
 );
 
@@ -318,7 +320,7 @@ router.get('/actividades/:actividadId/productos/:productoId',
  */
 router.put('/actividades/:actividadId/productos/:productoId',
   authMiddleware,
-  requireRole(['ADMIN', 'GESTOR', 'CONSULTOR']), // CONSULTOR puede actualizar si es responsable
+  requireActividadAcceso(), // Editor del convenio o responsable de la actividad
   updateProducto
 );
 
@@ -377,7 +379,7 @@ router.put('/actividades/:actividadId/productos/:productoId',
  */
 router.delete('/actividades/:actividadId/productos/:productoId',
   authMiddleware,
-  requireRole(['ADMIN', 'GESTOR', 'CONSULTOR']), // CONSULTOR puede eliminar si es responsable
+  requireActividadAcceso(), // Editor del convenio o responsable de la actividad
   deleteProducto
 );
 
@@ -9,6 +9,7 @@ import {
 } from '../controllers/reports.controller.js';
 import { authMiddleware } from '../middleware/auth.middleware.js';
 import { requireRole } from '../middleware/role.middleware.js';
+import { loadAlcance } from '../middleware/alcance.middleware.js';
 
 const router = Router();
 
@@ -220,6 +221,7 @@ const router = Router();
 router.get('/reports/activities',
   authMiddleware,
   requireRole(['ADMIN', 'GESTOR']),
+  loadAlcance,
   getActivitiesReport
 );
 
@@ -287,6 +289,7 @@ router.get('/reports/activities',
 router.get('/reports/activities/preview',
   authMiddleware,
   requireRole(['ADMIN', 'GESTOR']),
+  loadAlcance,
   getActivitiesReportPreview
 );
 
@@ -375,6 +378,7 @@ router.get('/reports/activities/preview',
 router.get('/reports/activities/list',
   authMiddleware,
   requireRole(['ADMIN', 'GESTOR']),
+  loadAlcance,
   getActivitiesList
 );
 
@@ -427,6 +431,7 @@ router.get('/reports/activities/list',
 router.get('/reports/activities/export/csv',
   authMiddleware,
   requireRole(['ADMIN', 'GESTOR']),
+  loadAlcance,
   exportActivitiesCSV
 );
 
@@ -483,6 +488,7 @@ router.get('/reports/activities/export/csv',
 router.get('/reports/activities/export/pdf',
   authMiddleware,
   requireRole(['ADMIN', 'GESTOR']),
+  loadAlcance,
   exportActivitiesPDF
 );
 
@@ -574,6 +580,7 @@ router.get('/reports/activities/export/pdf',
 router.get('/reports/stats',
   authMiddleware,
   requireRole(['ADMIN', 'GESTOR']),
+  loadAlcance,
   getReportsStats
 );
 
@@ -0,0 +1,353 @@
+/**
+ * @fileoverview Rutas para Búsquedas Guardadas
+ * @description Define las rutas REST para presets de búsqueda avanzada de convenios,
+ * su ejecución y las suscripciones a coincidencias nuevas
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ */
+
+import { Router } from 'express';
+import {
+  getSavedSearches,
+  getSavedSearchById,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getSavedSearchResults,
+  subscribeSavedSearch,
+  unsubscribeSavedSearch,
+  markSavedSearchSeen,
+  getSavedSearchNotifications
+} from '../controllers/saved-searches.controller.js';
+import {
+  validateCreateSavedSearch,
+  validatePatchSavedSearch,
+  validateSavedSearchId,
+  validateSavedSearchResultsQuery
+} from '../validators/saved-searches.validator.js';
+import { authMiddleware } from '../middleware/auth.middleware.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BusquedaGuardada:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         nombre:
+ *           type: string
+ *           description: Nombre único entre las búsquedas del propietario
+ *         criterios:
+ *           type: object
+ *           description: Criterios de POST /api/convenios/search, sin paginación
+ *         compartidaCon:
+ *           type: string
+ *           enum: [ADMIN, GESTOR, CONSULTOR]
+ *           nullable: true
+ *           description: Rol con el que se comparte; null si es privada
+ *         userId:
+ *           type: integer
+ *           description: Propietario
+ */
+
+/**
+ * @swagger
+ * /api/saved-searches:
+ *   get:
+ *     summary: Listar las búsquedas propias y las compartidas con el rol del usuario
+ *     tags: [Búsquedas guardadas]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Búsquedas visibles, indicando si son propias y si el usuario está suscrito
+ */
+router.get('/saved-searches',
+  authMiddleware,
+  getSavedSearches
+);
+
+/**
+ * @swagger
+ * /api/saved-searches:
+ *   post:
+ *     summary: Guardar una búsqueda
+ *     tags: [Búsquedas guardadas]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [nombre, criterios]
+ *             properties:
+ *               nombre:
+ *                 type: string
+ *               criterios:
+ *                 type: object
+ *                 description: Mismo cuerpo que POST /api/convenios/search; pagina, limite y cursores se ignoran
+ *               compartidaCon:
+ *                 type: string
+ *                 enum: [ADMIN, GESTOR, CONSULTOR]
+ *                 nullable: true
+ *     responses:
+ *       201:
+ *         description: Búsqueda guardada
+ *       400:
+ *         description: Criterios inválidos
+ *       409:
+ *         description: Ya tiene una búsqueda con ese nombre
+ */
+router.post('/saved-searches',
+  authMiddleware,
+  validateCreateSavedSearch,
+  createSavedSearch
+);
+
+/**
+ * @swagger
+ * /api/saved-searches/notifications:
+ *   get:
+ *     summary: Convenios nuevos que cumplen las búsquedas a las que el usuario está suscrito
+ *     description: |
+ *       Para cada suscripción devuelve los convenios que empezaron a cumplir la búsqueda
+ *       desde la suscripción o desde la última vez que se marcaron como vistos.
+ *     tags: [Búsquedas guardadas]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Novedades agrupadas por búsqueda
+ */
+router.get('/saved-searches/notifications',
+  authMiddleware,
+  getSavedSearchNotifications
+);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}:
+ *   get:
+ *     summary: Obtener una búsqueda guardada
+ *     tags: [Búsquedas guardadas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Búsqueda guardada
+ *       404:
+ *         description: No existe o no es visible para el usuario
+ */
+router.get('/saved-searches/:id',
+  authMiddleware,
+  validateSavedSearchId,
+  getSavedSearchById
+);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}:
+ *   patch:
+ *     summary: Actualizar nombre, criterios o rol con el que se comparte
+ *     description: Solo el propietario o un ADMIN
+ *     tags: [Búsquedas guardadas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Búsqueda actualizada
+ *       403:
+ *         description: El usuario no es el propietario
+ *       404:
+ *         description: No existe o no es visible para el usuario
+ *       409:
+ *         description: Ya tiene una búsqueda con ese nombre
+ */
+router.patch('/saved-searches/:id',
+  authMiddleware,
+  validateSavedSearchId,
+  validatePatchSavedSearch,
+  updateSavedSearch
+);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}:
+ *   delete:
+ *     summary: Eliminar una búsqueda guardada y sus suscripciones
+ *     description: Solo el propietario o un ADMIN
+ *     tags: [Búsquedas guardadas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Búsqueda eliminada
+ *       403:
+ *         description: El usuario no es el propietario
+ *       404:
+ *         description: No existe o no es visible para el usuario
+ */
+router.delete('/saved-searches/:id',
+  authMiddleware,
+  validateSavedSearchId,
+  deleteSavedSearch
+);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}/results:
+ *   get:
+ *     summary: Ejecutar una búsqueda guardada
+ *     description: Devuelve lo mismo que POST /api/convenios/search con los criterios guardados
+ *     tags: [Búsquedas guardadas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *       - in: query
+ *         name: pagination
+ *         schema:
+ *           type: string
+ *           enum: [page, cursor]
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Convenios que cumplen la búsqueda
+ *       400:
+ *         description: Parámetros o cursor inválidos
+ *       404:
+ *         description: No existe o no es visible para el usuario
+ */
+router.get('/saved-searches/:id/results',
+  authMiddleware,
+  validateSavedSearchId,
+  validateSavedSearchResultsQuery,
+  getSavedSearchResults
+);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}/subscription:
+ *   post:
+ *     summary: Suscribirse a los convenios nuevos que cumplan la búsqueda
+ *     description: Las coincidencias actuales se consideran vistas
+ *     tags: [Búsquedas guardadas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       201:
+ *         description: Suscripción creada (o existente)
+ *       404:
+ *         description: No existe o no es visible para el usuario
+ */
+router.post('/saved-searches/:id/subscription',
+  authMiddleware,
+  validateSavedSearchId,
+  subscribeSavedSearch
+);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}/subscription:
+ *   delete:
+ *     summary: Cancelar la suscripción a una búsqueda
+ *     tags: [Búsquedas guardadas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Suscripción cancelada
+ *       404:
+ *         description: El usuario no está suscrito
+ */
+router.delete('/saved-searches/:id/subscription',
+  authMiddleware,
+  validateSavedSearchId,
+  unsubscribeSavedSearch
+);
+
+/**
+ * @swagger
+ * /api/saved-searches/{id}/subscription/seen:
+ *   post:
+ *     summary: Marcar como vistas las coincidencias actuales de una búsqueda suscrita
+ *     tags: [Búsquedas guardadas]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Novedades marcadas como vistas
+ *       404:
+ *         description: El usuario no está suscrito
+ */
+router.post('/saved-searches/:id/subscription/seen',
+  authMiddleware,
+  validateSavedSearchId,
+  markSavedSearchSeen
+);
+
+export default router;
@@ -0,0 +1,339 @@
+/**
+ * @fileoverview Rutas para Unidades organizacionales
+ * @description Define las rutas REST para administrar la jerarquía Sede > Facultad >
+ * Programa y las unidades de cada usuario (solo ADMIN). Las unidades de un usuario
+ * determinan qué convenios ve en listados, dashboard y reportes.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ */
+
+import { Router } from 'express';
+import {
+  getUnidades,
+  getArbolUnidades,
+  getMisUnidades,
+  getUnidadById,
+  createUnidad,
+  updateUnidad,
+  deleteUnidad,
+  asignarConveniosUnidad,
+  getUnidadesUsuario,
+  asignarUnidadesUsuario
+} from '../controllers/unidades.controller.js';
+import {
+  validateUnidadesQuery,
+  validateUnidadId,
+  validateUsuarioUnidadesParams,
+  validateCreateUnidad,
+  validatePatchUnidad,
+  validateAsignarUnidades,
+  validateAsignarConvenios
+} from '../validators/unidades.validator.js';
+import { authMiddleware } from '../middleware/auth.middleware.js';
+import { requireRole } from '../middleware/role.middleware.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UnidadOrganizacional:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         nombre:
+ *           type: string
+ *           example: Facultad de Ingeniería
+ *         codigo:
+ *           type: string
+ *           nullable: true
+ *           example: FING
+ *         tipo:
+ *           type: string
+ *           enum: [Sede, Facultad, Programa]
+ *         padreId:
+ *           type: integer
+ *           nullable: true
+ *           description: Sede sin padre; Facultad depende de una Sede; Programa de una Facultad
+ *         totalHijas:
+ *           type: integer
+ *         totalConvenios:
+ *           type: integer
+ *         totalUsuarios:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /api/unidades:
+ *   get:
+ *     summary: Listar unidades organizacionales
+ *     tags: [Unidades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tipo
+ *         schema:
+ *           type: string
+ *           enum: [Sede, Facultad, Programa]
+ *       - in: query
+ *         name: padreId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: nombre
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Unidades con sus totales de dependientes, convenios y usuarios
+ */
+router.get('/unidades',
+  authMiddleware,
+  validateUnidadesQuery,
+  getUnidades
+);
+
+/**
+ * @swagger
+ * /api/unidades:
+ *   post:
+ *     summary: Crear unidad organizacional
+ *     tags: [Unidades]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [nombre, tipo]
+ *             properties:
+ *               nombre:
+ *                 type: string
+ *               codigo:
+ *                 type: string
+ *               tipo:
+ *                 type: string
+ *                 enum: [Sede, Facultad, Programa]
+ *               padreId:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Unidad creada
+ *       400:
+ *         description: Padre inexistente o de un nivel que no corresponde
+ *       409:
+ *         description: Nombre repetido en el mismo nivel o código en uso
+ */
+router.post('/unidades',
+  authMiddleware,
+  requireRole(['ADMIN']),
+  validateCreateUnidad,
+  createUnidad
+);
+
+/**
+ * @swagger
+ * /api/unidades/arbol:
+ *   get:
+ *     summary: Jerarquía completa de unidades
+ *     tags: [Unidades]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sedes con sus facultades y programas anidados en `hijas`
+ */
+router.get('/unidades/arbol',
+  authMiddleware,
+  getArbolUnidades
+);
+
+/**
+ * @swagger
+ * /api/unidades/mias:
+ *   get:
+ *     summary: Unidades del usuario autenticado
+ *     description: >
+ *       Devuelve las unidades asignadas y el alcance resultante (IDs de esas unidades y
+ *       de sus dependientes). alcance es null para ADMIN, que ve todos los convenios.
+ *     tags: [Unidades]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unidades y alcance del usuario
+ */
+router.get('/unidades/mias',
+  authMiddleware,
+  getMisUnidades
+);
+
+/**
+ * @swagger
+ * /api/unidades/{id}:
+ *   get:
+ *     summary: Obtener unidad por ID
+ *     tags: [Unidades]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unidad con su padre y sus dependientes directas
+ *       404:
+ *         description: Unidad no encontrada
+ */
+router.get('/unidades/:id',
+  authMiddleware,
+  validateUnidadId,
+  getUnidadById
+);
+
+/**
+ * @swagger
+ * /api/unidades/{id}:
+ *   patch:
+ *     summary: Actualizar unidad
+ *     description: El tipo no se puede cambiar; cambiar padreId traslada la unidad con sus dependientes y convenios
+ *     tags: [Unidades]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unidad actualizada
+ *       400:
+ *         description: Padre inexistente o de un nivel que no corresponde
+ *       409:
+ *         description: Nombre repetido en el mismo nivel o código en uso
+ */
+router.patch('/unidades/:id',
+  authMiddleware,
+  requireRole(['ADMIN']),
+  validateUnidadId,
+  validatePatchUnidad,
+  updateUnidad
+);
+
+/**
+ * @swagger
+ * /api/unidades/{id}:
+ *   delete:
+ *     summary: Eliminar unidad sin dependientes ni convenios
+ *     tags: [Unidades]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unidad eliminada
+ *       409:
+ *         description: La unidad tiene dependientes o convenios
+ */
+router.delete('/unidades/:id',
+  authMiddleware,
+  requireRole(['ADMIN']),
+  validateUnidadId,
+  deleteUnidad
+);
+
+/**
+ * @swagger
+ * /api/unidades/{id}/convenios:
+ *   post:
+ *     summary: Asignar a la unidad convenios sin unidad
+ *     description: >
+ *       Asigna los convenios indicados, o con sinUnidad los primeros 500 convenios sin
+ *       unidad (repetir hasta que restantes sea 0). Los convenios que ya tienen unidad no
+ *       cambian; se reasignan editando el convenio. Cada asignación queda en su historial.
+ *     tags: [Unidades]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               convenioIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *               sinUnidad:
+ *                 type: boolean
+ *                 enum: [true]
+ *     responses:
+ *       200:
+ *         description: Convenios asignados, los que ya tenían unidad y cuántos quedan sin unidad
+ *       404:
+ *         description: Unidad o convenio no encontrados
+ */
+router.post('/unidades/:id/convenios',
+  authMiddleware,
+  requireRole(['ADMIN']),
+  validateUnidadId,
+  validateAsignarConvenios,
+  asignarConveniosUnidad
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/unidades:
+ *   get:
+ *     summary: Unidades de un usuario
+ *     tags: [Unidades]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unidades y alcance del usuario
+ *       404:
+ *         description: Usuario no encontrado
+ */
+router.get('/admin/users/:userId/unidades',
+  authMiddleware,
+  requireRole(['ADMIN']),
+  validateUsuarioUnidadesParams,
+  getUnidadesUsuario
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/unidades:
+ *   put:
+ *     summary: Reemplazar las unidades de un usuario
+ *     description: Envía la lista final de unidades; una lista vacía las quita todas
+ *     tags: [Unidades]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [unidadIds]
+ *             properties:
+ *               unidadIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       200:
+ *         description: Unidades actualizadas
+ *       404:
+ *         description: Usuario o unidad no encontrados
+ */
+router.put('/admin/users/:userId/unidades',
+  authMiddleware,
+  requireRole(['ADMIN']),
+  validateUsuarioUnidadesParams,
+  validateAsignarUnidades,
+  asignarUnidadesUsuario
+);
+
+export default router;
@@ -0,0 +1,336 @@
+/**
+ * @fileoverview Rutas para la administración de usuarios
+ * @description Define las rutas REST para buscar usuarios, cambiar su rol global,
+ * activarlos o desactivarlos, desbloquearlos, verificar su email y restablecer su contraseña
+ * o su segundo factor. Todas requieren rol ADMIN.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ */
+
+import { Router } from 'express';
+import {
+  getUsers,
+  getUserById,
+  changeUserRol,
+  activateUser,
+  deactivateUser,
+  unlockUser,
+  verifyUserEmail,
+  resetUserMfa,
+  resetUserPassword
+} from '../controllers/users.controller.js';
+import {
+  validateUsersQuery,
+  validateUserIdParams,
+  validateChangeRol
+} from '../validators/users.validator.js';
+import { authMiddleware } from '../middleware/auth.middleware.js';
+import { requireRole } from '../middleware/role.middleware.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UsuarioAdmin:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         email:
+ *           type: string
+ *         rol:
+ *           type: string
+ *           enum: [ADMIN, GESTOR, CONSULTOR]
+ *         isActive:
+ *           type: boolean
+ *         emailVerified:
+ *           type: boolean
+ *         mfaEnabled:
+ *           type: boolean
+ *           description: Autenticación en dos pasos activa
+ *         lockedUntil:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Fin del bloqueo por intentos fallidos de inicio de sesión
+ *         mustChangePassword:
+ *           type: boolean
+ *           description: El usuario tiene una contraseña temporal y debe cambiarla
+ *         lastLogin:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: Listar usuarios
+ *     tags: [Usuarios]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         description: Texto contenido en el email
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: rol
+ *         schema:
+ *           type: string
+ *           enum: [ADMIN, GESTOR, CONSULTOR]
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: pagination
+ *         schema:
+ *           type: string
+ *           enum: [cursor]
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Usuarios paginados, los más recientes primero
+ *       403:
+ *         description: Se requiere rol ADMIN
+ */
+router.get('/admin/users',
+  authMiddleware,
+  requireRole(['ADMIN']),
+  validateUsersQuery,
+  getUsers
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}:
+ *   get:
+ *     summary: Detalle de un usuario
+ *     description: Incluye sus unidades, la cantidad de convenios de los que es miembro y sus sesiones activas
+ *     tags: [Usuarios]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Usuario
+ *       404:
+ *         description: Usuario no encontrado
+ */
+router.get('/admin/users/:userId',
+  authMiddleware,
+  requireRole(['ADMIN']),
+  validateUserIdParams,
+  getUserById
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/rol:
+ *   patch:
+ *     summary: Cambiar el rol global de un usuario
+ *     description: >
+ *       El nuevo rol se aplica cuando el usuario refresca su token de acceso. Un ADMIN no
+ *       puede cambiar su propio rol ni quitar el rol al último ADMIN activo.
+ *     tags: [Usuarios]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rol]
+ *             properties:
+ *               rol:
+ *                 type: string
+ *                 enum: [ADMIN, GESTOR, CONSULTOR]
+ *     responses:
+ *       200:
+ *         description: Rol actualizado
+ *       404:
+ *         description: Usuario no encontrado
+ *       409:
+ *         description: Cambio sobre la propia cuenta o sobre el último ADMIN activo
+ */
+router.patch('/admin/users/:userId/rol',
+  authMiddleware,
+  requireRole(['ADMIN']),
+  validateUserIdParams,
+  validateChangeRol,
+  changeUserRol
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/activate:
+ *   post:
+ *     summary: Activar una cuenta
+ *     tags: [Usuarios]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Usuario activado
+ *       404:
+ *         description: Usuario no encontrado
+ *       409:
+ *         description: Cambio sobre la propia cuenta
+ */
+router.post('/admin/users/:userId/activate',
+  authMiddleware,
+  requireRole(['ADMIN']),
+  validateUserIdParams,
+  activateUser
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/deactivate:
+ *   post:
+ *     summary: Desactivar una cuenta
+ *     description: >
+ *       Revoca todas las sesiones del usuario; no podrá iniciar sesión ni refrescar tokens.
+ *       No se puede desactivar la propia cuenta ni al último ADMIN activo.
+ *     tags: [Usuarios]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Usuario desactivado (incluye sesionesRevocadas)
+ *       404:
+ *         description: Usuario no encontrado
+ *       409:
+ *         description: Cambio sobre la propia cuenta o sobre el último ADMIN activo
+ */
+router.post('/admin/users/:userId/deactivate',
+  authMiddleware,
+  requireRole(['ADMIN']),
+  validateUserIdParams,
+  deactivateUser
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/unlock:
+ *   post:
+ *     summary: Desbloquear una cuenta bloqueada por intentos fallidos
+ *     description: Reinicia el conteo de intentos y la duración de los próximos bloqueos
+ *     tags: [Usuarios]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cuenta desbloqueada (wasLocked indica si estaba bloqueada)
+ *       404:
+ *         description: Usuario no encontrado
+ */
+router.post('/admin/users/:userId/unlock',
+  authMiddleware,
+  requireRole(['ADMIN']),
+  validateUserIdParams,
+  unlockUser
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/verify-email:
+ *   post:
+ *     summary: Marcar el email de un usuario como verificado
+ *     description: >
+ *       Para las cuentas registradas con código estudiantil, que no reciben enlace de
+ *       verificación, o que no pudieron usarlo
+ *     tags: [Usuarios]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Email verificado
+ *       404:
+ *         description: Usuario no encontrado
+ */
+router.post('/admin/users/:userId/verify-email',
+  authMiddleware,
+  requireRole(['ADMIN']),
+  validateUserIdParams,
+  verifyUserEmail
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/mfa/reset:
+ *   post:
+ *     summary: Restablecer la autenticación en dos pasos de un usuario
+ *     description: >
+ *       Para quien perdió su dispositivo y sus códigos de recuperación. Borra el secreto y
+ *       los códigos y revoca sus sesiones; si su rol exige el segundo factor
+ *       (MFA_REQUIRED_ROLES), deberá registrarlo de nuevo al iniciar sesión.
+ *     tags: [Usuarios]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Segundo factor restablecido (incluye sesionesRevocadas)
+ *       404:
+ *         description: Usuario no encontrado
+ *       409:
+ *         description: Restablecimiento de la propia cuenta
+ */
+router.post('/admin/users/:userId/mfa/reset',
+  authMiddleware,
+  requireRole(['ADMIN']),
+  validateUserIdParams,
+  resetUserMfa
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/reset-password:
+ *   post:
+ *     summary: Restablecer la contraseña de un usuario
+ *     description: >
+ *       Asigna una contraseña temporal que se devuelve solo en esta respuesta, revoca las
+ *       sesiones del usuario y lo obliga a cambiarla (POST /api/auth/change-password)
+ *       antes de usar el resto de la API.
+ *     tags: [Usuarios]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Contraseña restablecida (incluye temporaryPassword)
+ *       404:
+ *         description: Usuario no encontrado
+ *       409:
+ *         description: Restablecimiento de la propia cuenta
+ */
+router.post('/admin/users/:userId/reset-password',
+  authMiddleware,
+  requireRole(['ADMIN']),
+  validateUserIdParams,
+  resetUserPassword
+);
+
+export default router;
@@ -0,0 +1,482 @@
+/**
+ * @fileoverview Servicio de Adendas (otrosíes) de Convenios
+ * @description Registra modificaciones y prórrogas de un convenio sin sobrescribir su
+ * fecha de fin original. La fecha de fin efectiva se deriva de la última adenda aprobada
+ * que define una nueva fecha de fin.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Ciclo de vida de una adenda:
+ *   Pendiente --aprobar--> Aprobada
+ *   Pendiente --rechazar--> Rechazada
+ *
+ * Solo las adendas pendientes pueden editarse o eliminarse.
+ *
+ * Complejidad Big O:
+ * - Listado por convenio: O(log n + a) donde a = adendas del convenio
+ * - Creación / aprobación: O(log n)
+ * - Vencimientos efectivos: O(c) donde c = convenios activos candidatos
+ */
+
+import { prisma, PRISMA_UNIQUE_VIOLATION } from '../lib/prisma.js';
+
+/**
+ * Filtro de adendas que afectan la vigencia del convenio
+ */
+const PRORROGA_APROBADA = {
+  estado: 'Aprobada',
+  nuevaFechaFin: { not: null }
+};
+
+/**
+ * Selección de la última adenda aprobada con nueva fecha de fin.
+ * Se usa en cualquier consulta que necesite la fecha de fin efectiva.
+ */
+const ULTIMA_PRORROGA_SELECT = {
+  where: PRORROGA_APROBADA,
+  orderBy: { numero: 'desc' },
+  take: 1,
+  select: { id: true, numero: true, nuevaFechaFin: true }
+};
+
+/**
+ * Include estándar de una adenda
+ */
+const ADENDA_INCLUDE = {
+  documento: {
+    select: { id: true, fileName: true, firmado: true }
+  },
+  creador: { select: { id: true, email: true } },
+  aprobador: { select: { id: true, email: true } }
+};
+
+/**
+ * Calcula la fecha de fin efectiva de un convenio
+ * @param {Object} convenio - Convenio con fechaFin y, opcionalmente, `adendas`
+ * cargadas con ULTIMA_PRORROGA_SELECT
+ * @returns {Date} Fecha de fin de la última prórroga aprobada o la fecha original
+ * @complexity O(1)
+ */
+const getFechaFinEfectiva = (convenio) => {
+  const [ultimaProrroga] = convenio.adendas || [];
+  return ultimaProrroga?.nuevaFechaFin || convenio.fechaFin;
+};
+
+/**
+ * Convenios activos cuya fecha de fin efectiva está en un rango.
+ * Los convenios con prórrogas aprobadas se filtran en memoria tras calcular su fecha efectiva.
+ * @param {Date} desde - Inicio del rango (inclusive)
+ * @param {Date} hasta - Fin del rango (inclusive)
+ * @param {Object} [select] - Campos adicionales del convenio
+ * @param {Object} [where] - Condiciones adicionales sobre el convenio (p. ej. alcance por unidades)
+ * @returns {Promise<Array>} Convenios con `fechaFinEfectiva`, ordenados por vencimiento
+ * @complexity O(c)
+ */
+const findConveniosActivosPorVencimiento = async (desde, hasta, select = {}, where = {}) => {
+  const convenios = await prisma.convenio.findMany({
+    where: {
+      ...where,
+      estado: 'Activo',
+      OR: [
+        { fechaFin: { gte: desde, lte: hasta } },
+        { adendas: { some: PRORROGA_APROBADA } }
+      ]
+    },
+    select: {
+      ...select,
+      id: true,
+      fechaFin: true,
+      adendas: ULTIMA_PRORROGA_SELECT
+    }
+  });
+
+  return convenios
+    .map(({ adendas, ...convenio }) => ({
+      ...convenio,
+      fechaFinEfectiva: getFechaFinEfectiva({ ...convenio, adendas }),
+      adendaVigente: adendas[0] || null
+    }))
+    .filter(c => c.fechaFinEfectiva >= desde && c.fechaFinEfectiva <= hasta)
+    .sort((a, b) => a.fechaFinEfectiva - b.fechaFinEfectiva);
+};
+
+/**
+ * @class AdendaService
+ * @description Gestión de adendas de un convenio
+ */
+class AdendaService {
+  /**
+   * Resultado estándar de adenda inexistente
+   */
+  notFound() {
+    return {
+      success: false,
+      error: 'ADENDA_NOT_FOUND',
+      message: 'Adenda no encontrada'
+    };
+  }
+
+  /**
+   * Obtiene una adenda verificando que pertenezca al convenio
+   * @param {number} convenioId - ID del convenio
+   * @param {number} adendaId - ID de la adenda
+   * @returns {Promise<Object|null>} Adenda o null
+   * @complexity O(log n)
+   */
+  async findAdenda(convenioId, adendaId) {
+    return prisma.adenda.findFirst({
+      where: { id: adendaId, convenioId },
+      include: ADENDA_INCLUDE
+    });
+  }
+
+  /**
+   * Valida el documento y la nueva fecha de fin de una adenda
+   * @param {Object} convenio - Convenio (id, fechaInicio)
+   * @param {Object} data - Datos validados de la adenda
+   * @returns {Promise<Object|null>} Resultado fallido o null si es válida
+   * @complexity O(log n)
+   */
+  async validateAdendaData(convenio, data) {
+    if (data.nuevaFechaFin && new Date(data.nuevaFechaFin) < convenio.fechaInicio) {
+      return {
+        success: false,
+        error: 'INVALID_DATE_RANGE',
+        message: 'La nueva fecha de fin no puede ser anterior al inicio del convenio'
+      };
+    }
+
+    if (data.documentId) {
+      const documento = await prisma.document.findFirst({
+        where: { id: data.documentId, convenioId: convenio.id },
+        select: { id: true }
+      });
+
+      if (!documento) {
+        return {
+          success: false,
+          error: 'DOCUMENT_NOT_FOUND',
+          message: 'El documento no existe o no pertenece a este convenio'
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Lista las adendas de un convenio con su fecha de fin efectiva
+   * @param {number} convenioId - ID del convenio
+   * @returns {Promise<Object>} Resultado con convenio, fechas y adendas
+   * @complexity O(log n + a)
+   */
+  async listAdendas(convenioId) {
+    try {
+      const convenio = await prisma.convenio.findUnique({
+        where: { id: convenioId },
+        select: {
+          id: true,
+          nombre: true,
+          estado: true,
+          fechaFin: true,
+          adendas: {
+            orderBy: { numero: 'asc' },
+            include: ADENDA_INCLUDE
+          }
+        }
+      });
+
+      if (!convenio) {
+        return {
+          success: false,
+          error: 'CONVENIO_NOT_FOUND',
+          message: 'Convenio no encontrado'
+        };
+      }
+
+      const { adendas, ...datosConvenio } = convenio;
+      const prorrogas = adendas
+        .filter(a => a.estado === 'Aprobada' && a.nuevaFechaFin)
+        .reverse();
+
+      return {
+        success: true,
+        data: {
+          convenio: {
+            ...datosConvenio,
+            fechaFinEfectiva: getFechaFinEfectiva({ ...datosConvenio, adendas: prorrogas })
+          },
+          adendas
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error al listar adendas: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene una adenda de un convenio
+   * @param {number} convenioId - ID del convenio
+   * @param {number} adendaId - ID de la adenda
+   * @returns {Promise<Object>} Resultado con la adenda
+   * @complexity O(log n)
+   */
+  async getAdenda(convenioId, adendaId) {
+    try {
+      const adenda = await this.findAdenda(convenioId, adendaId);
+      if (!adenda) return this.notFound();
+
+      return { success: true, data: adenda };
+    } catch (error) {
+      throw new Error(`Error al obtener adenda: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registra una adenda pendiente de aprobación. El número es consecutivo por convenio.
+   * Solo se admiten adendas sobre convenios activos.
+   * @param {number} convenioId - ID del convenio
+   * @param {Object} data - Datos validados por createAdendaSchema
+   * @param {number} userId - Usuario que registra la adenda
+   * @returns {Promise<Object>} Resultado con la adenda creada
+   * @complexity O(log n)
+   */
+  async createAdenda(convenioId, data, userId) {
+    try {
+      const convenio = await prisma.convenio.findUnique({
+        where: { id: convenioId },
+        select: { id: true, estado: true, fechaInicio: true }
+      });
+
+      if (!convenio) {
+        return {
+          success: false,
+          error: 'CONVENIO_NOT_FOUND',
+          message: 'Convenio no encontrado'
+        };
+      }
+
+      if (convenio.estado !== 'Activo') {
+        return {
+          success: false,
+          error: 'CONVENIO_NO_ACTIVO',
+          message: `Solo se pueden registrar adendas en convenios activos (estado actual: ${convenio.estado})`
+        };
+      }
+
+      const invalido = await this.validateAdendaData(convenio, data);
+      if (invalido) return invalido;
+
+      const adenda = await prisma.$transaction(async (tx) => {
+        const { _max } = await tx.adenda.aggregate({
+          where: { convenioId },
+          _max: { numero: true }
+        });
+
+        return tx.adenda.create({
+          data: {
+            convenioId,
+            numero: (_max.numero || 0) + 1,
+            fecha: new Date(data.fecha),
+            descripcion: data.descripcion,
+            nuevaFechaFin: data.nuevaFechaFin ? new Date(data.nuevaFechaFin) : null,
+            documentId: data.documentId || null,
+            createdBy: userId
+          },
+          include: ADENDA_INCLUDE
+        });
+      });
+
+      return {
+        success: true,
+        message: `Adenda No. ${adenda.numero} registrada, pendiente de aprobación`,
+        data: adenda
+      };
+    } catch (error) {
+      if (error.code === PRISMA_UNIQUE_VIOLATION) {
+        return {
+          success: false,
+          error: 'ADENDA_CONFLICTO',
+          message: 'El número de adenda o el documento ya están en uso. Intente nuevamente'
+        };
+      }
+      throw new Error(`Error al registrar adenda: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualiza una adenda pendiente
+   * @param {number} convenioId - ID del convenio
+   * @param {number} adendaId - ID de la adenda
+   * @param {Object} data - Datos validados por patchAdendaSchema
+   * @returns {Promise<Object>} Resultado con la adenda actualizada
+   * @complexity O(log n)
+   */
+  async updateAdenda(convenioId, adendaId, data) {
+    try {
+      const adenda = await this.findAdenda(convenioId, adendaId);
+      if (!adenda) return this.notFound();
+
+      if (adenda.estado !== 'Pendiente') {
+        return {
+          success: false,
+          error: 'ADENDA_NO_PENDIENTE',
+          message: `No se puede modificar una adenda ${adenda.estado.toLowerCase()}`
+        };
+      }
+
+      const convenio = await prisma.convenio.findUnique({
+        where: { id: convenioId },
+        select: { id: true, fechaInicio: true }
+      });
+
+      const invalido = await this.validateAdendaData(convenio, data);
+      if (invalido) return invalido;
+
+      const campos = {};
+      if (data.fecha !== undefined) campos.fecha = new Date(data.fecha);
+      if (data.descripcion !== undefined) campos.descripcion = data.descripcion;
+      if (data.nuevaFechaFin !== undefined) {
+        campos.nuevaFechaFin = data.nuevaFechaFin ? new Date(data.nuevaFechaFin) : null;
+      }
+      if (data.documentId !== undefined) campos.documentId = data.documentId;
+
+      const actualizada = await prisma.adenda.update({
+        where: { id: adendaId },
+        data: campos,
+        include: ADENDA_INCLUDE
+      });
+
+      return {
+        success: true,
+        message: 'Adenda actualizada exitosamente',
+        data: actualizada
+      };
+    } catch (error) {
+      if (error.code === PRISMA_UNIQUE_VIOLATION) {
+        return {
+          success: false,
+          error: 'ADENDA_CONFLICTO',
+          message: 'El documento ya está asociado a otra adenda'
+        };
+      }
+      throw new Error(`Error al actualizar adenda: ${error.message}`);
+    }
+  }
+
+  /**
+   * Elimina una adenda pendiente
+   * @param {number} convenioId - ID del convenio
+   * @param {number} adendaId - ID de la adenda
+   * @returns {Promise<Object>} Resultado de la eliminación
+   * @complexity O(log n)
+   */
+  async deleteAdenda(convenioId, adendaId) {
+    try {
+      const adenda = await this.findAdenda(convenioId, adendaId);
+      if (!adenda) return this.notFound();
+
+      if (adenda.estado !== 'Pendiente') {
+        return {
+          success: false,
+          error: 'ADENDA_NO_PENDIENTE',
+          message: 'Solo se pueden eliminar adendas pendientes'
+        };
+      }
+
+      await prisma.adenda.delete({ where: { id: adendaId } });
+
+      return {
+        success: true,
+        message: 'Adenda eliminada exitosamente',
+        data: { id: adenda.id, numero: adenda.numero }
+      };
+    } catch (error) {
+      throw new Error(`Error al eliminar adenda: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resuelve una adenda pendiente (aprobar o rechazar)
+   * @param {number} convenioId - ID del convenio
+   * @param {number} adendaId - ID de la adenda
+   * @param {string} estado - 'Aprobada' o 'Rechazada'
+   * @param {number} userId - Usuario que resuelve
+   * @returns {Promise<Object>} Resultado con la adenda y la fecha de fin efectiva
+   * @complexity O(log n)
+   */
+  async resolveAdenda(convenioId, adendaId, estado, userId) {
+    try {
+      const adenda = await this.findAdenda(convenioId, adendaId);
+      if (!adenda) return this.notFound();
+
+      if (adenda.estado !== 'Pendiente') {
+        return {
+          success: false,
+          error: 'ADENDA_NO_PENDIENTE',
+          message: `La adenda ya fue ${adenda.estado.toLowerCase()}`
+        };
+      }
+
+      if (estado === 'Aprobada') {
+        const convenio = await prisma.convenio.findUnique({
+          where: { id: convenioId },
+          select: { estado: true }
+        });
+
+        if (convenio.estado !== 'Activo') {
+          return {
+            success: false,
+            error: 'CONVENIO_NO_ACTIVO',
+            message: `Solo se pueden aprobar adendas de convenios activos (estado actual: ${convenio.estado})`
+          };
+        }
+      }
+
+      // Actualización condicionada para evitar resolver dos veces la misma adenda
+      const { count } = await prisma.adenda.updateMany({
+        where: { id: adendaId, estado: 'Pendiente' },
+        data: {
+          estado,
+          aprobadoPor: userId,
+          aprobadoEn: new Date()
+        }
+      });
+
+      if (count === 0) {
+        return {
+          success: false,
+          error: 'ADENDA_NO_PENDIENTE',
+          message: 'La adenda fue resuelta por otro usuario'
+        };
+      }
+
+      const [resuelta, convenio] = await Promise.all([
+        this.findAdenda(convenioId, adendaId),
+        prisma.convenio.findUnique({
+          where: { id: convenioId },
+          select: { fechaFin: true, adendas: ULTIMA_PRORROGA_SELECT }
+        })
+      ]);
+
+      return {
+        success: true,
+        message: `Adenda No. ${resuelta.numero} ${estado.toLowerCase()}`,
+        data: {
+          adenda: resuelta,
+          fechaFinEfectiva: getFechaFinEfectiva(convenio)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error al resolver adenda: ${error.message}`);
+    }
+  }
+}
+
+export {
+  AdendaService,
+  getFechaFinEfectiva,
+  findConveniosActivosPorVencimiento,
+  ULTIMA_PRORROGA_SELECT
+};
+export default AdendaService;
@@ -0,0 +1,689 @@
+/**
+ * @fileoverview Servicio de Aportes (contribuciones financieras) de Convenios
+ * @description Registra lo que cada parte de un convenio se compromete a aportar, en
+ * efectivo o en especie, con un plan de cuotas, y los pagos recibidos de cada cuota.
+ * El resumen financiero se calcula por moneda: los montos en distintas monedas nunca
+ * se suman entre sí.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Estado de una cuota (derivado, no almacenado):
+ * - Recibida: tiene pago registrado (recibidaEn)
+ * - Vencida: sin pago y con fecha de vencimiento anterior a hoy
+ * - Pendiente: sin pago y aún no vence
+ *
+ * Un aporte con pagos registrados no puede eliminarse ni cambiar su plan de cuotas;
+ * primero deben anularse los pagos.
+ *
+ * Complejidad Big O:
+ * - Listado y resumen por convenio: O(log n + a * c) donde a = aportes, c = cuotas por aporte
+ * - Creación / actualización: O(c)
+ * - Registro de pagos: O(log n)
+ */
+
+import { prisma } from '../lib/prisma.js';
+import { toCentavos } from '../validators/aportes.validator.js';
+
+/**
+ * Cuotas pendientes que se muestran como próximos vencimientos
+ */
+const MAX_PROXIMAS_CUOTAS = 5;
+
+/**
+ * Include estándar de un aporte
+ */
+const APORTE_INCLUDE = {
+  convenioParte: {
+    select: {
+      parte: { select: { id: true, nombre: true, tipo: true } }
+    }
+  },
+  cuotas: {
+    orderBy: { numero: 'asc' },
+    include: {
+      registrador: { select: { id: true, email: true } }
+    }
+  },
+  creador: { select: { id: true, email: true } }
+};
+
+/**
+ * Centavos → monto con decimales
+ * @param {number} centavos
+ * @returns {number}
+ */
+const fromCentavos = (centavos) => centavos / 100;
+
+/**
+ * Fecha de hoy a las 00:00 UTC (las fechas de vencimiento se guardan sin hora)
+ * @returns {Date}
+ */
+const inicioDelDia = () => {
+  const hoy = new Date();
+  hoy.setUTCHours(0, 0, 0, 0);
+  return hoy;
+};
+
+/**
+ * Estado de una cuota
+ * @param {Object} cuota - Cuota con recibidaEn y fechaVencimiento
+ * @param {Date} hoy - Resultado de inicioDelDia
+ * @returns {'Recibida'|'Vencida'|'Pendiente'}
+ * @complexity O(1)
+ */
+const getEstadoCuota = (cuota, hoy) => {
+  if (cuota.recibidaEn) return 'Recibida';
+  return cuota.fechaVencimiento < hoy ? 'Vencida' : 'Pendiente';
+};
+
+/**
+ * Cuota con montos numéricos y estado
+ * @param {Object} cuota - Cuota de Prisma (montos Decimal)
+ * @param {Date} hoy - Resultado de inicioDelDia
+ * @returns {Object}
+ * @complexity O(1)
+ */
+const serializeCuota = (cuota, hoy) => ({
+  ...cuota,
+  monto: Number(cuota.monto),
+  montoRecibido: cuota.montoRecibido === null ? null : Number(cuota.montoRecibido),
+  estado: getEstadoCuota(cuota, hoy)
+});
+
+/**
+ * Aporte con la parte, montos numéricos y totales recibido/pendiente
+ * @param {Object} aporte - Aporte cargado con APORTE_INCLUDE
+ * @param {Date} [hoy] - Resultado de inicioDelDia
+ * @returns {Object}
+ * @complexity O(c)
+ */
+const serializeAporte = ({ convenioParte, cuotas, ...aporte }, hoy = inicioDelDia()) => {
+  const recibido = cuotas.reduce((total, c) => total + toCentavos(c.montoRecibido || 0), 0);
+  const pendiente = cuotas
+    .filter(c => !c.recibidaEn)
+    .reduce((total, c) => total + toCentavos(c.monto), 0);
+
+  return {
+    ...aporte,
+    monto: Number(aporte.monto),
+    parte: convenioParte.parte,
+    recibido: fromCentavos(recibido),
+    pendiente: fromCentavos(pendiente),
+    cuotas: cuotas.map(cuota => serializeCuota(cuota, hoy))
+  };
+};
+
+/**
+ * Totales en centavos de una moneda
+ */
+const crearTotales = () => ({
+  comprometido: 0,
+  recibido: 0,
+  pendiente: 0,
+  vencido: 0,
+  porTipo: { Efectivo: 0, Especie: 0 }
+});
+
+/**
+ * Acumula en `totales` el aporte y sus cuotas
+ * @complexity O(c)
+ */
+const acumularAporte = (totales, aporte, hoy) => {
+  const monto = toCentavos(aporte.monto);
+  totales.comprometido += monto;
+  totales.porTipo[aporte.tipo] += monto;
+
+  for (const cuota of aporte.cuotas) {
+    if (cuota.recibidaEn) {
+      totales.recibido += toCentavos(cuota.montoRecibido);
+    } else {
+      totales.pendiente += toCentavos(cuota.monto);
+      if (cuota.fechaVencimiento < hoy) totales.vencido += toCentavos(cuota.monto);
+    }
+  }
+};
+
+/**
+ * Totales en centavos → montos, con el porcentaje recibido
+ * @complexity O(1)
+ */
+const formatTotales = (totales) => ({
+  comprometido: fromCentavos(totales.comprometido),
+  recibido: fromCentavos(totales.recibido),
+  pendiente: fromCentavos(totales.pendiente),
+  vencido: fromCentavos(totales.vencido),
+  porcentajeRecibido: totales.comprometido > 0
+    ? Math.round((totales.recibido / totales.comprometido) * 1000) / 10
+    : 0,
+  porTipo: {
+    Efectivo: fromCentavos(totales.porTipo.Efectivo),
+    Especie: fromCentavos(totales.porTipo.Especie)
+  }
+});
+
+/**
+ * Aplica formatTotales a cada moneda de un mapa
+ * @param {Map<string, Object>} porMoneda
+ * @returns {Object<string, Object>}
+ */
+const formatPorMoneda = (porMoneda) => Object.fromEntries(
+  Array.from(porMoneda, ([moneda, totales]) => [moneda, formatTotales(totales)])
+);
+
+/**
+ * Resumen financiero de un conjunto de aportes: totales por moneda, por parte y
+ * próximos vencimientos
+ * @param {Array<Object>} aportes - Aportes cargados con APORTE_INCLUDE
+ * @param {Date} [hoy] - Resultado de inicioDelDia
+ * @returns {Object}
+ * @complexity O(a * c + k log k) donde k = cuotas pendientes
+ */
+const summarizeAportes = (aportes, hoy = inicioDelDia()) => {
+  const porMoneda = new Map();
+  const porParte = new Map();
+  const pendientes = [];
+  const cuotas = { total: 0, recibidas: 0, pendientes: 0, vencidas: 0 };
+
+  for (const aporte of aportes) {
+    const { parte } = aporte.convenioParte;
+
+    if (!porMoneda.has(aporte.moneda)) porMoneda.set(aporte.moneda, crearTotales());
+    acumularAporte(porMoneda.get(aporte.moneda), aporte, hoy);
+
+    if (!porParte.has(parte.id)) porParte.set(parte.id, { parte, porMoneda: new Map() });
+    const monedasParte = porParte.get(parte.id).porMoneda;
+    if (!monedasParte.has(aporte.moneda)) monedasParte.set(aporte.moneda, crearTotales());
+    acumularAporte(monedasParte.get(aporte.moneda), aporte, hoy);
+
+    for (const cuota of aporte.cuotas) {
+      const estado = getEstadoCuota(cuota, hoy);
+      cuotas.total++;
+      if (estado === 'Recibida') cuotas.recibidas++;
+      else if (estado === 'Vencida') cuotas.vencidas++;
+      else cuotas.pendientes++;
+
+      if (estado !== 'Recibida') {
+        pendientes.push({
+          cuotaId: cuota.id,
+          aporteId: aporte.id,
+          numero: cuota.numero,
+          parte: { id: parte.id, nombre: parte.nombre },
+          fechaVencimiento: cuota.fechaVencimiento,
+          monto: Number(cuota.monto),
+          moneda: aporte.moneda,
+          estado
+        });
+      }
+    }
+  }
+
+  return {
+    porMoneda: formatPorMoneda(porMoneda),
+    porParte: Array.from(porParte.values(), ({ parte, porMoneda: monedas }) => ({
+      parte,
+      porMoneda: formatPorMoneda(monedas)
+    })),
+    cuotas,
+    proximasCuotas: pendientes
+      .sort((a, b) => a.fechaVencimiento - b.fechaVencimiento)
+      .slice(0, MAX_PROXIMAS_CUOTAS)
+  };
+};
+
+/**
+ * Plan de cuotas ordenado por vencimiento y numerado
+ * @param {Array<Object>} cuotas - Cuotas validadas
+ * @returns {Array<Object>} Datos para `cuotas.create`
+ * @complexity O(c log c)
+ */
+const buildCuotasCreate = (cuotas) => [...cuotas]
+  .sort((a, b) => a.fechaVencimiento.localeCompare(b.fechaVencimiento))
+  .map((cuota, indice) => ({
+    numero: indice + 1,
+    fechaVencimiento: new Date(cuota.fechaVencimiento),
+    monto: cuota.monto
+  }));
+
+/**
+ * @class AporteService
+ * @description Gestión de aportes, planes de pago y pagos recibidos de un convenio
+ */
+class AporteService {
+  /**
+   * Resultado estándar de aporte inexistente
+   */
+  notFound() {
+    return {
+      success: false,
+      error: 'APORTE_NOT_FOUND',
+      message: 'Aporte no encontrado'
+    };
+  }
+
+  /**
+   * Obtiene un aporte verificando que pertenezca al convenio
+   * @param {number} convenioId - ID del convenio
+   * @param {number} aporteId - ID del aporte
+   * @returns {Promise<Object|null>} Aporte con APORTE_INCLUDE o null
+   * @complexity O(log n + c)
+   */
+  async findAporte(convenioId, aporteId) {
+    return prisma.aporte.findFirst({
+      where: { id: aporteId, convenioId },
+      include: APORTE_INCLUDE
+    });
+  }
+
+  /**
+   * Obtiene el convenio y valida que sus aportes puedan modificarse
+   * @param {number} convenioId - ID del convenio
+   * @returns {Promise<Object>} { convenio } o { error } con el resultado fallido
+   * @complexity O(log n)
+   */
+  async loadConvenioEditable(convenioId) {
+    const convenio = await prisma.convenio.findUnique({
+      where: { id: convenioId },
+      select: { id: true, nombre: true, estado: true }
+    });
+
+    if (!convenio) {
+      return {
+        error: {
+          success: false,
+          error: 'CONVENIO_NOT_FOUND',
+          message: 'Convenio no encontrado'
+        }
+      };
+    }
+
+    if (convenio.estado === 'Archivado') {
+      return {
+        error: {
+          success: false,
+          error: 'CONVENIO_ARCHIVADO',
+          message: 'No se pueden modificar los aportes de un convenio archivado'
+        }
+      };
+    }
+
+    return { convenio };
+  }
+
+  /**
+   * Lista los aportes de un convenio con sus cuotas
+   * @param {number} convenioId - ID del convenio
+   * @returns {Promise<Object>} Resultado con el convenio y sus aportes
+   * @complexity O(log n + a * c)
+   */
+  async listAportes(convenioId) {
+    try {
+      const convenio = await prisma.convenio.findUnique({
+        where: { id: convenioId },
+        select: { id: true, nombre: true, estado: true }
+      });
+
+      if (!convenio) {
+        return {
+          success: false,
+          error: 'CONVENIO_NOT_FOUND',
+          message: 'Convenio no encontrado'
+        };
+      }
+
+      const aportes = await prisma.aporte.findMany({
+        where: { convenioId },
+        orderBy: [{ parteId: 'asc' }, { id: 'asc' }],
+        include: APORTE_INCLUDE
+      });
+
+      const hoy = inicioDelDia();
+
+      return {
+        success: true,
+        data: {
+          convenio,
+          aportes: aportes.map(aporte => serializeAporte(aporte, hoy))
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error al listar aportes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene un aporte de un convenio
+   * @param {number} convenioId - ID del convenio
+   * @param {number} aporteId - ID del aporte
+   * @returns {Promise<Object>} Resultado con el aporte
+   * @complexity O(log n + c)
+   */
+  async getAporte(convenioId, aporteId) {
+    try {
+      const aporte = await this.findAporte(convenioId, aporteId);
+      if (!aporte) return this.notFound();
+
+      return { success: true, data: serializeAporte(aporte) };
+    } catch (error) {
+      throw new Error(`Error al obtener aporte: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registra el aporte de una parte del convenio con su plan de cuotas
+   * @param {number} convenioId - ID del convenio
+   * @param {Object} data - Datos validados por createAporteSchema
+   * @param {number} userId - Usuario que registra el aporte
+   * @returns {Promise<Object>} Resultado con el aporte creado
+   * @complexity O(c)
+   */
+  async createAporte(convenioId, data, userId) {
+    try {
+      const { error } = await this.loadConvenioEditable(convenioId);
+      if (error) return error;
+
+      const vinculo = await prisma.convenioParte.findUnique({
+        where: { convenioId_parteId: { convenioId, parteId: data.parteId } },
+        select: { parteId: true }
+      });
+
+      if (!vinculo) {
+        return {
+          success: false,
+          error: 'PARTE_NO_ASOCIADA',
+          message: 'La parte no está asociada a este convenio'
+        };
+      }
+
+      const aporte = await prisma.aporte.create({
+        data: {
+          convenioId,
+          parteId: data.parteId,
+          tipo: data.tipo,
+          monto: data.monto,
+          moneda: data.moneda,
+          descripcion: data.descripcion || null,
+          createdBy: userId,
+          cuotas: { create: buildCuotasCreate(data.cuotas) }
+        },
+        include: APORTE_INCLUDE
+      });
+
+      return {
+        success: true,
+        message: `Aporte registrado con ${aporte.cuotas.length} cuota(s)`,
+        data: serializeAporte(aporte)
+      };
+    } catch (error) {
+      throw new Error(`Error al registrar aporte: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualiza un aporte. Si se envían monto y cuotas, el plan de pagos se reemplaza
+   * (solo cuando ninguna cuota tiene pago registrado).
+   * @param {number} convenioId - ID del convenio
+   * @param {number} aporteId - ID del aporte
+   * @param {Object} data - Datos validados por patchAporteSchema
+   * @returns {Promise<Object>} Resultado con el aporte actualizado
+   * @complexity O(c)
+   */
+  async updateAporte(convenioId, aporteId, data) {
+    try {
+      const { error } = await this.loadConvenioEditable(convenioId);
+      if (error) return error;
+
+      const aporte = await this.findAporte(convenioId, aporteId);
+      if (!aporte) return this.notFound();
+
+      if (data.cuotas !== undefined && aporte.cuotas.some(c => c.recibidaEn)) {
+        return {
+          success: false,
+          error: 'APORTE_CON_PAGOS',
+          message: 'No se puede cambiar el plan de cuotas de un aporte con pagos registrados. Anule los pagos primero'
+        };
+      }
+
+      const campos = {};
+      if (data.tipo !== undefined) campos.tipo = data.tipo;
+      if (data.moneda !== undefined) campos.moneda = data.moneda;
+      if (data.descripcion !== undefined) campos.descripcion = data.descripcion;
+      if (data.monto !== undefined) campos.monto = data.monto;
+
+      const actualizado = await prisma.$transaction(async (tx) => {
+        if (data.cuotas !== undefined) {
+          await tx.cuotaAporte.deleteMany({ where: { aporteId } });
+          campos.cuotas = { create: buildCuotasCreate(data.cuotas) };
+        }
+
+        return tx.aporte.update({
+          where: { id: aporteId },
+          data: campos,
+          include: APORTE_INCLUDE
+        });
+      });
+
+      return {
+        success: true,
+        message: 'Aporte actualizado exitosamente',
+        data: serializeAporte(actualizado)
+      };
+    } catch (error) {
+      throw new Error(`Error al actualizar aporte: ${error.message}`);
+    }
+  }
+
+  /**
+   * Elimina un aporte sin pagos registrados
+   * @param {number} convenioId - ID del convenio
+   * @param {number} aporteId - ID del aporte
+   * @returns {Promise<Object>} Resultado de la eliminación
+   * @complexity O(c)
+   */
+  async deleteAporte(convenioId, aporteId) {
+    try {
+      const { error } = await this.loadConvenioEditable(convenioId);
+      if (error) return error;
+
+      const aporte = await this.findAporte(convenioId, aporteId);
+      if (!aporte) return this.notFound();
+
+      if (aporte.cuotas.some(c => c.recibidaEn)) {
+        return {
+          success: false,
+          error: 'APORTE_CON_PAGOS',
+          message: 'No se puede eliminar un aporte con pagos registrados. Anule los pagos primero'
+        };
+      }
+
+      await prisma.aporte.delete({ where: { id: aporteId } });
+
+      return {
+        success: true,
+        message: 'Aporte eliminado exitosamente',
+        data: { id: aporte.id, parteId: aporte.parteId }
+      };
+    } catch (error) {
+      throw new Error(`Error al eliminar aporte: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registra el pago de una cuota. Si no se indica el monto recibido se usa el de la cuota.
+   * @param {number} convenioId - ID del convenio
+   * @param {number} aporteId - ID del aporte
+   * @param {number} cuotaId - ID de la cuota
+   * @param {Object} data - Datos validados por registrarPagoSchema
+   * @param {number} userId - Usuario que registra el pago
+   * @returns {Promise<Object>} Resultado con el aporte actualizado
+   * @complexity O(log n + c)
+   */
+  async registrarPago(convenioId, aporteId, cuotaId, data, userId) {
+    try {
+      const { error } = await this.loadConvenioEditable(convenioId);
+      if (error) return error;
+
+      const aporte = await this.findAporte(convenioId, aporteId);
+      if (!aporte) return this.notFound();
+
+      const cuota = aporte.cuotas.find(c => c.id === cuotaId);
+      if (!cuota) {
+        return {
+          success: false,
+          error: 'CUOTA_NOT_FOUND',
+          message: 'Cuota no encontrada en este aporte'
+        };
+      }
+
+      // Actualización condicionada para no registrar dos veces el mismo pago
+      const { count } = await prisma.cuotaAporte.updateMany({
+        where: { id: cuotaId, recibidaEn: null },
+        data: {
+          recibidaEn: new Date(data.fechaRecepcion),
+          montoRecibido: data.montoRecibido ?? cuota.monto,
+          observaciones: data.observaciones || null,
+          registradoPor: userId
+        }
+      });
+
+      if (count === 0) {
+        return {
+          success: false,
+          error: 'CUOTA_YA_RECIBIDA',
+          message: `La cuota No. ${cuota.numero} ya tiene un pago registrado`
+        };
+      }
+
+      return {
+        success: true,
+        message: `Pago de la cuota No. ${cuota.numero} registrado`,
+        data: serializeAporte(await this.findAporte(convenioId, aporteId))
+      };
+    } catch (error) {
+      throw new Error(`Error al registrar pago: ${error.message}`);
+    }
+  }
+
+  /**
+   * Anula el pago registrado de una cuota (corrección de registros)
+   * @param {number} convenioId - ID del convenio
+   * @param {number} aporteId - ID del aporte
+   * @param {number} cuotaId - ID de la cuota
+   * @returns {Promise<Object>} Resultado con el aporte actualizado
+   * @complexity O(log n + c)
+   */
+  async anularPago(convenioId, aporteId, cuotaId) {
+    try {
+      const { error } = await this.loadConvenioEditable(convenioId);
+      if (error) return error;
+
+      const aporte = await this.findAporte(convenioId, aporteId);
+      if (!aporte) return this.notFound();
+
+      const cuota = aporte.cuotas.find(c => c.id === cuotaId);
+      if (!cuota) {
+        return {
+          success: false,
+          error: 'CUOTA_NOT_FOUND',
+          message: 'Cuota no encontrada en este aporte'
+        };
+      }
+
+      const { count } = await prisma.cuotaAporte.updateMany({
+        where: { id: cuotaId, recibidaEn: { not: null } },
+        data: {
+          recibidaEn: null,
+          montoRecibido: null,
+          observaciones: null,
+          registradoPor: null
+        }
+      });
+
+      if (count === 0) {
+        return {
+          success: false,
+          error: 'CUOTA_NO_RECIBIDA',
+          message: `La cuota No. ${cuota.numero} no tiene un pago registrado`
+        };
+      }
+
+      return {
+        success: true,
+        message: `Pago de la cuota No. ${cuota.numero} anulado`,
+        data: serializeAporte(await this.findAporte(convenioId, aporteId))
+      };
+    } catch (error) {
+      throw new Error(`Error al anular pago: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resumen financiero de un convenio: comprometido, recibido, pendiente y vencido
+   * por moneda y por parte, y próximas cuotas a cobrar
+   * @param {number} convenioId - ID del convenio
+   * @returns {Promise<Object>} Resultado con el resumen
+   * @complexity O(log n + a * c)
+   */
+  async getResumenFinanciero(convenioId) {
+    try {
+      const convenio = await prisma.convenio.findUnique({
+        where: { id: convenioId },
+        select: { id: true, nombre: true, estado: true }
+      });
+
+      if (!convenio) {
+        return {
+          success: false,
+          error: 'CONVENIO_NOT_FOUND',
+          message: 'Convenio no encontrado'
+        };
+      }
+
+      const aportes = await prisma.aporte.findMany({
+        where: { convenioId },
+        include: APORTE_INCLUDE
+      });
+
+      return {
+        success: true,
+        data: {
+          convenio,
+          totalAportes: aportes.length,
+          ...summarizeAportes(aportes)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error al obtener resumen financiero: ${error.message}`);
+    }
+  }
+
+  /**
+   * Partes con aportes registrados en un convenio. Se usa antes de desasociar
+   * partes, ya que sus aportes se eliminarían en cascada.
+   * @param {number} convenioId - ID del convenio
+   * @param {number[]} parteIds - Partes a verificar
+   * @param {Object} [client=prisma] - Cliente de Prisma o de la transacción en curso
+   * @returns {Promise<number[]>} IDs de las partes con aportes
+   * @complexity O(log n + a)
+   */
+  async findPartesConAportes(convenioId, parteIds, client = prisma) {
+    if (parteIds.length === 0) return [];
+
+    const aportes = await client.aporte.findMany({
+      where: { convenioId, parteId: { in: parteIds } },
+      select: { parteId: true },
+      distinct: ['parteId']
+    });
+
+    return aportes.map(a => a.parteId);
+  }
+}
+
+export {
+  AporteService,
+  APORTE_INCLUDE,
+  getEstadoCuota,
+  serializeAporte,
+  summarizeAportes,
+  buildCuotasCreate
+};
+export default AporteService;
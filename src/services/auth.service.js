@@ -10,6 +10,9 @@ import jwt from 'jsonwebtoken';
 import { PrismaClient } from '@prisma/client';
 import PasswordValidationService from './password-validation.service.js';
 import TokenService from './token.service.js';
+import MfaService from './mfa.service.js';
+import LoginLockoutService, { isAccountLocked } from './login-lockout.service.js';
+import { requiresMfaSetup } from '../lib/mfa-policy.js';
 import logger from '../lib/logger.js';
 
 const prisma = new PrismaClient();
@@ -26,11 +29,13 @@ class AuthStrategy {
 
 /**
  * Estrategia de autenticación por email/password
+ * Los intentos fallidos se cuentan por cuenta y la bloquean temporalmente al llegar al máximo
  * Complejidad total: O(log n) para búsqueda + O(1) para verificación de hash
  */
 class EmailPasswordStrategy extends AuthStrategy {
-  constructor() {
+  constructor(loginLockout = new LoginLockoutService()) {
     super();
+    this.loginLockout = loginLockout;
     // Inicializar servicio avanzado de validación de contraseñas
     this.passwordValidator = new PasswordValidationService({
       saltRounds: parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12,
@@ -49,6 +54,10 @@ class EmailPasswordStrategy extends AuthStrategy {
           password: true,
           rol: true,
           isActive: true,
+          emailVerified: true,
+          mustChangePassword: true,
+          mfaEnabled: true,
+          lockedUntil: true,
           lastLogin: true
         }
       });
@@ -69,6 +78,11 @@ class EmailPasswordStrategy extends AuthStrategy {
         };
       }
 
+      // Cuenta bloqueada: no se verifica la contraseña para no seguir dando intentos
+      if (isAccountLocked(user)) {
+        return this.loginLockout.lockedResult(user.lockedUntil);
+      }
+
       // Verificación avanzada de contraseña: O(2^saltRounds) con protecciones de seguridad
       const validationResult = await this.passwordValidator.verifyPassword(password, user.password);
 
@@ -81,6 +95,12 @@ class EmailPasswordStrategy extends AuthStrategy {
       }
 
       if (!validationResult.isValid) {
+        const failure = await this.loginLockout.recordFailure(user);
+
+        if (failure.locked) {
+          return this.loginLockout.lockedResult(failure.lockedUntil);
+        }
+
         return {
           success: false,
           error: 'INVALID_CREDENTIALS',
@@ -88,11 +108,24 @@ class EmailPasswordStrategy extends AuthStrategy {
         };
       }
 
-      // Actualizar última conexión: O(log n)
-      await prisma.user.update({
-        where: { id: user.id },
-        data: { lastLogin: new Date() }
-      });
+      // Se comprueba tras la contraseña para no revelar el estado de la cuenta a terceros
+      if (!user.emailVerified) {
+        return {
+          success: false,
+          error: 'EMAIL_NOT_VERIFIED',
+          message: 'Debes verificar tu email antes de iniciar sesión. Revisa tu correo o solicita un nuevo enlace'
+        };
+      }
+
+      // La contraseña es correcta: regenerar el hash si usa otro algoritmo o costo
+      await this.rehashIfNeeded(user, password);
+
+      // Actualizar última conexión y reiniciar los intentos fallidos: O(log n).
+      // Con segundo factor se hace al verificar el código, para que conocer la contraseña
+      // no permita reiniciar el conteo de intentos sobre el código.
+      if (!user.mfaEnabled) {
+        await this.loginLockout.recordSuccess(user.id);
+      }
 
       return {
         success: true,
@@ -100,6 +133,8 @@ class EmailPasswordStrategy extends AuthStrategy {
           id: user.id,
           email: user.email,
           rol: user.rol,
+          mustChangePassword: user.mustChangePassword,
+          mfaEnabled: user.mfaEnabled,
           lastLogin: user.lastLogin
         }
       };
@@ -113,6 +148,40 @@ class EmailPasswordStrategy extends AuthStrategy {
       };
     }
   }
+
+  /**
+   * Regenerar con el algoritmo y costo configurados un hash desactualizado, aprovechando
+   * que la contraseña en claro está disponible. Solo reemplaza el hash si no cambió
+   * mientras tanto, y un fallo no impide el inicio de sesión.
+   * @param {Object} user - { id, password }
+   * @param {string} password - Contraseña ya verificada
+   * @returns {Promise<boolean>} true si el hash se regeneró
+   * @complexity O(costo del hash) + O(log n)
+   */
+  async rehashIfNeeded(user, password) {
+    if (!this.passwordValidator.needsRehash(user.password)) return false;
+
+    try {
+      const hashResult = await this.passwordValidator.hashPassword(password);
+      if (!hashResult.success) {
+        throw new Error(hashResult.error);
+      }
+
+      const { count } = await prisma.user.updateMany({
+        where: { id: user.id, password: user.password },
+        data: { password: hashResult.hash }
+      });
+
+      if (count > 0) {
+        console.log(`🔁 [PASSWORD_REHASHED] UserID: ${user.id} - Algorithm: ${hashResult.algorithm}`);
+      }
+
+      return count > 0;
+    } catch (error) {
+      console.warn(`⚠️ [PASSWORD_REHASH_ERROR] UserID: ${user.id} - ${error.message}`);
+      return false;
+    }
+  }
 }
 
 /**
@@ -222,9 +291,12 @@ class AuthResponseBuilder {
  */
 class AuthService {
   constructor() {
+    // Bloqueo de cuentas por intentos fallidos, compartido por los dos pasos del login
+    this.loginLockout = new LoginLockoutService();
+
     // Strategy Pattern: Mapa de estrategias de autenticación
     this.strategies = new Map([
-      ['email_password', new EmailPasswordStrategy()]
+      ['email_password', new EmailPasswordStrategy(this.loginLockout)]
     ]);
     
     // Inicializar servicio de validación de contraseñas
@@ -235,6 +307,52 @@ class AuthService {
     
     // Inicializar servicio de tokens
     this.tokenService = new TokenService();
+
+    // Segundo factor (TOTP)
+    this.mfaService = new MfaService();
+  }
+
+  /**
+   * Emitir el par de tokens de una sesión y construir la respuesta de login - Complejidad: O(1)
+   * @param {Object} user - Usuario autenticado
+   * @param {Object} extraData - Datos adicionales de la respuesta
+   * @returns {Object} Respuesta de autenticación
+   */
+  async issueSession(user, extraData = {}) {
+    const tokenResult = await this.tokenService.generateTokenPair(
+      this.tokenService.buildSessionPayload(user)
+    );
+
+    if (!tokenResult.success) {
+      logger.error('Error al generar tokens', { error: tokenResult.error });
+      return new AuthResponseBuilder()
+        .setSuccess(false)
+        .setMessage('Error al generar tokens de autenticación')
+        .setErrors(['TOKEN_GENERATION_ERROR'])
+        .build();
+    }
+
+    return new AuthResponseBuilder()
+      .setSuccess(true)
+      .setMessage('Inicio de sesión exitoso')
+      .setData({
+        user: {
+          id: user.id,
+          email: user.email,
+          rol: user.rol,
+          mustChangePassword: user.mustChangePassword,
+          mfaEnabled: user.mfaEnabled,
+          mfaSetupRequired: requiresMfaSetup(user),
+          lastLogin: user.lastLogin
+        },
+        tokens: {
+          accessToken: tokenResult.accessToken,
+          refreshToken: tokenResult.refreshToken,
+          expiresIn: Math.floor(tokenResult.accessTokenExpiry / 1000) // Convertir ms a segundos
+        },
+        ...extraData
+      })
+      .build();
   }
 
   /**
@@ -261,6 +379,10 @@ class AuthService {
       // Autenticación: O(log n) total
       const authResult = await authStrategy.authenticate(credentials);
 
+      if (authResult.error === 'ACCOUNT_LOCKED') {
+        return this.lockedResponse(authResult);
+      }
+
       if (!authResult.success) {
         return new AuthResponseBuilder()
           .setSuccess(false)
@@ -269,46 +391,40 @@ class AuthService {
           .build();
       }
 
-      // Generar par de tokens usando el servicio de tokens
-      const tokenResult = await this.tokenService.generateTokenPair({
-        userId: authResult.user.id,
-        email: authResult.user.email,
-        rol: authResult.user.rol
-      });
-      
-      if (!tokenResult.success) {
-        logger.error('Error al generar tokens', { error: tokenResult.error });
+      // Con segundo factor activo, los tokens se emiten tras verificar el código (completeMfaLogin).
+      // Solo el último desafío emitido es válido
+      if (authResult.user.mfaEnabled) {
+        const { challengeToken, jti, expiresIn } = this.tokenService.generateMfaChallengeToken(authResult.user);
+
+        await prisma.user.update({
+          where: { id: authResult.user.id },
+          data: { mfaChallengeJti: jti }
+        });
+
         return new AuthResponseBuilder()
-          .setSuccess(false)
-          .setMessage('Error al generar tokens de autenticación')
-          .setErrors(['TOKEN_GENERATION_ERROR'])
+          .setSuccess(true)
+          .setMessage('Ingresa el código de tu aplicación de autenticación')
+          .setData({
+            mfaRequired: true,
+            challengeToken,
+            expiresIn,
+            user: {
+              id: authResult.user.id,
+              email: authResult.user.email
+            }
+          })
           .build();
       }
 
       const executionTime = Date.now() - startTime;
 
       // Builder Pattern: Construcción de respuesta
-      return new AuthResponseBuilder()
-        .setSuccess(true)
-        .setMessage('Inicio de sesión exitoso')
-        .setData({
-          user: {
-            id: authResult.user.id,
-            email: authResult.user.email,
-            rol: authResult.user.rol,
-            lastLogin: authResult.user.lastLogin
-          },
-          tokens: {
-            accessToken: tokenResult.accessToken,
-            refreshToken: tokenResult.refreshToken,
-            expiresIn: Math.floor(tokenResult.accessTokenExpiry / 1000) // Convertir ms a segundos
-          },
-          performance: {
-            executionTime: `${executionTime}ms`,
-            strategy: strategy
-          }
-        })
-        .build();
+      return this.issueSession(authResult.user, {
+        performance: {
+          executionTime: `${executionTime}ms`,
+          strategy: strategy
+        }
+      });
 
     } catch (error) {
       logger.error('Error en AuthService.login:', { error });
@@ -321,6 +437,129 @@ class AuthService {
     }
   }
 
+  /**
+   * Segundo paso del login: verificar el código TOTP o de recuperación - Complejidad: O(log n)
+   * @param {string} challengeToken - Token de desafío devuelto por login
+   * @param {Object} credentials - { code } o { recoveryCode }
+   * @returns {Object} Respuesta de autenticación con los tokens de la sesión
+   */
+  async completeMfaLogin(challengeToken, credentials) {
+    try {
+      const challenge = this.tokenService.verifyMfaChallengeToken(challengeToken);
+
+      if (!challenge.success) {
+        return this.invalidChallengeResponse();
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { id: challenge.payload.userId },
+        select: {
+          id: true,
+          email: true,
+          rol: true,
+          isActive: true,
+          mustChangePassword: true,
+          mfaEnabled: true,
+          mfaChallengeJti: true,
+          lockedUntil: true,
+          lastLogin: true
+        }
+      });
+
+      if (!user || !user.isActive) {
+        return new AuthResponseBuilder()
+          .setSuccess(false)
+          .setMessage('Cuenta deshabilitada. Contacta al administrador')
+          .setErrors(['ACCOUNT_DISABLED'])
+          .build();
+      }
+
+      // Segundo factor restablecido por un ADMIN mientras tanto, o desafío ya usado o
+      // reemplazado por un login posterior
+      if (!user.mfaEnabled || user.mfaChallengeJti !== challenge.payload.jti) {
+        return this.invalidChallengeResponse();
+      }
+
+      if (isAccountLocked(user)) {
+        return this.lockedResponse(this.loginLockout.lockedResult(user.lockedUntil));
+      }
+
+      const verification = await this.mfaService.verifyCode(user.id, credentials);
+
+      if (!verification.success) {
+        // Los códigos incorrectos cuentan como intentos fallidos de la cuenta
+        const failure = verification.error === 'INVALID_MFA_CODE'
+          ? await this.loginLockout.recordFailure(user)
+          : { locked: false };
+
+        if (failure.locked) {
+          return this.lockedResponse(this.loginLockout.lockedResult(failure.lockedUntil));
+        }
+
+        return new AuthResponseBuilder()
+          .setSuccess(false)
+          .setMessage(verification.message)
+          .setErrors([verification.error])
+          .build();
+      }
+
+      // Consumir el desafío: si dos solicitudes lo usan a la vez, solo una emite la sesión
+      const consumido = await prisma.user.updateMany({
+        where: { id: user.id, mfaChallengeJti: challenge.payload.jti },
+        data: { mfaChallengeJti: null }
+      });
+
+      if (consumido.count === 0) {
+        return this.invalidChallengeResponse();
+      }
+
+      await this.loginLockout.recordSuccess(user.id);
+
+      return this.issueSession(user, {
+        mfa: {
+          method: verification.method,
+          ...(verification.method === 'recovery_code' && {
+            recoveryCodesRemaining: verification.recoveryCodesRemaining
+          })
+        }
+      });
+    } catch (error) {
+      logger.error('Error en AuthService.completeMfaLogin:', { error });
+
+      return new AuthResponseBuilder()
+        .setSuccess(false)
+        .setMessage('Error interno del servidor')
+        .setErrors(['INTERNAL_ERROR'])
+        .build();
+    }
+  }
+
+  /**
+   * Respuesta para un desafío del segundo factor inválido, vencido o ya usado - Complejidad: O(1)
+   * @returns {Object} Respuesta de autenticación con INVALID_MFA_CHALLENGE
+   */
+  invalidChallengeResponse() {
+    return new AuthResponseBuilder()
+      .setSuccess(false)
+      .setMessage('La verificación expiró. Inicia sesión de nuevo')
+      .setErrors(['INVALID_MFA_CHALLENGE'])
+      .build();
+  }
+
+  /**
+   * Respuesta para una cuenta bloqueada por intentos fallidos - Complejidad: O(1)
+   * @param {Object} lockedResult - Resultado de LoginLockoutService.lockedResult
+   * @returns {Object} Respuesta de autenticación con lockedUntil y retryAfter
+   */
+  lockedResponse(lockedResult) {
+    return new AuthResponseBuilder()
+      .setSuccess(false)
+      .setMessage(lockedResult.message)
+      .setErrors([lockedResult.error])
+      .setData({ lockedUntil: lockedResult.lockedUntil, retryAfter: lockedResult.retryAfter })
+      .build();
+  }
+
   /**
    * Validar token - Complejidad: O(1)
    * @param {string} token - Token JWT de acceso
@@ -382,13 +621,15 @@ class AuthService {
           email: email.toLowerCase().trim(),
           password: hashResult.hash,
           rol: rol,
-          isActive: true
+          isActive: true,
+          emailVerified: false // Se verifica con el enlace enviado al registrarse
         },
         select: {
           id: true,
           email: true,
           rol: true,
           isActive: true,
+          emailVerified: true,
           createdAt: true,
           updatedAt: true
         }
@@ -427,6 +668,103 @@ class AuthService {
     }
   }
 
+  /**
+   * Cambiar la contraseña del usuario autenticado - Complejidad: O(2^saltRounds)
+   * Limpia la marca de contraseña temporal, revoca las demás sesiones y emite un
+   * nuevo par de tokens para la sesión actual.
+   * @param {number} userId - ID del usuario autenticado
+   * @param {string} currentPassword - Contraseña actual (o temporal)
+   * @param {string} newPassword - Nueva contraseña, ya validada contra la política
+   * @returns {Object} Resultado con los nuevos tokens
+   */
+  async changePassword(userId, currentPassword, newPassword) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, email: true, rol: true, password: true, isActive: true, mfaEnabled: true }
+      });
+
+      if (!user || !user.isActive) {
+        return {
+          success: false,
+          message: 'Cuenta deshabilitada. Contacta al administrador',
+          error: 'ACCOUNT_DISABLED'
+        };
+      }
+
+      const validationResult = await this.passwordValidator.verifyPassword(currentPassword, user.password);
+
+      if (!validationResult.isValid) {
+        return {
+          success: false,
+          message: 'La contraseña actual es incorrecta',
+          error: 'INVALID_CURRENT_PASSWORD'
+        };
+      }
+
+      if (currentPassword === newPassword) {
+        return {
+          success: false,
+          message: 'La nueva contraseña debe ser distinta de la actual',
+          error: 'PASSWORD_REUSED'
+        };
+      }
+
+      const hashResult = await this.passwordValidator.hashPassword(newPassword);
+
+      if (!hashResult.success) {
+        return {
+          success: false,
+          message: 'Error procesando la contraseña',
+          error: 'PASSWORD_HASH_ERROR'
+        };
+      }
+
+      await prisma.user.update({
+        where: { id: userId },
+        data: {
+          password: hashResult.hash,
+          mustChangePassword: false,
+          passwordChangedAt: new Date()
+        }
+      });
+
+      await this.tokenService.revokeAllUserTokens(userId);
+
+      const tokenResult = await this.tokenService.generateTokenPair(
+        this.tokenService.buildSessionPayload({ ...user, mustChangePassword: false })
+      );
+
+      if (!tokenResult.success) {
+        logger.error('Error al generar tokens', { error: tokenResult.error });
+        return {
+          success: false,
+          message: 'Error al generar tokens de autenticación',
+          error: 'TOKEN_GENERATION_ERROR'
+        };
+      }
+
+      logger.info('Contraseña actualizada', { userId });
+
+      return {
+        success: true,
+        message: 'Contraseña actualizada exitosamente',
+        tokens: {
+          accessToken: tokenResult.accessToken,
+          refreshToken: tokenResult.refreshToken,
+          expiresIn: Math.floor(tokenResult.accessTokenExpiry / 1000)
+        }
+      };
+    } catch (error) {
+      logger.error('Error cambiando contraseña:', { error });
+      return {
+        success: false,
+        message: 'Error interno cambiando la contraseña',
+        error: 'PASSWORD_CHANGE_ERROR'
+      };
+    }
+  }
+
   /**
    * Obtener estrategias disponibles - Complejidad: O(1)
    */
@@ -440,6 +778,7 @@ class AuthService {
   static getComplexityAnalysis() {
     return {
       login: 'O(log n) - Búsqueda de usuario en BD con índice',
+      mfaLogin: 'O(log n) - Verificación del desafío JWT y del código TOTP o de recuperación',
       userCreation: 'O(log n) - Inserción en BD con índices',
       userSearch: 'O(log n) - Búsqueda por email indexado',
       tokenCreation: 'O(1) - Creación de JWT',
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Servicio de exportación de Convenios
+ * @description Escribe el listado de convenios (con los mismos filtros y orden que
+ * GET /api/convenios) en CSV, XLSX o JSON. Los convenios llegan por lotes desde
+ * ConvenioQueryService.streamConvenios y se escriben fila a fila sobre el stream de
+ * salida, de modo que las exportaciones grandes no se cargan completas en memoria.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Complejidad Big O:
+ * - Exportación: O(n * p) donde n = convenios exportados, p = partes por convenio
+ * - Memoria: O(b) donde b = tamaño de lote
+ */
+
+import { createExportWriter } from '../lib/spreadsheet.js';
+
+/**
+ * Formatos de exportación soportados
+ */
+const FORMATOS_EXPORTACION = ['csv', 'xlsx', 'json'];
+
+/**
+ * Relaciones necesarias para cada fila exportada
+ */
+const EXPORT_INCLUDE = {
+  partes: {
+    include: {
+      parte: { select: { id: true, nombre: true, tipo: true } }
+    }
+  },
+  _count: {
+    select: { actividades: true, documentos: true }
+  }
+};
+
+/**
+ * Columnas de las exportaciones CSV y XLSX
+ */
+const COLUMNAS_EXPORTACION = [
+  { key: 'id', header: 'ID', width: 8 },
+  { key: 'nombre', header: 'Nombre', width: 40 },
+  { key: 'descripcion', header: 'Descripción', width: 60 },
+  { key: 'estado', header: 'Estado', width: 12 },
+  { key: 'fechaInicio', header: 'Fecha de inicio', tipo: 'fecha' },
+  { key: 'fechaFin', header: 'Fecha de fin', tipo: 'fecha' },
+  { key: 'partes', header: 'Partes', width: 50 },
+  { key: 'totalActividades', header: 'Actividades', width: 12 },
+  { key: 'totalDocumentos', header: 'Documentos', width: 12 },
+  { key: 'createdAt', header: 'Creado', tipo: 'fechaHora' },
+  { key: 'updatedAt', header: 'Actualizado', tipo: 'fechaHora' }
+];
+
+/**
+ * Fila plana de CSV/XLSX; las partes se unen con "; " como en la importación
+ * @param {Object} convenio - Convenio con EXPORT_INCLUDE
+ * @returns {Object}
+ * @complexity O(p)
+ */
+const toExportRow = convenio => ({
+  id: convenio.id,
+  nombre: convenio.nombre,
+  descripcion: convenio.descripcion,
+  estado: convenio.estado,
+  fechaInicio: convenio.fechaInicio,
+  fechaFin: convenio.fechaFin,
+  partes: convenio.partes.map(({ parte }) => parte.nombre).join('; '),
+  totalActividades: convenio._count.actividades,
+  totalDocumentos: convenio._count.documentos,
+  createdAt: convenio.createdAt,
+  updatedAt: convenio.updatedAt
+});
+
+/**
+ * Registro JSON: conserva las partes como objetos
+ * @param {Object} convenio - Convenio con EXPORT_INCLUDE
+ * @returns {Object}
+ * @complexity O(p)
+ */
+const toExportJson = ({ partes, _count, ...convenio }) => ({
+  ...convenio,
+  partes: partes.map(({ parte }) => parte),
+  totalActividades: _count.actividades,
+  totalDocumentos: _count.documentos
+});
+
+/**
+ * Nombre del archivo descargado
+ * @param {string} formato - Formato de exportación
+ * @param {Date} [fecha=new Date()] - Fecha de la exportación
+ * @returns {string}
+ */
+const buildExportFilename = (formato, fecha = new Date()) => (
+  `convenios_${fecha.toISOString().slice(0, 10)}.${formato}`
+);
+
+/**
+ * @class ConvenioExportService
+ * @description Serialización de listados de convenios por lotes
+ */
+class ConvenioExportService {
+  /**
+   * Escribe los convenios en el formato solicitado. El escritor se crea al llegar
+   * el primer lote, de modo que un error en la primera consulta aún puede
+   * responderse como JSON.
+   * @param {AsyncIterable<Array<Object>>} lotes - Lotes de convenios con EXPORT_INCLUDE
+   * @param {string} formato - 'csv', 'xlsx' o 'json'
+   * @param {Writable} stream - Destino (la respuesta HTTP)
+   * @returns {Promise<number>} Número de convenios exportados
+   * @complexity O(n * p)
+   */
+  async writeExport(lotes, formato, stream) {
+    const toRegistro = formato === 'json' ? toExportJson : toExportRow;
+    let writer = null;
+    let total = 0;
+
+    for await (const lote of lotes) {
+      writer ??= createExportWriter(formato, stream, COLUMNAS_EXPORTACION, { hoja: 'Convenios' });
+      for (const convenio of lote) {
+        await writer.write(toRegistro(convenio));
+        total++;
+      }
+    }
+
+    writer ??= createExportWriter(formato, stream, COLUMNAS_EXPORTACION, { hoja: 'Convenios' });
+    await writer.end();
+
+    return total;
+  }
+}
+
+export {
+  ConvenioExportService,
+  FORMATOS_EXPORTACION,
+  EXPORT_INCLUDE,
+  COLUMNAS_EXPORTACION,
+  toExportRow,
+  toExportJson,
+  buildExportFilename
+};
+export default ConvenioExportService;
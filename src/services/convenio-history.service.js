@@ -0,0 +1,322 @@
+/**
+ * @fileoverview Servicio de historial de revisiones de Convenios
+ * @description Registra un ConvenioRevision por cada campo modificado de un convenio
+ * (valor anterior, valor nuevo, usuario y fecha) y permite reconstruir el convenio
+ * tal como estaba en cualquier revisión.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * La revisión 0 representa el estado anterior al primer cambio registrado.
+ * Para reconstruir una revisión r se parte del estado actual y se deshacen,
+ * de la más reciente a la más antigua, las revisiones posteriores a r.
+ *
+ * Complejidad Big O:
+ * - Registro de cambios: O(f) donde f = campos auditados
+ * - Historial: O(log n + h) donde h = filas de historial del convenio
+ * - Reconstrucción / diff: O(h)
+ */
+
+import { prisma, PRISMA_UNIQUE_VIOLATION } from '../lib/prisma.js';
+
+/**
+ * Campos del convenio que se auditan
+ */
+const CAMPOS_AUDITADOS = ['nombre', 'descripcion', 'fechaInicio', 'fechaFin', 'estado', 'unidadId'];
+
+/**
+ * Intentos de una transacción que registra una revisión antes de desistir
+ */
+const MAX_INTENTOS_REVISION = 3;
+
+/**
+ * Convierte un valor a su representación JSON almacenable
+ * @param {*} valor - Valor del campo
+ * @returns {*} Valor serializable (las fechas como ISO 8601)
+ * @complexity O(1)
+ */
+const serializeValue = (valor) => {
+  if (valor instanceof Date) return valor.toISOString();
+  return valor ?? null;
+};
+
+/**
+ * Calcula los campos auditados que cambian entre dos versiones de un convenio
+ * @param {Object} anterior - Valores actuales del convenio
+ * @param {Object} nuevo - Valores a aplicar (solo los enviados)
+ * @returns {Array<Object>} [{ campo, valorAnterior, valorNuevo }]
+ * @complexity O(f)
+ */
+const computeChanges = (anterior, nuevo) => CAMPOS_AUDITADOS
+  .filter(campo => nuevo[campo] !== undefined)
+  .map(campo => ({
+    campo,
+    valorAnterior: serializeValue(anterior[campo]),
+    valorNuevo: serializeValue(nuevo[campo])
+  }))
+  .filter(cambio => cambio.valorAnterior !== cambio.valorNuevo);
+
+/**
+ * Reconstruye los campos auditados de un convenio en una revisión dada
+ * @param {Object} actual - Convenio en su estado actual
+ * @param {Array<Object>} filas - Filas de historial del convenio (cualquier orden)
+ * @param {number} revision - Revisión a reconstruir (0 = antes del primer cambio)
+ * @returns {Object} Campos auditados en esa revisión
+ * @complexity O(h log h)
+ */
+const reconstructState = (actual, filas, revision) => {
+  const estado = Object.fromEntries(
+    CAMPOS_AUDITADOS.map(campo => [campo, serializeValue(actual[campo])])
+  );
+
+  filas
+    .filter(fila => fila.revision > revision)
+    .sort((a, b) => b.revision - a.revision)
+    .forEach((fila) => {
+      estado[fila.campo] = fila.valorAnterior;
+    });
+
+  return estado;
+};
+
+/**
+ * Agrupa las filas de historial por número de revisión
+ * @param {Array<Object>} filas - Filas ordenadas por revisión descendente
+ * @returns {Array<Object>} [{ revision, createdAt, user, cambios }]
+ * @complexity O(h)
+ */
+const groupByRevision = (filas) => {
+  const revisiones = new Map();
+
+  filas.forEach((fila) => {
+    if (!revisiones.has(fila.revision)) {
+      revisiones.set(fila.revision, {
+        revision: fila.revision,
+        createdAt: fila.createdAt,
+        user: fila.user,
+        cambios: []
+      });
+    }
+    revisiones.get(fila.revision).cambios.push({
+      campo: fila.campo,
+      valorAnterior: fila.valorAnterior,
+      valorNuevo: fila.valorNuevo
+    });
+  });
+
+  return Array.from(revisiones.values());
+};
+
+/**
+ * @class ConvenioHistoryService
+ * @description Registro y consulta del historial de cambios de convenios
+ */
+class ConvenioHistoryService {
+  /**
+   * Bloquea la fila del convenio hasta el fin de la transacción y devuelve sus campos
+   * auditados. Leídos así, el valor anterior y el número de revisión no pueden quedar
+   * desactualizados por una escritura concurrente.
+   * @param {Object} tx - Cliente de transacción de Prisma
+   * @param {number} convenioId - ID del convenio
+   * @returns {Promise<Object|null>} Campos auditados actuales o null si no existe
+   * @complexity O(log n)
+   */
+  async lockConvenio(tx, convenioId) {
+    const [convenio] = await tx.$queryRaw`
+      SELECT id, nombre, descripcion, "fechaInicio", "fechaFin", estado::text AS estado, "unidadId"
+      FROM "Convenio"
+      WHERE id = ${convenioId}
+      FOR UPDATE
+    `;
+
+    return convenio || null;
+  }
+
+  /**
+   * Ejecuta una transacción que registra revisiones. Si otra transacción tomó el mismo
+   * número de revisión (violación de @@unique([convenioId, revision, campo])), se
+   * reintenta completa hasta MAX_INTENTOS_REVISION veces.
+   * @param {Function} work - (tx) => Promise con el trabajo de la transacción
+   * @param {Object} [options] - Opciones de prisma.$transaction
+   * @returns {Promise<*>} Resultado de work
+   * @complexity O(1) intentos adicionales como máximo
+   */
+  async runWithRevision(work, options) {
+    for (let intento = 1; ; intento++) {
+      try {
+        return await prisma.$transaction(work, options);
+      } catch (error) {
+        const esRevision = error.code === PRISMA_UNIQUE_VIOLATION
+          && String(error.meta?.target).includes('revision');
+
+        if (!esRevision || intento === MAX_INTENTOS_REVISION) throw error;
+      }
+    }
+  }
+
+  /**
+   * Registra una revisión con los campos que cambian. Debe llamarse dentro de la
+   * misma transacción que aplica la actualización, con la fila del convenio ya
+   * bloqueada (lockConvenio o un UPDATE previo).
+   * @param {Object} tx - Cliente de transacción de Prisma
+   * @param {number} convenioId - ID del convenio
+   * @param {Object} anterior - Valores del convenio antes del cambio
+   * @param {Object} nuevo - Valores aplicados
+   * @param {number} userId - Usuario que realiza el cambio
+   * @returns {Promise<number|null>} Número de revisión creada o null si nada cambió
+   * @complexity O(f)
+   */
+  async recordChanges(tx, convenioId, anterior, nuevo, userId) {
+    const cambios = computeChanges(anterior, nuevo);
+    if (cambios.length === 0) return null;
+
+    const { _max } = await tx.convenioRevision.aggregate({
+      where: { convenioId },
+      _max: { revision: true }
+    });
+    const revision = (_max.revision || 0) + 1;
+
+    await tx.convenioRevision.createMany({
+      data: cambios.map(cambio => ({
+        convenioId,
+        revision,
+        userId,
+        ...cambio
+      }))
+    });
+
+    return revision;
+  }
+
+  /**
+   * Carga el convenio actual y todas sus filas de historial
+   * @param {number} convenioId - ID del convenio
+   * @returns {Promise<Object|null>} { convenio, filas } o null si no existe
+   * @complexity O(log n + h)
+   */
+  async loadHistory(convenioId) {
+    const convenio = await prisma.convenio.findUnique({
+      where: { id: convenioId },
+      select: {
+        id: true,
+        nombre: true,
+        descripcion: true,
+        fechaInicio: true,
+        fechaFin: true,
+        estado: true,
+        unidadId: true,
+        revisiones: {
+          orderBy: [{ revision: 'desc' }, { id: 'asc' }],
+          include: {
+            user: { select: { id: true, email: true } }
+          }
+        }
+      }
+    });
+
+    if (!convenio) return null;
+
+    const { revisiones: filas, ...actual } = convenio;
+    return { convenio: actual, filas };
+  }
+
+  /**
+   * Obtiene el historial de revisiones de un convenio
+   * @param {number} convenioId - ID del convenio
+   * @returns {Promise<Object>} Resultado con las revisiones (más reciente primero)
+   * @complexity O(log n + h)
+   */
+  async getHistory(convenioId) {
+    try {
+      const historial = await this.loadHistory(convenioId);
+
+      if (!historial) {
+        return {
+          success: false,
+          error: 'CONVENIO_NOT_FOUND',
+          message: 'Convenio no encontrado'
+        };
+      }
+
+      const revisiones = groupByRevision(historial.filas);
+
+      return {
+        success: true,
+        data: {
+          convenio: { id: historial.convenio.id, nombre: historial.convenio.nombre },
+          revisionActual: revisiones[0]?.revision || 0,
+          revisiones
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error al obtener historial: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compara el convenio entre dos revisiones
+   * @param {number} convenioId - ID del convenio
+   * @param {number} from - Revisión inicial (0 = antes del primer cambio)
+   * @param {number} [to] - Revisión final (por defecto, la actual)
+   * @returns {Promise<Object>} Resultado con ambos estados y los campos que difieren
+   * @complexity O(h)
+   */
+  async diffRevisions(convenioId, from, to) {
+    try {
+      const historial = await this.loadHistory(convenioId);
+
+      if (!historial) {
+        return {
+          success: false,
+          error: 'CONVENIO_NOT_FOUND',
+          message: 'Convenio no encontrado'
+        };
+      }
+
+      const { convenio, filas } = historial;
+      const revisionActual = filas[0]?.revision || 0;
+      const hasta = to ?? revisionActual;
+
+      const fueraDeRango = [from, hasta].filter(r => r > revisionActual);
+      if (fueraDeRango.length > 0) {
+        return {
+          success: false,
+          error: 'REVISION_NOT_FOUND',
+          message: `Revisión no encontrada: ${fueraDeRango.join(', ')} (revisión actual: ${revisionActual})`
+        };
+      }
+
+      const estadoDesde = reconstructState(convenio, filas, from);
+      const estadoHasta = reconstructState(convenio, filas, hasta);
+
+      const diferencias = CAMPOS_AUDITADOS
+        .filter(campo => estadoDesde[campo] !== estadoHasta[campo])
+        .map(campo => ({
+          campo,
+          desde: estadoDesde[campo],
+          hasta: estadoHasta[campo]
+        }));
+
+      return {
+        success: true,
+        data: {
+          convenioId,
+          desde: { revision: from, convenio: estadoDesde },
+          hasta: { revision: hasta, convenio: estadoHasta },
+          diferencias
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error al comparar revisiones: ${error.message}`);
+    }
+  }
+}
+
+export {
+  ConvenioHistoryService,
+  CAMPOS_AUDITADOS,
+  MAX_INTENTOS_REVISION,
+  computeChanges,
+  reconstructState,
+  groupByRevision
+};
+export default ConvenioHistoryService;
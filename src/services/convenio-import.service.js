@@ -0,0 +1,349 @@
+/**
+ * @fileoverview Servicio de importación masiva de Convenios
+ * @description Carga convenios y sus partes desde una hoja CSV o XLSX. Primero genera
+ * una vista previa fila por fila con los errores de validación; la importación real
+ * solo se realiza si todas las filas son válidas y se hace en una única transacción:
+ * o se importan todas las filas o ninguna. Las partes nuevas se crean por nombre; las
+ * existentes no se modifican.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Reemplaza a scripts/poblar-base-datos.js para cargas de datos reales
+ * (ver scripts/importar-convenios.js).
+ *
+ * Complejidad Big O:
+ * - Vista previa: O(f * p + log n) donde f = filas, p = partes por fila
+ * - Importación: O(f * p) escrituras dentro de la transacción
+ */
+
+import { prisma } from '../lib/prisma.js';
+import { readSpreadsheet } from '../lib/spreadsheet.js';
+import {
+  MAX_FILAS_IMPORTACION,
+  mapHeaders,
+  buildRowInput,
+  validateImportRow
+} from '../validators/convenio-import.validator.js';
+import ParteService from './partes.service.js';
+import ConvenioCommandService from './convenios.service.js';
+import UnidadService from './unidades.service.js';
+
+/**
+ * Tiempo máximo de la transacción de importación
+ */
+const IMPORT_TRANSACTION_TIMEOUT_MS = 120000;
+
+/**
+ * Clave para detectar convenios repetidos: mismo nombre (sin distinguir
+ * mayúsculas) y misma fecha de inicio
+ * @param {string} nombre - Nombre del convenio
+ * @param {string|Date} fechaInicio - YYYY-MM-DD o Date
+ * @returns {string}
+ */
+const claveConvenio = (nombre, fechaInicio) => {
+  const fecha = fechaInicio instanceof Date ? fechaInicio.toISOString().slice(0, 10) : fechaInicio;
+  return `${nombre.trim().toLowerCase()}|${fecha}`;
+};
+
+/**
+ * Marca como error las filas que repiten un convenio de una fila anterior del archivo
+ * @param {Array<Object>} filas - Filas validadas (se modifican)
+ * @complexity O(f)
+ */
+const markDuplicateRows = (filas) => {
+  const vistas = new Map();
+
+  for (const fila of filas) {
+    if (fila.errores.length > 0) continue;
+
+    const clave = claveConvenio(fila.datos.nombre, fila.datos.fechaInicio);
+    if (vistas.has(clave)) {
+      fila.errores.push({
+        campo: 'nombre',
+        mensaje: `Convenio repetido: coincide con la fila ${vistas.get(clave)} (mismo nombre y fecha de inicio)`
+      });
+    } else {
+      vistas.set(clave, fila.fila);
+    }
+  }
+};
+
+/**
+ * Partes distintas (por nombre exacto) de las filas válidas. Si una parte aparece varias
+ * veces se conservan el primer tipo y el primer contacto informados.
+ * @param {Array<Object>} filas - Filas validadas
+ * @returns {Array<Object>} Partes { nombre, tipo?, contacto? }
+ * @complexity O(f * p)
+ */
+const collectPartes = (filas) => {
+  const partes = new Map();
+
+  for (const fila of filas) {
+    if (fila.errores.length > 0) continue;
+
+    for (const parte of fila.datos.partes || []) {
+      const actual = partes.get(parte.nombre) || { nombre: parte.nombre };
+      partes.set(parte.nombre, {
+        ...actual,
+        tipo: actual.tipo || parte.tipo,
+        contacto: actual.contacto || parte.contacto
+      });
+    }
+  }
+
+  return Array.from(partes.values());
+};
+
+/**
+ * @class ConvenioImportService
+ * @description Vista previa e importación de convenios desde hojas de cálculo
+ */
+class ConvenioImportService {
+  constructor() {
+    this.parteService = new ParteService();
+    this.commandService = new ConvenioCommandService();
+    this.unidadService = new UnidadService();
+  }
+
+  /**
+   * Marca como error las filas cuyo convenio ya existe (mismo nombre y fecha de inicio)
+   * @param {Array<Object>} filas - Filas validadas (se modifican)
+   * @complexity O(log n * f)
+   * @private
+   */
+  async markExistingConvenios(filas) {
+    const validas = filas.filter(fila => fila.errores.length === 0);
+    if (validas.length === 0) return;
+
+    const existentes = await prisma.convenio.findMany({
+      where: {
+        nombre: { in: validas.map(fila => fila.datos.nombre), mode: 'insensitive' }
+      },
+      select: { id: true, nombre: true, fechaInicio: true }
+    });
+
+    const porClave = new Map(existentes.map(c => [claveConvenio(c.nombre, c.fechaInicio), c.id]));
+
+    for (const fila of validas) {
+      const id = porClave.get(claveConvenio(fila.datos.nombre, fila.datos.fechaInicio));
+      if (id) {
+        fila.errores.push({
+          campo: 'nombre',
+          mensaje: `Ya existe el convenio ${id} con el mismo nombre y fecha de inicio`
+        });
+      }
+    }
+  }
+
+  /**
+   * Resuelve las partes del archivo: las que son alias de partes fusionadas o ya
+   * existen se reutilizan; el resto se creará
+   * @param {Array<Object>} partes - Resultado de collectPartes
+   * @returns {Promise<Array<Object>>} Partes con parteId (existentes) o sin él (nuevas)
+   * @complexity O(p + log n)
+   * @private
+   */
+  async resolvePartes(partes) {
+    const resueltas = await this.parteService.resolveAliases(partes);
+
+    const existentes = await prisma.parte.findMany({
+      where: { nombre: { in: partes.map(p => p.nombre) } },
+      select: { id: true, nombre: true }
+    });
+    const porNombre = new Map(existentes.map(p => [p.nombre, p.id]));
+
+    return partes.map((parte, i) => ({
+      ...parte,
+      parteId: resueltas[i].parteId || porNombre.get(parte.nombre) || null
+    }));
+  }
+
+  /**
+   * Lee y valida el archivo sin escribir en la base de datos
+   * @param {Buffer} buffer - Contenido del archivo
+   * @param {string} formato - 'csv' o 'xlsx'
+   * @param {number} [unidadId] - Unidad organizacional de todos los convenios del archivo
+   * @param {number[]|null} [alcance=null] - Unidades del usuario que importa; null sin restricción
+   * @returns {Promise<Object>} Resultado con filas, partes y resumen; los errores de
+   * formato del archivo (columnas, tamaño) o de la unidad se devuelven como resultado fallido
+   * @complexity O(f * p + log n)
+   */
+  async previewImport(buffer, formato, unidadId = undefined, alcance = null) {
+    try {
+      const unidad = await this.unidadService.resolveUnidadConvenio(unidadId, alcance);
+      if (!unidad.success) return unidad;
+
+      let hoja;
+      try {
+        hoja = await readSpreadsheet(buffer, formato);
+      } catch (error) {
+        return {
+          success: false,
+          error: 'ARCHIVO_INVALIDO',
+          message: `No se pudo leer el archivo: ${error.message}`
+        };
+      }
+
+      const { columnas, faltantes, ignoradas } = mapHeaders(hoja.encabezados);
+
+      if (faltantes.length > 0) {
+        return {
+          success: false,
+          error: 'COLUMNAS_FALTANTES',
+          message: `Faltan columnas requeridas: ${faltantes.join(', ')}`
+        };
+      }
+
+      if (hoja.filas.length === 0) {
+        return {
+          success: false,
+          error: 'ARCHIVO_VACIO',
+          message: 'El archivo no contiene filas de datos'
+        };
+      }
+
+      if (hoja.filas.length > MAX_FILAS_IMPORTACION) {
+        return {
+          success: false,
+          error: 'DEMASIADAS_FILAS',
+          message: `El archivo tiene ${hoja.filas.length} filas; el máximo por importación es ${MAX_FILAS_IMPORTACION}`
+        };
+      }
+
+      const filas = hoja.filas.map(({ numero, celdas }) => ({
+        fila: numero,
+        ...validateImportRow(buildRowInput(celdas, columnas))
+      }));
+
+      markDuplicateRows(filas);
+      await this.markExistingConvenios(filas);
+
+      const partes = await this.resolvePartes(collectPartes(filas));
+      const conErrores = filas.filter(fila => fila.errores.length > 0).length;
+
+      return {
+        success: true,
+        data: {
+          filas: filas.map(fila => ({ ...fila, valida: fila.errores.length === 0 })),
+          partes: {
+            existentes: partes.filter(p => p.parteId).map(p => ({ id: p.parteId, nombre: p.nombre })),
+            nuevas: partes.filter(p => !p.parteId).map(p => p.nombre)
+          },
+          columnasIgnoradas: ignoradas,
+          unidadId: unidad.unidadId,
+          resumen: {
+            totalFilas: filas.length,
+            filasValidas: filas.length - conErrores,
+            filasConErrores: conErrores,
+            partesNuevas: partes.filter(p => !p.parteId).length
+          }
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error al generar vista previa de importación: ${error.message}`);
+    }
+  }
+
+  /**
+   * Importa el archivo si todas sus filas son válidas. Las partes nuevas se crean con el
+   * tipo y el contacto del archivo; las existentes (por nombre o alias) no se modifican.
+   * Los convenios se crean en Borrador, todo en una única transacción.
+   * @param {Buffer} buffer - Contenido del archivo
+   * @param {string} formato - 'csv' o 'xlsx'
+   * @param {number} [unidadId] - Unidad organizacional de todos los convenios del archivo
+   * @param {number[]|null} [alcance=null] - Unidades del usuario que importa; null sin restricción
+   * @param {number|null} [userId=null] - Usuario que importa; queda como Propietario de los convenios
+   * @returns {Promise<Object>} Resultado con los convenios creados, o la vista previa
+   * si alguna fila tiene errores
+   * @complexity O(f * p)
+   */
+  async importConvenios(buffer, formato, unidadId = undefined, alcance = null, userId = null) {
+    const preview = await this.previewImport(buffer, formato, unidadId, alcance);
+    if (!preview.success) return preview;
+
+    const { filas, resumen } = preview.data;
+
+    if (resumen.filasConErrores > 0) {
+      return {
+        success: false,
+        error: 'IMPORTACION_CON_ERRORES',
+        message: `${resumen.filasConErrores} fila(s) con errores; corrija el archivo y vuelva a importarlo`,
+        data: preview.data
+      };
+    }
+
+    try {
+      const partes = await this.resolvePartes(collectPartes(filas));
+
+      const creados = await prisma.$transaction(async (tx) => {
+        const parteIds = new Map();
+
+        // Las partes existentes se usan tal cual; las nuevas se crean por nombre - O(p)
+        for (const parte of partes) {
+          if (parte.parteId) {
+            parteIds.set(parte.nombre, parte.parteId);
+            continue;
+          }
+
+          const registro = await tx.parte.upsert({
+            where: { nombre: parte.nombre },
+            update: {},
+            create: {
+              nombre: parte.nombre,
+              tipo: parte.tipo || null,
+              contacto: parte.contacto || null
+            },
+            select: { id: true }
+          });
+          parteIds.set(parte.nombre, registro.id);
+        }
+
+        // Crear convenios en Borrador - O(f * p)
+        const convenios = [];
+        for (const fila of filas) {
+          const ids = new Set((fila.datos.partes || []).map(parte => parteIds.get(parte.nombre)));
+
+          const convenio = await tx.convenio.create({
+            data: {
+              ...this.commandService.buildConvenioFields(fila.datos),
+              unidadId: preview.data.unidadId,
+              partes: {
+                create: Array.from(ids).map(id => ({ parte: { connect: { id } } }))
+              },
+              ...(userId && {
+                miembros: { create: { userId, rol: 'Propietario', asignadoPor: userId } }
+              })
+            },
+            select: { id: true, nombre: true }
+          });
+          convenios.push({ fila: fila.fila, ...convenio });
+        }
+
+        return convenios;
+      }, { timeout: IMPORT_TRANSACTION_TIMEOUT_MS });
+
+      return {
+        success: true,
+        message: `Se importaron ${creados.length} convenio(s)`,
+        data: {
+          convenios: creados,
+          resumen: {
+            conveniosCreados: creados.length,
+            partesCreadas: partes.filter(p => !p.parteId).length,
+            partesExistentes: partes.filter(p => p.parteId).length
+          }
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error al importar convenios: ${error.message}`);
+    }
+  }
+}
+
+export {
+  ConvenioImportService,
+  claveConvenio,
+  markDuplicateRows,
+  collectPartes
+};
+export default ConvenioImportService;
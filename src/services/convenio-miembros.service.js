@@ -0,0 +1,288 @@
+/**
+ * @fileoverview Servicio de miembros de convenios (permisos por convenio)
+ * @description Administra las membresías Propietario / Editor / Lector de cada convenio
+ * y calcula el permiso efectivo de un usuario sobre un convenio. El rol global solo
+ * define el permiso por defecto; una membresía lo reemplaza en ese convenio, de modo
+ * que un CONSULTOR puede editar los convenios que coordina y un GESTOR puede quedar
+ * como lector de uno en particular.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Complejidad Big O:
+ * - Permiso efectivo: O(log n) usando la clave primaria (convenioId, userId)
+ * - Listado de miembros: O(m log m) donde m = miembros del convenio
+ */
+
+import { prisma } from '../lib/prisma.js';
+import UnidadService from './unidades.service.js';
+
+/**
+ * Roles dentro de un convenio, de menor a mayor permiso
+ */
+const ROLES_CONVENIO = ['Lector', 'Editor', 'Propietario'];
+
+/**
+ * Permiso sobre los convenios sin membresía, según el rol global
+ */
+const ROL_CONVENIO_POR_DEFECTO = {
+  ADMIN: 'Propietario',
+  GESTOR: 'Editor',
+  CONSULTOR: 'Lector'
+};
+
+/**
+ * Datos del usuario que se muestran de cada miembro
+ */
+const MIEMBRO_USUARIO_SELECT = {
+  id: true,
+  email: true,
+  rol: true,
+  isActive: true
+};
+
+/**
+ * Indica si un rol de convenio alcanza el mínimo requerido
+ * @param {string|null} rol - Rol efectivo del usuario en el convenio
+ * @param {string} requerido - Rol mínimo (Lector, Editor o Propietario)
+ * @returns {boolean}
+ * @complexity O(1)
+ */
+const tienePermiso = (rol, requerido) => (
+  rol !== null && ROLES_CONVENIO.indexOf(rol) >= ROLES_CONVENIO.indexOf(requerido)
+);
+
+/**
+ * Permiso efectivo de un usuario en un convenio. ADMIN es siempre Propietario; para el
+ * resto, la membresía (si existe) reemplaza al permiso por defecto de su rol global.
+ * @param {Object} user - Usuario autenticado ({ id, rol })
+ * @param {Object|null} membresia - Membresía del usuario en el convenio ({ rol })
+ * @returns {{ rol: string|null, origen: string }} origen: ADMIN, Miembro o RolGlobal
+ * @complexity O(1)
+ */
+const resolveRolConvenio = (user, membresia) => {
+  if (user?.rol === 'ADMIN') return { rol: 'Propietario', origen: 'ADMIN' };
+  if (membresia) return { rol: membresia.rol, origen: 'Miembro' };
+  return { rol: ROL_CONVENIO_POR_DEFECTO[user?.rol] ?? null, origen: 'RolGlobal' };
+};
+
+/**
+ * Membresía con usuario → miembro plano
+ * @param {Object} membresia - Cargada con el usuario y el asignador
+ * @returns {Object}
+ * @complexity O(1)
+ */
+const serializeMiembro = ({ usuario, asignador, rol, createdAt, updatedAt }) => ({
+  ...usuario,
+  rolConvenio: rol,
+  asignadoPor: asignador,
+  createdAt,
+  updatedAt
+});
+
+/**
+ * Include de una membresía con su usuario y quien la asignó
+ */
+const MIEMBRO_INCLUDE = {
+  usuario: { select: MIEMBRO_USUARIO_SELECT },
+  asignador: { select: { id: true, email: true } }
+};
+
+/**
+ * @class ConvenioMiembroService
+ * @description Membresías de convenios y verificación de permisos por convenio
+ */
+class ConvenioMiembroService {
+  constructor() {
+    this.unidadService = new UnidadService();
+  }
+
+  /**
+   * Resultado estándar de convenio inexistente o fuera del alcance
+   */
+  convenioNotFound() {
+    return {
+      success: false,
+      error: 'CONVENIO_NOT_FOUND',
+      message: 'Convenio no encontrado'
+    };
+  }
+
+  /**
+   * Permiso efectivo del usuario sobre un convenio. Los convenios fuera de las
+   * unidades del usuario se tratan como inexistentes, aunque sea miembro.
+   * @param {number} convenioId - ID del convenio
+   * @param {Object} user - Usuario autenticado ({ id, rol })
+   * @param {number[]|null} alcance - Unidades visibles (null sin restricción)
+   * @returns {Promise<Object>} Resultado con { convenioId, rol, origen }
+   * @complexity O(log n)
+   */
+  async getAcceso(convenioId, user, alcance) {
+    try {
+      if (!(await this.unidadService.isConvenioEnAlcance(convenioId, alcance))) {
+        return this.convenioNotFound();
+      }
+
+      const membresia = user?.id && user.rol !== 'ADMIN'
+        ? await prisma.convenioMiembro.findUnique({
+          where: { convenioId_userId: { convenioId, userId: user.id } },
+          select: { rol: true }
+        })
+        : null;
+
+      return {
+        success: true,
+        data: { convenioId, ...resolveRolConvenio(user, membresia) }
+      };
+    } catch (error) {
+      throw new Error(`Error al verificar permisos del convenio: ${error.message}`);
+    }
+  }
+
+  /**
+   * Permiso efectivo del usuario sobre el convenio al que pertenece una actividad
+   * @param {number} actividadId - ID de la actividad
+   * @param {Object} user - Usuario autenticado ({ id, rol })
+   * @param {number[]|null} alcance - Unidades visibles (null sin restricción)
+   * @returns {Promise<Object>} Resultado con { convenioId, rol, origen }
+   * @complexity O(log n)
+   */
+  async getAccesoActividad(actividadId, user, alcance) {
+    try {
+      const actividad = await prisma.actividad.findUnique({
+        where: { id: actividadId },
+        select: { convenioId: true }
+      });
+
+      if (!actividad) {
+        return {
+          success: false,
+          error: 'ACTIVITY_NOT_FOUND',
+          message: 'Actividad no encontrada'
+        };
+      }
+
+      return await this.getAcceso(actividad.convenioId, user, alcance);
+    } catch (error) {
+      throw new Error(`Error al verificar permisos de la actividad: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lista los miembros de un convenio, propietarios primero
+   * @param {number} convenioId - ID del convenio
+   * @returns {Promise<Object>} Resultado con el convenio y sus miembros
+   * @complexity O(m log m)
+   */
+  async listMiembros(convenioId) {
+    try {
+      const convenio = await prisma.convenio.findUnique({
+        where: { id: convenioId },
+        select: {
+          id: true,
+          nombre: true,
+          miembros: { include: MIEMBRO_INCLUDE }
+        }
+      });
+
+      if (!convenio) return this.convenioNotFound();
+
+      const { miembros, ...datosConvenio } = convenio;
+      const orden = (m) => -ROLES_CONVENIO.indexOf(m.rol);
+
+      return {
+        success: true,
+        data: {
+          convenio: datosConvenio,
+          miembros: miembros
+            .sort((a, b) => orden(a) - orden(b) || a.usuario.email.localeCompare(b.usuario.email))
+            .map(serializeMiembro)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error al obtener miembros del convenio: ${error.message}`);
+    }
+  }
+
+  /**
+   * Agrega un miembro al convenio o cambia su rol
+   * @param {number} convenioId - ID del convenio
+   * @param {number} userId - Usuario a agregar
+   * @param {string} rol - Rol en el convenio
+   * @param {number} asignadoPor - Usuario que asigna
+   * @returns {Promise<Object>} Resultado con el miembro
+   * @complexity O(log n)
+   */
+  async setMiembro(convenioId, userId, rol, asignadoPor) {
+    try {
+      const [convenio, usuario] = await Promise.all([
+        prisma.convenio.findUnique({ where: { id: convenioId }, select: { id: true } }),
+        prisma.user.findUnique({ where: { id: userId }, select: { id: true, isActive: true } })
+      ]);
+
+      if (!convenio) return this.convenioNotFound();
+
+      if (!usuario || !usuario.isActive) {
+        return {
+          success: false,
+          error: 'USUARIO_NOT_FOUND',
+          message: 'Usuario no encontrado o inactivo'
+        };
+      }
+
+      const miembro = await prisma.convenioMiembro.upsert({
+        where: { convenioId_userId: { convenioId, userId } },
+        create: { convenioId, userId, rol, asignadoPor },
+        update: { rol, asignadoPor },
+        include: MIEMBRO_INCLUDE
+      });
+
+      return {
+        success: true,
+        message: 'Miembro del convenio actualizado',
+        data: serializeMiembro(miembro)
+      };
+    } catch (error) {
+      throw new Error(`Error al asignar miembro del convenio: ${error.message}`);
+    }
+  }
+
+  /**
+   * Quita un miembro del convenio; vuelve a tener el permiso de su rol global
+   * @param {number} convenioId - ID del convenio
+   * @param {number} userId - Usuario a quitar
+   * @returns {Promise<Object>} Resultado de la eliminación
+   * @complexity O(log n)
+   */
+  async removeMiembro(convenioId, userId) {
+    try {
+      const { count } = await prisma.convenioMiembro.deleteMany({
+        where: { convenioId, userId }
+      });
+
+      if (count === 0) {
+        return {
+          success: false,
+          error: 'MIEMBRO_NOT_FOUND',
+          message: 'El usuario no es miembro del convenio'
+        };
+      }
+
+      return {
+        success: true,
+        message: 'Miembro eliminado del convenio',
+        data: { convenioId, userId }
+      };
+    } catch (error) {
+      throw new Error(`Error al eliminar miembro del convenio: ${error.message}`);
+    }
+  }
+}
+
+export {
+  ConvenioMiembroService,
+  ROLES_CONVENIO,
+  ROL_CONVENIO_POR_DEFECTO,
+  tienePermiso,
+  resolveRolConvenio
+};
+export default ConvenioMiembroService;
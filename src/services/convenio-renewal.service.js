@@ -0,0 +1,258 @@
+/**
+ * @fileoverview Servicio de renovación de Convenios
+ * @description Crea un nuevo convenio en Borrador a partir de uno activo o finalizado,
+ * copiando nombre, descripción, unidad, partes, etiquetas y miembros y, opcionalmente, sus actividades desplazadas
+ * al nuevo periodo. El nuevo convenio queda enlazado a su predecesor.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Complejidad Big O:
+ * - Renovación: O(p + e + m + a) donde p = partes, e = etiquetas, m = miembros, a = actividades copiadas
+ * - Cadena de renovaciones: O(k log n) donde k = convenios en la cadena
+ */
+
+import { prisma, PRISMA_UNIQUE_VIOLATION } from '../lib/prisma.js';
+
+/**
+ * Estados desde los que se puede renovar un convenio
+ */
+const ESTADOS_RENOVABLES = ['Activo', 'Finalizado'];
+
+/**
+ * Límite de seguridad al recorrer la cadena de renovaciones
+ */
+const MAX_CADENA = 100;
+
+/**
+ * Campos de un convenio en la cadena de renovaciones
+ */
+const CONVENIO_CADENA_SELECT = {
+  id: true,
+  nombre: true,
+  estado: true,
+  fechaInicio: true,
+  fechaFin: true,
+  convenioAnteriorId: true
+};
+
+const MS_POR_DIA = 1000 * 60 * 60 * 24;
+
+/**
+ * Desplaza las actividades del convenio original al nuevo periodo.
+ * Conserva su duración; las que terminarían después del nuevo convenio se recortan.
+ * @param {Array<Object>} actividades - Actividades originales
+ * @param {number} desplazamientoMs - Diferencia entre las fechas de inicio de ambos convenios
+ * @param {Date} fechaFinConvenio - Fecha de fin del nuevo convenio
+ * @returns {Array<Object>} Datos de actividades para crear, en estado Planeada
+ * @complexity O(a)
+ */
+const shiftActividades = (actividades, desplazamientoMs, fechaFinConvenio) => actividades.map((actividad) => {
+  const fechaInicio = new Date(actividad.fechaInicio.getTime() + desplazamientoMs);
+  const fechaFin = new Date(actividad.fechaFin.getTime() + desplazamientoMs);
+
+  return {
+    nombre: actividad.nombre,
+    descripcion: actividad.descripcion,
+    responsableId: actividad.responsableId,
+    fechaInicio: fechaInicio > fechaFinConvenio ? fechaFinConvenio : fechaInicio,
+    fechaFin: fechaFin > fechaFinConvenio ? fechaFinConvenio : fechaFin,
+    estado: 'Planeada'
+  };
+});
+
+/**
+ * @class ConvenioRenewalService
+ * @description Renovación de convenios y navegación de la cadena de renovaciones
+ */
+class ConvenioRenewalService {
+  /**
+   * Renueva un convenio
+   * @param {number} id - ID del convenio a renovar
+   * @param {Object} data - Datos validados por renewConvenioSchema
+   * @param {number|null} [userId=null] - Usuario que renueva; queda como Propietario del nuevo convenio
+   * @returns {Promise<Object>} Resultado con el nuevo convenio
+   * @complexity O(p + m + a)
+   */
+  async renewConvenio(id, data, userId = null) {
+    try {
+      const original = await prisma.convenio.findUnique({
+        where: { id },
+        include: {
+          partes: { select: { parteId: true } },
+          etiquetas: { select: { etiquetaId: true } },
+          miembros: { select: { userId: true, rol: true, asignadoPor: true } },
+          actividades: data.copiarActividades
+            ? { orderBy: { fechaInicio: 'asc' } }
+            : false,
+          renovacion: { select: { id: true } }
+        }
+      });
+
+      if (!original) {
+        return {
+          success: false,
+          error: 'CONVENIO_NOT_FOUND',
+          message: 'Convenio no encontrado'
+        };
+      }
+
+      if (!ESTADOS_RENOVABLES.includes(original.estado)) {
+        return {
+          success: false,
+          error: 'CONVENIO_NO_RENOVABLE',
+          message: `Solo se pueden renovar convenios en estado ${ESTADOS_RENOVABLES.join(' o ')} (estado actual: ${original.estado})`
+        };
+      }
+
+      if (original.renovacion) {
+        return {
+          success: false,
+          error: 'CONVENIO_YA_RENOVADO',
+          message: `El convenio ya fue renovado por el convenio ${original.renovacion.id}`
+        };
+      }
+
+      // La renovación hereda la unidad; sin ella solo ADMIN vería el nuevo convenio
+      if (original.unidadId === null) {
+        return {
+          success: false,
+          error: 'UNIDAD_REQUERIDA',
+          message: 'Asigne una unidad organizacional al convenio antes de renovarlo'
+        };
+      }
+
+      const fechaInicio = new Date(data.fechaInicio);
+      // Por defecto el nuevo convenio conserva la duración del original
+      const fechaFin = data.fechaFin
+        ? new Date(data.fechaFin)
+        : new Date(fechaInicio.getTime() + (original.fechaFin - original.fechaInicio));
+
+      const miembros = userId
+        ? [
+          ...original.miembros.filter(miembro => miembro.userId !== userId),
+          { userId, rol: 'Propietario', asignadoPor: userId }
+        ]
+        : original.miembros;
+
+      const actividades = data.copiarActividades
+        ? shiftActividades(original.actividades, fechaInicio - original.fechaInicio, fechaFin)
+        : [];
+
+      const convenio = await prisma.convenio.create({
+        data: {
+          nombre: data.nombre || original.nombre,
+          descripcion: data.descripcion || original.descripcion,
+          fechaInicio,
+          fechaFin,
+          convenioAnteriorId: original.id,
+          unidadId: original.unidadId,
+          partes: {
+            create: original.partes.map(({ parteId }) => ({
+              parte: { connect: { id: parteId } }
+            }))
+          },
+          etiquetas: {
+            create: original.etiquetas.map(({ etiquetaId }) => ({
+              etiqueta: { connect: { id: etiquetaId } }
+            }))
+          },
+          miembros: {
+            create: miembros
+          },
+          actividades: {
+            create: actividades
+          }
+        },
+        include: {
+          partes: { include: { parte: true } },
+          actividades: { select: { id: true, nombre: true, fechaInicio: true, fechaFin: true, estado: true } }
+        }
+      });
+
+      return {
+        success: true,
+        message: `Convenio renovado: se creó el convenio ${convenio.id} en Borrador`,
+        data: {
+          convenio,
+          convenioAnterior: { id: original.id, nombre: original.nombre },
+          desplazamientoDias: Math.round((fechaInicio - original.fechaInicio) / MS_POR_DIA)
+        }
+      };
+    } catch (error) {
+      if (error.code === PRISMA_UNIQUE_VIOLATION) {
+        return {
+          success: false,
+          error: 'CONVENIO_YA_RENOVADO',
+          message: 'El convenio ya fue renovado'
+        };
+      }
+      throw new Error(`Error al renovar convenio: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene la cadena completa de renovaciones a la que pertenece un convenio,
+   * del convenio más antiguo al más reciente
+   * @param {number} id - ID de cualquier convenio de la cadena
+   * @returns {Promise<Object>} Resultado con la cadena ordenada
+   * @complexity O(k log n)
+   */
+  async getRenewalChain(id) {
+    try {
+      const convenio = await prisma.convenio.findUnique({
+        where: { id },
+        select: CONVENIO_CADENA_SELECT
+      });
+
+      if (!convenio) {
+        return {
+          success: false,
+          error: 'CONVENIO_NOT_FOUND',
+          message: 'Convenio no encontrado'
+        };
+      }
+
+      const anteriores = [];
+      let actual = convenio;
+      while (actual.convenioAnteriorId && anteriores.length < MAX_CADENA) {
+        actual = await prisma.convenio.findUnique({
+          where: { id: actual.convenioAnteriorId },
+          select: CONVENIO_CADENA_SELECT
+        });
+        anteriores.unshift(actual);
+      }
+
+      const posteriores = [];
+      actual = convenio;
+      while (posteriores.length < MAX_CADENA) {
+        actual = await prisma.convenio.findUnique({
+          where: { convenioAnteriorId: actual.id },
+          select: CONVENIO_CADENA_SELECT
+        });
+        if (!actual) break;
+        posteriores.push(actual);
+      }
+
+      const cadena = [...anteriores, convenio, ...posteriores];
+
+      return {
+        success: true,
+        data: {
+          convenioId: id,
+          posicion: anteriores.length + 1,
+          totalRenovaciones: cadena.length - 1,
+          cadena
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error al obtener cadena de renovaciones: ${error.message}`);
+    }
+  }
+}
+
+export {
+  ConvenioRenewalService,
+  ESTADOS_RENOVABLES,
+  shiftActividades
+};
+export default ConvenioRenewalService;
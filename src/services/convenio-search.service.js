@@ -0,0 +1,289 @@
+/**
+ * @fileoverview Servicio de búsqueda de texto completo de Convenios
+ * @description Búsqueda con tsvector/tsquery de PostgreSQL usando la configuración
+ * es_unaccent (español con stemming y sin acentos), de modo que "investigacion"
+ * encuentra "Investigación". Busca en nombre y descripción del convenio, nombres de
+ * sus partes y descripciones de sus documentos; ordena por relevancia y genera
+ * fragmentos resaltados.
+ *
+ * La coincidencia se evalúa siempre en la base de datos: el listado envía los convenios que
+ * cumplen el resto de filtros como un único parámetro de tipo arreglo y recibe solo los que
+ * además coinciden, ya ordenados por relevancia o por el campo pedido.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Requiere prisma/sql/fulltext_search.sql (configuración es_unaccent e índices GIN).
+ *
+ * Pesos de relevancia: nombre (A) > descripción (B) > partes (C) > documentos (D).
+ *
+ * Complejidad Big O:
+ * - Coincidencias: O(log n + m log m) con índices GIN, donde m = convenios que coinciden
+ *   y cumplen los demás filtros (incluye el ordenamiento)
+ * - Relevancia de una página: O(k log k) donde k = convenios de la página
+ * - Fragmentos resaltados: O(k) donde k = convenios de la página
+ */
+
+import { Prisma } from '@prisma/client';
+import { prisma } from '../lib/prisma.js';
+
+/**
+ * Marcas de resaltado de los fragmentos que recibe el cliente
+ */
+const MARCA_INICIO = '<mark>';
+const MARCA_FIN = '</mark>';
+
+/**
+ * Separadores que ts_headline pone alrededor de las coincidencias. Son caracteres de
+ * control para no confundirse con el texto: el fragmento se escapa como HTML y solo
+ * después se cambian por las marcas.
+ */
+const SEPARADOR_INICIO = '\u0002';
+const SEPARADOR_FIN = '\u0003';
+
+/**
+ * Opciones de ts_headline para los fragmentos
+ */
+const HEADLINE_OPTIONS = `StartSel=${SEPARADOR_INICIO}, StopSel=${SEPARADOR_FIN}, MaxWords=30, MinWords=10, MaxFragments=2, FragmentDelimiter=" … "`;
+
+/**
+ * Entidades HTML de los caracteres que se escapan en los fragmentos
+ */
+const ENTIDADES_HTML = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Vectores de texto. Las expresiones de coincidencia deben ser idénticas a las de
+ * los índices GIN de fulltext_search.sql para que PostgreSQL los utilice.
+ */
+const VECTOR_CONVENIO = Prisma.sql`to_tsvector('es_unaccent', c.nombre || ' ' || c.descripcion)`;
+const VECTOR_PARTE = Prisma.sql`to_tsvector('es_unaccent', p.nombre)`;
+const VECTOR_DOCUMENTO = Prisma.sql`to_tsvector('es_unaccent', coalesce(d.description, ''))`;
+
+/**
+ * Consulta tsquery a partir del texto del usuario. websearch_to_tsquery acepta
+ * cualquier texto (comillas, OR, -exclusión) sin errores de sintaxis.
+ * @param {string} texto - Texto de búsqueda
+ * @returns {Prisma.Sql}
+ */
+const buildTsQuery = (texto) => Prisma.sql`websearch_to_tsquery('es_unaccent', ${texto})`;
+
+/**
+ * IDs de los convenios que coinciden con la consulta del CTE q, por nombre o descripción,
+ * por el nombre de una de sus partes o por la descripción de uno de sus documentos
+ */
+const COINCIDENCIAS = Prisma.sql`
+  SELECT c.id FROM "Convenio" c, q
+  WHERE ${VECTOR_CONVENIO} @@ q.query
+  UNION
+  SELECT cp."convenioId" FROM "ConvenioParte" cp
+  JOIN "Parte" p ON p.id = cp."parteId", q
+  WHERE ${VECTOR_PARTE} @@ q.query
+  UNION
+  SELECT d."convenioId" FROM documents d, q
+  WHERE ${VECTOR_DOCUMENTO} @@ q.query
+`;
+
+/**
+ * Relevancia del convenio c para la consulta del CTE q
+ */
+const RANK_CONVENIO = Prisma.sql`ts_rank(
+  setweight(to_tsvector('es_unaccent', c.nombre), 'A') ||
+  setweight(to_tsvector('es_unaccent', c.descripcion), 'B') ||
+  setweight(to_tsvector('es_unaccent', coalesce((
+    SELECT string_agg(p.nombre, ' ') FROM "ConvenioParte" cp
+    JOIN "Parte" p ON p.id = cp."parteId"
+    WHERE cp."convenioId" = c.id
+  ), '')), 'C') ||
+  setweight(to_tsvector('es_unaccent', coalesce((
+    SELECT string_agg(d.description, ' ') FROM documents d
+    WHERE d."convenioId" = c.id
+  ), '')), 'D'),
+  q.query
+)`;
+
+/**
+ * Columnas por las que se pueden ordenar las coincidencias (los campos de
+ * ConvenioQueryBuilder.sortBy y el id). El nombre se ordena por código de carácter
+ * (COLLATE "C"), el mismo orden con el que sliceByCursor compara los cursores en memoria.
+ */
+const COLUMNAS_ORDEN = {
+  id: { columna: Prisma.sql`c.id`, orden: Prisma.sql`c.id` },
+  nombre: { columna: Prisma.sql`c.nombre`, orden: Prisma.sql`c.nombre COLLATE "C"` },
+  fechaInicio: { columna: Prisma.sql`c."fechaInicio"`, orden: Prisma.sql`c."fechaInicio"` },
+  fechaFin: { columna: Prisma.sql`c."fechaFin"`, orden: Prisma.sql`c."fechaFin"` },
+  createdAt: { columna: Prisma.sql`c."createdAt"`, orden: Prisma.sql`c."createdAt"` },
+  updatedAt: { columna: Prisma.sql`c."updatedAt"`, orden: Prisma.sql`c."updatedAt"` }
+};
+
+/**
+ * Columnas y ORDER BY de findMatches; sin campo ordena por relevancia
+ * @param {Object|null} orden - { field, order } o null
+ * @returns {{ columnas: Prisma.Sql, orderBy: Prisma.Sql }}
+ * @complexity O(1)
+ */
+const buildOrden = (orden) => {
+  if (!orden) {
+    return {
+      columnas: Prisma.sql`c.id, ${RANK_CONVENIO} AS rank`,
+      orderBy: Prisma.sql`rank DESC, c.id DESC`
+    };
+  }
+
+  const campo = COLUMNAS_ORDEN[orden.field];
+  if (!campo) {
+    throw new Error(`Campo de ordenamiento no soportado: ${orden.field}`);
+  }
+  // Mismo sentido para el campo y el desempate por id, como withTieBreaker
+  const sentido = orden.order === 'asc' ? Prisma.sql`ASC` : Prisma.sql`DESC`;
+
+  return {
+    columnas: orden.field === 'id'
+      ? Prisma.sql`c.id`
+      : Prisma.sql`c.id, ${campo.columna} AS ${Prisma.raw(`"${orden.field}"`)}`,
+    orderBy: orden.field === 'id'
+      ? Prisma.sql`c.id ${sentido}`
+      : Prisma.sql`${campo.orden} ${sentido}, c.id ${sentido}`
+  };
+};
+
+/**
+ * Convierte un resultado de ts_headline en HTML seguro: escapa el texto almacenado
+ * (nombres y descripciones pueden contener "<script>") y marca las coincidencias con
+ * <mark>, la única etiqueta del resultado
+ * @param {string|null} fragmento - Resultado de ts_headline
+ * @returns {string|null}
+ * @complexity O(l) donde l = longitud del fragmento
+ */
+const renderHighlight = (fragmento) => {
+  if (!fragmento) return fragmento;
+
+  return fragmento
+    .replace(/[&<>"']/g, caracter => ENTIDADES_HTML[caracter])
+    .replaceAll(SEPARADOR_INICIO, MARCA_INICIO)
+    .replaceAll(SEPARADOR_FIN, MARCA_FIN);
+};
+
+/**
+ * Conserva solo los fragmentos que contienen alguna coincidencia resaltada
+ * @param {string|null} fragmento - Resultado de ts_headline
+ * @returns {string|null} Fragmento como HTML seguro
+ * @complexity O(l) donde l = longitud del fragmento
+ */
+const keepHighlighted = (fragmento) => (
+  fragmento && fragmento.includes(SEPARADOR_INICIO) ? renderHighlight(fragmento) : null
+);
+
+/**
+ * @class ConvenioSearchService
+ * @description Búsqueda de texto completo sobre convenios, partes y documentos
+ */
+class ConvenioSearchService {
+  /**
+   * Obtiene, en el orden del listado, los convenios que coinciden con el texto entre los
+   * que cumplen el resto de filtros. La coincidencia se evalúa en la base de datos: los
+   * candidatos viajan como un único parámetro de tipo arreglo.
+   * @param {string} texto - Texto de búsqueda
+   * @param {number[]|null} candidatos - IDs que cumplen los demás filtros; null sin restricción
+   * @param {Object|null} [orden=null] - { field, order }; null ordena por relevancia
+   * @param {number|null} [limite=null] - Máximo de filas; null sin límite
+   * @returns {Promise<Array<Object>>} { id, rank } por relevancia, o { id, [field] } por campo
+   * @complexity O(log n + m log m) con índices GIN, donde m = coincidencias entre los candidatos
+   */
+  async findMatches(texto, candidatos, orden = null, limite = null) {
+    if (Array.isArray(candidatos) && candidatos.length === 0) return [];
+
+    const query = buildTsQuery(texto);
+    const { columnas, orderBy } = buildOrden(orden);
+
+    const filas = await prisma.$queryRaw`
+      WITH q AS (SELECT ${query} AS query),
+      coincidencias AS (${COINCIDENCIAS})
+      SELECT ${columnas}
+      FROM "Convenio" c
+      JOIN coincidencias m ON m.id = c.id
+      CROSS JOIN q
+      WHERE ${candidatos}::int[] IS NULL OR c.id = ANY(${candidatos}::int[])
+      ORDER BY ${orderBy}
+      LIMIT ${limite}
+    `;
+
+    return orden
+      ? filas
+      : filas.map(fila => ({ id: fila.id, rank: Number(fila.rank) }));
+  }
+
+  /**
+   * Calcula la relevancia de un conjunto de convenios y los ordena por ella
+   * @param {string} texto - Texto de búsqueda
+   * @param {number[]} ids - IDs de los convenios (normalmente la página actual)
+   * @returns {Promise<Array<{id: number, rank: number}>>} Ordenados por rank DESC, id DESC
+   * @complexity O(k log k) donde k = convenios recibidos
+   */
+  async rankMatches(texto, ids) {
+    if (ids.length === 0) return [];
+
+    const query = buildTsQuery(texto);
+
+    const filas = await prisma.$queryRaw`
+      WITH q AS (SELECT ${query} AS query)
+      SELECT c.id, ${RANK_CONVENIO} AS rank
+      FROM "Convenio" c, q
+      WHERE c.id = ANY(${ids})
+      ORDER BY rank DESC, c.id DESC
+    `;
+
+    return filas.map(fila => ({ id: fila.id, rank: Number(fila.rank) }));
+  }
+
+  /**
+   * Genera fragmentos resaltados para un conjunto de convenios, como HTML escapado
+   * con las coincidencias entre <mark> y </mark>
+   * @param {string} texto - Texto de búsqueda
+   * @param {number[]} ids - IDs de los convenios (normalmente la página actual)
+   * @returns {Promise<Map<number, Object>>} convenioId → { nombre, descripcion, partes, documentos }
+   * @complexity O(k)
+   */
+  async getHighlights(texto, ids) {
+    if (ids.length === 0) return new Map();
+
+    const query = buildTsQuery(texto);
+
+    const filas = await prisma.$queryRaw`
+      WITH q AS (SELECT ${query} AS query)
+      SELECT c.id,
+        ts_headline('es_unaccent', c.nombre, q.query, ${HEADLINE_OPTIONS}) AS nombre,
+        ts_headline('es_unaccent', c.descripcion, q.query, ${HEADLINE_OPTIONS}) AS descripcion,
+        ARRAY(
+          SELECT ts_headline('es_unaccent', p.nombre, q.query, ${HEADLINE_OPTIONS})
+          FROM "ConvenioParte" cp JOIN "Parte" p ON p.id = cp."parteId"
+          WHERE cp."convenioId" = c.id AND ${VECTOR_PARTE} @@ q.query
+        ) AS partes,
+        ARRAY(
+          SELECT ts_headline('es_unaccent', d.description, q.query, ${HEADLINE_OPTIONS})
+          FROM documents d
+          WHERE d."convenioId" = c.id AND ${VECTOR_DOCUMENTO} @@ q.query
+        ) AS documentos
+      FROM "Convenio" c, q
+      WHERE c.id = ANY(${ids})
+    `;
+
+    return new Map(filas.map(fila => [fila.id, {
+      nombre: keepHighlighted(fila.nombre),
+      descripcion: keepHighlighted(fila.descripcion),
+      partes: fila.partes.map(renderHighlight),
+      documentos: fila.documentos.map(renderHighlight)
+    }]));
+  }
+}
+
+export {
+  ConvenioSearchService,
+  renderHighlight,
+  keepHighlighted
+};
+export default ConvenioSearchService;
@@ -0,0 +1,343 @@
+/**
+ * @fileoverview Servicio de ciclo de vida de Convenios (máquina de estados)
+ * @description Define las transiciones permitidas de EstadoConvenio, las reglas (guards)
+ * que deben cumplirse para ejecutarlas y registra quién realizó cada transición
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Diagrama de estados:
+ *   Borrador --activar--> Activo --finalizar--> Finalizado --archivar--> Archivado
+ *   Borrador --archivar--> Archivado
+ *
+ * Para activar, cada parte debe tener al menos un firmante requerido y todos los
+ * firmantes requeridos deben haber firmado.
+ *
+ * Archivado es un estado terminal.
+ *
+ * Complejidad Big O:
+ * - Selección de transición: O(1) usando Map
+ * - Evaluación de guards: O(g) donde g = número de reglas de la transición
+ * - Ejecución: O(log n) para actualización e inserción con índices
+ */
+
+import { prisma } from '../lib/prisma.js';
+import ConvenioHistoryService from './convenio-history.service.js';
+import { summarizeFirmas } from './firmantes.service.js';
+
+/**
+ * Mínimo de partes requeridas para activar un convenio
+ */
+const MIN_PARTES_ACTIVO = 2;
+
+/**
+ * Reglas (guards) reutilizables. Cada regla recibe el contexto del convenio
+ * y devuelve un mensaje de error o null si se cumple.
+ */
+const GUARDS = {
+  minimoPartes: (contexto) => (
+    contexto.totalPartes >= MIN_PARTES_ACTIVO
+      ? null
+      : `Se requieren al menos ${MIN_PARTES_ACTIVO} partes (actual: ${contexto.totalPartes})`
+  ),
+
+  documentoFirmado: (contexto) => (
+    contexto.documentosFirmados > 0
+      ? null
+      : 'Se requiere al menos un documento firmado adjunto al convenio'
+  ),
+
+  fechaFinVigente: (contexto) => (
+    contexto.fechaFin >= contexto.ahora
+      ? null
+      : 'No se puede activar un convenio cuya fecha de fin ya pasó'
+  ),
+
+  firmasCompletas: (contexto) => {
+    if (contexto.partesSinFirmante > 0) {
+      return `${contexto.partesSinFirmante} parte(s) no tienen un firmante requerido registrado`;
+    }
+    return contexto.firmasFaltantes === 0
+      ? null
+      : `Faltan ${contexto.firmasFaltantes} firma(s) requerida(s) para activar el convenio`;
+  }
+};
+
+/**
+ * Tabla de transiciones permitidas: acción -> { desde, hacia, guards }
+ */
+const TRANSICIONES = new Map([
+  ['activar', {
+    desde: ['Borrador'],
+    hacia: 'Activo',
+    guards: ['minimoPartes', 'documentoFirmado', 'fechaFinVigente', 'firmasCompletas']
+  }],
+  ['finalizar', {
+    desde: ['Activo'],
+    hacia: 'Finalizado',
+    guards: []
+  }],
+  ['archivar', {
+    desde: ['Borrador', 'Finalizado'],
+    hacia: 'Archivado',
+    guards: []
+  }]
+]);
+
+/**
+ * @class ConvenioStateMachine
+ * @description Evalúa transiciones sin acceder a la base de datos
+ */
+class ConvenioStateMachine {
+  constructor(transiciones = TRANSICIONES, guards = GUARDS) {
+    this.transiciones = transiciones;
+    this.guards = guards;
+  }
+
+  /**
+   * Acciones disponibles desde un estado
+   * @param {string} estado - Estado actual
+   * @returns {string[]} Acciones ejecutables desde ese estado
+   * @complexity O(t) donde t = número de transiciones
+   */
+  getAccionesDisponibles(estado) {
+    return Array.from(this.transiciones.entries())
+      .filter(([, transicion]) => transicion.desde.includes(estado))
+      .map(([accion]) => accion);
+  }
+
+  /**
+   * Evalúa si una acción puede ejecutarse sobre el convenio
+   * @param {string} accion - Acción solicitada
+   * @param {Object} contexto - { estado, totalPartes, documentosFirmados, partesSinFirmante, firmasFaltantes, fechaFin, ahora }
+   * @returns {Object} { allowed, error, errores, transicion }
+   * @complexity O(g)
+   */
+  evaluate(accion, contexto) {
+    const transicion = this.transiciones.get(accion);
+
+    if (!transicion) {
+      return {
+        allowed: false,
+        error: 'INVALID_ACTION',
+        errores: [`Acción no válida. Acciones existentes: ${Array.from(this.transiciones.keys()).join(', ')}`]
+      };
+    }
+
+    if (!transicion.desde.includes(contexto.estado)) {
+      return {
+        allowed: false,
+        error: 'INVALID_TRANSITION',
+        errores: [`No se puede ${accion} un convenio en estado ${contexto.estado}`],
+        transicion
+      };
+    }
+
+    const errores = transicion.guards
+      .map(nombre => this.guards[nombre](contexto))
+      .filter(Boolean);
+
+    if (errores.length > 0) {
+      return {
+        allowed: false,
+        error: 'GUARD_FAILED',
+        errores,
+        transicion
+      };
+    }
+
+    return { allowed: true, transicion };
+  }
+}
+
+/**
+ * @class ConvenioWorkflowService
+ * @description Ejecuta transiciones de estado y mantiene su historial
+ */
+class ConvenioWorkflowService {
+  constructor() {
+    this.stateMachine = new ConvenioStateMachine();
+    this.historyService = new ConvenioHistoryService();
+  }
+
+  /**
+   * Carga el contexto necesario para evaluar los guards
+   * @param {number} convenioId - ID del convenio
+   * @param {Object} [client=prisma] - Cliente de Prisma o de la transacción en curso
+   * @returns {Promise<Object|null>} Contexto o null si el convenio no existe
+   * @complexity O(log n + p + f) donde p = partes, f = firmantes
+   */
+  async loadContexto(convenioId, client = prisma) {
+    const convenio = await client.convenio.findUnique({
+      where: { id: convenioId },
+      select: {
+        id: true,
+        estado: true,
+        fechaFin: true,
+        partes: {
+          select: {
+            parte: { select: { id: true, nombre: true } },
+            firmantes: { select: { requerido: true, estado: true } }
+          }
+        },
+        _count: {
+          select: {
+            documentos: { where: { firmado: true } }
+          }
+        }
+      }
+    });
+
+    if (!convenio) return null;
+
+    const firmas = summarizeFirmas(convenio.partes);
+
+    return {
+      id: convenio.id,
+      estado: convenio.estado,
+      fechaFin: convenio.fechaFin,
+      totalPartes: convenio.partes.length,
+      documentosFirmados: convenio._count.documentos,
+      partesSinFirmante: firmas.partesSinFirmante.length,
+      firmasFaltantes: firmas.faltantes,
+      ahora: new Date()
+    };
+  }
+
+  /**
+   * Ejecuta una transición de estado sobre un convenio. Los guards se evalúan dentro de
+   * la transacción, con la fila del convenio bloqueada: las operaciones que cambian sus
+   * partes, firmantes o documentos toman el mismo bloqueo y no pueden cruzarse con ella.
+   * @param {number} convenioId - ID del convenio
+   * @param {string} accion - Acción a ejecutar (activar, finalizar, archivar)
+   * @param {number} userId - Usuario que ejecuta la transición
+   * @param {string} [comentario] - Comentario opcional
+   * @returns {Promise<Object>} Resultado con convenio y transición registrada
+   */
+  async transition(convenioId, accion, userId, comentario = null) {
+    try {
+      return await this.historyService.runWithRevision(async (tx) => {
+        await this.historyService.lockConvenio(tx, convenioId);
+
+        const contexto = await this.loadContexto(convenioId, tx);
+
+        if (!contexto) {
+          return {
+            success: false,
+            error: 'CONVENIO_NOT_FOUND',
+            message: 'Convenio no encontrado'
+          };
+        }
+
+        const evaluacion = this.stateMachine.evaluate(accion, contexto);
+
+        if (!evaluacion.allowed) {
+          return {
+            success: false,
+            error: evaluacion.error,
+            message: 'Transición no permitida',
+            errors: evaluacion.errores,
+            estadoActual: contexto.estado,
+            accionesDisponibles: this.stateMachine.getAccionesDisponibles(contexto.estado)
+          };
+        }
+
+        const { hacia } = evaluacion.transicion;
+
+        await tx.convenio.update({
+          where: { id: convenioId },
+          data: { estado: hacia }
+        });
+
+        await this.historyService.recordChanges(
+          tx,
+          convenioId,
+          { estado: contexto.estado },
+          { estado: hacia },
+          userId
+        );
+
+        const transicion = await tx.convenioTransicion.create({
+          data: {
+            convenioId,
+            accion,
+            estadoAnterior: contexto.estado,
+            estadoNuevo: hacia,
+            userId,
+            comentario
+          },
+          include: {
+            user: { select: { id: true, email: true } }
+          }
+        });
+
+        return {
+          success: true,
+          message: `Convenio ${contexto.estado} → ${hacia}`,
+          data: {
+            convenioId,
+            estado: hacia,
+            transicion,
+            accionesDisponibles: this.stateMachine.getAccionesDisponibles(hacia)
+          }
+        };
+      });
+    } catch (error) {
+      throw new Error(`Error al ejecutar transición: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene el historial de transiciones de un convenio
+   * @param {number} convenioId - ID del convenio
+   * @returns {Promise<Object>} Resultado con estado actual e historial
+   * @complexity O(log n + k) donde k = transiciones del convenio
+   */
+  async getHistorial(convenioId) {
+    try {
+      const convenio = await prisma.convenio.findUnique({
+        where: { id: convenioId },
+        select: {
+          id: true,
+          nombre: true,
+          estado: true,
+          transiciones: {
+            orderBy: { createdAt: 'desc' },
+            include: {
+              user: { select: { id: true, email: true } }
+            }
+          }
+        }
+      });
+
+      if (!convenio) {
+        return {
+          success: false,
+          error: 'CONVENIO_NOT_FOUND',
+          message: 'Convenio no encontrado'
+        };
+      }
+
+      const { transiciones, ...datosConvenio } = convenio;
+
+      return {
+        success: true,
+        data: {
+          convenio: datosConvenio,
+          accionesDisponibles: this.stateMachine.getAccionesDisponibles(convenio.estado),
+          transiciones
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error al obtener historial de transiciones: ${error.message}`);
+    }
+  }
+}
+
+export {
+  ConvenioWorkflowService,
+  ConvenioStateMachine,
+  TRANSICIONES,
+  GUARDS,
+  MIN_PARTES_ACTIVO
+};
+export default ConvenioWorkflowService;
@@ -0,0 +1,487 @@
+/**
+ * @fileoverview Servicio de escritura de Convenios
+ * @description Crea, actualiza y elimina convenios junto con las partes asociadas
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Complejidad Big O:
+ * - Crear convenio: O(p) donde p = número de partes adjuntas
+ * - Actualizar convenio: O(p) cuando se reemplazan las partes, O(1) en otro caso
+ * - Eliminar convenio: O(1) (las relaciones se eliminan en cascada)
+ */
+
+import { prisma } from '../lib/prisma.js';
+import { cleanupFile } from '../middleware/file-upload.middleware.js';
+import ParteService from './partes.service.js';
+import ConvenioHistoryService from './convenio-history.service.js';
+import AporteService from './aportes.service.js';
+import ObligacionService from './obligaciones.service.js';
+import FirmanteService from './firmantes.service.js';
+import UnidadService from './unidades.service.js';
+import { MIN_PARTES_ACTIVO } from './convenio-workflow.service.js';
+
+/**
+ * Include estándar para devolver el convenio con sus partes
+ */
+const CONVENIO_CON_PARTES = {
+  partes: {
+    include: {
+      parte: true
+    }
+  }
+};
+
+/**
+ * @class ConvenioCommandService
+ * @description Operaciones de escritura sobre convenios (complemento de ConvenioQueryService)
+ */
+class ConvenioCommandService {
+  constructor() {
+    this.parteService = new ParteService();
+    this.historyService = new ConvenioHistoryService();
+    this.aporteService = new AporteService();
+    this.obligacionService = new ObligacionService();
+    this.firmanteService = new FirmanteService();
+    this.unidadService = new UnidadService();
+  }
+
+  /**
+   * Elimina partes duplicadas del payload (mismo parteId o mismo nombre)
+   * @param {Array<Object>} partes - Partes recibidas en la solicitud
+   * @returns {Array<Object>} Partes sin duplicados
+   * @complexity O(p)
+   */
+  normalizePartes(partes = []) {
+    const vistos = new Set();
+
+    return partes.filter((parte) => {
+      const clave = parte.parteId
+        ? `id:${parte.parteId}`
+        : `nombre:${parte.nombre.trim().toLowerCase()}`;
+
+      if (vistos.has(clave)) return false;
+      vistos.add(clave);
+      return true;
+    });
+  }
+
+  /**
+   * Verifica que todas las partes referenciadas por ID existan
+   * @param {Array<Object>} partes - Partes normalizadas
+   * @returns {Promise<number[]>} IDs que no existen en la base de datos
+   * @complexity O(log n * p)
+   */
+  async findMissingParteIds(partes) {
+    const ids = partes.filter(p => p.parteId).map(p => p.parteId);
+    if (ids.length === 0) return [];
+
+    const existentes = await prisma.parte.findMany({
+      where: { id: { in: ids } },
+      select: { id: true }
+    });
+    const existentesSet = new Set(existentes.map(p => p.id));
+
+    return ids.filter(id => !existentesSet.has(id));
+  }
+
+  /**
+   * Asigna parteId a las partes recibidas por nombre que ya existen, para
+   * distinguir las partes que se conservan de las nuevas al reemplazar el conjunto
+   * @param {Array<Object>} partes - Partes normalizadas
+   * @returns {Promise<Array<Object>>} Partes normalizadas (nuevas solo con nombre)
+   * @complexity O(log n * p)
+   */
+  async resolveExistingParteNames(partes) {
+    const nombres = partes.filter(p => !p.parteId).map(p => p.nombre.trim());
+    if (nombres.length === 0) return partes;
+
+    const existentes = await prisma.parte.findMany({
+      where: { nombre: { in: nombres } },
+      select: { id: true, nombre: true }
+    });
+    const porNombre = new Map(existentes.map(p => [p.nombre, p.id]));
+
+    return this.normalizePartes(partes.map((parte) => {
+      const parteId = parte.parteId || porNombre.get(parte.nombre.trim());
+      return parteId ? { parteId } : parte;
+    }));
+  }
+
+  /**
+   * Construye las entradas anidadas de ConvenioParte para Prisma.
+   * Las partes con parteId se conectan; las que traen nombre se crean o reutilizan.
+   * @param {Array<Object>} partes - Partes normalizadas
+   * @returns {Array<Object>} Entradas para `partes.create`
+   */
+  buildPartesCreate(partes) {
+    return partes.map((parte) => {
+      if (parte.parteId) {
+        return { parte: { connect: { id: parte.parteId } } };
+      }
+
+      const nombre = parte.nombre.trim();
+      return {
+        parte: {
+          connectOrCreate: {
+            where: { nombre },
+            create: {
+              nombre,
+              contacto: parte.contacto || null,
+              tipo: parte.tipo || null
+            }
+          }
+        }
+      };
+    });
+  }
+
+  /**
+   * Prepara los campos escalares del convenio (fechas a Date).
+   * El estado no se incluye: lo gestiona ConvenioWorkflowService.
+   * @param {Object} data - Datos validados
+   * @returns {Object} Campos listos para Prisma
+   */
+  buildConvenioFields(data) {
+    const campos = {};
+
+    if (data.nombre !== undefined) campos.nombre = data.nombre;
+    if (data.descripcion !== undefined) campos.descripcion = data.descripcion;
+    if (data.fechaInicio !== undefined) campos.fechaInicio = new Date(data.fechaInicio);
+    if (data.fechaFin !== undefined) campos.fechaFin = new Date(data.fechaFin);
+    if (data.unidadId !== undefined) campos.unidadId = data.unidadId;
+
+    return campos;
+  }
+
+  /**
+   * Crea un convenio y, opcionalmente, adjunta sus partes en la misma operación
+   * @param {Object} data - Datos validados por createConvenioSchema
+   * @param {number[]|null} [alcance=null] - Unidades del usuario que crea; null sin restricción (ADMIN)
+   * @param {number|null} [userId=null] - Usuario que crea; queda como Propietario del convenio
+   * @returns {Promise<Object>} Resultado con el convenio creado
+   * @complexity O(p)
+   */
+  async createConvenio(data, alcance = null, userId = null) {
+    try {
+      const unidad = await this.unidadService.resolveUnidadConvenio(data.unidadId, alcance);
+      if (!unidad.success) return unidad;
+
+      // Los nombres de partes fusionadas se resuelven a la parte vigente
+      const partes = this.normalizePartes(await this.parteService.resolveAliases(data.partes));
+      const faltantes = await this.findMissingParteIds(partes);
+
+      if (faltantes.length > 0) {
+        return {
+          success: false,
+          error: 'PARTE_NOT_FOUND',
+          message: `Partes no encontradas: ${faltantes.join(', ')}`
+        };
+      }
+
+      const convenio = await prisma.convenio.create({
+        data: {
+          ...this.buildConvenioFields(data),
+          unidadId: unidad.unidadId,
+          partes: {
+            create: this.buildPartesCreate(partes)
+          },
+          ...(userId && {
+            miembros: { create: { userId, rol: 'Propietario', asignadoPor: userId } }
+          })
+        },
+        include: CONVENIO_CON_PARTES
+      });
+
+      return {
+        success: true,
+        message: 'Convenio creado exitosamente',
+        data: convenio
+      };
+    } catch (error) {
+      throw new Error(`Error al crear convenio: ${error.message}`);
+    }
+  }
+
+  /**
+   * Valida el reemplazo de las partes de un convenio dentro de la transacción de la
+   * actualización, con la fila del convenio ya bloqueada. Bloquea los vínculos de las
+   * partes que se quitan antes de buscar sus dependientes, que se eliminarían en cascada.
+   * @param {Object} tx - Cliente de la transacción en curso
+   * @param {number} id - ID del convenio
+   * @param {string} estado - Estado del convenio leído con la fila bloqueada
+   * @param {Array<Object>} partes - Partes normalizadas del cuerpo
+   * @param {number[]} conservadas - IDs de las partes existentes que se mantienen
+   * @returns {Promise<Object>} { nuevas } con las partes a crear o { rechazo } con el resultado fallido
+   * @complexity O(log n + p)
+   */
+  async validatePartesReemplazo(tx, id, estado, partes, conservadas) {
+    const actuales = (await tx.convenioParte.findMany({
+      where: { convenioId: id },
+      select: { parteId: true }
+    })).map(v => v.parteId);
+
+    if (estado === 'Activo') {
+      if (partes.length < MIN_PARTES_ACTIVO) {
+        return {
+          rechazo: {
+            success: false,
+            error: 'MINIMO_PARTES',
+            message: `Un convenio activo debe mantener al menos ${MIN_PARTES_ACTIVO} partes`
+          }
+        };
+      }
+
+      if (partes.some(p => !p.parteId || !actuales.includes(p.parteId))) {
+        return { rechazo: this.parteService.partesNuevasEnActivo() };
+      }
+    }
+
+    // Quitar una parte eliminaría en cascada sus aportes, obligaciones y firmantes
+    const quitadas = await this.parteService.lockPartesConvenio(
+      tx,
+      id,
+      actuales.filter(parteId => !conservadas.includes(parteId))
+    );
+    const conAportes = await this.aporteService.findPartesConAportes(id, quitadas, tx);
+
+    if (conAportes.length > 0) {
+      return {
+        rechazo: {
+          success: false,
+          error: 'PARTE_CON_APORTES',
+          message: `Las partes ${conAportes.join(', ')} tienen aportes registrados en el convenio. Elimine sus aportes antes de quitarlas`
+        }
+      };
+    }
+
+    const conObligaciones = await this.obligacionService.findPartesConObligaciones(id, quitadas, tx);
+
+    if (conObligaciones.length > 0) {
+      return {
+        rechazo: {
+          success: false,
+          error: 'PARTE_CON_OBLIGACIONES',
+          message: `Las partes ${conObligaciones.join(', ')} tienen obligaciones registradas en el convenio. Elimine sus obligaciones antes de quitarlas`
+        }
+      };
+    }
+
+    const conFirmantes = await this.firmanteService.findPartesConFirmantes(id, quitadas, tx);
+
+    if (conFirmantes.length > 0) {
+      return {
+        rechazo: {
+          success: false,
+          error: 'PARTE_CON_FIRMANTES',
+          message: `Las partes ${conFirmantes.join(', ')} tienen firmantes registrados en el convenio. Elimine sus firmantes antes de quitarlas`
+        }
+      };
+    }
+
+    return { nuevas: partes.filter(p => !p.parteId || !actuales.includes(p.parteId)) };
+  }
+
+  /**
+   * Actualiza un convenio. Si se envía `partes`, reemplaza el conjunto completo:
+   * se conservan los vínculos (y sus aportes) de las partes que permanecen y no se
+   * permite quitar partes con aportes, obligaciones o firmantes registrados.
+   * Igual que al asociar o desasociar partes, un convenio Archivado no se modifica y uno
+   * Activo conserva al menos MIN_PARTES_ACTIVO partes y no admite partes nuevas.
+   * Los campos modificados quedan registrados como una revisión del historial.
+   * @param {number} id - ID del convenio
+   * @param {Object} data - Datos validados (completos para PUT, parciales para PATCH)
+   * @param {number} userId - Usuario que realiza el cambio
+   * @param {number[]|null} [alcance=null] - Unidades del usuario; limita a qué unidad puede
+   * reasignarse el convenio (null sin restricción)
+   * @returns {Promise<Object>} Resultado con el convenio actualizado y la revisión creada
+   * @complexity O(p) si se reemplazan partes, O(1) en otro caso
+   */
+  async updateConvenio(id, data, userId, alcance = null) {
+    try {
+      const { error } = await this.parteService.loadConvenioEditable(id);
+      if (error) {
+        return error.error === 'CONVENIO_ARCHIVADO'
+          ? { ...error, message: 'No se puede modificar un convenio archivado' }
+          : error;
+      }
+
+      const existente = await prisma.convenio.findUnique({
+        where: { id },
+        select: {
+          id: true,
+          nombre: true,
+          descripcion: true,
+          fechaInicio: true,
+          fechaFin: true,
+          estado: true,
+          unidadId: true
+        }
+      });
+
+      if (!existente) {
+        return {
+          success: false,
+          error: 'CONVENIO_NOT_FOUND',
+          message: 'Convenio no encontrado'
+        };
+      }
+
+      const campos = this.buildConvenioFields(data);
+
+      if (data.unidadId !== undefined) {
+        const unidad = await this.unidadService.resolveUnidadConvenio(data.unidadId, alcance);
+        if (!unidad.success) return unidad;
+        campos.unidadId = unidad.unidadId;
+      }
+
+      // Validar el rango final de fechas combinando con los valores actuales
+      const fechaInicio = campos.fechaInicio || existente.fechaInicio;
+      const fechaFin = campos.fechaFin || existente.fechaFin;
+      if (fechaInicio > fechaFin) {
+        return {
+          success: false,
+          error: 'INVALID_DATE_RANGE',
+          message: 'La fecha de inicio debe ser anterior o igual a la fecha de fin'
+        };
+      }
+
+      let partes;
+      let conservadas;
+      if (data.partes !== undefined) {
+        partes = this.normalizePartes(await this.parteService.resolveAliases(data.partes));
+        const faltantes = await this.findMissingParteIds(partes);
+
+        if (faltantes.length > 0) {
+          return {
+            success: false,
+            error: 'PARTE_NOT_FOUND',
+            message: `Partes no encontradas: ${faltantes.join(', ')}`
+          };
+        }
+
+        partes = await this.resolveExistingParteNames(partes);
+        conservadas = partes.filter(p => p.parteId).map(p => p.parteId);
+      }
+
+      const { convenio, revision, rechazo } = await this.historyService.runWithRevision(async (tx) => {
+        // Valores anteriores leídos con la fila bloqueada, no los de la validación
+        const anterior = await this.historyService.lockConvenio(tx, id);
+
+        if (!anterior) {
+          return {
+            rechazo: {
+              success: false,
+              error: 'CONVENIO_NOT_FOUND',
+              message: 'Convenio no encontrado'
+            }
+          };
+        }
+
+        let nuevas;
+        if (partes !== undefined) {
+          // Las partes actuales y sus dependientes se verifican bajo el mismo bloqueo
+          // con que se reemplazan, igual que al desasociar una parte
+          const resultado = await this.validatePartesReemplazo(tx, id, anterior.estado, partes, conservadas);
+          if (resultado.rechazo) return resultado;
+
+          nuevas = resultado.nuevas;
+
+          await tx.convenioParte.deleteMany({
+            where: { convenioId: id, parteId: { notIn: conservadas } }
+          });
+        }
+
+        const actualizado = await tx.convenio.update({
+          where: { id },
+          data: {
+            ...campos,
+            ...(partes !== undefined && {
+              partes: { create: this.buildPartesCreate(nuevas) }
+            })
+          },
+          include: CONVENIO_CON_PARTES
+        });
+
+        const numeroRevision = await this.historyService.recordChanges(tx, id, anterior, campos, userId);
+
+        return { convenio: actualizado, revision: numeroRevision };
+      });
+
+      if (rechazo) return rechazo;
+
+      return {
+        success: true,
+        message: 'Convenio actualizado exitosamente',
+        data: convenio,
+        revision
+      };
+    } catch (error) {
+      throw new Error(`Error al actualizar convenio: ${error.message}`);
+    }
+  }
+
+  /**
+   * Elimina un convenio en Borrador (partes, documentos y actividades se eliminan en
+   * cascada) y los archivos de sus documentos en disco. Pasado el Borrador, la
+   * eliminación borraría también su historial de revisiones y transiciones: esos
+   * convenios se retiran con la transición archivar.
+   * @param {number} id - ID del convenio
+   * @returns {Promise<Object>} Resultado de la eliminación
+   * @complexity O(1)
+   */
+  async deleteConvenio(id) {
+    try {
+      const existente = await prisma.convenio.findUnique({
+        where: { id },
+        select: {
+          id: true,
+          nombre: true,
+          estado: true,
+          documentos: { select: { filePath: true } }
+        }
+      });
+
+      if (!existente) {
+        return {
+          success: false,
+          error: 'CONVENIO_NOT_FOUND',
+          message: 'Convenio no encontrado'
+        };
+      }
+
+      if (existente.estado !== 'Borrador') {
+        return {
+          success: false,
+          error: 'CONVENIO_NO_ELIMINABLE',
+          message: `Solo se pueden eliminar convenios en Borrador (estado actual: ${existente.estado}). Use la transición archivar para retirarlo`,
+          estadoActual: existente.estado
+        };
+      }
+
+      // Condicionada al estado leído: un convenio activado mientras tanto no se elimina
+      const { count } = await prisma.convenio.deleteMany({ where: { id, estado: 'Borrador' } });
+
+      if (count === 0) {
+        return {
+          success: false,
+          error: 'CONCURRENT_MODIFICATION',
+          message: 'El estado del convenio cambió durante la operación. Intente nuevamente'
+        };
+      }
+
+      // Los registros de documentos se eliminan en cascada; limpiar también los archivos
+      existente.documentos.forEach(doc => cleanupFile(doc.filePath));
+
+      return {
+        success: true,
+        message: 'Convenio eliminado exitosamente',
+        data: { id: existente.id, nombre: existente.nombre }
+      };
+    } catch (error) {
+      throw new Error(`Error al eliminar convenio: ${error.message}`);
+    }
+  }
+}
+
+export { ConvenioCommandService };
+export default ConvenioCommandService;
@@ -1,18 +1,47 @@
+import { Prisma } from '@prisma/client';
 import { prisma } from '../lib/prisma.js';
+import { findConveniosActivosPorVencimiento } from './adendas.service.js';
+import { summarizeFirmas } from './firmantes.service.js';
+import { buildAlcanceWhere } from './unidades.service.js';
 
 /**
  * Servicio para consultas de agregación del dashboard
- * Proporciona métricas clave para Decanos y Administradores
+ * Proporciona métricas clave para Decanos y Administradores.
+ * Todas las métricas reciben el alcance del usuario (IDs de sus unidades
+ * organizacionales, o null para ADMIN) y cuentan solo los convenios de esas unidades.
  */
 
+/**
+ * Condición sobre el convenio de una actividad o de un registro dependiente
+ * @param {number[]|null} alcance - Unidades visibles; null sin restricción
+ * @returns {Object}
+ */
+const whereConvenioEnAlcance = (alcance) => (
+  Array.isArray(alcance) ? { convenio: buildAlcanceWhere(alcance) } : {}
+);
+
+/**
+ * Fragmento SQL que limita a las unidades del alcance los convenios de un alias
+ * @param {string} alias - Alias de la tabla "Convenio" en la consulta
+ * @param {number[]|null} alcance - Unidades visibles; null sin restricción
+ * @returns {Prisma.Sql}
+ */
+const alcanceSql = (alias, alcance) => {
+  if (!Array.isArray(alcance)) return Prisma.empty;
+  if (alcance.length === 0) return Prisma.sql`AND FALSE`;
+  return Prisma.sql`AND ${Prisma.raw(alias)}."unidadId" IN (${Prisma.join(alcance)})`;
+};
+
 /**
  * Obtener número de convenios activos
+ * @param {number[]|null} alcance - Unidades visibles (default: sin restricción)
  * @returns {Promise<number>} Cantidad de convenios con estado 'Activo'
  */
-export const getConveniosActivos = async () => {
+export const getConveniosActivos = async (alcance = null) => {
   try {
     const count = await prisma.convenio.count({
       where: {
+        ...buildAlcanceWhere(alcance),
         estado: 'Activo'
       }
     });
@@ -24,35 +53,22 @@ export const getConveniosActivos = async () => {
 };
 
 /**
- * Obtener número de convenios próximos a vencer en los próximos 90 días
+ * Obtener número de convenios próximos a vencer en los próximos 90 días.
+ * Usa la fecha de fin efectiva: si una adenda aprobada prorrogó el convenio,
+ * cuenta la nueva fecha de fin y no la original.
  * @param {number} dias - Número de días para considerar "próximo a vencer" (default: 90)
+ * @param {number[]|null} alcance - Unidades visibles (default: sin restricción)
  * @returns {Promise<number>} Cantidad de convenios que vencen en el período especificado
  */
-export const getConveniosProximosVencer = async (dias = 90) => {
+export const getConveniosProximosVencer = async (dias = 90, alcance = null) => {
   try {
+    const hoy = new Date();
     const fechaLimite = new Date();
     fechaLimite.setDate(fechaLimite.getDate() + dias);
 
-    const count = await prisma.convenio.count({
-      where: {
-        AND: [
-          {
-            estado: 'Activo' // Solo convenios activos pueden estar próximos a vencer
-          },
-          {
-            fechaFin: {
-              lte: fechaLimite // fecha_fin <= fecha actual + 90 días
-            }
-          },
-          {
-            fechaFin: {
-              gte: new Date() // fecha_fin >= fecha actual (no vencidos)
-            }
-          }
-        ]
-      }
-    });
-    return count;
+    // Solo convenios activos pueden estar próximos a vencer
+    const convenios = await findConveniosActivosPorVencimiento(hoy, fechaLimite, {}, buildAlcanceWhere(alcance));
+    return convenios.length;
   } catch (error) {
     console.error('Error al contar convenios próximos a vencer:', error);
     throw new Error('Error al obtener convenios próximos a vencer');
@@ -60,64 +76,43 @@ export const getConveniosProximosVencer = async (dias = 90) => {
 };
 
 /**
- * Obtener lista detallada de convenios próximos a vencer
+ * Obtener lista detallada de convenios próximos a vencer (según su fecha de fin efectiva)
  * @param {number} dias - Número de días para considerar "próximo a vencer" (default: 90)
  * @param {number} limit - Límite de resultados (default: 10)
+ * @param {number[]|null} alcance - Unidades visibles (default: sin restricción)
  * @returns {Promise<Array>} Lista de convenios próximos a vencer con detalles
  */
-export const getDetalleConveniosProximosVencer = async (dias = 90, limit = 10) => {
+export const getDetalleConveniosProximosVencer = async (dias = 90, limit = 10, alcance = null) => {
   try {
+    const hoy = new Date();
     const fechaLimite = new Date();
     fechaLimite.setDate(fechaLimite.getDate() + dias);
 
-    const convenios = await prisma.convenio.findMany({
-      where: {
-        AND: [
-          {
-            estado: 'Activo'
-          },
-          {
-            fechaFin: {
-              lte: fechaLimite
-            }
-          },
-          {
-            fechaFin: {
-              gte: new Date()
-            }
-          }
-        ]
-      },
-      select: {
-        id: true,
-        titulo: true,
-        fechaFin: true,
-        estado: true,
-        partes: {
-          select: {
-            parte: {
-              select: {
-                nombre: true,
-                tipo: true
-              }
+    // Ordenados por fecha de fin efectiva: los que vencen más pronto primero
+    const convenios = await findConveniosActivosPorVencimiento(hoy, fechaLimite, {
+      nombre: true,
+      estado: true,
+      partes: {
+        select: {
+          parte: {
+            select: {
+              nombre: true,
+              tipo: true
             }
           }
         }
-      },
-      orderBy: {
-        fechaFin: 'asc' // Los que vencen más pronto primero
-      },
-      take: limit
-    });
+      }
+    }, buildAlcanceWhere(alcance));
 
     // Calcular días restantes para cada convenio
-    const conveniosConDias = convenios.map(convenio => {
+    const conveniosConDias = convenios.slice(0, limit).map(convenio => {
       const diasRestantes = Math.ceil(
-        (new Date(convenio.fechaFin) - new Date()) / (1000 * 60 * 60 * 24)
+        (new Date(convenio.fechaFinEfectiva) - new Date()) / (1000 * 60 * 60 * 24)
       );
       
       return {
         ...convenio,
+        prorrogado: convenio.adendaVigente !== null,
         diasRestantes,
         urgencia: diasRestantes <= 30 ? 'alta' : diasRestantes <= 60 ? 'media' : 'baja'
       };
@@ -132,12 +127,14 @@ export const getDetalleConveniosProximosVencer = async (dias = 90, limit = 10) =
 
 /**
  * Obtener número total de convenios por estado
+ * @param {number[]|null} alcance - Unidades visibles (default: sin restricción)
  * @returns {Promise<Object>} Objeto con conteo por cada estado
  */
-export const getConveniosPorEstado = async () => {
+export const getConveniosPorEstado = async (alcance = null) => {
   try {
     const estadisticas = await prisma.convenio.groupBy({
       by: ['estado'],
+      where: buildAlcanceWhere(alcance),
       _count: {
         id: true
       }
@@ -164,12 +161,14 @@ export const getConveniosPorEstado = async () => {
 
 /**
  * Obtener número de actividades por estado
+ * @param {number[]|null} alcance - Unidades visibles (default: sin restricción)
  * @returns {Promise<Object>} Objeto con conteo de actividades por estado
  */
-export const getActividadesPorEstado = async () => {
+export const getActividadesPorEstado = async (alcance = null) => {
   try {
     const estadisticas = await prisma.actividad.groupBy({
       by: ['estado'],
+      where: whereConvenioEnAlcance(alcance),
       _count: {
         id: true
       }
@@ -194,11 +193,14 @@ export const getActividadesPorEstado = async () => {
 
 /**
  * Obtener número total de productos generados
+ * @param {number[]|null} alcance - Unidades visibles (default: sin restricción)
  * @returns {Promise<number>} Total de productos registrados
  */
-export const getTotalProductos = async () => {
+export const getTotalProductos = async (alcance = null) => {
   try {
-    const count = await prisma.producto.count();
+    const count = await prisma.producto.count({
+      where: Array.isArray(alcance) ? { actividad: whereConvenioEnAlcance(alcance) } : {}
+    });
     return count;
   } catch (error) {
     console.error('Error al contar productos:', error);
@@ -208,12 +210,14 @@ export const getTotalProductos = async () => {
 
 /**
  * Obtener productos por tipo
+ * @param {number[]|null} alcance - Unidades visibles (default: sin restricción)
  * @returns {Promise<Object>} Objeto con conteo de productos por tipo
  */
-export const getProductosPorTipo = async () => {
+export const getProductosPorTipo = async (alcance = null) => {
   try {
     const estadisticas = await prisma.producto.groupBy({
       by: ['tipo'],
+      where: Array.isArray(alcance) ? { actividad: whereConvenioEnAlcance(alcance) } : {},
       _count: {
         id: true
       }
@@ -231,11 +235,162 @@ export const getProductosPorTipo = async () => {
   }
 };
 
+/**
+ * Obtener totales financieros comprometidos vs. recibidos por moneda.
+ * Solo cuentan los aportes de convenios ya suscritos (no en Borrador).
+ * @param {number[]|null} alcance - Unidades visibles (default: sin restricción)
+ * @returns {Promise<Object>} Objeto con totales por moneda (los montos de distintas monedas no se suman)
+ */
+export const getTotalesFinancieros = async (alcance = null) => {
+  try {
+    const hoy = new Date();
+    hoy.setUTCHours(0, 0, 0, 0);
+
+    const filas = await prisma.$queryRaw`
+      SELECT a.moneda,
+        SUM(c.monto) AS comprometido,
+        SUM(COALESCE(c."montoRecibido", 0)) AS recibido,
+        SUM(CASE WHEN c."recibidaEn" IS NULL THEN c.monto ELSE 0 END) AS pendiente,
+        SUM(CASE WHEN c."recibidaEn" IS NULL AND c."fechaVencimiento" < ${hoy} THEN c.monto ELSE 0 END) AS vencido
+      FROM cuotas_aporte c
+      JOIN aportes a ON a.id = c."aporteId"
+      JOIN "Convenio" v ON v.id = a."convenioId"
+      WHERE v.estado <> 'Borrador' ${alcanceSql('v', alcance)}
+      GROUP BY a.moneda
+      ORDER BY a.moneda
+    `;
+
+    const resultado = {};
+    filas.forEach(fila => {
+      const comprometido = Number(fila.comprometido);
+      const recibido = Number(fila.recibido);
+      resultado[fila.moneda] = {
+        comprometido,
+        recibido,
+        pendiente: Number(fila.pendiente),
+        vencido: Number(fila.vencido),
+        porcentajeRecibido: comprometido > 0
+          ? parseFloat(((recibido / comprometido) * 100).toFixed(1))
+          : 0
+      };
+    });
+
+    return resultado;
+  } catch (error) {
+    console.error('Error al obtener totales financieros:', error);
+    throw new Error('Error al obtener totales financieros');
+  }
+};
+
+/**
+ * Obtener número de convenios por área temática. Un convenio puede pertenecer a
+ * varias áreas, por lo que la suma puede superar el total de convenios.
+ * @param {number[]|null} alcance - Unidades visibles (default: sin restricción)
+ * @returns {Promise<Object>} { areas: [{ id, nombre, total, activos }], sinArea }
+ */
+export const getConveniosPorArea = async (alcance = null) => {
+  try {
+    const [areas, sinArea] = await Promise.all([
+      prisma.$queryRaw`
+        SELECT e.id, e.nombre,
+          COUNT(c.id)::int AS total,
+          COUNT(c.id) FILTER (WHERE c.estado = 'Activo')::int AS activos
+        FROM etiquetas e
+        LEFT JOIN convenio_etiquetas ce ON ce."etiquetaId" = e.id
+        LEFT JOIN "Convenio" c ON c.id = ce."convenioId" ${alcanceSql('c', alcance)}
+        WHERE e.tipo = 'Area'
+        GROUP BY e.id, e.nombre
+        ORDER BY total DESC, e.nombre
+      `,
+      prisma.convenio.count({
+        where: {
+          ...buildAlcanceWhere(alcance),
+          etiquetas: { none: { etiqueta: { tipo: 'Area' } } }
+        }
+      })
+    ]);
+
+    return { areas, sinArea };
+  } catch (error) {
+    console.error('Error al obtener convenios por área:', error);
+    throw new Error('Error al obtener convenios por área');
+  }
+};
+
+/**
+ * Obtener convenios en Borrador con firmas pendientes: firmantes requeridos que aún
+ * no han firmado o partes sin firmante registrado.
+ * @param {number} limit - Límite de convenios a retornar (default: 10)
+ * @param {number[]|null} alcance - Unidades visibles (default: sin restricción)
+ * @returns {Promise<Object>} { total, convenios } con los borradores más antiguos primero
+ */
+export const getFirmasPendientes = async (limit = 10, alcance = null) => {
+  try {
+    const where = {
+      ...buildAlcanceWhere(alcance),
+      estado: 'Borrador',
+      partes: {
+        some: {
+          OR: [
+            { firmantes: { none: { requerido: true } } },
+            { firmantes: { some: { requerido: true, estado: { not: 'Firmada' } } } }
+          ]
+        }
+      }
+    };
+
+    const [total, convenios] = await Promise.all([
+      prisma.convenio.count({ where }),
+      prisma.convenio.findMany({
+        where,
+        orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+        take: limit,
+        select: {
+          id: true,
+          nombre: true,
+          fechaInicio: true,
+          createdAt: true,
+          partes: {
+            select: {
+              parte: { select: { id: true, nombre: true } },
+              firmantes: {
+                where: { requerido: true },
+                select: { id: true, nombre: true, cargo: true, email: true, requerido: true, estado: true }
+              }
+            }
+          }
+        }
+      })
+    ]);
+
+    return {
+      total,
+      convenios: convenios.map(({ partes, ...convenio }) => {
+        const resumen = summarizeFirmas(partes);
+
+        return {
+          ...convenio,
+          firmadas: resumen.firmadas,
+          requeridas: resumen.requeridos,
+          partesSinFirmante: resumen.partesSinFirmante,
+          pendientes: partes.flatMap(({ parte, firmantes }) => firmantes
+            .filter(f => f.estado !== 'Firmada')
+            .map(({ requerido, ...firmante }) => ({ ...firmante, parte })))
+        };
+      })
+    };
+  } catch (error) {
+    console.error('Error al obtener firmas pendientes:', error);
+    throw new Error('Error al obtener firmas pendientes');
+  }
+};
+
 /**
  * Obtener métricas completas del dashboard
+ * @param {number[]|null} alcance - Unidades visibles (default: sin restricción)
  * @returns {Promise<Object>} Objeto con todas las métricas del dashboard
  */
-export const getMetricasCompletas = async () => {
+export const getMetricasCompletas = async (alcance = null) => {
   try {
     const [
       conveniosActivos,
@@ -244,15 +399,21 @@ export const getMetricasCompletas = async () => {
       actividadesPorEstado,
       totalProductos,
       productosPorTipo,
-      detalleProximosVencer
+      detalleProximosVencer,
+      totalesFinancieros,
+      firmasPendientes,
+      conveniosPorArea
     ] = await Promise.all([
-      getConveniosActivos(),
-      getConveniosProximosVencer(),
-      getConveniosPorEstado(),
-      getActividadesPorEstado(),
-      getTotalProductos(),
-      getProductosPorTipo(),
-      getDetalleConveniosProximosVencer(90, 5)
+      getConveniosActivos(alcance),
+      getConveniosProximosVencer(90, alcance),
+      getConveniosPorEstado(alcance),
+      getActividadesPorEstado(alcance),
+      getTotalProductos(alcance),
+      getProductosPorTipo(alcance),
+      getDetalleConveniosProximosVencer(90, 5, alcance),
+      getTotalesFinancieros(alcance),
+      getFirmasPendientes(5, alcance),
+      getConveniosPorArea(alcance)
     ]);
 
     return {
@@ -260,7 +421,10 @@ export const getMetricasCompletas = async () => {
         activos: conveniosActivos,
         proximosVencer: conveniosProximosVencer,
         porEstado: conveniosPorEstado,
-        detalleProximosVencer
+        detalleProximosVencer,
+        pendientesFirma: firmasPendientes.total,
+        detallePendientesFirma: firmasPendientes.convenios,
+        porArea: conveniosPorArea
       },
       actividades: {
         porEstado: actividadesPorEstado,
@@ -270,6 +434,9 @@ export const getMetricasCompletas = async () => {
         total: totalProductos,
         porTipo: productosPorTipo
       },
+      finanzas: {
+        porMoneda: totalesFinancieros
+      },
       resumen: {
         totalConvenios: Object.values(conveniosPorEstado).reduce((sum, count) => sum + count, 0),
         conveniosActivos,
@@ -286,15 +453,17 @@ export const getMetricasCompletas = async () => {
 
 /**
  * Obtener tendencias mensuales de convenios (últimos 12 meses)
+ * @param {number[]|null} alcance - Unidades visibles (default: sin restricción)
  * @returns {Promise<Array>} Array con datos de tendencias por mes
  */
-export const getTendenciasConvenios = async () => {
+export const getTendenciasConvenios = async (alcance = null) => {
   try {
     const hace12Meses = new Date();
     hace12Meses.setMonth(hace12Meses.getMonth() - 12);
 
     const conveniosPorMes = await prisma.convenio.findMany({
       where: {
+        ...buildAlcanceWhere(alcance),
         fechaInicio: {
           gte: hace12Meses
         }
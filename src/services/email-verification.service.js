@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Servicio de verificación de email
+ * @description Las cuentas creadas por registro público empiezan sin verificar y no pueden
+ * iniciar sesión hasta abrir el enlace enviado a su email. Los enlaces son de un solo uso,
+ * vencen y se guardan como hash; pedir un nuevo enlace anula los anteriores.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Complejidad Big O:
+ * - Envío y reenvío: O(log n) + envío del correo
+ * - Verificación: O(log n) usando el índice único del hash
+ */
+
+import { prisma } from '../lib/prisma.js';
+import { createMailer } from '../lib/mailer.js';
+import { generateOneTimeToken, hashOneTimeToken, buildTokenLink } from '../lib/one-time-token.js';
+
+/**
+ * Vigencia por defecto de un enlace de verificación, en horas
+ */
+const DEFAULT_VERIFICATION_TTL_HOURS = 48;
+
+/**
+ * Página del frontend que recibe el token por defecto
+ */
+const DEFAULT_VERIFICATION_URL = 'http://localhost:5173/verify-email';
+
+/**
+ * Respuesta del reenvío, igual exista o no la cuenta para no revelar qué emails están registrados
+ */
+const RESEND_RESULT = {
+  success: true,
+  message: 'Si el email está registrado y pendiente de verificación, recibirás un nuevo enlace'
+};
+
+/**
+ * Las cuentas registradas con un código estudiantil no tienen un email al que enviar el enlace
+ * @param {string} valor - Email o código con el que se registró la cuenta
+ * @returns {boolean}
+ * @complexity O(L)
+ */
+const isEmailAddress = (valor) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(valor);
+
+/**
+ * Correo con el enlace de verificación
+ * @param {string} link - Enlace con el token
+ * @param {number} ttlHours - Vigencia del enlace
+ * @returns {{ subject: string, text: string, html: string }}
+ * @complexity O(1)
+ */
+const buildVerificationEmail = (link, ttlHours) => ({
+  subject: 'Verifica tu email - Gestión de Convenios',
+  text: [
+    'Gracias por registrarte en el sistema de Gestión de Convenios.',
+    '',
+    `Abre el siguiente enlace para verificar tu email (válido por ${ttlHours} horas):`,
+    link,
+    '',
+    'Si no creaste esta cuenta, ignora este correo.'
+  ].join('\n'),
+  html: [
+    '<p>Gracias por registrarte en el sistema de Gestión de Convenios.</p>',
+    `<p><a href="${link}">Verificar mi email</a> (enlace válido por ${ttlHours} horas).</p>`,
+    '<p>Si no creaste esta cuenta, ignora este correo.</p>'
+  ].join('\n')
+});
+
+class EmailVerificationService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.mailer] - Mailer (por defecto el configurado en el entorno)
+   * @param {number} [options.ttlHours] - Vigencia de los enlaces
+   * @param {string} [options.verificationUrl] - Página del frontend que recibe el token
+   */
+  constructor(options = {}) {
+    this.mailer = options.mailer || createMailer();
+    this.ttlHours = options.ttlHours
+      || parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS)
+      || DEFAULT_VERIFICATION_TTL_HOURS;
+    this.verificationUrl = options.verificationUrl
+      || process.env.EMAIL_VERIFICATION_URL
+      || DEFAULT_VERIFICATION_URL;
+  }
+
+  /**
+   * Emitir un enlace de verificación y enviarlo por correo. Las cuentas con código
+   * estudiantil no reciben enlace: las verifica un ADMIN.
+   * @param {Object} user - { id, email }
+   * @returns {Promise<boolean>} true si el correo se envió
+   * @complexity O(log n) + envío del correo
+   */
+  async sendVerification(user) {
+    if (!isEmailAddress(user.email)) return false;
+
+    const token = generateOneTimeToken();
+    const ahora = new Date();
+
+    await prisma.$transaction([
+      // Un nuevo enlace anula los anteriores que sigan pendientes
+      prisma.emailVerificationToken.updateMany({
+        where: { userId: user.id, usedAt: null },
+        data: { usedAt: ahora }
+      }),
+      prisma.emailVerificationToken.create({
+        data: {
+          tokenHash: hashOneTimeToken(token),
+          userId: user.id,
+          expiresAt: new Date(ahora.getTime() + this.ttlHours * 60 * 60 * 1000)
+        }
+      })
+    ]);
+
+    try {
+      await this.mailer.send({
+        to: user.email,
+        ...buildVerificationEmail(buildTokenLink(this.verificationUrl, token), this.ttlHours)
+      });
+      return true;
+    } catch (error) {
+      console.error(`❌ [EMAIL_VERIFICATION_MAIL_ERROR] UserID: ${user.id} - ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Reenviar el enlace de verificación. Solo se envía a cuentas activas sin verificar;
+   * el resto recibe la misma respuesta.
+   * @param {string} email - Email de la cuenta
+   * @returns {Promise<Object>}
+   * @complexity O(log n) + envío del correo
+   */
+  async resendVerification(email) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { email: email.toLowerCase().trim() },
+        select: { id: true, email: true, isActive: true, emailVerified: true }
+      });
+
+      if (user && user.isActive && !user.emailVerified) {
+        await this.sendVerification(user);
+      }
+
+      return RESEND_RESULT;
+    } catch (error) {
+      throw new Error(`Error al reenviar verificación de email: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verificar un email con el token del enlace
+   * @param {string} token - Token recibido por correo
+   * @returns {Promise<Object>}
+   * @complexity O(log n)
+   */
+  async verifyEmail(token) {
+    const invalidResult = {
+      success: false,
+      error: 'INVALID_VERIFICATION_TOKEN',
+      message: 'El enlace de verificación es inválido o ha expirado'
+    };
+
+    try {
+      const registro = await prisma.emailVerificationToken.findUnique({
+        where: { tokenHash: hashOneTimeToken(token) },
+        select: { id: true, userId: true, usedAt: true, expiresAt: true }
+      });
+
+      const ahora = new Date();
+
+      if (!registro || registro.usedAt || registro.expiresAt <= ahora) {
+        return invalidResult;
+      }
+
+      const user = await prisma.$transaction(async (tx) => {
+        // Marcar el token como usado solo si nadie lo usó mientras tanto
+        const { count } = await tx.emailVerificationToken.updateMany({
+          where: { id: registro.id, usedAt: null },
+          data: { usedAt: ahora }
+        });
+
+        if (count === 0) return null;
+
+        return tx.user.update({
+          where: { id: registro.userId },
+          data: { emailVerified: true, emailVerifiedAt: ahora },
+          select: { id: true, email: true, emailVerified: true, emailVerifiedAt: true }
+        });
+      });
+
+      if (!user) return invalidResult;
+
+      return {
+        success: true,
+        data: user,
+        message: 'Email verificado exitosamente. Ya puedes iniciar sesión'
+      };
+    } catch (error) {
+      throw new Error(`Error al verificar email: ${error.message}`);
+    }
+  }
+}
+
+export { buildVerificationEmail, isEmailAddress };
+
+export default EmailVerificationService;
@@ -0,0 +1,355 @@
+/**
+ * @fileoverview Servicio de Etiquetas y áreas temáticas de convenios
+ * @description Administra la taxonomía de clasificación (áreas temáticas como
+ * investigación, movilidad, prácticas o extensión, y etiquetas libres) y su
+ * asignación a convenios
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Complejidad Big O:
+ * - Listado: O(e) donde e = etiquetas
+ * - Operaciones por ID: O(log n) usando clave primaria / índice único
+ * - Asignación a un convenio: O(e) donde e = etiquetas enviadas
+ */
+
+import { prisma, PRISMA_UNIQUE_VIOLATION } from '../lib/prisma.js';
+
+/**
+ * Include de las etiquetas asignadas a un convenio
+ */
+const ETIQUETAS_CONVENIO_INCLUDE = {
+  orderBy: { etiqueta: { nombre: 'asc' } },
+  select: {
+    etiqueta: { select: { id: true, nombre: true, tipo: true } }
+  }
+};
+
+/**
+ * Asignaciones (ConvenioEtiqueta) → etiquetas, áreas primero
+ * @param {Array<Object>} asignaciones - Cargadas con ETIQUETAS_CONVENIO_INCLUDE
+ * @returns {Array<Object>}
+ * @complexity O(e log e)
+ */
+const serializeEtiquetas = (asignaciones) => asignaciones
+  .map(({ etiqueta }) => etiqueta)
+  .sort((a, b) => a.tipo.localeCompare(b.tipo) || a.nombre.localeCompare(b.nombre));
+
+/**
+ * @class EtiquetaService
+ * @description Operaciones CRUD sobre etiquetas y su asignación a convenios
+ */
+class EtiquetaService {
+  /**
+   * Resultado estándar de etiqueta inexistente
+   */
+  notFound() {
+    return {
+      success: false,
+      error: 'ETIQUETA_NOT_FOUND',
+      message: 'Etiqueta no encontrada'
+    };
+  }
+
+  /**
+   * Resultado estándar de nombre repetido dentro del mismo tipo
+   */
+  duplicada(nombre) {
+    return {
+      success: false,
+      error: 'ETIQUETA_DUPLICADA',
+      message: `Ya existe una etiqueta de ese tipo con el nombre "${nombre}"`
+    };
+  }
+
+  /**
+   * Verifica que el nombre no exista en el mismo tipo, sin distinguir mayúsculas
+   * @param {string} nombre - Nombre a comprobar
+   * @param {string} tipo - Tipo de etiqueta
+   * @param {number} [id] - Etiqueta que se está editando
+   * @returns {Promise<Object|null>} Resultado fallido o null si no hay conflicto
+   * @complexity O(log n)
+   */
+  async findNombreConflict(nombre, tipo, id = null) {
+    const existente = await prisma.etiqueta.findFirst({
+      where: {
+        tipo,
+        nombre: { equals: nombre, mode: 'insensitive' },
+        ...(id && { NOT: { id } })
+      },
+      select: { id: true }
+    });
+
+    return existente ? this.duplicada(nombre) : null;
+  }
+
+  /**
+   * Lista las etiquetas con el número de convenios que las usan
+   * @param {Object} filtros - { tipo, nombre }
+   * @returns {Promise<Object>} Resultado con las etiquetas
+   * @complexity O(e)
+   */
+  async listEtiquetas({ tipo, nombre } = {}) {
+    try {
+      const etiquetas = await prisma.etiqueta.findMany({
+        where: {
+          ...(tipo && { tipo }),
+          ...(nombre && { nombre: { contains: nombre, mode: 'insensitive' } })
+        },
+        orderBy: [{ tipo: 'asc' }, { nombre: 'asc' }],
+        include: { _count: { select: { convenios: true } } }
+      });
+
+      return {
+        success: true,
+        data: etiquetas.map(({ _count, ...etiqueta }) => ({
+          ...etiqueta,
+          totalConvenios: _count.convenios
+        }))
+      };
+    } catch (error) {
+      throw new Error(`Error al listar etiquetas: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene una etiqueta por ID
+   * @param {number} id - ID de la etiqueta
+   * @returns {Promise<Object>} Resultado con la etiqueta
+   * @complexity O(log n)
+   */
+  async getEtiqueta(id) {
+    try {
+      const etiqueta = await prisma.etiqueta.findUnique({
+        where: { id },
+        include: { _count: { select: { convenios: true } } }
+      });
+
+      if (!etiqueta) return this.notFound();
+
+      const { _count, ...datos } = etiqueta;
+
+      return {
+        success: true,
+        data: { ...datos, totalConvenios: _count.convenios }
+      };
+    } catch (error) {
+      throw new Error(`Error al obtener etiqueta: ${error.message}`);
+    }
+  }
+
+  /**
+   * Crea una etiqueta o área temática
+   * @param {Object} data - Datos validados por createEtiquetaSchema
+   * @returns {Promise<Object>} Resultado con la etiqueta creada
+   * @complexity O(log n)
+   */
+  async createEtiqueta(data) {
+    try {
+      const conflicto = await this.findNombreConflict(data.nombre, data.tipo);
+      if (conflicto) return conflicto;
+
+      const etiqueta = await prisma.etiqueta.create({
+        data: {
+          nombre: data.nombre,
+          tipo: data.tipo,
+          descripcion: data.descripcion ?? null
+        }
+      });
+
+      return {
+        success: true,
+        message: 'Etiqueta creada exitosamente',
+        data: etiqueta
+      };
+    } catch (error) {
+      if (error.code === PRISMA_UNIQUE_VIOLATION) return this.duplicada(data.nombre);
+      throw new Error(`Error al crear etiqueta: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualiza una etiqueta (solo los campos enviados)
+   * @param {number} id - ID de la etiqueta
+   * @param {Object} data - Datos validados por patchEtiquetaSchema
+   * @returns {Promise<Object>} Resultado con la etiqueta actualizada
+   * @complexity O(log n)
+   */
+  async updateEtiqueta(id, data) {
+    try {
+      const existente = await prisma.etiqueta.findUnique({ where: { id } });
+      if (!existente) return this.notFound();
+
+      if (data.nombre !== undefined || data.tipo !== undefined) {
+        const conflicto = await this.findNombreConflict(
+          data.nombre ?? existente.nombre,
+          data.tipo ?? existente.tipo,
+          id
+        );
+        if (conflicto) return conflicto;
+      }
+
+      const etiqueta = await prisma.etiqueta.update({
+        where: { id },
+        data
+      });
+
+      return {
+        success: true,
+        message: 'Etiqueta actualizada exitosamente',
+        data: etiqueta
+      };
+    } catch (error) {
+      if (error.code === PRISMA_UNIQUE_VIOLATION) return this.duplicada(data.nombre);
+      throw new Error(`Error al actualizar etiqueta: ${error.message}`);
+    }
+  }
+
+  /**
+   * Elimina una etiqueta que no esté asignada a ningún convenio
+   * @param {number} id - ID de la etiqueta
+   * @returns {Promise<Object>} Resultado de la eliminación
+   * @complexity O(log n)
+   */
+  async deleteEtiqueta(id) {
+    try {
+      const etiqueta = await prisma.etiqueta.findUnique({
+        where: { id },
+        include: { _count: { select: { convenios: true } } }
+      });
+
+      if (!etiqueta) return this.notFound();
+
+      if (etiqueta._count.convenios > 0) {
+        return {
+          success: false,
+          error: 'ETIQUETA_EN_USO',
+          message: `La etiqueta está asignada a ${etiqueta._count.convenios} convenio(s). Quítela de los convenios antes de eliminarla`
+        };
+      }
+
+      await prisma.etiqueta.delete({ where: { id } });
+
+      return {
+        success: true,
+        message: 'Etiqueta eliminada exitosamente',
+        data: { id: etiqueta.id, nombre: etiqueta.nombre }
+      };
+    } catch (error) {
+      throw new Error(`Error al eliminar etiqueta: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene las etiquetas de un convenio
+   * @param {number} convenioId - ID del convenio
+   * @returns {Promise<Object>} Resultado con el convenio y sus etiquetas
+   * @complexity O(log n + e)
+   */
+  async getEtiquetasConvenio(convenioId) {
+    try {
+      const convenio = await prisma.convenio.findUnique({
+        where: { id: convenioId },
+        select: {
+          id: true,
+          nombre: true,
+          etiquetas: ETIQUETAS_CONVENIO_INCLUDE
+        }
+      });
+
+      if (!convenio) {
+        return {
+          success: false,
+          error: 'CONVENIO_NOT_FOUND',
+          message: 'Convenio no encontrado'
+        };
+      }
+
+      const { etiquetas, ...datosConvenio } = convenio;
+
+      return {
+        success: true,
+        data: {
+          convenio: datosConvenio,
+          etiquetas: serializeEtiquetas(etiquetas)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error al obtener etiquetas del convenio: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reemplaza las etiquetas de un convenio; las ya asignadas conservan su fecha
+   * de asignación
+   * @param {number} convenioId - ID del convenio
+   * @param {number[]} etiquetaIds - Etiquetas finales del convenio (vacío las quita todas)
+   * @param {number} userId - Usuario que asigna
+   * @returns {Promise<Object>} Resultado con las etiquetas del convenio
+   * @complexity O(log n + e)
+   */
+  async asignarEtiquetas(convenioId, etiquetaIds, userId) {
+    try {
+      const convenio = await prisma.convenio.findUnique({
+        where: { id: convenioId },
+        select: { id: true, estado: true }
+      });
+
+      if (!convenio) {
+        return {
+          success: false,
+          error: 'CONVENIO_NOT_FOUND',
+          message: 'Convenio no encontrado'
+        };
+      }
+
+      if (convenio.estado === 'Archivado') {
+        return {
+          success: false,
+          error: 'CONVENIO_ARCHIVADO',
+          message: 'No se pueden modificar las etiquetas de un convenio archivado'
+        };
+      }
+
+      const existentes = await prisma.etiqueta.findMany({
+        where: { id: { in: etiquetaIds } },
+        select: { id: true }
+      });
+
+      if (existentes.length !== etiquetaIds.length) {
+        const encontradas = new Set(existentes.map(e => e.id));
+        const faltantes = etiquetaIds.filter(id => !encontradas.has(id));
+        return {
+          success: false,
+          error: 'ETIQUETA_NOT_FOUND',
+          message: `Etiquetas no encontradas: ${faltantes.join(', ')}`
+        };
+      }
+
+      await prisma.$transaction([
+        prisma.convenioEtiqueta.deleteMany({
+          where: { convenioId, etiquetaId: { notIn: etiquetaIds } }
+        }),
+        prisma.convenioEtiqueta.createMany({
+          data: etiquetaIds.map(etiquetaId => ({ convenioId, etiquetaId, asignadaPor: userId })),
+          skipDuplicates: true
+        })
+      ]);
+
+      const result = await this.getEtiquetasConvenio(convenioId);
+
+      return {
+        ...result,
+        message: 'Etiquetas del convenio actualizadas'
+      };
+    } catch (error) {
+      throw new Error(`Error al asignar etiquetas: ${error.message}`);
+    }
+  }
+}
+
+export {
+  EtiquetaService,
+  ETIQUETAS_CONVENIO_INCLUDE,
+  serializeEtiquetas
+};
+export default EtiquetaService;
@@ -0,0 +1,528 @@
+/**
+ * @fileoverview Servicio de Firmantes de un Convenio
+ * @description Registra los representantes legales de cada parte que deben firmar el
+ * convenio y el estado de su firma, con la copia escaneada del documento firmado.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Las firmas se recogen mientras el convenio está en Borrador: para activarlo, cada
+ * parte debe tener al menos un firmante requerido y todos los firmantes requeridos
+ * deben haber firmado (ver guard firmasCompletas en convenio-workflow.service).
+ *
+ * Complejidad Big O:
+ * - Listado y resumen por convenio: O(log n + p + f) donde p = partes, f = firmantes
+ * - Creación / actualización / registro de firma: O(log n)
+ */
+
+import { prisma } from '../lib/prisma.js';
+import ConvenioHistoryService from './convenio-history.service.js';
+
+/**
+ * Datos del documento firmado y del usuario que registró al firmante
+ */
+const FIRMANTE_DETALLE = {
+  documento: { select: { id: true, fileName: true, firmado: true } },
+  creador: { select: { id: true, email: true } }
+};
+
+/**
+ * Include estándar de un firmante
+ */
+const FIRMANTE_INCLUDE = {
+  ...FIRMANTE_DETALLE,
+  convenioParte: {
+    select: {
+      parte: { select: { id: true, nombre: true, tipo: true } }
+    }
+  }
+};
+
+/**
+ * Select de las partes de un convenio con sus firmantes, para summarizeFirmas
+ */
+const FIRMAS_POR_PARTE_SELECT = {
+  parte: { select: { id: true, nombre: true, tipo: true } },
+  firmantes: {
+    orderBy: { id: 'asc' },
+    include: FIRMANTE_DETALLE
+  }
+};
+
+/**
+ * Firmante con la parte en primer nivel
+ * @param {Object} firmante - Firmante cargado con FIRMANTE_INCLUDE
+ * @returns {Object}
+ * @complexity O(1)
+ */
+const serializeFirmante = ({ convenioParte, ...firmante }) => ({
+  ...firmante,
+  parte: convenioParte.parte
+});
+
+/**
+ * Resume el estado de las firmas de un convenio
+ * @param {Array<Object>} partes - Partes del convenio con sus firmantes (FIRMAS_POR_PARTE_SELECT)
+ * @returns {Object} Conteos sobre los firmantes requeridos, partes sin firmante y si están completas
+ * @complexity O(p + f)
+ */
+const summarizeFirmas = (partes) => {
+  const resumen = {
+    totalFirmantes: 0,
+    requeridos: 0,
+    firmadas: 0,
+    pendientes: 0,
+    rechazadas: 0,
+    faltantes: 0,
+    partesSinFirmante: [],
+    completas: false
+  };
+
+  partes.forEach(({ parte, firmantes }) => {
+    const requeridos = firmantes.filter(f => f.requerido);
+
+    resumen.totalFirmantes += firmantes.length;
+    resumen.requeridos += requeridos.length;
+
+    if (requeridos.length === 0) {
+      resumen.partesSinFirmante.push({ id: parte.id, nombre: parte.nombre });
+    }
+
+    requeridos.forEach(f => {
+      if (f.estado === 'Firmada') resumen.firmadas++;
+      else if (f.estado === 'Rechazada') resumen.rechazadas++;
+      else resumen.pendientes++;
+    });
+  });
+
+  resumen.faltantes = resumen.requeridos - resumen.firmadas;
+  resumen.completas = partes.length > 0
+    && resumen.partesSinFirmante.length === 0
+    && resumen.faltantes === 0;
+
+  return resumen;
+};
+
+/**
+ * @class FirmanteService
+ * @description Gestión de firmantes y firmas de un convenio
+ */
+class FirmanteService {
+  constructor() {
+    this.historyService = new ConvenioHistoryService();
+  }
+
+  /**
+   * Resultado estándar de firmante inexistente
+   */
+  notFound() {
+    return {
+      success: false,
+      error: 'FIRMANTE_NOT_FOUND',
+      message: 'Firmante no encontrado'
+    };
+  }
+
+  /**
+   * Obtiene un firmante verificando que pertenezca al convenio
+   * @param {number} convenioId - ID del convenio
+   * @param {number} firmanteId - ID del firmante
+   * @param {Object} [client=prisma] - Cliente de Prisma o de la transacción en curso
+   * @returns {Promise<Object|null>} Firmante o null
+   * @complexity O(log n)
+   */
+  async findFirmante(convenioId, firmanteId, client = prisma) {
+    return client.firmante.findFirst({
+      where: { id: firmanteId, convenioId },
+      include: FIRMANTE_INCLUDE
+    });
+  }
+
+  /**
+   * Obtiene el convenio y valida que sus firmas puedan modificarse (solo en Borrador)
+   * @param {number} convenioId - ID del convenio
+   * @param {Object} [client=prisma] - Cliente de Prisma o de la transacción en curso
+   * @returns {Promise<Object>} { convenio } o { error } con el resultado fallido
+   * @complexity O(log n)
+   */
+  async loadConvenioBorrador(convenioId, client = prisma) {
+    const convenio = await client.convenio.findUnique({
+      where: { id: convenioId },
+      select: { id: true, estado: true }
+    });
+
+    if (!convenio) {
+      return {
+        error: {
+          success: false,
+          error: 'CONVENIO_NOT_FOUND',
+          message: 'Convenio no encontrado'
+        }
+      };
+    }
+
+    if (convenio.estado !== 'Borrador') {
+      return {
+        error: {
+          success: false,
+          error: 'CONVENIO_NO_BORRADOR',
+          message: `Las firmas solo pueden modificarse con el convenio en Borrador (estado actual: ${convenio.estado})`
+        }
+      };
+    }
+
+    return { convenio };
+  }
+
+  /**
+   * Ejecuta una modificación de firmantes con la fila del convenio bloqueada y el
+   * estado Borrador verificado dentro de la misma transacción, de modo que no pueda
+   * cruzarse con la activación del convenio (que evalúa las firmas bajo ese bloqueo)
+   * @param {number} convenioId - ID del convenio
+   * @param {Function} work - Recibe el cliente de la transacción y devuelve el resultado
+   * @returns {Promise<Object>} Resultado de work o el resultado fallido de la verificación
+   * @complexity O(log n) + coste de work
+   */
+  async withConvenioBorrador(convenioId, work) {
+    return prisma.$transaction(async (tx) => {
+      await this.historyService.lockConvenio(tx, convenioId);
+
+      const { error } = await this.loadConvenioBorrador(convenioId, tx);
+      if (error) return error;
+
+      return work(tx);
+    });
+  }
+
+  /**
+   * Verifica que la parte esté asociada al convenio
+   * @param {number} convenioId - ID del convenio
+   * @param {number} parteId - ID de la parte
+   * @param {Object} [client=prisma] - Cliente de Prisma o de la transacción en curso
+   * @returns {Promise<Object|null>} Resultado fallido o null si está asociada
+   * @complexity O(log n)
+   */
+  async validateParte(convenioId, parteId, client = prisma) {
+    const vinculo = await client.convenioParte.findUnique({
+      where: { convenioId_parteId: { convenioId, parteId } },
+      select: { parteId: true }
+    });
+
+    return vinculo ? null : {
+      success: false,
+      error: 'PARTE_NO_ASOCIADA',
+      message: 'La parte no está asociada a este convenio'
+    };
+  }
+
+  /**
+   * Lista los firmantes agrupados por parte, con el resumen de firmas
+   * @param {number} convenioId - ID del convenio
+   * @returns {Promise<Object>} Resultado con partes, firmantes y resumen
+   * @complexity O(log n + p + f)
+   */
+  async listFirmantes(convenioId) {
+    try {
+      const convenio = await prisma.convenio.findUnique({
+        where: { id: convenioId },
+        select: {
+          id: true,
+          nombre: true,
+          estado: true,
+          partes: {
+            orderBy: { parteId: 'asc' },
+            select: FIRMAS_POR_PARTE_SELECT
+          }
+        }
+      });
+
+      if (!convenio) {
+        return {
+          success: false,
+          error: 'CONVENIO_NOT_FOUND',
+          message: 'Convenio no encontrado'
+        };
+      }
+
+      const { partes, ...datosConvenio } = convenio;
+
+      return {
+        success: true,
+        data: {
+          convenio: datosConvenio,
+          partes,
+          resumen: summarizeFirmas(partes)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error al listar firmantes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene un firmante de un convenio
+   * @param {number} convenioId - ID del convenio
+   * @param {number} firmanteId - ID del firmante
+   * @returns {Promise<Object>} Resultado con el firmante
+   * @complexity O(log n)
+   */
+  async getFirmante(convenioId, firmanteId) {
+    try {
+      const firmante = await this.findFirmante(convenioId, firmanteId);
+      if (!firmante) return this.notFound();
+
+      return { success: true, data: serializeFirmante(firmante) };
+    } catch (error) {
+      throw new Error(`Error al obtener firmante: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registra un firmante de una parte del convenio
+   * @param {number} convenioId - ID del convenio
+   * @param {Object} data - Datos validados por createFirmanteSchema
+   * @param {number} userId - Usuario que registra al firmante
+   * @returns {Promise<Object>} Resultado con el firmante creado
+   * @complexity O(log n)
+   */
+  async createFirmante(convenioId, data, userId) {
+    try {
+      return await this.withConvenioBorrador(convenioId, async (tx) => {
+        const invalido = await this.validateParte(convenioId, data.parteId, tx);
+        if (invalido) return invalido;
+
+        const firmante = await tx.firmante.create({
+          data: {
+            convenioId,
+            parteId: data.parteId,
+            nombre: data.nombre,
+            cargo: data.cargo,
+            email: data.email,
+            requerido: data.requerido ?? true,
+            createdBy: userId
+          },
+          include: FIRMANTE_INCLUDE
+        });
+
+        return {
+          success: true,
+          message: 'Firmante registrado exitosamente',
+          data: serializeFirmante(firmante)
+        };
+      });
+    } catch (error) {
+      throw new Error(`Error al registrar firmante: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualiza los datos de un firmante que aún no ha respondido
+   * @param {number} convenioId - ID del convenio
+   * @param {number} firmanteId - ID del firmante
+   * @param {Object} data - Datos validados por patchFirmanteSchema
+   * @returns {Promise<Object>} Resultado con el firmante actualizado
+   * @complexity O(log n)
+   */
+  async updateFirmante(convenioId, firmanteId, data) {
+    try {
+      return await this.withConvenioBorrador(convenioId, async (tx) => {
+        const firmante = await this.findFirmante(convenioId, firmanteId, tx);
+        if (!firmante) return this.notFound();
+
+        if (firmante.estado !== 'Pendiente') {
+          return {
+            success: false,
+            error: 'FIRMA_REGISTRADA',
+            message: 'El firmante ya respondió. Anule su firma antes de modificarlo'
+          };
+        }
+
+        if (data.parteId !== undefined) {
+          const invalido = await this.validateParte(convenioId, data.parteId, tx);
+          if (invalido) return invalido;
+        }
+
+        const actualizado = await tx.firmante.update({
+          where: { id: firmanteId },
+          data,
+          include: FIRMANTE_INCLUDE
+        });
+
+        return {
+          success: true,
+          message: 'Firmante actualizado exitosamente',
+          data: serializeFirmante(actualizado)
+        };
+      });
+    } catch (error) {
+      throw new Error(`Error al actualizar firmante: ${error.message}`);
+    }
+  }
+
+  /**
+   * Elimina un firmante que aún no ha respondido
+   * @param {number} convenioId - ID del convenio
+   * @param {number} firmanteId - ID del firmante
+   * @returns {Promise<Object>} Resultado de la eliminación
+   * @complexity O(log n)
+   */
+  async deleteFirmante(convenioId, firmanteId) {
+    try {
+      return await this.withConvenioBorrador(convenioId, async (tx) => {
+        const firmante = await this.findFirmante(convenioId, firmanteId, tx);
+        if (!firmante) return this.notFound();
+
+        if (firmante.estado !== 'Pendiente') {
+          return {
+            success: false,
+            error: 'FIRMA_REGISTRADA',
+            message: 'El firmante ya respondió. Anule su firma antes de eliminarlo'
+          };
+        }
+
+        await tx.firmante.delete({ where: { id: firmanteId } });
+
+        return {
+          success: true,
+          message: 'Firmante eliminado exitosamente',
+          data: { id: firmante.id, parteId: firmante.parteId }
+        };
+      });
+    } catch (error) {
+      throw new Error(`Error al eliminar firmante: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registra la firma (o el rechazo) de un firmante
+   * @param {number} convenioId - ID del convenio
+   * @param {number} firmanteId - ID del firmante
+   * @param {Object} data - Datos validados por registrarFirmaSchema
+   * @returns {Promise<Object>} Resultado con el firmante actualizado
+   * @complexity O(log n)
+   */
+  async registrarFirma(convenioId, firmanteId, data) {
+    try {
+      return await this.withConvenioBorrador(convenioId, async (tx) => {
+        const firmante = await this.findFirmante(convenioId, firmanteId, tx);
+        if (!firmante) return this.notFound();
+
+        if (data.documentId) {
+          const documento = await tx.document.findFirst({
+            where: { id: data.documentId, convenioId },
+            select: { id: true }
+          });
+
+          if (!documento) {
+            return {
+              success: false,
+              error: 'DOCUMENT_NOT_FOUND',
+              message: 'El documento no existe o no pertenece a este convenio'
+            };
+          }
+        }
+
+        // Actualización condicionada para no registrar dos veces la respuesta
+        const { count } = await tx.firmante.updateMany({
+          where: { id: firmanteId, estado: 'Pendiente' },
+          data: {
+            estado: data.estado,
+            firmadoEn: new Date(data.fecha),
+            documentId: data.documentId || null,
+            observaciones: data.observaciones || null
+          }
+        });
+
+        if (count === 0) {
+          return {
+            success: false,
+            error: 'FIRMA_REGISTRADA',
+            message: `El firmante ${firmante.nombre} ya tiene una respuesta registrada`
+          };
+        }
+
+        return {
+          success: true,
+          message: data.estado === 'Firmada'
+            ? `Firma de ${firmante.nombre} registrada`
+            : `Rechazo de ${firmante.nombre} registrado`,
+          data: serializeFirmante(await this.findFirmante(convenioId, firmanteId, tx))
+        };
+      });
+    } catch (error) {
+      throw new Error(`Error al registrar firma: ${error.message}`);
+    }
+  }
+
+  /**
+   * Anula la firma registrada de un firmante (vuelve a Pendiente)
+   * @param {number} convenioId - ID del convenio
+   * @param {number} firmanteId - ID del firmante
+   * @returns {Promise<Object>} Resultado con el firmante actualizado
+   * @complexity O(log n)
+   */
+  async anularFirma(convenioId, firmanteId) {
+    try {
+      return await this.withConvenioBorrador(convenioId, async (tx) => {
+        const firmante = await this.findFirmante(convenioId, firmanteId, tx);
+        if (!firmante) return this.notFound();
+
+        if (firmante.estado === 'Pendiente') {
+          return {
+            success: false,
+            error: 'FIRMA_NO_REGISTRADA',
+            message: `El firmante ${firmante.nombre} no tiene una firma registrada`
+          };
+        }
+
+        const actualizado = await tx.firmante.update({
+          where: { id: firmanteId },
+          data: {
+            estado: 'Pendiente',
+            firmadoEn: null,
+            documentId: null,
+            observaciones: null
+          },
+          include: FIRMANTE_INCLUDE
+        });
+
+        return {
+          success: true,
+          message: `Firma de ${firmante.nombre} anulada`,
+          data: serializeFirmante(actualizado)
+        };
+      });
+    } catch (error) {
+      throw new Error(`Error al anular firma: ${error.message}`);
+    }
+  }
+
+  /**
+   * Partes con firmantes registrados en un convenio. Se usa antes de desasociar
+   * partes, ya que sus firmantes (y las fechas de firma) se eliminarían en cascada.
+   * @param {number} convenioId - ID del convenio
+   * @param {number[]} parteIds - Partes a verificar
+   * @param {Object} [client=prisma] - Cliente de Prisma o de la transacción en curso
+   * @returns {Promise<number[]>} IDs de las partes con firmantes
+   * @complexity O(log n + f)
+   */
+  async findPartesConFirmantes(convenioId, parteIds, client = prisma) {
+    if (parteIds.length === 0) return [];
+
+    const firmantes = await client.firmante.findMany({
+      where: { convenioId, parteId: { in: parteIds } },
+      select: { parteId: true },
+      distinct: ['parteId']
+    });
+
+    return firmantes.map(f => f.parteId);
+  }
+}
+
+export {
+  FirmanteService,
+  FIRMANTE_INCLUDE,
+  FIRMAS_POR_PARTE_SELECT,
+  serializeFirmante,
+  summarizeFirmas
+};
+export default FirmanteService;
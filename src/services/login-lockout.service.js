@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Servicio de bloqueo de cuentas por intentos fallidos
+ * @description Cuenta los intentos fallidos de inicio de sesión de cada usuario en la base
+ * de datos, de modo que el conteo sobrevive a reinicios y sigue a la cuenta aunque el
+ * atacante cambie de IP. Al llegar al máximo, la cuenta se bloquea temporalmente y el
+ * usuario recibe un correo; cada bloqueo consecutivo dura el doble que el anterior, hasta
+ * un tope. Un inicio de sesión exitoso, un restablecimiento de contraseña o un ADMIN
+ * reinician el conteo.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Complejidad Big O:
+ * - Registro de un intento: O(log n) usando clave primaria
+ */
+
+import env from '../config/env.config.js';
+import { prisma } from '../lib/prisma.js';
+import { createMailer } from '../lib/mailer.js';
+import { isEmailAddress } from './email-verification.service.js';
+
+/**
+ * Datos que reinician el conteo y levantan el bloqueo
+ */
+const LOCKOUT_RESET_DATA = {
+  failedLoginAttempts: 0,
+  lockoutCount: 0,
+  lockedUntil: null
+};
+
+/**
+ * Duración de un bloqueo con retroceso exponencial: base, 2·base, 4·base... hasta el tope
+ * @param {number} lockoutCount - Número del bloqueo consecutivo (desde 1)
+ * @param {Object} policy - { baseMinutes, maxMinutes }
+ * @returns {number} Minutos de bloqueo
+ * @complexity O(1)
+ */
+const computeLockoutMinutes = (lockoutCount, { baseMinutes, maxMinutes }) =>
+  Math.min(baseMinutes * 2 ** Math.max(lockoutCount - 1, 0), maxMinutes);
+
+/**
+ * Indica si la cuenta está bloqueada en un instante
+ * @param {Object} user - { lockedUntil }
+ * @param {Date} [ahora=new Date()]
+ * @returns {boolean}
+ * @complexity O(1)
+ */
+const isAccountLocked = (user, ahora = new Date()) =>
+  Boolean(user.lockedUntil) && user.lockedUntil > ahora;
+
+/**
+ * Correo de aviso de bloqueo
+ * @param {Date} lockedUntil - Fin del bloqueo
+ * @param {number} failedAttempts - Intentos fallidos que lo causaron
+ * @returns {{ subject: string, text: string, html: string }}
+ * @complexity O(1)
+ */
+const buildLockoutEmail = (lockedUntil, failedAttempts) => {
+  const hasta = lockedUntil.toISOString().replace('T', ' ').slice(0, 16);
+
+  return {
+    subject: 'Tu cuenta fue bloqueada temporalmente - Gestión de Convenios',
+    text: [
+      `Registramos ${failedAttempts} intentos fallidos de inicio de sesión en tu cuenta.`,
+      `Por seguridad, la cuenta queda bloqueada hasta el ${hasta} (UTC).`,
+      '',
+      'Si fuiste tú, espera a que termine el bloqueo. Si no, restablece tu contraseña o',
+      'contacta al administrador del sistema.'
+    ].join('\n'),
+    html: [
+      `<p>Registramos ${failedAttempts} intentos fallidos de inicio de sesión en tu cuenta.</p>`,
+      `<p>Por seguridad, la cuenta queda bloqueada hasta el <strong>${hasta} (UTC)</strong>.</p>`,
+      '<p>Si fuiste tú, espera a que termine el bloqueo. Si no, restablece tu contraseña o contacta al administrador del sistema.</p>'
+    ].join('\n')
+  };
+};
+
+class LoginLockoutService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.mailer] - Mailer (por defecto el configurado en el entorno)
+   * @param {number} [options.maxAttempts] - Intentos fallidos antes de bloquear
+   * @param {number} [options.baseMinutes] - Duración del primer bloqueo
+   * @param {number} [options.maxMinutes] - Duración máxima de un bloqueo
+   */
+  constructor(options = {}) {
+    this.mailer = options.mailer || createMailer();
+    // Valores por defecto y validación en env.config
+    this.maxAttempts = options.maxAttempts || env.LOGIN_LOCKOUT_MAX_ATTEMPTS;
+    this.baseMinutes = options.baseMinutes || env.LOGIN_LOCKOUT_BASE_MINUTES;
+    this.maxMinutes = options.maxMinutes || env.LOGIN_LOCKOUT_MAX_MINUTES;
+  }
+
+  /**
+   * Resultado para una cuenta bloqueada
+   * @param {Date} lockedUntil - Fin del bloqueo
+   * @returns {Object} retryAfter en segundos
+   * @complexity O(1)
+   */
+  lockedResult(lockedUntil) {
+    return {
+      success: false,
+      error: 'ACCOUNT_LOCKED',
+      message: 'Cuenta bloqueada temporalmente por intentos fallidos. Intenta más tarde',
+      lockedUntil,
+      retryAfter: Math.max(Math.ceil((lockedUntil.getTime() - Date.now()) / 1000), 1)
+    };
+  }
+
+  /**
+   * Registrar un intento fallido. Al llegar al máximo bloquea la cuenta y avisa al usuario.
+   * @param {Object} user - { id, email }
+   * @returns {Promise<{ locked: boolean, lockedUntil?: Date }>}
+   * @complexity O(log n) + envío del correo al bloquear
+   */
+  async recordFailure(user) {
+    const ahora = new Date();
+
+    const { failedLoginAttempts, lockoutCount } = await prisma.user.update({
+      where: { id: user.id },
+      data: { failedLoginAttempts: { increment: 1 }, lastFailedLoginAt: ahora },
+      select: { failedLoginAttempts: true, lockoutCount: true }
+    });
+
+    if (failedLoginAttempts < this.maxAttempts) {
+      return { locked: false };
+    }
+
+    const minutos = computeLockoutMinutes(lockoutCount + 1, this);
+    const lockedUntil = new Date(ahora.getTime() + minutos * 60 * 1000);
+
+    // Solo una de varias solicitudes concurrentes aplica el bloqueo y envía el aviso
+    const { count } = await prisma.user.updateMany({
+      where: { id: user.id, failedLoginAttempts: { gte: this.maxAttempts } },
+      data: { failedLoginAttempts: 0, lockoutCount: { increment: 1 }, lockedUntil }
+    });
+
+    if (count === 0) {
+      return { locked: false };
+    }
+
+    console.log(`🔒 [ACCOUNT_LOCKED] UserID: ${user.id} - Minutes: ${minutos} - Lockout: ${lockoutCount + 1}`);
+
+    await this.notifyLockout(user, lockedUntil, failedLoginAttempts);
+
+    return { locked: true, lockedUntil };
+  }
+
+  /**
+   * Reiniciar el conteo tras un inicio de sesión exitoso
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<void>}
+   * @complexity O(log n)
+   */
+  async recordSuccess(userId) {
+    await prisma.user.update({
+      where: { id: userId },
+      data: { ...LOCKOUT_RESET_DATA, lastLogin: new Date() }
+    });
+  }
+
+  /**
+   * Avisar al usuario del bloqueo. Las cuentas con código estudiantil no tienen a dónde
+   * enviarlo y un fallo del correo no impide el bloqueo.
+   * @param {Object} user - { id, email }
+   * @param {Date} lockedUntil - Fin del bloqueo
+   * @param {number} failedAttempts - Intentos que lo causaron
+   * @returns {Promise<boolean>} true si el correo se envió
+   * @complexity O(1) + envío del correo
+   */
+  async notifyLockout(user, lockedUntil, failedAttempts) {
+    if (!isEmailAddress(user.email)) return false;
+
+    try {
+      await this.mailer.send({ to: user.email, ...buildLockoutEmail(lockedUntil, failedAttempts) });
+      return true;
+    } catch (error) {
+      console.error(`❌ [ACCOUNT_LOCKED_MAIL_ERROR] UserID: ${user.id} - ${error.message}`);
+      return false;
+    }
+  }
+}
+
+export {
+  LOCKOUT_RESET_DATA,
+  computeLockoutMinutes,
+  isAccountLocked,
+  buildLockoutEmail
+};
+
+export default LoginLockoutService;
@@ -0,0 +1,436 @@
+/**
+ * @fileoverview Servicio de autenticación en dos pasos (TOTP)
+ * @description Registro del segundo factor con una aplicación de autenticación, códigos de
+ * recuperación de un solo uso y verificación de códigos en el segundo paso del login. El
+ * secreto TOTP se guarda cifrado con AES-256-GCM (clave MFA_ENCRYPTION_KEY) y los códigos
+ * de recuperación como hash. Un mismo código TOTP no se acepta dos veces.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Complejidad Big O:
+ * - Registro y confirmación: O(log n + c) donde c = códigos de recuperación
+ * - Verificación de un código: O(log n)
+ */
+
+import crypto from 'crypto';
+import env from '../config/env.config.js';
+import { prisma } from '../lib/prisma.js';
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from '../lib/totp.js';
+import { hashOneTimeToken } from '../lib/one-time-token.js';
+import { isMfaRequiredForRole } from '../lib/mfa-policy.js';
+import TokenService from './token.service.js';
+
+/**
+ * Nombre del sistema mostrado en la aplicación de autenticación por defecto
+ */
+const DEFAULT_MFA_ISSUER = 'Gestión de Convenios';
+
+/**
+ * Cantidad de códigos de recuperación emitidos en cada registro o regeneración
+ */
+const RECOVERY_CODES_COUNT = 10;
+
+/**
+ * Resultado para un código TOTP o de recuperación incorrecto o ya usado
+ */
+const INVALID_CODE_RESULT = {
+  success: false,
+  error: 'INVALID_MFA_CODE',
+  message: 'Código de verificación inválido o ya utilizado'
+};
+
+/**
+ * Clave AES-256 derivada del material configurado
+ * @param {string} keyMaterial - MFA_ENCRYPTION_KEY
+ * @returns {Buffer}
+ * @complexity O(1)
+ */
+const deriveKey = (keyMaterial) => {
+  if (!keyMaterial) {
+    throw new Error('MFA_ENCRYPTION_KEY es requerida para cifrar el segundo factor');
+  }
+  return crypto.createHash('sha256').update(keyMaterial).digest();
+};
+
+/**
+ * Cifra un secreto TOTP para guardarlo
+ * @param {string} secret - Secreto en Base32
+ * @param {string} keyMaterial - Material de la clave
+ * @returns {string} iv.tag.cifrado en base64url
+ * @complexity O(1)
+ */
+const encryptMfaSecret = (secret, keyMaterial) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(keyMaterial), iv);
+  const cifrado = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), cifrado].map(parte => parte.toString('base64url')).join('.');
+};
+
+/**
+ * Descifra un secreto TOTP guardado
+ * @param {string} payload - Valor producido por encryptMfaSecret
+ * @param {string} keyMaterial - Material de la clave
+ * @returns {string} Secreto en Base32
+ * @throws {Error} Si el valor fue alterado o la clave no coincide
+ * @complexity O(1)
+ */
+const decryptMfaSecret = (payload, keyMaterial) => {
+  const [iv, tag, cifrado] = payload.split('.').map(parte => Buffer.from(parte, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(keyMaterial), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(cifrado), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Genera códigos de recuperación con formato xxxxx-xxxxx
+ * @param {number} [count=10]
+ * @returns {string[]}
+ * @complexity O(c)
+ */
+const generateRecoveryCodes = (count = RECOVERY_CODES_COUNT) =>
+  Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+/**
+ * Hash con el que se guarda un código de recuperación; ignora mayúsculas, espacios y guiones
+ * @param {string} code
+ * @returns {string}
+ * @complexity O(1)
+ */
+const hashRecoveryCode = (code) => hashOneTimeToken(code.toLowerCase().replace(/[^a-z0-9]/g, ''));
+
+class MfaService {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.issuer] - Nombre mostrado en la aplicación de autenticación
+   * @param {string} [options.encryptionKey] - Material de la clave de cifrado del secreto
+   */
+  constructor(options = {}) {
+    this.issuer = options.issuer || process.env.MFA_ISSUER || DEFAULT_MFA_ISSUER;
+    this.encryptionKey = options.encryptionKey || env.MFA_ENCRYPTION_KEY;
+    this.tokenService = new TokenService();
+  }
+
+  /**
+   * Estado del segundo factor del usuario
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<Object>}
+   * @complexity O(log n)
+   */
+  async getStatus(userId) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+          rol: true,
+          mfaEnabled: true,
+          mfaEnabledAt: true,
+          _count: { select: { mfaRecoveryCodes: { where: { usedAt: null } } } }
+        }
+      });
+
+      if (!user) {
+        return { success: false, error: 'USER_NOT_FOUND', message: 'Usuario no encontrado' };
+      }
+
+      return {
+        success: true,
+        data: {
+          mfaEnabled: user.mfaEnabled,
+          mfaEnabledAt: user.mfaEnabledAt,
+          requiredByPolicy: isMfaRequiredForRole(user.rol),
+          recoveryCodesRemaining: user.mfaEnabled ? user._count.mfaRecoveryCodes : 0
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error al obtener estado del segundo factor: ${error.message}`);
+    }
+  }
+
+  /**
+   * Iniciar el registro: genera un secreto pendiente de confirmación. Repetirlo reemplaza
+   * el secreto pendiente anterior.
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<Object>} data incluye secret y otpauthUri (para el código QR)
+   * @complexity O(log n)
+   */
+  async startEnrollment(userId) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, email: true, mfaEnabled: true }
+      });
+
+      if (!user) {
+        return { success: false, error: 'USER_NOT_FOUND', message: 'Usuario no encontrado' };
+      }
+
+      if (user.mfaEnabled) {
+        return {
+          success: false,
+          error: 'MFA_ALREADY_ENABLED',
+          message: 'La autenticación en dos pasos ya está activada'
+        };
+      }
+
+      const secret = generateTotpSecret();
+
+      await prisma.user.update({
+        where: { id: userId },
+        data: { mfaSecret: encryptMfaSecret(secret, this.encryptionKey), mfaLastUsedStep: null }
+      });
+
+      return {
+        success: true,
+        data: {
+          secret,
+          otpauthUri: buildOtpauthUri({ secret, account: user.email, issuer: this.issuer }),
+          issuer: this.issuer,
+          account: user.email
+        },
+        message: 'Escanea el código QR con tu aplicación de autenticación y confirma con un código'
+      };
+    } catch (error) {
+      throw new Error(`Error al iniciar registro del segundo factor: ${error.message}`);
+    }
+  }
+
+  /**
+   * Confirmar el registro con un código de la aplicación. Activa el segundo factor, emite
+   * los códigos de recuperación, revoca las demás sesiones y devuelve un nuevo par de tokens.
+   * @param {number} userId - ID del usuario
+   * @param {string} code - Código TOTP
+   * @returns {Promise<Object>} data incluye recoveryCodes (solo se muestran aquí) y tokens
+   * @complexity O(log n + c + s)
+   */
+  async confirmEnrollment(userId, code) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+          id: true,
+          email: true,
+          rol: true,
+          mustChangePassword: true,
+          mfaEnabled: true,
+          mfaSecret: true
+        }
+      });
+
+      if (!user) {
+        return { success: false, error: 'USER_NOT_FOUND', message: 'Usuario no encontrado' };
+      }
+
+      if (user.mfaEnabled) {
+        return {
+          success: false,
+          error: 'MFA_ALREADY_ENABLED',
+          message: 'La autenticación en dos pasos ya está activada'
+        };
+      }
+
+      if (!user.mfaSecret) {
+        return {
+          success: false,
+          error: 'MFA_SETUP_NOT_STARTED',
+          message: 'Inicia el registro del segundo factor antes de confirmarlo'
+        };
+      }
+
+      const paso = verifyTotp(decryptMfaSecret(user.mfaSecret, this.encryptionKey), code);
+      if (paso === null) return INVALID_CODE_RESULT;
+
+      const recoveryCodes = generateRecoveryCodes();
+
+      await prisma.$transaction([
+        prisma.mfaRecoveryCode.deleteMany({ where: { userId } }),
+        prisma.mfaRecoveryCode.createMany({
+          data: recoveryCodes.map(recoveryCode => ({ userId, codeHash: hashRecoveryCode(recoveryCode) }))
+        }),
+        prisma.user.update({
+          where: { id: userId },
+          data: { mfaEnabled: true, mfaEnabledAt: new Date(), mfaLastUsedStep: paso }
+        })
+      ]);
+
+      // Las sesiones abiertas sin segundo factor dejan de ser válidas
+      await this.tokenService.revokeAllUserTokens(userId);
+
+      const tokenResult = await this.tokenService.generateTokenPair(
+        this.tokenService.buildSessionPayload({ ...user, mfaEnabled: true })
+      );
+
+      if (!tokenResult.success) {
+        return {
+          success: false,
+          error: 'TOKEN_GENERATION_ERROR',
+          message: 'Segundo factor activado, pero no se pudieron generar los tokens. Inicia sesión de nuevo'
+        };
+      }
+
+      return {
+        success: true,
+        data: {
+          recoveryCodes,
+          tokens: {
+            accessToken: tokenResult.accessToken,
+            refreshToken: tokenResult.refreshToken,
+            expiresIn: Math.floor(tokenResult.accessTokenExpiry / 1000)
+          }
+        },
+        message: 'Autenticación en dos pasos activada. Guarda los códigos de recuperación en un lugar seguro'
+      };
+    } catch (error) {
+      throw new Error(`Error al confirmar el segundo factor: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verificar un código TOTP o de recuperación de un usuario con el segundo factor activo.
+   * Ambos se consumen: el paso TOTP aceptado y el código de recuperación no vuelven a valer.
+   * @param {number} userId - ID del usuario
+   * @param {Object} credentials - { code } o { recoveryCode }
+   * @returns {Promise<Object>} method indica cuál se usó
+   * @complexity O(log n)
+   */
+  async verifyCode(userId, { code, recoveryCode }) {
+    try {
+      if (recoveryCode) {
+        const { count } = await prisma.mfaRecoveryCode.updateMany({
+          where: { userId, codeHash: hashRecoveryCode(recoveryCode), usedAt: null },
+          data: { usedAt: new Date() }
+        });
+
+        if (count === 0) return INVALID_CODE_RESULT;
+
+        const recoveryCodesRemaining = await prisma.mfaRecoveryCode.count({
+          where: { userId, usedAt: null }
+        });
+
+        return { success: true, method: 'recovery_code', recoveryCodesRemaining };
+      }
+
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { mfaEnabled: true, mfaSecret: true }
+      });
+
+      if (!user?.mfaEnabled || !user.mfaSecret) return INVALID_CODE_RESULT;
+
+      const paso = verifyTotp(decryptMfaSecret(user.mfaSecret, this.encryptionKey), code);
+      if (paso === null) return INVALID_CODE_RESULT;
+
+      // Registrar el paso solo si es posterior al último aceptado, de forma atómica
+      const { count } = await prisma.user.updateMany({
+        where: {
+          id: userId,
+          OR: [{ mfaLastUsedStep: null }, { mfaLastUsedStep: { lt: paso } }]
+        },
+        data: { mfaLastUsedStep: paso }
+      });
+
+      if (count === 0) return INVALID_CODE_RESULT;
+
+      return { success: true, method: 'totp' };
+    } catch (error) {
+      throw new Error(`Error al verificar el segundo factor: ${error.message}`);
+    }
+  }
+
+  /**
+   * Desactivar el segundo factor, confirmándolo con un código. No se permite si la
+   * política lo exige para el rol del usuario.
+   * @param {number} userId - ID del usuario
+   * @param {Object} credentials - { code } o { recoveryCode }
+   * @returns {Promise<Object>}
+   * @complexity O(log n + c)
+   */
+  async disable(userId, credentials) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, rol: true, mfaEnabled: true }
+      });
+
+      if (!user) {
+        return { success: false, error: 'USER_NOT_FOUND', message: 'Usuario no encontrado' };
+      }
+
+      if (!user.mfaEnabled) {
+        return {
+          success: false,
+          error: 'MFA_NOT_ENABLED',
+          message: 'La autenticación en dos pasos no está activada'
+        };
+      }
+
+      if (isMfaRequiredForRole(user.rol)) {
+        return {
+          success: false,
+          error: 'MFA_REQUIRED_BY_POLICY',
+          message: `La autenticación en dos pasos es obligatoria para el rol ${user.rol}`
+        };
+      }
+
+      const verificacion = await this.verifyCode(userId, credentials);
+      if (!verificacion.success) return verificacion;
+
+      await prisma.$transaction([
+        prisma.mfaRecoveryCode.deleteMany({ where: { userId } }),
+        prisma.user.update({
+          where: { id: userId },
+          data: { mfaEnabled: false, mfaSecret: null, mfaEnabledAt: null, mfaLastUsedStep: null }
+        })
+      ]);
+
+      return { success: true, message: 'Autenticación en dos pasos desactivada' };
+    } catch (error) {
+      throw new Error(`Error al desactivar el segundo factor: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reemplazar los códigos de recuperación, confirmándolo con un código TOTP
+   * @param {number} userId - ID del usuario
+   * @param {string} code - Código TOTP
+   * @returns {Promise<Object>} data incluye los nuevos recoveryCodes
+   * @complexity O(log n + c)
+   */
+  async regenerateRecoveryCodes(userId, code) {
+    try {
+      const verificacion = await this.verifyCode(userId, { code });
+      if (!verificacion.success) return verificacion;
+
+      const recoveryCodes = generateRecoveryCodes();
+
+      await prisma.$transaction([
+        prisma.mfaRecoveryCode.deleteMany({ where: { userId } }),
+        prisma.mfaRecoveryCode.createMany({
+          data: recoveryCodes.map(recoveryCode => ({ userId, codeHash: hashRecoveryCode(recoveryCode) }))
+        })
+      ]);
+
+      return {
+        success: true,
+        data: { recoveryCodes },
+        message: 'Códigos de recuperación regenerados. Los anteriores ya no son válidos'
+      };
+    } catch (error) {
+      throw new Error(`Error al regenerar códigos de recuperación: ${error.message}`);
+    }
+  }
+}
+
+export {
+  RECOVERY_CODES_COUNT,
+  encryptMfaSecret,
+  decryptMfaSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};
+
+export default MfaService;
@@ -0,0 +1,503 @@
+/**
+ * @fileoverview Servicio de Obligaciones de las partes de un Convenio
+ * @description Registra los compromisos que cada cláusula asigna a una parte (fecha
+ * límite, estado y documento de evidencia) y permite consultar las obligaciones
+ * vencidas de los convenios activos de las unidades del usuario.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Una obligación está vencida cuando sigue abierta (Pendiente o EnProgreso) y su
+ * fecha límite es anterior a hoy. Al pasar a Cumplida se registra la fecha de
+ * cumplimiento.
+ *
+ * Complejidad Big O:
+ * - Listado por convenio: O(log n + o) donde o = obligaciones del convenio
+ * - Obligaciones vencidas: O(log n + k) con el índice (estado, fechaLimite)
+ * - Creación / actualización: O(log n)
+ */
+
+import { prisma } from '../lib/prisma.js';
+import { buildAlcanceWhere } from './unidades.service.js';
+import {
+  isCursorMode,
+  buildCursorQuery,
+  buildCursorPage
+} from '../lib/cursor-pagination.js';
+
+/**
+ * Estados en los que una obligación puede vencer
+ */
+const ESTADOS_ABIERTOS = ['Pendiente', 'EnProgreso'];
+
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+/**
+ * Include estándar de una obligación
+ */
+const OBLIGACION_INCLUDE = {
+  convenioParte: {
+    select: {
+      parte: { select: { id: true, nombre: true, tipo: true } }
+    }
+  },
+  evidencia: {
+    select: { id: true, fileName: true, firmado: true }
+  },
+  creador: { select: { id: true, email: true } }
+};
+
+/**
+ * Obligaciones incluidas en el detalle de un convenio (findConvenioById)
+ */
+const OBLIGACIONES_DETALLE = {
+  orderBy: [{ fechaLimite: 'asc' }, { id: 'asc' }],
+  include: OBLIGACION_INCLUDE
+};
+
+/**
+ * Fecha de hoy a las 00:00 UTC (las fechas límite se guardan sin hora)
+ * @returns {Date}
+ */
+const inicioDelDia = () => {
+  const hoy = new Date();
+  hoy.setUTCHours(0, 0, 0, 0);
+  return hoy;
+};
+
+/**
+ * Filtro Prisma de obligaciones vencidas
+ * @param {Date} hoy - Resultado de inicioDelDia
+ * @returns {Object}
+ */
+const vencidaWhere = (hoy) => ({
+  estado: { in: ESTADOS_ABIERTOS },
+  fechaLimite: { lt: hoy }
+});
+
+/**
+ * Indica si una obligación está vencida
+ * @param {Object} obligacion - Obligación con estado y fechaLimite
+ * @param {Date} hoy - Resultado de inicioDelDia
+ * @returns {boolean}
+ * @complexity O(1)
+ */
+const isVencida = (obligacion, hoy) => (
+  ESTADOS_ABIERTOS.includes(obligacion.estado) && obligacion.fechaLimite < hoy
+);
+
+/**
+ * Obligación con la parte en primer nivel y el indicador de vencimiento
+ * @param {Object} obligacion - Obligación cargada con OBLIGACION_INCLUDE
+ * @param {Date} [hoy] - Resultado de inicioDelDia
+ * @returns {Object}
+ * @complexity O(1)
+ */
+const serializeObligacion = ({ convenioParte, ...obligacion }, hoy = inicioDelDia()) => {
+  const vencida = isVencida(obligacion, hoy);
+
+  return {
+    ...obligacion,
+    parte: convenioParte.parte,
+    ...(convenioParte.convenio && { convenio: convenioParte.convenio }),
+    vencida,
+    diasVencida: vencida ? Math.floor((hoy - obligacion.fechaLimite) / MS_POR_DIA) : 0
+  };
+};
+
+/**
+ * @class ObligacionService
+ * @description Gestión de obligaciones de las partes de un convenio
+ */
+class ObligacionService {
+  /**
+   * Resultado estándar de obligación inexistente
+   */
+  notFound() {
+    return {
+      success: false,
+      error: 'OBLIGACION_NOT_FOUND',
+      message: 'Obligación no encontrada'
+    };
+  }
+
+  /**
+   * Obtiene una obligación verificando que pertenezca al convenio
+   * @param {number} convenioId - ID del convenio
+   * @param {number} obligacionId - ID de la obligación
+   * @returns {Promise<Object|null>} Obligación o null
+   * @complexity O(log n)
+   */
+  async findObligacion(convenioId, obligacionId) {
+    return prisma.obligacion.findFirst({
+      where: { id: obligacionId, convenioId },
+      include: OBLIGACION_INCLUDE
+    });
+  }
+
+  /**
+   * Obtiene el convenio y valida que sus obligaciones puedan modificarse
+   * @param {number} convenioId - ID del convenio
+   * @returns {Promise<Object>} { convenio } o { error } con el resultado fallido
+   * @complexity O(log n)
+   */
+  async loadConvenioEditable(convenioId) {
+    const convenio = await prisma.convenio.findUnique({
+      where: { id: convenioId },
+      select: { id: true, estado: true }
+    });
+
+    if (!convenio) {
+      return {
+        error: {
+          success: false,
+          error: 'CONVENIO_NOT_FOUND',
+          message: 'Convenio no encontrado'
+        }
+      };
+    }
+
+    if (convenio.estado === 'Archivado') {
+      return {
+        error: {
+          success: false,
+          error: 'CONVENIO_ARCHIVADO',
+          message: 'No se pueden modificar las obligaciones de un convenio archivado'
+        }
+      };
+    }
+
+    return { convenio };
+  }
+
+  /**
+   * Valida la parte y el documento de evidencia de una obligación
+   * @param {number} convenioId - ID del convenio
+   * @param {Object} data - Datos validados de la obligación
+   * @returns {Promise<Object|null>} Resultado fallido o null si es válida
+   * @complexity O(log n)
+   */
+  async validateObligacionData(convenioId, data) {
+    if (data.parteId !== undefined) {
+      const vinculo = await prisma.convenioParte.findUnique({
+        where: { convenioId_parteId: { convenioId, parteId: data.parteId } },
+        select: { parteId: true }
+      });
+
+      if (!vinculo) {
+        return {
+          success: false,
+          error: 'PARTE_NO_ASOCIADA',
+          message: 'La parte no está asociada a este convenio'
+        };
+      }
+    }
+
+    if (data.documentId) {
+      const documento = await prisma.document.findFirst({
+        where: { id: data.documentId, convenioId },
+        select: { id: true }
+      });
+
+      if (!documento) {
+        return {
+          success: false,
+          error: 'DOCUMENT_NOT_FOUND',
+          message: 'El documento no existe o no pertenece a este convenio'
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Lista las obligaciones de un convenio ordenadas por fecha límite
+   * @param {number} convenioId - ID del convenio
+   * @param {Object} [query] - Filtros validados por obligacionesQuerySchema
+   * @returns {Promise<Object>} Resultado con el convenio y sus obligaciones
+   * @complexity O(log n + o)
+   */
+  async listObligaciones(convenioId, query = {}) {
+    try {
+      const convenio = await prisma.convenio.findUnique({
+        where: { id: convenioId },
+        select: { id: true, nombre: true, estado: true }
+      });
+
+      if (!convenio) {
+        return {
+          success: false,
+          error: 'CONVENIO_NOT_FOUND',
+          message: 'Convenio no encontrado'
+        };
+      }
+
+      const hoy = inicioDelDia();
+      const where = { convenioId };
+      if (query.estado) where.estado = query.estado;
+      if (query.parteId) where.parteId = query.parteId;
+      if (query.vencidas === true) Object.assign(where, vencidaWhere(hoy));
+      if (query.vencidas === false) {
+        where.NOT = vencidaWhere(hoy);
+      }
+
+      const obligaciones = await prisma.obligacion.findMany({
+        where,
+        ...OBLIGACIONES_DETALLE
+      });
+
+      return {
+        success: true,
+        data: {
+          convenio,
+          obligaciones: obligaciones.map(o => serializeObligacion(o, hoy))
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error al listar obligaciones: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene una obligación de un convenio
+   * @param {number} convenioId - ID del convenio
+   * @param {number} obligacionId - ID de la obligación
+   * @returns {Promise<Object>} Resultado con la obligación
+   * @complexity O(log n)
+   */
+  async getObligacion(convenioId, obligacionId) {
+    try {
+      const obligacion = await this.findObligacion(convenioId, obligacionId);
+      if (!obligacion) return this.notFound();
+
+      return { success: true, data: serializeObligacion(obligacion) };
+    } catch (error) {
+      throw new Error(`Error al obtener obligación: ${error.message}`);
+    }
+  }
+
+  /**
+   * Registra una obligación de una parte del convenio
+   * @param {number} convenioId - ID del convenio
+   * @param {Object} data - Datos validados por createObligacionSchema
+   * @param {number} userId - Usuario que registra la obligación
+   * @returns {Promise<Object>} Resultado con la obligación creada
+   * @complexity O(log n)
+   */
+  async createObligacion(convenioId, data, userId) {
+    try {
+      const { error } = await this.loadConvenioEditable(convenioId);
+      if (error) return error;
+
+      const invalido = await this.validateObligacionData(convenioId, data);
+      if (invalido) return invalido;
+
+      const estado = data.estado || 'Pendiente';
+
+      const obligacion = await prisma.obligacion.create({
+        data: {
+          convenioId,
+          parteId: data.parteId,
+          clausula: data.clausula || null,
+          descripcion: data.descripcion,
+          fechaLimite: new Date(data.fechaLimite),
+          estado,
+          cumplidaEn: estado === 'Cumplida' ? new Date() : null,
+          documentId: data.documentId || null,
+          createdBy: userId
+        },
+        include: OBLIGACION_INCLUDE
+      });
+
+      return {
+        success: true,
+        message: 'Obligación registrada exitosamente',
+        data: serializeObligacion(obligacion)
+      };
+    } catch (error) {
+      throw new Error(`Error al registrar obligación: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualiza una obligación. Al pasar a Cumplida se registra la fecha de
+   * cumplimiento; al salir de Cumplida se borra.
+   * @param {number} convenioId - ID del convenio
+   * @param {number} obligacionId - ID de la obligación
+   * @param {Object} data - Datos validados por patchObligacionSchema
+   * @returns {Promise<Object>} Resultado con la obligación actualizada
+   * @complexity O(log n)
+   */
+  async updateObligacion(convenioId, obligacionId, data) {
+    try {
+      const { error } = await this.loadConvenioEditable(convenioId);
+      if (error) return error;
+
+      const obligacion = await this.findObligacion(convenioId, obligacionId);
+      if (!obligacion) return this.notFound();
+
+      const invalido = await this.validateObligacionData(convenioId, data);
+      if (invalido) return invalido;
+
+      const campos = {};
+      if (data.parteId !== undefined) campos.parteId = data.parteId;
+      if (data.clausula !== undefined) campos.clausula = data.clausula;
+      if (data.descripcion !== undefined) campos.descripcion = data.descripcion;
+      if (data.fechaLimite !== undefined) campos.fechaLimite = new Date(data.fechaLimite);
+      if (data.documentId !== undefined) campos.documentId = data.documentId;
+      if (data.estado !== undefined && data.estado !== obligacion.estado) {
+        campos.estado = data.estado;
+        campos.cumplidaEn = data.estado === 'Cumplida' ? new Date() : null;
+      }
+
+      const actualizada = await prisma.obligacion.update({
+        where: { id: obligacionId },
+        data: campos,
+        include: OBLIGACION_INCLUDE
+      });
+
+      return {
+        success: true,
+        message: 'Obligación actualizada exitosamente',
+        data: serializeObligacion(actualizada)
+      };
+    } catch (error) {
+      throw new Error(`Error al actualizar obligación: ${error.message}`);
+    }
+  }
+
+  /**
+   * Elimina una obligación
+   * @param {number} convenioId - ID del convenio
+   * @param {number} obligacionId - ID de la obligación
+   * @returns {Promise<Object>} Resultado de la eliminación
+   * @complexity O(log n)
+   */
+  async deleteObligacion(convenioId, obligacionId) {
+    try {
+      const { error } = await this.loadConvenioEditable(convenioId);
+      if (error) return error;
+
+      const obligacion = await this.findObligacion(convenioId, obligacionId);
+      if (!obligacion) return this.notFound();
+
+      await prisma.obligacion.delete({ where: { id: obligacionId } });
+
+      return {
+        success: true,
+        message: 'Obligación eliminada exitosamente',
+        data: { id: obligacion.id, parteId: obligacion.parteId }
+      };
+    } catch (error) {
+      throw new Error(`Error al eliminar obligación: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obligaciones vencidas de los convenios activos del alcance del usuario, de la más
+   * antigua a la más reciente
+   * @param {Object} query - Parámetros validados por obligacionesVencidasQuerySchema
+   * @param {number[]|null} [alcance=null] - Unidades visibles (null sin restricción)
+   * @returns {Promise<Object>} Resultado con las obligaciones y paginación
+   * @complexity O(log n + k)
+   */
+  async listVencidas(query, alcance = null) {
+    try {
+      const hoy = inicioDelDia();
+      const where = {
+        ...vencidaWhere(hoy),
+        convenioParte: { convenio: { estado: 'Activo', ...buildAlcanceWhere(alcance) } },
+        ...(query.parteId && { parteId: query.parteId })
+      };
+      const include = {
+        ...OBLIGACION_INCLUDE,
+        convenioParte: {
+          select: {
+            ...OBLIGACION_INCLUDE.convenioParte.select,
+            convenio: { select: { id: true, nombre: true } }
+          }
+        }
+      };
+
+      if (isCursorMode(query)) {
+        const sort = [{ field: 'fechaLimite', order: 'asc' }];
+        const cursorQuery = buildCursorQuery(sort, query, where);
+        if (!cursorQuery) {
+          return {
+            success: false,
+            error: 'INVALID_CURSOR',
+            message: 'Cursor de paginación inválido o generado con otro ordenamiento'
+          };
+        }
+
+        const obligaciones = await prisma.obligacion.findMany({ ...cursorQuery, include });
+        const { items, pagination } = buildCursorPage(obligaciones, sort, query);
+
+        return {
+          success: true,
+          data: items.map(o => serializeObligacion(o, hoy)),
+          pagination
+        };
+      }
+
+      const { page, limit } = query;
+      const [obligaciones, total] = await Promise.all([
+        prisma.obligacion.findMany({
+          where,
+          orderBy: [{ fechaLimite: 'asc' }, { id: 'asc' }],
+          skip: (page - 1) * limit,
+          take: limit,
+          include
+        }),
+        prisma.obligacion.count({ where })
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        success: true,
+        data: obligaciones.map(o => serializeObligacion(o, hoy)),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount: total,
+          limit,
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error al listar obligaciones vencidas: ${error.message}`);
+    }
+  }
+
+  /**
+   * Partes con obligaciones registradas en un convenio. Se usa antes de desasociar
+   * partes, ya que sus obligaciones se eliminarían en cascada.
+   * @param {number} convenioId - ID del convenio
+   * @param {number[]} parteIds - Partes a verificar
+   * @param {Object} [client=prisma] - Cliente de Prisma o de la transacción en curso
+   * @returns {Promise<number[]>} IDs de las partes con obligaciones
+   * @complexity O(log n + o)
+   */
+  async findPartesConObligaciones(convenioId, parteIds, client = prisma) {
+    if (parteIds.length === 0) return [];
+
+    const obligaciones = await client.obligacion.findMany({
+      where: { convenioId, parteId: { in: parteIds } },
+      select: { parteId: true },
+      distinct: ['parteId']
+    });
+
+    return obligaciones.map(o => o.parteId);
+  }
+}
+
+export {
+  ObligacionService,
+  OBLIGACION_INCLUDE,
+  OBLIGACIONES_DETALLE,
+  isVencida,
+  serializeObligacion
+};
+export default ObligacionService;
@@ -0,0 +1,938 @@
+/**
+ * @fileoverview Servicio de Partes (instituciones contraparte)
+ * @description Gestión de partes, de su asociación con convenios (tabla ConvenioParte)
+ * y fusión de partes duplicadas con registro de alias
+ * @author Sistema de Gestión de Convenios
+ * @version 1.1.0
+ *
+ * Complejidad Big O:
+ * - Listado con filtros: O(log n + k) donde k = registros de la página (page o cursor)
+ * - Operaciones por ID: O(log n) usando clave primaria / índice único
+ * - Asociación a convenio: O(p) donde p = número de partes enviadas
+ * - Detección de duplicados: O(n) agrupando por nombre normalizado
+ * - Fusión: O(c) donde c = convenios de la parte absorbida
+ */
+
+import { prisma, PRISMA_UNIQUE_VIOLATION } from '../lib/prisma.js';
+import { isCursorMode, buildCursorQuery, buildCursorPage } from '../lib/cursor-pagination.js';
+import { MIN_PARTES_ACTIVO } from './convenio-workflow.service.js';
+import AporteService from './aportes.service.js';
+import ObligacionService from './obligaciones.service.js';
+import FirmanteService from './firmantes.service.js';
+import { buildAlcanceWhere } from './unidades.service.js';
+import ConvenioHistoryService from './convenio-history.service.js';
+
+/**
+ * Normaliza un nombre para comparar sin distinguir mayúsculas, tildes ni espacios repetidos
+ * @param {string} nombre - Nombre original
+ * @returns {string} Nombre normalizado
+ * @complexity O(m) donde m = longitud del nombre
+ */
+const normalizeNombre = (nombre) => nombre
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * @class ParteService
+ * @description Operaciones CRUD sobre partes y su vínculo con convenios
+ */
+class ParteService {
+  constructor() {
+    this.aporteService = new AporteService();
+    this.obligacionService = new ObligacionService();
+    this.firmanteService = new FirmanteService();
+    this.historyService = new ConvenioHistoryService();
+  }
+
+  /**
+   * Construye la cláusula where para la búsqueda de partes
+   * @param {Object} filtros - { nombre, tipo }
+   * @returns {Object} Cláusula where de Prisma
+   * @complexity O(1)
+   */
+  buildWhere({ nombre, tipo } = {}) {
+    const where = {};
+
+    if (nombre) {
+      // Buscar también por nombres anteriores de partes fusionadas
+      where.OR = [
+        { nombre: { contains: nombre, mode: 'insensitive' } },
+        { aliases: { some: { nombre: { contains: nombre, mode: 'insensitive' } } } }
+      ];
+    }
+
+    if (tipo) {
+      where.tipo = { equals: tipo, mode: 'insensitive' };
+    }
+
+    return where;
+  }
+
+  /**
+   * Lista partes con búsqueda por nombre/tipo y paginación
+   * @param {Object} query - Parámetros validados por partesQuerySchema
+   * @returns {Promise<Object>} Resultado con partes y paginación
+   * @complexity O(log n + k)
+   */
+  async listPartes(query) {
+    try {
+      if (isCursorMode(query)) return await this.listPartesByCursor(query);
+
+      const { page, limit, sortBy, sortOrder } = query;
+      const where = this.buildWhere(query);
+
+      const [partes, total] = await Promise.all([
+        prisma.parte.findMany({
+          where,
+          orderBy: { [sortBy]: sortOrder },
+          skip: (page - 1) * limit,
+          take: limit,
+          include: {
+            _count: { select: { convenios: true } }
+          }
+        }),
+        prisma.parte.count({ where })
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        success: true,
+        data: partes.map(({ _count, ...parte }) => ({
+          ...parte,
+          totalConvenios: _count.convenios
+        })),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount: total,
+          limit,
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error al listar partes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lista partes con paginación por cursor (after/before)
+   * @param {Object} query - Parámetros validados por partesQuerySchema
+   * @returns {Promise<Object>} Resultado con partes y paginación por cursor
+   * @complexity O(log n + k)
+   */
+  async listPartesByCursor(query) {
+    const { limit, sortBy, sortOrder } = query;
+    const sort = [{ field: sortBy, order: sortOrder, nullable: sortBy === 'tipo' }];
+
+    const cursorQuery = buildCursorQuery(sort, query, this.buildWhere(query));
+    if (!cursorQuery) {
+      return {
+        success: false,
+        error: 'INVALID_CURSOR',
+        message: 'Cursor de paginación inválido o generado con otro ordenamiento'
+      };
+    }
+
+    const partes = await prisma.parte.findMany({
+      ...cursorQuery,
+      include: {
+        _count: { select: { convenios: true } }
+      }
+    });
+
+    const { items, pagination } = buildCursorPage(partes, sort, query);
+
+    return {
+      success: true,
+      data: items.map(({ _count, ...parte }) => ({
+        ...parte,
+        totalConvenios: _count.convenios
+      })),
+      pagination
+    };
+  }
+
+  /**
+   * Obtiene una parte por ID
+   * @param {number} id - ID de la parte
+   * @returns {Promise<Object>} Resultado con la parte
+   * @complexity O(log n)
+   */
+  async getParteById(id) {
+    try {
+      const parte = await prisma.parte.findUnique({
+        where: { id },
+        include: {
+          aliases: { select: { nombre: true, createdAt: true } },
+          _count: { select: { convenios: true } }
+        }
+      });
+
+      if (!parte) {
+        return {
+          success: false,
+          error: 'PARTE_NOT_FOUND',
+          message: 'Parte no encontrada'
+        };
+      }
+
+      const { _count, ...datos } = parte;
+
+      return {
+        success: true,
+        data: { ...datos, totalConvenios: _count.convenios }
+      };
+    } catch (error) {
+      throw new Error(`Error al obtener parte: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verifica que un nombre no esté registrado como alias de otra parte
+   * @param {string} nombre - Nombre a comprobar
+   * @param {number} [parteId] - Parte que puede usar el nombre (la dueña del alias)
+   * @returns {Promise<Object|null>} Resultado fallido o null si no hay conflicto
+   * @complexity O(log n)
+   */
+  async findAliasConflict(nombre, parteId = null) {
+    const alias = await prisma.parteAlias.findUnique({
+      where: { nombre },
+      select: { parteId: true }
+    });
+
+    if (!alias || alias.parteId === parteId) return null;
+
+    return {
+      success: false,
+      error: 'PARTE_DUPLICADA',
+      message: `"${nombre}" es un nombre anterior de la parte ${alias.parteId}`
+    };
+  }
+
+  /**
+   * Crea una parte
+   * @param {Object} data - Datos validados por createParteSchema
+   * @returns {Promise<Object>} Resultado con la parte creada
+   * @complexity O(log n)
+   */
+  async createParte(data) {
+    try {
+      const conflicto = await this.findAliasConflict(data.nombre);
+      if (conflicto) return conflicto;
+
+      const parte = await prisma.parte.create({
+        data: {
+          nombre: data.nombre,
+          contacto: data.contacto ?? null,
+          tipo: data.tipo ?? null
+        }
+      });
+
+      return {
+        success: true,
+        message: 'Parte creada exitosamente',
+        data: parte
+      };
+    } catch (error) {
+      if (error.code === PRISMA_UNIQUE_VIOLATION) {
+        return {
+          success: false,
+          error: 'PARTE_DUPLICADA',
+          message: `Ya existe una parte con el nombre "${data.nombre}"`
+        };
+      }
+      throw new Error(`Error al crear parte: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualiza una parte (solo los campos enviados)
+   * @param {number} id - ID de la parte
+   * @param {Object} data - Datos validados por patchParteSchema
+   * @returns {Promise<Object>} Resultado con la parte actualizada
+   * @complexity O(log n)
+   */
+  async updateParte(id, data) {
+    try {
+      const existente = await prisma.parte.findUnique({
+        where: { id },
+        select: { id: true }
+      });
+
+      if (!existente) {
+        return {
+          success: false,
+          error: 'PARTE_NOT_FOUND',
+          message: 'Parte no encontrada'
+        };
+      }
+
+      if (data.nombre !== undefined) {
+        const conflicto = await this.findAliasConflict(data.nombre, id);
+        if (conflicto) return conflicto;
+      }
+
+      const parte = await prisma.parte.update({
+        where: { id },
+        data
+      });
+
+      return {
+        success: true,
+        message: 'Parte actualizada exitosamente',
+        data: parte
+      };
+    } catch (error) {
+      if (error.code === PRISMA_UNIQUE_VIOLATION) {
+        return {
+          success: false,
+          error: 'PARTE_DUPLICADA',
+          message: `Ya existe una parte con el nombre "${data.nombre}"`
+        };
+      }
+      throw new Error(`Error al actualizar parte: ${error.message}`);
+    }
+  }
+
+  /**
+   * Elimina una parte. No se permite si está asociada a algún convenio,
+   * para no alterar convenios existentes de forma implícita.
+   * @param {number} id - ID de la parte
+   * @returns {Promise<Object>} Resultado de la eliminación
+   * @complexity O(log n)
+   */
+  async deleteParte(id) {
+    try {
+      const parte = await prisma.parte.findUnique({
+        where: { id },
+        include: {
+          _count: { select: { convenios: true } }
+        }
+      });
+
+      if (!parte) {
+        return {
+          success: false,
+          error: 'PARTE_NOT_FOUND',
+          message: 'Parte no encontrada'
+        };
+      }
+
+      if (parte._count.convenios > 0) {
+        return {
+          success: false,
+          error: 'PARTE_EN_USO',
+          message: `La parte está asociada a ${parte._count.convenios} convenio(s). Desasóciela antes de eliminarla`
+        };
+      }
+
+      await prisma.parte.delete({ where: { id } });
+
+      return {
+        success: true,
+        message: 'Parte eliminada exitosamente',
+        data: { id: parte.id, nombre: parte.nombre }
+      };
+    } catch (error) {
+      throw new Error(`Error al eliminar parte: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lista los convenios de una parte con su estado, limitados al alcance del usuario
+   * @param {number} id - ID de la parte
+   * @param {number[]|null} [alcance=null] - Unidades visibles (null sin restricción)
+   * @returns {Promise<Object>} Resultado con la parte y sus convenios
+   * @complexity O(log n + c) donde c = convenios de la parte
+   */
+  async getConveniosByParte(id, alcance = null) {
+    try {
+      const parte = await prisma.parte.findUnique({
+        where: { id },
+        include: {
+          convenios: {
+            where: { convenio: buildAlcanceWhere(alcance) },
+            include: {
+              convenio: {
+                select: {
+                  id: true,
+                  nombre: true,
+                  estado: true,
+                  fechaInicio: true,
+                  fechaFin: true
+                }
+              }
+            }
+          }
+        }
+      });
+
+      if (!parte) {
+        return {
+          success: false,
+          error: 'PARTE_NOT_FOUND',
+          message: 'Parte no encontrada'
+        };
+      }
+
+      const { convenios: vinculos, ...datosParte } = parte;
+      const convenios = vinculos
+        .map(vinculo => vinculo.convenio)
+        .sort((a, b) => b.fechaInicio - a.fechaInicio);
+
+      // Conteo por estado - O(c)
+      const porEstado = convenios.reduce((acc, convenio) => {
+        acc[convenio.estado] = (acc[convenio.estado] || 0) + 1;
+        return acc;
+      }, {});
+
+      return {
+        success: true,
+        data: {
+          parte: datosParte,
+          convenios,
+          resumen: {
+            total: convenios.length,
+            porEstado
+          }
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error al obtener convenios de la parte: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resultado estándar al agregar partes a un convenio Activo: sus firmantes solo pueden
+   * registrarse en Borrador, por lo que una parte nueva nunca tendría las firmas exigidas
+   */
+  partesNuevasEnActivo() {
+    return {
+      success: false,
+      error: 'PARTES_CONVENIO_ACTIVO',
+      message: 'No se pueden agregar partes a un convenio activo: sus firmantes solo se registran en Borrador. Renueve el convenio para cambiar sus partes'
+    };
+  }
+
+  /**
+   * Obtiene el convenio y valida que sus partes puedan modificarse
+   * @param {number} convenioId - ID del convenio
+   * @param {Object} [client=prisma] - Cliente de Prisma o de la transacción en curso
+   * @returns {Promise<Object>} { convenio } o { error } con el resultado fallido
+   * @complexity O(log n)
+   */
+  async loadConvenioEditable(convenioId, client = prisma) {
+    const convenio = await client.convenio.findUnique({
+      where: { id: convenioId },
+      select: {
+        id: true,
+        estado: true,
+        _count: { select: { partes: true } }
+      }
+    });
+
+    if (!convenio) {
+      return {
+        error: {
+          success: false,
+          error: 'CONVENIO_NOT_FOUND',
+          message: 'Convenio no encontrado'
+        }
+      };
+    }
+
+    if (convenio.estado === 'Archivado') {
+      return {
+        error: {
+          success: false,
+          error: 'CONVENIO_ARCHIVADO',
+          message: 'No se pueden modificar las partes de un convenio archivado'
+        }
+      };
+    }
+
+    return { convenio };
+  }
+
+  /**
+   * Lista las partes asociadas a un convenio
+   * @param {number} convenioId - ID del convenio
+   * @returns {Promise<Object>} Resultado con las partes
+   * @complexity O(log n + p)
+   */
+  async getPartesByConvenio(convenioId) {
+    try {
+      const convenio = await prisma.convenio.findUnique({
+        where: { id: convenioId },
+        select: {
+          id: true,
+          nombre: true,
+          estado: true,
+          partes: {
+            include: { parte: true },
+            orderBy: { parte: { nombre: 'asc' } }
+          }
+        }
+      });
+
+      if (!convenio) {
+        return {
+          success: false,
+          error: 'CONVENIO_NOT_FOUND',
+          message: 'Convenio no encontrado'
+        };
+      }
+
+      const { partes, ...datosConvenio } = convenio;
+
+      return {
+        success: true,
+        data: {
+          convenio: datosConvenio,
+          partes: partes.map(vinculo => vinculo.parte)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error al obtener partes del convenio: ${error.message}`);
+    }
+  }
+
+  /**
+   * Asocia partes a un convenio. Las partes por ID deben existir; las partes por
+   * nombre se reutilizan o se crean. Las ya asociadas se ignoran. Un convenio Activo
+   * no admite partes nuevas; el estado se vuelve a verificar con la fila del convenio
+   * bloqueada para no cruzarse con su activación.
+   * @param {number} convenioId - ID del convenio
+   * @param {Array<Object>} partes - Partes validadas por attachPartesSchema
+   * @returns {Promise<Object>} Resultado con las partes asociadas
+   * @complexity O(p)
+   */
+  async attachPartes(convenioId, partes) {
+    try {
+      const { convenio, error } = await this.loadConvenioEditable(convenioId);
+      if (error) return error;
+
+      if (convenio.estado === 'Activo') return this.partesNuevasEnActivo();
+
+      partes = await this.resolveAliases(partes);
+
+      const ids = partes.filter(p => p.parteId).map(p => p.parteId);
+      if (ids.length > 0) {
+        const existentes = await prisma.parte.findMany({
+          where: { id: { in: ids } },
+          select: { id: true }
+        });
+        const existentesSet = new Set(existentes.map(p => p.id));
+        const faltantes = ids.filter(id => !existentesSet.has(id));
+
+        if (faltantes.length > 0) {
+          return {
+            success: false,
+            error: 'PARTE_NOT_FOUND',
+            message: `Partes no encontradas: ${faltantes.join(', ')}`
+          };
+        }
+      }
+
+      const { agregadas, error: rechazo } = await prisma.$transaction(async (tx) => {
+        await this.historyService.lockConvenio(tx, convenioId);
+
+        const bloqueado = await this.loadConvenioEditable(convenioId, tx);
+        if (bloqueado.error) return { error: bloqueado.error };
+        if (bloqueado.convenio.estado === 'Activo') return { error: this.partesNuevasEnActivo() };
+
+        const parteIds = new Set(ids);
+
+        // Resolver partes por nombre (reutilizar o crear) - O(p)
+        for (const parte of partes.filter(p => !p.parteId)) {
+          const nombre = parte.nombre.trim();
+          const registro = await tx.parte.upsert({
+            where: { nombre },
+            update: {},
+            create: {
+              nombre,
+              contacto: parte.contacto || null,
+              tipo: parte.tipo || null
+            },
+            select: { id: true }
+          });
+          parteIds.add(registro.id);
+        }
+
+        const { count } = await tx.convenioParte.createMany({
+          data: Array.from(parteIds).map(parteId => ({ convenioId, parteId })),
+          skipDuplicates: true
+        });
+
+        return { agregadas: count };
+      });
+
+      if (rechazo) return rechazo;
+
+      const resultado = await this.getPartesByConvenio(convenioId);
+
+      return {
+        success: true,
+        message: agregadas > 0
+          ? `${agregadas} parte(s) asociada(s) al convenio`
+          : 'Las partes ya estaban asociadas al convenio',
+        data: resultado.data
+      };
+    } catch (error) {
+      throw new Error(`Error al asociar partes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verifica que la parte no tenga aportes, obligaciones ni firmantes en el convenio,
+   * ya que se eliminarían en cascada al desasociarla
+   * @param {number} convenioId - ID del convenio
+   * @param {number} parteId - ID de la parte
+   * @param {Object} [client=prisma] - Cliente de Prisma o de la transacción en curso
+   * @returns {Promise<Object|null>} Resultado fallido o null si puede desasociarse
+   * @complexity O(log n)
+   */
+  async findDependientesParte(convenioId, parteId, client = prisma) {
+    const [conAportes, conObligaciones, conFirmantes] = await Promise.all([
+      this.aporteService.findPartesConAportes(convenioId, [parteId], client),
+      this.obligacionService.findPartesConObligaciones(convenioId, [parteId], client),
+      this.firmanteService.findPartesConFirmantes(convenioId, [parteId], client)
+    ]);
+
+    if (conAportes.length > 0) {
+      return {
+        success: false,
+        error: 'PARTE_CON_APORTES',
+        message: 'La parte tiene aportes registrados en este convenio. Elimínelos antes de desasociarla'
+      };
+    }
+
+    if (conObligaciones.length > 0) {
+      return {
+        success: false,
+        error: 'PARTE_CON_OBLIGACIONES',
+        message: 'La parte tiene obligaciones registradas en este convenio. Elimínelas antes de desasociarla'
+      };
+    }
+
+    if (conFirmantes.length > 0) {
+      return {
+        success: false,
+        error: 'PARTE_CON_FIRMANTES',
+        message: 'La parte tiene firmantes registrados en este convenio. Elimínelos antes de desasociarla'
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Bloquea los vínculos de las partes con el convenio (SELECT ... FOR UPDATE). Los
+   * aportes, obligaciones y firmantes nuevos referencian el vínculo por clave foránea y
+   * esperan a este bloqueo, así que los dependientes verificados después no cambian
+   * hasta que la transacción termina.
+   * @param {Object} tx - Cliente de la transacción en curso
+   * @param {number} convenioId - ID del convenio
+   * @param {number[]} parteIds - Partes a bloquear
+   * @returns {Promise<number[]>} IDs de las partes asociadas al convenio
+   * @complexity O(log n + p)
+   */
+  async lockPartesConvenio(tx, convenioId, parteIds) {
+    if (parteIds.length === 0) return [];
+
+    const vinculos = await tx.$queryRaw`
+      SELECT "parteId"
+      FROM "ConvenioParte"
+      WHERE "convenioId" = ${convenioId} AND "parteId" = ANY(${parteIds})
+      FOR UPDATE
+    `;
+
+    return vinculos.map(v => v.parteId);
+  }
+
+  /**
+   * Desasocia una parte de un convenio. Un convenio Activo no puede quedar
+   * con menos partes de las exigidas para activarlo. Las verificaciones y el borrado
+   * se hacen en una transacción con el convenio y el vínculo bloqueados.
+   * @param {number} convenioId - ID del convenio
+   * @param {number} parteId - ID de la parte
+   * @returns {Promise<Object>} Resultado de la operación
+   * @complexity O(log n)
+   */
+  async detachParte(convenioId, parteId) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        await this.historyService.lockConvenio(tx, convenioId);
+
+        const { convenio, error } = await this.loadConvenioEditable(convenioId, tx);
+        if (error) return error;
+
+        const [asociada] = await this.lockPartesConvenio(tx, convenioId, [parteId]);
+
+        if (!asociada) {
+          return {
+            success: false,
+            error: 'PARTE_NO_ASOCIADA',
+            message: 'La parte no está asociada a este convenio'
+          };
+        }
+
+        if (convenio.estado === 'Activo' && convenio._count.partes <= MIN_PARTES_ACTIVO) {
+          return {
+            success: false,
+            error: 'MINIMO_PARTES',
+            message: `Un convenio activo debe mantener al menos ${MIN_PARTES_ACTIVO} partes`
+          };
+        }
+
+        // Desasociar la parte eliminaría en cascada sus aportes, obligaciones y firmantes en el convenio
+        const dependientes = await this.findDependientesParte(convenioId, parteId, tx);
+        if (dependientes) return dependientes;
+
+        await tx.convenioParte.delete({
+          where: { convenioId_parteId: { convenioId, parteId } }
+        });
+
+        return {
+          success: true,
+          message: 'Parte desasociada del convenio',
+          data: { convenioId, parteId }
+        };
+      });
+    } catch (error) {
+      throw new Error(`Error al desasociar parte: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sustituye las partes enviadas por nombre que coinciden con un alias
+   * por la parte que sobrevivió a la fusión
+   * @param {Array<Object>} partes - Partes por ID ({ parteId }) o por nombre ({ nombre, ... })
+   * @returns {Promise<Array<Object>>} Partes con los alias resueltos a { parteId }
+   * @complexity O(p + log n)
+   */
+  async resolveAliases(partes = []) {
+    const nombres = partes.filter(p => !p.parteId).map(p => p.nombre.trim());
+    if (nombres.length === 0) return partes;
+
+    const aliases = await prisma.parteAlias.findMany({
+      where: { nombre: { in: nombres } },
+      select: { nombre: true, parteId: true }
+    });
+    if (aliases.length === 0) return partes;
+
+    const aliasMap = new Map(aliases.map(alias => [alias.nombre, alias.parteId]));
+
+    return partes.map((parte) => {
+      if (parte.parteId) return parte;
+      const parteId = aliasMap.get(parte.nombre.trim());
+      return parteId ? { parteId } : parte;
+    });
+  }
+
+  /**
+   * Agrupa partes cuyo nombre coincide sin distinguir mayúsculas, tildes ni espacios
+   * @returns {Promise<Object>} Resultado con los grupos de posibles duplicados
+   * @complexity O(n)
+   */
+  async findDuplicateCandidates() {
+    try {
+      const partes = await prisma.parte.findMany({
+        select: {
+          id: true,
+          nombre: true,
+          tipo: true,
+          _count: { select: { convenios: true } }
+        },
+        orderBy: { id: 'asc' }
+      });
+
+      const grupos = new Map();
+      partes.forEach(({ _count, ...parte }) => {
+        const clave = normalizeNombre(parte.nombre);
+        if (!grupos.has(clave)) grupos.set(clave, []);
+        grupos.get(clave).push({ ...parte, totalConvenios: _count.convenios });
+      });
+
+      const duplicados = Array.from(grupos.entries())
+        .filter(([, grupo]) => grupo.length > 1)
+        .map(([nombreNormalizado, grupo]) => ({ nombreNormalizado, partes: grupo }));
+
+      return {
+        success: true,
+        data: duplicados,
+        total: duplicados.length
+      };
+    } catch (error) {
+      throw new Error(`Error al buscar partes duplicadas: ${error.message}`);
+    }
+  }
+
+  /**
+   * Calcula el plan de fusión de una parte en otra sin modificar datos
+   * @param {number} sourceId - Parte que se absorbe (se elimina)
+   * @param {number} targetId - Parte que sobrevive
+   * @param {Object} [client=prisma] - Cliente de Prisma o de la transacción en curso
+   * @returns {Promise<Object>} { plan } o { error } con el resultado fallido
+   * @complexity O(c) donde c = convenios de ambas partes
+   */
+  async buildMergePlan(sourceId, targetId, client = prisma) {
+    if (sourceId === targetId) {
+      return {
+        error: {
+          success: false,
+          error: 'MERGE_MISMA_PARTE',
+          message: 'La parte origen y la parte destino deben ser distintas'
+        }
+      };
+    }
+
+    const incluir = {
+      convenios: { select: { convenioId: true } },
+      aliases: { select: { nombre: true } }
+    };
+
+    const [source, target] = await Promise.all([
+      client.parte.findUnique({ where: { id: sourceId }, include: incluir }),
+      client.parte.findUnique({ where: { id: targetId }, include: incluir })
+    ]);
+
+    if (!source || !target) {
+      return {
+        error: {
+          success: false,
+          error: 'PARTE_NOT_FOUND',
+          message: `Parte no encontrada: ${!source ? sourceId : targetId}`
+        }
+      };
+    }
+
+    const conveniosDestino = new Set(target.convenios.map(v => v.convenioId));
+    const conveniosOrigen = source.convenios.map(v => v.convenioId);
+
+    // Campos vacíos del destino que se completan con los del origen
+    const camposCompletados = {};
+    ['contacto', 'tipo'].forEach((campo) => {
+      if (!target[campo] && source[campo]) camposCompletados[campo] = source[campo];
+    });
+
+    return {
+      plan: {
+        origen: { id: source.id, nombre: source.nombre },
+        destino: { id: target.id, nombre: target.nombre },
+        conveniosReasignados: conveniosOrigen.filter(id => !conveniosDestino.has(id)),
+        conveniosOmitidos: conveniosOrigen.filter(id => conveniosDestino.has(id)),
+        aliasesNuevos: [source.nombre, ...source.aliases.map(a => a.nombre)],
+        camposCompletados
+      }
+    };
+  }
+
+  /**
+   * Fusiona una parte en otra: reasigna sus convenios (omitiendo los que ya tiene
+   * el destino), conserva su nombre como alias del destino y la elimina.
+   * Con dryRun solo devuelve el informe de lo que se haría. Al ejecutarla, el plan se
+   * recalcula dentro de la transacción con ambas partes bloqueadas, para que los
+   * convenios asociados entre la simulación y la fusión no dupliquen vínculos.
+   * @param {number} sourceId - Parte que se absorbe
+   * @param {number} targetId - Parte que sobrevive
+   * @param {Object} [options] - { dryRun }
+   * @returns {Promise<Object>} Resultado con el informe de la fusión
+   * @complexity O(c)
+   */
+  async mergePartes(sourceId, targetId, { dryRun = true } = {}) {
+    try {
+      if (dryRun) {
+        const { plan, error } = await this.buildMergePlan(sourceId, targetId);
+        if (error) return error;
+
+        return {
+          success: true,
+          dryRun: true,
+          message: 'Simulación de fusión: no se modificaron datos',
+          data: plan
+        };
+      }
+
+      const { plan, error } = await prisma.$transaction(async (tx) => {
+        // Asociar una parte a un convenio referencia su fila y espera a este bloqueo
+        await tx.$queryRaw`
+          SELECT id FROM "Parte"
+          WHERE id IN (${sourceId}, ${targetId})
+          ORDER BY id
+          FOR UPDATE
+        `;
+
+        const resultado = await this.buildMergePlan(sourceId, targetId, tx);
+        if (resultado.error) return resultado;
+
+        const { plan } = resultado;
+
+        // Vínculos que duplicarían la clave (convenioId, parteId) del destino;
+        // sus aportes, obligaciones y firmantes pasan antes al vínculo del destino en el mismo convenio
+        if (plan.conveniosOmitidos.length > 0) {
+          await tx.aporte.updateMany({
+            where: { parteId: sourceId, convenioId: { in: plan.conveniosOmitidos } },
+            data: { parteId: targetId }
+          });
+          await tx.obligacion.updateMany({
+            where: { parteId: sourceId, convenioId: { in: plan.conveniosOmitidos } },
+            data: { parteId: targetId }
+          });
+          await tx.firmante.updateMany({
+            where: { parteId: sourceId, convenioId: { in: plan.conveniosOmitidos } },
+            data: { parteId: targetId }
+          });
+          await tx.convenioParte.deleteMany({
+            where: { parteId: sourceId, convenioId: { in: plan.conveniosOmitidos } }
+          });
+        }
+
+        await tx.convenioParte.updateMany({
+          where: { parteId: sourceId },
+          data: { parteId: targetId }
+        });
+
+        await tx.parteAlias.updateMany({
+          where: { parteId: sourceId },
+          data: { parteId: targetId }
+        });
+
+        await tx.parte.delete({ where: { id: sourceId } });
+
+        // El nombre de la parte absorbida queda libre tras eliminarla
+        await tx.parteAlias.create({
+          data: { nombre: plan.origen.nombre, parteId: targetId }
+        });
+
+        if (Object.keys(plan.camposCompletados).length > 0) {
+          await tx.parte.update({
+            where: { id: targetId },
+            data: plan.camposCompletados
+          });
+        }
+
+        return { plan };
+      });
+
+      if (error) return error;
+
+      return {
+        success: true,
+        dryRun: false,
+        message: `Parte "${plan.origen.nombre}" fusionada en "${plan.destino.nombre}"`,
+        data: plan
+      };
+    } catch (error) {
+      throw new Error(`Error al fusionar partes: ${error.message}`);
+    }
+  }
+}
+
+export { ParteService, normalizeNombre };
+export default ParteService;
@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Servicio de recuperación de contraseña
+ * @description Emite enlaces de recuperación de un solo uso y con vencimiento, y restablece
+ * la contraseña al recibir uno válido. El token solo viaja en el correo; en la base de datos
+ * se guarda su hash SHA-256, igual que los refresh tokens. Solicitar un nuevo enlace anula
+ * los anteriores y restablecer la contraseña revoca todas las sesiones del usuario y
+ * desbloquea la cuenta si estaba bloqueada por intentos fallidos.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Complejidad Big O:
+ * - Solicitud: O(log n) + envío del correo
+ * - Restablecimiento: O(log n + s) + O(2^saltRounds) por el hash, s = sesiones del usuario
+ */
+
+import { prisma } from '../lib/prisma.js';
+import { createMailer } from '../lib/mailer.js';
+import { generateOneTimeToken, hashOneTimeToken, buildTokenLink } from '../lib/one-time-token.js';
+import TokenService from './token.service.js';
+import { LOCKOUT_RESET_DATA } from './login-lockout.service.js';
+import PasswordValidationService from './password-validation.service.js';
+
+/**
+ * Vigencia por defecto de un enlace de recuperación, en minutos
+ */
+const DEFAULT_RESET_TTL_MINUTES = 60;
+
+/**
+ * Página del frontend que recibe el token por defecto
+ */
+const DEFAULT_RESET_URL = 'http://localhost:5173/reset-password';
+
+/**
+ * Respuesta de la solicitud, igual exista o no la cuenta para no revelar qué emails están registrados
+ */
+const REQUEST_RESULT = {
+  success: true,
+  message: 'Si el email está registrado, recibirás un enlace para restablecer tu contraseña'
+};
+
+/**
+ * Correo con el enlace de recuperación
+ * @param {string} link - Enlace con el token
+ * @param {number} ttlMinutes - Vigencia del enlace
+ * @returns {{ subject: string, text: string, html: string }}
+ * @complexity O(1)
+ */
+const buildResetEmail = (link, ttlMinutes) => ({
+  subject: 'Restablecer tu contraseña - Gestión de Convenios',
+  text: [
+    'Recibimos una solicitud para restablecer la contraseña de tu cuenta.',
+    '',
+    `Abre el siguiente enlace para elegir una nueva contraseña (válido por ${ttlMinutes} minutos):`,
+    link,
+    '',
+    'Si no la solicitaste, ignora este correo: tu contraseña actual sigue siendo válida.'
+  ].join('\n'),
+  html: [
+    '<p>Recibimos una solicitud para restablecer la contraseña de tu cuenta.</p>',
+    `<p><a href="${link}">Elegir una nueva contraseña</a> (enlace válido por ${ttlMinutes} minutos).</p>`,
+    '<p>Si no la solicitaste, ignora este correo: tu contraseña actual sigue siendo válida.</p>'
+  ].join('\n')
+});
+
+class PasswordResetService {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.mailer] - Mailer (por defecto el configurado en el entorno)
+   * @param {number} [options.ttlMinutes] - Vigencia de los enlaces
+   * @param {string} [options.resetUrl] - Página del frontend que recibe el token
+   */
+  constructor(options = {}) {
+    this.mailer = options.mailer || createMailer();
+    this.ttlMinutes = options.ttlMinutes
+      || parseInt(process.env.PASSWORD_RESET_TTL_MINUTES)
+      || DEFAULT_RESET_TTL_MINUTES;
+    this.resetUrl = options.resetUrl || process.env.PASSWORD_RESET_URL || DEFAULT_RESET_URL;
+    this.tokenService = new TokenService();
+    this.passwordValidator = new PasswordValidationService({
+      saltRounds: parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12
+    });
+  }
+
+  /**
+   * Enlace de recuperación para un token
+   * @param {string} token - Token en claro
+   * @returns {string}
+   * @complexity O(1)
+   */
+  buildResetLink(token) {
+    return buildTokenLink(this.resetUrl, token);
+  }
+
+  /**
+   * Solicitar un enlace de recuperación. Las cuentas inexistentes o desactivadas reciben la
+   * misma respuesta, pero no se les envía nada.
+   * @param {string} email - Email de la cuenta
+   * @returns {Promise<Object>}
+   * @complexity O(log n) + envío del correo
+   */
+  async requestReset(email) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { email: email.toLowerCase().trim() },
+        select: { id: true, email: true, isActive: true }
+      });
+
+      if (!user || !user.isActive) {
+        return REQUEST_RESULT;
+      }
+
+      const token = generateOneTimeToken();
+      const ahora = new Date();
+
+      await prisma.$transaction([
+        // Un nuevo enlace anula los anteriores que sigan pendientes
+        prisma.passwordResetToken.updateMany({
+          where: { userId: user.id, usedAt: null },
+          data: { usedAt: ahora }
+        }),
+        prisma.passwordResetToken.create({
+          data: {
+            tokenHash: hashOneTimeToken(token),
+            userId: user.id,
+            expiresAt: new Date(ahora.getTime() + this.ttlMinutes * 60 * 1000)
+          }
+        })
+      ]);
+
+      try {
+        await this.mailer.send({
+          to: user.email,
+          ...buildResetEmail(this.buildResetLink(token), this.ttlMinutes)
+        });
+      } catch (error) {
+        // La respuesta no cambia para no revelar que la cuenta existe
+        console.error(`❌ [PASSWORD_RESET_MAIL_ERROR] UserID: ${user.id} - ${error.message}`);
+      }
+
+      return REQUEST_RESULT;
+    } catch (error) {
+      throw new Error(`Error al solicitar recuperación de contraseña: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restablecer la contraseña con un token de recuperación
+   * @param {string} token - Token recibido por correo
+   * @param {string} newPassword - Nueva contraseña, ya validada contra la política
+   * @returns {Promise<Object>} data incluye sesionesRevocadas
+   * @complexity O(log n + s) + O(2^saltRounds)
+   */
+  async resetPassword(token, newPassword) {
+    const invalidResult = {
+      success: false,
+      error: 'INVALID_RESET_TOKEN',
+      message: 'El enlace de recuperación es inválido o ha expirado'
+    };
+
+    try {
+      const registro = await prisma.passwordResetToken.findUnique({
+        where: { tokenHash: hashOneTimeToken(token) },
+        include: { user: { select: { id: true, isActive: true } } }
+      });
+
+      const ahora = new Date();
+
+      if (!registro || registro.usedAt || registro.expiresAt <= ahora || !registro.user.isActive) {
+        return invalidResult;
+      }
+
+      const hashResult = await this.passwordValidator.hashPassword(newPassword);
+
+      if (!hashResult.success) {
+        return {
+          success: false,
+          error: 'PASSWORD_HASH_ERROR',
+          message: 'Error procesando la contraseña'
+        };
+      }
+
+      const aplicado = await prisma.$transaction(async (tx) => {
+        // Marcar el token como usado solo si nadie lo usó mientras tanto
+        const { count } = await tx.passwordResetToken.updateMany({
+          where: { id: registro.id, usedAt: null },
+          data: { usedAt: ahora }
+        });
+
+        if (count === 0) return false;
+
+        await tx.passwordResetToken.updateMany({
+          where: { userId: registro.userId, usedAt: null },
+          data: { usedAt: ahora }
+        });
+
+        await tx.user.update({
+          where: { id: registro.userId },
+          data: {
+            password: hashResult.hash,
+            mustChangePassword: false,
+            passwordChangedAt: ahora,
+            ...LOCKOUT_RESET_DATA
+          }
+        });
+
+        return true;
+      });
+
+      if (!aplicado) return invalidResult;
+
+      const sesionesRevocadas = await this.tokenService.revokeAllUserTokens(registro.userId);
+
+      return {
+        success: true,
+        data: { userId: registro.userId, sesionesRevocadas },
+        message: 'Contraseña restablecida exitosamente. Inicia sesión con tu nueva contraseña'
+      };
+    } catch (error) {
+      throw new Error(`Error al restablecer contraseña: ${error.message}`);
+    }
+  }
+}
+
+export { buildResetEmail };
+
+export default PasswordResetService;
@@ -1,12 +1,18 @@
 /**
  * @fileoverview Lógica Avanzada de Validación de Contraseñas con Hash
- * @description Implementa Strategy Pattern, Decorator Pattern y análisis Big O para validación segura
+ * @description Implementa Strategy Pattern, Decorator Pattern y análisis Big O para validación segura.
+ * Soporta bcrypt y scrypt (elegido con PASSWORD_HASH_ALGORITHM). Cada hash lleva el prefijo
+ * de su algoritmo y sus parámetros, de modo que se verifican los hashes de cualquier
+ * algoritmo soportado y se detectan los que conviene regenerar con la configuración actual.
  * @author Sistema de Gestión de Convenios
- * @version 1.0.0
+ * @version 1.1.0
  */
 
 import bcrypt from 'bcrypt';
 import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scryptAsync = promisify(crypto.scrypt);
 
 /**
  * Strategy Pattern: Diferentes estrategias de hashing de contraseñas
@@ -24,6 +30,20 @@ class PasswordHashStrategy {
   getComplexity() {
     throw new Error('getComplexity() debe ser implementado por la clase hija');
   }
+
+  /**
+   * Indica si el hash fue generado por esta estrategia (según su prefijo)
+   */
+  matches(hash) {
+    throw new Error('matches() debe ser implementado por la clase hija');
+  }
+
+  /**
+   * Indica si el hash usa parámetros distintos de los configurados y conviene regenerarlo
+   */
+  needsRehash(hash) {
+    throw new Error('needsRehash() debe ser implementado por la clase hija');
+  }
 }
 
 /**
@@ -37,6 +57,26 @@ class BcryptStrategy extends PasswordHashStrategy {
     this.algorithm = 'bcrypt';
   }
 
+  static fromOptions(options = {}) {
+    return new BcryptStrategy(options.saltRounds || 12);
+  }
+
+  /**
+   * Prefijos de los hashes bcrypt ($2a$, $2b$, $2y$)
+   * Complejidad: O(1)
+   */
+  matches(hash) {
+    return typeof hash === 'string' && /^\$2[aby]\$/.test(hash);
+  }
+
+  /**
+   * El hash se regenera si su costo difiere de BCRYPT_SALT_ROUNDS
+   * Complejidad: O(1)
+   */
+  needsRehash(hash) {
+    return this._analyzeHash(hash).saltRounds !== this.saltRounds;
+  }
+
   /**
    * Hash de contraseña con bcrypt
    * Complejidad: O(2^saltRounds) ≈ O(4096) para saltRounds=12
@@ -182,39 +222,275 @@ class BcryptStrategy extends PasswordHashStrategy {
 }
 
 /**
- * Estrategia Argon2 - Alternativa moderna (opcional)
- * Complejidad: O(memory * time * parallelism)
+ * Estrategia scrypt - Función de derivación con uso intensivo de memoria (crypto nativo)
+ * Formato del hash: $scrypt$ln=<log2 N>,r=<bloque>,p=<paralelismo>$<salt>$<clave> (base64)
+ * Complejidad: O(N · r) en tiempo y memoria, con N = 2^cost
  */
-class Argon2Strategy extends PasswordHashStrategy {
+class ScryptStrategy extends PasswordHashStrategy {
+  static PREFIX = '$scrypt$';
+  static FORMAT = /^\$scrypt\$ln=(\d{1,2}),r=(\d{1,2}),p=(\d{1,2})\$([A-Za-z0-9+/]+)\$([A-Za-z0-9+/]+)$/;
+  // Memoria máxima por hash; SCRYPT_COST y SCRYPT_BLOCK_SIZE se validan contra ella en env.config
+  static MAX_MEMORY = 256 * 1024 * 1024;
+
   constructor(options = {}) {
     super();
     this.options = {
-      type: 2, // Argon2id
-      memory: 64 * 1024, // 64 MB
-      time: 3,
-      parallelism: 4,
+      cost: 17, // N = 2^17: 128 MiB por hash con r = 8 (recomendación OWASP)
+      blockSize: 8,
+      parallelization: 1,
+      saltBytes: 16,
+      keyLength: 64,
       ...options
     };
-    this.algorithm = 'argon2id';
+    this.algorithm = 'scrypt';
+  }
+
+  static fromOptions(options = {}) {
+    return new ScryptStrategy(options.scrypt);
+  }
+
+  /**
+   * Derivar la clave con los parámetros indicados
+   * Complejidad: O(N · r)
+   */
+  async _derive(password, salt, { cost, blockSize, parallelization, keyLength }) {
+    const N = 2 ** cost;
+
+    // También aplica a los parámetros leídos de un hash almacenado
+    if (128 * N * blockSize > ScryptStrategy.MAX_MEMORY) {
+      throw new Error('Parámetros de scrypt exceden la memoria máxima por hash');
+    }
+
+    return scryptAsync(password, salt, keyLength, {
+      N,
+      r: blockSize,
+      p: parallelization,
+      maxmem: 256 * N * blockSize // El mínimo es 128 · N · r; el límite por defecto es 32 MiB
+    });
   }
 
+  /**
+   * Hash de contraseña con scrypt
+   * Complejidad: O(N · r)
+   */
   async hash(password, options = {}) {
-    // Implementación futura con argon2
-    throw new Error('Argon2 no implementado aún. Usar BcryptStrategy.');
+    const startTime = Date.now();
+
+    try {
+      if (!password || typeof password !== 'string') {
+        throw new Error('Password debe ser un string no vacío');
+      }
+
+      const params = { ...this.options, ...options };
+      const salt = crypto.randomBytes(params.saltBytes);
+      const key = await this._derive(password, salt, params);
+
+      const hash = [
+        '',
+        'scrypt',
+        `ln=${params.cost},r=${params.blockSize},p=${params.parallelization}`,
+        salt.toString('base64').replace(/=+$/, ''),
+        key.toString('base64').replace(/=+$/, '')
+      ].join('$');
+
+      const executionTime = Date.now() - startTime;
+
+      return {
+        success: true,
+        hash,
+        algorithm: this.algorithm,
+        cost: params.cost,
+        executionTime: `${executionTime}ms`,
+        securityLevel: this._getSecurityLevel(params.cost, params.blockSize)
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        algorithm: this.algorithm
+      };
+    }
   }
 
+  /**
+   * Verificación de contraseña con los parámetros guardados en el hash
+   * Complejidad: O(N · r) del hash verificado
+   */
   async verify(password, hash) {
-    throw new Error('Argon2 no implementado aún. Usar BcryptStrategy.');
+    const startTime = Date.now();
+
+    try {
+      if (!password || typeof password !== 'string') {
+        return {
+          success: false,
+          isValid: false,
+          error: 'Password inválido',
+          executionTime: '0ms'
+        };
+      }
+
+      const parsed = this._parseHash(hash);
+
+      if (!parsed) {
+        return {
+          success: false,
+          isValid: false,
+          error: 'Formato de hash scrypt inválido',
+          executionTime: '0ms'
+        };
+      }
+
+      const key = await this._derive(password, parsed.salt, { ...parsed, keyLength: parsed.key.length });
+      const isValid = crypto.timingSafeEqual(key, parsed.key);
+
+      const executionTime = Date.now() - startTime;
+
+      return {
+        success: true,
+        isValid,
+        algorithm: this.algorithm,
+        executionTime: `${executionTime}ms`,
+        hashInfo: {
+          cost: parsed.cost,
+          blockSize: parsed.blockSize,
+          parallelization: parsed.parallelization,
+          hashLength: hash.length
+        }
+      };
+    } catch (error) {
+      const executionTime = Date.now() - startTime;
+
+      return {
+        success: false,
+        isValid: false,
+        error: error.message,
+        executionTime: `${executionTime}ms`
+      };
+    }
+  }
+
+  matches(hash) {
+    return typeof hash === 'string' && hash.startsWith(ScryptStrategy.PREFIX);
+  }
+
+  /**
+   * El hash se regenera si sus parámetros difieren de los configurados
+   * Complejidad: O(1)
+   */
+  needsRehash(hash) {
+    const parsed = this._parseHash(hash);
+
+    return !parsed
+      || parsed.cost !== this.options.cost
+      || parsed.blockSize !== this.options.blockSize
+      || parsed.parallelization !== this.options.parallelization;
   }
 
   getComplexity() {
+    const { cost, blockSize, parallelization } = this.options;
+
     return {
-      time: `O(${this.options.time})`,
-      space: `O(${this.options.memory})`,
-      parallelism: this.options.parallelism,
+      time: `O(2^${cost} · ${blockSize})`,
+      space: `${(128 * 2 ** cost * blockSize) / (1024 * 1024)} MiB`,
+      parallelism: parallelization,
+      security: this._getSecurityLevel(cost, blockSize),
       algorithm: this.algorithm
     };
   }
+
+  /**
+   * Extraer parámetros, salt y clave del hash
+   * Complejidad: O(1)
+   */
+  _parseHash(hash) {
+    const match = typeof hash === 'string' ? ScryptStrategy.FORMAT.exec(hash) : null;
+    if (!match) return null;
+
+    const [, cost, blockSize, parallelization, salt, key] = match;
+    const parsed = {
+      cost: parseInt(cost),
+      blockSize: parseInt(blockSize),
+      parallelization: parseInt(parallelization),
+      salt: Buffer.from(salt, 'base64'),
+      key: Buffer.from(key, 'base64')
+    };
+
+    // Acotar los parámetros para que un hash manipulado no agote la memoria
+    if (parsed.cost < 10 || parsed.cost > 22 || parsed.blockSize < 1 || parsed.parallelization < 1) {
+      return null;
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Determinar nivel de seguridad según la memoria usada (128 · N · r bytes)
+   * Complejidad: O(1)
+   */
+  _getSecurityLevel(cost, blockSize) {
+    const memoryMiB = (128 * 2 ** cost * blockSize) / (1024 * 1024);
+
+    if (memoryMiB >= 256) return 'VERY_HIGH';
+    if (memoryMiB >= 64) return 'HIGH';
+    if (memoryMiB >= 16) return 'MEDIUM';
+    return 'LOW';
+  }
+}
+
+/**
+ * Estrategia para hashes de varios algoritmos: genera con el algoritmo configurado y
+ * verifica cada hash con la estrategia de su prefijo, para que cambiar de algoritmo o de
+ * costo no invalide las contraseñas ya guardadas
+ * Complejidad: O(a) para elegir la estrategia, a = algoritmos soportados
+ */
+class MultiAlgorithmStrategy extends PasswordHashStrategy {
+  constructor(current, verifiers = []) {
+    super();
+    this.current = current;
+    this.verifiers = [current, ...verifiers.filter(strategy => strategy.algorithm !== current.algorithm)];
+    this.algorithm = current.algorithm;
+  }
+
+  /**
+   * Estrategia que generó el hash
+   */
+  strategyFor(hash) {
+    return this.verifiers.find(strategy => strategy.matches(hash)) || null;
+  }
+
+  async hash(password, options = {}) {
+    return this.current.hash(password, options);
+  }
+
+  async verify(password, hash) {
+    const strategy = this.strategyFor(hash);
+
+    if (!strategy) {
+      return {
+        success: false,
+        isValid: false,
+        error: 'Algoritmo de hash no soportado',
+        executionTime: '0ms'
+      };
+    }
+
+    return strategy.verify(password, hash);
+  }
+
+  matches(hash) {
+    return this.strategyFor(hash) !== null;
+  }
+
+  /**
+   * Regenerar si el hash es de otro algoritmo o de otro costo que el configurado
+   */
+  needsRehash(hash) {
+    return !this.current.matches(hash) || this.current.needsRehash(hash);
+  }
+
+  getComplexity() {
+    return this.current.getComplexity();
+  }
 }
 
 /**
@@ -232,6 +508,14 @@ class PasswordValidationDecorator {
   async verify(password, hash) {
     return this.strategy.verify(password, hash);
   }
+
+  needsRehash(hash) {
+    return this.strategy.needsRehash(hash);
+  }
+
+  getComplexity() {
+    return this.strategy.getComplexity();
+  }
 }
 
 /**
@@ -299,7 +583,7 @@ class TimingAttackProtectionDecorator extends PasswordValidationDecorator {
 class PasswordValidatorFactory {
   static strategies = new Map([
     ['bcrypt', BcryptStrategy],
-    ['argon2', Argon2Strategy]
+    ['scrypt', ScryptStrategy]
   ]);
 
   /**
@@ -312,7 +596,18 @@ class PasswordValidatorFactory {
       throw new Error(`Algoritmo no soportado: ${algorithm}`);
     }
 
-    return new StrategyClass(options.saltRounds || 12);
+    return StrategyClass.fromOptions(options);
+  }
+
+  /**
+   * Crear la estrategia para hashes almacenados: genera con el algoritmo indicado y
+   * verifica los de cualquier algoritmo soportado
+   */
+  static createMultiAlgorithm(algorithm = 'bcrypt', options = {}) {
+    const current = this.createBasic(algorithm, options);
+    const verifiers = this.getAvailableAlgorithms().map(name => this.createBasic(name, options));
+
+    return new MultiAlgorithmStrategy(current, verifiers);
   }
 
   /**
@@ -341,6 +636,16 @@ class PasswordValidatorFactory {
     return validator;
   }
 
+  /**
+   * Crear validador completo para hashes almacenados (varios algoritmos + logging + timing protection)
+   */
+  static createCompleteMultiAlgorithm(algorithm = 'bcrypt', options = {}) {
+    let validator = this.createMultiAlgorithm(algorithm, options);
+    validator = new LoggingDecorator(validator);
+    validator = new TimingAttackProtectionDecorator(validator, options.minTimeMs || 100);
+    return validator;
+  }
+
   /**
    * Obtener algoritmos disponibles
    */
@@ -354,39 +659,66 @@ class PasswordValidatorFactory {
  * Integra todas las estrategias y decoradores
  */
 class PasswordValidationService {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.algorithm] - 'bcrypt' o 'scrypt' (por defecto PASSWORD_HASH_ALGORITHM)
+   * @param {number} [options.saltRounds] - Costo de bcrypt
+   * @param {Object} [options.scrypt] - { cost, blockSize, parallelization } (por defecto SCRYPT_*)
+   * @param {number} [options.minTimeMs] - Tiempo mínimo de respuesta
+   */
   constructor(options = {}) {
-    this.validator = PasswordValidatorFactory.createComplete('bcrypt', {
-      saltRounds: options.saltRounds || 12,
+    this.algorithm = options.algorithm || process.env.PASSWORD_HASH_ALGORITHM || 'bcrypt';
+    this.saltRounds = options.saltRounds || 12;
+    this.scrypt = {
+      cost: parseInt(process.env.SCRYPT_COST) || 17,
+      blockSize: parseInt(process.env.SCRYPT_BLOCK_SIZE) || 8,
+      parallelization: parseInt(process.env.SCRYPT_PARALLELIZATION) || 1,
+      ...options.scrypt
+    };
+
+    this.validator = PasswordValidatorFactory.createCompleteMultiAlgorithm(this.algorithm, {
+      saltRounds: this.saltRounds,
+      scrypt: this.scrypt,
       minTimeMs: options.minTimeMs || 100
     });
   }
 
   /**
-   * Hash de contraseña
-   * Complejidad: O(2^saltRounds)
+   * Hash de contraseña con el algoritmo configurado
+   * Complejidad: O(2^saltRounds) con bcrypt, O(N · r) con scrypt
    */
   async hashPassword(password, options = {}) {
     return this.validator.hash(password, options);
   }
 
   /**
-   * Verificar contraseña contra hash
-   * Complejidad: O(2^saltRounds) con protección timing
+   * Verificar contraseña contra hash de cualquier algoritmo soportado
+   * Complejidad: la del algoritmo del hash, con protección timing
    */
   async verifyPassword(password, hash) {
     return this.validator.verify(password, hash);
   }
 
+  /**
+   * Indica si el hash se generó con otro algoritmo o costo y debe regenerarse
+   * Complejidad: O(1)
+   */
+  needsRehash(hash) {
+    return this.validator.needsRehash(hash);
+  }
+
   /**
    * Análisis de complejidad del servicio
    */
   getComplexityAnalysis() {
     return {
-      hashing: 'O(2^saltRounds) - Intencionalmente lenta',
-      verification: 'O(2^saltRounds) - Misma complejidad que hash',
+      hashing: this.algorithm === 'scrypt'
+        ? 'O(N · r) - Intencionalmente lenta y con uso intensivo de memoria'
+        : 'O(2^saltRounds) - Intencionalmente lenta',
+      verification: 'Misma complejidad que hash, según el algoritmo del hash almacenado',
       timingProtection: 'O(max_time) - Tiempo mínimo garantizado',
-      memoryUsage: 'O(1) - Constante',
-      securityLevel: 'HIGH - bcrypt con salt rounds >= 12'
+      memoryUsage: this.algorithm === 'scrypt' ? 'O(N · r) - 128 · N · r bytes' : 'O(1) - Constante',
+      securityLevel: this.validator.getComplexity().security
     };
   }
 
@@ -394,15 +726,19 @@ class PasswordValidationService {
    * Información del validador actual
    */
   getValidatorInfo() {
+    const complexity = this.validator.getComplexity();
+
     return {
-      algorithm: 'bcrypt',
-      complexity: this.validator.strategy?.getComplexity?.() || 'N/A',
+      algorithm: this.algorithm,
+      complexity,
       decorators: ['LoggingDecorator', 'TimingAttackProtectionDecorator'],
       features: {
         timingAttackProtection: true,
         logging: true,
-        saltRounds: 12,
-        securityLevel: 'HIGH'
+        transparentRehash: true,
+        supportedAlgorithms: PasswordValidatorFactory.getAvailableAlgorithms(),
+        ...(this.algorithm === 'scrypt' ? { scrypt: this.scrypt } : { saltRounds: this.saltRounds }),
+        securityLevel: complexity.security
       }
     };
   }
@@ -412,6 +748,8 @@ export {
   PasswordValidationService,
   PasswordValidatorFactory,
   BcryptStrategy,
+  ScryptStrategy,
+  MultiAlgorithmStrategy,
   LoggingDecorator,
   TimingAttackProtectionDecorator
 };
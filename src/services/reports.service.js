@@ -1,21 +1,26 @@
 import { prisma } from '../lib/prisma.js';
 import puppeteer from 'puppeteer';
+import { buildAlcanceWhere } from './unidades.service.js';
 
 /**
  * Servicio para generación de reportes de actividades
- * Proporciona consultas optimizadas y formateo de datos para reportes
+ * Proporciona consultas optimizadas y formateo de datos para reportes.
+ * Las consultas reciben el alcance del usuario y solo incluyen actividades de
+ * convenios de sus unidades organizacionales (null = sin restricción).
  */
 
 /**
  * Obtener actividades por rango de fechas con información completa
  * @param {Date} fechaInicio - Fecha de inicio del rango
  * @param {Date} fechaFin - Fecha de fin del rango
+ * @param {number[]|null} alcance - Unidades visibles (default: sin restricción)
  * @returns {Promise<Array>} Lista de actividades con información relacionada
  */
-export const getActividadesByDateRange = async (fechaInicio, fechaFin) => {
+export const getActividadesByDateRange = async (fechaInicio, fechaFin, alcance = null) => {
   try {
     const actividades = await prisma.actividad.findMany({
       where: {
+        ...(Array.isArray(alcance) && { convenio: buildAlcanceWhere(alcance) }),
         OR: [
           // Actividades que inician en el rango
           {
@@ -108,11 +113,12 @@ export const getActividadesByDateRange = async (fechaInicio, fechaFin) => {
  * Generar resumen estadístico de actividades por rango de fechas
  * @param {Date} fechaInicio - Fecha de inicio del rango
  * @param {Date} fechaFin - Fecha de fin del rango
+ * @param {number[]|null} alcance - Unidades visibles (default: sin restricción)
  * @returns {Promise<Object>} Resumen estadístico
  */
-export const getResumenActividadesByDateRange = async (fechaInicio, fechaFin) => {
+export const getResumenActividadesByDateRange = async (fechaInicio, fechaFin, alcance = null) => {
   try {
-    const actividades = await getActividadesByDateRange(fechaInicio, fechaFin);
+    const actividades = await getActividadesByDateRange(fechaInicio, fechaFin, alcance);
 
     // Calcular estadísticas
     const resumen = {
@@ -262,9 +268,10 @@ export const formatActividadesForPDF = (actividades, resumen) => {
  * Generar datos consolidados para reporte completo
  * @param {Date} fechaInicio - Fecha de inicio del rango
  * @param {Date} fechaFin - Fecha de fin del rango
+ * @param {number[]|null} alcance - Unidades visibles (default: sin restricción)
  * @returns {Promise<Object>} Datos completos del reporte
  */
-export const generateReportData = async (fechaInicio, fechaFin) => {
+export const generateReportData = async (fechaInicio, fechaFin, alcance = null) => {
   try {
     // Validar fechas
     if (fechaInicio > fechaFin) {
@@ -273,8 +280,8 @@ export const generateReportData = async (fechaInicio, fechaFin) => {
 
     // Obtener datos
     const [actividades, resumen] = await Promise.all([
-      getActividadesByDateRange(fechaInicio, fechaFin),
-      getResumenActividadesByDateRange(fechaInicio, fechaFin)
+      getActividadesByDateRange(fechaInicio, fechaFin, alcance),
+      getResumenActividadesByDateRange(fechaInicio, fechaFin, alcance)
     ]);
 
     // Formatear para diferentes formatos
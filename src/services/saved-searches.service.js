@@ -0,0 +1,456 @@
+/**
+ * @fileoverview Servicio de Búsquedas Guardadas
+ * @description Presets con nombre de los criterios de búsqueda avanzada de convenios
+ * (POST /api/convenios/search). Cada búsqueda es privada o se comparte con todos los
+ * usuarios de un rol; puede volver a ejecutarse y los usuarios pueden suscribirse para
+ * enterarse de los convenios nuevos que la cumplan. Los resultados y las novedades se
+ * limitan siempre al alcance (unidades organizacionales) de quien ejecuta la búsqueda.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Complejidad Big O:
+ * - Listado de búsquedas visibles: O(log n + k) donde k = búsquedas devueltas
+ * - Operaciones por ID: O(log n)
+ * - Ejecución: la de ConvenioQueryService.advancedSearch
+ * - Novedades: O(s * (log n + m)) donde s = suscripciones, m = coincidencias por búsqueda
+ */
+
+import { prisma, PRISMA_UNIQUE_VIOLATION } from '../lib/prisma.js';
+import { ConvenioQueryService } from '../controllers/convenios.controller.js';
+import UnidadService from './unidades.service.js';
+
+/**
+ * Campos del autor de una búsqueda guardada
+ */
+const USER_SELECT = {
+  select: { id: true, email: true }
+};
+
+/**
+ * Campos de un convenio en las novedades de una suscripción
+ */
+const CONVENIO_NOVEDAD_SELECT = {
+  id: true,
+  nombre: true,
+  estado: true,
+  fechaInicio: true,
+  fechaFin: true,
+  createdAt: true
+};
+
+/**
+ * Indica si un usuario puede ver (y ejecutar) una búsqueda guardada
+ * @param {Object} busqueda - Búsqueda guardada
+ * @param {Object} user - Usuario autenticado { id, rol }
+ * @returns {boolean}
+ * @complexity O(1)
+ */
+const canView = (busqueda, user) => (
+  busqueda.userId === user.id || busqueda.compartidaCon === user.rol
+);
+
+/**
+ * Indica si un usuario puede modificar o eliminar una búsqueda guardada
+ * @param {Object} busqueda - Búsqueda guardada
+ * @param {Object} user - Usuario autenticado { id, rol }
+ * @returns {boolean}
+ * @complexity O(1)
+ */
+const canManage = (busqueda, user) => busqueda.userId === user.id || user.rol === 'ADMIN';
+
+/**
+ * IDs presentes en la lista actual que no están en la lista conocida
+ * @param {number[]} actuales - IDs que cumplen la búsqueda ahora
+ * @param {number[]} conocidos - IDs ya vistos por el suscriptor
+ * @returns {number[]}
+ * @complexity O(a + c)
+ */
+const diffNuevos = (actuales, conocidos) => {
+  const vistos = new Set(conocidos);
+  return actuales.filter(id => !vistos.has(id));
+};
+
+const notFound = () => ({
+  success: false,
+  error: 'SAVED_SEARCH_NOT_FOUND',
+  message: 'Búsqueda guardada no encontrada'
+});
+
+const nombreDuplicado = (nombre) => ({
+  success: false,
+  error: 'NOMBRE_DUPLICADO',
+  message: `Ya tiene una búsqueda guardada con el nombre "${nombre}"`
+});
+
+/**
+ * @class BusquedaGuardadaService
+ * @description Gestión, ejecución y suscripción de búsquedas guardadas
+ */
+class BusquedaGuardadaService {
+  constructor() {
+    this.queryService = new ConvenioQueryService();
+    this.unidadService = new UnidadService();
+  }
+
+  /**
+   * Obtiene una búsqueda guardada visible para el usuario
+   * @param {number} id - ID de la búsqueda
+   * @param {Object} user - Usuario autenticado
+   * @returns {Promise<Object|null>} Búsqueda o null si no existe o no es visible
+   * @complexity O(log n)
+   * @private
+   */
+  async findVisible(id, user) {
+    const busqueda = await prisma.busquedaGuardada.findUnique({ where: { id } });
+    return busqueda && canView(busqueda, user) ? busqueda : null;
+  }
+
+  /**
+   * Lista las búsquedas propias y las compartidas con el rol del usuario
+   * @param {Object} user - Usuario autenticado
+   * @returns {Promise<Object>} Resultado con las búsquedas y si el usuario está suscrito
+   * @complexity O(log n + k)
+   */
+  async listBusquedas(user) {
+    try {
+      const busquedas = await prisma.busquedaGuardada.findMany({
+        where: {
+          OR: [
+            { userId: user.id },
+            { compartidaCon: user.rol }
+          ]
+        },
+        include: {
+          user: USER_SELECT,
+          suscripciones: { where: { userId: user.id }, select: { id: true } }
+        },
+        orderBy: { nombre: 'asc' }
+      });
+
+      return {
+        success: true,
+        data: busquedas.map(({ suscripciones, ...busqueda }) => ({
+          ...busqueda,
+          propia: busqueda.userId === user.id,
+          suscrito: suscripciones.length > 0
+        }))
+      };
+    } catch (error) {
+      throw new Error(`Error al listar búsquedas guardadas: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene una búsqueda guardada
+   * @param {number} id - ID de la búsqueda
+   * @param {Object} user - Usuario autenticado
+   * @returns {Promise<Object>} Resultado con la búsqueda
+   * @complexity O(log n)
+   */
+  async getBusqueda(id, user) {
+    try {
+      const busqueda = await this.findVisible(id, user);
+      if (!busqueda) return notFound();
+
+      return { success: true, data: busqueda };
+    } catch (error) {
+      throw new Error(`Error al obtener búsqueda guardada: ${error.message}`);
+    }
+  }
+
+  /**
+   * Guarda una búsqueda
+   * @param {Object} data - Datos validados por createSavedSearchSchema
+   * @param {Object} user - Usuario autenticado (propietario)
+   * @returns {Promise<Object>} Resultado con la búsqueda creada
+   * @complexity O(log n)
+   */
+  async createBusqueda(data, user) {
+    try {
+      const busqueda = await prisma.busquedaGuardada.create({
+        data: {
+          nombre: data.nombre,
+          criterios: data.criterios,
+          compartidaCon: data.compartidaCon ?? null,
+          userId: user.id
+        }
+      });
+
+      return {
+        success: true,
+        message: 'Búsqueda guardada',
+        data: busqueda
+      };
+    } catch (error) {
+      if (error.code === PRISMA_UNIQUE_VIOLATION) return nombreDuplicado(data.nombre);
+      throw new Error(`Error al guardar búsqueda: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualiza nombre, criterios o rol con el que se comparte una búsqueda.
+   * Solo el propietario o un ADMIN pueden modificarla.
+   * @param {number} id - ID de la búsqueda
+   * @param {Object} data - Datos validados por patchSavedSearchSchema
+   * @param {Object} user - Usuario autenticado
+   * @returns {Promise<Object>} Resultado con la búsqueda actualizada
+   * @complexity O(log n)
+   */
+  async updateBusqueda(id, data, user) {
+    try {
+      const busqueda = await prisma.busquedaGuardada.findUnique({ where: { id } });
+      if (!busqueda || !(canView(busqueda, user) || canManage(busqueda, user))) return notFound();
+
+      if (!canManage(busqueda, user)) {
+        return {
+          success: false,
+          error: 'FORBIDDEN',
+          message: 'Solo el propietario o un administrador pueden modificar esta búsqueda'
+        };
+      }
+
+      const actualizada = await prisma.busquedaGuardada.update({
+        where: { id },
+        data
+      });
+
+      return {
+        success: true,
+        message: 'Búsqueda guardada actualizada',
+        data: actualizada
+      };
+    } catch (error) {
+      if (error.code === PRISMA_UNIQUE_VIOLATION) return nombreDuplicado(data.nombre);
+      throw new Error(`Error al actualizar búsqueda guardada: ${error.message}`);
+    }
+  }
+
+  /**
+   * Elimina una búsqueda guardada y sus suscripciones.
+   * Solo el propietario o un ADMIN pueden eliminarla.
+   * @param {number} id - ID de la búsqueda
+   * @param {Object} user - Usuario autenticado
+   * @returns {Promise<Object>} Resultado de la operación
+   * @complexity O(log n + s) donde s = suscripciones
+   */
+  async deleteBusqueda(id, user) {
+    try {
+      const busqueda = await prisma.busquedaGuardada.findUnique({ where: { id } });
+      if (!busqueda || !(canView(busqueda, user) || canManage(busqueda, user))) return notFound();
+
+      if (!canManage(busqueda, user)) {
+        return {
+          success: false,
+          error: 'FORBIDDEN',
+          message: 'Solo el propietario o un administrador pueden eliminar esta búsqueda'
+        };
+      }
+
+      await prisma.busquedaGuardada.delete({ where: { id } });
+
+      return {
+        success: true,
+        message: 'Búsqueda guardada eliminada',
+        data: { id }
+      };
+    } catch (error) {
+      throw new Error(`Error al eliminar búsqueda guardada: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ejecuta una búsqueda guardada con los criterios almacenados
+   * @param {number} id - ID de la búsqueda
+   * @param {Object} user - Usuario autenticado
+   * @param {Object} paginacion - { pagina, limite, pagination, after, before }
+   * @returns {Promise<Object>} Resultado de advancedSearch con la búsqueda ejecutada
+   * @complexity La de ConvenioQueryService.advancedSearch
+   */
+  async runBusqueda(id, user, paginacion) {
+    try {
+      const busqueda = await this.findVisible(id, user);
+      if (!busqueda) return notFound();
+
+      const alcance = await this.unidadService.resolveAlcance(user);
+      const result = await this.queryService.advancedSearch({
+        ...busqueda.criterios,
+        ...paginacion
+      }, alcance);
+
+      if (!result.success) return result;
+
+      return {
+        ...result,
+        busquedaGuardada: { id: busqueda.id, nombre: busqueda.nombre }
+      };
+    } catch (error) {
+      throw new Error(`Error al ejecutar búsqueda guardada: ${error.message}`);
+    }
+  }
+
+  /**
+   * Suscribe al usuario a una búsqueda. Las coincidencias actuales se marcan como
+   * conocidas: solo se notificarán los convenios que empiecen a cumplirla después.
+   * @param {number} id - ID de la búsqueda
+   * @param {Object} user - Usuario autenticado
+   * @returns {Promise<Object>} Resultado con la suscripción
+   * @complexity O(log n + m)
+   */
+  async subscribe(id, user) {
+    try {
+      const busqueda = await this.findVisible(id, user);
+      if (!busqueda) return notFound();
+
+      const alcance = await this.unidadService.resolveAlcance(user);
+      const idsConocidos = await this.queryService.findMatchingIds(busqueda.criterios, alcance);
+
+      const suscripcion = await prisma.suscripcionBusqueda.upsert({
+        where: { busquedaId_userId: { busquedaId: id, userId: user.id } },
+        create: { busquedaId: id, userId: user.id, idsConocidos },
+        update: {},
+        select: { id: true, busquedaId: true, revisadaEn: true, createdAt: true }
+      });
+
+      return {
+        success: true,
+        message: `Suscrito a la búsqueda "${busqueda.nombre}"`,
+        data: suscripcion
+      };
+    } catch (error) {
+      throw new Error(`Error al suscribirse a búsqueda guardada: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancela la suscripción del usuario a una búsqueda
+   * @param {number} id - ID de la búsqueda
+   * @param {Object} user - Usuario autenticado
+   * @returns {Promise<Object>} Resultado de la operación
+   * @complexity O(log n)
+   */
+  async unsubscribe(id, user) {
+    try {
+      const { count } = await prisma.suscripcionBusqueda.deleteMany({
+        where: { busquedaId: id, userId: user.id }
+      });
+
+      if (count === 0) {
+        return {
+          success: false,
+          error: 'SUSCRIPCION_NOT_FOUND',
+          message: 'No está suscrito a esta búsqueda'
+        };
+      }
+
+      return {
+        success: true,
+        message: 'Suscripción cancelada',
+        data: { busquedaId: id }
+      };
+    } catch (error) {
+      throw new Error(`Error al cancelar suscripción: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene, para cada suscripción del usuario, los convenios que cumplen la búsqueda
+   * y que aún no ha visto. Omite las búsquedas que ya no le son visibles.
+   * @param {Object} user - Usuario autenticado
+   * @returns {Promise<Object>} Resultado con las novedades por búsqueda
+   * @complexity O(s * (log n + m))
+   */
+  async getNovedades(user) {
+    try {
+      const suscripciones = await prisma.suscripcionBusqueda.findMany({
+        where: { userId: user.id },
+        include: { busqueda: true },
+        orderBy: { createdAt: 'asc' }
+      });
+
+      const alcance = await this.unidadService.resolveAlcance(user);
+      const novedades = [];
+      for (const suscripcion of suscripciones) {
+        const { busqueda } = suscripcion;
+        if (!canView(busqueda, user)) continue;
+
+        const actuales = await this.queryService.findMatchingIds(busqueda.criterios, alcance);
+        const nuevos = diffNuevos(actuales, suscripcion.idsConocidos);
+
+        const convenios = nuevos.length > 0
+          ? await prisma.convenio.findMany({
+            where: { id: { in: nuevos } },
+            select: CONVENIO_NOVEDAD_SELECT,
+            orderBy: { createdAt: 'desc' }
+          })
+          : [];
+
+        novedades.push({
+          busqueda: { id: busqueda.id, nombre: busqueda.nombre },
+          revisadaEn: suscripcion.revisadaEn,
+          totalNuevos: convenios.length,
+          convenios
+        });
+      }
+
+      return {
+        success: true,
+        data: novedades,
+        metadata: {
+          suscripciones: novedades.length,
+          totalNuevos: novedades.reduce((total, n) => total + n.totalNuevos, 0)
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error al obtener novedades de búsquedas: ${error.message}`);
+    }
+  }
+
+  /**
+   * Marca como vistas las coincidencias actuales de una búsqueda suscrita
+   * @param {number} id - ID de la búsqueda
+   * @param {Object} user - Usuario autenticado
+   * @returns {Promise<Object>} Resultado con la fecha de revisión
+   * @complexity O(log n + m)
+   */
+  async markSeen(id, user) {
+    try {
+      const suscripcion = await prisma.suscripcionBusqueda.findUnique({
+        where: { busquedaId_userId: { busquedaId: id, userId: user.id } },
+        include: { busqueda: true }
+      });
+
+      if (!suscripcion || !canView(suscripcion.busqueda, user)) {
+        return {
+          success: false,
+          error: 'SUSCRIPCION_NOT_FOUND',
+          message: 'No está suscrito a esta búsqueda'
+        };
+      }
+
+      const alcance = await this.unidadService.resolveAlcance(user);
+      const idsConocidos = await this.queryService.findMatchingIds(suscripcion.busqueda.criterios, alcance);
+
+      const actualizada = await prisma.suscripcionBusqueda.update({
+        where: { id: suscripcion.id },
+        data: { idsConocidos, revisadaEn: new Date() },
+        select: { id: true, busquedaId: true, revisadaEn: true }
+      });
+
+      return {
+        success: true,
+        message: 'Novedades marcadas como vistas',
+        data: actualizada
+      };
+    } catch (error) {
+      throw new Error(`Error al marcar novedades como vistas: ${error.message}`);
+    }
+  }
+}
+
+export {
+  BusquedaGuardadaService,
+  canView,
+  canManage,
+  diffNuevos
+};
+export default BusquedaGuardadaService;
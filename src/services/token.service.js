@@ -8,6 +8,7 @@
 import jwt from 'jsonwebtoken';
 import { PrismaClient } from '@prisma/client';
 import crypto from 'crypto';
+import { requiresMfaSetup } from '../lib/mfa-policy.js';
 
 const prisma = new PrismaClient();
 
@@ -21,6 +22,76 @@ class TokenService {
     this.refreshTokenSecret = process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
     this.accessTokenExpiry = process.env.JWT_ACCESS_EXPIRY || '15m'; // 15 minutos por defecto
     this.refreshTokenExpiry = process.env.JWT_REFRESH_EXPIRY || '7d'; // 7 días por defecto
+    this.mfaChallengeExpiry = process.env.JWT_MFA_CHALLENGE_EXPIRY || '5m'; // 5 minutos por defecto
+  }
+
+  /**
+   * Construye el payload de sesión de un usuario, con las marcas que restringen la sesión
+   * (contraseña temporal pendiente de cambio o segundo factor obligatorio sin registrar)
+   * @param {Object} user - { id, email, rol, mustChangePassword, mfaEnabled }
+   * @returns {Object} Payload para generateTokenPair
+   */
+  buildSessionPayload(user) {
+    return {
+      userId: user.id,
+      email: user.email,
+      rol: user.rol,
+      ...(user.mustChangePassword && { mustChangePassword: true }),
+      ...(requiresMfaSetup(user) && { mfaSetupRequired: true })
+    };
+  }
+
+  /**
+   * Genera el token de desafío del segundo factor. Lo recibe el cliente tras validar la
+   * contraseña y solo sirve para completar el login en /api/auth/mfa/verify. Es de un solo
+   * uso: quien lo emite guarda el jti en el usuario y completeMfaLogin lo consume.
+   * @param {Object} user - { id, email }
+   * @returns {{ challengeToken: string, jti: string, expiresIn: number }} expiresIn en segundos
+   */
+  generateMfaChallengeToken(user) {
+    const jti = crypto.randomBytes(16).toString('hex');
+    const challengeToken = jwt.sign(
+      {
+        userId: user.id,
+        email: user.email,
+        type: 'mfa_challenge',
+        jti
+      },
+      this.accessTokenSecret,
+      { expiresIn: this.mfaChallengeExpiry }
+    );
+
+    return {
+      challengeToken,
+      jti,
+      expiresIn: Math.floor(this.getExpiryTime(this.mfaChallengeExpiry) / 1000)
+    };
+  }
+
+  /**
+   * Verifica un token de desafío del segundo factor
+   * @param {string} token - Token de desafío
+   * @returns {Object} Payload del token verificado
+   */
+  verifyMfaChallengeToken(token) {
+    try {
+      const decoded = jwt.verify(token, this.accessTokenSecret);
+
+      if (decoded.type !== 'mfa_challenge') {
+        throw new Error('Tipo de token inválido');
+      }
+
+      return {
+        success: true,
+        payload: decoded
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.name,
+        message: error.message || 'Token inválido o expirado'
+      };
+    }
   }
 
   /**
@@ -124,13 +195,22 @@ class TokenService {
       // Verificar que el token no esté en la lista negra
       const storedToken = await prisma.refreshToken.findUnique({
         where: { jti: decoded.jti },
-        include: { user: { select: { id: true, email: true, rol: true } } }
+        include: {
+          user: {
+            select: { id: true, email: true, rol: true, isActive: true, mustChangePassword: true, mfaEnabled: true }
+          }
+        }
       });
 
       if (!storedToken || storedToken.isRevoked) {
         throw new Error('Token revocado o inválido');
       }
 
+      // Una cuenta desactivada no puede renovar sus tokens
+      if (!storedToken.user.isActive) {
+        throw new Error('Token revocado o inválido: usuario inactivo');
+      }
+
       // Revocar el token actual
       await prisma.refreshToken.update({
         where: { id: storedToken.id },
@@ -138,15 +218,16 @@ class TokenService {
       });
 
       // Generar un nuevo par de tokens
-      return await this.generateTokenPair({
-        userId: storedToken.user.id,
-        email: storedToken.user.email,
-        rol: storedToken.user.rol
-      });
+      return await this.generateTokenPair(this.buildSessionPayload(storedToken.user));
     } catch (error) {      
       if (error.name === 'TokenExpiredError') {
         throw new Error('Token de refresco expirado');
       }
+
+      // Rechazos propios (token revocado, de otro tipo o de un usuario inactivo)
+      if (error.message.startsWith('Token revocado o inválido') || error.message === 'Token inválido') {
+        throw error;
+      }
       
       console.error('Error refrescando tokens:', error);
       throw new Error('Error refrescando tokens de autenticación');
@@ -0,0 +1,701 @@
+/**
+ * @fileoverview Servicio de Unidades organizacionales
+ * @description Administra la jerarquía Sede > Facultad > Programa, la pertenencia de
+ * los usuarios a unidades y el alcance de cada usuario: los convenios de sus unidades
+ * y de las unidades que dependen de ellas. ADMIN no tiene restricción de alcance.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Complejidad Big O:
+ * - Listado y árbol: O(u) donde u = unidades
+ * - Operaciones por ID: O(log n) usando clave primaria / índice único
+ * - Alcance de un usuario: O(u) (la jerarquía completa se recorre en memoria)
+ */
+
+import { prisma, PRISMA_UNIQUE_VIOLATION } from '../lib/prisma.js';
+import ConvenioHistoryService from './convenio-history.service.js';
+import { MAX_CONVENIOS_ASIGNACION } from '../validators/unidades.validator.js';
+
+/**
+ * Tipo de unidad padre exigido por cada nivel (null: sin padre)
+ */
+const PADRE_REQUERIDO = {
+  Sede: null,
+  Facultad: 'Sede',
+  Programa: 'Facultad'
+};
+
+/**
+ * Select de una unidad referenciada (padre, hijas, unidad de un convenio)
+ */
+const UNIDAD_RESUMEN_SELECT = {
+  id: true,
+  nombre: true,
+  codigo: true,
+  tipo: true
+};
+
+/**
+ * Comprueba que una unidad cuelgue del nivel que le corresponde
+ * @param {string} tipo - Tipo de la unidad
+ * @param {Object|null} padre - Unidad padre ({ tipo }) o null
+ * @returns {string|null} Motivo del rechazo o null si la jerarquía es válida
+ * @complexity O(1)
+ */
+const validateJerarquia = (tipo, padre) => {
+  const tipoPadre = PADRE_REQUERIDO[tipo];
+
+  if (tipoPadre === null) {
+    return padre ? `Una unidad de tipo ${tipo} no puede depender de otra unidad` : null;
+  }
+
+  if (!padre) {
+    return `Una unidad de tipo ${tipo} debe depender de una unidad de tipo ${tipoPadre}`;
+  }
+
+  return padre.tipo === tipoPadre
+    ? null
+    : `Una unidad de tipo ${tipo} debe depender de una unidad de tipo ${tipoPadre}, no de ${padre.tipo}`;
+};
+
+/**
+ * Expande un conjunto de unidades con todas sus dependientes
+ * @param {number[]} raices - Unidades asignadas
+ * @param {Array<{id: number, padreId: number|null}>} unidades - Jerarquía completa
+ * @returns {number[]} IDs de las unidades y sus dependientes, ordenados
+ * @complexity O(u)
+ */
+const expandUnidades = (raices, unidades) => {
+  const hijasPorPadre = new Map();
+  unidades.forEach(({ id, padreId }) => {
+    if (padreId === null) return;
+    hijasPorPadre.set(padreId, [...(hijasPorPadre.get(padreId) || []), id]);
+  });
+
+  const existentes = new Set(unidades.map(u => u.id));
+  const visitadas = new Set();
+  const pendientes = raices.filter(id => existentes.has(id));
+
+  while (pendientes.length > 0) {
+    const id = pendientes.pop();
+    if (visitadas.has(id)) continue;
+    visitadas.add(id);
+    pendientes.push(...(hijasPorPadre.get(id) || []));
+  }
+
+  return [...visitadas].sort((a, b) => a - b);
+};
+
+/**
+ * Condición Prisma sobre Convenio para un alcance
+ * @param {number[]|null} alcance - Unidades visibles; null sin restricción
+ * @returns {Object} where de Convenio (vacío sin restricción)
+ * @complexity O(1)
+ */
+const buildAlcanceWhere = (alcance) => (
+  Array.isArray(alcance) ? { unidadId: { in: alcance } } : {}
+);
+
+/**
+ * Arma el árbol de unidades a partir de la lista plana
+ * @param {Array<Object>} unidades - Unidades con padreId, ordenadas por nombre
+ * @returns {Array<Object>} Sedes (y unidades huérfanas) con sus `hijas` anidadas
+ * @complexity O(u)
+ */
+const buildArbol = (unidades) => {
+  const nodos = new Map(unidades.map(u => [u.id, { ...u, hijas: [] }]));
+  const raices = [];
+
+  nodos.forEach((nodo) => {
+    const padre = nodo.padreId !== null ? nodos.get(nodo.padreId) : null;
+    (padre ? padre.hijas : raices).push(nodo);
+  });
+
+  return raices;
+};
+
+/**
+ * Cuenta de relaciones de una unidad → totales planos
+ * @param {Object} unidad - Unidad cargada con _count
+ * @returns {Object}
+ * @complexity O(1)
+ */
+const serializeUnidad = ({ _count, ...unidad }) => ({
+  ...unidad,
+  ...(_count && {
+    totalHijas: _count.hijas,
+    totalConvenios: _count.convenios,
+    totalUsuarios: _count.usuarios
+  })
+});
+
+const UNIDAD_COUNT = {
+  _count: { select: { hijas: true, convenios: true, usuarios: true } }
+};
+
+/**
+ * @class UnidadService
+ * @description Operaciones CRUD sobre unidades, pertenencia de usuarios y alcance
+ */
+class UnidadService {
+  constructor() {
+    this.historyService = new ConvenioHistoryService();
+  }
+
+  /**
+   * Resultado estándar de unidad inexistente
+   */
+  notFound() {
+    return {
+      success: false,
+      error: 'UNIDAD_NOT_FOUND',
+      message: 'Unidad organizacional no encontrada'
+    };
+  }
+
+  /**
+   * Resultado estándar de nombre o código repetido
+   */
+  duplicada(detalle) {
+    return {
+      success: false,
+      error: 'UNIDAD_DUPLICADA',
+      message: `Ya existe una unidad con ${detalle}`
+    };
+  }
+
+  /**
+   * Verifica que el nombre no se repita bajo el mismo padre (sin distinguir
+   * mayúsculas) y que el código no esté en uso
+   * @param {Object} datos - { nombre, codigo, padreId } finales de la unidad
+   * @param {number} [id] - Unidad que se está editando
+   * @returns {Promise<Object|null>} Resultado fallido o null si no hay conflicto
+   * @complexity O(log n)
+   */
+  async findConflict({ nombre, codigo, padreId }, id = null) {
+    const excluir = id ? { NOT: { id } } : {};
+
+    const [mismoNombre, mismoCodigo] = await Promise.all([
+      prisma.unidadOrganizacional.findFirst({
+        where: { padreId, nombre: { equals: nombre, mode: 'insensitive' }, ...excluir },
+        select: { id: true }
+      }),
+      codigo
+        ? prisma.unidadOrganizacional.findFirst({
+          where: { codigo: { equals: codigo, mode: 'insensitive' }, ...excluir },
+          select: { id: true }
+        })
+        : null
+    ]);
+
+    if (mismoNombre) return this.duplicada(`el nombre "${nombre}" en el mismo nivel`);
+    if (mismoCodigo) return this.duplicada(`el código "${codigo}"`);
+    return null;
+  }
+
+  /**
+   * Verifica que la unidad padre exista y corresponda al nivel de la unidad
+   * @param {string} tipo - Tipo de la unidad
+   * @param {number|null} padreId - Unidad padre
+   * @returns {Promise<Object|null>} Resultado fallido o null si es válida
+   * @complexity O(log n)
+   */
+  async findJerarquiaError(tipo, padreId) {
+    const padre = padreId
+      ? await prisma.unidadOrganizacional.findUnique({
+        where: { id: padreId },
+        select: { id: true, tipo: true }
+      })
+      : null;
+
+    if (padreId && !padre) {
+      return {
+        success: false,
+        error: 'UNIDAD_PADRE_NOT_FOUND',
+        message: `Unidad padre no encontrada: ${padreId}`
+      };
+    }
+
+    const motivo = validateJerarquia(tipo, padre);
+
+    return motivo
+      ? { success: false, error: 'JERARQUIA_INVALIDA', message: motivo }
+      : null;
+  }
+
+  /**
+   * Lista las unidades con sus totales de dependientes, convenios y usuarios
+   * @param {Object} filtros - { tipo, padreId, nombre }
+   * @returns {Promise<Object>} Resultado con las unidades
+   * @complexity O(u)
+   */
+  async listUnidades({ tipo, padreId, nombre } = {}) {
+    try {
+      const unidades = await prisma.unidadOrganizacional.findMany({
+        where: {
+          ...(tipo && { tipo }),
+          ...(padreId && { padreId }),
+          ...(nombre && { nombre: { contains: nombre, mode: 'insensitive' } })
+        },
+        orderBy: [{ tipo: 'asc' }, { nombre: 'asc' }],
+        include: {
+          padre: { select: UNIDAD_RESUMEN_SELECT },
+          ...UNIDAD_COUNT
+        }
+      });
+
+      return {
+        success: true,
+        data: unidades.map(serializeUnidad)
+      };
+    } catch (error) {
+      throw new Error(`Error al listar unidades: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene la jerarquía completa como árbol de sedes, facultades y programas
+   * @returns {Promise<Object>} Resultado con el árbol
+   * @complexity O(u)
+   */
+  async getArbol() {
+    try {
+      const unidades = await prisma.unidadOrganizacional.findMany({
+        orderBy: { nombre: 'asc' },
+        select: {
+          ...UNIDAD_RESUMEN_SELECT,
+          padreId: true,
+          _count: { select: { convenios: true } }
+        }
+      });
+
+      return {
+        success: true,
+        data: buildArbol(unidades.map(({ _count, ...unidad }) => ({
+          ...unidad,
+          totalConvenios: _count.convenios
+        })))
+      };
+    } catch (error) {
+      throw new Error(`Error al obtener jerarquía de unidades: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene una unidad con su padre y sus unidades dependientes directas
+   * @param {number} id - ID de la unidad
+   * @returns {Promise<Object>} Resultado con la unidad
+   * @complexity O(log n + h) donde h = dependientes directas
+   */
+  async getUnidad(id) {
+    try {
+      const unidad = await prisma.unidadOrganizacional.findUnique({
+        where: { id },
+        include: {
+          padre: { select: UNIDAD_RESUMEN_SELECT },
+          hijas: { select: UNIDAD_RESUMEN_SELECT, orderBy: { nombre: 'asc' } },
+          ...UNIDAD_COUNT
+        }
+      });
+
+      if (!unidad) return this.notFound();
+
+      return {
+        success: true,
+        data: serializeUnidad(unidad)
+      };
+    } catch (error) {
+      throw new Error(`Error al obtener unidad: ${error.message}`);
+    }
+  }
+
+  /**
+   * Crea una unidad en el nivel que le corresponde de la jerarquía
+   * @param {Object} data - Datos validados por createUnidadSchema
+   * @returns {Promise<Object>} Resultado con la unidad creada
+   * @complexity O(log n)
+   */
+  async createUnidad(data) {
+    try {
+      const padreId = data.padreId ?? null;
+
+      const errorJerarquia = await this.findJerarquiaError(data.tipo, padreId);
+      if (errorJerarquia) return errorJerarquia;
+
+      const conflicto = await this.findConflict({ ...data, padreId });
+      if (conflicto) return conflicto;
+
+      const unidad = await prisma.unidadOrganizacional.create({
+        data: {
+          nombre: data.nombre,
+          codigo: data.codigo ?? null,
+          tipo: data.tipo,
+          padreId
+        },
+        include: { padre: { select: UNIDAD_RESUMEN_SELECT } }
+      });
+
+      return {
+        success: true,
+        message: 'Unidad creada exitosamente',
+        data: unidad
+      };
+    } catch (error) {
+      if (error.code === PRISMA_UNIQUE_VIOLATION) return this.duplicada('el mismo nombre o código');
+      throw new Error(`Error al crear unidad: ${error.message}`);
+    }
+  }
+
+  /**
+   * Actualiza una unidad (solo los campos enviados). Cambiar el padre traslada la
+   * unidad con todas sus dependientes y sus convenios.
+   * @param {number} id - ID de la unidad
+   * @param {Object} data - Datos validados por patchUnidadSchema
+   * @returns {Promise<Object>} Resultado con la unidad actualizada
+   * @complexity O(log n)
+   */
+  async updateUnidad(id, data) {
+    try {
+      const existente = await prisma.unidadOrganizacional.findUnique({ where: { id } });
+      if (!existente) return this.notFound();
+
+      const final = {
+        nombre: data.nombre ?? existente.nombre,
+        codigo: data.codigo !== undefined ? data.codigo : existente.codigo,
+        padreId: data.padreId !== undefined ? data.padreId : existente.padreId
+      };
+
+      if (data.padreId !== undefined) {
+        const errorJerarquia = await this.findJerarquiaError(existente.tipo, final.padreId);
+        if (errorJerarquia) return errorJerarquia;
+      }
+
+      const conflicto = await this.findConflict(final, id);
+      if (conflicto) return conflicto;
+
+      const unidad = await prisma.unidadOrganizacional.update({
+        where: { id },
+        data,
+        include: { padre: { select: UNIDAD_RESUMEN_SELECT } }
+      });
+
+      return {
+        success: true,
+        message: 'Unidad actualizada exitosamente',
+        data: unidad
+      };
+    } catch (error) {
+      if (error.code === PRISMA_UNIQUE_VIOLATION) return this.duplicada('el mismo nombre o código');
+      throw new Error(`Error al actualizar unidad: ${error.message}`);
+    }
+  }
+
+  /**
+   * Elimina una unidad sin dependientes ni convenios; sus usuarios dejan de pertenecer a ella
+   * @param {number} id - ID de la unidad
+   * @returns {Promise<Object>} Resultado de la eliminación
+   * @complexity O(log n)
+   */
+  async deleteUnidad(id) {
+    try {
+      const unidad = await prisma.unidadOrganizacional.findUnique({
+        where: { id },
+        include: UNIDAD_COUNT
+      });
+
+      if (!unidad) return this.notFound();
+
+      const { hijas, convenios } = unidad._count;
+      if (hijas > 0 || convenios > 0) {
+        return {
+          success: false,
+          error: 'UNIDAD_EN_USO',
+          message: `La unidad tiene ${hijas} unidad(es) dependiente(s) y ${convenios} convenio(s). Trasládelos antes de eliminarla`
+        };
+      }
+
+      await prisma.unidadOrganizacional.delete({ where: { id } });
+
+      return {
+        success: true,
+        message: 'Unidad eliminada exitosamente',
+        data: { id: unidad.id, nombre: unidad.nombre }
+      };
+    } catch (error) {
+      throw new Error(`Error al eliminar unidad: ${error.message}`);
+    }
+  }
+
+  /**
+   * Calcula el alcance de un usuario: sus unidades y todas las que dependen de ellas
+   * @param {Object} user - Usuario autenticado ({ id, rol })
+   * @returns {Promise<number[]|null>} IDs de unidades visibles; null si es ADMIN (sin restricción)
+   * @complexity O(u)
+   */
+  async resolveAlcance(user) {
+    if (user?.rol === 'ADMIN') return null;
+    if (!user?.id) return [];
+
+    const asignadas = await prisma.usuarioUnidad.findMany({
+      where: { userId: user.id },
+      select: { unidadId: true }
+    });
+
+    if (asignadas.length === 0) return [];
+
+    const unidades = await prisma.unidadOrganizacional.findMany({
+      select: { id: true, padreId: true }
+    });
+
+    return expandUnidades(asignadas.map(a => a.unidadId), unidades);
+  }
+
+  /**
+   * Indica si un convenio pertenece al alcance
+   * @param {number} convenioId - ID del convenio
+   * @param {number[]|null} alcance - Resultado de resolveAlcance
+   * @returns {Promise<boolean>} false también si el convenio no existe
+   * @complexity O(log n)
+   */
+  async isConvenioEnAlcance(convenioId, alcance) {
+    if (alcance === null) return true;
+
+    const convenio = await prisma.convenio.findFirst({
+      where: { id: convenioId, ...buildAlcanceWhere(alcance) },
+      select: { id: true }
+    });
+
+    return Boolean(convenio);
+  }
+
+  /**
+   * Determina la unidad de un convenio que se crea o se reasigna. Sin unidad, quien
+   * tiene una sola unidad en su alcance la recibe por defecto. Ningún convenio queda
+   * sin unidad, tampoco si lo escribe un ADMIN: solo ADMIN lo vería.
+   * @param {number|null|undefined} unidadId - Unidad enviada
+   * @param {number[]|null} alcance - Alcance del usuario que escribe
+   * @returns {Promise<Object>} { success: true, unidadId } o resultado fallido
+   * @complexity O(log n)
+   */
+  async resolveUnidadConvenio(unidadId, alcance) {
+    if (!unidadId) {
+      if (alcance?.length === 1) return { success: true, unidadId: alcance[0] };
+
+      return {
+        success: false,
+        error: 'UNIDAD_REQUERIDA',
+        message: 'Debe indicar la unidad organizacional (unidadId) del convenio'
+      };
+    }
+
+    const unidad = await prisma.unidadOrganizacional.findUnique({
+      where: { id: unidadId },
+      select: { id: true }
+    });
+
+    if (!unidad) return this.notFound();
+
+    if (alcance !== null && !alcance.includes(unidadId)) {
+      return {
+        success: false,
+        error: 'UNIDAD_FUERA_DE_ALCANCE',
+        message: 'Solo puede asignar convenios a sus unidades o a las que dependen de ellas'
+      };
+    }
+
+    return { success: true, unidadId };
+  }
+
+  /**
+   * Asigna a una unidad convenios que todavía no tienen unidad, como los registrados
+   * antes de existir las unidades. Los que ya tienen unidad no cambian: se reasignan
+   * editando el convenio. Cada asignación queda en el historial de revisiones.
+   * @param {number} id - Unidad destino
+   * @param {Object} data - { convenioIds } o { sinUnidad: true } para tomar, por orden de ID,
+   * hasta MAX_CONVENIOS_ASIGNACION convenios sin unidad
+   * @param {number} userId - Usuario que asigna
+   * @returns {Promise<Object>} Resultado con los convenios asignados, los que ya tenían
+   * unidad y cuántos quedan sin unidad
+   * @complexity O(c) donde c = convenios asignados
+   */
+  async asignarConvenios(id, { convenioIds, sinUnidad }, userId) {
+    try {
+      const unidad = await prisma.unidadOrganizacional.findUnique({
+        where: { id },
+        select: UNIDAD_RESUMEN_SELECT
+      });
+
+      if (!unidad) return this.notFound();
+
+      let conUnidad = [];
+      if (!sinUnidad) {
+        const existentes = await prisma.convenio.findMany({
+          where: { id: { in: convenioIds } },
+          select: { id: true, unidadId: true }
+        });
+
+        if (existentes.length !== convenioIds.length) {
+          const encontrados = new Set(existentes.map(c => c.id));
+          const faltantes = convenioIds.filter(convenioId => !encontrados.has(convenioId));
+          return {
+            success: false,
+            error: 'CONVENIO_NOT_FOUND',
+            message: `Convenios no encontrados: ${faltantes.join(', ')}`
+          };
+        }
+
+        conUnidad = existentes.filter(c => c.unidadId !== null).map(c => c.id);
+      }
+
+      const asignados = await this.historyService.runWithRevision(async (tx) => {
+        const pendientes = await tx.convenio.findMany({
+          where: { unidadId: null, ...(!sinUnidad && { id: { in: convenioIds } }) },
+          select: { id: true },
+          orderBy: { id: 'asc' },
+          take: MAX_CONVENIOS_ASIGNACION
+        });
+
+        const ids = [];
+        for (const { id: convenioId } of pendientes) {
+          // Solo si sigue sin unidad: otra solicitud pudo asignarla mientras tanto
+          const { count } = await tx.convenio.updateMany({
+            where: { id: convenioId, unidadId: null },
+            data: { unidadId: id }
+          });
+
+          if (count === 1) {
+            await this.historyService.recordChanges(tx, convenioId, { unidadId: null }, { unidadId: id }, userId);
+            ids.push(convenioId);
+          }
+        }
+
+        return ids;
+      }, { timeout: 60000 });
+
+      const restantes = await prisma.convenio.count({ where: { unidadId: null } });
+
+      return {
+        success: true,
+        message: `${asignados.length} convenio(s) asignados a la unidad`,
+        data: { unidad, asignados, conUnidad, restantes }
+      };
+    } catch (error) {
+      throw new Error(`Error al asignar convenios a la unidad: ${error.message}`);
+    }
+  }
+
+  /**
+   * Obtiene las unidades de un usuario y su alcance resultante
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<Object>} Resultado con el usuario, sus unidades y el alcance
+   * @complexity O(u)
+   */
+  async getUnidadesUsuario(userId) {
+    try {
+      const usuario = await prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+          id: true,
+          email: true,
+          rol: true,
+          unidades: {
+            orderBy: { unidad: { nombre: 'asc' } },
+            select: { unidad: { select: UNIDAD_RESUMEN_SELECT } }
+          }
+        }
+      });
+
+      if (!usuario) {
+        return {
+          success: false,
+          error: 'USUARIO_NOT_FOUND',
+          message: 'Usuario no encontrado'
+        };
+      }
+
+      const { unidades, ...datosUsuario } = usuario;
+      const alcance = await this.resolveAlcance(usuario);
+
+      return {
+        success: true,
+        data: {
+          usuario: datosUsuario,
+          unidades: unidades.map(({ unidad }) => unidad),
+          // null: el usuario ve todos los convenios
+          alcance
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error al obtener unidades del usuario: ${error.message}`);
+    }
+  }
+
+  /**
+   * Reemplaza las unidades de un usuario
+   * @param {number} userId - ID del usuario
+   * @param {number[]} unidadIds - Unidades finales del usuario (vacío las quita todas)
+   * @returns {Promise<Object>} Resultado con las unidades y el alcance del usuario
+   * @complexity O(u)
+   */
+  async asignarUnidades(userId, unidadIds) {
+    try {
+      const usuario = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true }
+      });
+
+      if (!usuario) {
+        return {
+          success: false,
+          error: 'USUARIO_NOT_FOUND',
+          message: 'Usuario no encontrado'
+        };
+      }
+
+      const existentes = await prisma.unidadOrganizacional.findMany({
+        where: { id: { in: unidadIds } },
+        select: { id: true }
+      });
+
+      if (existentes.length !== unidadIds.length) {
+        const encontradas = new Set(existentes.map(u => u.id));
+        const faltantes = unidadIds.filter(id => !encontradas.has(id));
+        return {
+          success: false,
+          error: 'UNIDAD_NOT_FOUND',
+          message: `Unidades no encontradas: ${faltantes.join(', ')}`
+        };
+      }
+
+      await prisma.$transaction([
+        prisma.usuarioUnidad.deleteMany({
+          where: { userId, unidadId: { notIn: unidadIds } }
+        }),
+        prisma.usuarioUnidad.createMany({
+          data: unidadIds.map(unidadId => ({ userId, unidadId })),
+          skipDuplicates: true
+        })
+      ]);
+
+      const result = await this.getUnidadesUsuario(userId);
+
+      return {
+        ...result,
+        message: 'Unidades del usuario actualizadas'
+      };
+    } catch (error) {
+      throw new Error(`Error al asignar unidades: ${error.message}`);
+    }
+  }
+}
+
+export {
+  UnidadService,
+  PADRE_REQUERIDO,
+  UNIDAD_RESUMEN_SELECT,
+  validateJerarquia,
+  expandUnidades,
+  buildAlcanceWhere,
+  buildArbol
+};
+export default UnidadService;
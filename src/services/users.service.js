@@ -0,0 +1,469 @@
+/**
+ * @fileoverview Servicio de administración de usuarios
+ * @description Permite a un ADMIN buscar usuarios, cambiar su rol global, activarlos o
+ * desactivarlos y restablecer su contraseña. Desactivar una cuenta o restablecer su
+ * contraseña revoca todas sus sesiones; el sistema siempre conserva al menos un ADMIN
+ * activo y un ADMIN no puede modificar su propia cuenta desde aquí. También permite verificar
+ * a mano el email de las cuentas que no pueden recibir el enlace de verificación y
+ * restablecer la autenticación en dos pasos de quien perdió su dispositivo y sus códigos, y
+ * desbloquear cuentas bloqueadas por intentos fallidos de inicio de sesión.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Complejidad Big O:
+ * - Listado: O(log n + k) con paginación (k = tamaño de página)
+ * - Operaciones por ID: O(log n) usando clave primaria
+ * - Restablecer contraseña: O(2^saltRounds) por el hash
+ */
+
+import { prisma } from '../lib/prisma.js';
+import { isCursorMode, buildCursorQuery, buildCursorPage } from '../lib/cursor-pagination.js';
+import { generateTemporaryPassword } from '../lib/password-policy.js';
+import TokenService from './token.service.js';
+import { LOCKOUT_RESET_DATA, isAccountLocked } from './login-lockout.service.js';
+import PasswordValidationService from './password-validation.service.js';
+
+/**
+ * Datos de un usuario en el listado (nunca incluye la contraseña)
+ */
+const USER_SELECT = {
+  id: true,
+  email: true,
+  rol: true,
+  isActive: true,
+  emailVerified: true,
+  mustChangePassword: true,
+  mfaEnabled: true,
+  lockedUntil: true,
+  lastLogin: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+/**
+ * Orden del listado: los usuarios más recientes primero
+ */
+const USERS_SORT = [{ field: 'createdAt', order: 'desc' }];
+
+/**
+ * Filtros del listado → where de Prisma
+ * @param {Object} query - { search, rol, isActive }
+ * @returns {Object}
+ * @complexity O(1)
+ */
+const buildUsersWhere = ({ search, rol, isActive }) => ({
+  ...(search && { email: { contains: search, mode: 'insensitive' } }),
+  ...(rol && { rol }),
+  ...(isActive !== undefined && { isActive })
+});
+
+/**
+ * Resultado para operaciones de un ADMIN sobre su propia cuenta
+ * @param {string} message
+ * @returns {Object}
+ */
+const selfModificationResult = (message) => ({
+  success: false,
+  error: 'SELF_MODIFICATION',
+  message
+});
+
+class UserAdminService {
+  constructor() {
+    this.tokenService = new TokenService();
+    this.passwordValidator = new PasswordValidationService({
+      saltRounds: parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12
+    });
+  }
+
+  /**
+   * Listar usuarios con búsqueda por email y filtros por rol y estado
+   * @param {Object} query - Query validada (search, rol, isActive, page/limit o cursor)
+   * @returns {Promise<Object>} Usuarios paginados
+   * @complexity O(log n + k)
+   */
+  async listUsers(query) {
+    try {
+      const where = buildUsersWhere(query);
+
+      if (isCursorMode(query)) {
+        const cursorQuery = buildCursorQuery(USERS_SORT, query, where);
+        if (!cursorQuery) {
+          return {
+            success: false,
+            error: 'INVALID_CURSOR',
+            message: 'Cursor de paginación inválido o generado con otro ordenamiento'
+          };
+        }
+
+        const users = await prisma.user.findMany({ ...cursorQuery, select: USER_SELECT });
+        const { items, pagination } = buildCursorPage(users, USERS_SORT, query);
+
+        return { success: true, data: items, pagination };
+      }
+
+      const { page, limit } = query;
+      const [users, total] = await Promise.all([
+        prisma.user.findMany({
+          where,
+          orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+          skip: (page - 1) * limit,
+          take: limit,
+          select: USER_SELECT
+        }),
+        prisma.user.count({ where })
+      ]);
+
+      const totalPages = Math.ceil(total / limit);
+
+      return {
+        success: true,
+        data: users,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalCount: total,
+          limit,
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error al listar usuarios: ${error.message}`);
+    }
+  }
+
+  /**
+   * Detalle de un usuario con sus unidades, membresías y sesiones activas
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<Object>}
+   * @complexity O(log n + u) donde u = unidades del usuario
+   */
+  async getUserById(userId) {
+    try {
+      const [user, sesionesActivas] = await Promise.all([
+        prisma.user.findUnique({
+          where: { id: userId },
+          select: {
+            ...USER_SELECT,
+            passwordChangedAt: true,
+            unidades: {
+              select: { unidad: { select: { id: true, nombre: true, codigo: true, tipo: true } } }
+            },
+            _count: { select: { membresiasConvenio: true } }
+          }
+        }),
+        prisma.refreshToken.count({
+          where: { userId, isRevoked: false, expiresAt: { gt: new Date() } }
+        })
+      ]);
+
+      if (!user) {
+        return { success: false, error: 'USER_NOT_FOUND', message: 'Usuario no encontrado' };
+      }
+
+      const { unidades, _count, ...datos } = user;
+
+      return {
+        success: true,
+        data: {
+          ...datos,
+          unidades: unidades.map(u => u.unidad),
+          conveniosComoMiembro: _count.membresiasConvenio,
+          sesionesActivas
+        }
+      };
+    } catch (error) {
+      throw new Error(`Error al obtener usuario: ${error.message}`);
+    }
+  }
+
+  /**
+   * Usuario a modificar, verificando que exista y que no sea el propio ADMIN
+   * @param {number} userId - Usuario a modificar
+   * @param {number} adminId - ADMIN que realiza la operación
+   * @param {string} selfMessage - Mensaje si el ADMIN intenta modificarse a sí mismo
+   * @returns {Promise<{ user?: Object, result?: Object }>} result indica un rechazo
+   * @complexity O(log n)
+   */
+  async findTarget(userId, adminId, selfMessage) {
+    if (userId === adminId) {
+      return { result: selfModificationResult(selfMessage) };
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, rol: true, isActive: true }
+    });
+
+    if (!user) {
+      return { result: { success: false, error: 'USER_NOT_FOUND', message: 'Usuario no encontrado' } };
+    }
+
+    return { user };
+  }
+
+  /**
+   * Indica si un ADMIN activo es el último que queda
+   * @param {Object} user - Usuario a modificar ({ id, rol, isActive })
+   * @returns {Promise<boolean>}
+   * @complexity O(log n)
+   */
+  async isLastActiveAdmin(user) {
+    if (user.rol !== 'ADMIN' || !user.isActive) return false;
+
+    const otrosAdmins = await prisma.user.count({
+      where: { rol: 'ADMIN', isActive: true, id: { not: user.id } }
+    });
+
+    return otrosAdmins === 0;
+  }
+
+  /**
+   * Cambiar el rol global de un usuario. Las sesiones se conservan: el nuevo rol se
+   * aplica al refrescar el token de acceso.
+   * @param {number} userId - Usuario a modificar
+   * @param {string} rol - Nuevo rol (ADMIN, GESTOR o CONSULTOR)
+   * @param {number} adminId - ADMIN que realiza el cambio
+   * @returns {Promise<Object>}
+   * @complexity O(log n)
+   */
+  async changeRol(userId, rol, adminId) {
+    try {
+      const { user, result } = await this.findTarget(
+        userId, adminId, 'No puedes cambiar tu propio rol'
+      );
+      if (result) return result;
+
+      if (user.rol === rol) {
+        return { success: true, data: user, message: 'El usuario ya tiene ese rol' };
+      }
+
+      if (await this.isLastActiveAdmin(user)) {
+        return {
+          success: false,
+          error: 'LAST_ADMIN',
+          message: 'No se puede quitar el rol ADMIN al último administrador activo'
+        };
+      }
+
+      const updated = await prisma.user.update({
+        where: { id: userId },
+        data: { rol },
+        select: USER_SELECT
+      });
+
+      return {
+        success: true,
+        data: updated,
+        previousRol: user.rol,
+        message: 'Rol actualizado exitosamente'
+      };
+    } catch (error) {
+      throw new Error(`Error al cambiar rol de usuario: ${error.message}`);
+    }
+  }
+
+  /**
+   * Activar o desactivar una cuenta. Al desactivarla se revocan todas sus sesiones.
+   * @param {number} userId - Usuario a modificar
+   * @param {boolean} isActive - Nuevo estado
+   * @param {number} adminId - ADMIN que realiza el cambio
+   * @returns {Promise<Object>} data incluye sesionesRevocadas
+   * @complexity O(log n + s) donde s = sesiones del usuario
+   */
+  async setActive(userId, isActive, adminId) {
+    try {
+      const { user, result } = await this.findTarget(
+        userId, adminId, 'No puedes activar o desactivar tu propia cuenta'
+      );
+      if (result) return result;
+
+      if (!isActive && await this.isLastActiveAdmin(user)) {
+        return {
+          success: false,
+          error: 'LAST_ADMIN',
+          message: 'No se puede desactivar al último administrador activo'
+        };
+      }
+
+      const updated = user.isActive === isActive
+        ? await prisma.user.findUnique({ where: { id: userId }, select: USER_SELECT })
+        : await prisma.user.update({ where: { id: userId }, data: { isActive }, select: USER_SELECT });
+
+      const sesionesRevocadas = isActive ? 0 : await this.tokenService.revokeAllUserTokens(userId);
+
+      return {
+        success: true,
+        data: { ...updated, sesionesRevocadas },
+        message: isActive ? 'Usuario activado exitosamente' : 'Usuario desactivado exitosamente'
+      };
+    } catch (error) {
+      throw new Error(`Error al cambiar estado de usuario: ${error.message}`);
+    }
+  }
+
+  /**
+   * Marcar el email de un usuario como verificado, para las cuentas registradas con
+   * código estudiantil o que no recibieron el enlace de verificación
+   * @param {number} userId - Usuario a verificar
+   * @returns {Promise<Object>}
+   * @complexity O(log n)
+   */
+  async verifyEmail(userId) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, emailVerified: true }
+      });
+
+      if (!user) {
+        return { success: false, error: 'USER_NOT_FOUND', message: 'Usuario no encontrado' };
+      }
+
+      const updated = user.emailVerified
+        ? await prisma.user.findUnique({ where: { id: userId }, select: USER_SELECT })
+        : await prisma.user.update({
+          where: { id: userId },
+          data: { emailVerified: true, emailVerifiedAt: new Date() },
+          select: USER_SELECT
+        });
+
+      return {
+        success: true,
+        data: updated,
+        message: user.emailVerified ? 'El email ya estaba verificado' : 'Email verificado exitosamente'
+      };
+    } catch (error) {
+      throw new Error(`Error al verificar email de usuario: ${error.message}`);
+    }
+  }
+
+  /**
+   * Desbloquear una cuenta bloqueada por intentos fallidos. Reinicia el conteo de intentos
+   * y el retroceso exponencial de los bloqueos.
+   * @param {number} userId - Usuario a desbloquear
+   * @returns {Promise<Object>} data incluye wasLocked
+   * @complexity O(log n)
+   */
+  async unlock(userId) {
+    try {
+      const user = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { id: true, lockedUntil: true }
+      });
+
+      if (!user) {
+        return { success: false, error: 'USER_NOT_FOUND', message: 'Usuario no encontrado' };
+      }
+
+      const wasLocked = isAccountLocked(user);
+
+      const updated = await prisma.user.update({
+        where: { id: userId },
+        data: LOCKOUT_RESET_DATA,
+        select: USER_SELECT
+      });
+
+      return {
+        success: true,
+        data: { ...updated, wasLocked },
+        message: wasLocked ? 'Cuenta desbloqueada exitosamente' : 'La cuenta no estaba bloqueada'
+      };
+    } catch (error) {
+      throw new Error(`Error al desbloquear usuario: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restablecer la autenticación en dos pasos de un usuario que perdió su dispositivo y sus
+   * códigos de recuperación. Borra el secreto y los códigos y revoca sus sesiones; si su
+   * rol la exige, deberá registrarla de nuevo al iniciar sesión.
+   * @param {number} userId - Usuario a modificar
+   * @param {number} adminId - ADMIN que realiza el restablecimiento
+   * @returns {Promise<Object>} data incluye sesionesRevocadas
+   * @complexity O(log n + c + s) donde c = códigos de recuperación
+   */
+  async resetMfa(userId, adminId) {
+    try {
+      const { result } = await this.findTarget(
+        userId, adminId, 'Usa la desactivación del segundo factor para tu propia cuenta'
+      );
+      if (result) return result;
+
+      const [, updated] = await prisma.$transaction([
+        prisma.mfaRecoveryCode.deleteMany({ where: { userId } }),
+        prisma.user.update({
+          where: { id: userId },
+          data: { mfaEnabled: false, mfaSecret: null, mfaEnabledAt: null, mfaLastUsedStep: null },
+          select: USER_SELECT
+        })
+      ]);
+
+      const sesionesRevocadas = await this.tokenService.revokeAllUserTokens(userId);
+
+      return {
+        success: true,
+        data: { ...updated, sesionesRevocadas },
+        message: 'Autenticación en dos pasos restablecida'
+      };
+    } catch (error) {
+      throw new Error(`Error al restablecer segundo factor: ${error.message}`);
+    }
+  }
+
+  /**
+   * Restablecer la contraseña de un usuario con una contraseña temporal. El usuario
+   * debe cambiarla en su próximo inicio de sesión, sus sesiones actuales se revocan y la
+   * cuenta se desbloquea.
+   * La contraseña temporal solo se devuelve en esta respuesta.
+   * @param {number} userId - Usuario a modificar
+   * @param {number} adminId - ADMIN que realiza el restablecimiento
+   * @returns {Promise<Object>} data incluye temporaryPassword
+   * @complexity O(2^saltRounds + s)
+   */
+  async resetPassword(userId, adminId) {
+    try {
+      const { user, result } = await this.findTarget(
+        userId, adminId, 'Usa el cambio de contraseña para tu propia cuenta'
+      );
+      if (result) return result;
+
+      const temporaryPassword = generateTemporaryPassword();
+      const hashResult = await this.passwordValidator.hashPassword(temporaryPassword);
+
+      if (!hashResult.success) {
+        return {
+          success: false,
+          error: 'PASSWORD_HASH_ERROR',
+          message: 'Error procesando la contraseña'
+        };
+      }
+
+      await prisma.user.update({
+        where: { id: userId },
+        data: { password: hashResult.hash, mustChangePassword: true, ...LOCKOUT_RESET_DATA }
+      });
+
+      const sesionesRevocadas = await this.tokenService.revokeAllUserTokens(userId);
+
+      return {
+        success: true,
+        data: {
+          id: user.id,
+          email: user.email,
+          temporaryPassword,
+          mustChangePassword: true,
+          sesionesRevocadas
+        },
+        message: 'Contraseña restablecida. El usuario deberá cambiarla al iniciar sesión'
+      };
+    } catch (error) {
+      throw new Error(`Error al restablecer contraseña: ${error.message}`);
+    }
+  }
+}
+
+export { buildUsersWhere };
+
+export default UserAdminService;
@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Validadores para Adendas (otrosíes) de Convenios
+ * @description Schemas Zod para registrar, editar y consultar adendas
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Complejidad Big O:
+ * - Todas las validaciones: O(1)
+ */
+
+import { z } from 'zod';
+import { ValidationFactory, createRequestValidator } from './convenios.validator.js';
+
+/**
+ * Validador de IDs numéricos - O(1)
+ */
+const createIdValidator = (campo) => z.coerce.number()
+  .int(`${campo} debe ser un número entero`)
+  .positive(`${campo} debe ser positivo`)
+  .max(2147483647, `${campo} excede el valor máximo permitido`);
+
+/**
+ * Schema para parámetros de ruta de adendas
+ */
+const adendaParamsSchema = z.object({
+  convenioId: createIdValidator('ID de convenio'),
+  adendaId: createIdValidator('ID de adenda').optional()
+});
+
+/**
+ * Campos de una adenda
+ */
+const adendaBodySchema = z.object({
+  fecha: ValidationFactory.createDateValidator(),
+  descripcion: z.string()
+    .trim()
+    .min(1, 'Descripción es requerida')
+    .max(5000, 'Descripción no puede exceder 5000 caracteres'),
+  nuevaFechaFin: ValidationFactory.createDateValidator().nullable().optional(),
+  documentId: createIdValidator('ID de documento').nullable().optional()
+});
+
+/**
+ * Schema para registrar una adenda
+ */
+const createAdendaSchema = adendaBodySchema;
+
+/**
+ * Schema para actualizar parcialmente una adenda pendiente
+ */
+const patchAdendaSchema = adendaBodySchema
+  .partial()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: 'Debe enviar al menos un campo para actualizar'
+  });
+
+export const validateAdendaParams = createRequestValidator(
+  adendaParamsSchema, 'params', 'validatedParams', 'Parámetros de ruta inválidos'
+);
+
+export const validateCreateAdenda = createRequestValidator(
+  createAdendaSchema, 'body', 'validatedBody', 'Datos de adenda inválidos'
+);
+
+export const validatePatchAdenda = createRequestValidator(
+  patchAdendaSchema, 'body', 'validatedBody', 'Datos de adenda inválidos'
+);
+
+export {
+  adendaParamsSchema,
+  createAdendaSchema,
+  patchAdendaSchema
+};
@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Validadores para Aportes (contribuciones financieras) de Convenios
+ * @description Schemas Zod para registrar aportes de las partes con su plan de cuotas
+ * y para registrar los pagos recibidos
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Los montos se validan con dos decimales como máximo y se comparan en centavos
+ * para evitar errores de redondeo de punto flotante.
+ *
+ * Complejidad Big O:
+ * - Parámetros y pagos: O(1)
+ * - Aportes: O(c) donde c = cuotas del plan
+ */
+
+import { z } from 'zod';
+import { ValidationFactory, createRequestValidator } from './convenios.validator.js';
+
+/**
+ * Máximo de cuotas por aporte (10 años de cuotas mensuales)
+ */
+const MAX_CUOTAS = 120;
+
+/**
+ * Monto máximo admitido por Decimal(14, 2)
+ */
+const MAX_MONTO = 999999999999.99;
+
+/**
+ * Convierte un monto a centavos enteros - O(1)
+ * @param {number|string|Object} monto - Número, string o Prisma.Decimal
+ * @returns {number}
+ */
+const toCentavos = (monto) => Math.round(Number(monto) * 100);
+
+/**
+ * Validador de IDs numéricos - O(1)
+ */
+const createIdValidator = (campo) => z.coerce.number()
+  .int(`${campo} debe ser un número entero`)
+  .positive(`${campo} debe ser positivo`)
+  .max(2147483647, `${campo} excede el valor máximo permitido`);
+
+/**
+ * Validador de montos positivos con hasta dos decimales - O(1)
+ */
+const createMontoValidator = (campo) => z.number({ message: `${campo} debe ser un número` })
+  .positive(`${campo} debe ser mayor a 0`)
+  .max(MAX_MONTO, `${campo} excede el valor máximo permitido`)
+  .refine(
+    monto => Math.abs(monto * 100 - Math.round(monto * 100)) < 1e-6,
+    `${campo} admite como máximo dos decimales`
+  );
+
+/**
+ * Schema para parámetros de ruta de aportes
+ */
+const aporteParamsSchema = z.object({
+  convenioId: createIdValidator('ID de convenio'),
+  aporteId: createIdValidator('ID de aporte').optional(),
+  cuotaId: createIdValidator('ID de cuota').optional()
+});
+
+/**
+ * Cuota del plan de pagos
+ */
+const cuotaSchema = z.object({
+  fechaVencimiento: ValidationFactory.createDateValidator(),
+  monto: createMontoValidator('Monto de la cuota')
+});
+
+/**
+ * Campos de un aporte
+ */
+const aporteBodySchema = z.object({
+  parteId: createIdValidator('ID de parte'),
+  tipo: z.enum(['Efectivo', 'Especie'], { message: 'Tipo debe ser Efectivo o Especie' }),
+  monto: createMontoValidator('Monto'),
+  moneda: z.string()
+    .trim()
+    .toUpperCase()
+    .regex(/^[A-Z]{3}$/, 'Moneda debe ser un código ISO 4217 de 3 letras (p. ej. COP, USD)')
+    .default('COP'),
+  descripcion: z.string()
+    .trim()
+    .max(2000, 'Descripción no puede exceder 2000 caracteres')
+    .nullable()
+    .optional(),
+  cuotas: z.array(cuotaSchema)
+    .min(1, 'El plan de pagos debe tener al menos una cuota')
+    .max(MAX_CUOTAS, `El plan de pagos no puede tener más de ${MAX_CUOTAS} cuotas`)
+});
+
+/**
+ * Verifica que las cuotas sumen el monto del aporte - O(c)
+ */
+const cuotasSumanMonto = (data) => data.cuotas === undefined || data.monto === undefined ||
+  data.cuotas.reduce((total, cuota) => total + toCentavos(cuota.monto), 0) === toCentavos(data.monto);
+
+const cuotasSumanMontoRefinement = {
+  message: 'La suma de las cuotas debe ser igual al monto del aporte',
+  path: ['cuotas']
+};
+
+/**
+ * Schema para registrar un aporte con su plan de cuotas
+ */
+const createAporteSchema = aporteBodySchema
+  .refine(cuotasSumanMonto, cuotasSumanMontoRefinement);
+
+/**
+ * Schema para actualizar parcialmente un aporte. La parte no se modifica; el monto
+ * y el plan de cuotas se reemplazan juntos.
+ */
+const patchAporteSchema = aporteBodySchema
+  .omit({ parteId: true })
+  .extend({ moneda: aporteBodySchema.shape.moneda.removeDefault() })
+  .partial()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: 'Debe enviar al menos un campo para actualizar'
+  })
+  .refine((data) => (data.monto === undefined) === (data.cuotas === undefined), {
+    message: 'El monto y las cuotas deben enviarse juntos',
+    path: ['cuotas']
+  })
+  .refine(cuotasSumanMonto, cuotasSumanMontoRefinement);
+
+/**
+ * Schema para registrar el pago de una cuota. Si no se indica el monto recibido,
+ * se asume el monto de la cuota.
+ */
+const registrarPagoSchema = z.object({
+  fechaRecepcion: ValidationFactory.createDateValidator(),
+  montoRecibido: createMontoValidator('Monto recibido').optional(),
+  observaciones: z.string()
+    .trim()
+    .max(500, 'Observaciones no pueden exceder 500 caracteres')
+    .optional()
+});
+
+export const validateAporteParams = createRequestValidator(
+  aporteParamsSchema, 'params', 'validatedParams', 'Parámetros de ruta inválidos'
+);
+
+export const validateCreateAporte = createRequestValidator(
+  createAporteSchema, 'body', 'validatedBody', 'Datos de aporte inválidos'
+);
+
+export const validatePatchAporte = createRequestValidator(
+  patchAporteSchema, 'body', 'validatedBody', 'Datos de aporte inválidos'
+);
+
+export const validateRegistrarPago = createRequestValidator(
+  registrarPagoSchema, 'body', 'validatedBody', 'Datos de pago inválidos'
+);
+
+export {
+  toCentavos,
+  aporteParamsSchema,
+  createAporteSchema,
+  patchAporteSchema,
+  registrarPagoSchema
+};
@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Validadores para la importación masiva de convenios
+ * @description Traduce las filas de una hoja CSV/XLSX al cuerpo de POST /api/convenios
+ * y las valida con createConvenioSchema, de modo que una fila importada cumple las
+ * mismas reglas que un convenio creado por la API.
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Formato de la hoja (una fila por convenio):
+ * - nombre, descripcion, fechaInicio, fechaFin (YYYY-MM-DD o DD/MM/YYYY)
+ * - partes: partes separadas por ";"; cada una como "Nombre", "Nombre | Tipo"
+ *   o "Nombre | Tipo | Contacto"
+ *
+ * Complejidad Big O:
+ * - Encabezados: O(c) donde c = columnas
+ * - Validación de una fila: O(p) donde p = partes de la fila
+ */
+
+import { z } from 'zod';
+import { createConvenioSchema, createRequestValidator } from './convenios.validator.js';
+
+/**
+ * Máximo de filas de datos por archivo
+ */
+const MAX_FILAS_IMPORTACION = 1000;
+
+/**
+ * Columnas reconocidas: encabezado normalizado → campo del convenio
+ */
+const COLUMNAS_IMPORTACION = {
+  nombre: 'nombre',
+  descripcion: 'descripcion',
+  fechainicio: 'fechaInicio',
+  fechafin: 'fechaFin',
+  partes: 'partes'
+};
+
+const COLUMNAS_REQUERIDAS = ['nombre', 'descripcion', 'fechaInicio', 'fechaFin'];
+
+const SEPARADOR_PARTES = ';';
+const SEPARADOR_CAMPOS_PARTE = '|';
+
+/**
+ * Normaliza un encabezado: sin tildes, minúsculas y sin espacios ni signos
+ * ("Fecha de inicio" y "fecha_inicio" → "fechainicio", "Fecha Inicio" → "fechainicio")
+ * @param {string} encabezado - Encabezado original
+ * @returns {string}
+ * @complexity O(l)
+ */
+const normalizeHeader = (encabezado) => encabezado
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\bde\b/g, '')
+  .replace(/[^a-z0-9]/g, '');
+
+/**
+ * Relaciona las columnas de la hoja con los campos del convenio
+ * @param {string[]} encabezados - Fila de encabezados
+ * @returns {{columnas: Object<string, number>, faltantes: string[], ignoradas: string[]}}
+ * columnas: campo → índice de columna
+ * @complexity O(c)
+ */
+const mapHeaders = (encabezados) => {
+  const columnas = {};
+  const ignoradas = [];
+
+  encabezados.forEach((encabezado, indice) => {
+    const campo = COLUMNAS_IMPORTACION[normalizeHeader(encabezado)];
+    if (campo && columnas[campo] === undefined) {
+      columnas[campo] = indice;
+    } else if (encabezado) {
+      ignoradas.push(encabezado);
+    }
+  });
+
+  return {
+    columnas,
+    faltantes: COLUMNAS_REQUERIDAS.filter(campo => columnas[campo] === undefined),
+    ignoradas
+  };
+};
+
+/**
+ * Convierte fechas DD/MM/YYYY (habituales en hojas en español) a YYYY-MM-DD.
+ * Otros valores se devuelven sin cambios para que los valide createConvenioSchema.
+ * @param {string} valor - Fecha de la celda
+ * @returns {string}
+ * @complexity O(1)
+ */
+const normalizeDate = (valor) => {
+  const coincidencia = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(valor);
+  if (!coincidencia) return valor;
+  const [, dia, mes, anio] = coincidencia;
+  return `${anio}-${mes.padStart(2, '0')}-${dia.padStart(2, '0')}`;
+};
+
+/**
+ * Interpreta la celda de partes
+ * @param {string} valor - "Nombre | Tipo | Contacto; Otra parte"
+ * @returns {Array<Object>} Partes en el formato { nombre, tipo?, contacto? }
+ * @complexity O(p)
+ */
+const parsePartesCell = (valor = '') => valor
+  .split(SEPARADOR_PARTES)
+  .map(entrada => entrada.split(SEPARADOR_CAMPOS_PARTE).map(campo => campo.trim()))
+  .filter(([nombre]) => nombre)
+  .map(([nombre, tipo, contacto]) => ({
+    nombre,
+    ...(tipo && { tipo }),
+    ...(contacto && { contacto })
+  }));
+
+/**
+ * Construye el cuerpo de creación de convenio a partir de las celdas de una fila
+ * @param {string[]} celdas - Celdas de la fila
+ * @param {Object<string, number>} columnas - Resultado de mapHeaders
+ * @returns {Object} Datos con la forma de POST /api/convenios
+ * @complexity O(p)
+ */
+const buildRowInput = (celdas, columnas) => {
+  const celda = campo => (columnas[campo] === undefined ? '' : (celdas[columnas[campo]] ?? '').trim());
+
+  return {
+    nombre: celda('nombre'),
+    descripcion: celda('descripcion'),
+    fechaInicio: normalizeDate(celda('fechaInicio')),
+    fechaFin: normalizeDate(celda('fechaFin')),
+    partes: parsePartesCell(celda('partes'))
+  };
+};
+
+/**
+ * Valida una fila con las reglas de creación de convenios
+ * @param {Object} datos - Resultado de buildRowInput
+ * @returns {{datos: Object, errores: Array<{campo: string, mensaje: string}>}}
+ * datos validados (o los originales si hay errores)
+ * @complexity O(p)
+ */
+const validateImportRow = (datos) => {
+  const result = createConvenioSchema.safeParse(datos);
+
+  if (result.success) return { datos: result.data, errores: [] };
+
+  return {
+    datos,
+    errores: result.error.issues.map(issue => ({
+      campo: issue.path.join('.') || 'fila',
+      mensaje: issue.message
+    }))
+  };
+};
+
+/**
+ * Schema de los campos del formulario de importación (multipart).
+ * Por defecto solo se genera la vista previa; la importación real debe pedirse
+ * explícitamente con dryRun=false.
+ */
+const importConveniosSchema = z.object({
+  dryRun: z.enum(['true', 'false'], { message: 'dryRun debe ser true o false' })
+    .default('true')
+    .transform(valor => valor === 'true'),
+  // Unidad organizacional de todos los convenios del archivo
+  unidadId: z.coerce.number()
+    .int('ID de unidad debe ser un número entero')
+    .positive('ID de unidad debe ser positivo')
+    .max(2147483647, 'ID de unidad excede el valor máximo permitido')
+    .optional()
+});
+
+export const validateImportConvenios = createRequestValidator(
+  importConveniosSchema, 'body', 'validatedBody', 'Parámetros de importación inválidos'
+);
+
+export {
+  MAX_FILAS_IMPORTACION,
+  COLUMNAS_IMPORTACION,
+  normalizeHeader,
+  mapHeaders,
+  normalizeDate,
+  parsePartesCell,
+  buildRowInput,
+  validateImportRow,
+  importConveniosSchema
+};
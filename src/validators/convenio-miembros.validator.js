@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Validadores para los miembros de convenios
+ * @description Schemas Zod para asignar permisos Propietario / Editor / Lector por convenio
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Complejidad Big O:
+ * - Validaciones simples: O(1)
+ */
+
+import { z } from 'zod';
+import { createRequestValidator } from './convenios.validator.js';
+
+/**
+ * Roles asignables dentro de un convenio
+ */
+const ROLES_MIEMBRO = ['Propietario', 'Editor', 'Lector'];
+
+/**
+ * Validador de IDs numéricos - O(1)
+ */
+const createIdValidator = (campo) => z.coerce.number()
+  .int(`${campo} debe ser un número entero`)
+  .positive(`${campo} debe ser positivo`)
+  .max(2147483647, `${campo} excede el valor máximo permitido`);
+
+/**
+ * Schema para parámetros de ruta de los miembros de un convenio
+ */
+const convenioMiembrosParamsSchema = z.object({
+  convenioId: createIdValidator('ID de convenio')
+});
+
+/**
+ * Schema para parámetros de ruta de un miembro
+ */
+const convenioMiembroParamsSchema = convenioMiembrosParamsSchema.extend({
+  userId: createIdValidator('ID de usuario')
+});
+
+/**
+ * Schema para asignar o cambiar el rol de un miembro
+ */
+const setMiembroSchema = z.object({
+  rol: z.enum(ROLES_MIEMBRO, {
+    message: `Rol debe ser: ${ROLES_MIEMBRO.join(', ')}`
+  })
+});
+
+export const validateConvenioMiembrosParams = createRequestValidator(
+  convenioMiembrosParamsSchema, 'params', 'validatedParams', 'Parámetros de ruta inválidos'
+);
+
+export const validateConvenioMiembroParams = createRequestValidator(
+  convenioMiembroParamsSchema, 'params', 'validatedParams', 'Parámetros de ruta inválidos'
+);
+
+export const validateSetMiembro = createRequestValidator(
+  setMiembroSchema, 'body', 'validatedBody', 'Datos de miembro inválidos'
+);
+
+export {
+  ROLES_MIEMBRO,
+  convenioMiembrosParamsSchema,
+  convenioMiembroParamsSchema,
+  setMiembroSchema
+};
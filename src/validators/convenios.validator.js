@@ -17,6 +17,7 @@
  */
 
 import { z } from 'zod';
+import { CURSOR_MAX_LENGTH } from '../lib/cursor-pagination.js';
 
 /**
  * @class ValidationFactory
@@ -54,6 +55,33 @@ class ValidationFactory {
       .regex(/^[a-zA-ZáéíóúÁÉÍÓÚñÑ0-9\s\-_.]+$/, 'Texto contiene caracteres no válidos');
   }
 
+  /**
+   * Validador para tipo de parte - O(1)
+   */
+  static createParteTipoValidator() {
+    return z.string()
+      .trim()
+      .min(1, 'Tipo de parte no puede estar vacío')
+      .max(100, 'Tipo no puede exceder 100 caracteres');
+  }
+
+  /**
+   * Validador para paginación por cursor (alternativa a page) - O(1)
+   * Los tokens se decodifican y verifican en lib/cursor-pagination
+   */
+  static createCursorValidator() {
+    const token = z.string()
+      .min(1, 'Cursor no puede estar vacío')
+      .max(CURSOR_MAX_LENGTH, 'Cursor inválido')
+      .regex(/^[A-Za-z0-9_-]+$/, 'Cursor inválido');
+
+    return z.object({
+      pagination: z.enum(['page', 'cursor']).optional(),
+      after: token.optional(),
+      before: token.optional()
+    });
+  }
+
   /**
    * Validador para paginación - O(1)
    */
@@ -85,6 +113,28 @@ class ValidationFactory {
       }).default('desc')
     });
   }
+
+  /**
+   * Validador para partes adjuntas a un convenio - O(1)
+   * Acepta una parte existente ({ parteId }) o una nueva/reutilizable por nombre
+   */
+  static createParteInputValidator() {
+    return z.union([
+      z.object({
+        parteId: z.coerce.number()
+          .int('ID de parte debe ser un número entero')
+          .positive('ID de parte debe ser positivo')
+      }),
+      z.object({
+        nombre: z.string()
+          .trim()
+          .min(2, 'Nombre de parte debe tener al menos 2 caracteres')
+          .max(255, 'Nombre de parte no puede exceder 255 caracteres'),
+        contacto: z.string().trim().max(255, 'Contacto no puede exceder 255 caracteres').optional(),
+        tipo: z.string().trim().max(100, 'Tipo no puede exceder 100 caracteres').optional()
+      })
+    ]);
+  }
 }
 
 /**
@@ -144,6 +194,18 @@ class ValidationError extends Error {
   }
 }
 
+/**
+ * Valida que el rango de fecha de fin sea consistente - O(1)
+ * @param {Object} data - Datos con fechaFinDesde/fechaFinHasta opcionales
+ * @returns {boolean}
+ */
+const validateFechaFinRange = (data) => {
+  if (data.fechaFinDesde && data.fechaFinHasta) {
+    return new Date(data.fechaFinDesde) <= new Date(data.fechaFinHasta);
+  }
+  return true;
+};
+
 /**
  * Schema principal para consulta de convenios
  * Complejidad: O(k) donde k = número de parámetros a validar
@@ -168,9 +230,41 @@ const conveniosQuerySchema = z.object({
   fechaInicio: ValidationFactory.createDateValidator().optional(),
   fechaFin: ValidationFactory.createDateValidator().optional(),
 
-  // Búsqueda de texto - O(1)
+  // Búsqueda de texto completo - O(1); `busqueda` se mantiene como alias
+  search: ValidationFactory.createSearchTextValidator().optional(),
   busqueda: ValidationFactory.createSearchTextValidator().optional(),
 
+  // Filtros por partes - O(p) donde p = IDs enviados
+  parteId: z.union([
+    z.string().transform(str => str.split(',')),
+    z.array(z.string())
+  ])
+    .optional()
+    .refine((ids) => {
+      if (!ids) return true;
+      return ids.length <= 50 && ids.every(id => /^[1-9]\d{0,9}$/.test(id));
+    }, 'Uno o más IDs de parte no son válidos'),
+  parte: ValidationFactory.createSearchTextValidator().optional(),
+  parteTipo: ValidationFactory.createParteTipoValidator().optional(),
+
+  // Filtro por etiquetas o áreas temáticas - O(t) donde t = IDs enviados
+  etiquetaId: z.union([
+    z.string().transform(str => str.split(',')),
+    z.array(z.string())
+  ])
+    .optional()
+    .refine((ids) => {
+      if (!ids) return true;
+      return ids.length <= 50 && ids.every(id => /^[1-9]\d{0,9}$/.test(id));
+    }, 'Uno o más IDs de etiqueta no son válidos'),
+
+  // Rango de fecha de fin - O(1)
+  fechaFinDesde: ValidationFactory.createDateValidator().optional(),
+  fechaFinHasta: ValidationFactory.createDateValidator().optional(),
+
+  // Presencia de actividades - O(1)
+  conActividades: z.enum(['true', 'false']).optional(),
+
   // Incluir relaciones - O(1)
   includePartes: z.coerce.boolean().default(false),
 
@@ -178,9 +272,13 @@ const conveniosQuerySchema = z.object({
   page: z.coerce.number().int().min(1).max(10000).default(1),
   limit: z.coerce.number().int().min(1).max(100).default(10),
 
+  // Paginación por cursor (alternativa a page) - O(1)
+  ...ValidationFactory.createCursorValidator().shape,
+
   // Ordenamiento - O(1)
-  sortBy: z.enum(['nombre', 'fechaInicio', 'fechaFin', 'createdAt', 'updatedAt'])
-    .default('createdAt'),
+  // Sin sortBy y con búsqueda de texto se ordena por relevancia
+  sortBy: z.enum(['relevancia', 'nombre', 'fechaInicio', 'fechaFin', 'createdAt', 'updatedAt'])
+    .optional(),
   sortOrder: z.enum(['asc', 'desc']).default('desc')
 })
 .refine((data) => {
@@ -194,6 +292,10 @@ const conveniosQuerySchema = z.object({
 }, {
   message: 'La fecha de inicio debe ser anterior o igual a la fecha de fin',
   path: ['fechaFin']
+})
+.refine(validateFechaFinRange, {
+  message: 'fechaFinDesde debe ser anterior o igual a fechaFinHasta',
+  path: ['fechaFinHasta']
 });
 
 /**
@@ -211,14 +313,36 @@ const advancedSearchSchema = z.object({
   fechaDesde: ValidationFactory.createDateValidator().optional(),
   fechaHasta: ValidationFactory.createDateValidator().optional(),
 
+  parteIds: z.array(z.number().int().positive().max(2147483647))
+    .min(1, 'Debe especificar al menos una parte')
+    .max(50, 'No puede especificar más de 50 partes')
+    .optional(),
+  parte: ValidationFactory.createSearchTextValidator().optional(),
+  parteTipo: ValidationFactory.createParteTipoValidator().optional(),
+
+  etiquetaIds: z.array(z.number().int().positive().max(2147483647))
+    .min(1, 'Debe especificar al menos una etiqueta')
+    .max(50, 'No puede especificar más de 50 etiquetas')
+    .optional(),
+
+  fechaFinDesde: ValidationFactory.createDateValidator().optional(),
+  fechaFinHasta: ValidationFactory.createDateValidator().optional(),
+
+  conActividades: z.boolean().optional(),
+
+  // Combinación de los filtros anteriores; textSearch siempre restringe
+  operador: z.enum(['AND', 'OR']).default('AND'),
+
   incluirPartes: z.boolean().default(false),
 
-  ordenarPor: z.enum(['nombre', 'fechaInicio', 'fechaFin', 'createdAt', 'updatedAt'])
-    .default('createdAt'),
+  ordenarPor: z.enum(['relevancia', 'nombre', 'fechaInicio', 'fechaFin', 'createdAt', 'updatedAt'])
+    .optional(),
   orden: z.enum(['asc', 'desc']).default('desc'),
 
   pagina: z.number().int().min(1).max(10000).default(1),
-  limite: z.number().int().min(1).max(100).default(20)
+  limite: z.number().int().min(1).max(100).default(20),
+
+  ...ValidationFactory.createCursorValidator().shape
 })
 .refine((data) => {
   // Validación de consistencia de fechas - O(1)
@@ -229,6 +353,10 @@ const advancedSearchSchema = z.object({
 }, {
   message: 'fechaDesde debe ser anterior o igual a fechaHasta',
   path: ['fechaHasta']
+})
+.refine(validateFechaFinRange, {
+  message: 'fechaFinDesde debe ser anterior o igual a fechaFinHasta',
+  path: ['fechaFinHasta']
 });
 
 /**
@@ -244,6 +372,117 @@ const convenioIdSchema = z.object({
   includePartes: z.coerce.boolean().default(false)
 });
 
+/**
+ * Campos base de un convenio para creación y actualización
+ * Complejidad: O(p) donde p = número de partes adjuntas
+ */
+const convenioBodySchema = z.object({
+  nombre: z.string()
+    .trim()
+    .min(3, 'Nombre debe tener al menos 3 caracteres')
+    .max(255, 'Nombre no puede exceder 255 caracteres'),
+  descripcion: z.string()
+    .trim()
+    .min(1, 'Descripción es requerida')
+    .max(5000, 'Descripción no puede exceder 5000 caracteres'),
+  fechaInicio: ValidationFactory.createDateValidator(),
+  fechaFin: ValidationFactory.createDateValidator(),
+  // El estado solo cambia mediante POST /api/convenios/:id/transitions/:accion
+  estado: z.never('El estado se cambia mediante POST /api/convenios/:id/transitions/:accion').optional(),
+  partes: z.array(ValidationFactory.createParteInputValidator())
+    .max(50, 'No puede adjuntar más de 50 partes')
+    .optional(),
+  // Unidad organizacional responsable; sin ella se asigna la única unidad del usuario
+  unidadId: z.coerce.number()
+    .int('ID de unidad debe ser un número entero')
+    .positive('ID de unidad debe ser positivo')
+    .max(2147483647, 'ID de unidad excede el valor máximo permitido')
+    .optional()
+});
+
+/**
+ * Validación de consistencia de fechas para cuerpos de convenio - O(1)
+ */
+const refineConvenioDates = (data) => {
+  if (data.fechaInicio && data.fechaFin) {
+    return new Date(data.fechaInicio) <= new Date(data.fechaFin);
+  }
+  return true;
+};
+
+const convenioDatesRefinement = {
+  message: 'La fecha de inicio debe ser anterior o igual a la fecha de fin',
+  path: ['fechaFin']
+};
+
+/**
+ * Schema para crear (POST) o reemplazar (PUT) un convenio
+ * Complejidad: O(p)
+ */
+const createConvenioSchema = convenioBodySchema
+  .refine(refineConvenioDates, convenioDatesRefinement);
+
+/**
+ * Schema para actualización parcial (PATCH) de un convenio
+ * Complejidad: O(p)
+ */
+const patchConvenioSchema = convenioBodySchema
+  .partial()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: 'Debe enviar al menos un campo para actualizar'
+  })
+  .refine(refineConvenioDates, convenioDatesRefinement);
+
+/**
+ * Schema para el cuerpo de una transición de estado
+ * Complejidad: O(1)
+ */
+const convenioTransitionSchema = z.object({
+  comentario: z.string()
+    .trim()
+    .max(1000, 'Comentario no puede exceder 1000 caracteres')
+    .optional()
+});
+
+/**
+ * Schema para renovar un convenio
+ * Sin fechaFin, el nuevo convenio conserva la duración del original
+ * Complejidad: O(1)
+ */
+const renewConvenioSchema = z.object({
+  fechaInicio: ValidationFactory.createDateValidator(),
+  fechaFin: ValidationFactory.createDateValidator().optional(),
+  nombre: convenioBodySchema.shape.nombre.optional(),
+  descripcion: convenioBodySchema.shape.descripcion.optional(),
+  copiarActividades: z.boolean().default(false)
+}).refine(refineConvenioDates, convenioDatesRefinement);
+
+/**
+ * Schema para comparar dos revisiones del historial de un convenio
+ * Complejidad: O(1)
+ */
+const historyDiffSchema = z.object({
+  from: z.coerce.number()
+    .int('Revisión debe ser un número entero')
+    .min(0, 'Revisión no puede ser negativa'),
+  to: z.coerce.number()
+    .int('Revisión debe ser un número entero')
+    .min(0, 'Revisión no puede ser negativa')
+    .optional()
+}).refine((data) => data.to === undefined || data.from <= data.to, {
+  message: 'La revisión inicial debe ser menor o igual a la final',
+  path: ['to']
+});
+
+/**
+ * Schema del formato de exportación del listado (?format=)
+ * Complejidad: O(1)
+ */
+const exportConveniosSchema = z.object({
+  format: z.enum(['csv', 'xlsx', 'json'], { message: 'Formato debe ser csv, xlsx o json' })
+    .default('csv')
+});
+
 /**
  * @namespace ValidatorMiddlewares
  * @description Middlewares de validación para Express
@@ -356,6 +595,99 @@ export const validateAdvancedSearch = async (req, res, next) => {
   }
 };
 
+/**
+ * Crea un middleware que valida el cuerpo de escritura de un convenio
+ * Complejidad: O(p) donde p = número de partes adjuntas
+ */
+const createConvenioBodyValidator = (schema) => async (req, res, next) => {
+  try {
+    req.validatedBody = await schema.parseAsync(req.body);
+    next();
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos de convenio inválidos',
+        errors: error.issues,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Error interno de validación',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Middleware para validar creación (POST) y reemplazo (PUT) de convenios
+ */
+export const validateCreateConvenio = createConvenioBodyValidator(createConvenioSchema);
+
+/**
+ * Middleware para validar actualización parcial (PATCH) de convenios
+ */
+export const validatePatchConvenio = createConvenioBodyValidator(patchConvenioSchema);
+
+/**
+ * Middleware para validar el cuerpo de una transición de estado
+ */
+export const validateConvenioTransition = createConvenioBodyValidator(convenioTransitionSchema);
+
+/**
+ * Middleware para validar la renovación de un convenio
+ */
+export const validateRenewConvenio = createConvenioBodyValidator(renewConvenioSchema);
+
+/**
+ * Factory de middlewares de validación
+ * @param {z.ZodSchema} schema - Schema a aplicar
+ * @param {string} source - Propiedad de req a validar (query, params, body)
+ * @param {string} target - Propiedad de req donde guardar el resultado
+ * @param {string} message - Mensaje para errores de validación
+ * @returns {Function} Middleware de Express
+ */
+export const createRequestValidator = (schema, source, target, message) => async (req, res, next) => {
+  try {
+    req[target] = await schema.parseAsync(req[source] ?? {});
+    next();
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        message,
+        errors: error.issues,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Error interno de validación',
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+};
+
+/**
+ * Middleware para validar la comparación de revisiones (?from=&to=)
+ */
+export const validateHistoryDiff = createRequestValidator(
+  historyDiffSchema, 'query', 'validatedQuery', 'Parámetros de comparación inválidos'
+);
+
+/**
+ * Middleware para validar el formato de exportación; se combina con
+ * validateConveniosQuery, que valida los filtros y el orden
+ */
+export const validateExportFormat = createRequestValidator(
+  exportConveniosSchema, 'query', 'validatedExport', 'Formato de exportación inválido'
+);
+
 /**
  * Validador de propósito general para queries complejas
  * Complejidad: O(k * n) donde k = reglas, n = elementos por regla
@@ -398,5 +730,11 @@ export {
   ValidationError,
   conveniosQuerySchema,
   advancedSearchSchema,
-  convenioIdSchema
+  convenioIdSchema,
+  createConvenioSchema,
+  patchConvenioSchema,
+  convenioTransitionSchema,
+  historyDiffSchema,
+  renewConvenioSchema,
+  exportConveniosSchema
 };
@@ -0,0 +1,134 @@
+/**
+ * @fileoverview Validadores para Etiquetas y áreas temáticas de convenios
+ * @description Schemas Zod para administrar la taxonomía y asignarla a convenios
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Complejidad Big O:
+ * - Validaciones simples: O(1)
+ * - Asignación a un convenio: O(e) donde e = etiquetas enviadas
+ */
+
+import { z } from 'zod';
+import { ValidationFactory, createRequestValidator } from './convenios.validator.js';
+
+/**
+ * Tipos de etiqueta: áreas temáticas y etiquetas libres
+ */
+const TIPOS_ETIQUETA = ['Area', 'Etiqueta'];
+
+/**
+ * Máximo de etiquetas asignables a un convenio
+ */
+const MAX_ETIQUETAS_CONVENIO = 50;
+
+/**
+ * Validador de IDs numéricos - O(1)
+ */
+const createIdValidator = (campo) => z.coerce.number()
+  .int(`${campo} debe ser un número entero`)
+  .positive(`${campo} debe ser positivo`)
+  .max(2147483647, `${campo} excede el valor máximo permitido`);
+
+const tipoEtiquetaValidator = z.enum(TIPOS_ETIQUETA, {
+  message: `Tipo debe ser: ${TIPOS_ETIQUETA.join(', ')}`
+});
+
+/**
+ * Schema para consulta de etiquetas
+ */
+const etiquetasQuerySchema = z.object({
+  tipo: tipoEtiquetaValidator.optional(),
+  nombre: ValidationFactory.createSearchTextValidator().optional()
+});
+
+/**
+ * Schema para parámetros de ruta de una etiqueta
+ */
+const etiquetaIdSchema = z.object({
+  id: createIdValidator('ID de etiqueta')
+});
+
+/**
+ * Schema para parámetros de ruta de las etiquetas de un convenio
+ */
+const convenioEtiquetasParamsSchema = z.object({
+  convenioId: createIdValidator('ID de convenio')
+});
+
+/**
+ * Campos editables de una etiqueta
+ */
+const etiquetaBodySchema = z.object({
+  nombre: z.string()
+    .trim()
+    .min(2, 'Nombre de etiqueta debe tener al menos 2 caracteres')
+    .max(100, 'Nombre de etiqueta no puede exceder 100 caracteres'),
+  tipo: tipoEtiquetaValidator,
+  descripcion: z.string()
+    .trim()
+    .max(255, 'Descripción no puede exceder 255 caracteres')
+    .nullable()
+    .optional()
+});
+
+/**
+ * Schema para crear una etiqueta (por defecto, etiqueta libre)
+ */
+const createEtiquetaSchema = etiquetaBodySchema.extend({
+  tipo: tipoEtiquetaValidator.default('Etiqueta')
+});
+
+/**
+ * Schema para actualizar parcialmente una etiqueta
+ */
+const patchEtiquetaSchema = etiquetaBodySchema
+  .partial()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: 'Debe enviar al menos un campo para actualizar'
+  });
+
+/**
+ * Schema para reemplazar las etiquetas de un convenio (lista vacía las quita todas)
+ * Complejidad: O(e)
+ */
+const asignarEtiquetasSchema = z.object({
+  etiquetaIds: z.array(createIdValidator('ID de etiqueta'))
+    .max(MAX_ETIQUETAS_CONVENIO, `No puede asignar más de ${MAX_ETIQUETAS_CONVENIO} etiquetas`)
+    .transform(ids => [...new Set(ids)])
+});
+
+export const validateEtiquetasQuery = createRequestValidator(
+  etiquetasQuerySchema, 'query', 'validatedQuery', 'Parámetros de consulta inválidos'
+);
+
+export const validateEtiquetaId = createRequestValidator(
+  etiquetaIdSchema, 'params', 'validatedParams', 'ID de etiqueta inválido'
+);
+
+export const validateConvenioEtiquetasParams = createRequestValidator(
+  convenioEtiquetasParamsSchema, 'params', 'validatedParams', 'Parámetros de ruta inválidos'
+);
+
+export const validateCreateEtiqueta = createRequestValidator(
+  createEtiquetaSchema, 'body', 'validatedBody', 'Datos de etiqueta inválidos'
+);
+
+export const validatePatchEtiqueta = createRequestValidator(
+  patchEtiquetaSchema, 'body', 'validatedBody', 'Datos de etiqueta inválidos'
+);
+
+export const validateAsignarEtiquetas = createRequestValidator(
+  asignarEtiquetasSchema, 'body', 'validatedBody', 'Datos de etiquetas inválidos'
+);
+
+export {
+  TIPOS_ETIQUETA,
+  MAX_ETIQUETAS_CONVENIO,
+  etiquetasQuerySchema,
+  etiquetaIdSchema,
+  convenioEtiquetasParamsSchema,
+  createEtiquetaSchema,
+  patchEtiquetaSchema,
+  asignarEtiquetasSchema
+};
@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Validadores para Firmantes de un Convenio
+ * @description Schemas Zod para registrar los representantes legales de cada parte
+ * y el estado de su firma
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Complejidad Big O:
+ * - Todas las validaciones: O(1)
+ */
+
+import { z } from 'zod';
+import { ValidationFactory, createRequestValidator } from './convenios.validator.js';
+
+/**
+ * Estados con los que se registra la respuesta de un firmante
+ */
+const ESTADOS_RESPUESTA_FIRMA = ['Firmada', 'Rechazada'];
+
+/**
+ * Validador de IDs numéricos - O(1)
+ */
+const createIdValidator = (campo) => z.coerce.number()
+  .int(`${campo} debe ser un número entero`)
+  .positive(`${campo} debe ser positivo`)
+  .max(2147483647, `${campo} excede el valor máximo permitido`);
+
+/**
+ * Schema para parámetros de ruta de firmantes
+ */
+const firmanteParamsSchema = z.object({
+  convenioId: createIdValidator('ID de convenio'),
+  firmanteId: createIdValidator('ID de firmante').optional()
+});
+
+/**
+ * Datos de un firmante
+ */
+const firmanteBodySchema = z.object({
+  parteId: createIdValidator('ID de parte'),
+  nombre: z.string()
+    .trim()
+    .min(1, 'Nombre es requerido')
+    .max(150, 'Nombre no puede exceder 150 caracteres'),
+  cargo: z.string()
+    .trim()
+    .min(1, 'Cargo es requerido')
+    .max(150, 'Cargo no puede exceder 150 caracteres'),
+  email: z.string()
+    .trim()
+    .toLowerCase()
+    .email('Email inválido')
+    .max(255, 'Email no puede exceder 255 caracteres'),
+  requerido: z.boolean({ message: 'requerido debe ser booleano' }).optional()
+});
+
+/**
+ * Schema para registrar un firmante
+ */
+const createFirmanteSchema = firmanteBodySchema;
+
+/**
+ * Schema para actualizar parcialmente un firmante
+ */
+const patchFirmanteSchema = firmanteBodySchema
+  .partial()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: 'Debe enviar al menos un campo para actualizar'
+  });
+
+/**
+ * Schema para registrar la firma (o el rechazo) de un firmante
+ */
+const registrarFirmaSchema = z.object({
+  estado: z.enum(ESTADOS_RESPUESTA_FIRMA, {
+    message: `Estado debe ser: ${ESTADOS_RESPUESTA_FIRMA.join(', ')}`
+  }).default('Firmada'),
+  fecha: ValidationFactory.createDateValidator(),
+  documentId: createIdValidator('ID de documento').optional(),
+  observaciones: z.string()
+    .trim()
+    .max(500, 'Observaciones no pueden exceder 500 caracteres')
+    .optional()
+});
+
+export const validateFirmanteParams = createRequestValidator(
+  firmanteParamsSchema, 'params', 'validatedParams', 'Parámetros de ruta inválidos'
+);
+
+export const validateCreateFirmante = createRequestValidator(
+  createFirmanteSchema, 'body', 'validatedBody', 'Datos de firmante inválidos'
+);
+
+export const validatePatchFirmante = createRequestValidator(
+  patchFirmanteSchema, 'body', 'validatedBody', 'Datos de firmante inválidos'
+);
+
+export const validateRegistrarFirma = createRequestValidator(
+  registrarFirmaSchema, 'body', 'validatedBody', 'Datos de firma inválidos'
+);
+
+export {
+  ESTADOS_RESPUESTA_FIRMA,
+  firmanteParamsSchema,
+  createFirmanteSchema,
+  patchFirmanteSchema,
+  registrarFirmaSchema
+};
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Validadores para Obligaciones de las partes de un Convenio
+ * @description Schemas Zod para registrar, editar y consultar obligaciones, y para
+ * el listado de obligaciones vencidas
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Complejidad Big O:
+ * - Todas las validaciones: O(1)
+ */
+
+import { z } from 'zod';
+import { ValidationFactory, createRequestValidator } from './convenios.validator.js';
+
+/**
+ * Estados de una obligación
+ */
+const ESTADOS_OBLIGACION = ['Pendiente', 'EnProgreso', 'Cumplida', 'Cancelada'];
+
+/**
+ * Validador de IDs numéricos - O(1)
+ */
+const createIdValidator = (campo) => z.coerce.number()
+  .int(`${campo} debe ser un número entero`)
+  .positive(`${campo} debe ser positivo`)
+  .max(2147483647, `${campo} excede el valor máximo permitido`);
+
+const estadoObligacionValidator = z.enum(ESTADOS_OBLIGACION, {
+  message: `Estado debe ser: ${ESTADOS_OBLIGACION.join(', ')}`
+});
+
+/**
+ * Schema para parámetros de ruta de obligaciones
+ */
+const obligacionParamsSchema = z.object({
+  convenioId: createIdValidator('ID de convenio'),
+  obligacionId: createIdValidator('ID de obligación').optional()
+});
+
+/**
+ * Campos de una obligación
+ */
+const obligacionBodySchema = z.object({
+  parteId: createIdValidator('ID de parte'),
+  clausula: z.string()
+    .trim()
+    .min(1, 'Cláusula no puede estar vacía')
+    .max(50, 'Cláusula no puede exceder 50 caracteres')
+    .nullable()
+    .optional(),
+  descripcion: z.string()
+    .trim()
+    .min(1, 'Descripción es requerida')
+    .max(5000, 'Descripción no puede exceder 5000 caracteres'),
+  fechaLimite: ValidationFactory.createDateValidator(),
+  estado: estadoObligacionValidator.optional(),
+  documentId: createIdValidator('ID de documento').nullable().optional()
+});
+
+/**
+ * Schema para registrar una obligación
+ */
+const createObligacionSchema = obligacionBodySchema;
+
+/**
+ * Schema para actualizar parcialmente una obligación
+ */
+const patchObligacionSchema = obligacionBodySchema
+  .partial()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: 'Debe enviar al menos un campo para actualizar'
+  });
+
+/**
+ * Schema para filtrar las obligaciones de un convenio
+ */
+const obligacionesQuerySchema = z.object({
+  estado: estadoObligacionValidator.optional(),
+  parteId: createIdValidator('ID de parte').optional(),
+  vencidas: z.enum(['true', 'false'], { message: 'vencidas debe ser true o false' })
+    .transform(valor => valor === 'true')
+    .optional()
+});
+
+/**
+ * Schema para el listado de obligaciones vencidas de convenios activos
+ */
+const obligacionesVencidasQuerySchema = z.object({
+  parteId: createIdValidator('ID de parte').optional()
+})
+  .extend(ValidationFactory.createPaginationValidator().shape)
+  .extend(ValidationFactory.createCursorValidator().shape);
+
+export const validateObligacionParams = createRequestValidator(
+  obligacionParamsSchema, 'params', 'validatedParams', 'Parámetros de ruta inválidos'
+);
+
+export const validateCreateObligacion = createRequestValidator(
+  createObligacionSchema, 'body', 'validatedBody', 'Datos de obligación inválidos'
+);
+
+export const validatePatchObligacion = createRequestValidator(
+  patchObligacionSchema, 'body', 'validatedBody', 'Datos de obligación inválidos'
+);
+
+export const validateObligacionesQuery = createRequestValidator(
+  obligacionesQuerySchema, 'query', 'validatedQuery', 'Parámetros de consulta inválidos'
+);
+
+export const validateObligacionesVencidasQuery = createRequestValidator(
+  obligacionesVencidasQuerySchema, 'query', 'validatedQuery', 'Parámetros de consulta inválidos'
+);
+
+export {
+  ESTADOS_OBLIGACION,
+  obligacionParamsSchema,
+  createObligacionSchema,
+  patchObligacionSchema,
+  obligacionesQuerySchema,
+  obligacionesVencidasQuerySchema
+};
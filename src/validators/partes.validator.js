@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Validadores para Partes (instituciones contraparte)
+ * @description Schemas Zod para consulta, creación, edición y asociación de partes a convenios
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Complejidad Big O:
+ * - Validaciones simples: O(1)
+ * - Asociación de partes: O(p) donde p = número de partes enviadas
+ */
+
+import { z } from 'zod';
+import { ValidationFactory, createRequestValidator } from './convenios.validator.js';
+
+/**
+ * Validador de IDs numéricos de ruta - O(1)
+ */
+const createIdValidator = (campo) => z.coerce.number()
+  .int(`${campo} debe ser un número entero`)
+  .positive(`${campo} debe ser positivo`)
+  .max(2147483647, `${campo} excede el valor máximo permitido`);
+
+/**
+ * Schema para consulta de partes
+ * Complejidad: O(1)
+ */
+const partesQuerySchema = z.object({
+  nombre: ValidationFactory.createSearchTextValidator().optional(),
+  tipo: ValidationFactory.createParteTipoValidator().optional(),
+  sortBy: z.enum(['nombre', 'tipo', 'createdAt']).default('nombre'),
+  sortOrder: z.enum(['asc', 'desc']).default('asc')
+})
+  .extend(ValidationFactory.createPaginationValidator().shape)
+  .extend(ValidationFactory.createCursorValidator().shape);
+
+/**
+ * Schema para parámetros de ruta de una parte
+ */
+const parteIdSchema = z.object({
+  id: createIdValidator('ID de parte')
+});
+
+/**
+ * Schema para parámetros de ruta de convenio/parte anidados
+ */
+const convenioParteParamsSchema = z.object({
+  convenioId: createIdValidator('ID de convenio'),
+  parteId: createIdValidator('ID de parte').optional()
+});
+
+/**
+ * Campos editables de una parte
+ */
+const parteBodySchema = z.object({
+  nombre: z.string()
+    .trim()
+    .min(2, 'Nombre de parte debe tener al menos 2 caracteres')
+    .max(255, 'Nombre de parte no puede exceder 255 caracteres'),
+  contacto: z.string().trim().max(255, 'Contacto no puede exceder 255 caracteres').nullable().optional(),
+  tipo: z.string().trim().max(100, 'Tipo no puede exceder 100 caracteres').nullable().optional()
+});
+
+/**
+ * Schema para crear una parte
+ */
+const createParteSchema = parteBodySchema;
+
+/**
+ * Schema para actualizar parcialmente una parte
+ */
+const patchParteSchema = parteBodySchema
+  .partial()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: 'Debe enviar al menos un campo para actualizar'
+  });
+
+/**
+ * Schema para asociar partes a un convenio
+ * Complejidad: O(p)
+ */
+const attachPartesSchema = z.object({
+  partes: z.array(ValidationFactory.createParteInputValidator())
+    .min(1, 'Debe enviar al menos una parte')
+    .max(50, 'No puede adjuntar más de 50 partes')
+});
+
+/**
+ * Schema para fusionar una parte en otra.
+ * dryRun es true por defecto: la fusión real debe pedirse explícitamente.
+ */
+const mergePartesSchema = z.object({
+  intoId: createIdValidator('ID de parte destino'),
+  dryRun: z.boolean().default(true)
+});
+
+export const validatePartesQuery = createRequestValidator(
+  partesQuerySchema, 'query', 'validatedQuery', 'Parámetros de consulta inválidos'
+);
+
+export const validateParteId = createRequestValidator(
+  parteIdSchema, 'params', 'validatedParams', 'ID de parte inválido'
+);
+
+export const validateConvenioParteParams = createRequestValidator(
+  convenioParteParamsSchema, 'params', 'validatedParams', 'Parámetros de ruta inválidos'
+);
+
+export const validateCreateParte = createRequestValidator(
+  createParteSchema, 'body', 'validatedBody', 'Datos de parte inválidos'
+);
+
+export const validatePatchParte = createRequestValidator(
+  patchParteSchema, 'body', 'validatedBody', 'Datos de parte inválidos'
+);
+
+export const validateAttachPartes = createRequestValidator(
+  attachPartesSchema, 'body', 'validatedBody', 'Datos de partes inválidos'
+);
+
+export const validateMergePartes = createRequestValidator(
+  mergePartesSchema, 'body', 'validatedBody', 'Datos de fusión inválidos'
+);
+
+export {
+  partesQuerySchema,
+  parteIdSchema,
+  convenioParteParamsSchema,
+  createParteSchema,
+  patchParteSchema,
+  attachPartesSchema,
+  mergePartesSchema
+};
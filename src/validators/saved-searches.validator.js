@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Validadores para Búsquedas Guardadas
+ * @description Schemas Zod para guardar, editar y ejecutar presets de búsqueda avanzada
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Complejidad Big O:
+ * - Validación de criterios: O(k) donde k = número de criterios
+ * - Resto de validaciones: O(1)
+ */
+
+import { z } from 'zod';
+import {
+  ValidationFactory,
+  advancedSearchSchema,
+  createRequestValidator
+} from './convenios.validator.js';
+
+/**
+ * Roles con los que se puede compartir una búsqueda (null = privada)
+ */
+const ROLES_COMPARTIBLES = ['ADMIN', 'GESTOR', 'CONSULTOR'];
+
+/**
+ * Criterios de una búsqueda guardada: los mismos de POST /api/convenios/search.
+ * La paginación no forma parte del preset; se indica al ejecutarlo.
+ * Complejidad: O(k)
+ */
+const savedSearchCriteriosSchema = advancedSearchSchema.transform((criterios) => {
+  const { pagina, limite, pagination, after, before, ...preset } = criterios;
+  return preset;
+});
+
+const nombreSchema = z.string()
+  .trim()
+  .min(2, 'Nombre debe tener al menos 2 caracteres')
+  .max(100, 'Nombre no puede exceder 100 caracteres');
+
+const compartidaConSchema = z.enum(ROLES_COMPARTIBLES, {
+  message: `compartidaCon debe ser uno de: ${ROLES_COMPARTIBLES.join(', ')}`
+}).nullable();
+
+/**
+ * Schema para guardar una búsqueda
+ */
+const createSavedSearchSchema = z.object({
+  nombre: nombreSchema,
+  criterios: savedSearchCriteriosSchema,
+  compartidaCon: compartidaConSchema.default(null)
+});
+
+/**
+ * Schema para actualizar parcialmente una búsqueda guardada
+ */
+const patchSavedSearchSchema = z.object({
+  nombre: nombreSchema.optional(),
+  criterios: savedSearchCriteriosSchema.optional(),
+  compartidaCon: compartidaConSchema.optional()
+})
+  .refine((data) => Object.values(data).some(valor => valor !== undefined), {
+    message: 'Debe enviar al menos un campo para actualizar'
+  });
+
+/**
+ * Schema para parámetros de ruta de una búsqueda guardada
+ */
+const savedSearchIdSchema = z.object({
+  id: z.coerce.number()
+    .int('ID de búsqueda debe ser un número entero')
+    .positive('ID de búsqueda debe ser positivo')
+    .max(2147483647, 'ID de búsqueda excede el valor máximo permitido')
+});
+
+/**
+ * Schema para la paginación al ejecutar una búsqueda guardada
+ */
+const savedSearchResultsQuerySchema = ValidationFactory.createPaginationValidator()
+  .extend(ValidationFactory.createCursorValidator().shape);
+
+export const validateCreateSavedSearch = createRequestValidator(
+  createSavedSearchSchema, 'body', 'validatedBody', 'Datos de búsqueda guardada inválidos'
+);
+
+export const validatePatchSavedSearch = createRequestValidator(
+  patchSavedSearchSchema, 'body', 'validatedBody', 'Datos de búsqueda guardada inválidos'
+);
+
+export const validateSavedSearchId = createRequestValidator(
+  savedSearchIdSchema, 'params', 'validatedParams', 'ID de búsqueda guardada inválido'
+);
+
+export const validateSavedSearchResultsQuery = createRequestValidator(
+  savedSearchResultsQuerySchema, 'query', 'validatedQuery', 'Parámetros de consulta inválidos'
+);
+
+export {
+  ROLES_COMPARTIBLES,
+  savedSearchCriteriosSchema,
+  createSavedSearchSchema,
+  patchSavedSearchSchema,
+  savedSearchIdSchema,
+  savedSearchResultsQuerySchema
+};
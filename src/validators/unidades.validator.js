@@ -0,0 +1,166 @@
+/**
+ * @fileoverview Validadores para Unidades organizacionales
+ * @description Schemas Zod para administrar la jerarquía Sede > Facultad > Programa
+ * y la pertenencia de los usuarios a unidades
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Complejidad Big O:
+ * - Validaciones simples: O(1)
+ * - Asignación de unidades a un usuario: O(u) donde u = unidades enviadas
+ * - Asignación de convenios a una unidad: O(c) donde c = convenios enviados
+ */
+
+import { z } from 'zod';
+import { ValidationFactory, createRequestValidator } from './convenios.validator.js';
+
+/**
+ * Niveles de la jerarquía organizacional, de mayor a menor
+ */
+const TIPOS_UNIDAD = ['Sede', 'Facultad', 'Programa'];
+
+/**
+ * Máximo de unidades asignables a un usuario
+ */
+const MAX_UNIDADES_USUARIO = 50;
+
+/**
+ * Máximo de convenios asignados a una unidad por solicitud
+ */
+const MAX_CONVENIOS_ASIGNACION = 500;
+
+/**
+ * Validador de IDs numéricos - O(1)
+ */
+const createIdValidator = (campo) => z.coerce.number()
+  .int(`${campo} debe ser un número entero`)
+  .positive(`${campo} debe ser positivo`)
+  .max(2147483647, `${campo} excede el valor máximo permitido`);
+
+const tipoUnidadValidator = z.enum(TIPOS_UNIDAD, {
+  message: `Tipo debe ser: ${TIPOS_UNIDAD.join(', ')}`
+});
+
+/**
+ * Schema para consulta de unidades
+ */
+const unidadesQuerySchema = z.object({
+  tipo: tipoUnidadValidator.optional(),
+  padreId: createIdValidator('ID de unidad padre').optional(),
+  nombre: ValidationFactory.createSearchTextValidator().optional()
+});
+
+/**
+ * Schema para parámetros de ruta de una unidad
+ */
+const unidadIdSchema = z.object({
+  id: createIdValidator('ID de unidad')
+});
+
+/**
+ * Schema para parámetros de ruta de las unidades de un usuario
+ */
+const usuarioUnidadesParamsSchema = z.object({
+  userId: createIdValidator('ID de usuario')
+});
+
+/**
+ * Campos editables de una unidad. El tipo no se puede cambiar después de crearla:
+ * sus unidades dependientes y su padre dependen de él.
+ */
+const unidadBodySchema = z.object({
+  nombre: z.string()
+    .trim()
+    .min(2, 'Nombre de unidad debe tener al menos 2 caracteres')
+    .max(150, 'Nombre de unidad no puede exceder 150 caracteres'),
+  codigo: z.string()
+    .trim()
+    .min(1, 'Código no puede estar vacío')
+    .max(30, 'Código no puede exceder 30 caracteres')
+    .nullable()
+    .optional(),
+  padreId: createIdValidator('ID de unidad padre').nullable().optional()
+});
+
+/**
+ * Schema para crear una unidad
+ */
+const createUnidadSchema = unidadBodySchema.extend({
+  tipo: tipoUnidadValidator
+});
+
+/**
+ * Schema para actualizar parcialmente una unidad
+ */
+const patchUnidadSchema = unidadBodySchema
+  .partial()
+  .refine((data) => Object.keys(data).length > 0, {
+    message: 'Debe enviar al menos un campo para actualizar'
+  });
+
+/**
+ * Schema para reemplazar las unidades de un usuario (lista vacía las quita todas)
+ * Complejidad: O(u)
+ */
+const asignarUnidadesSchema = z.object({
+  unidadIds: z.array(createIdValidator('ID de unidad'))
+    .max(MAX_UNIDADES_USUARIO, `No puede asignar más de ${MAX_UNIDADES_USUARIO} unidades`)
+    .transform(ids => [...new Set(ids)])
+});
+
+/**
+ * Schema para asignar a una unidad convenios sin unidad: una lista de convenios o
+ * sinUnidad: true para tomar los pendientes, uno de los dos
+ * Complejidad: O(c)
+ */
+const asignarConveniosSchema = z.object({
+  convenioIds: z.array(createIdValidator('ID de convenio'))
+    .min(1, 'Debe enviar al menos un convenio')
+    .max(MAX_CONVENIOS_ASIGNACION, `No puede asignar más de ${MAX_CONVENIOS_ASIGNACION} convenios`)
+    .transform(ids => [...new Set(ids)])
+    .optional(),
+  sinUnidad: z.literal(true, { message: 'sinUnidad debe ser true' }).optional()
+}).refine((data) => (data.convenioIds === undefined) !== (data.sinUnidad === undefined), {
+  message: 'Envíe convenioIds o sinUnidad: true, no ambos'
+});
+
+export const validateUnidadesQuery = createRequestValidator(
+  unidadesQuerySchema, 'query', 'validatedQuery', 'Parámetros de consulta inválidos'
+);
+
+export const validateUnidadId = createRequestValidator(
+  unidadIdSchema, 'params', 'validatedParams', 'ID de unidad inválido'
+);
+
+export const validateUsuarioUnidadesParams = createRequestValidator(
+  usuarioUnidadesParamsSchema, 'params', 'validatedParams', 'Parámetros de ruta inválidos'
+);
+
+export const validateCreateUnidad = createRequestValidator(
+  createUnidadSchema, 'body', 'validatedBody', 'Datos de unidad inválidos'
+);
+
+export const validatePatchUnidad = createRequestValidator(
+  patchUnidadSchema, 'body', 'validatedBody', 'Datos de unidad inválidos'
+);
+
+export const validateAsignarUnidades = createRequestValidator(
+  asignarUnidadesSchema, 'body', 'validatedBody', 'Datos de unidades inválidos'
+);
+
+export const validateAsignarConvenios = createRequestValidator(
+  asignarConveniosSchema, 'body', 'validatedBody', 'Datos de convenios inválidos'
+);
+
+export {
+  TIPOS_UNIDAD,
+  MAX_UNIDADES_USUARIO,
+  MAX_CONVENIOS_ASIGNACION,
+  unidadesQuerySchema,
+  unidadIdSchema,
+  usuarioUnidadesParamsSchema,
+  createUnidadSchema,
+  patchUnidadSchema,
+  asignarUnidadesSchema,
+  asignarConveniosSchema
+};
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Validadores para la administración de usuarios
+ * @description Schemas Zod para buscar usuarios, cambiar su rol, activarlos o
+ * desactivarlos y forzar el cambio de contraseña (solo ADMIN)
+ * @author Sistema de Gestión de Convenios
+ * @version 1.0.0
+ *
+ * Complejidad Big O:
+ * - Todas las validaciones: O(1)
+ */
+
+import { z } from 'zod';
+import { ValidationFactory, createRequestValidator } from './convenios.validator.js';
+
+/**
+ * Roles globales de usuario
+ */
+const ROLES_USUARIO = ['ADMIN', 'GESTOR', 'CONSULTOR'];
+
+/**
+ * Validador de IDs numéricos - O(1)
+ */
+const createIdValidator = (campo) => z.coerce.number()
+  .int(`${campo} debe ser un número entero`)
+  .positive(`${campo} debe ser positivo`)
+  .max(2147483647, `${campo} excede el valor máximo permitido`);
+
+const rolUsuarioValidator = z.enum(ROLES_USUARIO, {
+  message: `Rol debe ser: ${ROLES_USUARIO.join(', ')}`
+});
+
+/**
+ * Schema para el listado de usuarios
+ */
+const usersQuerySchema = z.object({
+  search: z.string()
+    .trim()
+    .min(1, 'Texto de búsqueda no puede estar vacío')
+    .max(100, 'Texto de búsqueda no puede exceder 100 caracteres')
+    .optional(),
+  rol: rolUsuarioValidator.optional(),
+  isActive: z.enum(['true', 'false'], { message: 'isActive debe ser true o false' })
+    .transform(valor => valor === 'true')
+    .optional()
+})
+  .extend(ValidationFactory.createPaginationValidator().shape)
+  .extend(ValidationFactory.createCursorValidator().shape);
+
+/**
+ * Schema para parámetros de ruta de un usuario
+ */
+const userIdParamsSchema = z.object({
+  userId: createIdValidator('ID de usuario')
+});
+
+/**
+ * Schema para cambiar el rol global de un usuario
+ */
+const changeRolSchema = z.object({
+  rol: rolUsuarioValidator
+});
+
+export const validateUsersQuery = createRequestValidator(
+  usersQuerySchema, 'query', 'validatedQuery', 'Parámetros de consulta inválidos'
+);
+
+export const validateUserIdParams = createRequestValidator(
+  userIdParamsSchema, 'params', 'validatedParams', 'ID de usuario inválido'
+);
+
+export const validateChangeRol = createRequestValidator(
+  changeRolSchema, 'body', 'validatedBody', 'Datos de rol inválidos'
+);
+
+export {
+  ROLES_USUARIO,
+  usersQuerySchema,
+  userIdParamsSchema,
+  changeRolSchema
+};
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Tests para la validación de Adendas
+ * @description Verifica los schemas de registro y edición de adendas (otrosíes)
+ */
+
+import {
+  adendaParamsSchema,
+  createAdendaSchema,
+  patchAdendaSchema
+} from '../src/validators/adendas.validator.js';
+
+describe('Adendas - Validación', () => {
+  const adendaValida = {
+    fecha: '2025-06-01',
+    descripcion: 'Prórroga de seis meses',
+    nuevaFechaFin: '2026-06-30'
+  };
+
+  test('debe aceptar una adenda de prórroga con documento', () => {
+    const result = createAdendaSchema.parse({ ...adendaValida, documentId: '7' });
+
+    expect(result.nuevaFechaFin).toBe('2026-06-30');
+    expect(result.documentId).toBe(7);
+  });
+
+  test('debe aceptar una adenda sin cambio de vigencia', () => {
+    const { nuevaFechaFin, ...modificacion } = adendaValida;
+
+    expect(createAdendaSchema.safeParse(modificacion).success).toBe(true);
+  });
+
+  test('debe exigir fecha y descripción', () => {
+    expect(createAdendaSchema.safeParse({ nuevaFechaFin: '2026-06-30' }).success).toBe(false);
+  });
+
+  test('debe rechazar fechas con formato inválido', () => {
+    expect(createAdendaSchema.safeParse({ ...adendaValida, nuevaFechaFin: '30/06/2026' }).success).toBe(false);
+  });
+
+  test('debe permitir quitar la nueva fecha de fin de una adenda pendiente', () => {
+    expect(patchAdendaSchema.parse({ nuevaFechaFin: null })).toEqual({ nuevaFechaFin: null });
+    expect(patchAdendaSchema.safeParse({}).success).toBe(false);
+  });
+
+  test('debe convertir los IDs de ruta', () => {
+    expect(adendaParamsSchema.parse({ convenioId: '3', adendaId: '9' })).toEqual({ convenioId: 3, adendaId: 9 });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Tests para la fecha de fin efectiva de los convenios
+ * @description Verifica que solo las prórrogas aprobadas cuenten, que gane la de mayor número
+ * y que una prórroga saque o meta a un convenio en la ventana de vencimiento
+ */
+
+import {
+  getFechaFinEfectiva,
+  findConveniosActivosPorVencimiento,
+  ULTIMA_PRORROGA_SELECT
+} from '../src/services/adendas.service.js';
+import { prisma } from '../src/lib/prisma.js';
+
+const adenda = (numero, estado, nuevaFechaFin) => ({
+  id: numero,
+  numero,
+  estado,
+  nuevaFechaFin: nuevaFechaFin ? new Date(nuevaFechaFin) : null
+});
+
+/**
+ * Aplica en memoria el filtro, el orden y el límite de ULTIMA_PRORROGA_SELECT
+ */
+const ultimaProrroga = (adendas) => adendas
+  .filter(a => a.estado === ULTIMA_PRORROGA_SELECT.where.estado && a.nuevaFechaFin !== null)
+  .sort((a, b) => b.numero - a.numero)
+  .slice(0, ULTIMA_PRORROGA_SELECT.take);
+
+describe('Adendas - getFechaFinEfectiva', () => {
+  const fechaFin = new Date('2025-12-31');
+
+  test('sin prórrogas es la fecha de fin original', () => {
+    expect(getFechaFinEfectiva({ fechaFin })).toEqual(fechaFin);
+    expect(getFechaFinEfectiva({ fechaFin, adendas: [] })).toEqual(fechaFin);
+  });
+
+  test('ignora las adendas pendientes', () => {
+    const adendas = ultimaProrroga([adenda(1, 'Pendiente', '2026-06-30')]);
+
+    expect(getFechaFinEfectiva({ fechaFin, adendas })).toEqual(fechaFin);
+  });
+
+  test('gana la prórroga aprobada de mayor número', () => {
+    const adendas = ultimaProrroga([
+      adenda(1, 'Aprobada', '2026-12-31'),
+      adenda(3, 'Aprobada', '2026-06-30'),
+      adenda(4, 'Pendiente', '2027-12-31'),
+      adenda(2, 'Aprobada', '2027-06-30')
+    ]);
+
+    expect(getFechaFinEfectiva({ fechaFin, adendas })).toEqual(new Date('2026-06-30'));
+  });
+});
+
+describe('Adendas - findConveniosActivosPorVencimiento', () => {
+  const findManyOriginal = prisma.convenio.findMany;
+
+  const convenios = [
+    // Vence dentro de la ventana, pero una prórroga aprobada lo saca de ella
+    { id: 1, estado: 'Activo', fechaFin: new Date('2025-07-15'), adendas: [adenda(1, 'Aprobada', '2026-07-15')] },
+    // Vencía antes de la ventana y la prórroga lo mete en ella
+    { id: 2, estado: 'Activo', fechaFin: new Date('2025-05-31'), adendas: [adenda(1, 'Aprobada', '2025-07-10')] },
+    // La prórroga pendiente no lo saca de la ventana
+    { id: 3, estado: 'Activo', fechaFin: new Date('2025-07-05'), adendas: [adenda(1, 'Pendiente', '2026-07-05')] },
+    // Prorrogado fuera de la ventana: ni la fecha original ni la efectiva coinciden
+    { id: 4, estado: 'Activo', fechaFin: new Date('2025-05-31'), adendas: [adenda(1, 'Aprobada', '2025-12-31')] },
+    { id: 5, estado: 'Finalizado', fechaFin: new Date('2025-07-01'), adendas: [] }
+  ];
+
+  beforeEach(() => {
+    // Consulta simulada: estado, rango de fechaFin o alguna prórroga aprobada, y la última prórroga
+    prisma.convenio.findMany = async ({ where }) => {
+      const { gte, lte } = where.OR[0].fechaFin;
+
+      return convenios
+        .filter(c => c.estado === where.estado)
+        .filter(c => (c.fechaFin >= gte && c.fechaFin <= lte) || ultimaProrroga(c.adendas).length > 0)
+        .map(c => ({ id: c.id, fechaFin: c.fechaFin, adendas: ultimaProrroga(c.adendas) }));
+    };
+  });
+
+  afterEach(() => {
+    prisma.convenio.findMany = findManyOriginal;
+  });
+
+  const ventana = [new Date('2025-07-01'), new Date('2025-07-31')];
+
+  test('filtra por la fecha de fin efectiva y ordena por vencimiento', async () => {
+    const resultado = await findConveniosActivosPorVencimiento(...ventana);
+
+    expect(resultado.map(c => c.id)).toEqual([3, 2]);
+  });
+
+  test('un convenio prorrogado entra en la ventana con su adenda vigente', async () => {
+    const [, prorrogado] = await findConveniosActivosPorVencimiento(...ventana);
+
+    expect(prorrogado.fechaFinEfectiva).toEqual(new Date('2025-07-10'));
+    expect(prorrogado.adendaVigente.numero).toBe(1);
+  });
+
+  test('la prórroga pendiente no cambia la fecha efectiva', async () => {
+    const [pendiente] = await findConveniosActivosPorVencimiento(...ventana);
+
+    expect(pendiente.fechaFinEfectiva).toEqual(new Date('2025-07-05'));
+    expect(pendiente.adendaVigente).toBeNull();
+  });
+});
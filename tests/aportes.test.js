@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Tests para los aportes financieros de convenios
+ * @description Verifica la validación del plan de cuotas y el resumen financiero por moneda
+ */
+
+import {
+  createAporteSchema,
+  patchAporteSchema,
+  registrarPagoSchema
+} from '../src/validators/aportes.validator.js';
+import {
+  summarizeAportes,
+  buildCuotasCreate,
+  getEstadoCuota
+} from '../src/services/aportes.service.js';
+
+const HOY = new Date(Date.UTC(2025, 5, 15));
+
+const parteX = { id: 1, nombre: 'Universidad X', tipo: 'Universidad' };
+const parteY = { id: 2, nombre: 'Empresa Y', tipo: 'Empresa' };
+
+const aporte = (id, parte, tipo, moneda, cuotas) => ({
+  id,
+  tipo,
+  moneda,
+  monto: cuotas.reduce((total, c) => total + c.monto, 0).toFixed(2),
+  convenioParte: { parte },
+  cuotas: cuotas.map((c, i) => ({
+    id: id * 100 + i,
+    numero: i + 1,
+    fechaVencimiento: new Date(c.fecha),
+    monto: c.monto.toFixed(2),
+    montoRecibido: c.recibido === undefined ? null : c.recibido.toFixed(2),
+    recibidaEn: c.recibido === undefined ? null : new Date(c.fecha)
+  }))
+});
+
+describe('Aportes - Validación', () => {
+  const valido = {
+    parteId: 1,
+    tipo: 'Efectivo',
+    monto: 1000.5,
+    cuotas: [
+      { fechaVencimiento: '2025-03-01', monto: 500.25 },
+      { fechaVencimiento: '2025-06-01', monto: 500.25 }
+    ]
+  };
+
+  test('debe aceptar un plan de cuotas que suma el monto y usar COP por defecto', () => {
+    const result = createAporteSchema.safeParse(valido);
+
+    expect(result.success).toBe(true);
+    expect(result.data.moneda).toBe('COP');
+  });
+
+  test('debe normalizar la moneda y rechazar códigos inválidos', () => {
+    expect(createAporteSchema.parse({ ...valido, moneda: 'usd' }).moneda).toBe('USD');
+    expect(createAporteSchema.safeParse({ ...valido, moneda: 'PESOS' }).success).toBe(false);
+  });
+
+  test('debe rechazar cuotas que no suman el monto', () => {
+    const result = createAporteSchema.safeParse({ ...valido, monto: 1000 });
+
+    expect(result.success).toBe(false);
+    expect(result.error.issues[0].path).toEqual(['cuotas']);
+  });
+
+  test('debe rechazar montos con más de dos decimales y tipos desconocidos', () => {
+    expect(createAporteSchema.safeParse({
+      ...valido,
+      monto: 0.001,
+      cuotas: [{ fechaVencimiento: '2025-03-01', monto: 0.001 }]
+    }).success).toBe(false);
+    expect(createAporteSchema.safeParse({ ...valido, tipo: 'Credito' }).success).toBe(false);
+  });
+
+  test('PATCH debe exigir monto y cuotas juntos', () => {
+    expect(patchAporteSchema.safeParse({ descripcion: 'Equipos de laboratorio' }).success).toBe(true);
+    expect(patchAporteSchema.safeParse({ monto: 100 }).success).toBe(false);
+    expect(patchAporteSchema.safeParse({}).success).toBe(false);
+    expect(patchAporteSchema.parse({ tipo: 'Especie' })).not.toHaveProperty('moneda');
+  });
+
+  test('el pago debe tener fecha de recepción', () => {
+    expect(registrarPagoSchema.safeParse({ fechaRecepcion: '2025-03-02' }).success).toBe(true);
+    expect(registrarPagoSchema.safeParse({ montoRecibido: 10 }).success).toBe(false);
+  });
+});
+
+describe('Aportes - Resumen financiero', () => {
+  const aportes = [
+    aporte(1, parteX, 'Efectivo', 'COP', [
+      { fecha: '2025-01-31', monto: 1000.1, recibido: 1000.1 },
+      { fecha: '2025-05-31', monto: 1000.2 },
+      { fecha: '2025-12-31', monto: 1000.3 }
+    ]),
+    aporte(2, parteY, 'Especie', 'COP', [{ fecha: '2025-09-30', monto: 500 }]),
+    aporte(3, parteY, 'Efectivo', 'USD', [{ fecha: '2025-02-28', monto: 200, recibido: 180 }])
+  ];
+
+  test('debe calcular los totales por moneda sin mezclar monedas', () => {
+    const { porMoneda } = summarizeAportes(aportes, HOY);
+
+    expect(porMoneda.COP).toEqual({
+      comprometido: 3500.6,
+      recibido: 1000.1,
+      pendiente: 2500.5,
+      vencido: 1000.2,
+      porcentajeRecibido: 28.6,
+      porTipo: { Efectivo: 3000.6, Especie: 500 }
+    });
+    expect(porMoneda.USD).toMatchObject({ comprometido: 200, recibido: 180, pendiente: 0 });
+  });
+
+  test('debe desglosar por parte y listar las próximas cuotas por vencimiento', () => {
+    const { porParte, cuotas, proximasCuotas } = summarizeAportes(aportes, HOY);
+
+    expect(porParte.map(p => p.parte.id)).toEqual([1, 2]);
+    expect(Object.keys(porParte[1].porMoneda)).toEqual(['COP', 'USD']);
+    expect(cuotas).toEqual({ total: 5, recibidas: 2, pendientes: 2, vencidas: 1 });
+    expect(proximasCuotas.map(c => [c.aporteId, c.numero, c.estado])).toEqual([
+      [1, 2, 'Vencida'],
+      [2, 1, 'Pendiente'],
+      [1, 3, 'Pendiente']
+    ]);
+  });
+
+  test('debe numerar las cuotas en orden de vencimiento', () => {
+    const plan = buildCuotasCreate([
+      { fechaVencimiento: '2025-06-01', monto: 10 },
+      { fechaVencimiento: '2025-03-01', monto: 20 }
+    ]);
+
+    expect(plan.map(c => [c.numero, c.monto])).toEqual([[1, 20], [2, 10]]);
+    expect(getEstadoCuota({ recibidaEn: null, fechaVencimiento: plan[0].fechaVencimiento }, HOY)).toBe('Vencida');
+  });
+});
@@ -51,6 +51,58 @@ describe('Lógica de Consulta de Convenios - Tu Implementación', () => {
       expect(query.where.OR[1].descripcion.contains).toBe('convenio academico');
     });
 
+    test('debe restringir a IDs de búsqueda de texto completo - Complejidad O(1)', () => {
+      const query = queryBuilder
+        .filterByIds([3, 1, 2])
+        .build();
+
+      expect(query.where.id.in).toEqual([3, 1, 2]);
+    });
+
+    test('no debe filtrar por IDs sin búsqueda de texto', () => {
+      const query = queryBuilder
+        .filterByIds(null)
+        .build();
+
+      expect(query.where.id).toBeUndefined();
+    });
+
+    test('debe filtrar por partes, tipo de parte y fecha de fin - Complejidad O(1)', () => {
+      const query = queryBuilder
+        .filterByEstado('Activo')
+        .filterByPartes([4, 9])
+        .filterByParteTipo('Empresa')
+        .filterByFechaFinRange('2025-01-01', '2025-06-30')
+        .build();
+
+      expect(query.where.estado).toBe('Activo');
+      expect(query.where.AND).toHaveLength(2);
+      expect(query.where.AND[0]).toEqual({ partes: { some: { parteId: { in: [4, 9] } } } });
+      expect(query.where.AND[1].partes.some.parte.tipo).toEqual({ equals: 'Empresa', mode: 'insensitive' });
+      expect(query.where.fechaFin.gte).toEqual(new Date('2025-01-01'));
+      expect(query.where.fechaFin.lte).toEqual(new Date('2025-06-30'));
+    });
+
+    test('debe filtrar por presencia de actividades', () => {
+      expect(queryBuilder.reset().filterByActividades(false).build().where.actividades).toEqual({ none: {} });
+      expect(queryBuilder.reset().filterByActividades(true).build().where.actividades).toEqual({ some: {} });
+      expect(queryBuilder.reset().filterByActividades(undefined).build().where.actividades).toBeUndefined();
+    });
+
+    test('debe combinar filtros con OR manteniendo la restricción por IDs', () => {
+      const query = queryBuilder
+        .filterByParteTipo('Empresa')
+        .filterByActividades(false)
+        .filterByIds([1, 2])
+        .combineWith('OR')
+        .build();
+
+      expect(query.where.id).toEqual({ in: [1, 2] });
+      expect(query.where.OR).toHaveLength(2);
+      expect(query.where.OR).toContainEqual({ actividades: { none: {} } });
+      expect(query.where.AND).toBeUndefined();
+    });
+
     test('debe filtrar por múltiples estados - Complejidad O(1)', () => {
       const estados = ['Activo', 'Borrador'];
       const query = queryBuilder
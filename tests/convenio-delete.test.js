@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Tests para la eliminación de convenios
+ * @description Verifica que solo se eliminen convenios en Borrador: los demás conservan
+ * su historial de revisiones y transiciones y se retiran archivándolos
+ */
+
+import { prisma } from '../src/lib/prisma.js';
+import ConvenioCommandService from '../src/services/convenios.service.js';
+
+describe('Eliminación de convenios', () => {
+  const eliminados = [];
+  let estado;
+  let originales;
+
+  beforeEach(() => {
+    eliminados.length = 0;
+    originales = { findUnique: prisma.convenio.findUnique, deleteMany: prisma.convenio.deleteMany };
+    prisma.convenio.findUnique = async ({ where }) => ({
+      id: where.id,
+      nombre: 'Convenio Marco',
+      estado,
+      documentos: []
+    });
+    prisma.convenio.deleteMany = async ({ where }) => {
+      if (where.estado !== estado) return { count: 0 };
+      eliminados.push(where.id);
+      return { count: 1 };
+    };
+  });
+
+  afterEach(() => {
+    Object.assign(prisma.convenio, originales);
+  });
+
+  test('elimina un convenio en Borrador', async () => {
+    estado = 'Borrador';
+
+    const result = await new ConvenioCommandService().deleteConvenio(10);
+
+    expect(result.success).toBe(true);
+    expect(eliminados).toEqual([10]);
+  });
+
+  test.each(['Activo', 'Finalizado', 'Archivado'])('no elimina un convenio %s', async (actual) => {
+    estado = actual;
+
+    const result = await new ConvenioCommandService().deleteConvenio(10);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('CONVENIO_NO_ELIMINABLE');
+    expect(result.message).toMatch(/archivar/);
+    expect(eliminados).toEqual([]);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Tests para la exportación de convenios
+ * @description Verifica la serialización por lotes en CSV, XLSX y JSON
+ */
+
+import { PassThrough } from 'stream';
+import { readSpreadsheet, escapeCsvValue } from '../src/lib/spreadsheet.js';
+import { exportConveniosSchema } from '../src/validators/convenios.validator.js';
+import {
+  ConvenioExportService,
+  toExportRow,
+  buildExportFilename
+} from '../src/services/convenio-export.service.js';
+
+const convenio = (id, nombre, partes = []) => ({
+  id,
+  nombre,
+  descripcion: `Descripción de ${nombre}`,
+  estado: 'Activo',
+  fechaInicio: new Date(Date.UTC(2025, 0, 15)),
+  fechaFin: new Date(Date.UTC(2025, 11, 31)),
+  createdAt: new Date(Date.UTC(2025, 0, 10, 12, 30)),
+  updatedAt: new Date(Date.UTC(2025, 0, 11, 8, 0)),
+  partes: partes.map((nombreParte, i) => ({ parte: { id: i + 1, nombre: nombreParte, tipo: 'Empresa' } })),
+  _count: { actividades: 3, documentos: 1 }
+});
+
+async function* lotes(...grupos) {
+  for (const grupo of grupos) yield grupo;
+}
+
+/**
+ * Ejecuta la exportación y devuelve todo lo escrito en el stream
+ */
+const exportar = async (formato, ...grupos) => {
+  const stream = new PassThrough();
+  const partes = [];
+  stream.on('data', parte => partes.push(parte));
+
+  const total = await new ConvenioExportService().writeExport(lotes(...grupos), formato, stream);
+  return { total, contenido: Buffer.concat(partes) };
+};
+
+describe('Exportación de convenios', () => {
+  test('toExportRow debe unir las partes y aplanar los conteos', () => {
+    expect(toExportRow(convenio(1, 'Convenio A', ['Empresa Y', 'Universidad X']))).toMatchObject({
+      partes: 'Empresa Y; Universidad X',
+      totalActividades: 3,
+      totalDocumentos: 1
+    });
+  });
+
+  test('CSV debe incluir BOM, encabezados y escapar separadores', async () => {
+    const { total, contenido } = await exportar(
+      'csv',
+      [convenio(1, 'Convenio "A"', ['Empresa Y', 'Universidad X'])],
+      [convenio(2, 'Convenio B')]
+    );
+    const lineas = contenido.toString('utf8').split('\r\n');
+
+    expect(total).toBe(2);
+    expect(lineas[0].startsWith('\uFEFFID,Nombre,')).toBe(true);
+    expect(lineas[1]).toContain('"Convenio ""A"""');
+    expect(lineas[1]).toContain('"Empresa Y; Universidad X"');
+    expect(lineas[1]).toContain(',2025-01-15,2025-12-31,');
+    expect(lineas[2].startsWith('2,Convenio B,')).toBe(true);
+  });
+
+  test('CSV debe neutralizar los textos que empiezan como una fórmula', async () => {
+    const { contenido } = await exportar('csv', [convenio(1, '=HYPERLINK("http://x")', ['@SUM(A1)'])]);
+    const [, linea] = contenido.toString('utf8').split('\r\n');
+
+    expect(linea).toContain(`"'=HYPERLINK(""http://x"")"`);
+    expect(linea).toContain("'@SUM(A1)");
+    expect(['+1', '-1', '\tx', '\rx'].map(escapeCsvValue)).toEqual(["'+1", "'-1", "'\tx", `"'\rx"`]);
+    expect(escapeCsvValue(-5)).toBe('-5');
+    expect(escapeCsvValue('Convenio 1')).toBe('Convenio 1');
+  });
+
+  test('JSON debe generar un arreglo con las partes como objetos', async () => {
+    const { contenido } = await exportar('json', [convenio(1, 'Convenio A', ['Empresa Y'])], [convenio(2, 'Convenio B')]);
+    const registros = JSON.parse(contenido.toString('utf8'));
+
+    expect(registros).toHaveLength(2);
+    expect(registros[0]).toMatchObject({
+      id: 1,
+      partes: [{ id: 1, nombre: 'Empresa Y', tipo: 'Empresa' }],
+      totalActividades: 3,
+      totalDocumentos: 1
+    });
+    expect(registros[0]._count).toBeUndefined();
+  });
+
+  test('JSON sin convenios debe ser un arreglo vacío', async () => {
+    const { total, contenido } = await exportar('json');
+
+    expect(total).toBe(0);
+    expect(JSON.parse(contenido.toString('utf8'))).toEqual([]);
+  });
+
+  test('XLSX debe poder leerse con las mismas columnas', async () => {
+    const { contenido } = await exportar('xlsx', [convenio(7, 'Convenio A', ['Empresa Y'])]);
+    const hoja = await readSpreadsheet(contenido, 'xlsx');
+
+    expect(hoja.encabezados.slice(0, 7)).toEqual([
+      'ID', 'Nombre', 'Descripción', 'Estado', 'Fecha de inicio', 'Fecha de fin', 'Partes'
+    ]);
+    expect(hoja.filas[0].celdas.slice(0, 7)).toEqual([
+      '7', 'Convenio A', 'Descripción de Convenio A', 'Activo', '2025-01-15', '2025-12-31', 'Empresa Y'
+    ]);
+  });
+
+  test('debe validar el formato y usar CSV por defecto', () => {
+    expect(exportConveniosSchema.parse({})).toEqual({ format: 'csv' });
+    expect(exportConveniosSchema.safeParse({ format: 'pdf' }).success).toBe(false);
+    expect(buildExportFilename('xlsx', new Date(Date.UTC(2025, 5, 1)))).toBe('convenios_2025-06-01.xlsx');
+  });
+});
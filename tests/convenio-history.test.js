@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Tests para el historial de revisiones de Convenios
+ * @description Verifica el cálculo de cambios, la reconstrucción de revisiones y el
+ * reintento cuando dos transacciones toman el mismo número de revisión
+ */
+
+import { prisma } from '../src/lib/prisma.js';
+import {
+  ConvenioHistoryService,
+  MAX_INTENTOS_REVISION,
+  computeChanges,
+  reconstructState,
+  groupByRevision
+} from '../src/services/convenio-history.service.js';
+
+describe('Historial de revisiones de Convenios', () => {
+  const actual = {
+    nombre: 'Convenio Marco v3',
+    descripcion: 'Descripción vigente',
+    fechaInicio: new Date('2025-01-01T00:00:00.000Z'),
+    fechaFin: new Date('2026-12-31T00:00:00.000Z'),
+    estado: 'Activo'
+  };
+
+  // Revisión 1: cambio de nombre; revisión 2: nombre y fecha de fin; revisión 3: activación
+  const filas = [
+    { revision: 3, campo: 'estado', valorAnterior: 'Borrador', valorNuevo: 'Activo' },
+    { revision: 2, campo: 'nombre', valorAnterior: 'Convenio Marco v2', valorNuevo: 'Convenio Marco v3' },
+    { revision: 2, campo: 'fechaFin', valorAnterior: '2025-12-31T00:00:00.000Z', valorNuevo: '2026-12-31T00:00:00.000Z' },
+    { revision: 1, campo: 'nombre', valorAnterior: 'Convenio Marco', valorNuevo: 'Convenio Marco v2' }
+  ];
+
+  describe('computeChanges', () => {
+    test('debe registrar solo los campos que cambian', () => {
+      const cambios = computeChanges(actual, {
+        nombre: 'Convenio Marco v3',
+        fechaFin: new Date('2027-06-30T00:00:00.000Z')
+      });
+
+      expect(cambios).toEqual([{
+        campo: 'fechaFin',
+        valorAnterior: '2026-12-31T00:00:00.000Z',
+        valorNuevo: '2027-06-30T00:00:00.000Z'
+      }]);
+    });
+
+    test('debe ignorar campos no auditados', () => {
+      expect(computeChanges(actual, { partes: [] })).toEqual([]);
+    });
+
+    test('debe registrar el traslado a otra unidad', () => {
+      expect(computeChanges({ ...actual, unidadId: 2 }, { unidadId: 3 })).toEqual([{
+        campo: 'unidadId',
+        valorAnterior: 2,
+        valorNuevo: 3
+      }]);
+      expect(computeChanges({ ...actual, unidadId: null }, { unidadId: 3 })[0].valorAnterior).toBeNull();
+    });
+  });
+
+  describe('reconstructState', () => {
+    test('la revisión actual debe coincidir con el convenio', () => {
+      expect(reconstructState(actual, filas, 3).nombre).toBe('Convenio Marco v3');
+    });
+
+    test('debe deshacer las revisiones posteriores', () => {
+      const estado = reconstructState(actual, filas, 1);
+
+      expect(estado.nombre).toBe('Convenio Marco v2');
+      expect(estado.fechaFin).toBe('2025-12-31T00:00:00.000Z');
+      expect(estado.estado).toBe('Borrador');
+    });
+
+    test('la revisión 0 debe ser el estado antes del primer cambio', () => {
+      expect(reconstructState(actual, filas, 0).nombre).toBe('Convenio Marco');
+    });
+  });
+
+  describe('groupByRevision', () => {
+    test('debe agrupar los campos de una misma revisión', () => {
+      const revisiones = groupByRevision(filas);
+
+      expect(revisiones.map(r => r.revision)).toEqual([3, 2, 1]);
+      expect(revisiones[1].cambios).toHaveLength(2);
+    });
+  });
+
+  describe('runWithRevision', () => {
+    const revisionRepetida = () => Object.assign(new Error('Unique constraint failed'), {
+      code: 'P2002',
+      meta: { target: ['convenioId', 'revision', 'campo'] }
+    });
+
+    const conTransaccion = async (transaction, prueba) => {
+      const transaccionOriginal = prisma.$transaction;
+      prisma.$transaction = transaction;
+      try {
+        await prueba();
+      } finally {
+        prisma.$transaction = transaccionOriginal;
+      }
+    };
+
+    test('debe reintentar cuando otra transacción tomó el mismo número de revisión', async () => {
+      let intentos = 0;
+
+      await conTransaccion(async (fn) => {
+        intentos += 1;
+        if (intentos === 1) throw revisionRepetida();
+        return fn({});
+      }, async () => {
+        const resultado = await new ConvenioHistoryService().runWithRevision(async () => 'ok');
+
+        expect(resultado).toBe('ok');
+        expect(intentos).toBe(2);
+      });
+    });
+
+    test('debe desistir tras el máximo de intentos y no reintentar otros errores', async () => {
+      let intentos = 0;
+
+      await conTransaccion(async () => {
+        intentos += 1;
+        throw revisionRepetida();
+      }, async () => {
+        await expect(new ConvenioHistoryService().runWithRevision(async () => 'ok'))
+          .rejects.toMatchObject({ code: 'P2002' });
+        expect(intentos).toBe(MAX_INTENTOS_REVISION);
+      });
+
+      intentos = 0;
+      await conTransaccion(async () => {
+        intentos += 1;
+        throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002', meta: { target: ['parteId'] } });
+      }, async () => {
+        await expect(new ConvenioHistoryService().runWithRevision(async () => 'ok')).rejects.toThrow();
+        expect(intentos).toBe(1);
+      });
+    });
+  });
+});
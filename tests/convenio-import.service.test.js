@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Tests para la escritura de la importación masiva de convenios
+ * @description Verifica que la importación cree solo las partes nuevas y no modifique
+ * las partes existentes
+ */
+
+import { prisma } from '../src/lib/prisma.js';
+import { ConvenioImportService } from '../src/services/convenio-import.service.js';
+
+describe('Importación de convenios - Partes', () => {
+  test('usa las partes existentes tal cual y crea solo las nuevas', async () => {
+    const operaciones = [];
+    const tx = {
+      parte: {
+        update: async (args) => { operaciones.push(['update', args]); return { id: 0 }; },
+        upsert: async (args) => { operaciones.push(['upsert', args]); return { id: 20 }; }
+      },
+      convenio: {
+        create: async ({ data }) => {
+          operaciones.push(['convenio', data.partes.create.map(p => p.parte.connect.id)]);
+          return { id: 100, nombre: data.nombre };
+        }
+      }
+    };
+    const transaccionOriginal = prisma.$transaction;
+    prisma.$transaction = async (fn) => fn(tx);
+
+    const service = new ConvenioImportService();
+    const partes = [
+      { nombre: 'Universidad X', tipo: 'Otro tipo', contacto: 'otro@x.edu', parteId: 7 },
+      { nombre: 'Empresa Nueva', tipo: 'Empresa', contacto: 'info@nueva.com', parteId: null }
+    ];
+    service.previewImport = async () => ({
+      success: true,
+      data: {
+        unidadId: 1,
+        resumen: { filasConErrores: 0 },
+        filas: [{ fila: 2, datos: { nombre: 'Convenio A', partes }, errores: [] }]
+      }
+    });
+    service.resolvePartes = async () => partes;
+    service.commandService.buildConvenioFields = ({ nombre }) => ({ nombre });
+
+    try {
+      const result = await service.importConvenios(Buffer.from(''), 'csv');
+
+      expect(result.success).toBe(true);
+      expect(result.data.resumen).toMatchObject({ partesCreadas: 1, partesExistentes: 1 });
+    } finally {
+      prisma.$transaction = transaccionOriginal;
+    }
+
+    expect(operaciones.filter(([tipo]) => tipo === 'update')).toHaveLength(0);
+    expect(operaciones[0]).toEqual(['upsert', {
+      where: { nombre: 'Empresa Nueva' },
+      update: {},
+      create: { nombre: 'Empresa Nueva', tipo: 'Empresa', contacto: 'info@nueva.com' },
+      select: { id: true }
+    }]);
+    expect(operaciones[1]).toEqual(['convenio', [7, 20]]);
+  });
+});
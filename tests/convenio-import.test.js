@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Tests para la importación masiva de convenios
+ * @description Verifica la lectura de hojas CSV/XLSX y la validación fila por fila
+ */
+
+import ExcelJS from 'exceljs';
+import { readSpreadsheet, detectFormat } from '../src/lib/spreadsheet.js';
+import {
+  mapHeaders,
+  normalizeDate,
+  parsePartesCell,
+  buildRowInput,
+  validateImportRow,
+  importConveniosSchema
+} from '../src/validators/convenio-import.validator.js';
+
+describe('Importación de convenios', () => {
+  describe('readSpreadsheet', () => {
+    test('debe leer CSV separado por punto y coma con números de fila', async () => {
+      const csv = '\uFEFFnombre;descripcion;fechaInicio;fechaFin;partes\n'
+        + 'Convenio A;Descripción A;01/02/2025;31/12/2025;"Universidad X | Universidad; Empresa Y"\n'
+        + '\n'
+        + 'Convenio B;Descripción B;2025-03-01;2025-09-30;\n';
+
+      const hoja = await readSpreadsheet(Buffer.from(csv), 'csv');
+
+      expect(hoja.encabezados).toEqual(['nombre', 'descripcion', 'fechaInicio', 'fechaFin', 'partes']);
+      expect(hoja.filas).toHaveLength(2);
+      expect(hoja.filas[0].celdas[4]).toBe('Universidad X | Universidad; Empresa Y');
+      expect(hoja.filas[1]).toMatchObject({ numero: 4 });
+    });
+
+    test('debe leer la primera hoja de un XLSX convirtiendo fechas', async () => {
+      const libro = new ExcelJS.Workbook();
+      const hoja = libro.addWorksheet('Convenios');
+      hoja.addRow(['Nombre', 'Descripción', 'Fecha de inicio', 'Fecha de fin', 'Partes']);
+      hoja.addRow(['Convenio A', 'Descripción A', new Date(Date.UTC(2025, 1, 1)), new Date(Date.UTC(2025, 11, 31)), 'Empresa Y']);
+      const buffer = Buffer.from(await libro.xlsx.writeBuffer());
+
+      const resultado = await readSpreadsheet(buffer, 'xlsx');
+
+      expect(resultado.filas).toEqual([{
+        numero: 2,
+        celdas: ['Convenio A', 'Descripción A', '2025-02-01', '2025-12-31', 'Empresa Y']
+      }]);
+    });
+
+    test('debe detectar el formato por extensión', () => {
+      expect(detectFormat('registro.XLSX')).toBe('xlsx');
+      expect(detectFormat('registro.csv')).toBe('csv');
+      expect(detectFormat('registro.xls')).toBeNull();
+    });
+  });
+
+  describe('mapHeaders', () => {
+    test('debe reconocer encabezados con tildes, espacios y "de"', () => {
+      const { columnas, faltantes, ignoradas } = mapHeaders(['Nombre', 'Descripción', 'Fecha de inicio', 'fecha_fin', 'Observaciones']);
+
+      expect(columnas).toEqual({ nombre: 0, descripcion: 1, fechaInicio: 2, fechaFin: 3 });
+      expect(faltantes).toEqual([]);
+      expect(ignoradas).toEqual(['Observaciones']);
+    });
+
+    test('debe informar columnas requeridas faltantes', () => {
+      expect(mapHeaders(['nombre', 'partes']).faltantes).toEqual(['descripcion', 'fechaInicio', 'fechaFin']);
+    });
+  });
+
+  describe('filas', () => {
+    const { columnas } = mapHeaders(['nombre', 'descripcion', 'fechaInicio', 'fechaFin', 'partes']);
+
+    test('debe convertir fechas DD/MM/YYYY', () => {
+      expect(normalizeDate('1/2/2025')).toBe('2025-02-01');
+      expect(normalizeDate('2025-02-01')).toBe('2025-02-01');
+    });
+
+    test('debe interpretar partes con tipo y contacto', () => {
+      expect(parsePartesCell('Universidad X | Universidad | contacto@x.edu;  Empresa Y ; ')).toEqual([
+        { nombre: 'Universidad X', tipo: 'Universidad', contacto: 'contacto@x.edu' },
+        { nombre: 'Empresa Y' }
+      ]);
+    });
+
+    test('debe validar una fila correcta con las reglas de creación', () => {
+      const { datos, errores } = validateImportRow(buildRowInput(
+        ['Convenio A', 'Descripción A', '01/02/2025', '31/12/2025', 'Empresa Y | Empresa'],
+        columnas
+      ));
+
+      expect(errores).toEqual([]);
+      expect(datos).toEqual({
+        nombre: 'Convenio A',
+        descripcion: 'Descripción A',
+        fechaInicio: '2025-02-01',
+        fechaFin: '2025-12-31',
+        partes: [{ nombre: 'Empresa Y', tipo: 'Empresa' }]
+      });
+    });
+
+    test('debe reportar los errores por campo', () => {
+      const { errores } = validateImportRow(buildRowInput(
+        ['CA', '', '2025-12-31', '2025-01-01', ''],
+        columnas
+      ));
+
+      expect(errores.map(e => e.campo)).toEqual(expect.arrayContaining(['nombre', 'descripcion']));
+    });
+
+    test('debe rechazar rangos de fechas invertidos', () => {
+      const { errores } = validateImportRow(buildRowInput(
+        ['Convenio A', 'Descripción A', '2025-12-31', '2025-01-01', ''],
+        columnas
+      ));
+
+      expect(errores).toEqual([expect.objectContaining({ campo: 'fechaFin' })]);
+    });
+  });
+
+  describe('importConveniosSchema', () => {
+    test('debe ser vista previa por defecto', () => {
+      expect(importConveniosSchema.parse({})).toEqual({ dryRun: true });
+      expect(importConveniosSchema.parse({ dryRun: 'false' })).toEqual({ dryRun: false });
+      expect(importConveniosSchema.safeParse({ dryRun: 'si' }).success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Tests para los permisos por convenio
+ * @description Verifica el permiso efectivo (rol global vs. membresía) y la validación de miembros
+ */
+
+import {
+  setMiembroSchema,
+  convenioMiembroParamsSchema
+} from '../src/validators/convenio-miembros.validator.js';
+import {
+  tienePermiso,
+  resolveRolConvenio
+} from '../src/services/convenio-miembros.service.js';
+
+const admin = { id: 1, rol: 'ADMIN' };
+const gestor = { id: 2, rol: 'GESTOR' };
+const consultor = { id: 3, rol: 'CONSULTOR' };
+
+describe('Miembros de convenio - Permiso efectivo', () => {
+  test('sin membresía se aplica el permiso por defecto del rol global', () => {
+    expect(resolveRolConvenio(gestor, null)).toEqual({ rol: 'Editor', origen: 'RolGlobal' });
+    expect(resolveRolConvenio(consultor, null)).toEqual({ rol: 'Lector', origen: 'RolGlobal' });
+  });
+
+  test('la membresía reemplaza al rol global en ese convenio', () => {
+    expect(resolveRolConvenio(consultor, { rol: 'Editor' })).toEqual({ rol: 'Editor', origen: 'Miembro' });
+    expect(resolveRolConvenio(gestor, { rol: 'Lector' })).toEqual({ rol: 'Lector', origen: 'Miembro' });
+  });
+
+  test('ADMIN es siempre propietario', () => {
+    expect(resolveRolConvenio(admin, { rol: 'Lector' })).toEqual({ rol: 'Propietario', origen: 'ADMIN' });
+  });
+
+  test('cada rol incluye los permisos de los inferiores', () => {
+    expect(tienePermiso('Propietario', 'Editor')).toBe(true);
+    expect(tienePermiso('Editor', 'Editor')).toBe(true);
+    expect(tienePermiso('Editor', 'Propietario')).toBe(false);
+    expect(tienePermiso('Lector', 'Editor')).toBe(false);
+    expect(tienePermiso(null, 'Lector')).toBe(false);
+  });
+});
+
+describe('Miembros de convenio - Validación', () => {
+  test('acepta solo los roles de convenio', () => {
+    expect(setMiembroSchema.safeParse({ rol: 'Editor' }).success).toBe(true);
+    expect(setMiembroSchema.safeParse({ rol: 'GESTOR' }).success).toBe(false);
+    expect(setMiembroSchema.safeParse({}).success).toBe(false);
+  });
+
+  test('convierte los IDs de la ruta', () => {
+    expect(convenioMiembroParamsSchema.parse({ convenioId: '7', userId: '12' }))
+      .toEqual({ convenioId: 7, userId: 12 });
+    expect(convenioMiembroParamsSchema.safeParse({ convenioId: '7', userId: 'abc' }).success).toBe(false);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Tests para las reglas de estado de las partes de un convenio
+ * @description Verifica que la edición del convenio (PUT/PATCH) y la asociación de partes
+ * respeten las mismas reglas: un convenio Archivado no se modifica y uno Activo no admite
+ * partes nuevas
+ */
+
+import ConvenioCommandService from '../src/services/convenios.service.js';
+import ParteService from '../src/services/partes.service.js';
+import { prisma } from '../src/lib/prisma.js';
+
+describe('Partes de un convenio - Reglas por estado', () => {
+  test('un convenio archivado no admite cambios en sus campos ni en sus partes', async () => {
+    const service = new ConvenioCommandService();
+    service.parteService.loadConvenioEditable = async () => ({
+      error: { success: false, error: 'CONVENIO_ARCHIVADO', message: 'No se pueden modificar las partes de un convenio archivado' }
+    });
+
+    const patch = await service.updateConvenio(10, { fechaFin: new Date('2026-06-30') }, 1);
+    const put = await service.updateConvenio(10, { partes: [{ parteId: 1 }] }, 1);
+
+    expect(patch.success).toBe(false);
+    expect(patch.error).toBe('CONVENIO_ARCHIVADO');
+    expect(patch.message).toBe('No se puede modificar un convenio archivado');
+    expect(put.error).toBe('CONVENIO_ARCHIVADO');
+  });
+
+  test('un convenio activo no admite partes nuevas', async () => {
+    const service = new ParteService();
+    service.loadConvenioEditable = async () => ({ convenio: { id: 10, estado: 'Activo', _count: { partes: 2 } } });
+
+    const result = await service.attachPartes(10, [{ nombre: 'Empresa XYZ' }]);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('PARTES_CONVENIO_ACTIVO');
+  });
+});
+
+describe('Partes de un convenio - Desasociar con el convenio bloqueado', () => {
+  const transaccionOriginal = prisma.$transaction;
+  let tx;
+
+  beforeEach(() => {
+    tx = { convenioParte: { delete: async () => ({}) } };
+    prisma.$transaction = async (fn) => fn(tx);
+  });
+
+  afterEach(() => {
+    prisma.$transaction = transaccionOriginal;
+  });
+
+  /**
+   * Servicio cuyas consultas registran el orden y el cliente con que se ejecutan
+   */
+  const buildService = ({ estado = 'Borrador', totalPartes = 3, asociadas = [1, 2, 3] } = {}) => {
+    const pasos = [];
+    const service = new ParteService();
+    service.historyService.lockConvenio = async () => { pasos.push('lockConvenio'); };
+    service.loadConvenioEditable = async (convenioId, client) => {
+      pasos.push(client === tx ? 'convenio:tx' : 'convenio:prisma');
+      return { convenio: { id: convenioId, estado, _count: { partes: totalPartes } } };
+    };
+    service.lockPartesConvenio = async (client, convenioId, parteIds) => {
+      pasos.push('lockPartes');
+      return parteIds.filter(id => asociadas.includes(id));
+    };
+    service.findDependientesParte = async (convenioId, parteId, client) => {
+      pasos.push(client === tx ? 'dependientes:tx' : 'dependientes:prisma');
+      return null;
+    };
+    return { service, pasos };
+  };
+
+  test('verifica y desasocia dentro de la transacción tras bloquear convenio y vínculo', async () => {
+    const { service, pasos } = buildService();
+
+    const result = await service.detachParte(10, 2);
+
+    expect(result.success).toBe(true);
+    expect(pasos).toEqual(['lockConvenio', 'convenio:tx', 'lockPartes', 'dependientes:tx']);
+  });
+
+  test('un convenio activo con el mínimo de partes no pierde ninguna', async () => {
+    const { service } = buildService({ estado: 'Activo', totalPartes: 2, asociadas: [1, 2] });
+
+    const result = await service.detachParte(10, 2);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('MINIMO_PARTES');
+  });
+
+  test('rechaza una parte que no está asociada al convenio', async () => {
+    const { service, pasos } = buildService({ asociadas: [1] });
+
+    const result = await service.detachParte(10, 2);
+
+    expect(result.error).toBe('PARTE_NO_ASOCIADA');
+    expect(pasos).not.toContain('dependientes:tx');
+  });
+});
+
+describe('Partes de un convenio - Reemplazo con el convenio bloqueado', () => {
+  const findUniqueOriginal = prisma.convenio.findUnique;
+
+  afterEach(() => {
+    prisma.convenio.findUnique = findUniqueOriginal;
+  });
+
+  /**
+   * Servicio con el convenio 10 (partes 1, 2 y 3) cuya transacción registra el orden
+   * de las consultas; las partes en conAportes tienen aportes registrados
+   */
+  const buildService = ({ conAportes = [] } = {}) => {
+    const pasos = [];
+    const tx = {
+      convenioParte: {
+        findMany: async () => {
+          pasos.push('actuales:tx');
+          return [{ parteId: 1 }, { parteId: 2 }, { parteId: 3 }];
+        },
+        deleteMany: async () => { pasos.push('delete'); }
+      },
+      convenio: {
+        update: async () => ({ id: 10 })
+      }
+    };
+
+    prisma.convenio.findUnique = async () => ({
+      id: 10,
+      estado: 'Borrador',
+      fechaInicio: new Date('2025-01-01'),
+      fechaFin: new Date('2025-12-31')
+    });
+
+    const service = new ConvenioCommandService();
+    service.parteService.loadConvenioEditable = async () => ({ convenio: { estado: 'Borrador' } });
+    service.parteService.resolveAliases = async (partes) => partes;
+    service.findMissingParteIds = async () => [];
+    service.historyService.runWithRevision = (work) => work(tx);
+    service.historyService.lockConvenio = async () => {
+      pasos.push('lock');
+      return { id: 10, estado: 'Borrador' };
+    };
+    service.historyService.recordChanges = async () => 1;
+    service.parteService.lockPartesConvenio = async (client, convenioId, parteIds) => {
+      pasos.push(`lockPartes:${parteIds.join(',')}`);
+      return parteIds;
+    };
+    service.aporteService.findPartesConAportes = async (convenioId, parteIds, client) => {
+      pasos.push(client === tx ? 'aportes:tx' : 'aportes:prisma');
+      return parteIds.filter(id => conAportes.includes(id));
+    };
+    service.obligacionService.findPartesConObligaciones = async () => [];
+    service.firmanteService.findPartesConFirmantes = async () => [];
+
+    return { service, pasos };
+  };
+
+  test('verifica los dependientes de las partes quitadas dentro de la transacción', async () => {
+    const { service, pasos } = buildService();
+
+    const result = await service.updateConvenio(10, { partes: [{ parteId: 1 }, { parteId: 2 }] }, 1);
+
+    expect(result.success).toBe(true);
+    expect(pasos).toEqual(['lock', 'actuales:tx', 'lockPartes:3', 'aportes:tx', 'delete']);
+  });
+
+  test('no quita partes con aportes registrados bajo el bloqueo', async () => {
+    const { service, pasos } = buildService({ conAportes: [3] });
+
+    const result = await service.updateConvenio(10, { partes: [{ parteId: 1 }, { parteId: 2 }] }, 1);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('PARTE_CON_APORTES');
+    expect(pasos).not.toContain('delete');
+  });
+});
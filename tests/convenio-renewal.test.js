@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Tests para la renovación de convenios
+ * @description Verifica el desplazamiento de actividades al nuevo periodo, la duración por
+ * defecto del nuevo convenio y los rechazos por convenio ya renovado o sin unidad
+ */
+
+import ConvenioRenewalService, { shiftActividades } from '../src/services/convenio-renewal.service.js';
+import { prisma, PRISMA_UNIQUE_VIOLATION } from '../src/lib/prisma.js';
+
+const MS_POR_DIA = 1000 * 60 * 60 * 24;
+
+describe('Renovación - shiftActividades', () => {
+  const actividad = {
+    nombre: 'Informe trimestral',
+    descripcion: 'Entrega del informe',
+    responsableId: 7,
+    fechaInicio: new Date('2025-03-01'),
+    fechaFin: new Date('2025-03-31'),
+    estado: 'Completada'
+  };
+
+  test('desplaza las fechas al nuevo periodo conservando la duración', () => {
+    const [desplazada] = shiftActividades([actividad], 365 * MS_POR_DIA, new Date('2026-12-31'));
+
+    expect(desplazada.fechaInicio).toEqual(new Date('2026-03-01'));
+    expect(desplazada.fechaFin).toEqual(new Date('2026-03-31'));
+    expect(desplazada.responsableId).toBe(7);
+  });
+
+  test('las actividades copiadas empiezan en Planeada', () => {
+    const [desplazada] = shiftActividades([actividad], 0, new Date('2025-12-31'));
+
+    expect(desplazada.estado).toBe('Planeada');
+  });
+
+  test('recorta las fechas que pasarían del fin del nuevo convenio', () => {
+    const [recortada, fuera] = shiftActividades(
+      [actividad, { ...actividad, fechaInicio: new Date('2025-06-01'), fechaFin: new Date('2025-06-30') }],
+      365 * MS_POR_DIA,
+      new Date('2026-03-15')
+    );
+
+    expect(recortada.fechaInicio).toEqual(new Date('2026-03-01'));
+    expect(recortada.fechaFin).toEqual(new Date('2026-03-15'));
+    expect(fuera.fechaInicio).toEqual(new Date('2026-03-15'));
+    expect(fuera.fechaFin).toEqual(new Date('2026-03-15'));
+  });
+});
+
+describe('Renovación - renewConvenio', () => {
+  const findUniqueOriginal = prisma.convenio.findUnique;
+  const createOriginal = prisma.convenio.create;
+  let creado;
+
+  const original = {
+    id: 10,
+    nombre: 'Convenio marco',
+    descripcion: 'Cooperación académica',
+    estado: 'Activo',
+    fechaInicio: new Date('2025-01-01'),
+    fechaFin: new Date('2025-12-31'),
+    unidadId: 3,
+    partes: [{ parteId: 1 }, { parteId: 2 }],
+    etiquetas: [],
+    miembros: [],
+    actividades: [],
+    renovacion: null
+  };
+
+  beforeEach(() => {
+    creado = null;
+    prisma.convenio.create = async ({ data }) => {
+      creado = data;
+      return { id: 11, ...data };
+    };
+  });
+
+  afterEach(() => {
+    prisma.convenio.findUnique = findUniqueOriginal;
+    prisma.convenio.create = createOriginal;
+  });
+
+  test('sin fechaFin el nuevo convenio conserva la duración del original', async () => {
+    prisma.convenio.findUnique = async () => original;
+
+    const result = await new ConvenioRenewalService().renewConvenio(10, { fechaInicio: '2026-01-01' }, 5);
+
+    expect(result.success).toBe(true);
+    expect(creado.fechaInicio).toEqual(new Date('2026-01-01'));
+    expect(creado.fechaFin).toEqual(new Date('2026-12-31'));
+    expect(creado.unidadId).toBe(3);
+    expect(result.data.desplazamientoDias).toBe(365);
+  });
+
+  test('rechaza un convenio que ya fue renovado', async () => {
+    prisma.convenio.findUnique = async () => ({ ...original, renovacion: { id: 11 } });
+
+    const result = await new ConvenioRenewalService().renewConvenio(10, { fechaInicio: '2026-01-01' }, 5);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('CONVENIO_YA_RENOVADO');
+    expect(creado).toBeNull();
+  });
+
+  test('rechaza la segunda de dos renovaciones simultáneas', async () => {
+    prisma.convenio.findUnique = async () => original;
+    prisma.convenio.create = async () => {
+      throw Object.assign(new Error('Unique constraint failed'), { code: PRISMA_UNIQUE_VIOLATION });
+    };
+
+    const result = await new ConvenioRenewalService().renewConvenio(10, { fechaInicio: '2026-01-01' }, 5);
+
+    expect(result.error).toBe('CONVENIO_YA_RENOVADO');
+  });
+
+  test('rechaza un convenio sin unidad organizacional', async () => {
+    prisma.convenio.findUnique = async () => ({ ...original, unidadId: null });
+
+    const result = await new ConvenioRenewalService().renewConvenio(10, { fechaInicio: '2026-01-01' }, 5);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('UNIDAD_REQUERIDA');
+    expect(creado).toBeNull();
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Tests de los fragmentos resaltados de la búsqueda de texto completo
+ * @description Verifica que el texto almacenado llegue escapado como HTML y que <mark>
+ * sea la única etiqueta de los fragmentos
+ */
+
+import { renderHighlight, keepHighlighted } from '../src/services/convenio-search.service.js';
+
+// Resultado de ts_headline: las coincidencias entre los separadores \u0002 y \u0003
+const headline = (texto) => texto.replaceAll('[', '\u0002').replaceAll(']', '\u0003');
+
+describe('Búsqueda de texto completo - Resaltado', () => {
+  test('marca las coincidencias con <mark>', () => {
+    expect(renderHighlight(headline('Convenio de [investigación] aplicada')))
+      .toBe('Convenio de <mark>investigación</mark> aplicada');
+  });
+
+  test('escapa las etiquetas del texto almacenado', () => {
+    const fragmento = renderHighlight(headline('<script>alert(1)</script> [Convenio] <img src=x onerror="x()">'));
+
+    expect(fragmento).toBe(
+      '&lt;script&gt;alert(1)&lt;/script&gt; <mark>Convenio</mark> &lt;img src=x onerror=&quot;x()&quot;&gt;'
+    );
+    expect(fragmento.replaceAll('<mark>', '').replaceAll('</mark>', '')).not.toMatch(/</);
+  });
+
+  test('escapa también las marcas escritas en el texto', () => {
+    expect(renderHighlight(headline('A & B <mark>[Empresa]</mark>')))
+      .toBe('A &amp; B &lt;mark&gt;<mark>Empresa</mark>&lt;/mark&gt;');
+  });
+
+  test('descarta los fragmentos sin coincidencias', () => {
+    expect(keepHighlighted('Convenio <b>sin</b> coincidencias')).toBeNull();
+    expect(keepHighlighted(null)).toBeNull();
+    expect(keepHighlighted(headline('Nombre con < y [marco]'))).toBe('Nombre con &lt; y <mark>marco</mark>');
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Tests de las coincidencias de la búsqueda de texto completo
+ * @description Verifica que la coincidencia se evalúe en SQL con los candidatos del listado
+ * como un único parámetro de tipo arreglo, y el ordenamiento por relevancia o por campo
+ */
+
+import { Prisma } from '@prisma/client';
+import ConvenioSearchService from '../src/services/convenio-search.service.js';
+import { ConvenioQueryService } from '../src/controllers/convenios.controller.js';
+import { prisma } from '../src/lib/prisma.js';
+
+describe('Búsqueda de texto completo - findMatches', () => {
+  const queryRawOriginal = prisma.$queryRaw;
+  let consulta;
+
+  beforeEach(() => {
+    consulta = null;
+    // Reconstruye la consulta del template para inspeccionar el SQL y sus parámetros
+    prisma.$queryRaw = async (strings, ...values) => {
+      consulta = Prisma.sql(strings, ...values);
+      return [{ id: 3, rank: '0.5' }, { id: 1, rank: '0.25' }];
+    };
+  });
+
+  afterEach(() => {
+    prisma.$queryRaw = queryRawOriginal;
+  });
+
+  test('envía los candidatos como un único arreglo', async () => {
+    const candidatos = Array.from({ length: 5000 }, (_, i) => i + 1);
+
+    await new ConvenioSearchService().findMatches('investigación', candidatos);
+
+    // Texto, candidatos (nulidad y ANY) y límite
+    expect(consulta.values).toEqual(['investigación', candidatos, candidatos, null]);
+    expect(consulta.text).toMatch(/c\.id = ANY\(\$\d+::int\[\]\)/);
+  });
+
+  test('por relevancia convierte el rank a número', async () => {
+    const coincidencias = await new ConvenioSearchService().findMatches('investigación', null);
+
+    expect(coincidencias).toEqual([{ id: 3, rank: 0.5 }, { id: 1, rank: 0.25 }]);
+    expect(consulta.text).toMatch(/ORDER BY rank DESC, c\.id DESC/);
+  });
+
+  test('por campo ordena con el id como desempate en el mismo sentido', async () => {
+    await new ConvenioSearchService().findMatches('investigación', null, { field: 'nombre', order: 'asc' });
+
+    expect(consulta.text).toMatch(/ORDER BY c\.nombre COLLATE "C" ASC, c\.id ASC/);
+  });
+
+  test('sin candidatos no consulta la base de datos', async () => {
+    expect(await new ConvenioSearchService().findMatches('investigación', [])).toEqual([]);
+    expect(consulta).toBeNull();
+  });
+
+  test('rechaza un campo de ordenamiento no soportado', async () => {
+    await expect(
+      new ConvenioSearchService().findMatches('investigación', null, { field: 'descripcion', order: 'asc' })
+    ).rejects.toThrow('descripcion');
+  });
+});
+
+describe('Búsqueda de texto completo - listado', () => {
+  test('sin más filtros busca en todos los convenios', async () => {
+    const service = new ConvenioQueryService();
+    const llamadas = [];
+    service.searchService.findMatches = async (...args) => {
+      llamadas.push(args);
+      return [{ id: 7 }];
+    };
+
+    const ids = await service.findMatchingIds({ textSearch: 'investigación' });
+
+    expect(ids).toEqual([7]);
+    expect(llamadas).toEqual([['investigación', null, { field: 'id', order: 'desc' }, 1000]]);
+  });
+});
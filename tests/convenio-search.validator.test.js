@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Tests de validación de la búsqueda de texto completo de convenios
+ * @description Parámetros search/busqueda y ordenamiento por relevancia
+ */
+
+import { conveniosQuerySchema, advancedSearchSchema } from '../src/validators/convenios.validator.js';
+
+describe('Validación de búsqueda de texto completo', () => {
+  describe('conveniosQuerySchema', () => {
+    test('acepta search y busqueda como texto de búsqueda', () => {
+      const result = conveniosQuerySchema.safeParse({ search: 'investigacion', busqueda: 'academico' });
+      expect(result.success).toBe(true);
+      expect(result.data.search).toBe('investigacion');
+      expect(result.data.busqueda).toBe('academico');
+    });
+
+    test('permite ordenar por relevancia y no fija un orden por defecto', () => {
+      expect(conveniosQuerySchema.safeParse({ sortBy: 'relevancia' }).success).toBe(true);
+      expect(conveniosQuerySchema.parse({}).sortBy).toBeUndefined();
+    });
+
+    test('rechaza texto de búsqueda demasiado corto', () => {
+      expect(conveniosQuerySchema.safeParse({ search: 'a' }).success).toBe(false);
+    });
+  });
+
+  describe('advancedSearchSchema', () => {
+    test('permite ordenar por relevancia', () => {
+      const result = advancedSearchSchema.safeParse({ textSearch: 'investigacion', ordenarPor: 'relevancia' });
+      expect(result.success).toBe(true);
+    });
+
+    test('rechaza campos de ordenamiento desconocidos', () => {
+      expect(advancedSearchSchema.safeParse({ ordenarPor: 'rank' }).success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Tests para la máquina de estados de Convenios
+ * @description Verifica transiciones permitidas, estados terminales y reglas de activación
+ */
+
+import { ConvenioStateMachine, ConvenioWorkflowService } from '../src/services/convenio-workflow.service.js';
+
+describe('ConvenioStateMachine', () => {
+  const stateMachine = new ConvenioStateMachine();
+  const ahora = new Date('2025-06-01');
+
+  const borradorListo = {
+    estado: 'Borrador',
+    totalPartes: 2,
+    documentosFirmados: 1,
+    partesSinFirmante: 0,
+    firmasFaltantes: 0,
+    fechaFin: new Date('2025-12-31'),
+    ahora
+  };
+
+  describe('getAccionesDisponibles', () => {
+    test('debe listar las acciones de cada estado', () => {
+      expect(stateMachine.getAccionesDisponibles('Borrador')).toEqual(['activar', 'archivar']);
+      expect(stateMachine.getAccionesDisponibles('Activo')).toEqual(['finalizar']);
+      expect(stateMachine.getAccionesDisponibles('Finalizado')).toEqual(['archivar']);
+    });
+
+    test('Archivado debe ser terminal', () => {
+      expect(stateMachine.getAccionesDisponibles('Archivado')).toEqual([]);
+    });
+  });
+
+  describe('evaluate', () => {
+    test('debe permitir activar un borrador que cumple las reglas', () => {
+      const result = stateMachine.evaluate('activar', borradorListo);
+
+      expect(result.allowed).toBe(true);
+      expect(result.transicion.hacia).toBe('Activo');
+    });
+
+    test('debe rechazar acciones desconocidas', () => {
+      const result = stateMachine.evaluate('reabrir', borradorListo);
+
+      expect(result.allowed).toBe(false);
+      expect(result.error).toBe('INVALID_ACTION');
+    });
+
+    test('debe rechazar transiciones no permitidas desde el estado actual', () => {
+      const result = stateMachine.evaluate('finalizar', borradorListo);
+
+      expect(result.allowed).toBe(false);
+      expect(result.error).toBe('INVALID_TRANSITION');
+    });
+
+    test('debe reportar todas las reglas incumplidas al activar', () => {
+      const result = stateMachine.evaluate('activar', {
+        ...borradorListo,
+        totalPartes: 1,
+        documentosFirmados: 0,
+        fechaFin: new Date('2025-01-01')
+      });
+
+      expect(result.allowed).toBe(false);
+      expect(result.error).toBe('GUARD_FAILED');
+      expect(result.errores).toHaveLength(3);
+    });
+
+    test('debe exigir un firmante requerido por parte', () => {
+      const result = stateMachine.evaluate('activar', {
+        ...borradorListo,
+        partesSinFirmante: 1
+      });
+
+      expect(result.allowed).toBe(false);
+      expect(result.error).toBe('GUARD_FAILED');
+      expect(result.errores).toEqual(['1 parte(s) no tienen un firmante requerido registrado']);
+    });
+
+    test('debe exigir todas las firmas requeridas para activar', () => {
+      const result = stateMachine.evaluate('activar', {
+        ...borradorListo,
+        firmasFaltantes: 2
+      });
+
+      expect(result.allowed).toBe(false);
+      expect(result.errores).toEqual(['Faltan 2 firma(s) requerida(s) para activar el convenio']);
+    });
+
+    test('no debe aplicar reglas de activación al archivar', () => {
+      const result = stateMachine.evaluate('archivar', {
+        ...borradorListo,
+        totalPartes: 0,
+        documentosFirmados: 0
+      });
+
+      expect(result.allowed).toBe(true);
+      expect(result.transicion.hacia).toBe('Archivado');
+    });
+  });
+});
+
+describe('ConvenioWorkflowService.transition', () => {
+  /**
+   * Transacción simulada que registra el orden de las operaciones
+   */
+  const crearServicio = (partes) => {
+    const pasos = [];
+    const tx = {
+      convenio: {
+        findUnique: async () => {
+          pasos.push('contexto');
+          return {
+            id: 1,
+            estado: 'Borrador',
+            fechaFin: new Date('2999-12-31'),
+            partes,
+            _count: { documentos: 1 }
+          };
+        },
+        update: async () => { pasos.push('update'); }
+      },
+      convenioTransicion: {
+        create: async ({ data }) => ({ id: 10, ...data })
+      }
+    };
+
+    const service = new ConvenioWorkflowService();
+    service.historyService = {
+      runWithRevision: (work) => work(tx),
+      lockConvenio: async () => { pasos.push('lock'); },
+      recordChanges: async () => {}
+    };
+
+    return { service, pasos };
+  };
+
+  const parteFirmada = (id) => ({
+    parte: { id, nombre: `Parte ${id}` },
+    firmantes: [{ requerido: true, estado: 'Firmada' }]
+  });
+
+  test('debe evaluar los guards con el convenio bloqueado dentro de la transacción', async () => {
+    const { service, pasos } = crearServicio([parteFirmada(1), parteFirmada(2)]);
+
+    const result = await service.transition(1, 'activar', 5);
+
+    expect(result.success).toBe(true);
+    expect(result.data.estado).toBe('Activo');
+    expect(pasos).toEqual(['lock', 'contexto', 'update']);
+  });
+
+  test('no debe actualizar el estado si los guards fallan bajo el bloqueo', async () => {
+    const { service, pasos } = crearServicio([parteFirmada(1)]);
+
+    const result = await service.transition(1, 'activar', 5);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('GUARD_FAILED');
+    expect(pasos).toEqual(['lock', 'contexto']);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Tests de validación de los filtros de consulta de convenios
+ * @description Filtros por partes, tipo de parte, rango de fecha de fin, actividades y operador
+ */
+
+import { conveniosQuerySchema, advancedSearchSchema } from '../src/validators/convenios.validator.js';
+
+describe('Convenios - Validación de filtros', () => {
+  describe('conveniosQuerySchema', () => {
+    test('debe aceptar filtros por partes y actividades', () => {
+      const result = conveniosQuerySchema.parse({
+        parteId: '4,9',
+        parte: 'Universidad Nacional',
+        parteTipo: 'Empresa',
+        conActividades: 'false'
+      });
+
+      expect(result.parteId).toEqual(['4', '9']);
+      expect(result.parte).toBe('Universidad Nacional');
+      expect(result.parteTipo).toBe('Empresa');
+      expect(result.conActividades).toBe('false');
+    });
+
+    test('debe rechazar IDs de parte no numéricos', () => {
+      expect(conveniosQuerySchema.safeParse({ parteId: '4,abc' }).success).toBe(false);
+      expect(conveniosQuerySchema.safeParse({ parteId: '0' }).success).toBe(false);
+    });
+
+    test('debe validar el rango de fecha de fin', () => {
+      expect(conveniosQuerySchema.safeParse({
+        fechaFinDesde: '2025-01-01',
+        fechaFinHasta: '2025-06-30'
+      }).success).toBe(true);
+
+      const result = conveniosQuerySchema.safeParse({
+        fechaFinDesde: '2025-06-30',
+        fechaFinHasta: '2025-01-01'
+      });
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].path).toEqual(['fechaFinHasta']);
+    });
+
+    test('debe rechazar valores de conActividades no booleanos', () => {
+      expect(conveniosQuerySchema.safeParse({ conActividades: 'si' }).success).toBe(false);
+    });
+  });
+
+  describe('advancedSearchSchema', () => {
+    test('debe usar AND como operador por defecto', () => {
+      expect(advancedSearchSchema.parse({ parteTipo: 'Empresa' }).operador).toBe('AND');
+    });
+
+    test('debe aceptar filtros combinados con OR', () => {
+      const result = advancedSearchSchema.parse({
+        parteIds: [4, 9],
+        fechaFinDesde: '2025-01-01',
+        fechaFinHasta: '2025-12-31',
+        conActividades: false,
+        operador: 'OR'
+      });
+
+      expect(result.parteIds).toEqual([4, 9]);
+      expect(result.conActividades).toBe(false);
+      expect(result.operador).toBe('OR');
+    });
+
+    test('debe rechazar operadores y listas de partes no válidos', () => {
+      expect(advancedSearchSchema.safeParse({ operador: 'XOR' }).success).toBe(false);
+      expect(advancedSearchSchema.safeParse({ parteIds: [] }).success).toBe(false);
+      expect(advancedSearchSchema.safeParse({ parteIds: ['4'] }).success).toBe(false);
+    });
+
+    test('debe validar el rango de fecha de fin', () => {
+      expect(advancedSearchSchema.safeParse({
+        fechaFinDesde: '2025-12-31',
+        fechaFinHasta: '2025-01-01'
+      }).success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Tests de permisos de las rutas de convenios
+ * @description Verifica sobre el router real quién puede eliminar o renovar un convenio:
+ * rol global ADMIN o GESTOR y, además, permiso Editor en el convenio
+ */
+
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+const JWT_SECRET = 'secreto-de-pruebas-de-al-menos-32-caracteres';
+
+const admin = { userId: 1, email: 'admin@unac.edu.co', rol: 'ADMIN' };
+const gestor = { userId: 2, email: 'gestor@unac.edu.co', rol: 'GESTOR' };
+const consultor = { userId: 3, email: 'consultor@unac.edu.co', rol: 'CONSULTOR' };
+
+// Membresías por usuario en el convenio 10 (userId → rol de convenio)
+const membresias = new Map();
+const eliminados = [];
+const renovados = [];
+
+let app;
+
+// Sin base de datos: todos los convenios están en el alcance y la eliminación y la renovación
+// se registran
+beforeAll(async () => {
+  process.env.JWT_SECRET = JWT_SECRET;
+  process.env.MFA_ENCRYPTION_KEY = process.env.MFA_ENCRYPTION_KEY || 'clave-mfa-de-pruebas-de-al-menos-32-caracteres';
+
+  const { default: UnidadService } = await import('../src/services/unidades.service.js');
+  const {
+    default: ConvenioMiembroService,
+    resolveRolConvenio
+  } = await import('../src/services/convenio-miembros.service.js');
+  const { default: ConvenioCommandService } = await import('../src/services/convenios.service.js');
+  const { default: ConvenioRenewalService } = await import('../src/services/convenio-renewal.service.js');
+
+  UnidadService.prototype.resolveAlcance = async () => null;
+  ConvenioMiembroService.prototype.getAcceso = async (convenioId, user) => {
+    const rol = membresias.get(user.id);
+    return {
+      success: true,
+      data: { convenioId, ...resolveRolConvenio(user, rol ? { rol } : null) }
+    };
+  };
+  ConvenioCommandService.prototype.deleteConvenio = async (id) => {
+    eliminados.push(id);
+    return { success: true, message: 'Convenio eliminado exitosamente', data: { id } };
+  };
+  ConvenioRenewalService.prototype.renewConvenio = async (id, data, userId) => {
+    renovados.push({ id, userId });
+    return { success: true, message: 'Convenio renovado exitosamente', data: { convenio: { id: 11 } } };
+  };
+
+  const { default: conveniosRouter } = await import('../src/routes/convenios.routes.js');
+  app = express().use(express.json()).use('/api/convenios', conveniosRouter);
+});
+
+const eliminar = (usuario) => request(app)
+  .delete('/api/convenios/10')
+  .set('Authorization', `Bearer ${jwt.sign({ ...usuario, type: 'access' }, JWT_SECRET, { expiresIn: '15m' })}`);
+
+const renovar = (usuario) => request(app)
+  .post('/api/convenios/10/renew')
+  .set('Authorization', `Bearer ${jwt.sign({ ...usuario, type: 'access' }, JWT_SECRET, { expiresIn: '15m' })}`)
+  .send({ fechaInicio: '2026-01-01' });
+
+describe('DELETE /api/convenios/:id - Permisos', () => {
+  test('ADMIN y GESTOR sin membresía pueden eliminar', async () => {
+    membresias.clear();
+
+    expect((await eliminar(admin)).status).toBe(200);
+    expect((await eliminar(gestor)).status).toBe(200);
+    expect(eliminados).toEqual([10, 10]);
+  });
+
+  test('un GESTOR con membresía de Lector no puede eliminar', async () => {
+    membresias.clear();
+    membresias.set(gestor.userId, 'Lector');
+
+    const res = await eliminar(gestor);
+
+    expect(res.status).toBe(403);
+    expect(res.body.rolRequerido).toBe('Editor');
+  });
+
+  test('un CONSULTOR no puede eliminar aunque sea Propietario del convenio', async () => {
+    membresias.clear();
+    membresias.set(consultor.userId, 'Propietario');
+
+    expect((await eliminar(consultor)).status).toBe(403);
+  });
+
+  test('sin token responde 401', async () => {
+    expect((await request(app).delete('/api/convenios/10')).status).toBe(401);
+  });
+});
+
+describe('POST /api/convenios/:id/renew - Permisos', () => {
+  test('un GESTOR sin membresía puede renovar', async () => {
+    membresias.clear();
+    renovados.length = 0;
+
+    expect((await renovar(gestor)).status).toBe(201);
+    expect(renovados).toEqual([{ id: 10, userId: gestor.userId }]);
+  });
+
+  test('un CONSULTOR no puede renovar aunque sea Editor del convenio', async () => {
+    membresias.clear();
+    membresias.set(consultor.userId, 'Editor');
+    renovados.length = 0;
+
+    expect((await renovar(consultor)).status).toBe(403);
+    expect(renovados).toEqual([]);
+  });
+
+  test('un GESTOR con membresía de Lector no puede renovar', async () => {
+    membresias.clear();
+    membresias.set(gestor.userId, 'Lector');
+
+    const res = await renovar(gestor);
+
+    expect(res.status).toBe(403);
+    expect(res.body.rolRequerido).toBe('Editor');
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Tests para la validación de escritura de Convenios
+ * @description Verifica los schemas de creación (POST/PUT) y actualización parcial (PATCH)
+ */
+
+import {
+  ValidationFactory,
+  createConvenioSchema,
+  patchConvenioSchema,
+  historyDiffSchema,
+  renewConvenioSchema
+} from '../src/validators/convenios.validator.js';
+
+describe('Escritura de Convenios - Validación', () => {
+  const convenioValido = {
+    nombre: 'Convenio de Prácticas 2025',
+    descripcion: 'Prácticas profesionales para estudiantes',
+    fechaInicio: '2025-02-01',
+    fechaFin: '2025-12-15'
+  };
+
+  describe('ValidationFactory.createParteInputValidator', () => {
+    test('debe aceptar partes existentes por ID', () => {
+      const validator = ValidationFactory.createParteInputValidator();
+
+      expect(validator.parse({ parteId: '3' })).toEqual({ parteId: 3 });
+    });
+
+    test('debe aceptar partes nuevas por nombre', () => {
+      const validator = ValidationFactory.createParteInputValidator();
+      const result = validator.parse({ nombre: '  Empresa XYZ ', tipo: 'Empresa' });
+
+      expect(result.nombre).toBe('Empresa XYZ');
+      expect(result.tipo).toBe('Empresa');
+    });
+
+    test('debe rechazar partes sin ID ni nombre', () => {
+      const validator = ValidationFactory.createParteInputValidator();
+
+      expect(() => validator.parse({ tipo: 'Empresa' })).toThrow();
+      expect(() => validator.parse({ parteId: -1 })).toThrow();
+    });
+  });
+
+  describe('createConvenioSchema', () => {
+    test('debe aceptar un convenio completo con partes', () => {
+      const result = createConvenioSchema.parse({
+        ...convenioValido,
+        partes: [{ parteId: 1 }, { nombre: 'Universidad Nacional' }]
+      });
+
+      expect(result.partes).toHaveLength(2);
+      expect(result.estado).toBeUndefined();
+    });
+
+    test('debe rechazar el estado (se cambia mediante transiciones)', () => {
+      const result = createConvenioSchema.safeParse({ ...convenioValido, estado: 'Activo' });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].path).toEqual(['estado']);
+    });
+
+    test('debe exigir los campos obligatorios', () => {
+      expect(() => createConvenioSchema.parse({ nombre: 'Solo nombre' })).toThrow();
+    });
+
+    test('debe rechazar fechaInicio posterior a fechaFin', () => {
+      const result = createConvenioSchema.safeParse({
+        ...convenioValido,
+        fechaInicio: '2026-01-01'
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].path).toEqual(['fechaFin']);
+    });
+  });
+
+  describe('patchConvenioSchema', () => {
+    test('debe aceptar un único campo', () => {
+      expect(patchConvenioSchema.parse({ fechaFin: '2026-06-30' })).toEqual({ fechaFin: '2026-06-30' });
+    });
+
+    test('debe rechazar un cuerpo vacío', () => {
+      expect(patchConvenioSchema.safeParse({}).success).toBe(false);
+    });
+
+    test('debe validar el rango cuando se envían ambas fechas', () => {
+      const result = patchConvenioSchema.safeParse({
+        fechaInicio: '2025-05-01',
+        fechaFin: '2025-01-01'
+      });
+
+      expect(result.success).toBe(false);
+    });
+
+    test('no debe permitir cambiar el estado', () => {
+      expect(patchConvenioSchema.safeParse({ estado: 'Archivado' }).success).toBe(false);
+    });
+  });
+
+  describe('historyDiffSchema', () => {
+    test('debe convertir las revisiones de la query', () => {
+      expect(historyDiffSchema.parse({ from: '0', to: '3' })).toEqual({ from: 0, to: 3 });
+    });
+
+    test('debe rechazar un rango invertido', () => {
+      expect(historyDiffSchema.safeParse({ from: '4', to: '2' }).success).toBe(false);
+    });
+  });
+
+  describe('renewConvenioSchema', () => {
+    test('debe exigir solo la fecha de inicio del nuevo periodo', () => {
+      expect(renewConvenioSchema.parse({ fechaInicio: '2026-01-01' }))
+        .toEqual({ fechaInicio: '2026-01-01', copiarActividades: false });
+    });
+
+    test('debe rechazar un periodo invertido', () => {
+      expect(renewConvenioSchema.safeParse({
+        fechaInicio: '2026-01-01',
+        fechaFin: '2025-12-31'
+      }).success).toBe(false);
+    });
+  });
+});
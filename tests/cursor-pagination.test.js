@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Tests de paginación por cursor (keyset)
+ * @description Construcción de filtros Prisma, tokens opacos y recorrido en memoria
+ */
+
+import {
+  isCursorMode,
+  encodeCursor,
+  decodeCursor,
+  buildCursorQuery,
+  sliceByCursor,
+  buildCursorPage
+} from '../src/lib/cursor-pagination.js';
+
+const SORT = [{ field: 'createdAt', order: 'desc' }];
+
+describe('Paginación por cursor', () => {
+  describe('isCursorMode', () => {
+    test('se activa con pagination=cursor o con un token', () => {
+      expect(isCursorMode({ pagination: 'cursor' })).toBe(true);
+      expect(isCursorMode({ after: 'abc' })).toBe(true);
+      expect(isCursorMode({ before: 'abc' })).toBe(true);
+      expect(isCursorMode({ page: 2 })).toBe(false);
+      expect(isCursorMode()).toBe(false);
+    });
+  });
+
+  describe('encodeCursor / decodeCursor', () => {
+    test('codifica la clave de ordenamiento y el id', () => {
+      const token = encodeCursor(SORT, { id: 7, createdAt: new Date('2025-03-01T00:00:00Z') });
+
+      expect(token).toMatch(/^[A-Za-z0-9_-]+$/);
+      expect(decodeCursor(token, SORT)).toEqual(['2025-03-01T00:00:00.000Z', 7]);
+    });
+
+    test('rechaza tokens de otro ordenamiento o malformados', () => {
+      const token = encodeCursor(SORT, { id: 7, createdAt: new Date() });
+
+      expect(decodeCursor(token, [{ field: 'nombre', order: 'asc' }])).toBeNull();
+      expect(decodeCursor(token, [{ field: 'createdAt', order: 'asc' }])).toBeNull();
+      expect(decodeCursor('no-es-un-cursor', SORT)).toBeNull();
+      expect(decodeCursor('x'.repeat(600), SORT)).toBeNull();
+    });
+  });
+
+  describe('buildCursorQuery', () => {
+    test('sin cursor ordena por la clave y el id y pide un registro extra', () => {
+      const query = buildCursorQuery(SORT, { limit: 10 }, { convenioId: 1 });
+
+      expect(query.where).toEqual({ convenioId: 1 });
+      expect(query.orderBy).toEqual([{ createdAt: 'desc' }, { id: 'desc' }]);
+      expect(query.take).toBe(11);
+    });
+
+    test('after construye el filtro keyset en el sentido del ordenamiento', () => {
+      const after = encodeCursor(SORT, { id: 7, createdAt: new Date('2025-03-01T00:00:00Z') });
+      const query = buildCursorQuery(SORT, { after, limit: 10 }, { convenioId: 1 });
+
+      expect(query.where).toEqual({
+        AND: [
+          { convenioId: 1 },
+          {
+            OR: [
+              { AND: [{ createdAt: { lt: '2025-03-01T00:00:00.000Z' } }] },
+              { AND: [{ createdAt: '2025-03-01T00:00:00.000Z' }, { id: { lt: 7 } }] }
+            ]
+          }
+        ]
+      });
+    });
+
+    test('before invierte el ordenamiento', () => {
+      const before = encodeCursor(SORT, { id: 7, createdAt: new Date('2025-03-01T00:00:00Z') });
+      const query = buildCursorQuery(SORT, { before, limit: 10 });
+
+      expect(query.orderBy).toEqual([{ createdAt: 'asc' }, { id: 'asc' }]);
+      expect(query.where.AND[1].OR[0]).toEqual({ AND: [{ createdAt: { gt: '2025-03-01T00:00:00.000Z' } }] });
+    });
+
+    test('devuelve null con un cursor inválido o con after y before a la vez', () => {
+      const token = encodeCursor(SORT, { id: 1, createdAt: new Date() });
+
+      expect(buildCursorQuery(SORT, { after: 'basura', limit: 10 })).toBeNull();
+      expect(buildCursorQuery(SORT, { after: token, before: token, limit: 10 })).toBeNull();
+    });
+
+    test('los campos nullable dejan los nulos al final', () => {
+      const sort = [{ field: 'tipo', order: 'asc', nullable: true }];
+      const after = encodeCursor(sort, { id: 3, tipo: 'Universidad' });
+      const query = buildCursorQuery(sort, { after, limit: 5 });
+
+      expect(query.orderBy[0]).toEqual({ tipo: { sort: 'asc', nulls: 'last' } });
+      expect(query.where.AND[1].OR[0]).toEqual({
+        AND: [{ OR: [{ tipo: { gt: 'Universidad' } }, { tipo: null }] }]
+      });
+    });
+  });
+
+  describe('sliceByCursor + buildCursorPage', () => {
+    const sort = [{ field: 'rank', order: 'desc' }];
+    const registros = [
+      { id: 9, rank: 0.9 },
+      { id: 8, rank: 0.5 },
+      { id: 4, rank: 0.5 },
+      { id: 6, rank: 0.2 },
+      { id: 2, rank: 0.1 }
+    ];
+
+    const pagina = (params) => buildCursorPage(sliceByCursor(registros, sort, params), sort, params);
+
+    test('recorre hacia adelante y hacia atrás sin saltar registros', () => {
+      const primera = pagina({ limit: 2 });
+      expect(primera.items.map(r => r.id)).toEqual([9, 8]);
+      expect(primera.pagination.hasPrevPage).toBe(false);
+      expect(primera.pagination.hasNextPage).toBe(true);
+
+      const segunda = pagina({ after: primera.pagination.nextCursor, limit: 2 });
+      expect(segunda.items.map(r => r.id)).toEqual([4, 6]);
+      expect(segunda.pagination.hasPrevPage).toBe(true);
+
+      const tercera = pagina({ after: segunda.pagination.nextCursor, limit: 2 });
+      expect(tercera.items.map(r => r.id)).toEqual([2]);
+      expect(tercera.pagination.hasNextPage).toBe(false);
+      expect(tercera.pagination.nextCursor).toBeNull();
+
+      const anterior = pagina({ before: segunda.pagination.prevCursor, limit: 2 });
+      expect(anterior.items.map(r => r.id)).toEqual([9, 8]);
+      expect(anterior.pagination.hasPrevPage).toBe(false);
+      expect(anterior.pagination.hasNextPage).toBe(true);
+    });
+
+    test('devuelve null con un cursor inválido', () => {
+      expect(sliceByCursor(registros, sort, { after: 'basura', limit: 2 })).toBeNull();
+    });
+  });
+});
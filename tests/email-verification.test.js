@@ -0,0 +1,35 @@
+/**
+ * @fileoverview Tests para la verificación de email
+ * @description Verifica qué cuentas reciben el enlace de verificación y el contenido del correo
+ */
+
+import EmailVerificationService, {
+  buildVerificationEmail,
+  isEmailAddress
+} from '../src/services/email-verification.service.js';
+
+describe('Verificación de email', () => {
+  test('distingue emails de códigos estudiantiles', () => {
+    expect(isEmailAddress('ana@unac.edu.co')).toBe(true);
+    expect(isEmailAddress('202412345')).toBe(false);
+    expect(isEmailAddress('ana@unac')).toBe(false);
+  });
+
+  test('el correo incluye el enlace y la vigencia', () => {
+    const correo = buildVerificationEmail('https://convenios.unac.edu.co/verify-email?token=xyz', 48);
+
+    expect(correo.text).toContain('https://convenios.unac.edu.co/verify-email?token=xyz');
+    expect(correo.text).toContain('48 horas');
+    expect(correo.html).toContain('href="https://convenios.unac.edu.co/verify-email?token=xyz"');
+  });
+
+  test('las cuentas con código estudiantil no reciben enlace', async () => {
+    const enviados = [];
+    const service = new EmailVerificationService({
+      mailer: { send: async (mensaje) => { enviados.push(mensaje); } }
+    });
+
+    expect(await service.sendVerification({ id: 1, email: '202412345' })).toBe(false);
+    expect(enviados).toHaveLength(0);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Tests para los validadores de etiquetas y áreas temáticas
+ * @description Verifica la taxonomía, la asignación a convenios y el filtro por etiqueta
+ */
+
+import {
+  createEtiquetaSchema,
+  patchEtiquetaSchema,
+  asignarEtiquetasSchema
+} from '../src/validators/etiquetas.validator.js';
+import {
+  conveniosQuerySchema,
+  advancedSearchSchema
+} from '../src/validators/convenios.validator.js';
+
+describe('Etiquetas - Validación', () => {
+  test('crea etiquetas libres por defecto', () => {
+    const result = createEtiquetaSchema.parse({ nombre: '  Internacional ' });
+    expect(result).toEqual({ nombre: 'Internacional', tipo: 'Etiqueta' });
+  });
+
+  test('acepta áreas temáticas y rechaza tipos desconocidos', () => {
+    expect(createEtiquetaSchema.safeParse({ nombre: 'Movilidad', tipo: 'Area' }).success).toBe(true);
+    expect(createEtiquetaSchema.safeParse({ nombre: 'Movilidad', tipo: 'Categoria' }).success).toBe(false);
+  });
+
+  test('la edición parcial no aplica el tipo por defecto', () => {
+    expect(patchEtiquetaSchema.safeParse({}).success).toBe(false);
+    expect(patchEtiquetaSchema.parse({ nombre: 'Prácticas' })).toEqual({ nombre: 'Prácticas' });
+  });
+
+  test('la asignación elimina IDs repetidos y permite quitar todas', () => {
+    expect(asignarEtiquetasSchema.parse({ etiquetaIds: [3, 1, 3] }).etiquetaIds).toEqual([3, 1]);
+    expect(asignarEtiquetasSchema.parse({ etiquetaIds: [] }).etiquetaIds).toEqual([]);
+    expect(asignarEtiquetasSchema.safeParse({ etiquetaIds: [0] }).success).toBe(false);
+    expect(asignarEtiquetasSchema.safeParse({}).success).toBe(false);
+  });
+});
+
+describe('Etiquetas - Filtro de convenios', () => {
+  test('GET /api/convenios acepta etiquetaId separado por comas', () => {
+    const result = conveniosQuerySchema.safeParse({ etiquetaId: '2,5' });
+    expect(result.success).toBe(true);
+    expect(result.data.etiquetaId).toEqual(['2', '5']);
+    expect(conveniosQuerySchema.safeParse({ etiquetaId: 'abc' }).success).toBe(false);
+  });
+
+  test('la búsqueda avanzada acepta etiquetaIds', () => {
+    expect(advancedSearchSchema.safeParse({ etiquetaIds: [1, 2] }).success).toBe(true);
+    expect(advancedSearchSchema.safeParse({ etiquetaIds: [] }).success).toBe(false);
+  });
+});
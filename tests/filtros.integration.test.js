@@ -4,6 +4,7 @@
  */
 
 const request = require('supertest');
+const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
 
 const prisma = new PrismaClient();
@@ -11,6 +12,13 @@ const prisma = new PrismaClient();
 // URL base para las pruebas (servidor debe estar corriendo)
 const BASE_URL = 'http://localhost:3000';
 
+// Las rutas de convenios requieren autenticación; un ADMIN ve todas las unidades
+const AUTH_HEADER = `Bearer ${jwt.sign(
+  { userId: 1, email: 'admin@test.com', rol: 'ADMIN', type: 'access' },
+  process.env.JWT_SECRET,
+  { expiresIn: '1h' }
+)}`;
+
 describe('🔍 Tests de Integración - Verificación de Filtros con BD Real', () => {
   
   beforeAll(async () => {
@@ -36,6 +44,7 @@ describe('🔍 Tests de Integración - Verificación de Filtros con BD Real', ()
     test('debe filtrar por estado Activo correctamente', async () => {
       const response = await request(BASE_URL)
         .get('/api/convenios')
+        .set('Authorization', AUTH_HEADER)
         .query({ estado: 'Activo', debug: 'true' })
         .expect(200);
 
@@ -52,6 +61,7 @@ describe('🔍 Tests de Integración - Verificación de Filtros con BD Real', ()
     test('debe filtrar por estado Borrador correctamente', async () => {
       const response = await request(BASE_URL)
         .get('/api/convenios')
+        .set('Authorization', AUTH_HEADER)
         .query({ estado: 'Borrador', debug: 'true' })
         .expect(200);
 
@@ -65,6 +75,7 @@ describe('🔍 Tests de Integración - Verificación de Filtros con BD Real', ()
     test('debe filtrar por múltiples estados correctamente', async () => {
       const response = await request(BASE_URL)
         .get('/api/convenios')
+        .set('Authorization', AUTH_HEADER)
         .query({ estados: 'Activo,Borrador', debug: 'true' })
         .expect(200);
 
@@ -80,6 +91,7 @@ describe('🔍 Tests de Integración - Verificación de Filtros con BD Real', ()
     test('debe filtrar por rango de fechas correctamente', async () => {
       const response = await request(BASE_URL)
         .get('/api/convenios')
+        .set('Authorization', AUTH_HEADER)
         .query({ 
           fechaInicio: '2025-01-01', 
           fechaFin: '2025-12-31',
@@ -101,6 +113,7 @@ describe('🔍 Tests de Integración - Verificación de Filtros con BD Real', ()
     test('debe filtrar por búsqueda de texto correctamente', async () => {
       const response = await request(BASE_URL)
         .get('/api/convenios')
+        .set('Authorization', AUTH_HEADER)
         .query({ busqueda: 'Universidad', debug: 'true' })
         .expect(200);
 
@@ -124,6 +137,7 @@ describe('🔍 Tests de Integración - Verificación de Filtros con BD Real', ()
     test('debe aplicar múltiples filtros simultáneamente', async () => {
       const response = await request(BASE_URL)
         .get('/api/convenios')
+        .set('Authorization', AUTH_HEADER)
         .query({ 
           estado: 'Activo',
           fechaInicio: '2025-01-01',
@@ -146,6 +160,7 @@ describe('🔍 Tests de Integración - Verificación de Filtros con BD Real', ()
     test('debe combinar búsqueda de texto con filtros', async () => {
       const response = await request(BASE_URL)
         .get('/api/convenios')
+        .set('Authorization', AUTH_HEADER)
         .query({ 
           busqueda: 'Convenio',
           estado: 'Activo',
@@ -172,6 +187,7 @@ describe('🔍 Tests de Integración - Verificación de Filtros con BD Real', ()
     test('debe paginar correctamente', async () => {
       const response = await request(BASE_URL)
         .get('/api/convenios')
+        .set('Authorization', AUTH_HEADER)
         .query({ page: 1, limit: 2, debug: 'true' })
         .expect(200);
 
@@ -187,6 +203,7 @@ describe('🔍 Tests de Integración - Verificación de Filtros con BD Real', ()
     test('debe ordenar correctamente', async () => {
       const response = await request(BASE_URL)
         .get('/api/convenios')
+        .set('Authorization', AUTH_HEADER)
         .query({ 
           sortBy: 'nombre', 
           sortOrder: 'asc',
@@ -221,6 +238,7 @@ describe('🔍 Tests de Integración - Verificación de Filtros con BD Real', ()
 
       const response = await request(BASE_URL)
         .post('/api/convenios/search')
+        .set('Authorization', AUTH_HEADER)
         .send(criterios)
         .expect(200);
 
@@ -236,6 +254,7 @@ describe('🔍 Tests de Integración - Verificación de Filtros con BD Real', ()
     test('debe obtener estadísticas correctamente', async () => {
       const response = await request(BASE_URL)
         .get('/api/convenios/stats')
+        .set('Authorization', AUTH_HEADER)
         .expect(200);
 
       expect(response.body.success).toBe(true);
@@ -258,6 +277,7 @@ describe('🔍 Tests de Integración - Verificación de Filtros con BD Real', ()
     test('debe manejar filtros que no retornan resultados', async () => {
       const response = await request(BASE_URL)
         .get('/api/convenios')
+        .set('Authorization', AUTH_HEADER)
         .query({ estado: 'EstadoInexistente', debug: 'true' })
         .expect(200);
 
@@ -271,6 +291,7 @@ describe('🔍 Tests de Integración - Verificación de Filtros con BD Real', ()
     test('debe manejar parámetros vacíos', async () => {
       const response = await request(BASE_URL)
         .get('/api/convenios')
+        .set('Authorization', AUTH_HEADER)
         .query({ estado: '', busqueda: '', debug: 'true' })
         .expect(200);
 
@@ -283,6 +304,7 @@ describe('🔍 Tests de Integración - Verificación de Filtros con BD Real', ()
     test('debe validar parámetros inválidos', async () => {
       const response = await request(BASE_URL)
         .get('/api/convenios')
+        .set('Authorization', AUTH_HEADER)
         .query({ page: -1, limit: 1000 })
         .expect(400); // Error de validación
 
@@ -302,6 +324,7 @@ describe('⚡ Tests de Rendimiento', () => {
     
     const response = await request(BASE_URL)
       .get('/api/convenios')
+      .set('Authorization', AUTH_HEADER)
       .query({ 
         estados: 'Activo,Borrador,Finalizado',
         busqueda: 'Convenio',
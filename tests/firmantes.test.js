@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Tests para los firmantes de convenios
+ * @description Verifica la validación de firmantes, el resumen de firmas requerido para activar
+ * y que no se pierdan firmantes al desasociar partes
+ */
+
+import {
+  createFirmanteSchema,
+  patchFirmanteSchema,
+  registrarFirmaSchema
+} from '../src/validators/firmantes.validator.js';
+import FirmanteService, { summarizeFirmas } from '../src/services/firmantes.service.js';
+import ParteService from '../src/services/partes.service.js';
+import { prisma } from '../src/lib/prisma.js';
+
+const parteX = { id: 1, nombre: 'Universidad X' };
+const parteY = { id: 2, nombre: 'Empresa Y' };
+
+const firmante = (estado, requerido = true) => ({ requerido, estado });
+
+describe('Firmantes - Validación', () => {
+  const valido = {
+    parteId: 1,
+    nombre: 'Ana Pérez',
+    cargo: 'Rectora',
+    email: 'Ana.Perez@Universidad.edu'
+  };
+
+  test('acepta un firmante válido y normaliza el email', () => {
+    const result = createFirmanteSchema.safeParse(valido);
+    expect(result.success).toBe(true);
+    expect(result.data.email).toBe('ana.perez@universidad.edu');
+  });
+
+  test('rechaza emails inválidos y campos vacíos', () => {
+    expect(createFirmanteSchema.safeParse({ ...valido, email: 'ana' }).success).toBe(false);
+    expect(createFirmanteSchema.safeParse({ ...valido, cargo: ' ' }).success).toBe(false);
+  });
+
+  test('la edición parcial exige al menos un campo', () => {
+    expect(patchFirmanteSchema.safeParse({}).success).toBe(false);
+    expect(patchFirmanteSchema.safeParse({ requerido: false }).success).toBe(true);
+  });
+
+  test('la firma se registra como Firmada por defecto y exige fecha', () => {
+    expect(registrarFirmaSchema.parse({ fecha: '2025-06-10' }).estado).toBe('Firmada');
+    expect(registrarFirmaSchema.safeParse({ estado: 'Rechazada', fecha: '2025-06-10' }).success).toBe(true);
+    expect(registrarFirmaSchema.safeParse({ estado: 'Pendiente', fecha: '2025-06-10' }).success).toBe(false);
+    expect(registrarFirmaSchema.safeParse({}).success).toBe(false);
+  });
+});
+
+describe('Firmantes - Resumen de firmas', () => {
+  test('completas cuando todos los firmantes requeridos firmaron', () => {
+    const resumen = summarizeFirmas([
+      { parte: parteX, firmantes: [firmante('Firmada'), firmante('Pendiente', false)] },
+      { parte: parteY, firmantes: [firmante('Firmada')] }
+    ]);
+
+    expect(resumen.totalFirmantes).toBe(3);
+    expect(resumen.requeridos).toBe(2);
+    expect(resumen.faltantes).toBe(0);
+    expect(resumen.completas).toBe(true);
+  });
+
+  test('cuenta firmas pendientes y rechazadas como faltantes', () => {
+    const resumen = summarizeFirmas([
+      { parte: parteX, firmantes: [firmante('Firmada'), firmante('Rechazada')] },
+      { parte: parteY, firmantes: [firmante('Pendiente')] }
+    ]);
+
+    expect(resumen.firmadas).toBe(1);
+    expect(resumen.pendientes).toBe(1);
+    expect(resumen.rechazadas).toBe(1);
+    expect(resumen.faltantes).toBe(2);
+    expect(resumen.completas).toBe(false);
+  });
+
+  test('una parte sin firmante requerido impide completar las firmas', () => {
+    const resumen = summarizeFirmas([
+      { parte: parteX, firmantes: [firmante('Firmada')] },
+      { parte: parteY, firmantes: [firmante('Firmada', false)] }
+    ]);
+
+    expect(resumen.faltantes).toBe(0);
+    expect(resumen.partesSinFirmante).toEqual([{ id: 2, nombre: 'Empresa Y' }]);
+    expect(resumen.completas).toBe(false);
+  });
+
+  test('un convenio sin partes no tiene firmas completas', () => {
+    expect(summarizeFirmas([]).completas).toBe(false);
+  });
+});
+
+describe('Firmantes - Desasociar partes', () => {
+  const transaccionOriginal = prisma.$transaction;
+
+  beforeEach(() => {
+    prisma.$transaction = async (fn) => fn({});
+  });
+
+  afterEach(() => {
+    prisma.$transaction = transaccionOriginal;
+  });
+
+  const buildParteService = (partesConFirmantes) => {
+    const service = new ParteService();
+    service.historyService.lockConvenio = async () => ({ id: 10 });
+    service.lockPartesConvenio = async (tx, convenioId, parteIds) => parteIds;
+    service.loadConvenioEditable = async () => ({ convenio: { estado: 'Borrador', _count: { partes: 3 } } });
+    service.aporteService.findPartesConAportes = async () => [];
+    service.obligacionService.findPartesConObligaciones = async () => [];
+    service.firmanteService.findPartesConFirmantes = async (convenioId, parteIds) =>
+      parteIds.filter(parteId => partesConFirmantes.includes(parteId));
+    return service;
+  };
+
+  test('no desasocia una parte con firmantes registrados', async () => {
+    const result = await buildParteService([2]).detachParte(10, 2);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('PARTE_CON_FIRMANTES');
+  });
+
+  test('las partes sin firmantes no tienen dependientes que lo impidan', async () => {
+    expect(await buildParteService([2]).findDependientesParte(10, 1)).toBeNull();
+  });
+
+  test('sin partes que verificar no consulta firmantes', async () => {
+    expect(await new FirmanteService().findPartesConFirmantes(10, [])).toEqual([]);
+  });
+});
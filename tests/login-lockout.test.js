@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Tests para el bloqueo de cuentas por intentos fallidos
+ * @description Verifica la duración exponencial de los bloqueos, el estado de bloqueo y el
+ * aviso por correo
+ */
+
+let LoginLockoutService;
+let computeLockoutMinutes;
+let isAccountLocked;
+let buildLockoutEmail;
+
+// La política se lee de env.config, que valida process.env al importarse
+beforeAll(async () => {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto-de-pruebas-de-al-menos-32-caracteres';
+  process.env.MFA_ENCRYPTION_KEY = process.env.MFA_ENCRYPTION_KEY || 'clave-mfa-de-pruebas-de-al-menos-32-caracteres';
+  ({
+    default: LoginLockoutService,
+    computeLockoutMinutes,
+    isAccountLocked,
+    buildLockoutEmail
+  } = await import('../src/services/login-lockout.service.js'));
+});
+
+describe('Bloqueo de cuentas', () => {
+  test('cada bloqueo consecutivo dura el doble hasta el tope', () => {
+    const policy = { baseMinutes: 15, maxMinutes: 240 };
+
+    expect([1, 2, 3, 4, 5, 6].map(n => computeLockoutMinutes(n, policy)))
+      .toEqual([15, 30, 60, 120, 240, 240]);
+  });
+
+  test('la cuenta está bloqueada solo hasta lockedUntil', () => {
+    const ahora = new Date('2025-03-01T10:00:00Z');
+
+    expect(isAccountLocked({ lockedUntil: null }, ahora)).toBe(false);
+    expect(isAccountLocked({ lockedUntil: new Date('2025-03-01T10:15:00Z') }, ahora)).toBe(true);
+    expect(isAccountLocked({ lockedUntil: new Date('2025-03-01T09:59:00Z') }, ahora)).toBe(false);
+  });
+
+  test('el resultado de bloqueo indica cuándo reintentar', () => {
+    const service = new LoginLockoutService({ mailer: { send: async () => {} } });
+    const result = service.lockedResult(new Date(Date.now() + 90 * 1000));
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('ACCOUNT_LOCKED');
+    expect(result.retryAfter).toBeGreaterThan(85);
+    expect(result.retryAfter).toBeLessThan(92);
+  });
+
+  test('el aviso incluye los intentos y el fin del bloqueo', () => {
+    const correo = buildLockoutEmail(new Date('2025-03-01T10:15:00Z'), 5);
+
+    expect(correo.text).toContain('5 intentos fallidos');
+    expect(correo.text).toContain('2025-03-01 10:15 (UTC)');
+    expect(correo.html).toContain('2025-03-01 10:15 (UTC)');
+  });
+
+  test('avisa por correo solo a las cuentas con email y tolera fallos del envío', async () => {
+    const enviados = [];
+    const service = new LoginLockoutService({
+      mailer: { send: async (mensaje) => { enviados.push(mensaje); } }
+    });
+    const lockedUntil = new Date(Date.now() + 15 * 60 * 1000);
+
+    expect(await service.notifyLockout({ id: 1, email: '202412345' }, lockedUntil, 5)).toBe(false);
+    expect(await service.notifyLockout({ id: 2, email: 'ana@unac.edu.co' }, lockedUntil, 5)).toBe(true);
+    expect(enviados).toHaveLength(1);
+    expect(enviados[0].to).toBe('ana@unac.edu.co');
+
+    const fallido = new LoginLockoutService({
+      mailer: { send: async () => { throw new Error('SMTP caído'); } }
+    });
+    expect(await fallido.notifyLockout({ id: 2, email: 'ana@unac.edu.co' }, lockedUntil, 5)).toBe(false);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Tests para la autenticación en dos pasos
+ * @description Verifica los códigos TOTP contra los vectores del RFC 6238, la URI otpauth,
+ * la política por rol, el cifrado del secreto y los códigos de recuperación
+ */
+
+import {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  getTotpStep,
+  buildOtpauthUri
+} from '../src/lib/totp.js';
+import { parseMfaRequiredRoles, isMfaRequiredForRole, requiresMfaSetup } from '../src/lib/mfa-policy.js';
+import TokenService from '../src/services/token.service.js';
+
+let RECOVERY_CODES_COUNT;
+let encryptMfaSecret;
+let decryptMfaSecret;
+let generateRecoveryCodes;
+let hashRecoveryCode;
+
+// La clave de cifrado se lee de env.config, que valida process.env al importarse
+beforeAll(async () => {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto-de-pruebas-de-al-menos-32-caracteres';
+  process.env.MFA_ENCRYPTION_KEY = process.env.MFA_ENCRYPTION_KEY || 'clave-mfa-de-pruebas-de-al-menos-32-caracteres';
+  ({
+    RECOVERY_CODES_COUNT,
+    encryptMfaSecret,
+    decryptMfaSecret,
+    generateRecoveryCodes,
+    hashRecoveryCode
+  } = await import('../src/services/mfa.service.js'));
+});
+
+// Secreto de los vectores de prueba del RFC 6238 (ASCII "12345678901234567890")
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP', () => {
+  test('coincide con los vectores del RFC 6238 (SHA-1, 8 dígitos)', () => {
+    const vectores = [
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037']
+    ];
+
+    vectores.forEach(([segundos, esperado]) => {
+      expect(generateTotp(RFC_SECRET, { time: segundos * 1000, digits: 8 })).toBe(esperado);
+    });
+  });
+
+  test('Base32 ida y vuelta, sin importar mayúsculas ni espacios', () => {
+    const secreto = generateTotpSecret();
+
+    expect(secreto).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Encode(base32Decode(secreto))).toBe(secreto);
+    expect(base32Decode('gezd gnbv')).toEqual(Buffer.from('12345'));
+    expect(() => base32Decode('ABC1')).toThrow();
+  });
+
+  test('acepta el paso actual y los vecinos, y devuelve el paso que coincidió', () => {
+    const ahora = 1700000000000;
+    const paso = getTotpStep(ahora);
+
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, { time: ahora }), { time: ahora })).toBe(paso);
+    expect(verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, paso - 1), { time: ahora })).toBe(paso - 1);
+    expect(verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, paso + 2), { time: ahora })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '12345', { time: ahora })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef', { time: ahora })).toBeNull();
+  });
+
+  test('la URI otpauth incluye emisor, cuenta y parámetros', () => {
+    const uri = buildOtpauthUri({ secret: 'JBSWY3DPEHPK3PXP', account: 'ana@unac.edu.co', issuer: 'Gestión de Convenios' });
+
+    expect(uri).toBe(
+      'otpauth://totp/Gesti%C3%B3n%20de%20Convenios:ana%40unac.edu.co' +
+      '?secret=JBSWY3DPEHPK3PXP&issuer=Gesti%C3%B3n%20de%20Convenios&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+});
+
+describe('Política de segundo factor', () => {
+  test('lee los roles obligatorios e ignora valores desconocidos', () => {
+    expect(parseMfaRequiredRoles(undefined)).toEqual([]);
+    expect(parseMfaRequiredRoles(' admin, GESTOR ,pirata,ADMIN')).toEqual(['ADMIN', 'GESTOR']);
+  });
+
+  test('exige registrar el segundo factor solo a los roles obligados que no lo tienen', () => {
+    const env = { MFA_REQUIRED_ROLES: 'ADMIN' };
+
+    expect(isMfaRequiredForRole('ADMIN', env)).toBe(true);
+    expect(isMfaRequiredForRole('GESTOR', env)).toBe(false);
+    expect(requiresMfaSetup({ rol: 'ADMIN', mfaEnabled: false }, env)).toBe(true);
+    expect(requiresMfaSetup({ rol: 'ADMIN', mfaEnabled: true }, env)).toBe(false);
+    expect(requiresMfaSetup({ rol: 'ADMIN', mfaEnabled: false }, {})).toBe(false);
+  });
+});
+
+describe('Secreto y códigos de recuperación', () => {
+  test('el secreto se cifra de forma no determinista y solo se descifra con la misma clave', () => {
+    const secreto = generateTotpSecret();
+    const cifrado = encryptMfaSecret(secreto, 'clave-de-pruebas');
+
+    expect(cifrado).not.toContain(secreto);
+    expect(encryptMfaSecret(secreto, 'clave-de-pruebas')).not.toBe(cifrado);
+    expect(decryptMfaSecret(cifrado, 'clave-de-pruebas')).toBe(secreto);
+    expect(() => decryptMfaSecret(cifrado, 'otra-clave')).toThrow();
+  });
+
+  test('genera códigos de recuperación distintos y normaliza su hash', () => {
+    const codigos = generateRecoveryCodes();
+
+    expect(codigos).toHaveLength(RECOVERY_CODES_COUNT);
+    expect(new Set(codigos).size).toBe(RECOVERY_CODES_COUNT);
+    codigos.forEach(codigo => expect(codigo).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+
+    expect(hashRecoveryCode('ABCDE-12345')).toBe(hashRecoveryCode(' abcde12345 '));
+    expect(hashRecoveryCode('abcde-12345')).not.toBe(hashRecoveryCode('abcde-12346'));
+  });
+});
+
+describe('Desafío del login', () => {
+  test('cada desafío expone su propio jti, el que completeMfaLogin consume', () => {
+    const tokenService = new TokenService();
+    const usuario = { id: 1, email: 'ana@unac.edu.co' };
+
+    const primero = tokenService.generateMfaChallengeToken(usuario);
+    const segundo = tokenService.generateMfaChallengeToken(usuario);
+    const verificado = tokenService.verifyMfaChallengeToken(primero.challengeToken);
+
+    expect(verificado.success).toBe(true);
+    expect(verificado.payload.jti).toBe(primero.jti);
+    expect(segundo.jti).not.toBe(primero.jti);
+    expect(primero.expiresIn).toBe(300);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Tests para las obligaciones de las partes de un convenio
+ * @description Verifica la validación de obligaciones y el cálculo de vencimiento
+ */
+
+import {
+  createObligacionSchema,
+  patchObligacionSchema,
+  obligacionesQuerySchema,
+  obligacionesVencidasQuerySchema
+} from '../src/validators/obligaciones.validator.js';
+import { isVencida, serializeObligacion } from '../src/services/obligaciones.service.js';
+
+const HOY = new Date(Date.UTC(2025, 5, 15));
+
+const parte = { id: 1, nombre: 'Universidad X', tipo: 'Universidad' };
+
+const obligacion = (estado, fecha) => ({
+  id: 1,
+  convenioId: 10,
+  parteId: parte.id,
+  descripcion: 'Entregar informe técnico',
+  estado,
+  fechaLimite: new Date(fecha),
+  convenioParte: { parte }
+});
+
+describe('Obligaciones - Validación', () => {
+  const valida = {
+    parteId: 1,
+    clausula: 'Cláusula 5.2',
+    descripcion: 'Entregar informe técnico',
+    fechaLimite: '2025-07-01'
+  };
+
+  test('acepta una obligación válida sin estado', () => {
+    const result = createObligacionSchema.safeParse(valida);
+    expect(result.success).toBe(true);
+    expect(result.data.estado).toBeUndefined();
+  });
+
+  test('rechaza estados desconocidos y fechas inválidas', () => {
+    expect(createObligacionSchema.safeParse({ ...valida, estado: 'Vencida' }).success).toBe(false);
+    expect(createObligacionSchema.safeParse({ ...valida, fechaLimite: '01/07/2025' }).success).toBe(false);
+  });
+
+  test('requiere descripción', () => {
+    const { descripcion, ...sinDescripcion } = valida;
+    expect(createObligacionSchema.safeParse(sinDescripcion).success).toBe(false);
+    expect(createObligacionSchema.safeParse({ ...valida, descripcion: '   ' }).success).toBe(false);
+  });
+
+  test('la edición parcial exige al menos un campo y permite quitar la evidencia', () => {
+    expect(patchObligacionSchema.safeParse({}).success).toBe(false);
+    expect(patchObligacionSchema.safeParse({ estado: 'Cumplida' }).success).toBe(true);
+    expect(patchObligacionSchema.safeParse({ documentId: null }).success).toBe(true);
+  });
+
+  test('convierte el filtro vencidas a booleano', () => {
+    expect(obligacionesQuerySchema.parse({ vencidas: 'true' }).vencidas).toBe(true);
+    expect(obligacionesQuerySchema.parse({ vencidas: 'false' }).vencidas).toBe(false);
+    expect(obligacionesQuerySchema.safeParse({ vencidas: 'si' }).success).toBe(false);
+  });
+
+  test('el listado de vencidas aplica la paginación por defecto', () => {
+    const result = obligacionesVencidasQuerySchema.parse({ parteId: '3' });
+    expect(result.parteId).toBe(3);
+    expect(result.page).toBe(1);
+    expect(result.limit).toBeGreaterThan(0);
+  });
+});
+
+describe('Obligaciones - Vencimiento', () => {
+  test('solo vencen las obligaciones abiertas con fecha límite pasada', () => {
+    expect(isVencida(obligacion('Pendiente', '2025-06-14'), HOY)).toBe(true);
+    expect(isVencida(obligacion('EnProgreso', '2025-06-01'), HOY)).toBe(true);
+    expect(isVencida(obligacion('Pendiente', '2025-06-15'), HOY)).toBe(false);
+    expect(isVencida(obligacion('Cumplida', '2025-06-01'), HOY)).toBe(false);
+    expect(isVencida(obligacion('Cancelada', '2025-06-01'), HOY)).toBe(false);
+  });
+
+  test('serializa la parte y los días de atraso', () => {
+    const result = serializeObligacion(obligacion('Pendiente', '2025-06-05'), HOY);
+
+    expect(result.convenioParte).toBeUndefined();
+    expect(result.parte).toEqual(parte);
+    expect(result.vencida).toBe(true);
+    expect(result.diasVencida).toBe(10);
+    expect(serializeObligacion(obligacion('Cumplida', '2025-06-05'), HOY).diasVencida).toBe(0);
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Tests para la detección y fusión de partes duplicadas
+ * @description Verifica la normalización de nombres, la agrupación de candidatos y el plan
+ * de fusión: convenios compartidos omitidos, alias trasladados y plan recalculado en la transacción
+ */
+
+import ParteService, { normalizeNombre } from '../src/services/partes.service.js';
+import { prisma } from '../src/lib/prisma.js';
+
+/**
+ * Cliente simulado con las partes indicadas por ID
+ */
+const clienteConPartes = (partes) => ({
+  parte: {
+    findUnique: async ({ where }) => partes[where.id] || null
+  }
+});
+
+const universidad = {
+  id: 1,
+  nombre: 'Universidad Nacional',
+  contacto: null,
+  tipo: 'Universidad',
+  convenios: [{ convenioId: 10 }, { convenioId: 20 }],
+  aliases: []
+};
+
+const duplicada = {
+  id: 2,
+  nombre: 'Universidad nacional',
+  contacto: 'rectorado@un.edu',
+  tipo: null,
+  convenios: [{ convenioId: 20 }, { convenioId: 30 }],
+  aliases: [{ nombre: 'Univ. Nacional' }]
+};
+
+describe('Partes - normalizeNombre', () => {
+  test('no distingue mayúsculas', () => {
+    expect(normalizeNombre('Universidad Nacional')).toBe(normalizeNombre('Universidad nacional'));
+  });
+
+  test('ignora tildes y espacios repetidos o en los extremos', () => {
+    expect(normalizeNombre('  Universidad   de  Bogotá ')).toBe('universidad de bogota');
+  });
+
+  test('distingue nombres distintos', () => {
+    expect(normalizeNombre('Universidad Nacional')).not.toBe(normalizeNombre('Universidad Central'));
+  });
+});
+
+describe('Partes - findDuplicateCandidates', () => {
+  const findManyOriginal = prisma.parte.findMany;
+
+  afterEach(() => {
+    prisma.parte.findMany = findManyOriginal;
+  });
+
+  test('agrupa por nombre normalizado y omite los nombres únicos', async () => {
+    prisma.parte.findMany = async () => [
+      { id: 1, nombre: 'Universidad Nacional', tipo: 'Universidad', _count: { convenios: 2 } },
+      { id: 2, nombre: 'Universidad nacional', tipo: null, _count: { convenios: 1 } },
+      { id: 3, nombre: 'Empresa XYZ', tipo: 'Empresa', _count: { convenios: 4 } }
+    ];
+
+    const result = await new ParteService().findDuplicateCandidates();
+
+    expect(result.total).toBe(1);
+    expect(result.data).toEqual([{
+      nombreNormalizado: 'universidad nacional',
+      partes: [
+        { id: 1, nombre: 'Universidad Nacional', tipo: 'Universidad', totalConvenios: 2 },
+        { id: 2, nombre: 'Universidad nacional', tipo: null, totalConvenios: 1 }
+      ]
+    }]);
+  });
+});
+
+describe('Partes - buildMergePlan', () => {
+  const service = new ParteService();
+  const cliente = clienteConPartes({ 1: universidad, 2: duplicada });
+
+  test('omite los convenios que ya tiene el destino y reasigna el resto', async () => {
+    const { plan } = await service.buildMergePlan(2, 1, cliente);
+
+    expect(plan.conveniosReasignados).toEqual([30]);
+    expect(plan.conveniosOmitidos).toEqual([20]);
+  });
+
+  test('traslada el nombre y los alias existentes del origen al destino', async () => {
+    const { plan } = await service.buildMergePlan(2, 1, cliente);
+
+    expect(plan.aliasesNuevos).toEqual(['Universidad nacional', 'Univ. Nacional']);
+  });
+
+  test('completa solo los campos vacíos del destino', async () => {
+    const { plan } = await service.buildMergePlan(2, 1, cliente);
+
+    expect(plan.camposCompletados).toEqual({ contacto: 'rectorado@un.edu' });
+  });
+
+  test('rechaza fusionar una parte consigo misma', async () => {
+    const { error } = await service.buildMergePlan(1, 1, cliente);
+
+    expect(error.error).toBe('MERGE_MISMA_PARTE');
+  });
+});
+
+describe('Partes - mergePartes', () => {
+  const transaccionOriginal = prisma.$transaction;
+
+  afterEach(() => {
+    prisma.$transaction = transaccionOriginal;
+  });
+
+  test('recalcula los convenios omitidos dentro de la transacción', async () => {
+    const operaciones = [];
+    const registrar = (nombre) => async (args) => { operaciones.push({ nombre, args }); return { count: 1 }; };
+
+    // Entre la simulación y la fusión el destino se asoció también al convenio 30
+    const tx = {
+      ...clienteConPartes({
+        1: { ...universidad, convenios: [...universidad.convenios, { convenioId: 30 }] },
+        2: duplicada
+      }),
+      $queryRaw: async () => { operaciones.push({ nombre: 'lock' }); return []; },
+      aporte: { updateMany: registrar('aporte.updateMany') },
+      obligacion: { updateMany: registrar('obligacion.updateMany') },
+      firmante: { updateMany: registrar('firmante.updateMany') },
+      convenioParte: {
+        deleteMany: registrar('convenioParte.deleteMany'),
+        updateMany: registrar('convenioParte.updateMany')
+      },
+      parteAlias: {
+        updateMany: registrar('parteAlias.updateMany'),
+        create: registrar('parteAlias.create')
+      }
+    };
+    tx.parte.delete = registrar('parte.delete');
+    tx.parte.update = registrar('parte.update');
+    prisma.$transaction = async (fn) => fn(tx);
+
+    const result = await new ParteService().mergePartes(2, 1, { dryRun: false });
+
+    expect(result.success).toBe(true);
+    expect(result.data.conveniosOmitidos).toEqual([20, 30]);
+    expect(result.data.conveniosReasignados).toEqual([]);
+    expect(operaciones[0].nombre).toBe('lock');
+
+    const omitidos = operaciones.find(o => o.nombre === 'convenioParte.deleteMany');
+    expect(omitidos.args.where.convenioId).toEqual({ in: [20, 30] });
+
+    const alias = operaciones.find(o => o.nombre === 'parteAlias.updateMany');
+    expect(alias.args).toEqual({ where: { parteId: 2 }, data: { parteId: 1 } });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Tests para la validación de Partes
+ * @description Verifica los schemas de consulta, edición y asociación de partes
+ */
+
+import {
+  partesQuerySchema,
+  convenioParteParamsSchema,
+  createParteSchema,
+  patchParteSchema,
+  attachPartesSchema,
+  mergePartesSchema
+} from '../src/validators/partes.validator.js';
+
+describe('Partes - Validación', () => {
+  describe('partesQuerySchema', () => {
+    test('debe aplicar valores por defecto', () => {
+      expect(partesQuerySchema.parse({})).toEqual({
+        sortBy: 'nombre',
+        sortOrder: 'asc',
+        page: 1,
+        limit: 10
+      });
+    });
+
+    test('debe aceptar búsqueda por nombre y tipo', () => {
+      const result = partesQuerySchema.parse({ nombre: 'Universidad', tipo: 'Universidad', page: '2' });
+
+      expect(result.nombre).toBe('Universidad');
+      expect(result.tipo).toBe('Universidad');
+      expect(result.page).toBe(2);
+    });
+
+    test('debe rechazar campos de ordenamiento no válidos', () => {
+      expect(partesQuerySchema.safeParse({ sortBy: 'contacto' }).success).toBe(false);
+    });
+
+    test('debe aceptar paginación por cursor', () => {
+      const result = partesQuerySchema.parse({ pagination: 'cursor', after: 'eyJzIjoibm9tYnJlOmFzYyJ9' });
+
+      expect(result.pagination).toBe('cursor');
+      expect(result.after).toBe('eyJzIjoibm9tYnJlOmFzYyJ9');
+      expect(partesQuerySchema.safeParse({ pagination: 'offset' }).success).toBe(false);
+      expect(partesQuerySchema.safeParse({ after: 'no es base64url' }).success).toBe(false);
+    });
+  });
+
+  describe('createParteSchema / patchParteSchema', () => {
+    test('debe exigir nombre al crear', () => {
+      expect(createParteSchema.safeParse({ tipo: 'Empresa' }).success).toBe(false);
+      expect(createParteSchema.parse({ nombre: '  Empresa XYZ  ' }).nombre).toBe('Empresa XYZ');
+    });
+
+    test('debe permitir limpiar contacto y tipo con null', () => {
+      expect(patchParteSchema.parse({ contacto: null })).toEqual({ contacto: null });
+    });
+
+    test('debe rechazar una actualización vacía', () => {
+      expect(patchParteSchema.safeParse({}).success).toBe(false);
+    });
+  });
+
+  describe('convenioParteParamsSchema', () => {
+    test('debe convertir los IDs de ruta', () => {
+      expect(convenioParteParamsSchema.parse({ convenioId: '5', parteId: '8' }))
+        .toEqual({ convenioId: 5, parteId: 8 });
+    });
+
+    test('debe rechazar IDs no válidos', () => {
+      expect(convenioParteParamsSchema.safeParse({ convenioId: 'abc' }).success).toBe(false);
+    });
+  });
+
+  describe('attachPartesSchema', () => {
+    test('debe aceptar partes por ID y por nombre', () => {
+      const result = attachPartesSchema.parse({
+        partes: [{ parteId: '2' }, { nombre: 'Gobernación', tipo: 'Entidad pública' }]
+      });
+
+      expect(result.partes).toHaveLength(2);
+      expect(result.partes[0]).toEqual({ parteId: 2 });
+    });
+
+    test('debe exigir al menos una parte', () => {
+      expect(attachPartesSchema.safeParse({ partes: [] }).success).toBe(false);
+    });
+  });
+
+  describe('mergePartesSchema', () => {
+    test('debe ser una simulación por defecto', () => {
+      expect(mergePartesSchema.parse({ intoId: 4 })).toEqual({ intoId: 4, dryRun: true });
+    });
+
+    test('debe exigir dryRun booleano para ejecutar la fusión', () => {
+      expect(mergePartesSchema.parse({ intoId: 4, dryRun: false }).dryRun).toBe(false);
+      expect(mergePartesSchema.safeParse({ intoId: 4, dryRun: 'false' }).success).toBe(false);
+    });
+
+    test('debe exigir la parte destino', () => {
+      expect(mergePartesSchema.safeParse({}).success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Tests para las estrategias de hash de contraseñas
+ * @description Verifica scrypt, el formato con prefijo de algoritmo, la verificación de
+ * hashes de cualquier algoritmo soportado y la detección de hashes a regenerar
+ */
+
+import PasswordValidationService, {
+  PasswordValidatorFactory,
+  BcryptStrategy,
+  ScryptStrategy
+} from '../src/services/password-validation.service.js';
+
+// Costos bajos para que los tests sean rápidos
+const SCRYPT_TEST = { cost: 10, blockSize: 8, parallelization: 1 };
+
+describe('ScryptStrategy', () => {
+  const scrypt = new ScryptStrategy(SCRYPT_TEST);
+
+  test('genera hashes con prefijo y parámetros, y salt distinto cada vez', async () => {
+    const primero = await scrypt.hash('Clave$egura123');
+    const segundo = await scrypt.hash('Clave$egura123');
+
+    expect(primero.success).toBe(true);
+    expect(primero.hash).toMatch(/^\$scrypt\$ln=10,r=8,p=1\$[A-Za-z0-9+/]+\$[A-Za-z0-9+/]+$/);
+    expect(segundo.hash).not.toBe(primero.hash);
+  });
+
+  test('verifica la contraseña correcta y rechaza las demás', async () => {
+    const { hash } = await scrypt.hash('Clave$egura123');
+
+    expect((await scrypt.verify('Clave$egura123', hash)).isValid).toBe(true);
+    expect((await scrypt.verify('Clave$egura124', hash)).isValid).toBe(false);
+  });
+
+  test('rechaza hashes mal formados o con parámetros fuera de rango', async () => {
+    const malformado = await scrypt.verify('Clave$egura123', '$scrypt$ln=10$abc');
+    const excesivo = await scrypt.verify('Clave$egura123', '$scrypt$ln=40,r=8,p=1$c2FsdA$Y2xhdmU');
+
+    expect(malformado.success).toBe(false);
+    expect(excesivo.success).toBe(false);
+  });
+
+  test('rechaza combinaciones de costo y bloque que superan la memoria máxima por hash', async () => {
+    // 128 · 2^22 · 32 bytes = 16 GiB, aunque cada parámetro esté en su rango
+    const verificado = await scrypt.verify('Clave$egura123', '$scrypt$ln=22,r=32,p=1$c2FsdA$Y2xhdmU');
+    const generado = await new ScryptStrategy({ cost: 22, blockSize: 32 }).hash('Clave$egura123');
+
+    expect(verificado.success).toBe(false);
+    expect(generado.success).toBe(false);
+  });
+
+  test('pide regenerar solo si los parámetros difieren de los configurados', async () => {
+    const { hash } = await scrypt.hash('Clave$egura123');
+
+    expect(scrypt.needsRehash(hash)).toBe(false);
+    expect(new ScryptStrategy({ ...SCRYPT_TEST, cost: 11 }).needsRehash(hash)).toBe(true);
+  });
+});
+
+describe('Hashes de varios algoritmos', () => {
+  test('bcrypt pide regenerar si el costo difiere de BCRYPT_SALT_ROUNDS', async () => {
+    const { hash } = await new BcryptStrategy(4).hash('Clave$egura123');
+
+    expect(new BcryptStrategy(4).needsRehash(hash)).toBe(false);
+    expect(new BcryptStrategy(5).needsRehash(hash)).toBe(true);
+  });
+
+  test('verifica con el algoritmo del prefijo y pide regenerar los de otro algoritmo', async () => {
+    const opciones = { saltRounds: 4, scrypt: SCRYPT_TEST };
+    const conBcrypt = PasswordValidatorFactory.createMultiAlgorithm('bcrypt', opciones);
+    const conScrypt = PasswordValidatorFactory.createMultiAlgorithm('scrypt', opciones);
+
+    const { hash: hashBcrypt } = await conBcrypt.hash('Clave$egura123');
+
+    expect((await conScrypt.verify('Clave$egura123', hashBcrypt)).isValid).toBe(true);
+    expect(conScrypt.needsRehash(hashBcrypt)).toBe(true);
+
+    const { hash: hashScrypt } = await conScrypt.hash('Clave$egura123');
+
+    expect(hashScrypt.startsWith('$scrypt$')).toBe(true);
+    expect(conScrypt.needsRehash(hashScrypt)).toBe(false);
+    expect((await conBcrypt.verify('Clave$egura123', hashScrypt)).isValid).toBe(true);
+
+    const desconocido = await conScrypt.verify('Clave$egura123', '$argon2id$v=19$m=65536,t=3,p=4$x$y');
+    expect(desconocido.success).toBe(false);
+  });
+
+  test('el servicio usa el algoritmo configurado', async () => {
+    const service = new PasswordValidationService({
+      algorithm: 'scrypt',
+      scrypt: SCRYPT_TEST,
+      saltRounds: 4,
+      minTimeMs: 1
+    });
+
+    const result = await service.hashPassword('Clave$egura123');
+
+    expect(result.algorithm).toBe('scrypt');
+    expect(service.getValidatorInfo().algorithm).toBe('scrypt');
+    expect(service.needsRehash(result.hash)).toBe(false);
+    expect((await service.verifyPassword('Clave$egura123', result.hash)).isValid).toBe(true);
+  });
+
+  test('rechaza algoritmos no registrados', () => {
+    expect(() => PasswordValidatorFactory.createBasic('argon2')).toThrow();
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Tests para la recuperación de contraseña
+ * @description Verifica los transportes del mailer, el hash de los tokens y el correo con
+ * el enlace de recuperación
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  Mailer,
+  SmtpTransport,
+  FileTransport,
+  ConsoleTransport,
+  MailTransportFactory,
+  createMailer
+} from '../src/lib/mailer.js';
+import { hashOneTimeToken, generateOneTimeToken } from '../src/lib/one-time-token.js';
+
+let PasswordResetService;
+let buildResetEmail;
+
+// El servicio importa la política de bloqueo, que se lee de env.config al importarse
+beforeAll(async () => {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto-de-pruebas-de-al-menos-32-caracteres';
+  process.env.MFA_ENCRYPTION_KEY = process.env.MFA_ENCRYPTION_KEY || 'clave-mfa-de-pruebas-de-al-menos-32-caracteres';
+  ({ default: PasswordResetService, buildResetEmail } = await import('../src/services/password-reset.service.js'));
+});
+
+describe('Mailer', () => {
+  test('el transporte a archivos guarda un JSON por mensaje', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mail-'));
+    const mailer = new Mailer(new FileTransport({ directory }), { from: 'test@unac.edu.co' });
+
+    const { filePath } = await mailer.send({ to: 'ana@unac.edu.co', subject: 'Hola', text: 'Texto' });
+    const guardado = JSON.parse(await fs.readFile(filePath, 'utf8'));
+
+    expect(guardado).toMatchObject({
+      from: 'test@unac.edu.co',
+      to: 'ana@unac.edu.co',
+      subject: 'Hola',
+      text: 'Texto'
+    });
+
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('exige destinatario, asunto y texto', async () => {
+    const mailer = new Mailer(new ConsoleTransport());
+    await expect(mailer.send({ to: 'ana@unac.edu.co', subject: 'Hola' })).rejects.toThrow();
+  });
+
+  test('elige el transporte según la configuración', () => {
+    expect(createMailer({}).transport).toBeInstanceOf(ConsoleTransport);
+    expect(createMailer({ MAIL_TRANSPORT: 'file' }).transport).toBeInstanceOf(FileTransport);
+    expect(() => MailTransportFactory.create('pigeon')).toThrow();
+  });
+
+  test('en producción solo admite smtp con servidor configurado', () => {
+    const produccion = { NODE_ENV: 'production', SMTP_HOST: 'smtp.unac.edu.co' };
+
+    expect(createMailer(produccion).transport).toBeInstanceOf(SmtpTransport);
+    expect(() => createMailer({ NODE_ENV: 'production' })).toThrow(/SMTP_HOST/);
+    expect(() => createMailer({ ...produccion, MAIL_TRANSPORT: 'console' })).toThrow(/smtp/);
+    expect(() => createMailer({ ...produccion, MAIL_TRANSPORT: 'file' })).toThrow(/smtp/);
+  });
+});
+
+describe('Recuperación de contraseña', () => {
+  test('el hash del token es determinista y no contiene el token', () => {
+    const token = generateOneTimeToken();
+    const hash = hashOneTimeToken(token);
+
+    expect(token).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(hash).toBe(hashOneTimeToken(token));
+    expect(hash).not.toBe(hashOneTimeToken(generateOneTimeToken()));
+    expect(hash).toHaveLength(64);
+    expect(hash).not.toContain(token);
+  });
+
+  test('el correo incluye el enlace y la vigencia', () => {
+    const correo = buildResetEmail('https://convenios.unac.edu.co/reset-password?token=xyz', 30);
+
+    expect(correo.text).toContain('https://convenios.unac.edu.co/reset-password?token=xyz');
+    expect(correo.text).toContain('30 minutos');
+    expect(correo.html).toContain('href="https://convenios.unac.edu.co/reset-password?token=xyz"');
+  });
+
+  test('el enlace añade el token a la página configurada', () => {
+    const service = new PasswordResetService({
+      mailer: new Mailer(new ConsoleTransport()),
+      resetUrl: 'https://convenios.unac.edu.co/cuenta/restablecer?origen=correo'
+    });
+
+    expect(service.buildResetLink('tok_en-1')).toBe(
+      'https://convenios.unac.edu.co/cuenta/restablecer?origen=correo&token=tok_en-1'
+    );
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Tests para las sesiones restringidas
+ * @description Verifica que una sesión con contraseña temporal o con segundo factor
+ * obligatorio sin registrar solo alcance las rutas para resolverlo
+ */
+
+import jwt from 'jsonwebtoken';
+
+const JWT_SECRET = 'secreto-de-pruebas-de-al-menos-32-caracteres';
+
+let authMiddleware;
+let isRestrictedSessionPathAllowed;
+
+// El servicio de tokens del middleware lee JWT_SECRET al importarse
+beforeAll(async () => {
+  process.env.JWT_SECRET = JWT_SECRET;
+  process.env.MFA_ENCRYPTION_KEY = process.env.MFA_ENCRYPTION_KEY || 'clave-mfa-de-pruebas-de-al-menos-32-caracteres';
+  ({ authMiddleware, isRestrictedSessionPathAllowed } = await import('../src/middleware/auth.middleware.js'));
+});
+
+const buildToken = (extra = {}) => jwt.sign(
+  { userId: 1, email: 'admin@unac.edu.co', rol: 'ADMIN', type: 'access', ...extra },
+  JWT_SECRET,
+  { expiresIn: '15m' }
+);
+
+const runMiddleware = async (originalUrl, token) => {
+  const req = { headers: { authorization: `Bearer ${token}` }, originalUrl };
+  const res = {
+    statusCode: null,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let nextCalled = false;
+
+  await authMiddleware(req, res, () => { nextCalled = true; });
+
+  return { res, nextCalled };
+};
+
+describe('Sesiones restringidas', () => {
+  test('un ADMIN sin segundo factor registrado no puede invalidar sesiones ajenas', async () => {
+    const token = buildToken({ mfaSetupRequired: true });
+
+    for (const url of ['/api/tokens/invalidate/7', '/api/tokens/cleanup', '/api/auth/register']) {
+      const { res, nextCalled } = await runMiddleware(url, token);
+
+      expect(nextCalled).toBe(false);
+      expect(res.statusCode).toBe(403);
+      expect(res.body.error).toBe('MFA_SETUP_REQUIRED');
+    }
+  });
+
+  test('la sesión restringida puede registrar el segundo factor, refrescar y cerrar sesión', async () => {
+    const token = buildToken({ mfaSetupRequired: true });
+
+    for (const url of ['/api/auth/mfa/setup', '/api/auth/mfa/confirm', '/api/auth/me?x=1', '/api/tokens/logout']) {
+      const { nextCalled } = await runMiddleware(url, token);
+      expect(nextCalled).toBe(true);
+    }
+  });
+
+  test('la contraseña temporal restringe las mismas rutas', async () => {
+    const { res } = await runMiddleware('/api/tokens/invalidate/7', buildToken({ mustChangePassword: true }));
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.error).toBe('PASSWORD_CHANGE_REQUIRED');
+  });
+
+  test('una sesión sin restricciones no se ve afectada', async () => {
+    const { nextCalled } = await runMiddleware('/api/tokens/invalidate/7', buildToken());
+
+    expect(nextCalled).toBe(true);
+  });
+
+  test('compara la ruta completa, no un prefijo', () => {
+    expect(isRestrictedSessionPathAllowed('/api/auth/change-password/')).toBe(true);
+    expect(isRestrictedSessionPathAllowed('/api/auth/mfa/disable')).toBe(false);
+    expect(isRestrictedSessionPathAllowed('/api/auth/me/../../convenios')).toBe(false);
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Tests para la validación de Búsquedas Guardadas
+ * @description Verifica los schemas de creación, edición y ejecución de búsquedas guardadas
+ */
+
+import {
+  createSavedSearchSchema,
+  patchSavedSearchSchema,
+  savedSearchResultsQuerySchema
+} from '../src/validators/saved-searches.validator.js';
+
+describe('Búsquedas guardadas - Validación', () => {
+  describe('createSavedSearchSchema', () => {
+    test('debe guardar los criterios sin paginación y privada por defecto', () => {
+      const result = createSavedSearchSchema.parse({
+        nombre: '  Activos 2025  ',
+        criterios: {
+          estados: ['Activo'],
+          fechaDesde: '2025-01-01',
+          textSearch: 'investigación',
+          ordenarPor: 'fechaFin',
+          pagina: 3,
+          limite: 50,
+          after: 'eyJzIjoiaWQ6ZGVzYyJ9'
+        }
+      });
+
+      expect(result.nombre).toBe('Activos 2025');
+      expect(result.compartidaCon).toBeNull();
+      expect(result.criterios).toMatchObject({
+        estados: ['Activo'],
+        textSearch: 'investigación',
+        ordenarPor: 'fechaFin',
+        operador: 'AND'
+      });
+      expect(result.criterios).not.toHaveProperty('pagina');
+      expect(result.criterios).not.toHaveProperty('limite');
+      expect(result.criterios).not.toHaveProperty('after');
+    });
+
+    test('debe aceptar compartirla con un rol', () => {
+      const result = createSavedSearchSchema.parse({
+        nombre: 'Por vencer',
+        criterios: {},
+        compartidaCon: 'GESTOR'
+      });
+
+      expect(result.compartidaCon).toBe('GESTOR');
+    });
+
+    test('debe rechazar roles desconocidos', () => {
+      expect(createSavedSearchSchema.safeParse({
+        nombre: 'Por vencer',
+        criterios: {},
+        compartidaCon: 'TODOS'
+      }).success).toBe(false);
+    });
+
+    test('debe validar los criterios como la búsqueda avanzada', () => {
+      const result = createSavedSearchSchema.safeParse({
+        nombre: 'Fechas invertidas',
+        criterios: {
+          fechaDesde: '2025-12-31',
+          fechaHasta: '2025-01-01'
+        }
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].path).toEqual(['criterios', 'fechaHasta']);
+    });
+
+    test('debe exigir nombre y criterios', () => {
+      expect(createSavedSearchSchema.safeParse({ nombre: 'Sin criterios' }).success).toBe(false);
+      expect(createSavedSearchSchema.safeParse({ criterios: {} }).success).toBe(false);
+    });
+  });
+
+  describe('patchSavedSearchSchema', () => {
+    test('debe permitir dejar de compartir una búsqueda', () => {
+      expect(patchSavedSearchSchema.parse({ compartidaCon: null })).toEqual({ compartidaCon: null });
+    });
+
+    test('debe rechazar un cuerpo vacío', () => {
+      expect(patchSavedSearchSchema.safeParse({}).success).toBe(false);
+    });
+  });
+
+  describe('savedSearchResultsQuerySchema', () => {
+    test('debe aplicar paginación por defecto y aceptar cursor', () => {
+      expect(savedSearchResultsQuerySchema.parse({})).toEqual({ page: 1, limit: 10 });
+      expect(savedSearchResultsQuerySchema.parse({ pagination: 'cursor', limit: '5' })).toMatchObject({
+        pagination: 'cursor',
+        limit: 5
+      });
+    });
+  });
+});
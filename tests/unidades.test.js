@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Tests para las unidades organizacionales
+ * @description Verifica la jerarquía Sede > Facultad > Programa y el cálculo del alcance de un usuario
+ */
+
+import {
+  createUnidadSchema,
+  patchUnidadSchema,
+  asignarUnidadesSchema,
+  asignarConveniosSchema
+} from '../src/validators/unidades.validator.js';
+import {
+  UnidadService,
+  validateJerarquia,
+  expandUnidades,
+  buildAlcanceWhere,
+  buildArbol
+} from '../src/services/unidades.service.js';
+
+const sede = { id: 1, nombre: 'Sede Central', tipo: 'Sede', padreId: null };
+const ingenieria = { id: 2, nombre: 'Ingeniería', tipo: 'Facultad', padreId: 1 };
+const sistemas = { id: 3, nombre: 'Sistemas', tipo: 'Programa', padreId: 2 };
+const salud = { id: 4, nombre: 'Salud', tipo: 'Facultad', padreId: 1 };
+const sedeNorte = { id: 5, nombre: 'Sede Norte', tipo: 'Sede', padreId: null };
+const unidades = [sede, ingenieria, sistemas, salud, sedeNorte];
+
+describe('Unidades - Validación', () => {
+  test('crear exige tipo y limpia el nombre', () => {
+    expect(createUnidadSchema.parse({ nombre: ' Ingeniería ', tipo: 'Facultad', padreId: '1' }))
+      .toEqual({ nombre: 'Ingeniería', tipo: 'Facultad', padreId: 1 });
+    expect(createUnidadSchema.safeParse({ nombre: 'Ingeniería' }).success).toBe(false);
+    expect(createUnidadSchema.safeParse({ nombre: 'Ingeniería', tipo: 'Departamento' }).success).toBe(false);
+  });
+
+  test('la edición no permite cambiar el tipo ni enviarse vacía', () => {
+    expect(patchUnidadSchema.safeParse({}).success).toBe(false);
+    expect(patchUnidadSchema.parse({ tipo: 'Sede', padreId: null })).toEqual({ padreId: null });
+  });
+
+  test('la asignación elimina IDs repetidos y permite quitar todas', () => {
+    expect(asignarUnidadesSchema.parse({ unidadIds: [4, 2, 4] }).unidadIds).toEqual([4, 2]);
+    expect(asignarUnidadesSchema.parse({ unidadIds: [] }).unidadIds).toEqual([]);
+    expect(asignarUnidadesSchema.safeParse({ unidadIds: [-1] }).success).toBe(false);
+  });
+
+  test('la asignación de convenios pide una lista o sinUnidad, no ambos', () => {
+    expect(asignarConveniosSchema.parse({ convenioIds: [7, 3, 7] })).toEqual({ convenioIds: [7, 3] });
+    expect(asignarConveniosSchema.parse({ sinUnidad: true })).toEqual({ sinUnidad: true });
+    expect(asignarConveniosSchema.safeParse({}).success).toBe(false);
+    expect(asignarConveniosSchema.safeParse({ convenioIds: [] }).success).toBe(false);
+    expect(asignarConveniosSchema.safeParse({ sinUnidad: false }).success).toBe(false);
+    expect(asignarConveniosSchema.safeParse({ convenioIds: [1], sinUnidad: true }).success).toBe(false);
+  });
+});
+
+describe('Unidades - Jerarquía', () => {
+  test('cada nivel depende del nivel inmediatamente superior', () => {
+    expect(validateJerarquia('Sede', null)).toBeNull();
+    expect(validateJerarquia('Facultad', sede)).toBeNull();
+    expect(validateJerarquia('Programa', ingenieria)).toBeNull();
+  });
+
+  test('rechaza niveles sin padre, saltos de nivel y sedes dependientes', () => {
+    expect(validateJerarquia('Facultad', null)).toMatch(/debe depender de una unidad de tipo Sede/);
+    expect(validateJerarquia('Programa', sede)).toMatch(/no de Sede/);
+    expect(validateJerarquia('Sede', sedeNorte)).toMatch(/no puede depender/);
+  });
+
+  test('arma el árbol anidando las dependientes', () => {
+    const arbol = buildArbol(unidades);
+
+    expect(arbol.map(u => u.id)).toEqual([1, 5]);
+    expect(arbol[0].hijas.map(u => u.id)).toEqual([2, 4]);
+    expect(arbol[0].hijas[0].hijas.map(u => u.id)).toEqual([3]);
+  });
+});
+
+describe('Unidades - Alcance', () => {
+  test('una unidad asignada incluye todas sus dependientes', () => {
+    expect(expandUnidades([1], unidades)).toEqual([1, 2, 3, 4]);
+    expect(expandUnidades([2], unidades)).toEqual([2, 3]);
+    expect(expandUnidades([3, 5], unidades)).toEqual([3, 5]);
+  });
+
+  test('ignora unidades inexistentes y asignaciones solapadas', () => {
+    expect(expandUnidades([99], unidades)).toEqual([]);
+    expect(expandUnidades([1, 2, 3], unidades)).toEqual([1, 2, 3, 4]);
+  });
+
+  test('un convenio nuevo sin unidad recibe la única del alcance y, si no, se rechaza', async () => {
+    const service = new UnidadService();
+
+    expect(await service.resolveUnidadConvenio(undefined, [3])).toEqual({ success: true, unidadId: 3 });
+    expect((await service.resolveUnidadConvenio(undefined, [2, 3])).error).toBe('UNIDAD_REQUERIDA');
+    expect((await service.resolveUnidadConvenio(undefined, [])).error).toBe('UNIDAD_REQUERIDA');
+    // Tampoco ADMIN deja convenios sin unidad: nadie más los vería
+    expect((await service.resolveUnidadConvenio(null, null)).error).toBe('UNIDAD_REQUERIDA');
+  });
+
+  test('sin restricción para ADMIN y sin resultados para un alcance vacío', () => {
+    expect(buildAlcanceWhere(null)).toEqual({});
+    expect(buildAlcanceWhere([])).toEqual({ unidadId: { in: [] } });
+    expect(buildAlcanceWhere([2, 3])).toEqual({ unidadId: { in: [2, 3] } });
+  });
+});
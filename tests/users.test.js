@@ -0,0 +1,81 @@
+/**
+ * @fileoverview Tests para la administración de usuarios
+ * @description Verifica la validación de los endpoints de administración, los filtros del
+ * listado y la política de contraseñas (incluidas las contraseñas temporales)
+ */
+
+import {
+  usersQuerySchema,
+  userIdParamsSchema,
+  changeRolSchema
+} from '../src/validators/users.validator.js';
+import {
+  passwordSchema,
+  generateTemporaryPassword,
+  TEMPORARY_PASSWORD_LENGTH
+} from '../src/lib/password-policy.js';
+
+let buildUsersWhere;
+
+// users.service importa la configuración del entorno, que se valida al cargarse
+beforeAll(async () => {
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto-de-pruebas-de-al-menos-32-caracteres';
+  process.env.MFA_ENCRYPTION_KEY = process.env.MFA_ENCRYPTION_KEY || 'clave-mfa-de-pruebas-de-al-menos-32-caracteres';
+  ({ buildUsersWhere } = await import('../src/services/users.service.js'));
+});
+
+describe('Usuarios - Validación', () => {
+  test('aplica la paginación por defecto y convierte isActive', () => {
+    const query = usersQuerySchema.parse({ search: ' ana@unac ', isActive: 'false' });
+
+    expect(query.search).toBe('ana@unac');
+    expect(query.isActive).toBe(false);
+    expect(query.page).toBe(1);
+    expect(query.limit).toBeGreaterThan(0);
+  });
+
+  test('rechaza roles y estados desconocidos', () => {
+    expect(usersQuerySchema.safeParse({ rol: 'SUPERADMIN' }).success).toBe(false);
+    expect(usersQuerySchema.safeParse({ isActive: 'si' }).success).toBe(false);
+    expect(changeRolSchema.safeParse({ rol: 'GESTOR' }).success).toBe(true);
+    expect(changeRolSchema.safeParse({ rol: 'Editor' }).success).toBe(false);
+  });
+
+  test('convierte el ID de la ruta', () => {
+    expect(userIdParamsSchema.parse({ userId: '15' })).toEqual({ userId: 15 });
+    expect(userIdParamsSchema.safeParse({ userId: '-1' }).success).toBe(false);
+  });
+});
+
+describe('Usuarios - Filtros del listado', () => {
+  test('solo incluye los filtros enviados', () => {
+    expect(buildUsersWhere({})).toEqual({});
+    expect(buildUsersWhere({ search: 'ana', rol: 'ADMIN', isActive: false })).toEqual({
+      email: { contains: 'ana', mode: 'insensitive' },
+      rol: 'ADMIN',
+      isActive: false
+    });
+  });
+});
+
+describe('Política de contraseñas', () => {
+  test('exige longitud mínima, minúscula, mayúscula y número', () => {
+    expect(passwordSchema.safeParse('Segura123').success).toBe(true);
+    expect(passwordSchema.safeParse('Corta1').success).toBe(false);
+    expect(passwordSchema.safeParse('sinmayusculas1').success).toBe(false);
+    expect(passwordSchema.safeParse('SinNumeros').success).toBe(false);
+  });
+
+  test('las contraseñas temporales cumplen la política y no se repiten', () => {
+    const generadas = new Set();
+
+    for (let i = 0; i < 50; i++) {
+      const password = generateTemporaryPassword();
+      expect(password).toHaveLength(TEMPORARY_PASSWORD_LENGTH);
+      expect(passwordSchema.safeParse(password).success).toBe(true);
+      generadas.add(password);
+    }
+
+    expect(generadas.size).toBe(50);
+  });
+});